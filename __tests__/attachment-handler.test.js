@@ -0,0 +1,101 @@
+// attachment-handler.test.js - 添付ファイル処理のテスト
+
+jest.mock('axios');
+
+const axios = require('axios');
+const {
+  classifyAttachment,
+  processAttachments,
+  formatTextFilesForPrompt,
+  formatRejectionMessage
+} = require('../handlers/attachment-handler');
+
+/**
+ * テスト用の添付ファイル付きメッセージを作成
+ */
+function createMessage(attachments) {
+  return {
+    attachments: new Map(attachments.map((attachment, index) => [String(index), attachment]))
+  };
+}
+
+describe('添付ファイルの判定', () => {
+  test('拡張子とContent-Typeから種類を判定すること', () => {
+    expect(classifyAttachment({ name: 'photo.JPG' })).toEqual({ kind: 'image', mimeType: 'image/jpeg' });
+    expect(classifyAttachment({ name: 'image', contentType: 'image/png; charset=binary' }))
+      .toEqual({ kind: 'image', mimeType: 'image/png' });
+    expect(classifyAttachment({ name: 'notes.md' })).toEqual({ kind: 'text' });
+    expect(classifyAttachment({ name: 'archive.zip' })).toEqual({ kind: 'unsupported' });
+  });
+});
+
+describe('添付ファイルの処理', () => {
+  test('画像はbase64、テキストは内容として読み込むこと', async () => {
+    axios.get.mockImplementation(async (url) => ({
+      data: url.endsWith('.png') ? Buffer.from([0x89, 0x50]) : Buffer.from('森の記録', 'utf8')
+    }));
+    const message = createMessage([
+      { name: 'leaf.png', url: 'https://cdn/leaf.png', size: 100 },
+      { name: 'memo.txt', url: 'https://cdn/memo.txt', size: 100 }
+    ]);
+
+    const result = await processAttachments(message, { vision: true });
+
+    expect(result.images).toEqual([{ name: 'leaf.png', mimeType: 'image/png', data: 'iVA=' }]);
+    expect(result.textFiles).toEqual([{ name: 'memo.txt', content: '森の記録', truncated: false }]);
+    expect(result.rejected).toEqual([]);
+  });
+
+  test('画像非対応・サイズ超過・未対応形式は理由を添えて辞退すること', async () => {
+    const message = createMessage([
+      { name: 'leaf.png', url: 'https://cdn/leaf.png', size: 100 },
+      { name: 'big.txt', url: 'https://cdn/big.txt', size: 100 * 1024 * 1024 },
+      { name: 'tool.exe', url: 'https://cdn/tool.exe', size: 100 }
+    ]);
+
+    const result = await processAttachments(message, { vision: false });
+
+    expect(axios.get).not.toHaveBeenCalled();
+    expect(result.rejected.map(item => item.name)).toEqual(['leaf.png', 'big.txt', 'tool.exe']);
+    expect(formatRejectionMessage(result.rejected)).toContain('・tool.exe: 対応していない形式です');
+  });
+
+  test('テキストファイルをコードブロックとして整形すること', () => {
+    const text = formatTextFilesForPrompt([{ name: 'data.json', content: '{"a":1}', truncated: true }]);
+    expect(text).toBe('【添付ファイル: data.json】\n```json\n{"a":1}\n```\n（長いため途中までを読み込んでいます）');
+  });
+});
+
+describe('OpenAI 画像入力', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.OPENAI_API_KEY = 'test-api-key';
+  });
+
+  afterEach(() => {
+    delete process.env.OPENAI_API_KEY;
+  });
+
+  test('画像をimage_urlパーツとしてユーザーメッセージに含めること', async () => {
+    const { Readable } = require('stream');
+    const mockedAxios = require('axios');
+    const openaiService = require('../services/ai/openai-service');
+    mockedAxios.post.mockResolvedValue({
+      data: Readable.from([Buffer.from('data: {"choices":[{"delta":{"content":"葉っぱです"}}]}\n\n')])
+    });
+
+    await openaiService.streamResponse({
+      userId: 'user-1',
+      message: 'これは何？',
+      images: [{ name: 'leaf.png', mimeType: 'image/png', data: 'iVA=' }]
+    }, () => {});
+
+    const messages = mockedAxios.post.mock.calls[0][1].messages;
+    const userMessage = messages[messages.length - 1];
+    expect(userMessage.content[0]).toEqual(expect.objectContaining({ type: 'text' }));
+    expect(userMessage.content[1]).toEqual({
+      type: 'image_url',
+      image_url: { url: 'data:image/png;base64,iVA=' }
+    });
+  });
+});
@@ -0,0 +1,208 @@
+// channel-indexer.test.js - チャンネルの会話とピン留めの取り込みのテスト
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('チャンネルインデクサー', () => {
+  let indexer;
+  let vectorStore;
+  let channel;
+  let tempDir;
+
+  const MINUTE = 60 * 1000;
+  const START = Date.UTC(2026, 9, 1, 1, 0);
+
+  /**
+   * Discordのメッセージを作成する
+   */
+  function createMessage(id, minutes, content, authorId = 'user-1', extra = {}) {
+    return {
+      id,
+      content,
+      channelId: 'faq',
+      channel,
+      author: { id: authorId, username: authorId, bot: false },
+      member: { displayName: authorId === 'user-1' ? 'さとう' : 'すずき' },
+      attachments: new Map(),
+      createdTimestamp: START + minutes * MINUTE,
+      url: `https://discord.com/channels/guild-1/faq/${id}`,
+      pinned: false,
+      ...extra
+    };
+  }
+
+  // 取り込まれたドキュメントを取り込み元の順に取得する
+  const documents = async () => (await vectorStore.listKnowledge()).sort((a, b) => a.metadata.source.localeCompare(b.metadata.source));
+
+  beforeEach(async () => {
+    jest.resetModules();
+    process.env.RAG_EMBEDDING_PROVIDER = 'hash';
+    process.env.RAG_VECTOR_STORE = 'memory';
+    process.env.EMBEDDING_DIMENSIONS = '256';
+    process.env.RAG_INDEX_CHANNELS = 'faq';
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bocchy-indexer-'));
+    process.env.RAG_INDEX_EXCLUDED_AUTHORS_PATH = path.join(tempDir, 'excluded-authors.json');
+
+    indexer = require('../extensions/rag/channel-indexer');
+    vectorStore = require('../extensions/rag/vector-store');
+    await require('../extensions/rag/knowledge-base').initialize();
+    indexer.markKnowledgeBaseReady();
+
+    channel = { id: 'faq', name: 'faq', guildId: 'guild-1', messages: {} };
+    const history = [
+      createMessage('m4', 60, '申請は総務のフォームからです', 'user-2'),
+      createMessage('m3', 3, 'ありがとう！'),
+      createMessage('m2', 1, '勤怠ページの右上にあります', 'user-2'),
+      createMessage('m1', 0, '休暇の申請はどこから？'),
+      { ...createMessage('m0', -1, 'ようこそ'), author: { id: 'bot', bot: true } }
+    ];
+    channel.messages.fetch = jest.fn().mockResolvedValue(new Map(history.map(message => [message.id, message])));
+    channel.messages.fetchPinned = jest.fn().mockResolvedValue(new Map([['m4', { ...history[0], pinned: true }]]));
+  });
+
+  afterEach(() => {
+    delete process.env.RAG_EMBEDDING_PROVIDER;
+    delete process.env.RAG_VECTOR_STORE;
+    delete process.env.EMBEDDING_DIMENSIONS;
+    delete process.env.RAG_INDEX_CHANNELS;
+    delete process.env.RAG_INDEX_EXCLUDED_AUTHORS_PATH;
+    delete process.env.RAG_ENABLED;
+    delete process.env.RAG_SIMILARITY_THRESHOLD;
+    delete process.env.RAG_VECTOR_STORE_PATH;
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('履歴を発言の間隔で会話のまとまりに分け、ピン留めと一緒に取り込むこと', async () => {
+    const result = await indexer.syncChannel(channel);
+
+    expect(result).toMatchObject({ success: true, windows: 2, pins: 1 });
+    const [first, second, pin] = await documents();
+    expect(first).toMatchObject({
+      title: '#faq の会話（2026-10-01）',
+      content: 'さとう: 休暇の申請はどこから？\nすずき: 勤怠ページの右上にあります\nさとう: ありがとう！',
+      metadata: expect.objectContaining({
+        source: 'discord:channel:faq:m1',
+        channelId: 'faq',
+        guildId: 'guild-1',
+        authorIds: ['user-1', 'user-2'],
+        url: 'https://discord.com/channels/guild-1/faq/m1'
+      })
+    });
+    expect(second.metadata.messageIds).toEqual(['m4']);
+    expect(pin).toMatchObject({ title: '📌 #faq: 申請は総務のフォームからです', metadata: expect.objectContaining({ kind: 'pin', authorId: 'user-2' }) });
+
+    // チャンクにも元のメッセージへのリンクが残る
+    const [chunk] = await vectorStore.listChunks(first.id);
+    expect(chunk.metadata).toMatchObject({ url: 'https://discord.com/channels/guild-1/faq/m1', channelName: 'faq' });
+  });
+
+  test('メッセージの投稿・編集・削除に合わせてまとまりを取り込み直すこと', async () => {
+    await indexer.syncChannel(channel);
+
+    await indexer.handleMessageCreate(createMessage('m5', 65, 'フォームのURLはWikiにあります'));
+    let [, second] = await documents();
+    expect(second.content).toBe('すずき: 申請は総務のフォームからです\nさとう: フォームのURLはWikiにあります');
+
+    await indexer.handleMessageUpdate(createMessage('m5', 65, 'old'), createMessage('m5', 65, 'フォームのURLはポータルにあります'));
+    [, second] = await documents();
+    expect(second.content).toContain('ポータルにあります');
+
+    await indexer.handleMessageDelete({ id: 'm4', channelId: 'faq' });
+    const remaining = await documents();
+    expect(remaining.find(doc => doc.metadata.source === 'discord:channel:faq:m4').content).toBe('さとう: フォームのURLはポータルにあります');
+    expect(remaining.some(doc => doc.metadata.kind === 'pin')).toBe(false);
+
+    // 対象外のチャンネルは取り込まない
+    expect(await indexer.handleMessageCreate({ ...createMessage('x1', 70, '雑談'), channelId: 'random' })).toBeNull();
+    expect(await vectorStore.listKnowledge()).toHaveLength(2);
+  });
+
+  test('会話に参加したユーザーのドキュメントを検索できること', async () => {
+    await indexer.syncChannel(channel);
+
+    const participated = await vectorStore.listKnowledge({ participantId: 'user-1' });
+    expect(participated.map(doc => doc.metadata.source)).toEqual(['discord:channel:faq:m1']);
+  });
+
+  test('再起動後も、保存済みのまとまりからメッセージの削除とユーザーの発言を除けること', async () => {
+    // 再起動後もドキュメントが残るようにファイルに保存する
+    process.env.RAG_VECTOR_STORE = 'file';
+    process.env.RAG_VECTOR_STORE_PATH = path.join(tempDir, 'vector-store.json');
+    const restart = async () => {
+      jest.resetModules();
+      indexer = require('../extensions/rag/channel-indexer');
+      vectorStore = require('../extensions/rag/vector-store');
+      await require('../extensions/rag/knowledge-base').initialize();
+      indexer.markKnowledgeBaseReady();
+    };
+    await restart();
+    await indexer.syncChannel(channel);
+
+    // 再起動して状態にまとまりがない場合は、Discordからメッセージを取得し直して作り直す
+    await restart();
+    const history = await channel.messages.fetch();
+    const deleted = new Set();
+    channel.messages.fetch = jest.fn(async id => {
+      if (!history.has(id) || deleted.has(id)) throw new Error('Unknown Message');
+      return history.get(id);
+    });
+    indexer.register({ on: jest.fn(), once: jest.fn(), isReady: () => false, channels: { fetch: jest.fn().mockResolvedValue(channel) } });
+
+    deleted.add('m3');
+    await indexer.handleMessageDelete({ id: 'm3', channelId: 'faq' });
+    let [first] = await documents();
+    expect(first.content).toBe('さとう: 休暇の申請はどこから？\nすずき: 勤怠ページの右上にあります');
+
+    await expect(indexer.forgetAuthor('user-1')).resolves.toEqual({ success: true, updated: 1 });
+    [first] = await documents();
+    expect(first.content).toBe('すずき: 勤怠ページの右上にあります');
+    expect(await vectorStore.listKnowledge({ participantId: 'user-1' })).toEqual([]);
+  });
+
+  test('データを削除したユーザーの発言だけを会話から除き、以後の投稿や再取り込みでも取り込まないこと', async () => {
+    await indexer.syncChannel(channel);
+
+    await expect(indexer.forgetAuthor('user-1')).resolves.toEqual({ success: true, updated: 1 });
+    let [first] = await documents();
+    expect(first.content).toBe('すずき: 勤怠ページの右上にあります');
+    expect(first.metadata.authorIds).toEqual(['user-2']);
+    expect(await vectorStore.listKnowledge({ participantId: 'user-1' })).toEqual([]);
+
+    // 削除後の投稿も、再起動後の取り込み直しも、このユーザーの発言を含めない
+    expect(await indexer.handleMessageCreate(createMessage('m5', 65, 'フォームのURLはWikiにあります'))).toBeNull();
+    jest.resetModules();
+    indexer = require('../extensions/rag/channel-indexer');
+    vectorStore = require('../extensions/rag/vector-store');
+    indexer.markKnowledgeBaseReady();
+    await indexer.syncChannel(channel);
+    [first] = await documents();
+    expect(first.content).toBe('すずき: 勤怠ページの右上にあります');
+    expect(await vectorStore.listKnowledge({ participantId: 'user-1' })).toEqual([]);
+  });
+
+  test('取り込んだ会話は同じサーバーで閲覧できるチャンネルの応答にだけ使い、DMでは使わないこと', async () => {
+    process.env.RAG_ENABLED = 'true';
+    process.env.RAG_SIMILARITY_THRESHOLD = '0.1';
+    // 定期的なヘルスチェックのタイマーを作らない
+    jest.spyOn(global, 'setInterval').mockReturnValue(0);
+    const rag = require('../extensions/rag');
+    await rag.initialize();
+    await indexer.syncChannel(channel);
+    await rag.addDocument('申請の手引き', '経費の申請は月末までに総務へ提出します。');
+
+    const titles = async options => (await rag.retrieveForPrompt('申請はどこから', options)).sources.map(source => source.title);
+    const visible = await titles({ surface: 'mention', guildId: 'guild-1', channelIds: ['faq'] });
+    expect(visible).toContain('申請の手引き');
+    expect(visible.some(title => title.includes('#faq'))).toBe(true);
+
+    for (const options of [
+      { surface: 'mention', guildId: 'guild-2', channelIds: ['faq'] },
+      { surface: 'mention', guildId: 'guild-1', channelIds: ['general'] },
+      { surface: 'dm' }
+    ]) {
+      expect(await titles(options)).toEqual(['申請の手引き']);
+    }
+  });
+});
@@ -0,0 +1,173 @@
+// command-handler.test.js - 宣言的コマンドフレームワークのテスト
+
+const { parseArguments, formatUsage } = require('../handlers/command-args');
+const commandHandler = require('../handlers/command-handler');
+
+/**
+ * テスト用のメッセージを作成
+ */
+function createMessage(content, overrides = {}) {
+  return {
+    content,
+    author: { id: 'user-1' },
+    member: { permissions: { has: () => false } },
+    channel: { id: 'channel-1', type: 0, send: jest.fn().mockResolvedValue() },
+    createdTimestamp: Date.now(),
+    reply: jest.fn().mockResolvedValue(),
+    ...overrides
+  };
+}
+
+describe('引数パーサー', () => {
+  const schema = [
+    { name: 'count', type: 'integer', required: true, min: 1, max: 10 },
+    { name: 'mode', type: 'string', choices: ['fast', 'slow'], default: 'fast' },
+    { name: 'text', type: 'string', rest: true }
+  ];
+
+  test('型変換と残り引数の連結を行うこと', () => {
+    const result = parseArguments(schema, ['3', 'SLOW', 'hello', 'world']);
+    expect(result).toEqual({ success: true, args: { count: 3, mode: 'slow', text: 'hello world' } });
+  });
+
+  test('省略された引数にはデフォルト値を使うこと', () => {
+    expect(parseArguments(schema, ['5']).args).toEqual({ count: 5, mode: 'fast' });
+  });
+
+  test('検証エラーを返すこと', () => {
+    expect(parseArguments(schema, []).error).toContain('count');
+    expect(parseArguments(schema, ['abc']).error).toContain('整数');
+    expect(parseArguments(schema, ['11']).error).toContain('10 以下');
+    expect(parseArguments(schema, ['1', 'medium']).error).toContain('fast, slow');
+  });
+
+  test('余分な引数をエラーにすること', () => {
+    const result = parseArguments([{ name: 'a', type: 'string' }], ['x', 'y']);
+    expect(result.success).toBe(false);
+  });
+
+  test('ユーザーのメンションをIDに変換すること', () => {
+    const result = parseArguments([{ name: 'target', type: 'user', required: true }], ['<@!123456789>']);
+    expect(result.args.target).toBe('123456789');
+  });
+
+  test('スキーマから使用法を生成すること', () => {
+    expect(formatUsage(schema)).toBe('<count> [fast|slow] [text...]');
+  });
+});
+
+describe('コマンドハンドラー', () => {
+  const execute = jest.fn();
+  const subExecute = jest.fn();
+
+  beforeAll(() => {
+    commandHandler.registerCommand('testecho', {
+      description: 'テスト用',
+      aliases: ['te'],
+      cooldown: 30,
+      args: [{ name: 'text', type: 'string', required: true, rest: true }],
+      execute: (...args) => execute(...args)
+    });
+    commandHandler.registerCommand('testadmin', {
+      description: 'テスト用の管理コマンド',
+      permissions: ['ManageGuild'],
+      defaultSubcommand: 'show',
+      subcommands: {
+        show: { description: '表示', execute: (...args) => subExecute('show', ...args) },
+        set: {
+          description: '設定',
+          args: [{ name: 'value', type: 'integer', required: true }],
+          execute: (...args) => subExecute('set', ...args)
+        }
+      }
+    });
+  });
+
+  test('コマンドディレクトリから既存コマンドを読み込むこと', () => {
+    const names = [...commandHandler.getCommands().keys()];
+    expect(names).toEqual(expect.arrayContaining(['help', 'ping', 'about', 'status', 'reset', 'intervention', 'now', 'search']));
+    expect(commandHandler.resolveCommand('time').name).toBe('now');
+  });
+
+  test('エイリアスで解析済みの引数を渡して実行すること', async () => {
+    const message = createMessage('!te hello there');
+
+    const handled = await commandHandler.handleCommand(message, '!');
+
+    expect(handled).toBe(true);
+    expect(execute).toHaveBeenCalledWith(message, { text: 'hello there' }, expect.objectContaining({ prefix: '!' }));
+  });
+
+  test('クールダウン中は実行しないこと', async () => {
+    const message = createMessage('!testecho again', { author: { id: 'user-2' } });
+
+    await commandHandler.handleCommand(message, '!');
+    await commandHandler.handleCommand(message, '!');
+
+    expect(execute).toHaveBeenCalledTimes(1);
+    expect(message.reply).toHaveBeenLastCalledWith(expect.stringContaining('秒後に使用できます'));
+  });
+
+  test('引数エラー時は使用法を返すこと', async () => {
+    const message = createMessage('!testecho', { author: { id: 'user-3' } });
+
+    await commandHandler.handleCommand(message, '!');
+
+    expect(execute).not.toHaveBeenCalled();
+    expect(message.reply).toHaveBeenCalledWith(expect.stringContaining('使用法: `!testecho <text...>`'));
+  });
+
+  test('Discord権限がない場合は拒否すること', async () => {
+    const message = createMessage('!testadmin set 5');
+
+    await commandHandler.handleCommand(message, '!');
+
+    expect(subExecute).not.toHaveBeenCalled();
+    expect(message.reply).toHaveBeenCalledWith(expect.stringContaining('ManageGuild'));
+  });
+
+  test('サブコマンドを解決して実行すること', async () => {
+    const message = createMessage('!testadmin set 5', {
+      member: { permissions: { has: () => true } }
+    });
+
+    await commandHandler.handleCommand(message, '!');
+    await commandHandler.handleCommand(createMessage('!testadmin', { member: message.member }), '!');
+
+    expect(subExecute).toHaveBeenNthCalledWith(1, 'set', message, { value: 5 }, expect.any(Object));
+    expect(subExecute).toHaveBeenNthCalledWith(2, 'show', expect.any(Object), {}, expect.any(Object));
+  });
+
+  test('未登録のコマンドは処理しないこと', async () => {
+    expect(await commandHandler.handleCommand(createMessage('!unknowncommand'), '!')).toBe(false);
+    expect(await commandHandler.handleCommand(createMessage('hello'), '!')).toBe(false);
+  });
+
+  test('登録済みコマンドからヘルプを生成すること', () => {
+    const list = commandHandler.buildHelpEmbed('!').toJSON();
+    const text = list.fields.map(field => field.value).join('\n');
+    expect(text).toContain('`!testecho <text...>`');
+    expect(text).toContain('`!testadmin <show|set>`');
+
+    const detail = commandHandler.buildHelpEmbed('!', 'te').toJSON();
+    expect(detail.title).toBe('!testecho');
+    expect(commandHandler.buildHelpEmbed('!', 'nothing')).toBeNull();
+  });
+
+  test('カテゴリのコマンド一覧がフィールドの上限を超える場合は続きのフィールドに分けること', () => {
+    for (let i = 0; i < 12; i++) {
+      commandHandler.registerCommand(`testlong${i}`, {
+        description: 'とても長い説明の管理コマンドです。'.repeat(8),
+        category: 'テスト用の長いカテゴリ',
+        execute: () => {}
+      });
+    }
+
+    const fields = commandHandler.buildHelpEmbed('!').toJSON().fields;
+    const longFields = fields.filter(field => field.name.startsWith('テスト用の長いカテゴリ'));
+    expect(longFields.length).toBeGreaterThan(1);
+    expect(longFields[1].name).toBe('テスト用の長いカテゴリ（続き）');
+    expect(fields.every(field => field.value.length <= 1024)).toBe(true);
+    expect(longFields.map(field => field.value).join('\n')).toContain('`!testlong11`');
+  });
+});
@@ -0,0 +1,68 @@
+// context-manager.test.js - 会話文脈管理のテスト
+
+jest.mock('axios');
+
+describe('コンテキストマネージャーの要約の保持', () => {
+  let axios;
+  let contextManager;
+  let summarizer;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.SUPABASE_URL = 'https://supabase.example';
+    process.env.SUPABASE_KEY = 'test-key';
+    process.env.MEMORY_SUMMARY_KEEP_MESSAGES = '2';
+
+    axios = require('axios');
+    summarizer = require('../extensions/memory/summarizer');
+    contextManager = require('../context-manager');
+  });
+
+  afterEach(() => {
+    delete process.env.SUPABASE_URL;
+    delete process.env.SUPABASE_KEY;
+    delete process.env.MEMORY_SUMMARY_KEEP_MESSAGES;
+  });
+
+  test('再読み込みした会話に保存済みの要約を戻し、要約済みのメッセージは読み込まないこと', async () => {
+    const stored = [
+      { role: 'user', content: '古い質問' },
+      { role: 'assistant', content: '古い回答' },
+      { role: 'user', content: '新しい質問' },
+      { role: 'assistant', content: '新しい回答' }
+    ];
+    axios.get.mockImplementation(async (url) => {
+      if (url.includes('limit=1')) return { data: [] };
+      if (url.includes('/conversations?userId=')) {
+        return {
+          data: [{
+            id: 'conv-1',
+            userId: 'user-1',
+            messageCount: 4,
+            metadata: { summarized: true, summary: '以前の要約', summarizedCount: 2 }
+          }]
+        };
+      }
+      return { data: stored };
+    });
+    axios.patch.mockResolvedValue({ data: [] });
+    axios.post.mockResolvedValue({ data: [] });
+
+    await contextManager.initialize();
+    const history = await contextManager.getConversationHistory('user-1', true, false);
+
+    expect(history.summary).toBe('以前の要約');
+    expect(history.messages[0]).toEqual(expect.objectContaining({
+      role: 'system',
+      content: summarizer.formatSummaryMessage({ text: '以前の要約' }).content
+    }));
+    expect(history.messages.slice(1).map(msg => msg.content)).toEqual(['新しい質問', '新しい回答']);
+
+    // 追加したメッセージの保存でも要約を消さないこと
+    await contextManager.addMessage('user-1', 'user', '次の質問');
+
+    const metadata = axios.patch.mock.calls[0][1].metadata;
+    expect(metadata.summary).toBe('以前の要約');
+    expect(metadata.summarizedCount).toBe(2);
+  });
+});
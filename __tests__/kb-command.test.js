@@ -0,0 +1,129 @@
+// kb-command.test.js - ナレッジベース管理コマンドのテスト
+
+const kbCommand = require('../handlers/commands/kb');
+
+describe('!kb コマンド', () => {
+  let rag;
+
+  /**
+   * コマンドのメッセージを作成する
+   */
+  function createMessage(options = {}) {
+    return {
+      author: { id: 'admin-1' },
+      guild: { id: 'guild-1' },
+      attachments: options.attachments || new Map(),
+      reply: jest.fn().mockResolvedValue(options.prompt || {})
+    };
+  }
+
+  beforeEach(() => {
+    rag = {
+      isInitialized: () => true,
+      listDocuments: jest.fn(),
+      getDocument: jest.fn(),
+      deleteDocument: jest.fn().mockResolvedValue({ success: true }),
+      ingestContent: jest.fn().mockResolvedValue({ success: true, status: 'added', source: 'link', knowledgeId: 'k1', chunks: 1 }),
+      ingestAttachment: jest.fn().mockResolvedValue({ success: true, status: 'added', source: 'discord:wiki.md', knowledgeId: 'k2', chunks: 3 })
+    };
+    global.botchiRAG = rag;
+  });
+
+  afterEach(() => {
+    delete global.botchiRAG;
+  });
+
+  test('一覧をページごとに表示すること', async () => {
+    rag.listDocuments.mockResolvedValue(Array.from({ length: 12 }, (_, i) => ({
+      id: `doc-${i + 1}`,
+      title: `ドキュメント${i + 1}`,
+      metadata: {},
+      updated_at: '2026-10-01T00:00:00.000Z'
+    })));
+    const message = createMessage();
+
+    await kbCommand.subcommands.list.execute(message, { page: 2 }, { prefix: '!' });
+
+    const embed = message.reply.mock.calls[0][0].embeds[0].toJSON();
+    expect(embed.description).toContain('doc-11');
+    expect(embed.description).toContain('doc-12');
+    expect(embed.description).not.toContain('doc-10`');
+    expect(embed.footer.text).toBe('2/2ページ・全12件');
+  });
+
+  test('メッセージリンクの本文と添付ファイルを投稿者付きで追加すること', async () => {
+    const link = 'https://discord.com/channels/1001/2002/3003';
+    const linked = {
+      id: '3003',
+      content: '休暇の申請は勤怠ページから\n詳細は総務まで',
+      author: { id: 'user-7' },
+      channel: { id: '2002' },
+      attachments: new Map([['a1', { name: 'wiki.md', url: 'https://cdn.example/wiki.md', size: 100 }]])
+    };
+    const client = { channels: { fetch: jest.fn().mockResolvedValue({ messages: { fetch: jest.fn().mockResolvedValue(linked) } }) } };
+    const message = createMessage();
+    message.guild.id = '1001';
+
+    await kbCommand.subcommands.add.execute(message, { link }, { client });
+
+    expect(rag.ingestContent).toHaveBeenCalledWith(expect.objectContaining({
+      source: link,
+      title: '休暇の申請は勤怠ページから',
+      metadata: expect.objectContaining({ authorId: 'user-7', addedBy: 'admin-1' })
+    }));
+    expect(rag.ingestAttachment).toHaveBeenCalledWith(linked.attachments.get('a1'), {
+      metadata: { authorId: 'user-7', addedBy: 'admin-1' }
+    });
+    expect(message.reply.mock.calls[0][0].embeds[0].toJSON().description).toContain('discord:wiki.md（3チャンク）');
+
+    // 別のサーバーのメッセージは追加しない
+    const other = createMessage();
+    await kbCommand.subcommands.add.execute(other, { link }, { client });
+    expect(other.reply).toHaveBeenCalledWith('このサーバーのメッセージのみ追加できます。');
+  });
+
+  test('確認ボタンが押された場合のみドキュメントを削除すること', async () => {
+    rag.getDocument.mockResolvedValue({ id: 'doc-1', title: '運用手順' });
+    const pressed = customId => ({
+      awaitMessageComponent: jest.fn().mockResolvedValue({ customId, update: jest.fn() })
+    });
+
+    await kbCommand.subcommands.delete.execute(createMessage({ prompt: pressed('kb_cancel') }), { id: 'doc-1' });
+    expect(rag.deleteDocument).not.toHaveBeenCalled();
+
+    const prompt = pressed('kb_confirm');
+    await kbCommand.subcommands.delete.execute(createMessage({ prompt }), { id: 'doc-1' });
+    expect(rag.deleteDocument).toHaveBeenCalledWith('doc-1');
+    const interaction = await prompt.awaitMessageComponent.mock.results[0].value;
+    expect(interaction.update).toHaveBeenCalledWith({ content: '「運用手順」を削除しました🍃', components: [] });
+  });
+
+  test('検索結果を、実行したサーバーで閲覧できるチャンネルのものに絞ること', async () => {
+    rag.search = jest.fn().mockResolvedValue([]);
+    const visible = { id: 'faq', permissionsFor: () => ({ has: () => true }) };
+    const hidden = { id: 'staff', permissionsFor: () => ({ has: () => false }) };
+    const message = createMessage();
+    message.member = { id: 'admin-1' };
+    message.guild.channels = { cache: new Map([['faq', visible], ['staff', hidden]]) };
+
+    await kbCommand.subcommands.search.execute(message, { query: '休暇' });
+    expect(rag.search).toHaveBeenCalledWith('休暇', { guildId: 'guild-1', channelIds: ['faq'] });
+
+    // DMではチャンネルの会話を含めない
+    const dm = { ...createMessage(), guild: null };
+    await kbCommand.subcommands.search.execute(dm, { query: '休暇' });
+    expect(rag.search).toHaveBeenLastCalledWith('休暇', { guildId: null, channelIds: [] });
+  });
+
+  test('サーバーの管理者権限だけでは使えず、ボット管理者のみ使えること', () => {
+    const { checkPermissions } = require('../handlers/command-handler');
+    const message = {
+      ...createMessage(),
+      author: { id: 'guild-admin' },
+      channel: { type: 0 },
+      member: { permissions: { has: () => true } }
+    };
+
+    expect(checkPermissions(kbCommand, message)).toEqual({ allowed: false, reason: 'このコマンドは管理者のみ使用できます。' });
+  });
+});
@@ -0,0 +1,68 @@
+// memory-backends.test.js - 記憶システムのストレージバックエンドのテスト
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('記憶システムのストレージバックエンド', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bocchy-memory-'));
+  });
+
+  afterEach(() => {
+    delete process.env.MEMORY_BACKEND;
+    delete process.env.MEMORY_DB_PATH;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('MEMORY_BACKEND に応じてバックエンドを選択すること', () => {
+    process.env.MEMORY_BACKEND = 'memory';
+    const backends = require('../extensions/memory/backends');
+
+    expect(backends.getBackend().name).toBe('memory');
+    expect(backends.createBackend('file', { filePath: path.join(tempDir, 'm.json') }).name).toBe('file');
+  });
+
+  test('会話を保存し、チャンネルの会話履歴として取得できること', async () => {
+    process.env.MEMORY_BACKEND = 'memory';
+    const memoryManager = require('../extensions/memory/memory-manager');
+
+    expect(await memoryManager.initialize()).toBe(true);
+
+    await memoryManager.storeConversation('channel-1', 'user-1', 'こんにちは', 'こんにちは🌿');
+    await memoryManager.storeConversation('channel-1', 'user-1', '森は静か？', 'ええ、とても静かです');
+
+    const history = await memoryManager.getConversationHistory('channel-1', 3, 'user-1');
+
+    expect(history).toEqual([
+      { role: 'assistant', content: 'こんにちは🌿' },
+      { role: 'user', content: '森は静か？' },
+      { role: 'assistant', content: 'ええ、とても静かです' }
+    ]);
+    expect(await memoryManager.getConversationHistory('channel-2', 10, 'user-1')).toEqual([]);
+  });
+
+  test('ファイルバックエンドは再起動後も会話履歴を保持すること', async () => {
+    process.env.MEMORY_BACKEND = 'file';
+    process.env.MEMORY_DB_PATH = path.join(tempDir, 'memory.json');
+
+    const firstManager = require('../extensions/memory/memory-manager');
+    await firstManager.initialize();
+    await firstManager.storeConversation('channel-1', 'user-1', '覚えていてね', 'はい、覚えておきます');
+
+    // モジュールを読み込み直して再起動を再現
+    jest.resetModules();
+    const secondManager = require('../extensions/memory/memory-manager');
+    await secondManager.initialize();
+
+    const history = await secondManager.getConversationHistory('channel-1', 10, 'user-1');
+    expect(history.map(item => item.content)).toEqual(['覚えていてね', 'はい、覚えておきます']);
+
+    const conversationStore = require('../extensions/memory/conversation-store');
+    const [conversation] = await conversationStore.findConversations({ userId: 'user-1' });
+    expect(conversation.message_count).toBe(2);
+  });
+});
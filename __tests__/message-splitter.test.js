@@ -0,0 +1,64 @@
+// message-splitter.test.js - メッセージ分割のテスト
+
+const { splitMessage, EMBED_DESCRIPTION_LIMIT } = require('../utilities/message-splitter');
+
+describe('メッセージ分割', () => {
+  test('上限以下のテキストはそのまま返すこと', () => {
+    expect(splitMessage('こんにちは')).toEqual(['こんにちは']);
+  });
+
+  test('段落の区切りを優先して分割すること', () => {
+    const first = 'あ'.repeat(60);
+    const second = 'い'.repeat(30);
+    expect(splitMessage(`${first}\n\n${second}`, { limit: 80 })).toEqual([first, second]);
+  });
+
+  test('改行がない場合は「。」で文の区切りを探すこと', () => {
+    const sentence = '森の奥でひっそりと暮らしています。';
+    const chunks = splitMessage(sentence.repeat(10), { limit: 100 });
+
+    chunks.forEach(chunk => {
+      expect(chunk.length).toBeLessThanOrEqual(100);
+      expect(chunk.endsWith('。')).toBe(true);
+    });
+    expect(chunks.join('')).toBe(sentence.repeat(10));
+  });
+
+  test('コードブロックを閉じて言語タグ付きで開き直すこと', () => {
+    const lines = Array.from({ length: 30 }, (_, i) => `const value${i} = ${i};`);
+    const text = `説明です。\n\`\`\`js\n${lines.join('\n')}\n\`\`\`\nおしまい`;
+
+    const chunks = splitMessage(text, { limit: 200 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach((chunk, index) => {
+      expect(chunk.length).toBeLessThanOrEqual(200);
+      // 各チャンクでコードブロックが閉じていること
+      expect((chunk.match(/```/g) || []).length % 2).toBe(0);
+      if (index > 0) expect(chunk.startsWith('```js\n')).toBe(true);
+    });
+    expect(chunks[chunks.length - 1].endsWith('```\nおしまい')).toBe(true);
+  });
+
+  test('Markdownリンクの途中では分割しないこと', () => {
+    const link = '[森の 案内 ページ](https://example.com/forest)';
+    const text = `${'あ'.repeat(70)} ${link} ${'い'.repeat(20)}`;
+
+    const chunks = splitMessage(text, { limit: 100 });
+
+    expect(chunks.some(chunk => chunk.includes(link))).toBe(true);
+  });
+
+  test('サロゲートペアを分断しないこと', () => {
+    const chunks = splitMessage('🌿'.repeat(100), { limit: 51 });
+    expect(chunks.join('')).toBe('🌿'.repeat(100));
+    chunks.forEach(chunk => expect(chunk).not.toMatch(/[\uD800-\uDBFF]$/));
+  });
+
+  test('埋め込みの上限で分割できること', () => {
+    const text = `${'a '.repeat(2500)}`;
+    const chunks = splitMessage(text, { limit: EMBED_DESCRIPTION_LIMIT });
+    expect(chunks).toHaveLength(2);
+    expect(chunks[0].length).toBeLessThanOrEqual(EMBED_DESCRIPTION_LIMIT);
+  });
+});
@@ -0,0 +1,119 @@
+// migration-runner.test.js - スキーママイグレーションのテスト
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  loadMigrations,
+  renderSql,
+  migrateUp,
+  migrateDown,
+  getStatus,
+  MIGRATIONS_DIR
+} = require('../extensions/memory/migration-runner');
+
+/**
+ * schema_migrations の記録だけを再現するテスト用エグゼキューター
+ */
+function createExecutor() {
+  const executor = {
+    versions: [],
+    executed: [],
+    query: jest.fn(async (sql) => {
+      if (sql.startsWith('SELECT version FROM schema_migrations')) {
+        return executor.versions.map(version => ({ version }));
+      }
+      executor.executed.push(sql);
+
+      const inserted = sql.match(/INSERT INTO schema_migrations \(version, name\) VALUES \((\d+)/);
+      if (inserted) executor.versions.push(Number(inserted[1]));
+      const deleted = sql.match(/DELETE FROM schema_migrations WHERE version = (\d+)/);
+      if (deleted) executor.versions = executor.versions.filter(v => v !== Number(deleted[1]));
+      return [];
+    })
+  };
+  return executor;
+}
+
+describe('マイグレーションランナー', () => {
+  let dir;
+  const variables = { TABLE: 'items', EMBEDDING_DIMENSIONS: 384 };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bocchy-migrations-'));
+    fs.writeFileSync(path.join(dir, '001_create_items.up.sql'), 'CREATE TABLE {{TABLE}} (id INT);');
+    fs.writeFileSync(path.join(dir, '001_create_items.down.sql'), 'DROP TABLE {{TABLE}};');
+    fs.writeFileSync(path.join(dir, '002_add_embedding.up.sql'), 'ALTER TABLE {{TABLE}} ADD COLUMN embedding VECTOR({{EMBEDDING_DIMENSIONS}});');
+    fs.writeFileSync(path.join(dir, '002_add_embedding.down.sql'), 'ALTER TABLE {{TABLE}} DROP COLUMN embedding;');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('同梱のマイグレーションはすべて up/down が揃い、変数を解決できること', () => {
+    const migrations = loadMigrations(MIGRATIONS_DIR);
+    const bundledVariables = {
+      CONVERSATIONS_TABLE: 'conversations',
+      MESSAGES_TABLE: 'messages',
+      USERS_TABLE: 'users',
+      KNOWLEDGE_TABLE: 'knowledge_base',
+      CHUNKS_TABLE: 'knowledge_chunks',
+      EMBEDDING_DIMENSIONS: 1536
+    };
+
+    expect(migrations.length).toBeGreaterThan(0);
+    migrations.forEach(migration => {
+      expect(migration.down).toBeTruthy();
+      expect(() => renderSql(migration.up, bundledVariables)).not.toThrow();
+    });
+  });
+
+  test('未適用のマイグレーションを順に適用し、履歴に記録すること', async () => {
+    const executor = createExecutor();
+
+    const result = await migrateUp({ dir, executor, variables });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, applied: [1, 2] }));
+    expect(executor.executed.some(sql => sql.includes('VECTOR(384)'))).toBe(true);
+
+    // 2回目は何も適用しない
+    const second = await migrateUp({ dir, executor, variables });
+    expect(second.applied).toEqual([]);
+  });
+
+  test('ドライランではSQLを実行せずに計画のみを返すこと', async () => {
+    const executor = createExecutor();
+
+    const result = await migrateUp({ dir, executor, variables, dryRun: true, target: 1 });
+
+    expect(result.planned.map(item => item.version)).toEqual([1]);
+    expect(result.planned[0].sql).toContain('CREATE TABLE items');
+    expect(executor.executed).toEqual([]);
+  });
+
+  test('down で新しいものから取り消すこと', async () => {
+    const executor = createExecutor();
+    await migrateUp({ dir, executor, variables });
+
+    const result = await migrateDown({ dir, executor, variables });
+
+    expect(result.reverted).toEqual([2]);
+    expect(await getStatus({ dir, executor })).toEqual([
+      { version: 1, name: 'create_items', applied: true },
+      { version: 2, name: 'add_embedding', applied: false }
+    ]);
+  });
+
+  test('失敗したマイグレーション以降は適用しないこと', async () => {
+    const executor = createExecutor();
+    executor.query.mockImplementationOnce(async () => [])
+      .mockImplementationOnce(async () => [])
+      .mockImplementationOnce(async () => { throw new Error('syntax error'); });
+
+    const result = await migrateUp({ dir, executor, variables });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, applied: [], error: 'syntax error' }));
+  });
+});
@@ -0,0 +1,223 @@
+// model-routing.test.js - リクエストごとのプロバイダー・モデルのルーティングのテスト
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('axios');
+
+describe('モデルのルーティング', () => {
+  let tempDir;
+  let rulesPath;
+  let modelRouter;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bocchy-routing-'));
+    rulesPath = path.join(tempDir, 'routing-rules.json');
+    modelRouter = require('../services/ai/model-router');
+    await modelRouter.initialize(rulesPath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    delete process.env.ADMIN_IDS;
+    process.env.NODE_ENV = 'test';
+    jest.dontMock('../services/ai/openai-service');
+    jest.dontMock('../services/ai/openai-compatible-service');
+  });
+
+  test('サーバー・チャンネル・種類・内容・長さの条件で最初に一致したルールを選び、再起動後も保持すること', async () => {
+    await modelRouter.addRule({ provider: 'openai', model: 'gpt-4o-mini', match: { surface: 'intervention' } });
+    await modelRouter.addRule({ provider: 'anthropic', model: 'claude-3-5-sonnet-20240620', match: { guild: 'guild-1', channel: 'dev-help', task: 'code' } });
+    await modelRouter.addRule({ provider: 'openai', model: 'gpt-4o', match: { guild: 'guild-1', role: 'role-vip', minLength: 200 } });
+
+    const base = { guildId: 'guild-1', channelId: 'dev-help', roleIds: ['role-vip'] };
+    expect(modelRouter.resolveRoute({ ...base, isIntervention: true, message: 'この関数でエラーが出る' }))
+      .toMatchObject({ ruleId: 'r1', provider: 'openai', model: 'gpt-4o-mini', surface: 'intervention' });
+    expect(modelRouter.resolveRoute({ ...base, message: 'この関数でエラーが出る' }))
+      .toMatchObject({ ruleId: 'r2', provider: 'anthropic', surface: 'mention', taskType: 'code' });
+    expect(modelRouter.resolveRoute({ ...base, message: 'こんにちは'.repeat(50) })).toMatchObject({ ruleId: 'r3', model: 'gpt-4o' });
+    expect(modelRouter.resolveRoute({ ...base, guildId: 'guild-2', message: 'この関数でエラーが出る' }))
+      .toMatchObject({ ruleId: null, provider: null, model: null });
+
+    jest.resetModules();
+    const reloaded = require('../services/ai/model-router');
+    await expect(reloaded.initialize(rulesPath)).resolves.toEqual({ success: true, rules: 3 });
+    expect(reloaded.getRules().map(rule => rule.id)).toEqual(['r1', 'r2', 'r3']);
+    await expect(reloaded.removeRule('r2')).resolves.toEqual({ success: true });
+    expect(JSON.parse(fs.readFileSync(rulesPath, 'utf8')).rules.map(rule => rule.id)).toEqual(['r1', 'r3']);
+  });
+
+  test('内容の種類を判定し、不正なルールは追加しないこと', async () => {
+    expect(modelRouter.detectTaskType('```js\nconsole.log(1)\n```')).toBe('code');
+    expect(modelRouter.detectTaskType('明日の天気を調べて')).toBe('search');
+    expect(modelRouter.detectTaskType('最近どう？', { searchInfo: { performed: true } })).toBe('search');
+    expect(modelRouter.detectTaskType('今日はいい日だったね')).toBe('chat');
+    expect(modelRouter.getSurface({ channelType: 1 })).toBe('dm');
+
+    await expect(modelRouter.addRule({ provider: 'mistral', match: {} })).resolves.toMatchObject({ success: false });
+    await expect(modelRouter.addRule({ provider: 'openai', match: { task: 'poetry' } })).resolves.toMatchObject({ success: false });
+    await expect(modelRouter.addRule({ provider: 'openai', match: { surface: 'command' } })).resolves.toMatchObject({ success: false });
+    await expect(modelRouter.addRule({ provider: 'openai', match: { maxLength: -1 } })).resolves.toMatchObject({ success: false });
+    expect(modelRouter.getRules()).toEqual([]);
+    expect(fs.existsSync(rulesPath)).toBe(false);
+  });
+
+  test('チェーンは指定したプロバイダーを最初に試し、プロバイダーはリクエストのモデルを使うこと', async () => {
+    const ProviderChain = require('../services/ai/provider-chain');
+    const calls = [];
+    const chain = new ProviderChain([
+      { name: 'openai', provider: { getResponse: jest.fn(() => { calls.push('openai'); return Promise.resolve('openai'); }) } }
+    ]);
+    chain.addProvider('anthropic', { getResponse: jest.fn(() => { calls.push('anthropic'); return Promise.reject(new Error('down')); }) });
+
+    await expect(chain.run(provider => provider.getResponse(), { prefer: 'anthropic' }))
+      .resolves.toEqual({ result: 'openai', provider: 'openai', fallbackFrom: ['anthropic'] });
+    expect(calls).toEqual(['anthropic', 'openai']);
+    expect(chain.has('anthropic')).toBe(true);
+
+    process.env.OPENAI_API_KEY = 'openai-key';
+    const axios = require('axios');
+    const openaiService = require('../services/ai/openai-service');
+    axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content: 'こんにちは、ボッチーです' } }] } });
+    await openaiService.getResponse({ userId: 'user-1', message: 'こんにちは', model: 'gpt-4o' });
+    expect(axios.post.mock.calls[0][1].model).toBe('gpt-4o');
+    delete process.env.OPENAI_API_KEY;
+  });
+
+  test('選んだルートのプロバイダーの対応機能を返し、応答にはそのルートを使うこと', async () => {
+    const createProvider = (capabilities, response) => ({
+      CAPABILITIES: capabilities,
+      isConfigured: () => true,
+      initialize: jest.fn().mockResolvedValue({ initialized: true }),
+      getResponse: jest.fn().mockResolvedValue(response)
+    });
+    const openai = createProvider({ vision: true, streaming: false, tools: false }, 'openai');
+    const compatible = createProvider({ vision: false, streaming: false, tools: false }, 'openai-compatible');
+    jest.doMock('../services/ai/openai-service', () => openai);
+    jest.doMock('../services/ai/openai-compatible-service', () => compatible);
+    const aiService = require('../services/ai/ai-service');
+    // テスト環境向けの固定応答を使わずに実際の経路を通す
+    process.env.NODE_ENV = 'production';
+    await aiService.initialize(['openai']);
+    await modelRouter.initialize(rulesPath);
+    await modelRouter.addRule({ provider: 'openai-compatible', match: { surface: 'dm' } });
+
+    const context = { userId: 'user-1', channelType: 1, message: 'この画像を見て' };
+    const route = await aiService.resolveRoute(context);
+    expect(route).toMatchObject({ ruleId: 'r1', provider: 'openai-compatible' });
+    expect(aiService.getCapabilities(route)).toEqual({ vision: false, streaming: false, tools: false });
+    expect(aiService.getCapabilities()).toMatchObject({ vision: true });
+
+    const resolveSpy = jest.spyOn(modelRouter, 'resolveRoute');
+    await expect(aiService.getResponse({ ...context, route })).resolves.toBe('openai-compatible');
+    expect(resolveSpy).not.toHaveBeenCalled();
+    expect(openai.getResponse).not.toHaveBeenCalled();
+    resolveSpy.mockRestore();
+
+    // ルールのためだけに読み込んだプロバイダーは、ルールに一致しないリクエストの切り替え先にしない
+    openai.getResponse.mockRejectedValue(new Error('down'));
+    await expect(aiService.getResponse({ userId: 'user-1', channelType: 0, guildId: 'guild-1', message: 'こんにちは' }))
+      .resolves.toBe(aiService.ERROR_MESSAGES.unavailable);
+    expect(compatible.getResponse).toHaveBeenCalledTimes(1);
+    expect(aiService.getConfig().providerChain).toEqual(['openai']);
+  });
+
+  test('!route コマンドでこのサーバーのルールを追加・一覧・削除し、ほかのサーバーのルールは操作できないこと', async () => {
+    const routeCommand = require('../handlers/commands/route');
+    const createMessage = (guildId = 'guild-1', userId = 'guild-admin') => ({
+      author: { id: userId },
+      guild: { id: guildId },
+      channel: { id: '2002' },
+      member: { roles: { cache: new Map([['3003', {}]]) } },
+      reply: jest.fn().mockResolvedValue({})
+    });
+
+    const add = createMessage();
+    await routeCommand.subcommands.add.execute(add, { provider: 'openai', options: 'gpt-4o channel=<#2002> task=code' });
+    expect(add.reply.mock.calls[0][0]).toContain('`r1` サーバー: guild-1 / チャンネル: <#2002> / 内容: code → openai / gpt-4o');
+    expect(modelRouter.getRules()[0].match).toEqual({ guild: 'guild-1', channel: '2002', task: 'code' });
+
+    const invalid = createMessage();
+    await routeCommand.subcommands.add.execute(invalid, { provider: 'openai', options: 'gpt-4o speed=fast' });
+    expect(invalid.reply.mock.calls[0][0]).toContain('不明な条件です: speed');
+
+    const test = createMessage();
+    await routeCommand.subcommands.test.execute(test, { text: 'このコードのバグを直して' });
+    expect(test.reply.mock.calls[0][0]).toContain('ルール `r1` → openai / gpt-4o');
+
+    const otherList = createMessage('guild-2');
+    await routeCommand.subcommands.list.execute(otherList, {}, { prefix: '!' });
+    expect(otherList.reply.mock.calls[0][0].embeds[0].toJSON().description).toContain('ルールはありません');
+    const otherRemove = createMessage('guild-2');
+    await routeCommand.subcommands.remove.execute(otherRemove, { id: 'r1' });
+    expect(otherRemove.reply.mock.calls[0][0]).toBe('ルール `r1` は見つかりませんでした。');
+
+    const remove = createMessage();
+    await routeCommand.subcommands.remove.execute(remove, { id: 'r1' });
+    expect(remove.reply.mock.calls[0][0]).toBe('ルール `r1` を削除しました🍃');
+    expect(modelRouter.getRules()).toEqual([]);
+  });
+
+  test('サーバーを限定しないルールとほかのサーバーのルールは、ボット管理者のみ追加・一覧・削除できること', async () => {
+    process.env.ADMIN_IDS = 'bot-admin';
+    const routeCommand = require('../handlers/commands/route');
+    const createMessage = userId => ({
+      author: { id: userId },
+      guild: { id: 'guild-1' },
+      channel: { id: '2002' },
+      reply: jest.fn().mockResolvedValue({})
+    });
+
+    for (const options of ['gpt-4o guild=all', 'gpt-4o guild=guild-2']) {
+      const denied = createMessage('guild-admin');
+      await routeCommand.subcommands.add.execute(denied, { provider: 'openai', options });
+      expect(denied.reply.mock.calls[0][0]).toBe('ほかのサーバーや guild=all のルールを追加できるのはボット管理者のみです。');
+    }
+    expect(modelRouter.getRules()).toEqual([]);
+
+    const add = createMessage('bot-admin');
+    await routeCommand.subcommands.add.execute(add, { provider: 'openai', options: 'gpt-4o guild=all surface=dm' });
+    expect(modelRouter.getRules()[0].match).toEqual({ surface: 'dm' });
+
+    const list = createMessage('guild-admin');
+    await routeCommand.subcommands.list.execute(list, {}, { prefix: '!' });
+    expect(list.reply.mock.calls[0][0].embeds[0].toJSON().description).toContain('ルールはありません');
+    const remove = createMessage('guild-admin');
+    await routeCommand.subcommands.remove.execute(remove, { id: 'r1' });
+    expect(remove.reply.mock.calls[0][0]).toBe('ルール `r1` は見つかりませんでした。');
+
+    const adminList = createMessage('bot-admin');
+    await routeCommand.subcommands.list.execute(adminList, {}, { prefix: '!' });
+    expect(adminList.reply.mock.calls[0][0].embeds[0].toJSON().description).toContain('`r1` 種類: dm → openai / gpt-4o');
+    const adminRemove = createMessage('bot-admin');
+    await routeCommand.subcommands.remove.execute(adminRemove, { id: 'r1' });
+    expect(adminRemove.reply.mock.calls[0][0]).toBe('ルール `r1` を削除しました🍃');
+  });
+
+  test('埋め込みの説明文に収まらないルールの一覧は、ルールの途中で切らずに続きのメッセージに分けること', async () => {
+    const routeCommand = require('../handlers/commands/route');
+    for (let i = 0; i < 60; i++) {
+      await modelRouter.addRule({ provider: 'openai', model: 'gpt-4o', match: { guild: 'guild-1', channel: `10000000000000${i}`, role: `20000000000000${i}`, task: 'code' } });
+    }
+    const message = {
+      author: { id: 'guild-admin' },
+      guild: { id: 'guild-1' },
+      channel: { id: '2002', send: jest.fn().mockResolvedValue({}) },
+      reply: jest.fn().mockResolvedValue({})
+    };
+
+    await routeCommand.subcommands.list.execute(message, {}, { prefix: '!' });
+
+    const embeds = [message.reply.mock.calls[0][0], ...message.channel.send.mock.calls.map(call => call[0])]
+      .map(payload => payload.embeds[0].toJSON());
+    expect(embeds.length).toBeGreaterThan(1);
+    embeds.forEach(embed => expect(embed.description.length).toBeLessThanOrEqual(4096));
+    const lines = embeds.flatMap(embed => embed.description.split('\n'));
+    expect(lines).toHaveLength(60);
+    expect(lines[59]).toMatch(/^`r60` /);
+    expect(embeds[embeds.length - 1].fields[0].name).toBe('使用方法');
+    expect(embeds[0].fields).toBeUndefined();
+  });
+});
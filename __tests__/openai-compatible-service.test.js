@@ -0,0 +1,132 @@
+// openai-compatible-service.test.js - OpenAI互換API（ローカルのモデル）プロバイダーのテスト
+
+const { Readable } = require('stream');
+
+jest.mock('axios');
+
+const ENV_KEYS = [
+  'OPENAI_COMPATIBLE_BASE_URL',
+  'OPENAI_COMPATIBLE_MODEL',
+  'OPENAI_COMPATIBLE_API_KEY',
+  'OPENAI_COMPATIBLE_AUTH_HEADER',
+  'OPENAI_COMPATIBLE_CONTEXT_WINDOW',
+  'OPENAI_COMPATIBLE_MAX_TOKENS',
+  'OPENAI_COMPATIBLE_CAPABILITIES',
+  'OPENAI_COMPATIBLE_EMBEDDING_MODEL'
+];
+
+/**
+ * 環境変数を設定してサービスを読み込む
+ */
+function loadService(env = {}) {
+  Object.assign(process.env, {
+    OPENAI_COMPATIBLE_BASE_URL: 'http://localhost:11434/v1/',
+    OPENAI_COMPATIBLE_MODEL: 'llama3.1:8b',
+    ...env
+  });
+  return require('../services/ai/openai-compatible-service');
+}
+
+describe('OpenAI互換APIプロバイダー', () => {
+  let axios;
+
+  beforeEach(() => {
+    jest.resetModules();
+    axios = require('axios');
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => delete process.env[key]);
+  });
+
+  test('設定したURL・モデル・認証ヘッダーで応答を取得し、コンテキスト長を超える古い会話履歴を省くこと', async () => {
+    const service = loadService({
+      OPENAI_COMPATIBLE_API_KEY: 'local-key',
+      OPENAI_COMPATIBLE_AUTH_HEADER: 'X-API-Key',
+      OPENAI_COMPATIBLE_CONTEXT_WINDOW: '300',
+      OPENAI_COMPATIBLE_MAX_TOKENS: '100'
+    });
+    axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content: ' 森の奥からこんにちは ' } }] } });
+
+    const response = await service.getResponse({
+      userId: 'user-1',
+      message: 'こんにちは',
+      systemPrompt: 'あなたはボッチーです。',
+      conversationHistory: [
+        { role: 'user', content: '古い話題'.repeat(40) },
+        { role: 'assistant', content: '古い返事'.repeat(40) },
+        { role: 'user', content: '最近の話題' }
+      ],
+      images: [{ mimeType: 'image/png', data: 'aGVsbG8=' }]
+    });
+
+    expect(response).toBe('森の奥からこんにちは');
+    const [url, body, options] = axios.post.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(body).toMatchObject({ model: 'llama3.1:8b', max_tokens: 100 });
+    expect(body.messages).toEqual([
+      { role: 'system', content: 'あなたはボッチーです。' },
+      { role: 'user', content: '最近の話題' },
+      { role: 'user', content: '【質問】こんにちは' }
+    ]);
+    expect(options.headers).toEqual({ 'Content-Type': 'application/json', 'X-API-Key': 'local-key' });
+    expect(service.CAPABILITIES).toEqual({ vision: false, streaming: true, tools: false });
+  });
+
+  test('ストリーミングの応答を読み取り、streaming に対応しない設定では応答全文を1回で渡すこと', async () => {
+    const service = loadService({ OPENAI_COMPATIBLE_API_KEY: 'local-key' });
+    const events = ['森の', '奥から'].map(content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`).join('');
+    axios.post.mockResolvedValueOnce({ data: Readable.from([Buffer.from(`${events}data: [DONE]\n\n`)]) });
+    const deltas = [];
+
+    await expect(service.streamResponse({ userId: 'user-1', message: 'やあ' }, delta => deltas.push(delta))).resolves.toBe('森の奥から');
+    expect(deltas).toEqual(['森の', '奥から']);
+    expect(axios.post.mock.calls[0][1].stream).toBe(true);
+    expect(axios.post.mock.calls[0][2]).toMatchObject({ responseType: 'stream', headers: { Authorization: 'Bearer local-key' } });
+
+    jest.resetModules();
+    delete process.env.OPENAI_COMPATIBLE_API_KEY;
+    axios = require('axios');
+    const nonStreaming = loadService({ OPENAI_COMPATIBLE_CAPABILITIES: 'vision' });
+    axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content: 'まとめて返すね' } }] } });
+    const single = [];
+    await nonStreaming.streamResponse({ userId: 'user-1', message: 'やあ' }, delta => single.push(delta));
+    expect(single).toEqual(['まとめて返すね']);
+    expect(axios.post.mock.calls[0][1].stream).toBeUndefined();
+    expect(axios.post.mock.calls[0][2].headers.Authorization).toBeUndefined();
+  });
+
+  test('未設定やAPIの失敗ではエラーをスローし、健全性チェックは /models で確認すること', async () => {
+    const unconfigured = loadService({ OPENAI_COMPATIBLE_MODEL: '' });
+    expect(unconfigured.isConfigured()).toBe(false);
+    await expect(unconfigured.getResponse({ userId: 'user-1', message: 'やあ' })).rejects.toThrow('OPENAI_COMPATIBLE_MODEL');
+    await expect(unconfigured.checkHealth()).resolves.toMatchObject({ status: 'unconfigured' });
+
+    jest.resetModules();
+    axios = require('axios');
+    const service = loadService();
+    axios.post.mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+    await expect(service.getResponse({ userId: 'user-1', message: 'やあ' })).rejects.toThrow('ECONNREFUSED');
+
+    axios.get.mockResolvedValueOnce({ data: { data: [{ id: 'llama3.1:8b' }] } });
+    await expect(service.checkHealth()).resolves.toMatchObject({ status: 'healthy' });
+    expect(axios.get).toHaveBeenCalledWith('http://localhost:11434/v1/models', expect.any(Object));
+  });
+
+  test('埋め込みを /embeddings で生成し、次元数が設定と異なる場合はエラーにすること', async () => {
+    loadService({ OPENAI_COMPATIBLE_EMBEDDING_MODEL: 'nomic-embed-text' });
+    const { createEmbedder } = require('../extensions/rag/embedders');
+    axios.post.mockResolvedValue({ data: { data: [{ embedding: [0.1, 0.2, 0.3] }] } });
+
+    const embedder = createEmbedder('openai-compatible', { dimensions: 3 });
+    await expect(embedder.embed('森のナレッジ')).resolves.toEqual([0.1, 0.2, 0.3]);
+    expect(axios.post).toHaveBeenCalledWith(
+      'http://localhost:11434/v1/embeddings',
+      { model: 'nomic-embed-text', input: '森のナレッジ' },
+      expect.any(Object)
+    );
+
+    const mismatched = createEmbedder('openai-compatible', { dimensions: 768 });
+    await expect(mismatched.embed('森のナレッジ')).rejects.toThrow('EMBEDDING_DIMENSIONS is 768');
+  });
+});
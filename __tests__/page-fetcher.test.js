@@ -0,0 +1,171 @@
+// page-fetcher.test.js - 検索結果のページ取得と本文抽出のテスト
+
+const dns = require('dns');
+const MockAdapter = require('axios-mock-adapter');
+
+describe('検索結果のページ取得', () => {
+  let pageFetcher;
+  let mock;
+
+  const ARTICLE_HTML = `
+    <html><head><title>有給休暇の申請方法 | 総務ブログ</title><script>var x = "広告";</script></head>
+    <body>
+      <div class="menu"><a href="/">ホーム</a> <a href="/blog">ブログ</a> <a href="/about">会社概要について詳しく知りたい方はこちらのページへどうぞ</a></div>
+      <div class="entry-content">
+        <p>有給休暇は入社から半年が経つと付与され、勤続年数に応じて日数が増えます。</p>
+        <p>申請は、勤怠ページの右上にある「休暇申請」ボタンから行います。承認は上長が行い、結果はメールで届きます。</p>
+        <p>なお、繁忙期は早めに、できれば1週間前までに申請してください。</p>
+      </div>
+      <div class="sidebar"><p>人気の記事: <a href="/a">社内イベントの報告と、来月の予定についてのお知らせ</a></p></div>
+    </body></html>`;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.SEARCH_FETCH_BLOCKED_DOMAINS = 'blocked.example';
+    mock = new MockAdapter(require('axios'));
+    // ホスト名は公開アドレスに解決する（internal.example のみ内部向けのアドレス）
+    jest.spyOn(dns.promises, 'lookup').mockImplementation(async hostname => [
+      { address: hostname === 'internal.example' ? '10.0.0.5' : '93.184.216.34', family: 4 }
+    ]);
+    pageFetcher = require('../extensions/page-fetcher');
+  });
+
+  afterEach(() => {
+    mock.restore();
+    jest.restoreAllMocks();
+    delete process.env.SEARCH_FETCH_BLOCKED_DOMAINS;
+  });
+
+  test('リンクの多いブロックを除き、段落の多いブロックを本文として取り出すこと', () => {
+    const { title, text } = pageFetcher.extractMainContent(ARTICLE_HTML);
+
+    expect(title).toBe('有給休暇の申請方法 | 総務ブログ');
+    expect(text).toContain('申請は、勤怠ページの右上にある「休暇申請」ボタンから行います。');
+    expect(text).not.toContain('ホーム');
+    expect(text).not.toContain('人気の記事');
+    expect(text).not.toContain('広告');
+  });
+
+  test('クエリの語を多く含むパッセージを上位にし、該当がなければ冒頭を返すこと', () => {
+    const text = [
+      '当社の福利厚生について説明します。',
+      '社員食堂は3階にあり、11時から営業しています。',
+      '休暇の申請は勤怠ページから行います。休暇の種類は申請画面で選べます。'
+    ].join('\n\n');
+
+    expect(pageFetcher.rankPassages('休暇の申請方法', text, { limit: 1, passageLength: 40 }))
+      .toEqual(['休暇の申請は勤怠ページから行います。休暇の種類は申請画面で選べます。']);
+    expect(pageFetcher.rankPassages('ERR-4012', text, { passageLength: 40 }))
+      .toEqual(['当社の福利厚生について説明します。']);
+  });
+
+  test('robots.txt はボット名のグループを優先し、最も長く一致した規則に従うこと', () => {
+    const rules = pageFetcher.parseRobots([
+      'User-agent: *',
+      'Disallow: /',
+      '',
+      'User-agent: BocchyBot',
+      'Disallow: /private/',
+      'Allow: /private/public-*.html$'
+    ].join('\n'));
+
+    expect(pageFetcher.isPathAllowed(rules, '/blog/leave')).toBe(true);
+    expect(pageFetcher.isPathAllowed(rules, '/private/report.html')).toBe(false);
+    expect(pageFetcher.isPathAllowed(rules, '/private/public-faq.html')).toBe(true);
+    expect(pageFetcher.isPathAllowed(pageFetcher.parseRobots('User-agent: *\nDisallow: /'), '/blog')).toBe(false);
+  });
+
+  test('上位の検索結果に本文の抜粋を加え、取得できないページは説明文のまま残すこと', async () => {
+    mock.onGet('https://news.example/robots.txt').reply(200, 'User-agent: *\nDisallow: /members/');
+    mock.onGet('https://news.example/leave').reply(200, ARTICLE_HTML, { 'content-type': 'text/html; charset=utf-8' });
+    mock.onGet('https://pdf.example/robots.txt').reply(404);
+    mock.onGet('https://pdf.example/manual.pdf').reply(200, '%PDF-1.7', { 'content-type': 'application/pdf' });
+    const sources = [
+      { title: '休暇の申請', url: 'https://news.example/leave', description: '有給休暇は…' },
+      { title: '会員ページ', url: 'https://news.example/members/leave', description: '会員限定' },
+      { title: '禁止', url: 'https://www.blocked.example/leave', description: '取得しない' },
+      { title: 'マニュアル', url: 'https://pdf.example/manual.pdf', description: 'PDF' },
+      { title: '内部', url: 'http://127.0.0.1/admin', description: '内部' }
+    ];
+
+    await pageFetcher.enrichSearchResults('有給休暇の申請方法', sources, { topK: 5 });
+
+    expect(sources[0].passages[0]).toContain('「休暇申請」ボタンから行います');
+    expect(sources.slice(1).every(source => !source.passages)).toBe(true);
+    // 取得を許可されなかったURLにはアクセスしない
+    expect(mock.history.get.map(request => request.url)).toEqual([
+      'https://news.example/robots.txt',
+      'https://pdf.example/robots.txt',
+      'https://news.example/leave',
+      'https://pdf.example/manual.pdf'
+    ]);
+
+    // 取り出した本文はキャッシュから返す
+    await pageFetcher.enrichSearchResults('有給休暇の申請方法', [{ url: 'https://news.example/leave' }]);
+    expect(mock.history.get).toHaveLength(4);
+
+    const { formatSearchResultForAI } = require('../extensions/search-processor');
+    expect(formatSearchResultForAI(sources.slice(0, 1))).toContain('内容: 有給休暇は…\n本文の抜粋:\n');
+  });
+
+  test('リダイレクト先と、内部向けのアドレスに解決されるホストやIPv6アドレスは取得しないこと', async () => {
+    mock.onGet(/\/robots\.txt$/).reply(404);
+    mock.onGet('https://short.example/a').reply(301, '', { location: 'http://[::ffff:127.0.0.1]/admin' });
+    mock.onGet('https://short.example/b').reply(302, '', { location: 'https://internal.example/metrics' });
+    mock.onGet('https://short.example/c').reply(302, '', { location: '/leave' });
+    mock.onGet('https://short.example/leave').reply(200, ARTICLE_HTML, { 'content-type': 'text/html' });
+
+    for (const url of ['https://short.example/a', 'https://short.example/b']) {
+      await expect(pageFetcher.fetchPage(url)).resolves.toMatchObject({ success: false, error: 'URL not allowed' });
+    }
+    for (const host of ['[fd12:3456::1]', '[fe80::1]', '[::ffff:10.0.0.1]', 'internal.example']) {
+      await expect(pageFetcher.fetchPage(`http://${host}/`)).resolves.toMatchObject({ success: false, error: 'URL not allowed' });
+    }
+    await expect(pageFetcher.fetchPage('https://short.example/c')).resolves.toMatchObject({ success: true, url: 'https://short.example/c' });
+
+    const requested = mock.history.get.map(request => request.url);
+    expect(requested).toContain('https://short.example/leave');
+    expect(requested.some(url => /127\.0\.0\.1|::ffff|internal\.example|fd12|fe80/.test(url))).toBe(false);
+  });
+
+  test('確認後に内部向けのアドレスへ解決し直された場合は接続しないこと', async () => {
+    // 実際に接続させるため、axios のモックを外してローカルのサーバーを立てる
+    mock.restore();
+    const http = require('http');
+    const received = [];
+    const server = http.createServer((request, response) => {
+      received.push(request.url);
+      response.end('secret');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // 事前の確認では公開アドレス、接続時はループバックを返す（DNS リバインディング）
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, options.all ? [{ address: '127.0.0.1', family: 4 }] : '127.0.0.1', 4);
+    });
+
+    try {
+      const { port } = server.address();
+      await expect(pageFetcher.fetchPage(`http://rebind.example:${port}/admin`))
+        .resolves.toMatchObject({ success: false, error: 'URL not allowed' });
+      expect(received).toEqual([]);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('タイムアウトやサーバーエラーで取得できなかったページはキャッシュせず、次回取得し直すこと', async () => {
+    mock.onGet('https://flaky.example/robots.txt').reply(404);
+    mock.onGet('https://flaky.example/page').replyOnce(503).onGet('https://flaky.example/page')
+      .reply(200, ARTICLE_HTML, { 'content-type': 'text/html' });
+    mock.onGet('https://flaky.example/missing').reply(404);
+
+    await expect(pageFetcher.fetchPage('https://flaky.example/page')).resolves.toMatchObject({ success: false });
+    await expect(pageFetcher.fetchPage('https://flaky.example/page')).resolves.toMatchObject({ success: true });
+
+    // 見つからないページは取得し直さない
+    await pageFetcher.fetchPage('https://flaky.example/missing');
+    await pageFetcher.fetchPage('https://flaky.example/missing');
+    expect(mock.history.get.filter(request => request.url === 'https://flaky.example/missing')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,130 @@
+// privacy.test.js - ユーザーデータのエクスポート・削除のテスト
+
+jest.mock('../context-manager', () => ({
+  getCachedConversation: jest.fn(),
+  clearConversation: jest.fn()
+}));
+
+describe('プライバシー管理', () => {
+  let privacy;
+  let memoryManager;
+  let conversationStore;
+  let messageHistory;
+  let backend;
+  let aiService;
+
+  const DAY = 24 * 60 * 60 * 1000;
+  const daysAgo = days => new Date(Date.now() - days * DAY).toISOString();
+
+  /**
+   * 指定した日時の会話とメッセージをバックエンドに直接追加する
+   */
+  async function insertConversation(id, { channelId, guildId = null, messageDays }) {
+    await backend.insertConversation({
+      id,
+      user_id: 'user-9',
+      channel_id: channelId,
+      guild_id: guildId,
+      metadata: {},
+      created_at: daysAgo(messageDays[0]),
+      updated_at: daysAgo(messageDays[0]),
+      message_count: 0,
+      is_active: true
+    });
+    for (const [index, days] of messageDays.entries()) {
+      await backend.insertMessage({
+        id: `${id}-m${index}`,
+        conversation_id: id,
+        role: 'user',
+        content: `${days}日前の発言`,
+        metadata: {},
+        timestamp: daysAgo(days)
+      });
+    }
+  }
+
+  beforeEach(async () => {
+    jest.resetModules();
+    process.env.MEMORY_ENABLED = 'true';
+    process.env.MEMORY_BACKEND = 'memory';
+    process.env.MEMORY_SUMMARY_ENABLED = 'false';
+    process.env.MEMORY_PROFILE_ENABLED = 'false';
+
+    memoryManager = require('../extensions/memory/memory-manager');
+    conversationStore = require('../extensions/memory/conversation-store');
+    messageHistory = require('../extensions/message-history');
+    privacy = require('../extensions/privacy');
+    await memoryManager.initialize();
+    backend = require('../extensions/memory/backends').getBackend();
+    global.botchiMemory = { manager: memoryManager };
+
+    aiService = {
+      getCachedConversation: jest.fn(userId => (userId === 'user-1' ? [{ role: 'user', content: 'こんにちは' }] : null)),
+      clearConversationHistory: jest.fn(() => true)
+    };
+  });
+
+  afterEach(() => {
+    delete global.botchiMemory;
+    delete process.env.MEMORY_ENABLED;
+    delete process.env.MEMORY_BACKEND;
+    delete process.env.MEMORY_SUMMARY_ENABLED;
+    delete process.env.MEMORY_PROFILE_ENABLED;
+  });
+
+  test('保存先ごとのユーザーのデータをまとめてエクスポートすること', async () => {
+    await memoryManager.storeConversation('dm-1', 'user-1', '猫を飼っています', '素敵ですね🐈');
+    await memoryManager.storeConversation('dm-2', 'user-2', '別の人の発言です', 'はい');
+    messageHistory.addMessageToHistory('ch-1', {
+      id: 'msg-1',
+      content: 'チャンネルでの発言',
+      author: { id: 'user-1', username: 'mina', bot: false },
+      createdTimestamp: Date.now()
+    });
+
+    const data = await privacy.exportUserData('user-1', { aiService });
+
+    expect(data.userId).toBe('user-1');
+    expect(data.memory.conversations).toHaveLength(1);
+    expect(data.memory.conversations[0].messages.map(msg => msg.content)).toEqual(['猫を飼っています', '素敵ですね🐈']);
+    expect(data.caches.channelMessages).toEqual([expect.objectContaining({ channelId: 'ch-1', content: 'チャンネルでの発言' })]);
+    expect(data.caches.providerConversation).toEqual([{ role: 'user', content: 'こんにちは' }]);
+    expect(data.errors).toBeUndefined();
+  });
+
+  test('すべての保存先からユーザーのデータを削除し、他のユーザーのデータは残すこと', async () => {
+    await memoryManager.storeConversation('dm-1', 'user-1', '猫を飼っています', '素敵ですね🐈');
+    await memoryManager.storeConversation('dm-2', 'user-2', '別の人の発言です', 'はい');
+    messageHistory.addMessageToHistory('ch-1', {
+      id: 'msg-1',
+      content: 'チャンネルでの発言',
+      author: { id: 'user-1', username: 'mina', bot: false },
+      createdTimestamp: Date.now()
+    });
+
+    const result = await privacy.deleteUserData('user-1', { aiService });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, errors: [] }));
+    expect(result.deleted).toEqual(expect.objectContaining({ conversations: 1, messages: 2, cachedMessages: 1 }));
+    expect(await conversationStore.findConversations({ userId: 'user-1' })).toEqual([]);
+    expect(await conversationStore.findConversations({ userId: 'user-2' })).toHaveLength(1);
+    expect(messageHistory.getUserMessages('user-1')).toEqual([]);
+    expect(aiService.clearConversationHistory).toHaveBeenCalledWith('user-1');
+    expect(require('../context-manager').clearConversation).toHaveBeenCalledWith('user-1');
+  });
+
+  test('サーバーの保存期間を過ぎた会話・メッセージだけを一括削除すること', async () => {
+    await insertConversation('old', { channelId: 'ch-1', messageDays: [120, 100] });
+    await insertConversation('mixed', { channelId: 'ch-2', messageDays: [60, 10] });
+    await insertConversation('by-guild', { channelId: 'ch-gone', guildId: 'guild-1', messageDays: [45] });
+    await insertConversation('other-guild', { channelId: 'ch-x', messageDays: [120] });
+
+    const result = await privacy.purgeGuildData({ guildId: 'guild-1', channelIds: ['ch-1', 'ch-2'], olderThanDays: 30 });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, conversations: 2, messages: 4 }));
+    expect(await conversationStore.getConversation('old')).toBeNull();
+    expect(await conversationStore.getConversation('by-guild')).toBeNull();
+    expect((await conversationStore.getMessages('mixed')).map(msg => msg.content)).toEqual(['10日前の発言']);
+    expect(await conversationStore.getConversation('other-guild')).not.toBeNull();
+  });
+});
@@ -0,0 +1,133 @@
+// provider-chain.test.js - AIプロバイダーの切り替えと遮断器のテスト
+
+jest.mock('axios');
+
+describe('AIプロバイダーの切り替え', () => {
+  let CircuitBreaker;
+  let ProviderChain;
+  let clock;
+
+  beforeEach(() => {
+    jest.resetModules();
+    CircuitBreaker = require('../services/ai/circuit-breaker');
+    ProviderChain = require('../services/ai/provider-chain');
+    clock = 0;
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = 'test';
+    jest.dontMock('../services/ai/openai-service');
+    jest.dontMock('../services/ai/anthropic-service');
+  });
+
+  test('遮断器は失敗が続くと遮断し、一定時間後に1件だけ試行して結果に応じて戻ること', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000, now: () => clock });
+
+    breaker.recordFailure(new Error('503'));
+    expect(breaker.allowRequest()).toBe(true);
+    breaker.recordFailure(new Error('503'));
+    expect(breaker.getStatus()).toMatchObject({ state: 'open', consecutiveFailures: 2, lastError: '503' });
+    expect(breaker.allowRequest()).toBe(false);
+
+    clock = 1000;
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.allowRequest()).toBe(false);
+    breaker.recordFailure(new Error('まだ落ちている'));
+    expect(breaker.getStatus()).toMatchObject({ state: 'open', nextProbeAt: new Date(2000).toISOString() });
+
+    clock = 2000;
+    expect(breaker.allowRequest()).toBe(true);
+    breaker.recordSuccess();
+    expect(breaker.getStatus()).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+  });
+
+  test('失敗したプロバイダーから次のプロバイダーに切り替え、遮断中のプロバイダーは呼び出さないこと', async () => {
+    const primary = { getResponse: jest.fn().mockRejectedValue(new Error('OpenAI is down')) };
+    const secondary = { getResponse: jest.fn().mockResolvedValue('こんにちは、ボッチーです') };
+    const chain = new ProviderChain([
+      { name: 'openai', provider: primary },
+      { name: 'anthropic', provider: secondary }
+    ], { failureThreshold: 2, resetTimeoutMs: 60000, now: () => clock });
+
+    const first = await chain.run(provider => provider.getResponse({ message: 'こんにちは' }));
+    await chain.run(provider => provider.getResponse({ message: 'こんにちは' }));
+    const third = await chain.run(provider => provider.getResponse({ message: 'こんにちは' }));
+
+    expect(first).toEqual({ result: 'こんにちは、ボッチーです', provider: 'anthropic', fallbackFrom: ['openai'] });
+    expect(third.fallbackFrom).toEqual(['openai']);
+    expect(primary.getResponse).toHaveBeenCalledTimes(2);
+    expect(chain.getActive().name).toBe('anthropic');
+
+    const status = chain.getStatus();
+    expect(status.providers[0]).toMatchObject({ name: 'openai', state: 'open', responses: 0, lastError: 'OpenAI is down' });
+    expect(status.providers[1]).toMatchObject({ name: 'anthropic', state: 'closed', responses: 3 });
+    expect(status.lastAnswer).toMatchObject({ provider: 'anthropic', fallbackFrom: ['openai'] });
+  });
+
+  test('すべてのプロバイダーで失敗した場合や、送信を始めた後の失敗では切り替えずにエラーにすること', async () => {
+    const { ProviderChainError } = ProviderChain;
+    const chain = new ProviderChain([
+      { name: 'openai', provider: { name: 'openai' } },
+      { name: 'gemini', provider: { name: 'gemini' } }
+    ]);
+
+    const allFailed = chain.run(provider => Promise.reject(new Error(`${provider.name} failed`)));
+    await expect(allFailed).rejects.toBeInstanceOf(ProviderChainError);
+    await expect(chain.run(() => Promise.reject(new Error('x')))).rejects.toMatchObject({
+      attempts: [{ provider: 'openai', error: 'x' }, { provider: 'gemini', error: 'x' }]
+    });
+
+    const operation = jest.fn(() => Promise.reject(Object.assign(new Error('stream broken'), { noFailover: true })));
+    await expect(chain.run(operation)).rejects.toThrow('stream broken');
+    expect(operation).toHaveBeenCalledTimes(1);
+
+    const completeText = jest.fn().mockResolvedValue('要約');
+    const filtered = new ProviderChain([
+      { name: 'local', provider: {} },
+      { name: 'openai', provider: { completeText } }
+    ]);
+    await expect(filtered.run(provider => provider.completeText(), { filter: provider => typeof provider.completeText === 'function' }))
+      .resolves.toEqual({ result: '要約', provider: 'openai', fallbackFrom: [] });
+  });
+
+  test('画像の添付やツールを使う前提のリクエストは、対応したプロバイダーにだけ切り替えること', async () => {
+    const createProvider = (capabilities, response) => ({
+      CAPABILITIES: capabilities,
+      isConfigured: () => true,
+      initialize: jest.fn().mockResolvedValue({ initialized: true }),
+      getResponse: response instanceof Error ? jest.fn().mockRejectedValue(response) : jest.fn().mockResolvedValue(response),
+      completeWithTools: jest.fn().mockRejectedValue(new Error('down'))
+    });
+    const openai = createProvider({ vision: true, streaming: false, tools: true }, new Error('down'));
+    const anthropic = createProvider({ vision: false, streaming: false, tools: false }, 'anthropic');
+    jest.doMock('../services/ai/openai-service', () => openai);
+    jest.doMock('../services/ai/anthropic-service', () => anthropic);
+    const aiService = require('../services/ai/ai-service');
+    // テスト環境向けの固定応答を使わずに実際の経路を通す
+    process.env.NODE_ENV = 'production';
+    await aiService.initialize(['openai', 'anthropic']);
+
+    const context = { userId: 'user-1', message: 'この画像を見て' };
+    await expect(aiService.getResponse({ ...context, images: [{ url: 'https://cdn.example/a.png' }] }))
+      .resolves.toBe(aiService.ERROR_MESSAGES.unavailable);
+    const route = await aiService.resolveRoute(context);
+    await expect(aiService.getResponse({ ...context, route })).resolves.toBe(aiService.ERROR_MESSAGES.unavailable);
+    expect(anthropic.getResponse).not.toHaveBeenCalled();
+
+    // 必要な機能がなければ、対応していないプロバイダーにも切り替える
+    await expect(aiService.getResponse(context)).resolves.toBe('anthropic');
+  });
+
+  test('プロバイダーの getResponse はAPIの失敗をエラーとしてスローし、getAIResponse は従来どおりメッセージを返すこと', async () => {
+    process.env.OPENAI_API_KEY = 'openai-key';
+    const axios = require('axios');
+    const openaiService = require('../services/ai/openai-service');
+    const badRequest = Object.assign(new Error('Request failed with status code 400'), { response: { status: 400 } });
+    axios.post.mockRejectedValue(badRequest);
+
+    await expect(openaiService.getResponse({ userId: 'user-1', message: 'こんにちは' })).rejects.toThrow('status code 400');
+    await expect(openaiService.getAIResponse('user-1', 'こんにちは', 'user')).resolves.toBe('🌙 ごめんね、今うまく応えられないみたい。');
+    delete process.env.OPENAI_API_KEY;
+  });
+});
@@ -0,0 +1,88 @@
+// rag-evaluation.test.js - 検索の評価ツールのテスト
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('検索の評価', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bocchy-eval-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.dontMock('../extensions/rag/query-engine');
+    delete process.env.EMBEDDING_DIMENSIONS;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('JSONLのデータセットを読み込み、期待するドキュメントのない質問は拒否すること', () => {
+    const { loadDataset } = require('../extensions/rag/evaluation');
+    const datasetPath = path.join(tempDir, 'questions.jsonl');
+    fs.writeFileSync(datasetPath, '{"question": "休暇の申請方法", "expected": "rules.md"}\n\n{"question": "デプロイ手順", "expected": ["ops.md"]}\n');
+
+    expect(loadDataset(datasetPath)).toEqual({
+      knowledgeDir: null,
+      questions: [
+        { question: '休暇の申請方法', expected: ['rules.md'] },
+        { question: 'デプロイ手順', expected: ['ops.md'] }
+      ]
+    });
+
+    fs.writeFileSync(datasetPath, '{"question": "休暇の申請方法"}\n');
+    expect(() => loadDataset(datasetPath)).toThrow('Invalid dataset entry #1');
+  });
+
+  test('ドキュメント単位の順位から recall@k と MRR を集計すること', async () => {
+    const result = (knowledgeId, source) => ({ knowledgeId, content: source, metadata: { source } });
+    const responses = {
+      '休暇の申請方法': { context: 'あ'.repeat(100), results: [result('k1', 'rules.md'), result('k1', 'rules.md'), result('k2', 'ops.md')] },
+      'デプロイ手順': { context: 'い'.repeat(300), results: [result('k1', 'rules.md'), result('k3', 'faq.md'), result('k2', 'ops.md')] },
+      '社歌の歌詞': { context: '', results: [] }
+    };
+    jest.doMock('../extensions/rag/query-engine', () => ({
+      search: jest.fn(query => Promise.resolve(responses[query])),
+      config: {}
+    }));
+    const { evaluate } = require('../extensions/rag/evaluation');
+
+    const report = await evaluate({
+      questions: [
+        { question: '休暇の申請方法', expected: ['rules.md'] },
+        { question: 'デプロイ手順', expected: ['ops.md'] },
+        { question: '社歌の歌詞', expected: ['song.md'] }
+      ]
+    }, { k: [1, 3] });
+
+    // 同じドキュメントの2つ目のチャンクは順位に数えない
+    expect(report.questions[1]).toMatchObject({ retrieved: ['rules.md', 'faq.md', 'ops.md'], firstRelevantRank: 3 });
+    expect(report.summary.recallAtK).toEqual({ 1: 1 / 3, 3: 2 / 3 });
+    expect(report.summary.mrr).toBeCloseTo((1 + 1 / 3 + 0) / 3);
+    expect(report.summary.context).toMatchObject({ meanLength: 400 / 3, medianLength: 100, maxLength: 300 });
+  });
+
+  test('ローカルの埋め込みでフォルダを取り込んで評価し、JSONを書き出すこと', async () => {
+    process.env.EMBEDDING_DIMENSIONS = '256';
+    fs.mkdirSync(path.join(tempDir, 'docs'));
+    fs.writeFileSync(path.join(tempDir, 'docs', 'errors.md'), '# エラー一覧\n\nERR-4012 はライセンスの期限切れです。\n');
+    fs.writeFileSync(path.join(tempDir, 'docs', 'rules.md'), '# 就業規則\n\n休暇は勤怠ページから申請します。\n');
+    fs.writeFileSync(path.join(tempDir, 'dataset.json'), JSON.stringify({
+      knowledgeDir: 'docs',
+      questions: [{ question: 'ERR-4012 が出ました', expected: ['errors.md'] }]
+    }));
+    const outputPath = path.join(tempDir, 'report.json');
+    const { runCli } = require('../extensions/rag/evaluation');
+
+    const code = await runCli([path.join(tempDir, 'dataset.json'), '--local', `--output=${outputPath}`, '--min-recall=1']);
+
+    expect(code).toBe(0);
+    const report = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    expect(report.config).toMatchObject({ embedder: 'hash', vectorStore: 'memory' });
+    expect(report.summary.recallAtK['5']).toBe(1);
+    expect(console.log.mock.calls[0][0]).toContain('#1    ERR-4012 が出ました');
+  });
+});
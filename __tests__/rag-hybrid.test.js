@@ -0,0 +1,95 @@
+// rag-hybrid.test.js - キーワード検索とハイブリッド検索のテスト
+
+const { tokenize } = require('../utilities/text-tokenizer');
+
+describe('ハイブリッド検索', () => {
+  let knowledgeBase;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    process.env.RAG_EMBEDDING_PROVIDER = 'hash';
+    process.env.RAG_VECTOR_STORE = 'memory';
+    process.env.EMBEDDING_DIMENSIONS = '256';
+    // ベクトル検索ではほぼ何も見つからない閾値にする
+    process.env.RAG_SIMILARITY_THRESHOLD = '0.99';
+    process.env.RAG_QUERY_EXPANSION = 'false';
+
+    knowledgeBase = require('../extensions/rag/knowledge-base');
+    await knowledgeBase.initialize();
+    await knowledgeBase.addDocument('エラー一覧', 'ERR-4012 はライセンスの期限切れです。管理画面から更新してください。');
+    await knowledgeBase.addDocument('就業規則', '休暇は勤怠ページから申請します。申請方法がわからないときは総務に聞いてください。');
+  });
+
+  afterEach(() => {
+    delete process.env.RAG_EMBEDDING_PROVIDER;
+    delete process.env.RAG_VECTOR_STORE;
+    delete process.env.EMBEDDING_DIMENSIONS;
+    delete process.env.RAG_SIMILARITY_THRESHOLD;
+    delete process.env.RAG_QUERY_EXPANSION;
+    jest.dontMock('../extensions/rag/knowledge-base');
+  });
+
+  test('日本語を単語に分け、エラーコードは全体も1語として残すこと', () => {
+    expect(tokenize('休暇の申請方法を教えて')).toEqual(['休暇', '申請', '方法', '教え']);
+    expect(tokenize('ｅｒｒ－４０１２が出ました')).toEqual(expect.arrayContaining(['err', '4012', 'err-4012']));
+  });
+
+  test('ベクトル検索で見つからないエラーコードをキーワード検索で見つけること', async () => {
+    const queryEngine = require('../extensions/rag/query-engine');
+
+    const { results } = await queryEngine.search('ERR-4012が出たときはどうすればいい？');
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ metadata: expect.objectContaining({ title: 'エラー一覧' }) });
+    expect(results[0].similarity).toBeUndefined();
+
+    // ベクトル検索だけでは見つからない
+    queryEngine.config.retrievalMode = 'vector';
+    expect((await queryEngine.search('ERR-4012が出たときはどうすればいい？')).results).toEqual([]);
+  });
+
+  test('ありふれた語だけが一致したチャンクは返さず、削除したドキュメントは索引から外すこと', async () => {
+    // 「方法」だけが一致する就業規則は返さない
+    const results = await knowledgeBase.searchKeywords('ライセンスの更新方法');
+    expect(results.map(result => result.metadata.title)).toEqual(['エラー一覧']);
+
+    const vectorStore = require('../extensions/rag/vector-store');
+    const errors = (await vectorStore.listKnowledge()).find(doc => doc.title === 'エラー一覧');
+    await vectorStore.deleteKnowledge(errors.id);
+
+    expect(await knowledgeBase.searchKeywords('ライセンスの期限切れ')).toEqual([]);
+  });
+
+  test('両方の検索で上位の結果を、片方だけの結果より上に並べること', async () => {
+    const chunk = (content, extra) => ({ content, knowledgeId: content, metadata: {}, ...extra });
+    jest.doMock('../extensions/rag/knowledge-base', () => ({
+      searchKnowledge: jest.fn().mockResolvedValue([chunk('A', { similarity: 0.9 }), chunk('B', { similarity: 0.85 })]),
+      searchKeywords: jest.fn().mockResolvedValue([chunk('C', { keywordScore: 3 }), chunk('B', { keywordScore: 2 })])
+    }));
+    const queryEngine = require('../extensions/rag/query-engine');
+
+    const { results } = await queryEngine.search('検索');
+
+    expect(results.map(result => result.content)).toEqual(['B', 'A', 'C']);
+    expect(results[0]).toMatchObject({ similarity: 0.85, keywordScore: 2 });
+  });
+
+  test('絞り込みで上位の候補が除かれても、範囲内の候補が見つかるまで取得件数を増やすこと', async () => {
+    // 他のサーバーのチャンク 30 件が、このサーバーのチャンクより上位に来る
+    const corpus = [
+      ...Array.from({ length: 30 }, (_, i) => ({ content: `other-${i}`, metadata: { guildId: 'other' }, similarity: 0.99 - i * 0.001 })),
+      { content: 'mine', metadata: { guildId: 'mine' }, similarity: 0.8 }
+    ];
+    const searchKnowledge = jest.fn(async (query, limit) => corpus.slice(0, limit));
+    jest.doMock('../extensions/rag/knowledge-base', () => ({
+      searchKnowledge,
+      searchKeywords: jest.fn().mockResolvedValue([])
+    }));
+    const queryEngine = require('../extensions/rag/query-engine');
+
+    const { results } = await queryEngine.search('検索', { filter: result => result.metadata.guildId === 'mine' });
+
+    expect(results.map(result => result.content)).toEqual(['mine']);
+    expect(searchKnowledge.mock.calls.map(call => call[1])).toEqual([20, 40]);
+  });
+});
@@ -0,0 +1,90 @@
+// rag-ingestion.test.js - ドキュメント取り込みのテスト
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('ドキュメント取り込み', () => {
+  let tempDir;
+  let ingestion;
+  let vectorStore;
+
+  // 保存されているすべてのチャンクを取得する（閾値 -1 で全件を返す）
+  const allChunks = () => vectorStore.similaritySearch(Array.from({ length: 256 }, (_, i) => (i === 0 ? 1 : 0)), 100, -1);
+
+  beforeEach(async () => {
+    jest.resetModules();
+    process.env.RAG_EMBEDDING_PROVIDER = 'hash';
+    process.env.RAG_VECTOR_STORE = 'memory';
+    process.env.EMBEDDING_DIMENSIONS = '256';
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bocchy-ingest-'));
+
+    ingestion = require('../extensions/rag/ingestion');
+    vectorStore = require('../extensions/rag/vector-store');
+    await require('../extensions/rag/knowledge-base').initialize();
+  });
+
+  afterEach(() => {
+    delete process.env.RAG_EMBEDDING_PROVIDER;
+    delete process.env.RAG_VECTOR_STORE;
+    delete process.env.EMBEDDING_DIMENSIONS;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('Markdownを見出しごとに分割し、取り込み元と見出しをチャンクに記録すること', async () => {
+    const markdown = '---\nauthor: team\n---\n# 運用手順\n\n## デプロイ\n\nmainにマージすると自動でデプロイされます。\n\n## ロールバック\n\n前のリリースを再実行します。\n';
+    fs.mkdirSync(path.join(tempDir, 'wiki'));
+    fs.writeFileSync(path.join(tempDir, 'wiki', 'ops.md'), markdown);
+
+    const summary = await ingestion.ingestDirectory(tempDir);
+
+    expect(summary).toMatchObject({ success: true, added: 1, failed: 0 });
+    const [doc] = await vectorStore.listKnowledge({ source: 'wiki/ops.md' });
+    expect(doc).toMatchObject({ title: '運用手順', metadata: expect.objectContaining({ format: 'markdown' }) });
+
+    const chunks = await allChunks();
+    const deploy = chunks.find(chunk => chunk.content.includes('自動でデプロイ'));
+    expect(deploy.metadata).toMatchObject({ source: 'wiki/ops.md', section: '運用手順 > デプロイ' });
+    expect(chunks.some(chunk => chunk.content.includes('author: team'))).toBe(false);
+  });
+
+  test('HTMLからスクリプトやナビゲーションを取り除いて取り込むこと', async () => {
+    const html = '<html><head><title>FAQ</title><style>p{}</style></head><body>'
+      + '<nav>ホーム | 設定</nav><main><h2>休暇の申請</h2><p>申請は&quot;勤怠&quot;ページから行います。</p>'
+      + '<script>alert(1)</script></main><footer>© team</footer></body></html>';
+
+    const result = await ingestion.ingestContent({ name: 'faq.html', data: Buffer.from(html), source: 'faq.html' });
+
+    expect(result).toMatchObject({ success: true, status: 'added' });
+    const [chunk] = await allChunks();
+    expect(chunk.content).toContain('申請は"勤怠"ページから行います。');
+    expect(chunk.content).not.toMatch(/ホーム|alert|© team|p\{\}/);
+    expect(chunk.metadata.section).toBe('休暇の申請');
+  });
+
+  test('CSVの各行を「列名: 値」の形式で取り込むこと', async () => {
+    const csv = '\uFEFF名前,内線,備考\n佐藤,1234,"総務, 経理"\n鈴木,5678,\n';
+
+    await ingestion.ingestContent({ name: 'phones.csv', data: Buffer.from(csv), source: 'phones.csv' });
+
+    const [chunk] = await allChunks();
+    expect(chunk.content).toBe('名前: 佐藤 / 内線: 1234 / 備考: 総務, 経理\n名前: 鈴木 / 内線: 5678');
+  });
+
+  test('再取り込みでは変更のないファイルを読み飛ばし、変更されたファイルを置き換えること', async () => {
+    const filePath = path.join(tempDir, 'notes.txt');
+    fs.writeFileSync(filePath, '会議は毎週月曜日です。');
+    await ingestion.ingestDirectory(tempDir);
+
+    const unchanged = await ingestion.ingestDirectory(tempDir);
+    expect(unchanged).toMatchObject({ added: 0, updated: 0, unchanged: 1 });
+
+    fs.writeFileSync(filePath, '会議は毎週火曜日に変わりました。');
+    const updated = await ingestion.ingestDirectory(tempDir);
+    expect(updated).toMatchObject({ updated: 1, unchanged: 0 });
+
+    expect(await vectorStore.listKnowledge({ source: 'notes.txt' })).toHaveLength(1);
+    const chunks = await allChunks();
+    expect(chunks.map(chunk => chunk.content)).toEqual(['会議は毎週火曜日に変わりました。']);
+  });
+});
@@ -0,0 +1,76 @@
+// rag-local.test.js - ローカルの埋め込み生成とベクトルストアのテスト
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('ローカルRAG（ハッシュ埋め込み・ファイルベクトルストア）', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.RAG_EMBEDDING_PROVIDER = 'hash';
+    process.env.EMBEDDING_DIMENSIONS = '256';
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bocchy-rag-'));
+  });
+
+  afterEach(() => {
+    delete process.env.RAG_EMBEDDING_PROVIDER;
+    delete process.env.EMBEDDING_DIMENSIONS;
+    delete process.env.RAG_VECTOR_STORE;
+    delete process.env.RAG_VECTOR_STORE_PATH;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('ハッシュ埋め込みは同じテキストから同じ正規化ベクトルを生成すること', async () => {
+    const embeddings = require('../extensions/rag/embeddings');
+
+    const first = await embeddings.generateEmbedding('ハーブの育て方');
+    const second = await embeddings.generateEmbedding('ハーブの育て方');
+    const norm = Math.sqrt(first.reduce((sum, value) => sum + value * value, 0));
+
+    expect(first).toHaveLength(256);
+    expect(second).toEqual(first);
+    expect(norm).toBeCloseTo(1, 5);
+  });
+
+  test('インメモリストアで語の重なるチャンクを類似度順に検索できること', async () => {
+    process.env.RAG_VECTOR_STORE = 'memory';
+    const knowledgeBase = require('../extensions/rag/knowledge-base');
+    await knowledgeBase.initialize();
+
+    await knowledgeBase.addDocument('ハーブ', 'バジルとミントは日当たりの良い窓辺で育てると元気に育ちます。', { authorId: 'user-1' });
+    await knowledgeBase.addDocument('焚き火', '焚き火の薪は乾いた広葉樹を選ぶと長く燃えます。');
+
+    const results = await knowledgeBase.searchKnowledge('ミントを育てる場所', 5, 0.1);
+
+    expect(results.length).toBeGreaterThan(0);
+    expect(results[0].content).toContain('ミント');
+    expect(results.every(result => !result.content.includes('焚き火'))).toBe(true);
+  });
+
+  test('ファイルストアは再起動後もドキュメントを保持し、削除でチャンクも消えること', async () => {
+    process.env.RAG_VECTOR_STORE = 'file';
+    process.env.RAG_VECTOR_STORE_PATH = path.join(tempDir, 'knowledge.json');
+    let vectorStore = require('../extensions/rag/vector-store');
+    await vectorStore.initialize();
+
+    const { id } = await vectorStore.addKnowledge('メモ', '森の散歩道', { authorId: 'user-1' });
+    await vectorStore.storeEmbedding('森の散歩道', [1, 0, 0], id, {});
+
+    // モジュールを読み込み直して再起動を再現する
+    jest.resetModules();
+    vectorStore = require('../extensions/rag/vector-store');
+    await vectorStore.initialize();
+
+    expect(await vectorStore.listKnowledge({ authorId: 'user-1' })).toEqual([
+      expect.objectContaining({ id, title: 'メモ' })
+    ]);
+    expect(await vectorStore.similaritySearch([1, 0, 0], 5, 0.5)).toEqual([
+      expect.objectContaining({ knowledge_id: id, content: '森の散歩道', similarity: expect.any(Number) })
+    ]);
+
+    expect(await vectorStore.deleteKnowledge(id)).toBe(1);
+    expect(await vectorStore.similaritySearch([1, 0, 0], 5, 0.5)).toEqual([]);
+  });
+});
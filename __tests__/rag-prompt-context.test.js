@@ -0,0 +1,52 @@
+// rag-prompt-context.test.js - ナレッジベースの検索結果のプロンプト整形のテスト
+
+const { buildKnowledgeSection, formatSourcesFooter } = require('../extensions/rag/prompt-context');
+
+describe('ナレッジのプロンプト整形', () => {
+  const results = [
+    { knowledgeId: 'k1', content: 'mainにマージすると自動でデプロイされます。', metadata: { title: '運用手順', section: '運用手順 > デプロイ' }, similarity: 0.9 },
+    { knowledgeId: 'k2', content: '休暇は勤怠ページから申請します。', metadata: { title: '就業規則', page: 3 }, similarity: 0.8 },
+    { knowledgeId: 'k1', content: '前のリリースを再実行するとロールバックできます。', metadata: { title: '運用手順', section: '運用手順 > ロールバック' }, similarity: 0.7 }
+  ];
+
+  test('同じドキュメントのチャンクに同じラベルを付け、見出しとページ番号を添えること', () => {
+    const { section, sources } = buildKnowledgeSection(results, { tokenBudget: 1000 });
+
+    expect(section).toContain('【ナレッジベース】');
+    expect(section).toContain('[資料1] 運用手順 > デプロイ\nmainにマージすると自動でデプロイされます。');
+    expect(section).toContain('[資料2] 就業規則 (p.3)\n休暇は勤怠ページから申請します。');
+    expect(section).toContain('[資料1] 運用手順 > ロールバック');
+    expect(sources).toEqual([
+      { label: '資料1', title: '運用手順', knowledgeId: 'k1' },
+      { label: '資料2', title: '就業規則', knowledgeId: 'k2' }
+    ]);
+  });
+
+  test('トークン数の上限を超える資料は入れないこと', () => {
+    const long = { knowledgeId: 'k3', content: 'あ'.repeat(500), metadata: { title: '長い資料' }, similarity: 0.95 };
+
+    const { section, sources } = buildKnowledgeSection([long, results[1]], { tokenBudget: 250 });
+
+    expect(section).not.toContain('長い資料');
+    expect(sources).toEqual([{ label: '資料1', title: '就業規則', knowledgeId: 'k2' }]);
+    expect(buildKnowledgeSection([long], { tokenBudget: 250 })).toEqual({ section: '', sources: [] });
+  });
+
+  test('応答で引用された資料だけを参考資料に表示すること', () => {
+    const { sources } = buildKnowledgeSection(results, { tokenBudget: 1000 });
+
+    expect(formatSourcesFooter('休暇は勤怠ページから申請できます[資料2]。', sources))
+      .toBe('\n\n-# 📚 参考資料: [資料2] 就業規則');
+    expect(formatSourcesFooter('こんにちは！', sources)).toBe('');
+  });
+
+  test('Discordのメッセージから取り込んだ資料は元のメッセージにリンクすること', () => {
+    const url = 'https://discord.com/channels/guild-1/faq/m1';
+    const { sources } = buildKnowledgeSection([
+      { knowledgeId: 'k9', content: 'さとう: 休暇の申請はどこから？', metadata: { title: '#faq の会話（2026-10-01）', url }, similarity: 0.9 }
+    ], { tokenBudget: 1000 });
+
+    expect(formatSourcesFooter('勤怠ページから申請できます[資料1]', sources))
+      .toBe(`\n\n-# 📚 参考資料: [資料1] [#faq の会話（2026-10-01）](<${url}>)`);
+  });
+});
@@ -0,0 +1,79 @@
+// rag-rerank.test.js - 検索結果の再ランキングと多様化のテスト
+
+describe('検索結果の再ランキング', () => {
+  let queryEngine;
+  let rerankers;
+  let searchKnowledge;
+
+  const chunk = (content, knowledgeId, similarity) => ({ content, knowledgeId, metadata: { title: knowledgeId }, similarity });
+
+  beforeEach(() => {
+    jest.resetModules();
+    searchKnowledge = jest.fn();
+    jest.doMock('../extensions/rag/knowledge-base', () => ({
+      searchKnowledge,
+      searchKeywords: jest.fn().mockResolvedValue([])
+    }));
+    queryEngine = require('../extensions/rag/query-engine');
+    rerankers = require('../extensions/rag/rerankers');
+    Object.assign(queryEngine.config, { enableQueryExpansion: false, contextStrategy: 'top_k', mmrLambda: 1 });
+  });
+
+  test('LLMの採点で並べ替え、threshold では基準未満の資料を除くこと', async () => {
+    const LLMReranker = require('../extensions/rag/rerankers/llm-reranker');
+    const generate = jest.fn().mockResolvedValue('採点結果: [2, 9, 6]');
+    rerankers.setReranker(new LLMReranker({ generate }));
+    searchKnowledge.mockResolvedValue([
+      chunk('会議室は3階にあります。', 'office', 0.9),
+      chunk('休暇は勤怠ページから申請します。', 'rules', 0.85),
+      chunk('有給休暇は年に20日です。', 'rules-2', 0.8)
+    ]);
+    queryEngine.config.contextStrategy = 'threshold';
+
+    const { results, metadata } = await queryEngine.search('休暇の申請方法');
+
+    expect(generate.mock.calls[0][0].prompt).toContain('【質問】\n休暇の申請方法');
+    expect(generate.mock.calls[0][0].prompt).toContain('[3] rules-2\n有給休暇は年に20日です。');
+    expect(results.map(result => result.knowledgeId)).toEqual(['rules', 'rules-2']);
+    expect(results[0].rerankScore).toBeCloseTo(0.9);
+    expect(metadata.reranked).toBe(true);
+  });
+
+  test('採点結果を読み取れない場合は検索時の順位のまま返すこと', async () => {
+    const LLMReranker = require('../extensions/rag/rerankers/llm-reranker');
+    rerankers.setReranker(new LLMReranker({ generate: jest.fn().mockResolvedValue('どれも関係ありそうです') }));
+    searchKnowledge.mockResolvedValue([chunk('A資料', 'a', 0.9), chunk('B資料', 'b', 0.8)]);
+
+    const { results, metadata } = await queryEngine.search('質問');
+
+    expect(results.map(result => result.knowledgeId)).toEqual(['a', 'b']);
+    expect(metadata.reranked).toBe(false);
+  });
+
+  test('ローカルの採点はクエリの語を多く含むチャンクを上にすること', async () => {
+    rerankers.setReranker(rerankers.createReranker('lexical'));
+    searchKnowledge.mockResolvedValue([
+      chunk('デプロイの前に総務へ連絡します。', 'a', 0.9),
+      chunk('ERR-4012 が出たらライセンスを更新します。', 'b', 0.8)
+    ]);
+
+    const { results } = await queryEngine.search('ERR-4012 の対処方法');
+
+    expect(results.map(result => result.knowledgeId)).toEqual(['b', 'a']);
+    expect(results[1].rerankScore).toBe(0);
+  });
+
+  test('ほぼ同じ内容のチャンクより、別の内容のチャンクを先に選ぶこと', async () => {
+    rerankers.setReranker(null);
+    searchKnowledge.mockResolvedValue([
+      chunk('デプロイはmainにマージすると自動で実行されます。', 'ops', 0.95),
+      chunk('デプロイはmainにマージすると自動で実行されます（再掲）。', 'ops', 0.94),
+      chunk('ロールバックは前のリリースを再実行します。', 'rollback', 0.85)
+    ]);
+    queryEngine.config.mmrLambda = 0.7;
+
+    const { results } = await queryEngine.search('デプロイ');
+
+    expect(results.map(result => result.knowledgeId)).toEqual(['ops', 'rollback', 'ops']);
+  });
+});
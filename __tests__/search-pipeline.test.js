@@ -0,0 +1,101 @@
+// search-pipeline.test.js - 検索の分析から整形までの流れと、呼び出し元ごとの検索結果のテスト
+
+const DEFINITION_FIXTURES = {
+  '量子コンピュータ 意味 定義': {
+    totalResults: 2,
+    items: [
+      { title: '量子コンピュータとは', url: 'https://example.com/quantum', description: '量子力学の性質を使って計算するコンピュータ。' },
+      { title: '量子ビットの仕組み', url: 'https://qubit.example/intro', description: '量子ビットは0と1を重ね合わせて持てる。' }
+    ]
+  },
+  '*': { items: [] }
+};
+
+describe('検索パイプライン', () => {
+  let searchProviders;
+  let FakeProvider;
+  let provider;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.SEARCH_FETCH_PAGES = 'false';
+    jest.doMock('../config/env', () => ({ SEARCH_ENABLED: true, PREFIX: '!', DEBUG: false }));
+    searchProviders = require('../extensions/search-providers');
+    FakeProvider = require('../extensions/search-providers/fake-provider');
+    provider = new FakeProvider({ fixtures: DEFINITION_FIXTURES });
+    searchProviders.setSearchProviders([provider]);
+  });
+
+  afterEach(() => {
+    delete process.env.SEARCH_FETCH_PAGES;
+    jest.dontMock('../config/env');
+  });
+
+  test('クエリを分析・最適化してから検索し、共通の形式の検索結果を返すこと', async () => {
+    const searchService = require('../extensions/search-service');
+    const { QUERY_TYPES } = require('../extensions/search-analyzer');
+
+    const result = await searchService.performSearch('量子コンピュータとは', { useCache: false });
+
+    expect(provider.queries).toEqual(['量子コンピュータ 意味 定義']);
+    expect(result).toMatchObject({
+      success: true,
+      query: '量子コンピュータとは',
+      optimizedQuery: '量子コンピュータ 意味 定義',
+      queryType: QUERY_TYPES.DEFINITION,
+      provider: 'fake',
+      totalResults: 2
+    });
+    expect(result.results[1]).toEqual({
+      index: 2,
+      title: '量子ビットの仕組み',
+      url: 'https://qubit.example/intro',
+      description: '量子ビットは0と1を重ね合わせて持てる。',
+      hostname: 'qubit.example'
+    });
+    expect(result.sourcesList).toBe([
+      '1. [量子コンピュータとは](https://example.com/quantum) - example.com',
+      '2. [量子ビットの仕組み](https://qubit.example/intro) - qubit.example'
+    ].join('\n'));
+  });
+
+  test('検索結果をAI向け・Discord向けに整形し、失敗時も同じ形式を返すこと', async () => {
+    const searchService = require('../extensions/search-service');
+    const { formatSearchResultForDiscord } = require('../extensions/search-processor');
+
+    const forAI = await searchService.provideSearchForAI('量子コンピュータとは');
+    expect(forAI.content).toContain('【情報源2】\nタイトル: 量子ビットの仕組み\n内容: 量子ビットは0と1を重ね合わせて持てる。\n出典: qubit.example');
+    expect(formatSearchResultForDiscord(forAI)).toBe(
+      `🔍 **「量子コンピュータとは」の検索結果**\n\n${forAI.summary}\n\n**情報源**:\n${forAI.sourcesList}`
+    );
+
+    searchProviders.setSearchProviders([new FakeProvider({ fixtures: { '*': { error: 'SERVER_ERROR' } } })]);
+    const failed = await searchService.performSearch('量子ビット', { useCache: false, useMockOnError: false });
+    expect(failed).toMatchObject({ success: false, query: '量子ビット', results: [], sourcesList: '', errorType: 'SERVER_ERROR' });
+    expect(failed.summary).toMatch(/^検索エラー: /);
+  });
+
+  test('検索ハンドラーはメッセージの内容の文字列でも検索し、検索サービスの結果をそのまま返すこと', async () => {
+    const searchHandler = require('../handlers/search-handler');
+
+    const result = await searchHandler.processMessage('量子コンピュータについて調べて');
+
+    expect(provider.queries).toEqual(['量子コンピュータ']);
+    expect(result).toMatchObject({ success: true, query: '量子コンピュータ', provider: 'fake' });
+    expect(Array.isArray(result.results)).toBe(true);
+    expect(searchHandler.getLastSearchResult()).toBe(result);
+  });
+
+  test('AIサービスの検索付き応答は検索結果をコンテキストに入れ、出典を添えること', async () => {
+    const searchService = require('../extensions/search-service');
+    const aiService = require('../services/ai/ai-service');
+    searchService.initialize();
+
+    const searched = await aiService.performSearch('量子コンピュータとは');
+    expect(searched).toMatchObject({ success: true, sourcesList: expect.stringContaining('qubit.example') });
+    expect(searched.content).toContain('【情報源1】');
+
+    const answer = await aiService.getResponseWithSearch({ message: '量子コンピュータとは', contextType: 'guild' });
+    expect(answer).toMatch(/\n\n---\n参考URL:\n1\. \[量子コンピュータとは\]\(https:\/\/example\.com\/quantum\) - example\.com/);
+  });
+});
@@ -0,0 +1,128 @@
+// search-providers.test.js - 検索プロバイダーの切り替えとフォールバックのテスト
+
+const MockAdapter = require('axios-mock-adapter');
+
+describe('検索プロバイダー', () => {
+  let searchProviders;
+  let FakeProvider;
+  let mock;
+
+  beforeEach(() => {
+    jest.resetModules();
+    mock = new MockAdapter(require('axios'));
+    searchProviders = require('../extensions/search-providers');
+    FakeProvider = require('../extensions/search-providers/fake-provider');
+  });
+
+  afterEach(() => {
+    mock.restore();
+    delete process.env.SEARXNG_URL;
+    delete process.env.SEARCH_PROVIDERS;
+  });
+
+  test('利用制限に達したプロバイダーは次のプロバイダーに切り替え、休止中は呼び出さないこと', async () => {
+    const primary = new FakeProvider({ name: 'primary', fixtures: { '*': { error: 'RATE_LIMITED', retryAfter: 600 } } });
+    const secondary = new FakeProvider({ name: 'secondary' });
+    searchProviders.setSearchProviders([primary, secondary]);
+
+    const first = await searchProviders.search('東京タワー');
+    const second = await searchProviders.search('東京タワー', { count: 1 });
+
+    expect(first).toMatchObject({ provider: 'secondary', totalResults: 3 });
+    expect(first.items[1]).toEqual({
+      title: '東京タワー - Wikipedia',
+      url: 'https://ja.wikipedia.org/wiki/東京タワー',
+      description: '東京タワーは、東京都港区芝公園にある総合電波塔。1958年に完成した。',
+      hostname: 'ja.wikipedia.org'
+    });
+    expect(second.items).toHaveLength(1);
+    expect(primary.queries).toEqual(['東京タワー']);
+
+    const [primaryQuota, secondaryQuota] = searchProviders.getQuotaInfo();
+    expect(primaryQuota).toMatchObject({ provider: 'primary', requests: 1, remaining: 0 });
+    expect(Date.parse(primaryQuota.rateLimitedUntil) - Date.now()).toBeGreaterThan(590 * 1000);
+    expect(secondaryQuota).toMatchObject({ requests: 2, rateLimitedUntil: null });
+  });
+
+  test('検索機能の有効・無効は、SEARCH_PROVIDERS に指定した設定済みのプロバイダーで決めること', () => {
+    const load = () => {
+      jest.resetModules();
+      return {
+        config: require('../config/env'),
+        character: require('../extensions/character/character')
+      };
+    };
+    process.env.SEARXNG_URL = 'https://searx.example';
+
+    // SEARCH_PROVIDERS を省略すると google のみを使うため、SearXNG の設定だけでは無効
+    let { config, character } = load();
+    expect(config.SEARCH_ENABLED).toBe(false);
+    expect(character.BASE_CHARACTER_PROMPT).toContain('検索機能(無効)');
+
+    process.env.SEARCH_PROVIDERS = 'google,searxng';
+    ({ config, character } = load());
+    expect(config.SEARCH_ENABLED).toBe(true);
+    expect(character.BASE_CHARACTER_PROMPT).toContain('検索機能(有効)');
+  });
+
+  test('Googleの 403 (dailyLimitExceeded) を利用制限として扱うこと', async () => {
+    const google = searchProviders.createSearchProvider('google', { apiKey: 'key', cseId: 'cse' });
+    mock.onGet('https://www.googleapis.com/customsearch/v1').replyOnce(200, {
+      items: [{ title: '結果', link: 'https://example.com/a', snippet: '説明' }],
+      searchInformation: { totalResults: '42' }
+    });
+    mock.onGet('https://www.googleapis.com/customsearch/v1').replyOnce(403, {
+      error: { errors: [{ reason: 'dailyLimitExceeded' }] }
+    });
+
+    await expect(google.search('テスト')).resolves.toMatchObject({
+      provider: 'google',
+      totalResults: 42,
+      items: [{ title: '結果', url: 'https://example.com/a', description: '説明', hostname: 'example.com' }]
+    });
+    expect(mock.history.get[0].params).toMatchObject({ key: 'key', cx: 'cse', q: 'テスト', lr: 'lang_ja', gl: 'jp' });
+    await expect(google.search('テスト')).rejects.toMatchObject({ type: 'RATE_LIMITED', provider: 'google', statusCode: 403 });
+  });
+
+  test('SearXNG・Brave・Bing の結果を共通の形式にそろえ、Braveの残り回数を記録すること', async () => {
+    const searxng = searchProviders.createSearchProvider('searxng', { baseUrl: 'http://searx.local/' });
+    const brave = searchProviders.createSearchProvider('brave', { apiKey: 'brave-key' });
+    const bing = searchProviders.createSearchProvider('bing', { apiKey: 'bing-key' });
+    mock.onGet('http://searx.local/search').reply(200, {
+      number_of_results: 10,
+      results: [{ title: 'SearXNG', url: 'https://searx.example/1', content: '自前の検索' }]
+    });
+    mock.onGet('https://api.search.brave.com/res/v1/web/search').reply(200, {
+      web: { results: [{ title: 'Brave', url: 'https://brave.example/1', description: 'Braveの結果' }] }
+    }, { 'x-ratelimit-limit': '1, 2000', 'x-ratelimit-remaining': '0, 1500', 'x-ratelimit-reset': '1, 86400' });
+    mock.onGet('https://api.bing.microsoft.com/v7.0/search').reply(200, {
+      webPages: { totalEstimatedMatches: 99, value: [{ name: 'Bing', url: 'https://bing.example/1', snippet: 'Bingの結果' }] }
+    });
+
+    expect((await searxng.search('検索')).items[0]).toMatchObject({ title: 'SearXNG', description: '自前の検索' });
+    expect((await brave.search('検索')).items[0]).toMatchObject({ title: 'Brave', hostname: 'brave.example' });
+    expect(await bing.search('検索')).toMatchObject({ totalResults: 99, items: [{ title: 'Bing', description: 'Bingの結果' }] });
+
+    const [searxRequest, braveRequest, bingRequest] = mock.history.get;
+    expect(searxRequest.params).toMatchObject({ format: 'json', language: 'ja' });
+    expect(braveRequest.headers['X-Subscription-Token']).toBe('brave-key');
+    expect(braveRequest.params).toMatchObject({ search_lang: 'jp', country: 'JP' });
+    expect(bingRequest.params.mkt).toBe('ja-JP');
+    expect(brave.getQuotaInfo()).toMatchObject({ limit: 2000, remaining: 1500 });
+  });
+
+  test('検索サービスは設定したプロバイダーの結果を要約と情報源にすること', async () => {
+    searchProviders.setSearchProviders([new FakeProvider()]);
+    const searchService = require('../extensions/search-service');
+
+    const result = await searchService.performSearch('東京タワー', { useCache: false, fetchPages: false });
+
+    expect(result).toMatchObject({ provider: 'fake', providerLabel: 'Fake Search', query: '東京タワー', totalResults: 3 });
+    expect(result.results[0]).toMatchObject({ index: 1, title: '東京タワー公式サイト', hostname: 'www.tokyotower.co.jp' });
+    expect(result.sourcesList).toContain('1. [東京タワー公式サイト](https://www.tokyotower.co.jp/) - www.tokyotower.co.jp');
+
+    searchProviders.setSearchProviders([new FakeProvider({ fixtures: { '*': { error: 'RATE_LIMITED' } } })]);
+    const limited = await searchService.performSearch('東京タワー', { useCache: false, fetchPages: false });
+    expect(limited).toMatchObject({ success: false, results: [], errorType: 'RATE_LIMITED' });
+  });
+});
@@ -0,0 +1,152 @@
+// slash-commands.test.js - スラッシュコマンド層のテスト
+
+const commandHandler = require('../handlers/command-handler');
+const slashCommands = require('../handlers/slash-commands');
+
+/**
+ * テスト用のコマンドインタラクションを作成
+ */
+function createInteraction(commandName, options = {}, overrides = {}) {
+  const interaction = {
+    id: 'interaction-1',
+    commandName,
+    user: { id: 'user-1' },
+    member: null,
+    guildId: 'guild-1',
+    channelId: 'channel-1',
+    channel: null,
+    createdTimestamp: Date.now(),
+    client: { uptime: 0 },
+    deferred: false,
+    replied: false,
+    isAutocomplete: () => false,
+    isChatInputCommand: () => true,
+    reply: jest.fn().mockResolvedValue(),
+    editReply: jest.fn().mockResolvedValue(),
+    followUp: jest.fn().mockResolvedValue(),
+    deferReply: jest.fn().mockImplementation(async () => { interaction.deferred = true; }),
+    respond: jest.fn().mockResolvedValue(),
+    options: {
+      get: name => (options[name] !== undefined ? { value: options[name] } : null),
+      getUser: () => null,
+      getChannel: () => null,
+      getSubcommand: () => options.subcommand || null,
+      getFocused: () => ({ name: options.focusedName, value: options.focused })
+    },
+    ...overrides
+  };
+  return interaction;
+}
+
+describe('スラッシュコマンド', () => {
+  const execute = jest.fn();
+  const subExecute = jest.fn();
+
+  beforeAll(() => {
+    commandHandler.registerCommand('slashtest', {
+      description: 'テスト用',
+      defer: true,
+      args: [
+        {
+          name: 'query',
+          type: 'string',
+          required: true,
+          rest: true,
+          description: 'キーワード',
+          autocomplete: focused => [focused, `${focused} とは`]
+        }
+      ],
+      execute: (...args) => execute(...args)
+    });
+    commandHandler.registerCommand('slashsub', {
+      description: 'サブコマンドのテスト',
+      permissions: ['Administrator'],
+      guildOnly: true,
+      subcommands: {
+        cooldown: {
+          description: '秒数を設定',
+          args: [{ name: 'seconds', type: 'integer', required: true, min: 0 }],
+          execute: (...args) => subExecute(...args)
+        }
+      }
+    });
+  });
+
+  test('登録済みコマンドの引数スキーマから定義を生成すること', () => {
+    const definitions = slashCommands.buildSlashCommands();
+    const names = definitions.map(def => def.name);
+
+    expect(names).toEqual(expect.arrayContaining(['ping', 'help', 'about', 'status', 'reset', 'now', 'search', 'intervention']));
+
+    const intervention = definitions.find(def => def.name === 'intervention');
+    const modeOption = intervention.options.find(opt => opt.name === 'mode').options[0];
+    expect(modeOption.choices.map(choice => choice.value))
+      .toEqual(['none', 'passive', 'balanced', 'active', 'aggressive']);
+    expect(intervention.default_member_permissions).toBe('8');
+    expect(intervention.dm_permission).toBe(false);
+
+    const search = definitions.find(def => def.name === 'search');
+    expect(search.options[0]).toEqual(expect.objectContaining({ name: 'query', required: true, autocomplete: true }));
+  });
+
+  test('サブコマンドのオプションを検証して共通の実行経路で実行すること', async () => {
+    const interaction = createInteraction('slashsub', { subcommand: 'cooldown', seconds: 30 }, {
+      memberPermissions: { has: () => true },
+      member: { permissions: { has: () => true } }
+    });
+
+    await slashCommands.handleInteraction(interaction);
+
+    expect(subExecute).toHaveBeenCalledWith(
+      expect.objectContaining({ isInteraction: true }),
+      { seconds: 30 },
+      expect.objectContaining({ subcommand: 'cooldown', isSlash: true })
+    );
+  });
+
+  test('権限がない場合は共通の権限チェックで拒否すること', async () => {
+    const interaction = createInteraction('slashsub', { subcommand: 'cooldown', seconds: 30 }, {
+      member: { permissions: { has: () => false } }
+    });
+
+    await slashCommands.handleInteraction(interaction);
+
+    expect(subExecute).not.toHaveBeenCalled();
+    expect(interaction.reply).toHaveBeenCalledWith(expect.stringContaining('Administrator'));
+  });
+
+  test('保留した応答は editReply、以降は followUp で送信すること', async () => {
+    execute.mockImplementation(async (message) => {
+      await message.channel.send('検索中...');
+      await message.reply('結果');
+    });
+    const interaction = createInteraction('slashtest', { query: 'Discord bot' });
+    interaction.editReply.mockImplementation(async () => { interaction.replied = true; });
+
+    await slashCommands.handleInteraction(interaction);
+
+    expect(interaction.deferReply).toHaveBeenCalled();
+    expect(execute).toHaveBeenCalledWith(expect.any(Object), { query: 'Discord bot' }, expect.any(Object));
+    expect(interaction.editReply).toHaveBeenCalledWith('検索中...');
+    expect(interaction.followUp).toHaveBeenCalledWith('結果');
+    expect(interaction.reply).not.toHaveBeenCalled();
+  });
+
+  test('引数スキーマのオートコンプリートで候補を返すこと', async () => {
+    const interaction = createInteraction('slashtest', { focusedName: 'query', focused: '深層学習' }, {
+      isAutocomplete: () => true
+    });
+
+    await slashCommands.handleInteraction(interaction);
+
+    expect(interaction.respond).toHaveBeenCalledWith([
+      { name: '深層学習', value: '深層学習' },
+      { name: '深層学習 とは', value: '深層学習 とは' }
+    ]);
+  });
+
+  test('未知のコマンドは処理しないこと', async () => {
+    const handled = await slashCommands.handleInteraction(createInteraction('unknown'));
+    expect(handled).toBe(false);
+  });
+});
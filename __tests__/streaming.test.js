@@ -0,0 +1,295 @@
+// streaming.test.js - ストリーミング応答のテスト
+
+const { Readable } = require('stream');
+
+jest.mock('axios');
+
+const { readServerSentEvents } = require('../services/ai/stream-utils');
+const { StreamingReply } = require('../handlers/streaming-reply');
+const { splitMessage: splitIntoMessages } = require('../utilities/message-splitter');
+
+/**
+ * SSE形式のバイト列を任意の位置で分割したストリームを作成
+ */
+function createStream(text, chunkSize = 7) {
+  const buffer = Buffer.from(text, 'utf8');
+  const chunks = [];
+  for (let i = 0; i < buffer.length; i += chunkSize) {
+    chunks.push(buffer.subarray(i, i + chunkSize));
+  }
+  return Readable.from(chunks);
+}
+
+/**
+ * テスト用のDiscordメッセージを作成
+ */
+function createMessage() {
+  const sent = [];
+  const createSent = (content) => {
+    const item = {
+      content,
+      edit: jest.fn().mockImplementation(async (next) => { item.content = next; }),
+      delete: jest.fn().mockResolvedValue()
+    };
+    sent.push(item);
+    return item;
+  };
+  return {
+    sent,
+    reply: jest.fn().mockImplementation(async (content) => createSent(content)),
+    channel: { send: jest.fn().mockImplementation(async (content) => createSent(content)) }
+  };
+}
+
+describe('SSEストリームの読み取り', () => {
+  test('チャンク境界で分断されたマルチバイト文字を復元すること', async () => {
+    const body = [
+      'data: {"text":"こんにちは"}',
+      '',
+      'data: {"text":"森の案内人です"}',
+      '',
+      'data: [DONE]',
+      ''
+    ].join('\n');
+    const events = [];
+
+    await readServerSentEvents(createStream(body, 5), event => events.push(event.text));
+
+    expect(events).toEqual(['こんにちは', '森の案内人です']);
+  });
+});
+
+describe('StreamingReply', () => {
+  test('2000文字を超えた分を続きのメッセージに分けること', async () => {
+    const message = createMessage();
+    const reply = new StreamingReply(message, { interval: 0 });
+    const longText = `${'あ'.repeat(1500)}\n${'い'.repeat(1000)}`;
+
+    await reply.start();
+    await reply.finish(longText);
+
+    expect(message.sent).toHaveLength(2);
+    expect(message.sent[0].content).toBe('あ'.repeat(1500));
+    expect(message.sent[1].content).toBe('い'.repeat(1000));
+  });
+
+  test('編集を間引いて生成中のテキストを表示すること', async () => {
+    jest.useFakeTimers();
+    const message = createMessage();
+    const reply = new StreamingReply(message, { interval: 1000 });
+
+    await reply.start();
+    reply.push('森の');
+    reply.push('奥から');
+    reply.push('こんにちは');
+
+    expect(message.sent[0].edit).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(message.sent[0].edit).toHaveBeenCalledTimes(1);
+    expect(message.sent[0].content).toBe('森の奥からこんにちは ▌');
+
+    await reply.finish('森の奥からこんにちは🌿');
+    expect(message.sent[0].content).toBe('森の奥からこんにちは🌿');
+    jest.useRealTimers();
+  });
+
+  test('確定テキストが短くなった場合は余分なメッセージを削除すること', async () => {
+    const message = createMessage();
+    const reply = new StreamingReply(message, { interval: 0, split: text => text.split('|') });
+
+    await reply.start();
+    await reply._render('一|二|三', false);
+    await reply.finish('一');
+
+    expect(message.sent[2].delete).toHaveBeenCalled();
+    expect(message.sent[0].content).toBe('一');
+  });
+
+  test('分割位置は後続のテキストによって変わらないこと', () => {
+    const base = `${'a '.repeat(600)}\n${'b'.repeat(900)}`;
+    const first = splitIntoMessages(`${base}${'c'.repeat(500)}`)[0];
+    const second = splitIntoMessages(`${base}${'c'.repeat(1500)}`)[0];
+    expect(first).toBe(second);
+  });
+});
+
+describe('OpenAI streamResponse', () => {
+  let openaiService;
+  let axios;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.OPENAI_API_KEY = 'test-api-key';
+    axios = require('axios');
+    openaiService = require('../services/ai/openai-service');
+  });
+
+  afterEach(() => {
+    delete process.env.OPENAI_API_KEY;
+  });
+
+  test('テキスト片を逐次渡して全文を返すこと', async () => {
+    const body = [
+      'data: {"choices":[{"delta":{"content":"森の奥から"}}]}',
+      'data: {"choices":[{"delta":{"content":"こんにちは"}}]}',
+      'data: [DONE]',
+      ''
+    ].join('\n\n');
+    axios.post.mockResolvedValue({ data: createStream(body) });
+    const deltas = [];
+
+    const result = await openaiService.streamResponse(
+      { userId: 'user-1', message: 'やあ' },
+      delta => deltas.push(delta)
+    );
+
+    expect(deltas).toEqual(['森の奥から', 'こんにちは']);
+    expect(result).toBe('森の奥からこんにちは');
+    expect(axios.post.mock.calls[0][1].stream).toBe(true);
+    expect(axios.post.mock.calls[0][2].responseType).toBe('stream');
+  });
+
+  test('コンテキストのシステムプロンプトをsystemロールで渡すこと', async () => {
+    axios.post.mockResolvedValue({ data: createStream('data: [DONE]\n\n') });
+
+    await openaiService.streamResponse(
+      { userId: 'user-1', message: 'やあ', systemPrompt: 'あなたはボッチーです。\n【ナレッジベース】' },
+      () => {}
+    );
+
+    expect(axios.post.mock.calls[0][1].messages[0]).toEqual({ role: 'system', content: 'あなたはボッチーです。\n【ナレッジベース】' });
+  });
+});
+
+describe('Anthropic・Gemini のシステムプロンプト', () => {
+  const SYSTEM_PROMPT = 'あなたはボッチーです。\n【ナレッジベース】\n[資料1] 申請ルール';
+  let axios;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.ANTHROPIC_API_KEY = 'anthropic-key';
+    process.env.GEMINI_API_KEY = 'gemini-key';
+    axios = require('axios');
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = 'test';
+    delete process.env.ANTHROPIC_API_KEY;
+    delete process.env.GEMINI_API_KEY;
+  });
+
+  test('Anthropic: 通常の応答とストリーミングでコンテキストのシステムプロンプトを system で渡すこと', async () => {
+    const anthropicService = require('../services/ai/anthropic-service');
+    // テスト環境向けの固定応答を使わずに実際の経路を通す
+    process.env.NODE_ENV = 'production';
+    axios.post
+      .mockResolvedValueOnce({ data: { content: [{ type: 'text', text: '申請は月末までだよ [資料1]' }] } })
+      .mockResolvedValueOnce({ data: createStream('data: {"type":"content_block_delta","delta":{"text":"月末までだよ"}}\n\n') });
+
+    await anthropicService.getResponse({ userId: 'user-1', message: '申請の期限は？', systemPrompt: SYSTEM_PROMPT });
+    await anthropicService.streamResponse({ userId: 'user-2', message: '申請の期限は？', systemPrompt: SYSTEM_PROMPT }, () => {});
+
+    expect(axios.post.mock.calls[0][1].system).toBe(SYSTEM_PROMPT);
+    expect(axios.post.mock.calls[1][1].system).toBe(SYSTEM_PROMPT);
+  });
+
+  test('Gemini: 通常の応答とストリーミングでコンテキストのシステムプロンプトを systemInstruction で渡すこと', async () => {
+    const geminiService = require('../services/ai/gemini-service');
+    axios.post
+      .mockResolvedValueOnce({ data: { candidates: [{ content: { parts: [{ text: '申請は月末までだよ [資料1]' }] } }] } })
+      .mockResolvedValueOnce({ data: createStream('data: {"candidates":[{"content":{"parts":[{"text":"月末までだよ"}]}}]}\n\n') });
+
+    await geminiService.getResponse({ userId: 'user-1', message: '申請の期限は？', systemPrompt: SYSTEM_PROMPT });
+    await geminiService.streamResponse({ userId: 'user-2', message: '申請の期限は？', systemPrompt: SYSTEM_PROMPT }, () => {});
+
+    const expected = { parts: [{ text: SYSTEM_PROMPT }] };
+    expect(axios.post.mock.calls[0][1].systemInstruction).toEqual(expected);
+    expect(axios.post.mock.calls[1][1].systemInstruction).toEqual(expected);
+  });
+});
+
+describe('ツールを使うストリーミング応答', () => {
+  let axios;
+
+  beforeEach(() => {
+    jest.resetModules();
+    axios = require('axios');
+  });
+
+  afterEach(() => {
+    jest.dontMock('../services/ai/openai-service');
+    process.env.NODE_ENV = 'test';
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.ROUTING_RULES_PATH;
+  });
+
+  test('ツールを呼び出している間は待ち、ツール呼び出しのない最後の応答をストリーミングで渡すこと', async () => {
+    const echoTool = {
+      name: 'echo',
+      description: '引数をそのまま返す',
+      parameters: { type: 'object', properties: { text: { type: 'string' } } },
+      isAvailable: () => true,
+      execute: jest.fn(async args => args.text)
+    };
+    const completeWithTools = jest.fn()
+      .mockResolvedValueOnce({ text: '', toolCalls: [{ id: 'call-1', name: 'echo', arguments: { text: '晴れ' } }] })
+      .mockImplementationOnce(async ({ onDelta }) => {
+        onDelta('今日は');
+        onDelta('晴れだよ');
+        return { text: '今日は晴れだよ', toolCalls: [] };
+      });
+    const provider = {
+      CAPABILITIES: { vision: true, streaming: true, tools: true },
+      initialize: jest.fn().mockResolvedValue({ initialized: true }),
+      getResponse: jest.fn().mockResolvedValue('ツールなしの応答'),
+      streamResponse: jest.fn().mockResolvedValue('ツールなしの応答'),
+      completeWithTools
+    };
+    jest.doMock('../services/ai/openai-service', () => provider);
+    process.env.ROUTING_RULES_PATH = '/nonexistent/routing-rules.json';
+    require('../services/ai/tools').setTools([echoTool]);
+    const aiService = require('../services/ai/ai-service');
+
+    // テスト環境向けの固定応答を使わずに実際の経路を通す
+    process.env.NODE_ENV = 'production';
+    await aiService.initialize(['openai']);
+    const deltas = [];
+    const result = await aiService.streamResponse({ userId: 'user-1', message: '天気は？', systemPrompt: 'あなたはボッチーです。' }, delta => deltas.push(delta));
+
+    expect(result).toBe('今日は晴れだよ');
+    expect(deltas).toEqual(['今日は', '晴れだよ']);
+    expect(echoTool.execute).toHaveBeenCalledWith({ text: '晴れ' }, expect.objectContaining({ userId: 'user-1' }));
+    expect(completeWithTools.mock.calls.every(([options]) => typeof options.onDelta === 'function')).toBe(true);
+    expect(provider.getResponse).not.toHaveBeenCalled();
+    expect(provider.streamResponse).not.toHaveBeenCalled();
+  });
+
+  test('OpenAI: ストリームで届いたツール呼び出しの断片をつなげ、テキスト片は逐次渡すこと', async () => {
+    process.env.OPENAI_API_KEY = 'test-api-key';
+    const openaiService = require('../services/ai/openai-service');
+    const toolCallBody = [
+      'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"id":"call-1","function":{"name":"web_search","arguments":"{\\"query\\":"}}]}}]}',
+      'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"\\"東京タワー\\"}"}}]}}]}',
+      'data: [DONE]',
+      ''
+    ].join('\n\n');
+    const answerBody = [
+      'data: {"choices":[{"delta":{"content":"333mだよ"}}]}',
+      'data: [DONE]',
+      ''
+    ].join('\n\n');
+    axios.post.mockResolvedValueOnce({ data: createStream(toolCallBody) }).mockResolvedValueOnce({ data: createStream(answerBody) });
+    const deltas = [];
+    const onDelta = delta => deltas.push(delta);
+
+    await expect(openaiService.completeWithTools({ messages: [{ role: 'user', content: '東京タワーの高さは？' }], tools: [], onDelta }))
+      .resolves.toEqual({ text: '', toolCalls: [{ id: 'call-1', name: 'web_search', arguments: { query: '東京タワー' } }] });
+    await expect(openaiService.completeWithTools({ messages: [{ role: 'user', content: '東京タワーの高さは？' }], tools: [], onDelta }))
+      .resolves.toEqual({ text: '333mだよ', toolCalls: [] });
+    expect(deltas).toEqual(['333mだよ']);
+    expect(axios.post.mock.calls[0][1].stream).toBe(true);
+    expect(axios.post.mock.calls[0][2].responseType).toBe('stream');
+  });
+});
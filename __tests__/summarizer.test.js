@@ -0,0 +1,88 @@
+// summarizer.test.js - 会話の要約のテスト
+
+describe('会話の要約', () => {
+  let memoryManager;
+  let summarizer;
+  let conversationStore;
+  let generator;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    process.env.MEMORY_BACKEND = 'memory';
+    process.env.MEMORY_SUMMARY_TOKEN_BUDGET = '60';
+    process.env.MEMORY_SUMMARY_KEEP_MESSAGES = '2';
+    process.env.MEMORY_PROFILE_ENABLED = 'false';
+
+    memoryManager = require('../extensions/memory/memory-manager');
+    summarizer = require('../extensions/memory/summarizer');
+    conversationStore = require('../extensions/memory/conversation-store');
+
+    generator = jest.fn(async ({ prompt }) => `要約${generator.mock.calls.length}: ${prompt.length}文字分`);
+    summarizer.setGenerator(generator);
+    await memoryManager.initialize();
+  });
+
+  afterEach(() => {
+    delete process.env.MEMORY_BACKEND;
+    delete process.env.MEMORY_SUMMARY_TOKEN_BUDGET;
+    delete process.env.MEMORY_SUMMARY_KEEP_MESSAGES;
+    delete process.env.MEMORY_PROFILE_ENABLED;
+  });
+
+  test('予算内の短い会話は要約しないこと', async () => {
+    await memoryManager.storeConversation('dm-1', 'user-1', 'こんにちは', 'こんにちは🌿');
+
+    const history = await memoryManager.getConversationHistory('dm-1', 10, 'user-1');
+
+    expect(generator).not.toHaveBeenCalled();
+    expect(history.map(item => item.role)).toEqual(['user', 'assistant']);
+  });
+
+  test('予算を超えたら古い発言を要約し、会話メタデータに保存して履歴の先頭に添えること', async () => {
+    await memoryManager.storeConversation('dm-1', 'user-1', '私の名前はミナです。猫を二匹飼っています。', 'ミナさん、猫たちとの暮らしは穏やかそうですね。');
+    await memoryManager.storeConversation('dm-1', 'user-1', '最近は庭でハーブを育てています。', 'ハーブの香りは心を落ち着けてくれますね。');
+
+    expect(generator).toHaveBeenCalledTimes(1);
+    const { prompt } = generator.mock.calls[0][0];
+    expect(prompt).toContain('ユーザー: 私の名前はミナです。');
+    expect(prompt).not.toContain('ハーブ');
+
+    const [conversation] = await conversationStore.findConversations({ userId: 'user-1' });
+    expect(conversation.metadata.summary).toEqual(expect.objectContaining({ text: expect.stringMatching(/^要約1/), messageCount: 2 }));
+
+    const history = await memoryManager.getConversationHistory('dm-1', 10, 'user-1');
+    expect(history[0]).toEqual({ role: 'system', content: expect.stringContaining(summarizer.SUMMARY_HEADER) });
+    // 要約済みの発言は履歴に重ねて含めない
+    expect(history.slice(1).map(item => item.content)).toEqual([
+      '最近は庭でハーブを育てています。',
+      'ハーブの香りは心を落ち着けてくれますね。'
+    ]);
+  });
+
+  test('前回の要約に新しい発言だけを書き足して更新すること', async () => {
+    await memoryManager.storeConversation('dm-1', 'user-1', '私の名前はミナです。猫を二匹飼っています。', 'ミナさん、猫たちとの暮らしは穏やかそうですね。');
+    await memoryManager.storeConversation('dm-1', 'user-1', '最近は庭でハーブを育てています。', 'ハーブの香りは心を落ち着けてくれますね。');
+    await memoryManager.storeConversation('dm-1', 'user-1', '来月は山へ旅行に行く予定です。', '山の空気をたくさん吸ってきてください。');
+
+    expect(generator).toHaveBeenCalledTimes(2);
+    const { prompt } = generator.mock.calls[1][0];
+    expect(prompt).toContain('【既存の要約】\n要約1');
+    expect(prompt).toContain('ハーブ');
+    expect(prompt).not.toContain('猫を二匹');
+
+    const [conversation] = await conversationStore.findConversations({ userId: 'user-1' });
+    expect(conversation.metadata.summary.messageCount).toBe(4);
+  });
+
+  test('要約に失敗しても会話の保存は成功し、要約なしの履歴を返すこと', async () => {
+    generator.mockImplementation(async () => { throw new Error('provider down'); });
+
+    await memoryManager.storeConversation('dm-1', 'user-1', '私の名前はミナです。猫を二匹飼っています。', 'ミナさん、猫たちとの暮らしは穏やかそうですね。');
+    const stored = await memoryManager.storeConversation('dm-1', 'user-1', '最近は庭でハーブを育てています。', 'ハーブの香りは心を落ち着けてくれますね。');
+
+    expect(stored).toBe(true);
+    const history = await memoryManager.getConversationHistory('dm-1', 10, 'user-1');
+    expect(history.every(item => item.role !== 'system')).toBe(true);
+    expect(history).toHaveLength(4);
+  });
+});
@@ -6,6 +6,7 @@
 // 環境変数の読み込み
 require('dotenv').config();
 const searchService = require('../extensions/search-service');
+const { analyzeSearch } = require('../extensions/search-analyzer');
 const logger = require('../system/logger');
 const axios = require('axios');
 
@@ -21,68 +22,41 @@ const colors = {
   cyan: '\x1b[36m'
 };
 
-/**
- * 検索タイプをカラー表示する
- */
-function colorizeQueryType(type) {
-  if (type === true) return `${colors.green}はい${colors.reset}`;
-  if (type === false) return `${colors.red}いいえ${colors.reset}`;
-  return type;
-}
-
 /**
  * テスト用にモックデータを作成（API制限回避用）
  */
-function createMockSearchResult(query, queryType) {
-  // モックデータを作成
+function createMockSearchResult(query) {
+  const analysis = analyzeSearch(query);
+  // モックデータを作成（search-service と同じ形式）
   return {
+    success: true,
     summary: `「${query}」に関する検索結果のモックデータです。API制限のため実際の検索は行われていません。`,
     results: [
       { 
+        index: 1,
         title: "モックタイトル1",
         description: "これはモックの検索結果説明文です。実際のAPIリクエストは行われていません。",
-        url: "https://example.com/result1"
+        url: "https://example.com/result1",
+        hostname: "example.com"
       },
       { 
+        index: 2,
         title: "モックタイトル2",
         description: "これは2つ目のモック検索結果です。API制限回避のためのデータです。",
-        url: "https://example.com/result2"
+        url: "https://example.com/result2",
+        hostname: "example.com"
       }
     ],
-    sources: "[1] モックタイトル1 (example.com)\n[2] モックタイトル2 (example.com)",
+    sourcesList: "1. [モックタイトル1](https://example.com/result1) - example.com\n2. [モックタイトル2](https://example.com/result2) - example.com",
     query: query,
-    queryType: queryType || {
-      isCurrentInfoQuery: false,
-      isDefinitionQuery: false,
-      isHowToQuery: false,
-      isFactCheckQuery: false, 
-      isGeneralInfoQuery: true,
-      isLocalQuery: false,
-      hasSpecificType: true
-    },
+    optimizedQuery: analysis.optimizedQuery,
+    queryType: analysis.queryType,
     totalResults: 2,
     timestamp: new Date().toISOString(),
     isMockData: true
   };
 }
 
-/**
- * クエリタイプを分析（APIエラー時のフォールバック）
- */
-function analyzeQueryTypeLocally(query) {
-  const lowerQuery = query.toLowerCase();
-  
-  return {
-    isCurrentInfoQuery: /最新|今日|最近|ニュース|速報|新型|アップデート|発表/.test(lowerQuery),
-    isDefinitionQuery: /とは|意味|定義|違い|どういう|何(?:です|だ)か|何(?:が|を)/.test(lowerQuery),
-    isHowToQuery: /方法|やり方|手順|使い方|作り方|手続き|仕方|手続|すれば|するには/.test(lowerQuery),
-    isFactCheckQuery: /本当|事実|嘘|ホント|確か|実際|本当に|なのか|であるか/.test(lowerQuery),
-    isGeneralInfoQuery: /情報|まとめ|概要|解説|について|紹介|詳細/.test(lowerQuery),
-    isLocalQuery: /場所|どこ|住所|位置|アクセス|最寄り|近く|周辺|地図/.test(lowerQuery),
-    hasSpecificType: true
-  };
-}
-
 /**
  * APIの診断テスト - より詳細な情報を得るため
  */
@@ -202,25 +176,20 @@ async function testSearchFeature() {
       if (useMockData) {
         // モックデータを使用
         console.log(`${colors.yellow}API問題のためモックデータを使用します${colors.reset}`);
-        // ローカルでクエリタイプを分析
-        const queryType = analyzeQueryTypeLocally(query.text);
         // モックデータを作成
-        results = createMockSearchResult(query.text, queryType);
+        results = createMockSearchResult(query.text);
       } else {
         try {
           // 実際のAPI呼び出しを試みる
           results = await searchService.performSearch(query.text, {
-            count: 5,
             useCache: true,
             useMockOnError: true,
             timeout: 15000 // タイムアウト延長
           });
         } catch (apiError) {
           console.log(`${colors.yellow}API呼び出しエラーのためモックデータを使用します: ${apiError.message}${colors.reset}`);
-          // ローカルでクエリタイプを分析
-          const queryType = analyzeQueryTypeLocally(query.text);
           // モックデータを作成
-          results = createMockSearchResult(query.text, queryType);
+          results = createMockSearchResult(query.text);
         }
       }
       
@@ -229,22 +198,8 @@ async function testSearchFeature() {
       console.log(`\n${colors.green}検索完了 ${results.isMockData ? '(モックデータ)' : ''}(${elapsedTime}ms)${colors.reset}`);
       console.log(`\n${colors.magenta}【クエリタイプ分析】${colors.reset}`);
       
-      // クエリタイプの安全な表示
-      const queryType = results.queryType || { 
-        isDefinitionQuery: false,
-        isCurrentInfoQuery: false,
-        isHowToQuery: false,
-        isFactCheckQuery: false,
-        isGeneralInfoQuery: false,
-        isLocalQuery: false
-      };
-      
-      console.log(`定義系クエリ: ${colorizeQueryType(queryType.isDefinitionQuery)}`);
-      console.log(`時事情報クエリ: ${colorizeQueryType(queryType.isCurrentInfoQuery)}`);
-      console.log(`ハウツークエリ: ${colorizeQueryType(queryType.isHowToQuery)}`);
-      console.log(`事実確認クエリ: ${colorizeQueryType(queryType.isFactCheckQuery)}`);
-      console.log(`一般情報クエリ: ${colorizeQueryType(queryType.isGeneralInfoQuery)}`);
-      console.log(`位置情報クエリ: ${colorizeQueryType(queryType.isLocalQuery)}`);
+      console.log(`クエリタイプ: ${results.queryType}`);
+      console.log(`最適化したクエリ: ${results.optimizedQuery}`);
       
       // 検索結果サマリー
       console.log(`\n${colors.magenta}【検索結果サマリー】${colors.reset}`);
@@ -252,7 +207,7 @@ async function testSearchFeature() {
       
       // 情報源
       console.log(`\n${colors.magenta}【情報源】${colors.reset}`);
-      console.log(results.sources || "情報源はありません");
+      console.log(results.sourcesList || "情報源はありません");
       
       // 結果数
       console.log(`\n${colors.magenta}【統計】${colors.reset}`);
@@ -0,0 +1,239 @@
+// tool-calling.test.js - ツール呼び出し（ツールループとプロバイダーごとの形式の変換）のテスト
+
+jest.mock('axios');
+
+describe('ツールループ', () => {
+  let toolLoop;
+  let echoTool;
+
+  beforeEach(() => {
+    jest.resetModules();
+    toolLoop = require('../services/ai/tools/tool-loop');
+    echoTool = {
+      name: 'echo',
+      description: '引数をそのまま返す',
+      parameters: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+      isAvailable: () => true,
+      execute: jest.fn(async (args, context) => `${context.userId}: ${args.text}`)
+    };
+  });
+
+  afterEach(() => {
+    jest.dontMock('../extensions/rag');
+  });
+
+  test('AIが呼び出したツールを実行して結果を渡し、ツール呼び出しがなくなったら応答を返すこと', async () => {
+    const currentTime = require('../services/ai/tools/current-time');
+    const complete = jest.fn()
+      .mockResolvedValueOnce({
+        text: '',
+        toolCalls: [
+          { id: 'call-1', name: 'current_time', arguments: { timezone: 'Asia/Tokyo' } },
+          { id: 'call-2', name: 'echo', arguments: { text: 'こんにちは' } },
+          { id: 'call-3', name: 'unknown_tool', arguments: {} }
+        ]
+      })
+      .mockResolvedValueOnce({ text: '今日は晴れの日だね 🌿', toolCalls: [] });
+
+    const result = await toolLoop.runToolLoop({
+      complete,
+      systemPrompt: 'あなたはボッチーです。',
+      messages: toolLoop.buildInitialMessages({ message: '今日は何曜日？', additionalContext: '今日は何曜日？' }),
+      tools: [currentTime, echoTool],
+      context: { userId: 'user-1' }
+    });
+
+    expect(result).toMatchObject({ text: '今日は晴れの日だね 🌿', steps: 2, stepLimitReached: false });
+    expect(result.toolCalls.map(call => [call.name, call.isError])).toEqual([
+      ['current_time', false], ['echo', false], ['unknown_tool', true]
+    ]);
+    expect(complete.mock.calls[0][0].tools.map(tool => tool.name)).toEqual(['current_time', 'echo']);
+    expect(complete.mock.calls[0][0].messages[0]).toEqual({ role: 'user', content: '今日は何曜日？', images: [] });
+
+    const [, assistant, timeResult, echoResult, unknownResult] = complete.mock.calls[1][0].messages;
+    expect(assistant.toolCalls).toHaveLength(3);
+    expect(JSON.parse(timeResult.content)).toMatchObject({ timezone: 'Asia/Tokyo', date: expect.stringMatching(/^\d{4}年\d{1,2}月\d{1,2}日\(.+曜日\)$/) });
+    expect(echoResult).toEqual({ role: 'tool', toolCallId: 'call-2', name: 'echo', content: 'user-1: こんにちは', isError: false });
+    expect(unknownResult).toMatchObject({ toolCallId: 'call-3', isError: true });
+  });
+
+  test('上限の回数に達したら、ツールを使わせずにそれまでの結果で答えさせること', async () => {
+    echoTool.execute.mockRejectedValueOnce(new Error('一時的に使えません'));
+    const complete = jest.fn(async ({ toolChoice }) => (toolChoice === 'none'
+      ? { text: '分かった範囲で答えるね', toolCalls: [] }
+      : { text: '', toolCalls: [{ id: 'loop', name: 'echo', arguments: { text: 'もう一度' } }] }));
+
+    const result = await toolLoop.runToolLoop({
+      complete,
+      systemPrompt: '',
+      messages: [{ role: 'user', content: '調べて' }],
+      tools: [echoTool],
+      maxSteps: 2
+    });
+
+    expect(result).toMatchObject({ text: '分かった範囲で答えるね', steps: 3, stepLimitReached: true });
+    expect(complete).toHaveBeenCalledTimes(3);
+    expect(complete.mock.calls[2][0].toolChoice).toBe('none');
+    expect(complete.mock.calls[2][0].messages[2]).toMatchObject({ role: 'tool', content: 'エラー: 一時的に使えません', isError: true });
+  });
+
+  test('web_search ツールは検索パイプラインの結果をAI向けのテキストで返すこと', async () => {
+    process.env.SEARCH_FETCH_PAGES = 'false';
+    const searchProviders = require('../extensions/search-providers');
+    const FakeProvider = require('../extensions/search-providers/fake-provider');
+    searchProviders.setSearchProviders([new FakeProvider()]);
+    require('../extensions/search-service').initialize();
+    const tools = require('../services/ai/tools');
+    const webSearch = tools.createTool('web_search');
+
+    expect(tools.getAvailableTools({}).map(tool => tool.name)).toEqual(['web_search', 'current_time']);
+    const result = await tools.executeToolCall({ id: 'search', name: 'web_search', arguments: { query: '東京タワー' } }, [webSearch]);
+    expect(result.isError).toBe(false);
+    expect(result.content).toContain('【情報源1】\nタイトル: 東京タワー公式サイト');
+
+    const limited = await tools.executeToolCall({ id: 'search', name: 'web_search', arguments: { query: '制限' } }, [webSearch]);
+    expect(limited).toMatchObject({ isError: true, content: expect.stringContaining('利用制限') });
+    delete process.env.SEARCH_FETCH_PAGES;
+  });
+
+  test('kb_search の資料はプロンプトの資料の続きの番号で渡し、応答の末尾の参考資料に加えること', async () => {
+    const search = jest.fn()
+      .mockResolvedValueOnce([{ content: '申請は月末までです。', knowledgeId: 'kb-rules', metadata: { title: '申請ルール' }, similarity: 0.9 }])
+      .mockResolvedValueOnce([{ content: '初回は #welcome で。', knowledgeId: 'kb-guide', metadata: { title: '参加ガイド' }, similarity: 0.8 }]);
+    jest.doMock('../extensions/rag', () => ({ isInitialized: () => true, search }));
+    const kbSearch = require('../services/ai/tools/kb-search');
+    const { formatSourcesFooter } = require('../extensions/rag/prompt-context');
+
+    const complete = jest.fn()
+      .mockResolvedValueOnce({ text: '', toolCalls: [{ id: 'kb-1', name: 'kb_search', arguments: { query: '申請' } }] })
+      .mockResolvedValueOnce({ text: '', toolCalls: [{ id: 'kb-2', name: 'kb_search', arguments: { query: '参加' } }] })
+      .mockResolvedValueOnce({ text: '申請は月末まで [資料2]、参加は #welcome から [資料3] だよ', toolCalls: [] });
+    const knowledgeSources = [{ label: '資料1', title: 'FAQ', knowledgeId: 'kb-faq' }];
+
+    const result = await toolLoop.runToolLoop({
+      complete,
+      systemPrompt: '',
+      messages: [{ role: 'user', content: '申請と参加の方法は？' }],
+      tools: [kbSearch],
+      context: { guildId: 'guild-1', visibleChannelIds: ['2002'], knowledgeSources }
+    });
+
+    expect(search).toHaveBeenCalledWith('申請', { guildId: 'guild-1', channelIds: ['2002'] });
+    const toolResult = complete.mock.calls[1][0].messages[2];
+    expect(toolResult.content).toContain('[資料2] 申請ルール');
+    expect(toolResult).not.toHaveProperty('sources');
+    expect(complete.mock.calls[2][0].messages[4].content).toContain('[資料3] 参加ガイド');
+    expect(result.sources.map(source => [source.label, source.title])).toEqual([['資料2', '申請ルール'], ['資料3', '参加ガイド']]);
+    expect(formatSourcesFooter(result.text, [...knowledgeSources, ...result.sources]))
+      .toBe('\n\n-# 📚 参考資料: [資料2] 申請ルール / [資料3] 参加ガイド');
+  });
+});
+
+describe('プロバイダーごとのツール呼び出しの形式', () => {
+  const TOOLS = [{ name: 'web_search', description: '検索', parameters: { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] } }];
+  const MESSAGES = [
+    { role: 'user', content: '東京タワーの高さは？', images: [] },
+    {
+      role: 'assistant',
+      content: '',
+      toolCalls: [
+        { id: 'call-a', name: 'web_search', arguments: { query: '東京タワー 高さ' } },
+        { id: 'call-b', name: 'web_search', arguments: { query: '東京タワー 完成' } }
+      ]
+    },
+    { role: 'tool', toolCallId: 'call-a', name: 'web_search', content: '333m', isError: false },
+    { role: 'tool', toolCallId: 'call-b', name: 'web_search', content: '検索できませんでした', isError: true }
+  ];
+  let axios;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.OPENAI_API_KEY = 'openai-key';
+    process.env.ANTHROPIC_API_KEY = 'anthropic-key';
+    process.env.GEMINI_API_KEY = 'gemini-key';
+    axios = require('axios');
+  });
+
+  afterEach(() => {
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.ANTHROPIC_API_KEY;
+    delete process.env.GEMINI_API_KEY;
+  });
+
+  test('OpenAI: 引数のJSON文字列を解析し、ツールの結果を tool ロールで渡すこと', async () => {
+    const openaiService = require('../services/ai/openai-service');
+    axios.post.mockResolvedValueOnce({
+      data: {
+        choices: [{
+          message: {
+            content: null,
+            tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'web_search', arguments: '{"query":"東京タワー"}' } }]
+          }
+        }]
+      }
+    });
+
+    const result = await openaiService.completeWithTools({ systemPrompt: 'あなたはボッチーです。', messages: MESSAGES, tools: TOOLS });
+
+    expect(result).toEqual({ text: '', toolCalls: [{ id: 'call_1', name: 'web_search', arguments: { query: '東京タワー' } }] });
+    const request = axios.post.mock.calls[0][1];
+    expect(request.tools).toEqual([{ type: 'function', function: TOOLS[0] }]);
+    expect(request.tool_choice).toBe('auto');
+    expect(request.messages[0]).toEqual({ role: 'system', content: 'あなたはボッチーです。' });
+    expect(request.messages[2].tool_calls[0]).toEqual({
+      id: 'call-a', type: 'function', function: { name: 'web_search', arguments: '{"query":"東京タワー 高さ"}' }
+    });
+    expect(request.messages.slice(3)).toEqual([
+      { role: 'tool', tool_call_id: 'call-a', content: '333m' },
+      { role: 'tool', tool_call_id: 'call-b', content: '検索できませんでした' }
+    ]);
+  });
+
+  test('Anthropic・Gemini: ツール呼び出しを共通の形式にそろえ、続くツールの結果を1つのメッセージにまとめること', async () => {
+    const anthropicService = require('../services/ai/anthropic-service');
+    const geminiService = require('../services/ai/gemini-service');
+    axios.post
+      .mockResolvedValueOnce({
+        data: { content: [{ type: 'text', text: '調べてみるね' }, { type: 'tool_use', id: 'toolu_1', name: 'web_search', input: { query: '東京タワー' } }] }
+      })
+      .mockResolvedValueOnce({
+        data: { candidates: [{ content: { parts: [{ functionCall: { name: 'web_search', args: { query: '東京タワー' } } }] } }] }
+      });
+
+    const anthropicResult = await anthropicService.completeWithTools({ systemPrompt: 'ボッチー', messages: MESSAGES, tools: TOOLS, toolChoice: 'none' });
+    const geminiResult = await geminiService.completeWithTools({ systemPrompt: 'ボッチー', messages: MESSAGES, tools: TOOLS });
+
+    expect(anthropicResult).toEqual({ text: '調べてみるね', toolCalls: [{ id: 'toolu_1', name: 'web_search', arguments: { query: '東京タワー' } }] });
+    expect(geminiResult).toEqual({ text: '', toolCalls: [{ id: 'web_search-0', name: 'web_search', arguments: { query: '東京タワー' } }] });
+
+    const anthropicRequest = axios.post.mock.calls[0][1];
+    expect(anthropicRequest).toMatchObject({
+      system: 'ボッチー',
+      tools: [{ name: 'web_search', description: '検索', input_schema: TOOLS[0].parameters }],
+      tool_choice: { type: 'none' }
+    });
+    expect(anthropicRequest.messages[1].content[1]).toEqual({ type: 'tool_use', id: 'call-b', name: 'web_search', input: { query: '東京タワー 完成' } });
+    expect(anthropicRequest.messages[2]).toEqual({
+      role: 'user',
+      content: [
+        { type: 'tool_result', tool_use_id: 'call-a', content: '333m', is_error: false },
+        { type: 'tool_result', tool_use_id: 'call-b', content: '検索できませんでした', is_error: true }
+      ]
+    });
+
+    const geminiRequest = axios.post.mock.calls[1][1];
+    expect(geminiRequest.systemInstruction).toEqual({ parts: [{ text: 'ボッチー' }] });
+    expect(geminiRequest.tools).toEqual([{ functionDeclarations: TOOLS }]);
+    expect(geminiRequest.contents[1]).toEqual({
+      role: 'model',
+      parts: [
+        { functionCall: { name: 'web_search', args: { query: '東京タワー 高さ' } } },
+        { functionCall: { name: 'web_search', args: { query: '東京タワー 完成' } } }
+      ]
+    });
+    expect(geminiRequest.contents[2].parts).toEqual([
+      { functionResponse: { name: 'web_search', response: { content: '333m' } } },
+      { functionResponse: { name: 'web_search', response: { error: '検索できませんでした' } } }
+    ]);
+  });
+});
@@ -0,0 +1,162 @@
+// user-profile.test.js - ユーザーごとの長期記憶のテスト
+
+describe('ユーザープロフィールの長期記憶', () => {
+  let userProfile;
+  let memoryManager;
+  let generator;
+
+  /**
+   * 抽出結果のJSONを返すように生成関数を設定する
+   */
+  function respondWith(...results) {
+    results.forEach(result => {
+      generator.mockImplementationOnce(async () => `抽出結果です: ${JSON.stringify(result)}`);
+    });
+  }
+
+  beforeEach(async () => {
+    jest.resetModules();
+    process.env.MEMORY_BACKEND = 'memory';
+
+    userProfile = require('../extensions/memory/user-profile');
+    memoryManager = require('../extensions/memory/memory-manager');
+    generator = jest.fn(async () => '{"facts": [], "topic": null}');
+    userProfile.setGenerator(generator);
+    require('../extensions/memory/summarizer').setGenerator(async () => '要約');
+    await memoryManager.initialize();
+  });
+
+  afterEach(() => {
+    delete process.env.MEMORY_BACKEND;
+  });
+
+  test('会話の保存後に事実を抽出し、記録日時と出どころ付きで保存すること', async () => {
+    respondWith({
+      facts: [
+        { category: 'name', value: 'ミナ' },
+        { category: 'interest', value: 'ハーブを育てること' }
+      ],
+      topic: 'ハーブ栽培'
+    });
+
+    await memoryManager.storeConversation('dm-1', 'user-1', 'ミナって呼んでね。最近ハーブを育てています', 'ミナさん、素敵ですね🌿');
+
+    const profile = await memoryManager.getUserProfile('user-1');
+    expect(profile.facts).toEqual([
+      expect.objectContaining({ id: 'f1', category: 'name', value: 'ミナ' }),
+      expect.objectContaining({ id: 'f2', category: 'interest', value: 'ハーブを育てること' })
+    ]);
+    expect(profile.facts[0].source).toEqual(expect.objectContaining({
+      channelId: 'dm-1',
+      conversationId: expect.any(String),
+      excerpt: 'ミナって呼んでね。最近ハーブを育てています'
+    }));
+    expect(profile.facts[0].createdAt).toEqual(expect.any(String));
+    expect(profile.lastTopic).toBe('ハーブ栽培');
+  });
+
+  test('呼び名は新しい値で置き換え、同じ事実は重複させないこと', async () => {
+    respondWith(
+      { facts: [{ category: 'name', value: 'ミナ' }, { category: 'project', value: '絵本の制作' }] },
+      { facts: [{ category: 'name', value: 'みなみ' }, { category: 'project', value: '絵本の制作' }] }
+    );
+
+    await userProfile.updateFromConversation({ userId: 'user-1', channelId: 'dm-1', userMessage: 'ミナです。絵本を作っています', botResponse: '' });
+    await userProfile.updateFromConversation({ userId: 'user-1', channelId: 'dm-1', userMessage: 'やっぱりみなみと呼んでください', botResponse: '' });
+
+    const { facts } = await userProfile.getProfile('user-1');
+    expect(facts.map(fact => [fact.id, fact.value])).toEqual([
+      ['f2', '絵本の制作'],
+      ['f3', 'みなみ']
+    ]);
+  });
+
+  test('短い発言では抽出しないこと', async () => {
+    const result = await userProfile.updateFromConversation({ userId: 'user-1', channelId: 'dm-1', userMessage: 'うん', botResponse: '' });
+
+    expect(result).toEqual({ success: true, added: [] });
+    expect(generator).not.toHaveBeenCalled();
+  });
+
+  test('IDを指定して事実を削除できること', async () => {
+    respondWith({ facts: [{ category: 'other', value: '猫を二匹飼っている' }] });
+    await userProfile.updateFromConversation({ userId: 'user-1', channelId: 'dm-1', userMessage: '猫を二匹飼っています', botResponse: '' });
+
+    expect(await memoryManager.forgetUserFact('user-1', 'f9')).toEqual({ success: false, error: 'Fact not found' });
+
+    const result = await memoryManager.forgetUserFact('user-1', 'f1');
+    expect(result).toEqual(expect.objectContaining({ success: true, fact: expect.objectContaining({ value: '猫を二匹飼っている' }) }));
+    expect((await userProfile.getProfile('user-1')).facts).toEqual([]);
+  });
+
+  test('呼び名を常に含め、発言に関係する事実を優先して選ぶこと', () => {
+    const fact = (id, category, value, updatedAt) => ({ id, category, value, updatedAt });
+    const facts = [
+      fact('f1', 'interest', '登山', '2026-01-03'),
+      fact('f2', 'interest', 'ハーブを育てること', '2026-01-01'),
+      fact('f3', 'name', 'ミナ', '2026-01-01')
+    ];
+
+    const selected = userProfile.selectRelevantFacts(facts, 'ハーブの育て方を教えて', 2);
+
+    expect(selected.map(item => item.id)).toEqual(['f3', 'f2']);
+    expect(userProfile.formatFactsForPrompt(selected)).toBe('【ユーザーについて覚えていること】\n- 呼び名: ミナ\n- 興味: ハーブを育てること\n');
+  });
+
+  test('同じユーザーの更新・削除が同時に届いても、事実を失ったり削除した事実を戻したりしないこと', async () => {
+    const release = [];
+    generator.mockImplementation(() => new Promise(resolve => release.push(resolve)));
+    const answer = value => `{"facts": [{"category": "other", "value": "${value}"}]}`;
+    const update = message => userProfile.updateFromConversation({ userId: 'user-1', channelId: 'dm-1', userMessage: message, botResponse: '' });
+
+    // 2つの更新が同時に抽出を終えても、両方の事実が残る
+    const first = update('猫を二匹飼っています');
+    const second = update('週末は登山に行きます');
+    await new Promise(resolve => setImmediate(resolve));
+    release[0](answer('猫を二匹飼っている'));
+    release[1](answer('登山が好き'));
+    await Promise.all([first, second]);
+    expect((await userProfile.getProfile('user-1')).facts.map(fact => fact.value)).toEqual(['猫を二匹飼っている', '登山が好き']);
+
+    // 抽出中に事実を削除しても、更新で元に戻らない
+    const third = update('ハーブも育てています');
+    await userProfile.forgetFact('user-1', 'f1');
+    release[2](answer('ハーブを育てている'));
+    await third;
+    expect((await userProfile.getProfile('user-1')).facts.map(fact => fact.id)).toEqual(['f2', 'f3']);
+
+    // 抽出中にデータを削除した場合は、抽出した事実を保存しない
+    const fourth = update('最近は陶芸を始めました');
+    await userProfile.runDeletion('user-1', () => require('../extensions/memory/conversation-store').deleteUser('user-1'));
+    release[3](answer('陶芸をしている'));
+    await expect(fourth).resolves.toEqual({ success: true, added: [] });
+    expect((await userProfile.getProfile('user-1')).facts).toEqual([]);
+  });
+
+  test('サーバーでの応答では、DMで覚えた事実と話題を使わないこと', async () => {
+    respondWith(
+      { facts: [{ category: 'other', value: '転職を考えている' }], topic: '転職の相談' },
+      { facts: [{ category: 'interest', value: '登山' }], topic: '山の話' }
+    );
+    await memoryManager.storeConversation('dm-1', 'user-1', '実は転職を考えているんです', 'じっくり考えようね', { isDM: true });
+    await memoryManager.storeConversation('guild-channel', 'user-1', '週末は登山に行きます', '気をつけてね', { isDM: false });
+    await memoryManager.storeConversation('dm-1', 'user-1', 'うん', 'またね', { isDM: true });
+
+    const profile = await memoryManager.getUserProfile('user-1');
+    expect(profile.facts.map(fact => fact.source.dm)).toEqual([true, false]);
+
+    const inGuild = userProfile.scopeProfile(profile, { guildId: 'guild-1', channelIds: ['guild-channel'] });
+    expect(inGuild.facts.map(fact => fact.value)).toEqual(['登山']);
+    expect(inGuild.lastTopic).toBe('山の話');
+    expect(userProfile.scopeProfile(profile, {})).toBe(profile);
+
+    // 最後の話題がDMのものなら、サーバーでは使わない
+    respondWith({ facts: [], topic: '家族の話' });
+    await memoryManager.storeConversation('dm-1', 'user-1', '家族とゆっくり過ごしました', 'よかったね', { isDM: true });
+    expect(userProfile.scopeProfile(await memoryManager.getUserProfile('user-1'), { guildId: 'guild-1' }).lastTopic).toBeNull();
+
+    // DMかどうかの記録がない以前の事実は、このサーバーの閲覧できるチャンネルのものだけ使う
+    const legacy = { facts: [{ id: 'f1', value: '猫', source: { channelId: 'dm-9' } }, { id: 'f2', value: '犬', source: { channelId: 'guild-channel' } }] };
+    expect(userProfile.scopeProfile(legacy, { guildId: 'guild-1', channelIds: ['guild-channel'] }).facts.map(fact => fact.id)).toEqual(['f2']);
+  });
+});
@@ -5,6 +5,7 @@
 
 const dotenv = require('dotenv');
 dotenv.config();
+const searchProviders = require('../extensions/search-providers');
 
 // 文脈介入設定
 const INTERVENTION_MODE = process.env.INTERVENTION_MODE || 'balanced';
@@ -13,10 +14,25 @@ const INTERVENTION_COOLDOWN = parseInt(process.env.INTERVENTION_COOLDOWN || '60'
 
 // AIプロバイダー設定
 const AI_PROVIDER = process.env.AI_PROVIDER || 'openai';
+// 優先順のプロバイダー（カンマ区切り）。先頭のプロバイダーが失敗したら次のプロバイダーに切り替える
+const AI_PROVIDER_CHAIN = (process.env.AI_PROVIDER_CHAIN || AI_PROVIDER).split(',').map(name => name.trim()).filter(Boolean);
 const DM_MESSAGE_HANDLER = process.env.DM_MESSAGE_HANDLER || 'legacy';
 
 // メモリシステム設定
 const MEMORY_ENABLED = process.env.MEMORY_ENABLED === 'true';
+// 記憶システムの保存先 (supabase / sqlite / file / memory)
+const MEMORY_BACKEND = (process.env.MEMORY_BACKEND || 'supabase').toLowerCase();
+// sqlite / file バックエンドの保存先ファイル（未指定の場合は data/ 配下）
+const MEMORY_DB_PATH = process.env.MEMORY_DB_PATH || '';
+// 会話の要約: 未要約の履歴がこのトークン数を超えたら古い発言を要約に畳み込む
+const MEMORY_SUMMARY_ENABLED = process.env.MEMORY_SUMMARY_ENABLED !== 'false';
+const MEMORY_SUMMARY_TOKEN_BUDGET = parseInt(process.env.MEMORY_SUMMARY_TOKEN_BUDGET || '1500', 10);
+// 要約せずにそのまま残す直近のメッセージ数
+const MEMORY_SUMMARY_KEEP_MESSAGES = parseInt(process.env.MEMORY_SUMMARY_KEEP_MESSAGES || '6', 10);
+// ユーザーについての長期的な事実（呼び名・興味など）を会話から抽出して記憶する
+const MEMORY_PROFILE_ENABLED = process.env.MEMORY_PROFILE_ENABLED !== 'false';
+// `!privacy purge` で日数を省略したときの会話データの保存期間（日）
+const PRIVACY_RETENTION_DAYS = parseInt(process.env.PRIVACY_RETENTION_DAYS || '90', 10);
 
 // RAGシステム設定
 const RAG_ENABLED = process.env.RAG_ENABLED === 'true';
@@ -29,14 +45,19 @@ const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY || ''; // 環境変数から
 const GOOGLE_CSE_ID = process.env.GOOGLE_CSE_ID || ''; // 環境変数から読み込み
 
 // Web検索機能の有効/無効設定
-// APIキーとCSE IDの両方が設定されている場合に有効
-const SEARCH_ENABLED = !!(GOOGLE_API_KEY && GOOGLE_CSE_ID);
+// SEARCH_PROVIDERS（デフォルト: google）に指定したプロバイダーのうち、設定がそろっているものがある場合に有効
+const SEARCH_ENABLED = searchProviders.isAvailable();
 
 // 設定のデバッグログ（デバッグモード時のみ）
 if (process.env.DEBUG === 'true') {
-  console.log(`[ENV] Web検索 API設定: GOOGLE_API_KEY=${Boolean(GOOGLE_API_KEY)}, GOOGLE_CSE_ID=${Boolean(GOOGLE_CSE_ID)}, SEARCH_ENABLED=${SEARCH_ENABLED}`);
+  console.log(`[ENV] Web検索 API設定: GOOGLE_API_KEY=${Boolean(GOOGLE_API_KEY)}, GOOGLE_CSE_ID=${Boolean(GOOGLE_CSE_ID)}, SEARCH_PROVIDERS=${process.env.SEARCH_PROVIDERS || 'google'}, SEARCH_ENABLED=${SEARCH_ENABLED}`);
 }
 
+// ストリーミング応答設定（返信を段階的に編集して表示）
+const STREAMING_ENABLED = process.env.STREAMING_ENABLED !== 'false';
+// メッセージ編集の最小間隔（ミリ秒）- Discordのレート制限に配慮
+const STREAM_EDIT_INTERVAL = parseInt(process.env.STREAM_EDIT_INTERVAL || '1500', 10);
+
 // デバッグモード
 const DEBUG = process.env.DEBUG === 'true';
 
@@ -49,6 +70,17 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
 // コマンドプレフィックス
 const PREFIX = process.env.PREFIX || '!';
 
+// ボット管理者のユーザーID（カンマ区切り）
+const ADMIN_IDS = (process.env.ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+// スラッシュコマンド設定
+const SLASH_COMMANDS_ENABLED = process.env.SLASH_COMMANDS_ENABLED !== 'false';
+// 指定するとギルドコマンドとして登録（即時反映、開発用）
+const SLASH_COMMAND_GUILD_ID = process.env.SLASH_COMMAND_GUILD_ID || '';
+
+// MessageContentインテント（特権インテント）の使用有無
+const MESSAGE_CONTENT_INTENT = process.env.MESSAGE_CONTENT_INTENT !== 'false';
+
 // エクスポート
 module.exports = {
   // 文脈介入設定
@@ -58,8 +90,13 @@ module.exports = {
   
   // AIプロバイダー設定
   AI_PROVIDER,
+  AI_PROVIDER_CHAIN,
   DM_MESSAGE_HANDLER,
   
+  // ストリーミング応答設定
+  STREAMING_ENABLED,
+  STREAM_EDIT_INTERVAL,
+  
   // デバッグ設定
   DEBUG,
   
@@ -71,9 +108,20 @@ module.exports = {
   
   // コマンド設定
   PREFIX,
+  ADMIN_IDS,
+  SLASH_COMMANDS_ENABLED,
+  SLASH_COMMAND_GUILD_ID,
+  MESSAGE_CONTENT_INTENT,
   
   // メモリシステム設定
   MEMORY_ENABLED,
+  MEMORY_BACKEND,
+  MEMORY_DB_PATH,
+  MEMORY_SUMMARY_ENABLED,
+  MEMORY_SUMMARY_TOKEN_BUDGET,
+  MEMORY_SUMMARY_KEEP_MESSAGES,
+  MEMORY_PROFILE_ENABLED,
+  PRIVACY_RETENTION_DAYS,
   
   // RAGシステム設定
   RAG_ENABLED,
@@ -23,6 +23,8 @@ const RULES = {
     maxDailyMessages: 100,      // 1日あたりの最大メッセージ数
     maxConcurrentSessions: 3,   // 同時セッション数の制限
     maxAttachmentSize: 5242880, // 添付ファイルの最大サイズ（5MB）
+    maxAttachments: 4,          // 1メッセージで処理する添付ファイル数
+    maxAttachmentTextLength: 8000, // プロンプトに挿入するテキスト添付の最大文字数
   },
 
   // カスタマイズルール
@@ -1,5 +1,9 @@
 // context-manager.js - ボッチーの会話文脈管理モジュール
 const axios = require('axios');
+const summarizer = require('./extensions/memory/summarizer');
+const { estimateTokens } = require('./utilities/token-estimator');
+const textTokenizer = require('./utilities/text-tokenizer');
+const config = require('./config/env');
 
 // 環境変数から設定を読み込む（Supabaseの接続情報）
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -14,6 +18,8 @@ const memoryCache = new Map();
 const CACHE_EXPIRY = 30 * 60 * 1000;  // 30分
 const MAX_CONVERSATION_LENGTH = 20;    // 20ターン
 const MAX_CONTEXT_TOKENS = 4000;       // 4000トークン
+const SUMMARY_ENABLED = config.MEMORY_SUMMARY_ENABLED;
+const SUMMARY_KEEP_MESSAGES = config.MEMORY_SUMMARY_KEEP_MESSAGES; // 要約せずに残す直近のメッセージ数
 
 // 文脈管理の設定
 const IMMEDIATE_CONTEXT_SIZE = 2;      // 直前の会話ペア（質問と回答）
@@ -105,7 +111,7 @@ function calculateMessageSimilarity(msg1, msg2) {
   
   // 共通キーワードの割合を計算
   const commonKeywords = keywords1.filter(k => keywords2.includes(k));
-  const similarity = commonKeywords.length / Math.max(keywords1.length, keywords2.length);
+  const similarity = commonKeywords.length / Math.max(keywords1.length, keywords2.length, 1);
   
   // 会話の役割の関係性を控えめに
   const roleRelationship = 
@@ -122,15 +128,8 @@ function calculateMessageSimilarity(msg1, msg2) {
  * @returns {Array} 抽出されたキーワード配列
  */
 function extractKeywords(text) {
-  // 日本語と英語の両方に対応
-  const words = text.toLowerCase()
-    .replace(/[。、！？]/g, ' ')  // 日本語の句読点を空白に
-    .replace(/[^\w\s\u3040-\u309f\u30a0-\u30ff\u4e00-\u9faf]/g, ' ')  // 特殊文字を空白に
-    .split(/\s+/)
-    .filter(word => word.length > 1);  // 1文字の単語は除外
-  
-  // 重複を除去して返す
-  return [...new Set(words)];
+  // 日本語は辞書で単語に分け、1文字の単語は除外する
+  return textTokenizer.extractKeywords(text).filter(word => word.length > 1);
 }
 
 /**
@@ -252,6 +251,14 @@ async function getConversationHistory(userId, detailed = false, filterByRelevanc
         role: msg.role,
         content: msg.content
       }));
+      
+      // 要約に畳み込み済みの古いメッセージは読み込まない
+      const summarizedCount = conversation.metadata?.summarizedCount || 0;
+      if (summarizedCount > 0) {
+        const systemMessages = conversation.messages.filter(msg => msg.role === 'system');
+        const regularMessages = conversation.messages.filter(msg => msg.role !== 'system');
+        conversation.messages = [...systemMessages, ...regularMessages.slice(summarizedCount)];
+      }
     }
     
     if (filterByRelevance && conversation.messages.length > 0) {
@@ -265,6 +272,15 @@ async function getConversationHistory(userId, detailed = false, filterByRelevanc
       );
     }
     
+    // 保存済みの要約は古いメッセージの代わりにシステムメッセージの直後へ戻す
+    const summary = conversation.metadata?.summary || null;
+    if (summary) {
+      const systemMessages = conversation.messages.filter(msg => msg.role === 'system');
+      const regularMessages = conversation.messages.filter(msg => msg.role !== 'system');
+      const summaryMessage = { ...summarizer.formatSummaryMessage({ text: summary }), isSummary: true };
+      conversation.messages = [...systemMessages, summaryMessage, ...regularMessages];
+    }
+    
     // メモリキャッシュを更新
     const cacheEntry = {
       userId,
@@ -273,6 +289,8 @@ async function getConversationHistory(userId, detailed = false, filterByRelevanc
       lastUpdated: Date.now(),
       messageCount: conversation.messageCount,
       summarized: conversation.metadata?.summarized || false,
+      summary,
+      summarizedCount: conversation.metadata?.summarizedCount || 0,
       contextTokens: estimateTokens(conversation.messages)
     };
     
@@ -321,7 +339,7 @@ async function addMessage(userId, role, content) {
   // メッセージを追加
   if (isSystemMessage) {
     // システムメッセージは先頭に配置
-    if (conversation.messages.length > 0 && conversation.messages[0].role === 'system') {
+    if (conversation.messages.length > 0 && conversation.messages[0].role === 'system' && !conversation.messages[0].isSummary) {
       conversation.messages[0].content = content;
     } else {
       conversation.messages.unshift({ role, content });
@@ -358,6 +376,8 @@ async function addMessage(userId, role, content) {
           messageCount: conversation.messageCount,
           metadata: { 
             summarized: conversation.summarized,
+            summary: conversation.summary || null,
+            summarizedCount: conversation.summarizedCount || 0,
             contextTokens: conversation.contextTokens
           }
         },
@@ -494,68 +514,70 @@ async function clearConversation(userId) {
   return true;
 }
 
+/**
+ * メモリキャッシュ上の会話を取得（Supabaseへの問い合わせや新規作成は行わない）
+ * @param {string} userId - ユーザーID
+ * @returns {Array|null} メッセージ配列、キャッシュがない場合はnull
+ */
+function getCachedConversation(userId) {
+  const cached = memoryCache.get(userId);
+  return cached ? cached.messages.map(msg => ({ ...msg })) : null;
+}
+
 /**
  * 会話の圧縮（要約または削減）
+ * 直近のメッセージを残し、それより古いメッセージはAIで要約して先頭のシステムメッセージにまとめる
+ * 要約に失敗した場合は古いメッセージを削除する
  * @param {string} userId - ユーザーID
  * @param {Object} conversation - 会話オブジェクト
  * @private
  */
 async function compressConversation(userId, conversation) {
-  // システムメッセージを保持
-  const systemMessages = conversation.messages.filter(msg => msg.role === 'system');
+  // システムメッセージを保持（以前の要約は作り直すので除く）
+  const systemMessages = conversation.messages.filter(msg => msg.role === 'system' && !msg.isSummary);
   
   // 残りのメッセージを取得
   const regularMessages = conversation.messages.filter(msg => msg.role !== 'system');
   
-  // 単純に古いメッセージを削除（将来的にはAIによる要約に置き換える）
-  const keepCount = Math.min(regularMessages.length, MAX_CONVERSATION_LENGTH - systemMessages.length);
-  const keptMessages = regularMessages.slice(-keepCount);
+  let keptMessages = null;
+  let summaryMessages = [];
+  
+  if (SUMMARY_ENABLED) {
+    try {
+      const keepCount = Math.min(regularMessages.length, SUMMARY_KEEP_MESSAGES);
+      const olderMessages = regularMessages.slice(0, regularMessages.length - keepCount);
+      
+      if (olderMessages.length > 0) {
+        // 前回の要約に古いメッセージを書き足す
+        conversation.summary = await summarizer.summarizeMessages(conversation.summary || null, olderMessages);
+        conversation.summarizedCount = (conversation.summarizedCount || 0) + olderMessages.length;
+      }
+      if (conversation.summary) {
+        summaryMessages = [{ ...summarizer.formatSummaryMessage({ text: conversation.summary }), isSummary: true }];
+      }
+      keptMessages = regularMessages.slice(regularMessages.length - keepCount);
+    } catch (error) {
+      console.warn('[ContextManager] 会話の要約に失敗したため古いメッセージを削除します:', error.message);
+    }
+  }
+  
+  if (!keptMessages) {
+    // 単純に古いメッセージを削除
+    const keepCount = Math.min(regularMessages.length, MAX_CONVERSATION_LENGTH - systemMessages.length);
+    keptMessages = regularMessages.slice(-keepCount);
+  }
   
   // メッセージを再構成
-  conversation.messages = [...systemMessages, ...keptMessages];
+  conversation.messages = [...systemMessages, ...summaryMessages, ...keptMessages];
   conversation.contextTokens = estimateTokens(conversation.messages);
   conversation.summarized = true;
   
   // メモリキャッシュを更新
   memoryCache.set(userId, conversation);
   
-  // Supabaseが有効な場合はデータベースも更新（この実装では簡略化のため省略）
-  
   return conversation.messages;
 }
 
-/**
- * メッセージのトークン数を概算で見積もる
- * @param {Array} messages - メッセージ配列
- * @private
- */
-function estimateTokens(messages) {
-  let total = 0;
-  
-  for (const msg of messages) {
-    // 簡易推定：英語で1単語≒1.3トークン、日本語で1文字≒1トークン
-    const content = msg.content || '';
-    const hasJapanese = /[\u3000-\u303f\u3040-\u309f\u30a0-\u30ff\uff00-\uff9f\u4e00-\u9faf]/g.test(content);
-    
-    if (hasJapanese) {
-      // 日本語文字が含まれる場合、文字数をほぼそのままトークン数とみなす
-      total += content.length;
-    } else {
-      // 英語の場合、単語数に1.3を掛けて概算
-      const wordCount = content.split(/\s+/).filter(Boolean).length;
-      total += Math.ceil(wordCount * 1.3);
-    }
-    
-    // ロールと構造のオーバーヘッド
-    total += 4;
-  }
-  
-  // 会話構造のオーバーヘッド
-  total += 2;
-  
-  return total;
-}
-
 /**
  * 初期化が完了しているか確認
  * @private
@@ -571,6 +593,7 @@ module.exports = {
   getConversationHistory,
   addMessage,
   clearConversation,
+  getCachedConversation,
   getConfig: () => ({
     useSupabase,
     cacheExpiry: CACHE_EXPIRY,
@@ -8,6 +8,7 @@
 const { Client, GatewayIntentBits, Partials } = require('discord.js');
 const logger = require('../system/logger');
 const config = require('../config/env');
+const slashCommands = require('../handlers/slash-commands');
 
 // Discord.jsクライアントインスタンス
 let client = null;
@@ -25,12 +26,18 @@ function setupClient() {
   const intents = [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages,
-    GatewayIntentBits.MessageContent,
     GatewayIntentBits.DirectMessages,
     GatewayIntentBits.GuildMessageReactions,
     GatewayIntentBits.DirectMessageReactions
   ];
   
+  // MessageContentは特権インテントのため無効化も可能（その場合はスラッシュコマンドのみで操作）
+  if (config.MESSAGE_CONTENT_INTENT) {
+    intents.push(GatewayIntentBits.MessageContent);
+  } else {
+    logger.warn('MessageContent intent is disabled. Prefix commands will not work; use slash commands instead.');
+  }
+  
   // パーシャルを設定（DMなどの部分的なオブジェクトの受信に必要）
   const partials = [
     Partials.Channel,
@@ -64,6 +71,22 @@ function setupEventListeners() {
     
     // ログイン成功メッセージをログに出力
     logger.info(`Connected to ${client.guilds.cache.size} servers, serving ${getTotalUsers()} users`);
+    
+    // スラッシュコマンドを登録
+    if (config.SLASH_COMMANDS_ENABLED) {
+      slashCommands.registerSlashCommands(client);
+    }
+  });
+  
+  // インタラクションイベント（スラッシュコマンド・オートコンプリート）
+  client.on('interactionCreate', async (interaction) => {
+    if (!config.SLASH_COMMANDS_ENABLED) return;
+    
+    try {
+      await slashCommands.handleInteraction(interaction);
+    } catch (error) {
+      logger.error('Error handling interaction:', error);
+    }
   });
   
   // エラーイベント
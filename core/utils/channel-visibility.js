@@ -0,0 +1,26 @@
+/**
+ * チャンネルの閲覧権限を扱うユーティリティ
+ * 
+ * ナレッジベースに取り込んだチャンネルの会話を、閲覧できない人への応答や検索結果に出さないために使う
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+
+/**
+ * 発言者が閲覧できるサーバーのチャンネルのIDを取得する
+ * @param {Object} message - Discordメッセージオブジェクト
+ * @returns {Array<string>} チャンネルID（DMの場合は空）
+ */
+function getVisibleChannelIds(message) {
+  if (!message.guild?.channels?.cache || !message.member) {
+    return [];
+  }
+
+  return [...message.guild.channels.cache.values()]
+    .filter(channel => channel.permissionsFor?.(message.member)?.has(PermissionFlagsBits.ViewChannel))
+    .map(channel => channel.id);
+}
+
+module.exports = {
+  getVisibleChannelIds
+};
@@ -9,7 +9,8 @@
 
 const logger = require('../../system/logger');
 
-// インメモリコンテキストストレージ (将来的にはSupabaseに移行)
+// インメモリコンテキストストレージ（プロセス内のみ。永続化された最後の話題は
+// extensions/memory/user-profile のプロフィールにあり、generateContinuityMessage に渡せる）
 const userContextMap = new Map();
 
 /**
@@ -118,14 +119,23 @@ function getUserContext(userId) {
   }
 }
 
+/**
+ * ユーザーコンテキストを削除
+ * @param {string} userId - ユーザーID
+ * @returns {boolean} 削除した場合はtrue
+ */
+function clearUserContext(userId) {
+  return userContextMap.delete(userId);
+}
+
 /**
  * 前回の対話からの経過時間に基づいたメッセージを生成
  * @param {string} userId - ユーザーID
+ * @param {Object} [context] - lastInteraction と lastTopic を持つコンテキスト（省略時はインメモリのもの）
  * @returns {string|null} 前回の対話があれば、それに基づくメッセージ。なければnull
  */
-function generateContinuityMessage(userId) {
+function generateContinuityMessage(userId, context = getUserContext(userId)) {
   try {
-    const context = getUserContext(userId);
     if (!context || !context.lastInteraction || !context.lastTopic) return null;
     
     const now = new Date();
@@ -157,5 +167,6 @@ module.exports = {
   getFormattedDateTime,
   saveUserContext,
   getUserContext,
+  clearUserContext,
   generateContinuityMessage
 };
\ No newline at end of file
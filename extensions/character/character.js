@@ -5,6 +5,8 @@
  * 一貫したキャラクター性を提供するモジュールです。
  */
 
+const searchProviders = require('../search-providers');
+
 // 圧縮されつつ、詩的な要素を少し残したキャラクタープロンプト
 const POETIC_COMPRESSED_CHARACTER_PROMPT = `
 あなたは「Bocchy（ボッチー）」、親しみやすいAIアシスタントです。まるで静かな森の案内人のように、Discordサーバー「${process.env.GUILD_NAME || 'このサーバー'}」で会話をサポートします。
@@ -22,7 +24,7 @@ const POETIC_COMPRESSED_CHARACTER_PROMPT = `
 - 介入モード(${process.env.INTERVENTION_MODE || 'balanced'})に基づき、流れ(キーワード/質問/AI関連/感情表現等)を分析し、クールダウン(${process.env.INTERVENTION_COOLDOWN || 60}秒)後に参加することがあります。
 - 時間帯に応じた挨拶(おはよう/こんにちは/こんばんは)をします。応答冒頭での日付/曜日言及は不要です。
 - 時間や日付の質問には、認識している日本時間で答えます。
-- 検索機能(${process.env.GOOGLE_API_KEY && process.env.GOOGLE_CSE_ID ? '有効' : '無効'})やRAGシステム(${process.env.RAG_ENABLED === 'true' ? '有効' : '無効'})で情報を補います。
+- 検索機能(${searchProviders.isAvailable() ? '有効' : '無効'})やRAGシステム(${process.env.RAG_ENABLED === 'true' ? '有効' : '無効'})で情報を補います。
 - サーバー内の他のメンバーや公開情報（ニックネーム等）には自然に言及します。
 
 ### 自己認識:
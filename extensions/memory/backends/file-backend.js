@@ -0,0 +1,95 @@
+/**
+ * File Backend - JSONファイルによるストレージバックエンド
+ *
+ * インメモリバックエンドの内容をJSONファイルに書き出して永続化する
+ * 追加の依存パッケージなしでSupabaseなしの永続的な記憶を実現する
+ *
+ * @module extensions/memory/backends/file-backend
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MemoryBackend = require('./memory-backend');
+const logger = require('../../../system/logger');
+
+/**
+ * ファイルバックエンドクラス
+ */
+class FileBackend extends MemoryBackend {
+  /**
+   * @param {Object} options オプション
+   * @param {string} options.filePath 保存先のJSONファイル
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'file';
+    this.persistent = true;
+    this.filePath = options.filePath;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * 保存済みのデータを読み込む
+   * @returns {Promise<boolean>} 初期化成功の場合はtrue
+   */
+  async initialize() {
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+      if (fs.existsSync(this.filePath)) {
+        const saved = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        this.tables = {
+          conversations: saved.conversations || [],
+          messages: saved.messages || [],
+          users: saved.users || []
+        };
+      }
+
+      logger.info(`File memory backend loaded: ${this.filePath}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to load file memory backend: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * ヘルスチェック
+   * @returns {Promise<Object>} ステータス情報
+   */
+  async checkHealth() {
+    try {
+      await fs.promises.access(path.dirname(this.filePath), fs.constants.W_OK);
+      return {
+        status: 'healthy',
+        message: `File backend is working (${this.filePath})`,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        message: `File backend error: ${error.message}`,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * テーブルの内容をファイルに書き出す
+   * 一時ファイルに書いてから置き換えることで、書き込み途中の破損を防ぐ
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _persist() {
+    const snapshot = JSON.stringify(this.tables);
+    // 前回の書き込みが失敗していても、今回の書き込みは実行する
+    this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+    return this.writeQueue;
+  }
+}
+
+module.exports = FileBackend;
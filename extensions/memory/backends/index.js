@@ -0,0 +1,99 @@
+/**
+ * Memory Backends - 記憶システムのストレージバックエンド
+ *
+ * MEMORY_BACKEND 設定に応じて会話履歴の保存先を切り替える
+ * - supabase: Supabase (デフォルト)
+ * - sqlite: ローカルのSQLiteファイル (Node.js 22.5以降)
+ * - file: ローカルのJSONファイル
+ * - memory: プロセス内のみ (再起動で消える)
+ *
+ * どのバックエンドも insertConversation / updateConversation / findConversations /
+ * insertMessage / findMessages / getUser / upsertUser、削除用の deleteConversation /
+ * deleteMessages / deleteUser と initialize / checkHealth を実装する
+ *
+ * @module extensions/memory/backends
+ */
+
+const path = require('path');
+const config = require('../../../config/env');
+const logger = require('../../../system/logger');
+
+// ローカル保存先のデフォルトディレクトリ
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', '..', 'data');
+
+// 利用可能なバックエンド名
+const BACKEND_NAMES = ['supabase', 'sqlite', 'file', 'memory'];
+
+/**
+ * 現在のバックエンドインスタンス
+ * @private
+ */
+let currentBackend = null;
+
+/**
+ * バックエンドを作成する
+ * @param {string} name バックエンド名
+ * @param {Object} options オプション
+ * @param {string} options.filePath sqlite / file バックエンドの保存先
+ * @returns {Object} バックエンドインスタンス
+ */
+function createBackend(name = config.MEMORY_BACKEND, options = {}) {
+  let backendName = BACKEND_NAMES.includes(name) ? name : 'supabase';
+  if (backendName !== name) {
+    logger.warn(`Unknown MEMORY_BACKEND "${name}", using supabase`);
+  }
+
+  const filePath = options.filePath || config.MEMORY_DB_PATH;
+
+  if (backendName === 'sqlite') {
+    const SqliteBackend = require('./sqlite-backend');
+    if (SqliteBackend.isAvailable()) {
+      return new SqliteBackend({ filePath: filePath || path.join(DEFAULT_DATA_DIR, 'memory.sqlite') });
+    }
+    logger.warn('SQLite is not available in this Node.js version, falling back to file backend');
+    backendName = 'file';
+  }
+
+  switch (backendName) {
+    case 'file': {
+      const FileBackend = require('./file-backend');
+      const jsonPath = filePath ? filePath.replace(/\.(sqlite|db)$/, '.json') : path.join(DEFAULT_DATA_DIR, 'memory.json');
+      return new FileBackend({ filePath: jsonPath });
+    }
+    case 'memory': {
+      const MemoryBackend = require('./memory-backend');
+      return new MemoryBackend();
+    }
+    default: {
+      const SupabaseBackend = require('./supabase-backend');
+      return new SupabaseBackend();
+    }
+  }
+}
+
+/**
+ * 現在のバックエンドを取得する（未作成の場合は設定に従って作成）
+ * @returns {Object} バックエンドインスタンス
+ */
+function getBackend() {
+  if (!currentBackend) {
+    currentBackend = createBackend();
+    logger.info(`Memory backend selected: ${currentBackend.name}`);
+  }
+  return currentBackend;
+}
+
+/**
+ * 使用するバックエンドを差し替える（テストや起動時の明示的な切り替え用）
+ * @param {Object|null} backend バックエンドインスタンス（nullの場合は次回取得時に再作成）
+ */
+function setBackend(backend) {
+  currentBackend = backend;
+}
+
+module.exports = {
+  createBackend,
+  getBackend,
+  setBackend,
+  BACKEND_NAMES
+};
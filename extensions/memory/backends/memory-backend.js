@@ -0,0 +1,211 @@
+/**
+ * Memory Backend - インメモリのストレージバックエンド
+ *
+ * プロセス内のみで会話履歴を保持する（再起動で消える）
+ * テストやSupabaseを使わない開発環境向け。ファイルバックエンドの基底にもなる
+ *
+ * @module extensions/memory/backends/memory-backend
+ */
+
+/**
+ * 行が条件に一致するか判定する
+ * @private
+ * @param {Object} row 行データ
+ * @param {Object} filter カラム名と値の組（undefinedの値は無視）
+ * @returns {boolean} 一致する場合はtrue
+ */
+function matches(row, filter) {
+  return Object.entries(filter).every(([key, value]) => value === undefined || row[key] === value);
+}
+
+/**
+ * インメモリバックエンドクラス
+ * conversations / messages / users の3テーブルを migrations/001_memory_tables と同じカラム構成で保持する
+ */
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.persistent = false;
+    this.tables = { conversations: [], messages: [], users: [] };
+  }
+
+  /**
+   * 初期化処理
+   * @returns {Promise<boolean>} 初期化成功の場合はtrue
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * ヘルスチェック
+   * @returns {Promise<Object>} ステータス情報
+   */
+  async checkHealth() {
+    return {
+      status: 'healthy',
+      message: `${this.name} backend is working`,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * 会話を追加する
+   * @param {Object} row 会話データ
+   * @returns {Promise<Object>} 追加された会話
+   */
+  async insertConversation(row) {
+    this.tables.conversations.push({ ...row });
+    await this._persist();
+    return { ...row };
+  }
+
+  /**
+   * 会話を更新する
+   * @param {string} id 会話ID
+   * @param {Object} fields 更新するカラム
+   * @returns {Promise<void>}
+   */
+  async updateConversation(id, fields) {
+    const conversation = this.tables.conversations.find(row => row.id === id);
+    if (conversation) {
+      Object.assign(conversation, fields);
+      await this._persist();
+    }
+  }
+
+  /**
+   * 条件に一致する会話を更新日時の新しい順に取得する
+   * @param {Object} filter カラム名と値の組
+   * @param {Object} options 取得オプション
+   * @param {number} options.limit 取得件数の上限
+   * @returns {Promise<Array>} 会話の配列
+   */
+  async findConversations(filter = {}, options = {}) {
+    const rows = this.tables.conversations
+      .filter(row => matches(row, filter))
+      .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+    return (options.limit ? rows.slice(0, options.limit) : rows).map(row => ({ ...row }));
+  }
+
+  /**
+   * メッセージを追加し、会話のメッセージ数と更新日時を更新する
+   * @param {Object} row メッセージデータ
+   * @returns {Promise<Object>} 追加されたメッセージ
+   */
+  async insertMessage(row) {
+    this.tables.messages.push({ ...row });
+    const conversation = this.tables.conversations.find(c => c.id === row.conversation_id);
+    if (conversation) {
+      conversation.message_count = (conversation.message_count || 0) + 1;
+      conversation.updated_at = row.timestamp;
+    }
+    await this._persist();
+    return { ...row };
+  }
+
+  /**
+   * 会話のメッセージを古い順に取得する
+   * @param {string} conversationId 会話ID
+   * @param {Object} options 取得オプション
+   * @param {number} options.limit 取得件数の上限
+   * @param {number} options.offset オフセット
+   * @param {string[]} options.roles 役割フィルタ
+   * @param {boolean} options.latest trueの場合は最新のlimit件を取得する
+   * @returns {Promise<Array>} メッセージの配列
+   */
+  async findMessages(conversationId, options = {}) {
+    const { limit = 50, offset = 0, roles, latest = false } = options;
+    let rows = this.tables.messages.filter(row =>
+      row.conversation_id === conversationId &&
+      (!roles || roles.length === 0 || roles.includes(row.role))
+    );
+
+    rows = latest
+      ? rows.slice(Math.max(0, rows.length - offset - limit), rows.length - offset)
+      : rows.slice(offset, offset + limit);
+
+    return rows.map(row => ({ ...row }));
+  }
+
+  /**
+   * ユーザーを取得する
+   * @param {string} id ユーザーID
+   * @returns {Promise<Object|null>} ユーザー情報
+   */
+  async getUser(id) {
+    const user = this.tables.users.find(row => row.id === id);
+    return user ? { ...user } : null;
+  }
+
+  /**
+   * ユーザーを追加または更新する
+   * @param {Object} row ユーザーデータ
+   * @returns {Promise<Object>} 保存されたユーザー情報
+   */
+  async upsertUser(row) {
+    const index = this.tables.users.findIndex(user => user.id === row.id);
+    if (index >= 0) {
+      this.tables.users[index] = { ...this.tables.users[index], ...row };
+    } else {
+      this.tables.users.push({ ...row });
+    }
+    await this._persist();
+    return this.getUser(row.id);
+  }
+
+  /**
+   * 会話とそのメッセージを削除する
+   * @param {string} id 会話ID
+   * @returns {Promise<number>} 削除したメッセージ数
+   */
+  async deleteConversation(id) {
+    const before = this.tables.messages.length;
+    this.tables.messages = this.tables.messages.filter(row => row.conversation_id !== id);
+    this.tables.conversations = this.tables.conversations.filter(row => row.id !== id);
+    await this._persist();
+    return before - this.tables.messages.length;
+  }
+
+  /**
+   * 会話のメッセージのうち、指定日時より古いものを削除し、会話のメッセージ数を更新する
+   * @param {string} conversationId 会話ID
+   * @param {Object} options 削除オプション
+   * @param {string} options.before この日時 (ISO 8601) より前のメッセージを削除
+   * @returns {Promise<number>} 削除したメッセージ数
+   */
+  async deleteMessages(conversationId, options = {}) {
+    const isTarget = row => row.conversation_id === conversationId && row.timestamp < options.before;
+    const deleted = this.tables.messages.filter(isTarget).length;
+    if (deleted === 0) return 0;
+
+    this.tables.messages = this.tables.messages.filter(row => !isTarget(row));
+    const conversation = this.tables.conversations.find(row => row.id === conversationId);
+    if (conversation) {
+      conversation.message_count = this.tables.messages.filter(row => row.conversation_id === conversationId).length;
+    }
+    await this._persist();
+    return deleted;
+  }
+
+  /**
+   * ユーザーを削除する
+   * @param {string} id ユーザーID
+   * @returns {Promise<boolean>} 削除した場合はtrue
+   */
+  async deleteUser(id) {
+    const before = this.tables.users.length;
+    this.tables.users = this.tables.users.filter(row => row.id !== id);
+    await this._persist();
+    return this.tables.users.length < before;
+  }
+
+  /**
+   * 変更を永続化する（インメモリでは何もしない）
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _persist() {}
+}
+
+module.exports = MemoryBackend;
@@ -0,0 +1,344 @@
+/**
+ * SQLite Backend - SQLiteによるストレージバックエンド
+ *
+ * Node.js組み込みの node:sqlite (Node.js 22.5以降) を使用し、
+ * migrations/001_memory_tables と同じ conversations / messages / users テーブルをローカルのDBファイルに保存する
+ *
+ * @module extensions/memory/backends/sqlite-backend
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../../system/logger');
+
+/**
+ * node:sqlite モジュールを読み込む（非対応のNode.jsではnull）
+ * @private
+ * @returns {Object|null} node:sqlite モジュール
+ */
+function loadSqlite() {
+  try {
+    return require('node:sqlite');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * テーブル定義（migrations/001_memory_tables のスキーマをSQLite向けにしたもの）
+ * @private
+ */
+const SCHEMA_SQL = `
+CREATE TABLE IF NOT EXISTS conversations (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  channel_id TEXT,
+  guild_id TEXT,
+  metadata TEXT DEFAULT '{}',
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  message_count INTEGER DEFAULT 0,
+  is_active INTEGER DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+  id TEXT PRIMARY KEY,
+  conversation_id TEXT REFERENCES conversations(id) ON DELETE CASCADE,
+  role TEXT NOT NULL,
+  content TEXT NOT NULL,
+  metadata TEXT DEFAULT '{}',
+  timestamp TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  platform TEXT NOT NULL DEFAULT 'discord',
+  metadata TEXT DEFAULT '{}',
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  settings TEXT DEFAULT '{}'
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_user_id ON conversations(user_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_channel_id ON conversations(channel_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_is_active ON conversations(is_active);
+CREATE INDEX IF NOT EXISTS idx_message_conversation_id ON messages(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_message_timestamp ON messages(timestamp);
+`;
+
+// JSONとして保存するカラム
+const JSON_COLUMNS = ['metadata', 'settings'];
+
+// 検索条件に使用できる会話テーブルのカラム
+const CONVERSATION_FILTER_COLUMNS = ['id', 'user_id', 'channel_id', 'guild_id', 'is_active'];
+
+/**
+ * JavaScriptの値をSQLiteに保存できる値に変換する
+ * @private
+ */
+function toColumnValue(key, value) {
+  if (JSON_COLUMNS.includes(key)) return JSON.stringify(value || {});
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value === undefined ? null : value;
+}
+
+/**
+ * SQLiteの行をJavaScriptのオブジェクトに変換する
+ * @private
+ */
+function fromRow(row) {
+  if (!row) return null;
+  const result = { ...row };
+  for (const key of JSON_COLUMNS) {
+    if (typeof result[key] === 'string') {
+      try {
+        result[key] = JSON.parse(result[key]);
+      } catch (error) {
+        result[key] = {};
+      }
+    }
+  }
+  if ('is_active' in result) result.is_active = result.is_active === 1;
+  return result;
+}
+
+/**
+ * SQLiteバックエンドクラス
+ */
+class SqliteBackend {
+  /**
+   * @param {Object} options オプション
+   * @param {string} options.filePath DBファイルのパス
+   */
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.persistent = true;
+    this.filePath = options.filePath;
+    this.db = null;
+  }
+
+  /**
+   * 実行環境でSQLiteが利用できるか
+   * @returns {boolean} 利用できる場合はtrue
+   */
+  static isAvailable() {
+    return loadSqlite() !== null;
+  }
+
+  /**
+   * DBを開き、テーブルを作成する
+   * @returns {Promise<boolean>} 初期化成功の場合はtrue
+   */
+  async initialize() {
+    if (this.db) return true;
+
+    try {
+      const sqlite = loadSqlite();
+      if (!sqlite) {
+        throw new Error('node:sqlite is not available in this Node.js version');
+      }
+
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      this.db = new sqlite.DatabaseSync(this.filePath);
+      this.db.exec('PRAGMA foreign_keys = ON;');
+      this.db.exec(SCHEMA_SQL);
+
+      logger.info(`SQLite memory backend opened: ${this.filePath}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to open SQLite memory backend: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * ヘルスチェック
+   * @returns {Promise<Object>} ステータス情報
+   */
+  async checkHealth() {
+    try {
+      if (!this.db) throw new Error('Database is not opened');
+      this.db.prepare('SELECT id FROM conversations LIMIT 1').all();
+      return {
+        status: 'healthy',
+        message: `SQLite backend is working (${this.filePath})`,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        message: `SQLite backend error: ${error.message}`,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * 行を挿入する
+   * @private
+   * @param {string} table テーブル名
+   * @param {Object} row 行データ
+   */
+  _insert(table, row) {
+    const keys = Object.keys(row);
+    const placeholders = keys.map(() => '?').join(', ');
+    this.db
+      .prepare(`INSERT INTO ${table} (${keys.join(', ')}) VALUES (${placeholders})`)
+      .run(...keys.map(key => toColumnValue(key, row[key])));
+  }
+
+  /**
+   * 会話を追加する
+   * @param {Object} row 会話データ
+   * @returns {Promise<Object>} 追加された会話
+   */
+  async insertConversation(row) {
+    this._insert('conversations', row);
+    return { ...row };
+  }
+
+  /**
+   * 会話を更新する
+   * @param {string} id 会話ID
+   * @param {Object} fields 更新するカラム
+   * @returns {Promise<void>}
+   */
+  async updateConversation(id, fields) {
+    const keys = Object.keys(fields);
+    if (keys.length === 0) return;
+    this.db
+      .prepare(`UPDATE conversations SET ${keys.map(key => `${key} = ?`).join(', ')} WHERE id = ?`)
+      .run(...keys.map(key => toColumnValue(key, fields[key])), id);
+  }
+
+  /**
+   * 条件に一致する会話を更新日時の新しい順に取得する
+   * @param {Object} filter カラム名と値の組
+   * @param {Object} options 取得オプション（limit）
+   * @returns {Promise<Array>} 会話の配列
+   */
+  async findConversations(filter = {}, options = {}) {
+    const conditions = [];
+    const params = [];
+    for (const [key, value] of Object.entries(filter)) {
+      if (value === undefined || !CONVERSATION_FILTER_COLUMNS.includes(key)) continue;
+      conditions.push(`${key} = ?`);
+      params.push(toColumnValue(key, value));
+    }
+
+    let sql = 'SELECT * FROM conversations';
+    if (conditions.length > 0) sql += ` WHERE ${conditions.join(' AND ')}`;
+    sql += ' ORDER BY updated_at DESC';
+    if (options.limit) {
+      sql += ' LIMIT ?';
+      params.push(options.limit);
+    }
+
+    return this.db.prepare(sql).all(...params).map(fromRow);
+  }
+
+  /**
+   * メッセージを追加し、会話のメッセージ数と更新日時を更新する
+   * @param {Object} row メッセージデータ
+   * @returns {Promise<Object>} 追加されたメッセージ
+   */
+  async insertMessage(row) {
+    this._insert('messages', row);
+    this.db
+      .prepare('UPDATE conversations SET message_count = message_count + 1, updated_at = ? WHERE id = ?')
+      .run(row.timestamp, row.conversation_id);
+    return { ...row };
+  }
+
+  /**
+   * 会話のメッセージを古い順に取得する
+   * @param {string} conversationId 会話ID
+   * @param {Object} options 取得オプション（limit, offset, roles, latest）
+   * @returns {Promise<Array>} メッセージの配列
+   */
+  async findMessages(conversationId, options = {}) {
+    const { limit = 50, offset = 0, roles, latest = false } = options;
+    const params = [conversationId];
+    let sql = 'SELECT * FROM messages WHERE conversation_id = ?';
+
+    if (roles && roles.length > 0) {
+      sql += ` AND role IN (${roles.map(() => '?').join(', ')})`;
+      params.push(...roles);
+    }
+
+    sql += ` ORDER BY timestamp ${latest ? 'DESC' : 'ASC'}, rowid ${latest ? 'DESC' : 'ASC'} LIMIT ? OFFSET ?`;
+    params.push(limit, offset);
+
+    const rows = this.db.prepare(sql).all(...params).map(fromRow);
+    return latest ? rows.reverse() : rows;
+  }
+
+  /**
+   * ユーザーを取得する
+   * @param {string} id ユーザーID
+   * @returns {Promise<Object|null>} ユーザー情報
+   */
+  async getUser(id) {
+    return fromRow(this.db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+  }
+
+  /**
+   * ユーザーを追加または更新する
+   * @param {Object} row ユーザーデータ
+   * @returns {Promise<Object>} 保存されたユーザー情報
+   */
+  async upsertUser(row) {
+    const existing = await this.getUser(row.id);
+    if (existing) {
+      const keys = Object.keys(row).filter(key => key !== 'id');
+      if (keys.length > 0) {
+        this.db
+          .prepare(`UPDATE users SET ${keys.map(key => `${key} = ?`).join(', ')} WHERE id = ?`)
+          .run(...keys.map(key => toColumnValue(key, row[key])), row.id);
+      }
+    } else {
+      const now = new Date().toISOString();
+      this._insert('users', { platform: 'discord', created_at: now, updated_at: now, ...row });
+    }
+    return this.getUser(row.id);
+  }
+
+  /**
+   * 会話とそのメッセージを削除する
+   * @param {string} id 会話ID
+   * @returns {Promise<number>} 削除したメッセージ数
+   */
+  async deleteConversation(id) {
+    const { changes } = this.db.prepare('DELETE FROM messages WHERE conversation_id = ?').run(id);
+    this.db.prepare('DELETE FROM conversations WHERE id = ?').run(id);
+    return Number(changes);
+  }
+
+  /**
+   * 会話のメッセージのうち、指定日時より古いものを削除し、会話のメッセージ数を更新する
+   * @param {string} conversationId 会話ID
+   * @param {Object} options 削除オプション（before: ISO 8601 の日時）
+   * @returns {Promise<number>} 削除したメッセージ数
+   */
+  async deleteMessages(conversationId, options = {}) {
+    const { changes } = this.db
+      .prepare('DELETE FROM messages WHERE conversation_id = ? AND timestamp < ?')
+      .run(conversationId, options.before);
+    this.db
+      .prepare('UPDATE conversations SET message_count = (SELECT COUNT(*) FROM messages WHERE conversation_id = ?) WHERE id = ?')
+      .run(conversationId, conversationId);
+    return Number(changes);
+  }
+
+  /**
+   * ユーザーを削除する
+   * @param {string} id ユーザーID
+   * @returns {Promise<boolean>} 削除した場合はtrue
+   */
+  async deleteUser(id) {
+    const { changes } = this.db.prepare('DELETE FROM users WHERE id = ?').run(id);
+    return Number(changes) > 0;
+  }
+}
+
+module.exports = SqliteBackend;
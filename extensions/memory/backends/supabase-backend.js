@@ -0,0 +1,255 @@
+/**
+ * Supabase Backend - Supabaseによるストレージバックエンド
+ *
+ * supabase-client.js を通じて conversations / messages / users テーブルを操作する
+ *
+ * @module extensions/memory/backends/supabase-backend
+ */
+
+const supabase = require('../supabase-client');
+
+/**
+ * Supabaseバックエンドクラス
+ */
+class SupabaseBackend {
+  constructor() {
+    this.name = 'supabase';
+    this.persistent = true;
+  }
+
+  /**
+   * テーブル名を取得する
+   * @private
+   * @param {string} table テーブル種別
+   * @returns {string} 設定されたテーブル名
+   */
+  _table(table) {
+    return supabase.getTableName(table);
+  }
+
+  /**
+   * 接続を確認する
+   * @returns {Promise<boolean>} 初期化成功の場合はtrue
+   */
+  async initialize() {
+    const health = await supabase.checkHealth();
+    return health.status === 'healthy';
+  }
+
+  /**
+   * ヘルスチェック
+   * @returns {Promise<Object>} ステータス情報
+   */
+  async checkHealth() {
+    return supabase.checkHealth();
+  }
+
+  /**
+   * 会話を追加する
+   * @param {Object} row 会話データ
+   * @returns {Promise<Object>} 追加された会話
+   */
+  async insertConversation(row) {
+    const { data, error } = await supabase.getClient()
+      .from(this._table('conversations'))
+      .insert(row)
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  }
+
+  /**
+   * 会話を更新する
+   * @param {string} id 会話ID
+   * @param {Object} fields 更新するカラム
+   * @returns {Promise<void>}
+   */
+  async updateConversation(id, fields) {
+    const { error } = await supabase.getClient()
+      .from(this._table('conversations'))
+      .update(fields)
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+
+  /**
+   * 条件に一致する会話を更新日時の新しい順に取得する
+   * @param {Object} filter カラム名と値の組
+   * @param {Object} options 取得オプション（limit）
+   * @returns {Promise<Array>} 会話の配列
+   */
+  async findConversations(filter = {}, options = {}) {
+    let query = supabase.getClient()
+      .from(this._table('conversations'))
+      .select('*');
+
+    for (const [key, value] of Object.entries(filter)) {
+      if (value !== undefined) {
+        query = query.eq(key, value);
+      }
+    }
+
+    query = query.order('updated_at', { ascending: false });
+    if (options.limit) {
+      query = query.limit(options.limit);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * メッセージを追加し、会話のメッセージ数と更新日時を更新する
+   * @param {Object} row メッセージデータ
+   * @returns {Promise<Object>} 追加されたメッセージ
+   */
+  async insertMessage(row) {
+    const client = supabase.getClient();
+
+    const { data, error } = await client
+      .from(this._table('messages'))
+      .insert(row)
+      .select();
+
+    if (error) throw error;
+
+    // increment_counter 関数で次のメッセージ数を取得して更新
+    const { data: count } = await client.rpc('increment_counter', { row_id: row.conversation_id });
+    await this.updateConversation(row.conversation_id, {
+      ...(typeof count === 'number' ? { message_count: count } : {}),
+      updated_at: row.timestamp
+    });
+
+    return data[0];
+  }
+
+  /**
+   * 会話のメッセージを古い順に取得する
+   * @param {string} conversationId 会話ID
+   * @param {Object} options 取得オプション（limit, offset, roles, latest）
+   * @returns {Promise<Array>} メッセージの配列
+   */
+  async findMessages(conversationId, options = {}) {
+    const { limit = 50, offset = 0, roles, latest = false } = options;
+
+    let query = supabase.getClient()
+      .from(this._table('messages'))
+      .select('*')
+      .eq('conversation_id', conversationId);
+
+    if (roles && roles.length > 0) {
+      query = query.in('role', roles);
+    }
+
+    query = query
+      .order('timestamp', { ascending: !latest })
+      .range(offset, offset + limit - 1);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return latest ? (data || []).reverse() : (data || []);
+  }
+
+  /**
+   * ユーザーを取得する
+   * @param {string} id ユーザーID
+   * @returns {Promise<Object|null>} ユーザー情報
+   */
+  async getUser(id) {
+    const { data, error } = await supabase.getClient()
+      .from(this._table('users'))
+      .select('*')
+      .eq('id', id)
+      .limit(1);
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * ユーザーを追加または更新する
+   * @param {Object} row ユーザーデータ
+   * @returns {Promise<Object>} 保存されたユーザー情報
+   */
+  async upsertUser(row) {
+    const { data, error } = await supabase.getClient()
+      .from(this._table('users'))
+      .upsert({ ...row, updated_at: row.updated_at || new Date().toISOString() })
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  }
+
+  /**
+   * 会話とそのメッセージを削除する
+   * @param {string} id 会話ID
+   * @returns {Promise<number>} 削除したメッセージ数
+   */
+  async deleteConversation(id) {
+    const client = supabase.getClient();
+
+    const { data, error } = await client
+      .from(this._table('messages'))
+      .delete()
+      .eq('conversation_id', id)
+      .select('id');
+    if (error) throw error;
+
+    const { error: conversationError } = await client
+      .from(this._table('conversations'))
+      .delete()
+      .eq('id', id);
+    if (conversationError) throw conversationError;
+
+    return (data || []).length;
+  }
+
+  /**
+   * 会話のメッセージのうち、指定日時より古いものを削除し、会話のメッセージ数を更新する
+   * @param {string} conversationId 会話ID
+   * @param {Object} options 削除オプション（before: ISO 8601 の日時）
+   * @returns {Promise<number>} 削除したメッセージ数
+   */
+  async deleteMessages(conversationId, options = {}) {
+    const client = supabase.getClient();
+
+    const { data, error } = await client
+      .from(this._table('messages'))
+      .delete()
+      .eq('conversation_id', conversationId)
+      .lt('timestamp', options.before)
+      .select('id');
+    if (error) throw error;
+
+    const { count, error: countError } = await client
+      .from(this._table('messages'))
+      .select('id', { count: 'exact', head: true })
+      .eq('conversation_id', conversationId);
+    if (countError) throw countError;
+
+    await this.updateConversation(conversationId, { message_count: count || 0 });
+    return (data || []).length;
+  }
+
+  /**
+   * ユーザーを削除する
+   * @param {string} id ユーザーID
+   * @returns {Promise<boolean>} 削除した場合はtrue
+   */
+  async deleteUser(id) {
+    const { data, error } = await supabase.getClient()
+      .from(this._table('users'))
+      .delete()
+      .eq('id', id)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+}
+
+module.exports = SupabaseBackend;
@@ -1,27 +1,41 @@
 /**
  * Conversation Store - 会話履歴の永続化と取得を管理
  * 
- * Supabaseを使用して会話履歴を保存・取得する機能を提供します
+ * ストレージバックエンド (MEMORY_BACKEND) を使用して会話履歴を保存・取得する機能を提供します
  * 会話セッション、メッセージ履歴、コンテキスト情報などを管理
  * 
  * @module extensions/memory/conversation-store
  */
 
-const supabase = require('./supabase-client');
+const backends = require('./backends');
 const logger = require('../../system/logger');
 const { v4: uuidv4 } = require('uuid');
 
 /**
- * 会話テーブル名
- * @private
+ * ストレージバックエンドを初期化する
+ * @returns {Promise<boolean>} 初期化成功の場合はtrue
  */
-const CONVERSATIONS_TABLE = supabase.getTableName('conversations');
+async function initialize() {
+  return backends.getBackend().initialize();
+}
+
+/**
+ * ストレージバックエンドのヘルスチェック
+ * @returns {Promise<Object>} ヘルスステータス情報
+ */
+async function checkHealth() {
+  const backend = backends.getBackend();
+  const health = await backend.checkHealth();
+  return { ...health, backend: backend.name };
+}
 
 /**
- * メッセージテーブル名
- * @private
+ * 使用中のストレージバックエンド名を取得する
+ * @returns {string} バックエンド名
  */
-const MESSAGES_TABLE = supabase.getTableName('messages');
+function getBackendName() {
+  return backends.getBackend().name;
+}
 
 /**
  * 新しい会話セッションを作成する
@@ -34,8 +48,6 @@ const MESSAGES_TABLE = supabase.getTableName('messages');
  */
 async function createConversation(sessionData) {
   try {
-    const client = supabase.getClient();
-    
     const conversationData = {
       id: uuidv4(),
       user_id: sessionData.userId,
@@ -48,15 +60,10 @@ async function createConversation(sessionData) {
       is_active: true
     };
     
-    const { data, error } = await client
-      .from(CONVERSATIONS_TABLE)
-      .insert(conversationData)
-      .select();
-    
-    if (error) throw error;
+    const conversation = await backends.getBackend().insertConversation(conversationData);
     
     logger.debug(`Created new conversation: ${conversationData.id}`);
-    return data[0];
+    return conversation;
   } catch (error) {
     logger.error(`Failed to create conversation: ${error.message}`);
     throw error;
@@ -74,8 +81,6 @@ async function createConversation(sessionData) {
  */
 async function addMessage(messageData) {
   try {
-    const client = supabase.getClient();
-    
     // 入力データを検証
     if (!messageData.conversationId || !messageData.role || !messageData.content) {
       throw new Error('Missing required message data (conversationId, role, or content)');
@@ -90,25 +95,11 @@ async function addMessage(messageData) {
       timestamp: new Date().toISOString()
     };
     
-    // メッセージを保存
-    const { data, error } = await client
-      .from(MESSAGES_TABLE)
-      .insert(message)
-      .select();
-    
-    if (error) throw error;
-    
-    // 会話のメッセージカウントと更新日時を更新
-    await client
-      .from(CONVERSATIONS_TABLE)
-      .update({
-        message_count: client.rpc('increment_counter', { row_id: messageData.conversationId }),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', messageData.conversationId);
+    // メッセージを保存（会話のメッセージカウントと更新日時もバックエンドで更新）
+    const saved = await backends.getBackend().insertMessage(message);
     
     logger.debug(`Added message to conversation ${messageData.conversationId}`);
-    return data[0];
+    return saved;
   } catch (error) {
     logger.error(`Failed to add message: ${error.message}`);
     throw error;
@@ -122,76 +113,98 @@ async function addMessage(messageData) {
  * @param {number} options.limit 取得するメッセージ数の上限 (デフォルト: 50)
  * @param {number} options.offset オフセット (ページネーション用)
  * @param {string[]} options.roles 取得するメッセージの役割フィルタ (例: ['user', 'assistant'])
+ * @param {boolean} options.latest trueの場合は最新のlimit件を取得 (並びは古い順のまま)
  * @returns {Promise<Array>} メッセージの配列
  */
 async function getMessages(conversationId, options = {}) {
   try {
-    const client = supabase.getClient();
-    const limit = options.limit || 50;
-    const offset = options.offset || 0;
-    
-    let query = client
-      .from(MESSAGES_TABLE)
-      .select('*')
-      .eq('conversation_id', conversationId)
-      .order('timestamp', { ascending: true })
-      .range(offset, offset + limit - 1);
-    
-    // 役割でフィルタリングする場合
-    if (options.roles && Array.isArray(options.roles) && options.roles.length > 0) {
-      query = query.in('role', options.roles);
-    }
-    
-    const { data, error } = await query;
-    
-    if (error) throw error;
-    
-    return data;
+    return await backends.getBackend().findMessages(conversationId, {
+      limit: options.limit || 50,
+      offset: options.offset || 0,
+      // 役割でフィルタリングする場合
+      roles: Array.isArray(options.roles) ? options.roles : undefined,
+      latest: options.latest === true
+    });
   } catch (error) {
     logger.error(`Failed to get messages: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * 条件に一致する会話を更新日時の新しい順に取得する
+ * @param {Object} filter フィルター条件 (指定した項目のみで絞り込む)
+ * @param {string} filter.id 会話ID (任意)
+ * @param {string} filter.userId ユーザーID (任意)
+ * @param {string} filter.channelId チャンネルID (任意)
+ * @param {string} filter.guildId サーバーID (任意)
+ * @param {boolean} filter.isActive アクティブな会話のみ (任意)
+ * @param {number} limit 取得件数の上限 (任意)
+ * @returns {Promise<Array>} 会話の配列
+ */
+async function findConversations(filter = {}, limit) {
+  try {
+    return await backends.getBackend().findConversations({
+      id: filter.id || undefined,
+      user_id: filter.userId || undefined,
+      channel_id: filter.channelId || undefined,
+      guild_id: filter.guildId || undefined,
+      is_active: filter.isActive
+    }, { limit });
+  } catch (error) {
+    logger.error(`Failed to find conversations: ${error.message}`);
+    throw error;
+  }
+}
+
 /**
  * アクティブな会話を取得する
  * @param {Object} filter フィルター条件
- * @param {string} filter.userId ユーザーID
+ * @param {string} filter.userId ユーザーID (任意)
  * @param {string} filter.channelId チャンネルID (任意)
  * @param {string} filter.guildId サーバーID (任意)
  * @returns {Promise<Object|null>} 会話情報、または存在しない場合はnull
  */
 async function getActiveConversation(filter) {
   try {
-    const client = supabase.getClient();
-    
-    let query = client
-      .from(CONVERSATIONS_TABLE)
-      .select('*')
-      .eq('user_id', filter.userId)
-      .eq('is_active', true);
-    
-    if (filter.channelId) {
-      query = query.eq('channel_id', filter.channelId);
-    }
-    
-    if (filter.guildId) {
-      query = query.eq('guild_id', filter.guildId);
-    }
-    
-    query = query.order('updated_at', { ascending: false }).limit(1);
-    
-    const { data, error } = await query;
-    
-    if (error) throw error;
-    
-    return data && data.length > 0 ? data[0] : null;
+    const conversations = await findConversations({ ...filter, isActive: true }, 1);
+    return conversations.length > 0 ? conversations[0] : null;
   } catch (error) {
     logger.error(`Failed to get active conversation: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * 会話を取得する
+ * @param {string} conversationId 会話ID
+ * @returns {Promise<Object|null>} 会話情報、または存在しない場合はnull
+ */
+async function getConversation(conversationId) {
+  const conversations = await findConversations({ id: conversationId }, 1);
+  return conversations.length > 0 ? conversations[0] : null;
+}
+
+/**
+ * 会話のメタデータを更新する（指定したキーのみ上書き）
+ * @param {string} conversationId 会話ID
+ * @param {Object} fields 上書きするメタデータ
+ * @returns {Promise<Object|null>} 更新後のメタデータ、会話が存在しない場合はnull
+ */
+async function updateConversationMetadata(conversationId, fields) {
+  try {
+    const conversation = await getConversation(conversationId);
+    if (!conversation) return null;
+
+    const metadata = { ...(conversation.metadata || {}), ...fields };
+    await backends.getBackend().updateConversation(conversationId, { metadata });
+    return metadata;
+  } catch (error) {
+    logger.error(`Failed to update conversation metadata: ${error.message}`);
+    throw error;
+  }
+}
+
 /**
  * 会話を不活性化する（アーカイブ）
  * @param {string} conversationId 会話ID
@@ -199,14 +212,7 @@ async function getActiveConversation(filter) {
  */
 async function deactivateConversation(conversationId) {
   try {
-    const client = supabase.getClient();
-    
-    const { error } = await client
-      .from(CONVERSATIONS_TABLE)
-      .update({ is_active: false })
-      .eq('id', conversationId);
-    
-    if (error) throw error;
+    await backends.getBackend().updateConversation(conversationId, { is_active: false });
     
     logger.debug(`Deactivated conversation: ${conversationId}`);
     return true;
@@ -216,6 +222,65 @@ async function deactivateConversation(conversationId) {
   }
 }
 
+/**
+ * 会話とそのメッセージを削除する
+ * @param {string} conversationId 会話ID
+ * @returns {Promise<number>} 削除したメッセージ数
+ */
+async function deleteConversation(conversationId) {
+  try {
+    const deleted = await backends.getBackend().deleteConversation(conversationId);
+    logger.debug(`Deleted conversation ${conversationId} (${deleted} messages)`);
+    return deleted;
+  } catch (error) {
+    logger.error(`Failed to delete conversation: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * 会話のメッセージのうち、指定日時より古いものを削除する
+ * 要約には削除したメッセージの内容が含まれるため、メッセージを削除した場合は要約も破棄する
+ * @param {string} conversationId 会話ID
+ * @param {string} before この日時 (ISO 8601) より前のメッセージを削除
+ * @returns {Promise<number>} 削除したメッセージ数
+ */
+async function deleteMessagesBefore(conversationId, before) {
+  try {
+    const deleted = await backends.getBackend().deleteMessages(conversationId, { before });
+    if (deleted > 0) {
+      await updateConversationMetadata(conversationId, { summary: null });
+    }
+    return deleted;
+  } catch (error) {
+    logger.error(`Failed to delete messages: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * ユーザー情報を取得する
+ * @param {string} userId ユーザーID
+ * @returns {Promise<Object|null>} ユーザー情報、または存在しない場合はnull
+ */
+async function getUser(userId) {
+  return backends.getBackend().getUser(userId);
+}
+
+/**
+ * ユーザー情報（プロフィールの長期記憶を含む）を削除する
+ * @param {string} userId ユーザーID
+ * @returns {Promise<boolean>} 削除した場合はtrue
+ */
+async function deleteUser(userId) {
+  try {
+    return await backends.getBackend().deleteUser(userId);
+  } catch (error) {
+    logger.error(`Failed to delete user: ${error.message}`);
+    throw error;
+  }
+}
+
 /**
  * 会話の最後のN件のメッセージをコンテキストとして取得する
  * AIサービスに送信するフォーマットに変換
@@ -227,7 +292,8 @@ async function getConversationContext(conversationId, limit = 10) {
   try {
     const messages = await getMessages(conversationId, { 
       limit,
-      roles: ['user', 'assistant', 'system']
+      roles: ['user', 'assistant', 'system'],
+      latest: true
     });
     
     // AI用のフォーマットに変換
@@ -242,10 +308,20 @@ async function getConversationContext(conversationId, limit = 10) {
 }
 
 module.exports = {
+  initialize,
+  checkHealth,
+  getBackendName,
   createConversation,
   addMessage,
   getMessages,
+  findConversations,
   getActiveConversation,
+  getConversation,
+  updateConversationMetadata,
   deactivateConversation,
+  deleteConversation,
+  deleteMessagesBefore,
+  getUser,
+  deleteUser,
   getConversationContext
 };
\ No newline at end of file
@@ -1,15 +1,15 @@
 /**
  * Memory Extension - Bocchy Bot記憶システム
  * 
- * Supabaseを使用した会話履歴と記憶の管理システム
+ * 会話履歴と記憶の管理システム（保存先は MEMORY_BACKEND で Supabase / SQLite / ファイル / インメモリを選択）
  * 会話コンテキスト、ユーザー情報、システム設定の永続化を提供
  * 
  * @module extensions/memory
  */
 
 const memoryManager = require('./memory-manager');
-const migration = require('./db-migration');
-const supabase = require('./supabase-client');
+const migrationRunner = require('./migration-runner');
+const conversationStore = require('./conversation-store');
 const logger = require('../../system/logger');
 
 /**
@@ -27,13 +27,14 @@ async function initialize() {
     logger.info('Initializing memory system...');
     
     // 自動マイグレーションが有効な場合、テーブル作成を実行
-    if (AUTO_MIGRATION) {
+    // （ローカルのバックエンドは初期化時にテーブルを用意するため対象外）
+    if (AUTO_MIGRATION && conversationStore.getBackendName() === 'supabase') {
       logger.info('Auto migration enabled, running database migrations...');
       
       try {
-        const migrationSuccess = await migration.runMigration();
-        if (!migrationSuccess) {
-          logger.warn('Migration failed, but continuing with initialization');
+        const result = await migrationRunner.migrateUp();
+        if (!result.success) {
+          logger.warn(`Migration failed (${result.error}), but continuing with initialization`);
         }
       } catch (migrationError) {
         logger.error(`Migration error: ${migrationError.message}`);
@@ -94,16 +95,7 @@ async function checkHealth() {
 async function resetUserConversations(userId) {
   try {
     // 既存の会話を取得
-    const client = supabase.getClient();
-    const conversationsTable = supabase.getTableName('conversations');
-    
-    const { data, error } = await client
-      .from(conversationsTable)
-      .select('id')
-      .eq('user_id', userId)
-      .eq('is_active', true);
-    
-    if (error) throw error;
+    const data = await conversationStore.findConversations({ userId, isActive: true });
     
     // アクティブな会話を全て終了
     if (data && data.length > 0) {
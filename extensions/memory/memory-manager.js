@@ -1,14 +1,16 @@
 /**
  * Memory Manager - Bocchy Bot用メモリ管理システム
  * 
- * Supabaseベースの会話履歴管理と記憶システムの統合インターフェース
+ * ストレージバックエンド (Supabase / SQLite / ファイル / インメモリ) 上の会話履歴管理と記憶システムの統合インターフェース
  * コンテキスト管理、会話履歴、ユーザー設定などを一元管理
  * 
  * @module extensions/memory/memory-manager
  */
 
 const conversationStore = require('./conversation-store');
-const supabaseClient = require('./supabase-client');
+const summarizer = require('./summarizer');
+const userProfile = require('./user-profile');
+const config = require('../../config/env');
 const logger = require('../../system/logger');
 
 /**
@@ -31,16 +33,17 @@ class MemoryManager {
    */
   async initialize() {
     try {
-      // サービスの健全性を確認
-      const health = await supabaseClient.checkHealth();
+      // ストレージバックエンドを準備し、健全性を確認
+      const ready = await conversationStore.initialize();
+      const health = await conversationStore.checkHealth();
       
-      if (health.status !== 'healthy') {
+      if (!ready || health.status !== 'healthy') {
         logger.error(`Memory system health check failed: ${health.message}`);
         return false;
       }
       
       this.initialized = true;
-      logger.info('Memory system initialized successfully');
+      logger.info(`Memory system initialized successfully (backend: ${conversationStore.getBackendName()})`);
       return true;
     } catch (error) {
       logger.error(`Failed to initialize memory system: ${error.message}`);
@@ -302,6 +305,7 @@ class MemoryManager {
 
   /**
    * 指定した会話のコンテキストメッセージを取得
+   * 会話の要約がある場合は先頭に要約のシステムメッセージを添え、要約済みのメッセージは除く
    * @param {string} conversationId 会話ID
    * @param {number} limit 取得するメッセージ数 (デフォルト: 10)
    * @returns {Promise<Array>} AI用のコンテキストメッセージ配列
@@ -331,7 +335,8 @@ class MemoryManager {
       
       while (tryCount < MAX_RETRIES) {
         try {
-          const messages = await conversationStore.getConversationContext(conversationId, limit);
+          const conversation = await conversationStore.getConversation(conversationId);
+          const messages = await this._buildContext(conversation || { id: conversationId }, limit);
           logger.debug(`会話コンテキストメッセージを取得: ${conversationId}, ${messages.length}件`);
           return messages;
         } catch (error) {
@@ -457,7 +462,7 @@ class MemoryManager {
    */
   async checkHealth() {
     try {
-      return await supabaseClient.checkHealth();
+      return await conversationStore.checkHealth();
     } catch (error) {
       return {
         status: 'unhealthy',
@@ -497,6 +502,48 @@ class MemoryManager {
     };
   }
 
+  /**
+   * 会話の要約と直近のメッセージからAI用のコンテキストを組み立てる
+   * @private
+   * @param {Object} conversation 会話情報
+   * @param {number} limit 取得するメッセージ数
+   * @returns {Promise<Array>} AI用のコンテキストメッセージ配列
+   */
+  async _buildContext(conversation, limit) {
+    const messages = await conversationStore.getMessages(conversation.id, {
+      limit,
+      roles: ['user', 'assistant', 'system'],
+      latest: true
+    });
+    return summarizer.buildContext(conversation, messages);
+  }
+
+  /**
+   * 指定したユーザーの会話をキャッシュから削除
+   * @param {string} userId ユーザーID
+   * @returns {void}
+   */
+  forgetCachedUser(userId) {
+    for (const [key, context] of this.activeConversations.entries()) {
+      if (context.userId === userId) {
+        this.activeConversations.delete(key);
+      }
+    }
+  }
+
+  /**
+   * 指定した会話をキャッシュから削除
+   * @param {Array<string>} conversationIds 会話ID
+   * @returns {void}
+   */
+  forgetCachedConversations(conversationIds) {
+    for (const [key, context] of this.activeConversations.entries()) {
+      if (conversationIds.includes(context.conversationId)) {
+        this.activeConversations.delete(key);
+      }
+    }
+  }
+
   /**
    * キャッシュをクリア
    * @returns {void}
@@ -509,30 +556,27 @@ class MemoryManager {
   /**
    * 指定したチャンネルの会話履歴を取得
    * @param {string} channelId チャンネルID
-   * @param {number} limit 取得する会話の上限数 (デフォルト: 10)
-   * @returns {Promise<Array>} 会話履歴の配列
+   * @param {number} limit 取得するメッセージの上限数 (デフォルト: 10)
+   * @param {string} userId ユーザーID (任意、指定した場合はそのユーザーとの会話のみ)
+   * @returns {Promise<Array>} 会話履歴の配列 ({role, content} の古い順、要約がある場合は先頭がsystem)
    */
-  async getConversationHistory(channelId, limit = 10) {
+  async getConversationHistory(channelId, limit = 10, userId = null) {
     try {
       if (!this.initialized || this.fallbackMode) {
         logger.debug(`フォールバックモード: 会話履歴は空の配列を返します: ${channelId}`);
         return [];
       }
 
-      // チャンネルIDに対応する会話コンテキストを取得
-      const cacheKey = this._createCacheKey({ channelId });
-      let conversationContext = this.activeConversations.get(cacheKey);
+      // チャンネル（とユーザー）に対応するアクティブな会話を取得
+      const conversation = await conversationStore.getActiveConversation({ userId, channelId });
       
-      if (!conversationContext || !conversationContext.conversationId) {
-        logger.debug(`チャンネル ${channelId} の会話コンテキストが見つかりません`);
+      if (!conversation) {
+        logger.debug(`チャンネル ${channelId} の会話が見つかりません`);
         return [];
       }
 
-      // conversationStoreから会話を取得
-      return await conversationStore.getMessagesForConversation(
-        conversationContext.conversationId,
-        limit
-      );
+      // 要約と直近のメッセージから会話履歴を組み立てる
+      return await this._buildContext(conversation, limit);
     } catch (error) {
       logger.error(`会話履歴取得中のエラー: ${error.message}`);
       return [];
@@ -545,9 +589,11 @@ class MemoryManager {
    * @param {string} userId ユーザーID
    * @param {string} userMessage ユーザーメッセージ
    * @param {string} botResponse ボットの応答
+   * @param {Object} [options] オプション
+   * @param {boolean} [options.isDM] DMでのやり取りかどうか（DMで覚えた事実をサーバーでの応答に使わないため）
    * @returns {Promise<boolean>} 保存に成功した場合はtrue
    */
-  async storeConversation(channelId, userId, userMessage, botResponse) {
+  async storeConversation(channelId, userId, userMessage, botResponse, options = {}) {
     try {
       if (!this.initialized || this.fallbackMode) {
         logger.debug(`フォールバックモード: 会話は保存されません: ${channelId}`);
@@ -588,12 +634,59 @@ class MemoryManager {
       });
 
       logger.debug(`会話が保存されました: ${conversationContext.conversationId}`);
+
+      // 長くなった会話は古い発言を要約に畳み込む（失敗しても保存自体は成功扱い）
+      if (config.MEMORY_SUMMARY_ENABLED) {
+        await summarizer.summarizeIfNeeded(conversationContext.conversationId);
+      }
+
+      // ユーザーについての長期的な事実を抽出して記録（失敗しても保存自体は成功扱い）
+      if (config.MEMORY_PROFILE_ENABLED) {
+        await userProfile.updateFromConversation({
+          userId,
+          channelId,
+          isDM: options.isDM,
+          conversationId: conversationContext.conversationId,
+          userMessage,
+          botResponse
+        });
+      }
       return true;
     } catch (error) {
       logger.error(`会話保存中のエラー: ${error.message}`);
       return false;
     }
   }
+
+  /**
+   * ユーザーのプロフィール（長期記憶）を取得
+   * @param {string} userId ユーザーID
+   * @returns {Promise<Object|null>} プロフィール、記憶システムが使えない場合はnull
+   */
+  async getUserProfile(userId) {
+    try {
+      if (!this.initialized || this.fallbackMode) {
+        return null;
+      }
+      return await userProfile.getProfile(userId);
+    } catch (error) {
+      logger.error(`ユーザープロフィール取得中のエラー: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * ユーザーの事実を削除
+   * @param {string} userId ユーザーID
+   * @param {string} factId 事実のID
+   * @returns {Promise<Object>} 結果 ({success, fact, error})
+   */
+  async forgetUserFact(userId, factId) {
+    if (!this.initialized || this.fallbackMode) {
+      return { success: false, error: 'Memory system is not available' };
+    }
+    return userProfile.forgetFact(userId, factId);
+  }
 }
 
 // シングルトンインスタンスを作成
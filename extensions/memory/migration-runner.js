@@ -0,0 +1,349 @@
+/**
+ * Migration Runner - 記憶システム・RAG用テーブルのスキーママイグレーション
+ *
+ * migrations/ 配下の番号付きSQLファイル (NNN_name.up.sql / NNN_name.down.sql) を順に適用し、
+ * 適用済みのバージョンを schema_migrations テーブルに記録する
+ * SQLは migrations/bootstrap.sql で作成する exec_sql 関数を通じて実行する
+ *
+ * SQL内の {{CONVERSATIONS_TABLE}} や {{EMBEDDING_DIMENSIONS}} などの変数は、
+ * 実行時の設定（テーブル名・埋め込み次元数）で置き換えられる
+ *
+ * CLI: node extensions/memory/migration-runner.js <status|up|down> [--dry-run] [--to <version>] [--steps <n>]
+ *
+ * @module extensions/memory/migration-runner
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../system/logger');
+
+/**
+ * マイグレーションファイルのディレクトリ
+ * @private
+ */
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+
+/**
+ * マイグレーションファイル名の形式
+ * @private
+ */
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+/**
+ * 適用履歴テーブル
+ * @private
+ */
+const SCHEMA_MIGRATIONS_SQL = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+`;
+
+/**
+ * マイグレーションファイルを読み込む
+ * @param {string} dir マイグレーションファイルのディレクトリ
+ * @returns {Array<Object>} バージョン順のマイグレーション ({version, name, up, down})
+ * @throws {Error} バージョンの重複や up ファイルの欠落がある場合
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const version = parseInt(match[1], 10);
+    const [, , name, direction] = match;
+    const migration = migrations.get(version) || { version, name, up: null, down: null };
+
+    if (migration.name !== name) {
+      throw new Error(`Duplicate migration version ${version}: ${migration.name} / ${name}`);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  for (const migration of migrations.values()) {
+    if (!migration.up) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no up file`);
+    }
+  }
+
+  return [...migrations.values()].sort((a, b) => a.version - b.version);
+}
+
+/**
+ * SQL内の変数に使用する値を取得する
+ * @returns {Object} 変数名と値の組
+ */
+function getMigrationVariables() {
+  const supabase = require('./supabase-client');
+  const vectorStore = require('../rag/vector-store');
+  const embeddings = require('../rag/embeddings');
+
+  return {
+    CONVERSATIONS_TABLE: supabase.config.tables.conversations,
+    MESSAGES_TABLE: supabase.config.tables.messages,
+    USERS_TABLE: supabase.config.tables.users,
+    KNOWLEDGE_TABLE: vectorStore.config.tables.knowledgeBase,
+    CHUNKS_TABLE: vectorStore.config.tables.knowledgeChunks,
+    EMBEDDING_DIMENSIONS: embeddings.config.dimensions
+  };
+}
+
+/**
+ * SQL内の {{変数名}} を値で置き換える
+ * @param {string} sql SQL
+ * @param {Object} variables 変数名と値の組
+ * @returns {string} 置き換え後のSQL
+ * @throws {Error} 未定義の変数がある場合
+ */
+function renderSql(sql, variables) {
+  return sql.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+    if (variables[name] === undefined) {
+      throw new Error(`Undefined migration variable: ${name}`);
+    }
+    return String(variables[name]);
+  });
+}
+
+/**
+ * Supabaseの exec_sql 関数でSQLを実行するエグゼキューターを作成する
+ * @returns {{query: Function}} SQLを実行し、SELECTの場合は行の配列を返すエグゼキューター
+ */
+function createSupabaseExecutor() {
+  const supabase = require('./supabase-client');
+
+  return {
+    async query(sql) {
+      const { data, error } = await supabase.getClient().rpc('exec_sql', { sql });
+      if (error) {
+        if (error.code === 'PGRST202' || /exec_sql/.test(error.message || '')) {
+          throw new Error('exec_sql function is not available. Run migrations/bootstrap.sql once in the Supabase SQL editor (requires the service role key).');
+        }
+        throw new Error(error.message);
+      }
+      return data || [];
+    }
+  };
+}
+
+/**
+ * 実行オプションを補完する
+ * @private
+ * @param {Object} options オプション
+ * @returns {Object} 補完済みのオプション
+ */
+function resolveOptions(options) {
+  return {
+    dir: options.dir || MIGRATIONS_DIR,
+    executor: options.executor || createSupabaseExecutor(),
+    variables: options.variables || getMigrationVariables(),
+    dryRun: options.dryRun === true
+  };
+}
+
+/**
+ * 適用済みのバージョンを取得する
+ * @private
+ * @param {Object} executor SQLエグゼキューター
+ * @param {boolean} dryRun ドライランかどうか（テーブルを作成しない）
+ * @returns {Promise<Array<number>>} 適用済みバージョン
+ */
+async function getAppliedVersions(executor, dryRun) {
+  if (!dryRun) {
+    await executor.query(SCHEMA_MIGRATIONS_SQL);
+  }
+
+  try {
+    const rows = await executor.query('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map(row => Number(row.version));
+  } catch (error) {
+    // ドライランでは履歴テーブルがまだ無い場合がある
+    if (dryRun) return [];
+    throw error;
+  }
+}
+
+/**
+ * マイグレーションの適用状況を取得する
+ * @param {Object} options オプション (dir, executor)
+ * @returns {Promise<Array<Object>>} ({version, name, applied}) の配列
+ */
+async function getStatus(options = {}) {
+  const { dir, executor } = resolveOptions({ ...options, variables: {} });
+  const applied = await getAppliedVersions(executor, true);
+
+  return loadMigrations(dir).map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.includes(migration.version)
+  }));
+}
+
+/**
+ * 未適用のマイグレーションを適用する
+ * 1つのマイグレーションと履歴の記録は同じ exec_sql 呼び出しで実行されるため、失敗時は記録されない
+ * @param {Object} options オプション
+ * @param {number} options.target このバージョンまで適用する (任意)
+ * @param {boolean} options.dryRun trueの場合は実行せずに計画のみを返す
+ * @returns {Promise<Object>} 結果 ({success, applied, planned, error})
+ */
+async function migrateUp(options = {}) {
+  const { dir, executor, variables, dryRun } = resolveOptions(options);
+  const applied = [];
+  const planned = [];
+
+  try {
+    const appliedVersions = await getAppliedVersions(executor, dryRun);
+    const pending = loadMigrations(dir).filter(migration =>
+      !appliedVersions.includes(migration.version) &&
+      (options.target === undefined || migration.version <= options.target)
+    );
+
+    for (const migration of pending) {
+      const sql = `${renderSql(migration.up, variables)}\n` +
+        `INSERT INTO schema_migrations (version, name) VALUES (${migration.version}, '${migration.name}');`;
+      planned.push({ version: migration.version, name: migration.name, sql });
+
+      if (dryRun) continue;
+
+      logger.info(`Applying migration ${migration.version}_${migration.name}`);
+      await executor.query(sql);
+      applied.push(migration.version);
+    }
+
+    if (!dryRun) {
+      logger.info(applied.length > 0 ? `Applied ${applied.length} migrations` : 'Database schema is up to date');
+    }
+    return { success: true, applied, planned };
+  } catch (error) {
+    logger.error(`Migration failed: ${error.message}`);
+    return { success: false, applied, planned, error: error.message };
+  }
+}
+
+/**
+ * 適用済みのマイグレーションを新しいものから取り消す
+ * @param {Object} options オプション
+ * @param {number} options.steps 取り消す数 (デフォルト: 1、target指定時は無視)
+ * @param {number} options.target このバージョンより新しいものをすべて取り消す (任意)
+ * @param {boolean} options.dryRun trueの場合は実行せずに計画のみを返す
+ * @returns {Promise<Object>} 結果 ({success, reverted, planned, error})
+ */
+async function migrateDown(options = {}) {
+  const { dir, executor, variables, dryRun } = resolveOptions(options);
+  const reverted = [];
+  const planned = [];
+
+  try {
+    const appliedVersions = await getAppliedVersions(executor, dryRun);
+    const appliedMigrations = loadMigrations(dir)
+      .filter(migration => appliedVersions.includes(migration.version))
+      .reverse();
+
+    const targets = options.target !== undefined
+      ? appliedMigrations.filter(migration => migration.version > options.target)
+      : appliedMigrations.slice(0, options.steps || 1);
+
+    for (const migration of targets) {
+      if (!migration.down) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no down file`);
+      }
+
+      const sql = `${renderSql(migration.down, variables)}\n` +
+        `DELETE FROM schema_migrations WHERE version = ${migration.version};`;
+      planned.push({ version: migration.version, name: migration.name, sql });
+
+      if (dryRun) continue;
+
+      logger.info(`Reverting migration ${migration.version}_${migration.name}`);
+      await executor.query(sql);
+      reverted.push(migration.version);
+    }
+
+    return { success: true, reverted, planned };
+  } catch (error) {
+    logger.error(`Migration rollback failed: ${error.message}`);
+    return { success: false, reverted, planned, error: error.message };
+  }
+}
+
+/**
+ * CLIの引数を解析する
+ * @private
+ * @param {Array<string>} argv 引数
+ * @returns {Object} コマンドとオプション
+ */
+function parseCliArgs(argv) {
+  const options = { dryRun: argv.includes('--dry-run') };
+  const valueOf = flag => {
+    const index = argv.indexOf(flag);
+    return index >= 0 ? parseInt(argv[index + 1], 10) : undefined;
+  };
+
+  const target = valueOf('--to');
+  const steps = valueOf('--steps');
+  if (Number.isInteger(target)) options.target = target;
+  if (Number.isInteger(steps)) options.steps = steps;
+
+  return { command: argv.find(arg => !arg.startsWith('--') && !/^\d+$/.test(arg)) || 'status', options };
+}
+
+/**
+ * CLIエントリーポイント
+ * @param {Array<string>} argv 引数
+ * @returns {Promise<number>} 終了コード
+ */
+async function runCli(argv = process.argv.slice(2)) {
+  const { command, options } = parseCliArgs(argv);
+
+  if (command === 'status') {
+    const status = await getStatus(options);
+    status.forEach(item => console.log(`${item.applied ? '[x]' : '[ ]'} ${item.version}_${item.name}`));
+    return 0;
+  }
+
+  if (command !== 'up' && command !== 'down') {
+    console.error('Usage: node extensions/memory/migration-runner.js <status|up|down> [--dry-run] [--to <version>] [--steps <n>]');
+    return 1;
+  }
+
+  const result = command === 'up' ? await migrateUp(options) : await migrateDown(options);
+
+  if (options.dryRun) {
+    result.planned.forEach(item => console.log(`-- ${item.version}_${item.name} (${command})\n${item.sql}\n`));
+    if (result.planned.length === 0) console.log('-- No migrations to run');
+  }
+
+  if (!result.success) {
+    console.error(result.error);
+    return 1;
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  runCli()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationVariables,
+  renderSql,
+  createSupabaseExecutor,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  runCli,
+  MIGRATIONS_DIR
+};
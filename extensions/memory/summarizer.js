@@ -0,0 +1,269 @@
+/**
+ * Conversation Summarizer - 長い会話の要約
+ *
+ * 会話のうち未要約の部分がトークン予算 (MEMORY_SUMMARY_TOKEN_BUDGET) を超えたら、
+ * 直近のメッセージを残して古い発言を設定中のAIプロバイダーで要約に畳み込む
+ * 要約は会話メタデータの summary に保存し、前回の要約に新しい発言を書き足す形で更新する
+ *
+ * @module extensions/memory/summarizer
+ */
+
+const config = require('../../config/env');
+const logger = require('../../system/logger');
+const conversationStore = require('./conversation-store');
+const { estimateTokens } = require('../../utilities/token-estimator');
+
+/**
+ * 要約メッセージの見出し
+ * @private
+ */
+const SUMMARY_HEADER = '【これまでの会話の要約】';
+
+/**
+ * 要約の最大文字数（これを超えた分は切り詰める）
+ * @private
+ */
+const SUMMARY_MAX_LENGTH = 1200;
+
+/**
+ * 未要約のメッセージを探すために読み込む直近のメッセージ数
+ * @private
+ */
+const SCAN_LIMIT = 200;
+
+/**
+ * 要約用のシステムプロンプト
+ * @private
+ */
+const SUMMARY_SYSTEM_PROMPT = `あなたは会話記録の要約係です。
+ユーザーとAIアシスタント「ボッチー」の会話を、後で会話を続けるための記憶メモとして要約してください。
+- ユーザーについて分かったこと（名前、好み、状況、約束ごと）と、話題の流れを優先して残す
+- 既存の要約がある場合は、その内容を保ちつつ新しい会話の内容を統合する
+- 箇条書きで簡潔に、${SUMMARY_MAX_LENGTH}文字以内の日本語で書く
+- 要約以外の前置きや感想は書かない`;
+
+/**
+ * 要約テキストを生成する関数（差し替え可能）
+ * @private
+ */
+let generator = null;
+
+/**
+ * 要約処理中の会話（同じ会話の要約が重複して走らないようにする）
+ * @private
+ */
+const inFlight = new Map();
+
+/**
+ * 要約の生成に使う関数を差し替える（テストや別モデルの利用向け）
+ * @param {Function|null} fn ({systemPrompt, prompt, maxTokens, temperature}) を受け取り要約テキストを返す関数（nullで既定に戻す）
+ */
+function setGenerator(fn) {
+  generator = fn;
+}
+
+/**
+ * 要約を生成する
+ * @private
+ * @param {Object} options 生成オプション
+ * @returns {Promise<string>} 生成されたテキスト
+ */
+async function generate(options) {
+  if (generator) {
+    return generator(options);
+  }
+  // 起動時の循環読み込みを避けるため、使用時に読み込む
+  const aiService = require('../../services/ai/ai-service');
+  return aiService.completeText(options);
+}
+
+/**
+ * 要約用のプロンプトを組み立てる
+ * @private
+ * @param {string|null} previousSummary 前回までの要約
+ * @param {Array<{role: string, content: string}>} messages 新たに要約するメッセージ
+ * @returns {string} プロンプト
+ */
+function buildSummaryPrompt(previousSummary, messages) {
+  const transcript = messages
+    .map(msg => `${msg.role === 'user' ? 'ユーザー' : 'ボッチー'}: ${msg.content}`)
+    .join('\n');
+
+  return [
+    previousSummary ? `【既存の要約】\n${previousSummary}` : '【既存の要約】\n（なし）',
+    `【新しい会話】\n${transcript}`,
+    '既存の要約と新しい会話をまとめた、更新後の要約を書いてください。'
+  ].join('\n\n');
+}
+
+/**
+ * 前回の要約とメッセージから新しい要約を作成する
+ * @param {string|null} previousSummary 前回までの要約
+ * @param {Array<{role: string, content: string}>} messages 新たに要約するメッセージ
+ * @returns {Promise<string>} 更新後の要約
+ */
+async function summarizeMessages(previousSummary, messages) {
+  const text = await generate({
+    systemPrompt: SUMMARY_SYSTEM_PROMPT,
+    prompt: buildSummaryPrompt(previousSummary, messages),
+    maxTokens: 800,
+    temperature: 0.3
+  });
+
+  const summary = (text || '').trim();
+  if (!summary) {
+    throw new Error('Summary generation returned an empty response');
+  }
+  return summary.length > SUMMARY_MAX_LENGTH ? summary.slice(0, SUMMARY_MAX_LENGTH) : summary;
+}
+
+/**
+ * 会話に保存されている要約を取得する
+ * @param {Object} conversation 会話情報
+ * @returns {Object|null} 要約 ({text, lastMessageId, summarizedUntil, messageCount, updatedAt})
+ */
+function getSummary(conversation) {
+  const summary = conversation?.metadata?.summary;
+  return summary && summary.text ? summary : null;
+}
+
+/**
+ * 要約をコンテキスト用のメッセージに変換する
+ * @param {Object} summary 要約
+ * @returns {{role: string, content: string}} システムメッセージ
+ */
+function formatSummaryMessage(summary) {
+  return { role: 'system', content: `${SUMMARY_HEADER}\n${summary.text}` };
+}
+
+/**
+ * まだ要約に含まれていないメッセージを取り出す
+ * 最後に要約したメッセージが見つかればそれ以降を、見つからなければ要約時刻より後のものを返す
+ * @param {Object|null} summary 要約
+ * @param {Array<Object>} messages 古い順のメッセージ（id, timestamp を含む）
+ * @returns {Array<Object>} 未要約のメッセージ
+ */
+function getUnsummarizedMessages(summary, messages) {
+  if (!summary) return messages;
+
+  const index = messages.findIndex(msg => msg.id === summary.lastMessageId);
+  if (index >= 0) {
+    return messages.slice(index + 1);
+  }
+  return messages.filter(msg => !msg.timestamp || msg.timestamp > summary.summarizedUntil);
+}
+
+/**
+ * 要約と未要約のメッセージからAI用のコンテキストを組み立てる
+ * @param {Object} conversation 会話情報
+ * @param {Array<Object>} messages 古い順の直近メッセージ
+ * @returns {Array<{role: string, content: string}>} 要約を先頭に添えたコンテキスト
+ */
+function buildContext(conversation, messages) {
+  const summary = getSummary(conversation);
+  const context = getUnsummarizedMessages(summary, messages).map(msg => ({
+    role: msg.role,
+    content: msg.content
+  }));
+
+  return summary ? [formatSummaryMessage(summary), ...context] : context;
+}
+
+/**
+ * 要約に畳み込むメッセージ数を決める
+ * 直近 keepCount 件を残し、残す側がユーザーの発言から始まるように境界を調整する
+ * @private
+ * @param {Array<Object>} messages 未要約のメッセージ
+ * @param {number} keepCount 残すメッセージ数
+ * @returns {number} 要約するメッセージ数
+ */
+function getSummarizeCount(messages, keepCount) {
+  let count = Math.max(0, messages.length - keepCount);
+  while (count > 0 && messages[count - 1].role === 'user') {
+    count--;
+  }
+  return count;
+}
+
+/**
+ * 会話の未要約部分がトークン予算を超えていれば、古い発言を要約に畳み込む
+ * @param {string} conversationId 会話ID
+ * @param {Object} options オプション
+ * @param {number} options.tokenBudget トークン予算 (デフォルト: MEMORY_SUMMARY_TOKEN_BUDGET)
+ * @param {number} options.keepMessages 残す直近のメッセージ数 (デフォルト: MEMORY_SUMMARY_KEEP_MESSAGES)
+ * @returns {Promise<Object>} 結果 ({success, summarized, summary, error})
+ */
+async function summarizeIfNeeded(conversationId, options = {}) {
+  if (inFlight.has(conversationId)) {
+    return inFlight.get(conversationId);
+  }
+
+  const task = runSummarization(conversationId, options).finally(() => inFlight.delete(conversationId));
+  inFlight.set(conversationId, task);
+  return task;
+}
+
+/**
+ * 要約処理の本体
+ * @private
+ * @param {string} conversationId 会話ID
+ * @param {Object} options オプション
+ * @returns {Promise<Object>} 結果 ({success, summarized, summary, error})
+ */
+async function runSummarization(conversationId, options) {
+  const tokenBudget = options.tokenBudget || config.MEMORY_SUMMARY_TOKEN_BUDGET;
+  const keepMessages = options.keepMessages ?? config.MEMORY_SUMMARY_KEEP_MESSAGES;
+
+  try {
+    const conversation = await conversationStore.getConversation(conversationId);
+    if (!conversation) {
+      return { success: false, summarized: false, error: 'Conversation not found' };
+    }
+
+    const previous = getSummary(conversation);
+    const messages = await conversationStore.getMessages(conversationId, {
+      limit: SCAN_LIMIT,
+      roles: ['user', 'assistant'],
+      latest: true
+    });
+    const pending = getUnsummarizedMessages(previous, messages);
+
+    if (estimateTokens(pending) <= tokenBudget) {
+      return { success: true, summarized: false, summary: previous };
+    }
+
+    const count = getSummarizeCount(pending, keepMessages);
+    if (count === 0) {
+      return { success: true, summarized: false, summary: previous };
+    }
+
+    const older = pending.slice(0, count);
+    const text = await summarizeMessages(previous ? previous.text : null, older);
+    const lastMessage = older[older.length - 1];
+    const summary = {
+      text,
+      lastMessageId: lastMessage.id,
+      summarizedUntil: lastMessage.timestamp,
+      messageCount: (previous ? previous.messageCount || 0 : 0) + older.length,
+      updatedAt: new Date().toISOString()
+    };
+
+    await conversationStore.updateConversationMetadata(conversationId, { summary });
+    logger.debug(`Summarized ${older.length} messages of conversation ${conversationId}`);
+    return { success: true, summarized: true, summary };
+  } catch (error) {
+    logger.warn(`Conversation summarization failed: ${error.message}`);
+    return { success: false, summarized: false, error: error.message };
+  }
+}
+
+module.exports = {
+  setGenerator,
+  summarizeMessages,
+  summarizeIfNeeded,
+  getSummary,
+  getUnsummarizedMessages,
+  formatSummaryMessage,
+  buildContext,
+  SUMMARY_HEADER
+};
@@ -0,0 +1,456 @@
+/**
+ * User Profile - ユーザーごとの長期記憶
+ *
+ * 会話のあとにユーザーについての長く変わらない事実（呼び名、興味、取り組んでいること、使う言語など）を
+ * AIで抽出し、users テーブルの metadata.profile に記録する
+ * 事実には ID・記録日時・出どころ（会話ID・チャンネルID・DMかどうか・元の発言の抜粋）を付け、
+ * ユーザー自身が `!memory show` / `!memory forget <id>` で確認・削除できる
+ * DMで覚えた事実と話題は、サーバーでの応答には使わない（scopeProfile）
+ * プロフィールの読み込みから保存まではユーザーごとに順番に実行し、同時に届いた更新や削除で記憶が失われたり戻ったりしないようにする
+ *
+ * @module extensions/memory/user-profile
+ */
+
+const logger = require('../../system/logger');
+const backends = require('./backends');
+
+/**
+ * 事実の種類と表示名
+ */
+const FACT_CATEGORIES = {
+  name: '呼び名',
+  language: '言語',
+  interest: '興味',
+  project: '取り組み',
+  other: 'その他'
+};
+
+/**
+ * 1人につき1つだけ保持する種類（新しい値で置き換える）
+ * @private
+ */
+const SINGLE_VALUE_CATEGORIES = ['name', 'language'];
+
+/**
+ * 1人あたりの事実の上限（超えた分は更新日時の古いものから削除）
+ * @private
+ */
+const MAX_FACTS = 50;
+
+/**
+ * 事実の値の最大文字数
+ * @private
+ */
+const MAX_VALUE_LENGTH = 100;
+
+/**
+ * 抽出の対象にする発言の最小文字数（短い相づちなどは抽出しない）
+ * @private
+ */
+const MIN_MESSAGE_LENGTH = 8;
+
+/**
+ * プロンプトに含める事実の上限
+ * @private
+ */
+const PROMPT_FACT_LIMIT = 8;
+
+/**
+ * 抽出用のシステムプロンプト
+ * @private
+ */
+const EXTRACTION_SYSTEM_PROMPT = `あなたは会話から「ユーザーについて長く覚えておくべき事実」を抜き出す係です。
+ユーザーの発言から、本人が述べた長期的に変わらない事実だけを抽出し、次のJSONだけを出力してください。
+{"facts": [{"category": "name|language|interest|project|other", "value": "事実の内容"}], "topic": "今回の話題（20文字以内）"}
+- name: ユーザーが呼ばれたい名前
+- language: ユーザーが使いたい言語
+- interest: 趣味や好きなもの
+- project: 取り組んでいる仕事・制作・学習
+- other: その他、会話に役立つ長期的な事実（家族、ペット、住んでいる地域など）
+- 一時的な気分や予定、推測、AIの発言内容は含めない
+- 該当する事実がなければ "facts" は空配列にする`;
+
+/**
+ * 抽出に使う関数（差し替え可能）
+ * @private
+ */
+let generator = null;
+
+/**
+ * ユーザーごとの実行待ちのプロフィール操作
+ * @private
+ */
+const profileQueues = new Map();
+
+/**
+ * ユーザーごとのデータを削除した回数（削除より前に始まった更新で記憶を書き戻さないため）
+ * @private
+ */
+const deletions = new Map();
+
+/**
+ * 事実の抽出に使う関数を差し替える（テストや別モデルの利用向け）
+ * @param {Function|null} fn ({systemPrompt, prompt, maxTokens, temperature}) を受け取りテキストを返す関数（nullで既定に戻す）
+ */
+function setGenerator(fn) {
+  generator = fn;
+}
+
+/**
+ * テキストを生成する
+ * @private
+ * @param {Object} options 生成オプション
+ * @returns {Promise<string>} 生成されたテキスト
+ */
+async function generate(options) {
+  if (generator) {
+    return generator(options);
+  }
+  // 起動時の循環読み込みを避けるため、使用時に読み込む
+  const aiService = require('../../services/ai/ai-service');
+  return aiService.completeText(options);
+}
+
+/**
+ * ユーザーのプロフィール操作を、同じユーザーのほかの操作が終わってから実行する
+ * @private
+ * @param {string} userId ユーザーID
+ * @param {Function} task 実行する処理
+ * @returns {Promise<*>} task の結果
+ */
+function enqueue(userId, task) {
+  // 前の操作が失敗していても、今回の操作は実行する
+  const next = (profileQueues.get(userId) || Promise.resolve()).catch(() => {}).then(task);
+  profileQueues.set(userId, next);
+  next.catch(() => {}).then(() => {
+    if (profileQueues.get(userId) === next) {
+      profileQueues.delete(userId);
+    }
+  });
+  return next;
+}
+
+/**
+ * ユーザーのデータの削除を、プロフィールの更新と重ならないように実行する
+ * 削除より前に始まった更新は、削除のあとに記憶を書き戻さずに破棄される
+ * @param {string} userId ユーザーID
+ * @param {Function} remove 削除処理
+ * @returns {Promise<*>} remove の結果
+ */
+function runDeletion(userId, remove) {
+  return enqueue(userId, async () => {
+    try {
+      return await remove();
+    } finally {
+      deletions.set(userId, (deletions.get(userId) || 0) + 1);
+    }
+  });
+}
+
+/**
+ * 空のプロフィールを作成する
+ * @private
+ * @returns {Object} プロフィール
+ */
+function createEmptyProfile() {
+  return { facts: [], nextFactId: 1, lastTopic: null, lastTopicSource: null, lastInteraction: null };
+}
+
+/**
+ * ユーザーのプロフィールを取得する
+ * @param {string} userId ユーザーID
+ * @returns {Promise<Object>} プロフィール ({facts, nextFactId, lastTopic, lastTopicSource, lastInteraction})
+ */
+async function getProfile(userId) {
+  const user = await backends.getBackend().getUser(userId);
+  return { ...createEmptyProfile(), ...(user?.metadata?.profile || {}) };
+}
+
+/**
+ * ユーザーのプロフィールを保存する（metadata の他のキーは保持する）
+ * @private
+ * @param {string} userId ユーザーID
+ * @param {Object} profile プロフィール
+ * @returns {Promise<void>}
+ */
+async function saveProfile(userId, profile) {
+  const backend = backends.getBackend();
+  const user = await backend.getUser(userId);
+  const now = new Date().toISOString();
+
+  await backend.upsertUser({
+    id: userId,
+    platform: user?.platform || 'discord',
+    metadata: { ...(user?.metadata || {}), profile },
+    settings: user?.settings || {},
+    created_at: user?.created_at || now,
+    updated_at: now
+  });
+}
+
+/**
+ * 抽出結果のテキストを解析する
+ * @private
+ * @param {string} text AIの出力
+ * @returns {{facts: Array<{category: string, value: string}>, topic: string|null}} 抽出結果
+ */
+function parseExtraction(text) {
+  const match = (text || '').match(/\{[\s\S]*\}/);
+  if (!match) {
+    return { facts: [], topic: null };
+  }
+
+  const parsed = JSON.parse(match[0]);
+  const facts = (Array.isArray(parsed.facts) ? parsed.facts : [])
+    .filter(fact => fact && typeof fact.value === 'string' && fact.value.trim())
+    .map(fact => ({
+      category: FACT_CATEGORIES[fact.category] ? fact.category : 'other',
+      value: fact.value.trim().slice(0, MAX_VALUE_LENGTH)
+    }));
+  const topic = typeof parsed.topic === 'string' && parsed.topic.trim() ? parsed.topic.trim().slice(0, 40) : null;
+
+  return { facts, topic };
+}
+
+/**
+ * 1回のやり取りからユーザーについての事実を抽出する
+ * @param {string} userMessage ユーザーの発言
+ * @param {string} botResponse ボットの応答
+ * @returns {Promise<{facts: Array<{category: string, value: string}>, topic: string|null}>} 抽出結果
+ */
+async function extractFacts(userMessage, botResponse) {
+  const text = await generate({
+    systemPrompt: EXTRACTION_SYSTEM_PROMPT,
+    prompt: `【ユーザーの発言】\n${userMessage}\n\n【ボッチーの応答（参考）】\n${botResponse || ''}`,
+    maxTokens: 400,
+    temperature: 0
+  });
+  return parseExtraction(text);
+}
+
+/**
+ * 比較用に値を正規化する
+ * @private
+ * @param {string} value 値
+ * @returns {string} 正規化した値
+ */
+function normalize(value) {
+  return value.toLowerCase().replace(/[\s、。,.!！?？]/g, '');
+}
+
+/**
+ * 抽出した事実を既存の事実に統合する
+ * 同じ内容は更新日時だけを進め、呼び名・言語は新しい値で置き換える
+ * @private
+ * @param {Object} profile プロフィール（直接更新する）
+ * @param {Array<{category: string, value: string}>} extracted 抽出した事実
+ * @param {Object} source 出どころ
+ * @returns {Array<Object>} 新たに追加された事実
+ */
+function mergeFacts(profile, extracted, source) {
+  const now = new Date().toISOString();
+  const added = [];
+
+  for (const { category, value } of extracted) {
+    const existing = profile.facts.find(fact =>
+      fact.category === category && normalize(fact.value) === normalize(value)
+    );
+    if (existing) {
+      existing.updatedAt = now;
+      continue;
+    }
+
+    if (SINGLE_VALUE_CATEGORIES.includes(category)) {
+      profile.facts = profile.facts.filter(fact => fact.category !== category);
+    }
+
+    const fact = {
+      id: `f${profile.nextFactId++}`,
+      category,
+      value,
+      source,
+      createdAt: now,
+      updatedAt: now
+    };
+    profile.facts.push(fact);
+    added.push(fact);
+  }
+
+  if (profile.facts.length > MAX_FACTS) {
+    profile.facts = profile.facts
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, MAX_FACTS);
+  }
+
+  return added;
+}
+
+/**
+ * 1回のやり取りからプロフィールを更新する
+ * @param {Object} exchange やり取りの情報
+ * @param {string} exchange.userId ユーザーID
+ * @param {string} exchange.channelId チャンネルID
+ * @param {boolean} [exchange.isDM] DMでのやり取りかどうか（省略した場合は記録しない）
+ * @param {string} exchange.conversationId 会話ID (任意)
+ * @param {string} exchange.userMessage ユーザーの発言
+ * @param {string} exchange.botResponse ボットの応答
+ * @returns {Promise<Object>} 結果 ({success, added, error})
+ */
+async function updateFromConversation(exchange) {
+  const { userId, channelId, isDM, conversationId = null, userMessage, botResponse } = exchange;
+
+  try {
+    if (!userId || !userMessage || userMessage.trim().length < MIN_MESSAGE_LENGTH) {
+      return { success: true, added: [] };
+    }
+
+    const generation = deletions.get(userId) || 0;
+    const { facts, topic } = await extractFacts(userMessage, botResponse);
+    const channel = { channelId: channelId || null, ...(typeof isDM === 'boolean' ? { dm: isDM } : {}) };
+
+    // 抽出の間にほかの更新や削除が済んでいることがあるため、順番が来てからプロフィールを読み直す
+    const added = await enqueue(userId, async () => {
+      if ((deletions.get(userId) || 0) !== generation) {
+        logger.debug(`User ${userId} data was deleted during profile update, discarding extracted facts`);
+        return [];
+      }
+
+      const profile = await getProfile(userId);
+      const merged = mergeFacts(profile, facts, {
+        conversationId,
+        ...channel,
+        excerpt: userMessage.trim().slice(0, 80)
+      });
+      if (topic) {
+        profile.lastTopic = topic;
+        profile.lastTopicSource = channel;
+      }
+      profile.lastInteraction = new Date().toISOString();
+      await saveProfile(userId, profile);
+      return merged;
+    });
+
+    if (added.length > 0) {
+      logger.debug(`Recorded ${added.length} profile facts for user ${userId}`);
+    }
+    return { success: true, added };
+  } catch (error) {
+    logger.warn(`User profile update failed: ${error.message}`);
+    return { success: false, added: [], error: error.message };
+  }
+}
+
+/**
+ * 事実を削除する
+ * @param {string} userId ユーザーID
+ * @param {string} factId 事実のID
+ * @returns {Promise<Object>} 結果 ({success, fact, error})
+ */
+async function forgetFact(userId, factId) {
+  try {
+    return await enqueue(userId, async () => {
+      const profile = await getProfile(userId);
+      const fact = profile.facts.find(item => item.id === factId);
+      if (!fact) {
+        return { success: false, error: 'Fact not found' };
+      }
+
+      profile.facts = profile.facts.filter(item => item.id !== factId);
+      await saveProfile(userId, profile);
+      return { success: true, fact };
+    });
+  } catch (error) {
+    logger.error(`Failed to forget profile fact: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 応答する場所で使える記憶だけを残したプロフィールを返す
+ * サーバーでの応答では、DMで覚えた事実と話題を除く（`!memory` をDM限定にしているのと同じ理由）
+ * DMかどうかの記録がない事実・話題は、出どころがこのサーバーの閲覧できるチャンネルの場合だけ使う
+ * @param {Object|null} profile プロフィール
+ * @param {Object} scope 応答する場所
+ * @param {string} [scope.guildId] サーバーID（DMの場合は省略）
+ * @param {Array<string>} [scope.channelIds] 発言者が閲覧できるサーバーのチャンネルID
+ * @returns {Object|null} プロフィール（DMの場合はそのまま）
+ */
+function scopeProfile(profile, { guildId, channelIds = [] } = {}) {
+  if (!profile || !guildId) {
+    return profile;
+  }
+
+  const usable = source => (typeof source?.dm === 'boolean' ? !source.dm : channelIds.includes(source?.channelId));
+  return {
+    ...profile,
+    facts: profile.facts.filter(fact => usable(fact.source)),
+    lastTopic: usable(profile.lastTopicSource) ? profile.lastTopic : null
+  };
+}
+
+/**
+ * テキストを比較用の語の集合に分解する（日本語は2文字ずつ、英数字は単語単位）
+ * @private
+ * @param {string} text テキスト
+ * @returns {Set<string>} 語の集合
+ */
+function toTerms(text) {
+  const terms = new Set();
+  const lower = (text || '').toLowerCase();
+
+  (lower.match(/[a-z0-9]+/g) || []).forEach(word => terms.add(word));
+  (lower.match(/[^\sa-z0-9、。,.!！?？「」（）()]+/g) || []).forEach(chunk => {
+    for (let i = 0; i < chunk.length - 1; i++) {
+      terms.add(chunk.slice(i, i + 2));
+    }
+  });
+
+  return terms;
+}
+
+/**
+ * 今回の発言に関係する事実を選ぶ
+ * 呼び名・言語は常に含め、それ以外は発言との語の重なりと新しさで選ぶ
+ * @param {Array<Object>} facts 事実
+ * @param {string} message 今回の発言
+ * @param {number} limit 上限 (デフォルト: 8)
+ * @returns {Array<Object>} 選ばれた事実
+ */
+function selectRelevantFacts(facts, message, limit = PROMPT_FACT_LIMIT) {
+  const messageTerms = toTerms(message);
+
+  return facts
+    .map(fact => {
+      const overlap = [...toTerms(fact.value)].filter(term => messageTerms.has(term)).length;
+      const pinned = SINGLE_VALUE_CATEGORIES.includes(fact.category);
+      return { fact, score: (pinned ? 100 : 0) + overlap };
+    })
+    .sort((a, b) => b.score - a.score || b.fact.updatedAt.localeCompare(a.fact.updatedAt))
+    .slice(0, limit)
+    .map(item => item.fact);
+}
+
+/**
+ * 事実をプロンプト用のテキストに整形する
+ * @param {Array<Object>} facts 事実
+ * @returns {string} プロンプト用のテキスト（事実がなければ空文字）
+ */
+function formatFactsForPrompt(facts) {
+  if (!facts || facts.length === 0) return '';
+
+  const lines = facts.map(fact => `- ${FACT_CATEGORIES[fact.category] || FACT_CATEGORIES.other}: ${fact.value}`);
+  return `【ユーザーについて覚えていること】\n${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  setGenerator,
+  getProfile,
+  extractFacts,
+  updateFromConversation,
+  forgetFact,
+  runDeletion,
+  scopeProfile,
+  selectRelevantFacts,
+  formatFactsForPrompt,
+  FACT_CATEGORIES
+};
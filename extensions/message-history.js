@@ -83,6 +83,36 @@ function clearChannelHistory(channelId) {
   lastChannelActivityTime.delete(channelId);
 }
 
+/**
+ * 指定したユーザーのメッセージを全チャンネルから取得
+ * @param {string} userId - ユーザーID
+ * @returns {Array} チャンネルIDを含むメッセージの配列
+ */
+function getUserMessages(userId) {
+  const result = [];
+  for (const [channelId, messages] of channelMessages.entries()) {
+    messages
+      .filter(msg => msg.author.id === userId)
+      .forEach(msg => result.push({ channelId, ...msg }));
+  }
+  return result;
+}
+
+/**
+ * 指定したユーザーのメッセージを全チャンネルから削除
+ * @param {string} userId - ユーザーID
+ * @returns {number} 削除したメッセージ数
+ */
+function deleteUserMessages(userId) {
+  let deleted = 0;
+  for (const [channelId, messages] of channelMessages.entries()) {
+    const remaining = messages.filter(msg => msg.author.id !== userId);
+    deleted += messages.length - remaining.length;
+    channelMessages.set(channelId, remaining);
+  }
+  return deleted;
+}
+
 /**
  * 定期的なクリーンアップを実行
  * 長時間使用されていないチャンネルのデータを削除
@@ -114,12 +144,14 @@ function getConfig() {
   };
 }
 
-// 毎時間クリーンアップを実行
-setInterval(cleanupExpiredData, 60 * 60 * 1000);
+// 毎時間クリーンアップを実行（タイマーだけでプロセスを維持しない）
+setInterval(cleanupExpiredData, 60 * 60 * 1000).unref();
 
 module.exports = {
   addMessageToHistory,
   getRecentMessages,
   clearChannelHistory,
+  getUserMessages,
+  deleteUserMessages,
   getConfig
 };
@@ -0,0 +1,715 @@
+/**
+ * Bocchy Discord Bot - 検索結果のページ取得
+ * 検索結果の上位のページを取得して本文を取り出し、質問に関係する段落を選ぶ
+ *
+ * - タイムアウトと最大サイズを設けて取得し、robots.txt と取得しないドメインの設定に従う
+ * - リダイレクトは1回ずつたどり、リダイレクト先にも同じ確認（プライベートアドレス・ドメイン・robots.txt）を行う
+ * - 接続時の名前解決でも内部向けのアドレスを拒否し、確認後に別のアドレスへ解決し直させる DNS リバインディングを防ぐ
+ * - 本文は Readability と同じ考え方で、段落を多く含みリンクの少ないブロックを選んで取り出す
+ * - 本文を段落のまとまりに分け、クエリの語を多く含むものを上位にする
+ * - 取り出した本文は一定時間キャッシュする（取得できなかったページも同じ時間は取得し直さないが、
+ *   タイムアウトや接続エラー、サーバーエラーなど一時的な失敗はキャッシュしない）
+ *
+ * @module extensions/page-fetcher
+ */
+
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const logger = require('../system/logger');
+const { extractText } = require('./rag/loaders/html-loader');
+const { tokenize } = require('../utilities/text-tokenizer');
+
+/**
+ * ページ取得の設定
+ * @private
+ */
+const fetcherConfig = {
+  enabled: process.env.SEARCH_FETCH_PAGES !== 'false',
+  // 本文を取得する検索結果の件数（上位から）
+  topK: parseInt(process.env.SEARCH_FETCH_TOP_K || '3', 10),
+  timeout: parseInt(process.env.SEARCH_FETCH_TIMEOUT_MS || '5000', 10),
+  maxBytes: parseInt(process.env.SEARCH_FETCH_MAX_BYTES || '1000000', 10),
+  respectRobots: process.env.SEARCH_FETCH_RESPECT_ROBOTS !== 'false',
+  // 取得しないドメイン（サブドメインも含む）
+  blockedDomains: (process.env.SEARCH_FETCH_BLOCKED_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean),
+  // 1ページあたりの段落のまとまりの数と長さ
+  maxPassages: parseInt(process.env.SEARCH_FETCH_MAX_PASSAGES || '2', 10),
+  passageLength: parseInt(process.env.SEARCH_FETCH_PASSAGE_LENGTH || '400', 10),
+  cacheDuration: parseInt(process.env.SEARCH_FETCH_CACHE_MINUTES || '30', 10) * 60 * 1000,
+  userAgent: 'BocchyBot/1.0 (+https://github.com/botarhythm/botchi-discord-bot)'
+};
+
+// robots.txt でこのボット向けの規則を探すときの名前
+const ROBOTS_AGENT = 'bocchybot';
+
+// 本文を取り出したあとのテキストの上限（文字数）
+const MAX_TEXT_LENGTH = 20000;
+
+// キャッシュの上限件数
+const MAX_CACHE_ENTRIES = 100;
+
+// たどるリダイレクトの最大回数
+const MAX_REDIRECTS = 3;
+
+// 接続時に内部向けのアドレスに解決されたときのエラーコード
+const PRIVATE_ADDRESS_ERROR = 'EPRIVATEADDRESS';
+
+// 本文の候補にするブロックと、段落として数える要素
+const BLOCK_PATTERN = /<(\/?)(div|article|section|main|p|pre)\b([^>]*)>/gi;
+
+// class / id から本文らしさを判断する語
+const POSITIVE_HINTS = /article|body|content|entry|main|post|text|blog|story/i;
+const NEGATIVE_HINTS = /comment|footer|sidebar|nav|menu|banner|share|related|widget|sns|breadcrumb|\bads?\b|ad-/i;
+
+// 取り出した本文（URL → {timestamp, data}）
+const pageCache = new Map();
+
+// robots.txt の規則（オリジン → {timestamp, data: 規則のPromise}）
+const robotsCache = new Map();
+
+/**
+ * キャッシュから値を取得する（期限切れは削除する）
+ * @private
+ * @param {Map} cache キャッシュ
+ * @param {string} key キー
+ * @returns {*} キャッシュされた値、または undefined
+ */
+function getCached(cache, key) {
+  const cached = cache.get(key);
+  if (!cached) return undefined;
+  if (Date.now() - cached.timestamp >= fetcherConfig.cacheDuration) {
+    cache.delete(key);
+    return undefined;
+  }
+  return cached.data;
+}
+
+/**
+ * キャッシュに値を保存する（上限を超えたら古いものから削除する）
+ * @private
+ * @param {Map} cache キャッシュ
+ * @param {string} key キー
+ * @param {*} data 値
+ */
+function setCached(cache, key, data) {
+  cache.delete(key);
+  cache.set(key, { timestamp: Date.now(), data });
+  if (cache.size > MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+/**
+ * IPv4アドレスがループバック・プライベート・リンクローカルなどの内部向けアドレスかどうかを判定する
+ * @private
+ * @param {Array<number>} octets アドレスの4つの値
+ * @returns {boolean} 内部向けの場合はtrue
+ */
+function isPrivateIPv4(octets) {
+  const [a, b] = octets;
+  return a === 10 || a === 127 || a === 0 ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 169 && b === 254) ||
+    (a === 100 && b >= 64 && b <= 127);
+}
+
+/**
+ * IPv6アドレスを8つの16ビットの値に展開する（末尾がIPv4表記のアドレスにも対応する）
+ * @private
+ * @param {string} address IPv6アドレス
+ * @returns {Array<number>} 8つの値
+ */
+function expandIPv6(address) {
+  let text = address.split('%')[0].toLowerCase();
+  const ipv4 = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (ipv4) {
+    const octets = ipv4[1].split('.').map(Number);
+    text = text.slice(0, -ipv4[1].length) +
+      `${((octets[0] << 8) | octets[1]).toString(16)}:${((octets[2] << 8) | octets[3]).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail !== undefined && tail ? tail.split(':') : [];
+  const zeros = tail !== undefined ? Array(8 - headParts.length - tailParts.length).fill('0') : [];
+  return [...headParts, ...zeros, ...tailParts].map(part => parseInt(part, 16));
+}
+
+/**
+ * IPアドレスが取得してはいけない内部向けのアドレスかどうかを判定する
+ * IPv6はループバック・未指定・ユニークローカル (fc00::/7)・リンクローカル (fe80::/10) と、
+ * IPv4射影アドレス (::ffff:127.0.0.1 など) の射影元のアドレスを確認する
+ * @private
+ * @param {string} address IPアドレス
+ * @returns {boolean} 内部向けの場合はtrue
+ */
+function isPrivateAddress(address) {
+  const version = net.isIP(address);
+  if (version === 4) {
+    return isPrivateIPv4(address.split('.').map(Number));
+  }
+  if (version !== 6) {
+    return false;
+  }
+
+  const parts = expandIPv6(address);
+  const isMapped = parts.slice(0, 5).every(part => part === 0) && (parts[5] === 0xffff || parts[5] === 0);
+  if (isMapped && (parts[6] !== 0 || parts[5] === 0xffff)) {
+    return isPrivateIPv4([parts[6] >> 8, parts[6] & 0xff, parts[7] >> 8, parts[7] & 0xff]);
+  }
+  return parts.every(part => part === 0) ||
+    (parts.slice(0, 7).every(part => part === 0) && parts[7] === 1) ||
+    (parts[0] & 0xfe00) === 0xfc00 ||
+    (parts[0] & 0xffc0) === 0xfe80;
+}
+
+/**
+ * 取得してはいけないホスト（ループバック・プライベートアドレス）かどうかを判定する
+ * @private
+ * @param {string} hostname ホスト名（IPv6アドレスは [] で囲まれたもの）
+ * @returns {boolean} 取得しない場合はtrue
+ */
+function isPrivateHost(hostname) {
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return true;
+  }
+  return isPrivateAddress(hostname.replace(/^\[|\]$/g, ''));
+}
+
+/**
+ * ホスト名が内部向けのアドレスに解決されるかどうかを確認する
+ * @private
+ * @param {string} hostname ホスト名
+ * @returns {Promise<boolean>} 解決されたアドレスのいずれかが内部向けの場合はtrue
+ */
+async function resolvesToPrivateAddress(hostname) {
+  if (net.isIP(hostname.replace(/^\[|\]$/g, ''))) {
+    return false;
+  }
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  return addresses.some(({ address }) => isPrivateAddress(address));
+}
+
+/**
+ * 接続先の名前解決を行い、内部向けのアドレスに解決された場合は接続させない
+ * 事前の確認 (resolvesToPrivateAddress) のあとに別のアドレスを返す DNS リバインディングを防ぐため、
+ * 実際に接続するアドレスをここで確認する（net.connect の lookup と同じ引数で呼ばれる）
+ * @private
+ * @param {string} hostname ホスト名
+ * @param {Object} options dns.lookup のオプション
+ * @param {Function} callback dns.lookup と同じ形式のコールバック
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(item => isPrivateAddress(item.address))) {
+      const rejected = new Error(`${hostname} resolved to a private address`);
+      rejected.code = PRIVATE_ADDRESS_ERROR;
+      callback(rejected);
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+// 内部向けのアドレスに接続しないエージェント（ページと robots.txt の取得に使う）
+const httpAgent = new http.Agent({ lookup: lookupPublicAddress });
+const httpsAgent = new https.Agent({ lookup: lookupPublicAddress });
+
+/**
+ * 取得しないドメインかどうかを判定する
+ * @private
+ * @param {string} hostname ホスト名
+ * @returns {boolean} 取得しない場合はtrue
+ */
+function isBlockedDomain(hostname) {
+  return fetcherConfig.blockedDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+/**
+ * robots.txt を解析し、このボットに適用される規則を取り出す
+ * ボット名のグループがあればそれを、なければ `*` のグループを使う
+ * @param {string} text robots.txt の内容
+ * @returns {Array<{allow: boolean, path: string}>} 規則
+ */
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let readingAgents = false;
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator < 0) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!readingAgents) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      readingAgents = true;
+    } else if ((field === 'allow' || field === 'disallow') && current) {
+      readingAgents = false;
+      // 空の Disallow は「すべて許可」
+      if (value) {
+        current.rules.push({ allow: field === 'allow', path: value });
+      }
+    }
+  }
+
+  const own = groups.find(group => group.agents.includes(ROBOTS_AGENT));
+  const fallback = groups.find(group => group.agents.includes('*'));
+  return (own || fallback)?.rules || [];
+}
+
+/**
+ * robots.txt の規則でパスの取得が許可されているかを判定する
+ * 最も長く一致した規則に従い、同じ長さなら Allow を優先する
+ * @param {Array<{allow: boolean, path: string}>} rules 規則
+ * @param {string} path パス（クエリ文字列を含む）
+ * @returns {boolean} 許可されている場合はtrue
+ */
+function isPathAllowed(rules, path) {
+  let matched = null;
+  for (const rule of rules) {
+    const pattern = rule.path
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\\\$$/, '$');
+    if (!new RegExp(`^${pattern}`).test(path)) continue;
+    if (!matched || rule.path.length > matched.path.length ||
+        (rule.path.length === matched.path.length && rule.allow)) {
+      matched = rule;
+    }
+  }
+  return matched ? matched.allow : true;
+}
+
+/**
+ * オリジンの robots.txt を取得して規則を取り出す
+ * robots.txt がない・取得できない場合は規則なし（すべて許可）とする
+ * @private
+ * @param {string} origin オリジン
+ * @returns {Promise<Array<{allow: boolean, path: string}>>} 規則
+ */
+async function loadRobotsRules(origin) {
+  try {
+    const response = await axios.get(`${origin}/robots.txt`, {
+      timeout: fetcherConfig.timeout,
+      maxContentLength: 100000,
+      responseType: 'text',
+      headers: { 'User-Agent': fetcherConfig.userAgent },
+      httpAgent,
+      httpsAgent,
+      // リダイレクト先は確認していないため、たどらずに規則なしとして扱う
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+    return response.status >= 200 && response.status < 300 ? parseRobots(response.data) : [];
+  } catch (error) {
+    logger.debug(`robots.txt を取得できませんでした (${origin}): ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * URLの取得が robots.txt で許可されているかを確認する
+ * 同じオリジンへの同時の確認では robots.txt を1回だけ取得する
+ * @param {URL} url 取得するURL
+ * @returns {Promise<boolean>} 許可されている場合はtrue
+ */
+async function isAllowedByRobots(url) {
+  let rules = getCached(robotsCache, url.origin);
+  if (!rules) {
+    rules = loadRobotsRules(url.origin);
+    setCached(robotsCache, url.origin, rules);
+  }
+  return isPathAllowed(await rules, `${url.pathname}${url.search}`);
+}
+
+/**
+ * レスポンスの本文を文字コードに合わせてデコードする
+ * Content-Type か <meta charset> で指定された文字コード（Shift_JIS / EUC-JP など）に対応する
+ * @private
+ * @param {Buffer|ArrayBuffer|string} data レスポンスの本文
+ * @param {string} contentType Content-Type ヘッダー
+ * @returns {string} テキスト
+ */
+function decodeBody(data, contentType = '') {
+  if (typeof data === 'string') return data;
+  const buffer = Buffer.from(data);
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const charset = (contentType.match(/charset=["']?([\w-]+)/i) || head.match(/<meta[^>]+charset=["']?([\w-]+)/i) || [])[1];
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+/**
+ * タグを取り除き、空白をまとめたテキストを返す
+ * @private
+ * @param {string} html HTML
+ * @returns {string} テキスト
+ */
+function plainText(html) {
+  return html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * ブロック内のテキストのうち、リンクの文字が占める割合を求める
+ * @private
+ * @param {string} html ブロックのHTML
+ * @returns {number} 0〜1
+ */
+function linkDensity(html) {
+  const textLength = plainText(html).length;
+  if (textLength === 0) return 1;
+  let linkLength = 0;
+  for (const match of html.matchAll(/<a\b[^>]*>([\s\S]*?)<\/a>/gi)) {
+    linkLength += plainText(match[1]).length;
+  }
+  return Math.min(linkLength / textLength, 1);
+}
+
+/**
+ * HTMLから記事の本文を取り出す
+ * 段落ごとに長さと読点の数で点数を付けて親（全額）と祖父母（半額）のブロックに加え、
+ * class / id の印象とリンクの割合で補正して最も点数の高いブロックを本文とする
+ * 段落が見つからないページは、定型部分を除いたページ全体を本文とする
+ * @param {string} html HTML
+ * @returns {{title: string|null, text: string}} ページタイトルと本文
+ */
+function extractMainContent(html) {
+  const titleTag = html.match(/<title[^>]*>[\s\S]*?<\/title>/i);
+  const { title } = extractText(titleTag ? titleTag[0] : '');
+
+  const cleaned = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|iframe|head)\b[\s\S]*?<\/\1>/gi, '');
+
+  const blocks = [];
+  const stack = [];
+  let paragraph = null;
+
+  for (const match of cleaned.matchAll(BLOCK_PATTERN)) {
+    const [tag, closing, rawName, attributes] = match;
+    const name = rawName.toLowerCase();
+    const parent = stack[stack.length - 1] || null;
+
+    if (name === 'p' || name === 'pre') {
+      if (!closing) {
+        paragraph = { start: match.index + tag.length, parent };
+      } else if (paragraph) {
+        const text = plainText(cleaned.slice(paragraph.start, match.index));
+        if (text.length >= 25 && paragraph.parent) {
+          const score = 1 + (text.match(/[、,，。]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+          paragraph.parent.score += score;
+          if (paragraph.parent.parent) {
+            paragraph.parent.parent.score += score / 2;
+          }
+        }
+        paragraph = null;
+      }
+      continue;
+    }
+
+    if (!closing) {
+      const block = { name, attributes, start: match.index + tag.length, end: cleaned.length, parent, score: 0 };
+      blocks.push(block);
+      stack.push(block);
+    } else {
+      // 閉じ忘れのタグは、対応する開始タグまでまとめて閉じる
+      const index = stack.map(block => block.name).lastIndexOf(name);
+      if (index >= 0) {
+        stack.splice(index).forEach(block => { block.end = Math.min(block.end, match.index); });
+      }
+    }
+  }
+
+  let best = null;
+  for (const block of blocks) {
+    if (block.score === 0) continue;
+    const inner = cleaned.slice(block.start, block.end);
+    let score = block.score;
+    if (POSITIVE_HINTS.test(block.attributes)) score += 25;
+    if (NEGATIVE_HINTS.test(block.attributes)) score -= 25;
+    score *= 1 - linkDensity(inner);
+    if (!best || score > best.score) {
+      best = { score, inner };
+    }
+  }
+
+  const { text } = extractText(best && best.score > 0 ? best.inner : cleaned);
+  return { title, text: text.substring(0, MAX_TEXT_LENGTH) };
+}
+
+/**
+ * 本文を段落のまとまり（パッセージ）に分ける
+ * 段落を maxLength 文字までつなげ、それより長い段落は文の区切りで分ける
+ * @private
+ * @param {string} text 本文
+ * @param {number} maxLength 1つのまとまりの最大文字数
+ * @returns {Array<string>} パッセージ
+ */
+function splitPassages(text, maxLength) {
+  const pieces = [];
+  for (const paragraph of text.split(/\n+/).map(line => line.trim()).filter(Boolean)) {
+    if (paragraph.length <= maxLength) {
+      pieces.push(paragraph);
+      continue;
+    }
+    let rest = paragraph;
+    while (rest.length > maxLength) {
+      const window = rest.substring(0, maxLength);
+      const boundary = Math.max(window.lastIndexOf('。'), window.lastIndexOf('. '));
+      const cut = boundary > maxLength / 2 ? boundary + 1 : maxLength;
+      pieces.push(rest.substring(0, cut).trim());
+      rest = rest.substring(cut).trim();
+    }
+    if (rest) pieces.push(rest);
+  }
+
+  const passages = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 1 > maxLength) {
+      passages.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${piece}` : piece;
+  }
+  if (current) passages.push(current);
+  return passages;
+}
+
+/**
+ * 本文からクエリに関係するパッセージを選ぶ
+ * クエリの語を多く含む（同数なら出現回数の多い、さらに同じならページの前の方の）パッセージを上位にする
+ * クエリの語を含むパッセージがなければ、ページの冒頭を返す
+ * @param {string} query 検索クエリ
+ * @param {string} text 本文
+ * @param {Object} [options] オプション
+ * @param {number} [options.limit] 返すパッセージの数
+ * @param {number} [options.passageLength] 1つのパッセージの最大文字数
+ * @returns {Array<string>} パッセージ
+ */
+function rankPassages(query, text, options = {}) {
+  const limit = options.limit || fetcherConfig.maxPassages;
+  const passages = splitPassages(text || '', options.passageLength || fetcherConfig.passageLength);
+  const terms = [...new Set(tokenize(query))];
+
+  const scored = passages.map((passage, index) => {
+    const tokens = tokenize(passage);
+    const hits = tokens.filter(token => terms.includes(token)).length;
+    const matched = terms.filter(term => tokens.includes(term)).length;
+    return { passage, index, matched, hits };
+  }).filter(item => item.matched > 0);
+
+  if (scored.length === 0) {
+    return passages.slice(0, 1);
+  }
+
+  scored.sort((a, b) => b.matched - a.matched || b.hits - a.hits || a.index - b.index);
+  return scored.slice(0, limit).map(item => item.passage);
+}
+
+/**
+ * ページを取得して本文を取り出す
+ * @param {string} pageUrl ページのURL
+ * @returns {Promise<Object>} {success, url, title, text} または {success: false, error}
+ */
+async function fetchPage(pageUrl) {
+  const cached = getCached(pageCache, pageUrl);
+  if (cached) {
+    return cached;
+  }
+
+  const { transient, ...result } = await fetchPageUncached(pageUrl);
+  // 一時的な失敗は次の検索で取得し直す
+  if (!transient) {
+    setCached(pageCache, pageUrl, result);
+  }
+  return result;
+}
+
+/**
+ * URLを取得してよいかを確認する（リダイレクト先にも同じ確認を行う）
+ * @private
+ * @param {URL} url 取得するURL
+ * @returns {Promise<{error: string, transient?: boolean}|null>} 取得しない理由（取得してよい場合はnull）
+ */
+async function checkUrl(url) {
+  const hostname = url.hostname.toLowerCase();
+  if (!['http:', 'https:'].includes(url.protocol) || isPrivateHost(hostname)) {
+    return { error: 'URL not allowed' };
+  }
+  if (isBlockedDomain(hostname)) {
+    return { error: 'Blocked domain' };
+  }
+
+  try {
+    if (await resolvesToPrivateAddress(hostname)) {
+      return { error: 'URL not allowed' };
+    }
+  } catch (error) {
+    return { error: `Failed to resolve host: ${error.message}`, transient: true };
+  }
+
+  if (fetcherConfig.respectRobots && !(await isAllowedByRobots(url))) {
+    logger.debug(`robots.txt により取得しません: ${url.href}`);
+    return { error: 'Disallowed by robots.txt' };
+  }
+  return null;
+}
+
+/**
+ * 取得の失敗が一時的なもの（タイムアウト・接続エラー・サーバーエラー・レート制限）かどうかを判定する
+ * @private
+ * @param {Error} error axiosのエラー
+ * @returns {boolean} 一時的な失敗の場合はtrue
+ */
+function isTransientError(error) {
+  if (!error.isAxiosError) return false;
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 429;
+}
+
+/**
+ * キャッシュを使わずにページを取得して本文を取り出す
+ * リダイレクトは axios に任せず1回ずつたどり、リダイレクト先も checkUrl で確認する
+ * @private
+ * @param {string} pageUrl ページのURL
+ * @returns {Promise<Object>} {success, url, title, text} または {success: false, error, transient}
+ */
+async function fetchPageUncached(pageUrl) {
+  let url;
+  try {
+    url = new URL(pageUrl);
+  } catch (error) {
+    return { success: false, url: pageUrl, error: 'Invalid URL' };
+  }
+
+  try {
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      const rejected = await checkUrl(url);
+      if (rejected) {
+        return { success: false, url: pageUrl, ...rejected };
+      }
+
+      response = await axios.get(url.href, {
+        timeout: fetcherConfig.timeout,
+        maxContentLength: fetcherConfig.maxBytes,
+        maxRedirects: 0,
+        responseType: 'arraybuffer',
+        validateStatus: status => status >= 200 && status < 400,
+        httpAgent,
+        httpsAgent,
+        headers: {
+          'User-Agent': fetcherConfig.userAgent,
+          Accept: 'text/html,application/xhtml+xml,text/plain;q=0.8'
+        }
+      });
+
+      const location = response.headers?.location;
+      if (response.status < 300 || !location) break;
+      if (redirects >= MAX_REDIRECTS) {
+        return { success: false, url: pageUrl, error: 'Too many redirects' };
+      }
+      url = new URL(location, url);
+    }
+
+    if (response.status >= 300) {
+      return { success: false, url: pageUrl, error: `Unexpected status: ${response.status}` };
+    }
+
+    const contentType = String(response.headers?.['content-type'] || 'text/html');
+    if (!/text\/html|application\/xhtml\+xml|text\/plain/i.test(contentType)) {
+      return { success: false, url: pageUrl, error: `Unsupported content type: ${contentType}` };
+    }
+
+    const body = decodeBody(response.data, contentType);
+    const { title, text } = /text\/plain/i.test(contentType)
+      ? { title: null, text: body.substring(0, MAX_TEXT_LENGTH) }
+      : extractMainContent(body);
+
+    if (!text) {
+      return { success: false, url: pageUrl, error: 'No readable content' };
+    }
+    return { success: true, url: pageUrl, title, text };
+  } catch (error) {
+    if (error.code === PRIVATE_ADDRESS_ERROR) {
+      logger.warn(`内部向けのアドレスに解決されたため取得しません (${pageUrl})`);
+      return { success: false, url: pageUrl, error: 'URL not allowed' };
+    }
+    logger.debug(`ページの取得に失敗しました (${pageUrl}): ${error.message}`);
+    return { success: false, url: pageUrl, error: error.message, transient: isTransientError(error) };
+  }
+}
+
+/**
+ * 検索結果の上位のページを取得し、クエリに関係するパッセージを各結果の passages に加える
+ * 取得できなかった結果は検索エンジンの説明文のまま残す
+ * @param {string} query 検索クエリ
+ * @param {Array<Object>} sources 検索結果（url を持つ）
+ * @param {Object} [options] オプション
+ * @param {number} [options.topK] 本文を取得する件数
+ * @returns {Promise<Array<Object>>} パッセージを加えた検索結果
+ */
+async function enrichSearchResults(query, sources, options = {}) {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    return sources;
+  }
+
+  const topK = options.topK ?? fetcherConfig.topK;
+  const targets = sources.slice(0, topK).filter(source => source.url);
+  const pages = await Promise.all(targets.map(source => fetchPage(source.url)));
+
+  pages.forEach((page, index) => {
+    if (!page.success) return;
+    const passages = rankPassages(query, page.text);
+    if (passages.length > 0) {
+      targets[index].passages = passages;
+    }
+  });
+
+  const fetched = targets.filter(source => source.passages).length;
+  logger.debug(`検索結果のページを取得: ${fetched}/${targets.length}件`);
+  return sources;
+}
+
+/**
+ * 取り出した本文と robots.txt のキャッシュをクリアする
+ */
+function clearCache() {
+  pageCache.clear();
+  robotsCache.clear();
+}
+
+module.exports = {
+  fetchPage,
+  enrichSearchResults,
+  extractMainContent,
+  rankPassages,
+  parseRobots,
+  isPathAllowed,
+  isAllowedByRobots,
+  clearCache,
+  config: fetcherConfig
+};
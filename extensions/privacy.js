@@ -0,0 +1,230 @@
+// extensions/privacy.js - ユーザーデータのエクスポートと削除
+/**
+ * プライバシー管理
+ * ボットが保持しているユーザーのデータ（記憶システムの会話・メッセージ・プロフィール、
+ * チャンネル履歴、各種キャッシュ、ナレッジベースの投稿）をまとめてエクスポート・削除する
+ * `!privacy export` / `!privacy delete` / `!privacy purge` から利用する
+ */
+
+const config = require('../config/env');
+const logger = require('../system/logger');
+const conversationStore = require('./memory/conversation-store');
+const userProfile = require('./memory/user-profile');
+const messageHistory = require('./message-history');
+const timeContext = require('../core/utils/time-context');
+const searchCommand = require('../handlers/commands/search');
+
+// エクスポート時に1つの会話から読み込むメッセージの上限
+const EXPORT_MESSAGE_LIMIT = 10000;
+
+/**
+ * AIサービスを取得（起動時の循環読み込みを避けるため、使用時に読み込む）
+ * @private
+ * @param {Object} aiService - 呼び出し元から渡されたAIサービス（任意）
+ * @returns {Object} AIサービス
+ */
+function resolveAIService(aiService) {
+  return aiService || require('../services/ai/ai-service');
+}
+
+/**
+ * 記憶システムが利用できるかどうか
+ * @private
+ * @returns {boolean} 利用できる場合はtrue
+ */
+function isMemoryAvailable() {
+  return config.MEMORY_ENABLED && Boolean(global.botchiMemory?.manager);
+}
+
+/**
+ * RAGシステムを取得
+ * @private
+ * @returns {Object|null} 初期化済みのRAGシステム
+ */
+function getRAGSystem() {
+  const rag = global.botchiRAG;
+  return rag && typeof rag.isInitialized === 'function' && rag.isInitialized() ? rag : null;
+}
+
+/**
+ * 失敗しても他の処理を続けるためのラッパー
+ * @private
+ * @param {string} label - 処理の名前
+ * @param {Function} fn - 処理
+ * @param {Array<string>} errors - エラーの記録先
+ * @returns {Promise<*>} 処理結果（失敗時はnull）
+ */
+async function attempt(label, fn, errors) {
+  try {
+    return await fn();
+  } catch (error) {
+    logger.error(`Privacy ${label} failed: ${error.message}`);
+    errors.push(`${label}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * ユーザーについて保持しているデータをすべて集める
+ * @param {string} userId - ユーザーID
+ * @param {Object} options - オプション
+ * @param {Object} options.aiService - AIサービス（任意）
+ * @returns {Promise<Object>} エクスポートデータ
+ */
+async function exportUserData(userId, options = {}) {
+  const aiService = resolveAIService(options.aiService);
+  const errors = [];
+  const data = {
+    exportedAt: new Date().toISOString(),
+    userId,
+    memory: null,
+    knowledge: [],
+    caches: {}
+  };
+
+  if (isMemoryAvailable()) {
+    data.memory = await attempt('memory export', async () => {
+      const conversations = await conversationStore.findConversations({ userId });
+      for (const conversation of conversations) {
+        conversation.messages = await conversationStore.getMessages(conversation.id, { limit: EXPORT_MESSAGE_LIMIT });
+      }
+      return {
+        user: await conversationStore.getUser(userId),
+        conversations
+      };
+    }, errors);
+  }
+
+  const rag = getRAGSystem();
+  if (rag) {
+    data.knowledge = await attempt('knowledge export', () => rag.listDocumentsByAuthor(userId), errors) || [];
+  }
+
+  data.caches = {
+    channelMessages: messageHistory.getUserMessages(userId),
+    providerConversation: typeof aiService.getCachedConversation === 'function'
+      ? aiService.getCachedConversation(userId)
+      : null,
+    contextManager: require('../context-manager').getCachedConversation(userId),
+    timeContext: timeContext.getUserContext(userId),
+    recentSearchQueries: searchCommand.getRecentQueries(userId)
+  };
+
+  if (errors.length > 0) {
+    data.errors = errors;
+  }
+  return data;
+}
+
+/**
+ * ユーザーについて保持しているデータをすべての保存先から削除する
+ * 一部の保存先で失敗しても残りの削除は続け、失敗内容を errors に返す
+ * @param {string} userId - ユーザーID
+ * @param {Object} options - オプション
+ * @param {Object} options.aiService - AIサービス（任意）
+ * @returns {Promise<Object>} 削除結果 ({success, deleted, errors})
+ */
+async function deleteUserData(userId, options = {}) {
+  const aiService = resolveAIService(options.aiService);
+  const errors = [];
+  const deleted = {
+    conversations: 0,
+    messages: 0,
+    user: false,
+    knowledgeDocuments: 0,
+    cachedMessages: 0
+  };
+
+  if (isMemoryAvailable()) {
+    // 処理中のプロフィールの更新が、削除したあとに記憶を書き戻さないようにする
+    await attempt('memory delete', () => userProfile.runDeletion(userId, async () => {
+      const conversations = await conversationStore.findConversations({ userId });
+      for (const conversation of conversations) {
+        deleted.messages += await conversationStore.deleteConversation(conversation.id);
+        deleted.conversations++;
+      }
+      deleted.user = await conversationStore.deleteUser(userId);
+      global.botchiMemory.manager.forgetCachedUser(userId);
+    }), errors);
+  }
+
+  const rag = getRAGSystem();
+  if (rag) {
+    await attempt('knowledge delete', async () => {
+      const result = await rag.deleteDocumentsByAuthor(userId);
+      if (!result.success) throw new Error(result.error);
+      deleted.knowledgeDocuments = result.deleted;
+    }, errors);
+  }
+
+  await attempt('provider cache delete', () => aiService.clearConversationHistory(userId), errors);
+  await attempt('context cache delete', () => require('../context-manager').clearConversation(userId), errors);
+
+  deleted.cachedMessages = messageHistory.deleteUserMessages(userId);
+  timeContext.clearUserContext(userId);
+  searchCommand.clearRecentQueries(userId);
+
+  logger.info(`Deleted stored data for user ${userId} (${deleted.conversations} conversations, ${deleted.messages} messages)`);
+  return { success: errors.length === 0, deleted, errors };
+}
+
+/**
+ * サーバー内の会話のうち保存期間を過ぎたメッセージを削除する（管理者向けの一括削除）
+ * 最終更新が期限より前の会話は会話ごと、それ以外は期限より前のメッセージだけを削除する
+ * @param {Object} options - オプション
+ * @param {string} options.guildId - サーバーID
+ * @param {Array<string>} options.channelIds - サーバー内のチャンネルID
+ * @param {number} options.olderThanDays - 保存期間（日数）
+ * @returns {Promise<Object>} 削除結果 ({success, conversations, messages, cutoff, error})
+ */
+async function purgeGuildData({ guildId, channelIds = [], olderThanDays }) {
+  const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+
+  if (!isMemoryAvailable()) {
+    return { success: false, conversations: 0, messages: 0, cutoff, error: 'Memory system is not enabled' };
+  }
+
+  try {
+    // 会話には guild_id が入っていないことがあるため、チャンネルIDでも探す
+    // （条件が空だと全会話に一致するため、IDのないフィルターは使わない）
+    const found = new Map();
+    const filters = [{ guildId }, ...channelIds.map(channelId => ({ channelId }))]
+      .filter(filter => Object.values(filter).every(Boolean));
+    for (const filter of filters) {
+      for (const conversation of await conversationStore.findConversations(filter)) {
+        found.set(conversation.id, conversation);
+      }
+    }
+
+    let conversations = 0;
+    let messages = 0;
+    const affected = [];
+
+    for (const conversation of found.values()) {
+      if (conversation.updated_at < cutoff) {
+        messages += await conversationStore.deleteConversation(conversation.id);
+        conversations++;
+        affected.push(conversation.id);
+      } else {
+        const count = await conversationStore.deleteMessagesBefore(conversation.id, cutoff);
+        if (count > 0) {
+          messages += count;
+          affected.push(conversation.id);
+        }
+      }
+    }
+
+    global.botchiMemory.manager.forgetCachedConversations(affected);
+    logger.info(`Purged guild ${guildId} data older than ${cutoff} (${conversations} conversations, ${messages} messages)`);
+    return { success: true, conversations, messages, cutoff };
+  } catch (error) {
+    logger.error(`Guild data purge failed: ${error.message}`);
+    return { success: false, conversations: 0, messages: 0, cutoff, error: error.message };
+  }
+}
+
+module.exports = {
+  exportUserData,
+  deleteUserData,
+  purgeGuildData
+};
@@ -0,0 +1,617 @@
+/**
+ * チャンネルインデクサー - Bocchy Bot RAGシステム用
+ *
+ * RAG_INDEX_CHANNELS で指定したチャンネル（#faq など）の会話とピン留めメッセージをナレッジベースに取り込むモジュール
+ * - 起動時に履歴を取得し、発言の間隔が空くところで区切った「会話のまとまり」ごとに1つのドキュメントにする
+ * - ピン留めメッセージは1メッセージを1つのドキュメントにする
+ * - messageCreate / messageUpdate / messageDelete で、該当するまとまりを取り込み直して同期する
+ * ドキュメントにはチャンネル・発言者・元のメッセージへのリンク (url) を記録し、応答の参考資料からリンクできるようにする
+ * `!privacy delete` でデータを削除したユーザーの発言は、まとまりから除いて取り込み直し、以後も取り込まない
+ *
+ * @module extensions/rag/channel-indexer
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+const logger = require('../../system/logger');
+const knowledgeBase = require('./knowledge-base');
+const vectorStore = require('./vector-store');
+
+/**
+ * インデクサー設定
+ * @private
+ */
+const indexerConfig = {
+  // 取り込むチャンネルのID（カンマ区切り、未指定の場合は無効）
+  channels: (process.env.RAG_INDEX_CHANNELS || '').split(',').map(id => id.trim()).filter(Boolean),
+  includePins: process.env.RAG_INDEX_PINS !== 'false',
+  // 起動時に取得する1チャンネルあたりの履歴の件数
+  historyLimit: parseInt(process.env.RAG_INDEX_HISTORY_LIMIT || '500', 10),
+  // この間隔（分）より空いた発言は別の会話のまとまりにする
+  windowGapMinutes: parseInt(process.env.RAG_INDEX_WINDOW_GAP_MINUTES || '15', 10),
+  // 1つのまとまりに入れる最大メッセージ数
+  windowMaxMessages: parseInt(process.env.RAG_INDEX_WINDOW_MAX_MESSAGES || '20', 10),
+  // 取り込まないユーザー（データを削除したユーザー）の保存先
+  excludedAuthorsPath: process.env.RAG_INDEX_EXCLUDED_AUTHORS_PATH ||
+    path.join(__dirname, '..', '..', 'data', 'indexer-excluded-authors.json')
+};
+
+// 1回の履歴取得で取れる最大件数（Discord APIの上限）
+const FETCH_BATCH_SIZE = 100;
+
+/**
+ * インデクサーの状態
+ * @private
+ */
+const state = {
+  client: null,
+  knowledgeBaseReady: false,
+  initialSync: null,
+  // 同じまとまりの保存が重ならないよう、保存を1件ずつ順に行うためのキュー
+  writeQueue: Promise.resolve(),
+  // 取り込み元 (source) → 会話のまとまり
+  windows: new Map(),
+  // メッセージID → そのメッセージを含むまとまりの取り込み元
+  messageWindows: new Map(),
+  // チャンネルID → 最新のまとまりの取り込み元
+  latestWindows: new Map(),
+  // 取り込まないユーザーのID（初回の参照時にファイルから読み込む）
+  excludedAuthors: null
+};
+
+/**
+ * 取り込まないユーザーのIDを取得する（未読み込みの場合はファイルから読み込む）
+ * @private
+ * @returns {Set<string>} ユーザーID
+ */
+function getExcludedAuthors() {
+  if (!state.excludedAuthors) {
+    state.excludedAuthors = new Set();
+    try {
+      if (fs.existsSync(indexerConfig.excludedAuthorsPath)) {
+        const saved = JSON.parse(fs.readFileSync(indexerConfig.excludedAuthorsPath, 'utf8'));
+        (saved.authors || []).forEach(id => state.excludedAuthors.add(String(id)));
+      }
+    } catch (error) {
+      logger.error(`Failed to load excluded authors for channel indexing: ${error.message}`);
+    }
+  }
+  return state.excludedAuthors;
+}
+
+/**
+ * 取り込まないユーザーのIDをファイルに書き出す
+ * 一時ファイルに書いてから置き換えることで、書き込み途中の破損を防ぐ
+ * @private
+ * @returns {Promise<void>}
+ */
+async function persistExcludedAuthors() {
+  const filePath = indexerConfig.excludedAuthorsPath;
+  const tempPath = `${filePath}.tmp`;
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(tempPath, JSON.stringify({ authors: [...getExcludedAuthors()] }, null, 2), 'utf8');
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * チャンネルが取り込み対象かどうかを確認する
+ * @param {string} channelId チャンネルID
+ * @returns {boolean} 対象の場合はtrue
+ */
+function isIndexedChannel(channelId) {
+  return indexerConfig.channels.includes(channelId);
+}
+
+/**
+ * 取り込み対象のメッセージを、まとまりに入れる形に変換する
+ * @private
+ * @param {Object} message Discordのメッセージ
+ * @returns {Object|null} メッセージ ({id, authorId, authorName, content, createdTimestamp, url})、対象外の場合はnull
+ */
+function toIndexedMessage(message) {
+  if (message.system || message.author?.bot) return null;
+  if (getExcludedAuthors().has(message.author?.id)) return null;
+
+  const attachments = [...(message.attachments?.values() || [])].map(attachment => `[添付: ${attachment.name}]`);
+  const content = [message.content || '', ...attachments].join(' ').trim();
+  if (!content) return null;
+
+  return {
+    id: message.id,
+    authorId: message.author.id,
+    authorName: message.member?.displayName || message.author.globalName || message.author.username,
+    content,
+    createdTimestamp: message.createdTimestamp,
+    url: message.url
+  };
+}
+
+/**
+ * メッセージが、まとまりの続きになるかどうかを確認する（件数に余裕があり、直前の発言からの間隔が短い場合）
+ * @private
+ * @param {Array<Object>} messages まとまりのメッセージ（古い順）
+ * @param {Object} message 次のメッセージ
+ * @returns {boolean} 続きになる場合はtrue
+ */
+function continuesWindow(messages, message) {
+  const last = messages[messages.length - 1];
+  return messages.length < indexerConfig.windowMaxMessages &&
+    message.createdTimestamp - last.createdTimestamp <= indexerConfig.windowGapMinutes * 60 * 1000;
+}
+
+/**
+ * メッセージを発言の間隔と件数で会話のまとまりに分ける
+ * @private
+ * @param {Array<Object>} messages 古い順のメッセージ
+ * @returns {Array<Array<Object>>} まとまりの配列
+ */
+function groupIntoWindows(messages) {
+  const groups = [];
+
+  for (const message of messages) {
+    const current = groups[groups.length - 1];
+    if (current && continuesWindow(current, message)) {
+      current.push(message);
+    } else {
+      groups.push([message]);
+    }
+  }
+  return groups;
+}
+
+/**
+ * 会話のまとまりを作成する
+ * @private
+ * @param {Object} channel Discordのチャンネル
+ * @param {string} kind 種類 ('conversation' / 'pin')
+ * @param {Array<Object>} messages 古い順のメッセージ
+ * @returns {Object} まとまり ({source, kind, channelId, channelName, guildId, messages})
+ */
+function createWindow(channel, kind, messages) {
+  // 取り込み元は最初のメッセージで決め、途中のメッセージが消えても変えない
+  const source = kind === 'pin'
+    ? `discord:pin:${messages[0].id}`
+    : `discord:channel:${channel.id}:${messages[0].id}`;
+
+  return {
+    source,
+    kind,
+    channelId: channel.id,
+    channelName: channel.name || channel.id,
+    guildId: channel.guildId || channel.guild?.id || null,
+    messages
+  };
+}
+
+/**
+ * まとまりのタイトルを作る
+ * @private
+ * @param {Object} window まとまり
+ * @returns {string} タイトル
+ */
+function formatTitle(window) {
+  if (window.kind === 'pin') {
+    const firstLine = window.messages[0].content.split('\n')[0];
+    return `📌 #${window.channelName}: ${firstLine.length > 50 ? `${firstLine.slice(0, 50)}…` : firstLine}`;
+  }
+  const date = DateTime.fromMillis(window.messages[0].createdTimestamp, { zone: 'Asia/Tokyo' }).toFormat('yyyy-MM-dd');
+  return `#${window.channelName} の会話（${date}）`;
+}
+
+/**
+ * まとまりをナレッジベースに保存する（内容が変わっていなければ何もしない）
+ * 新しい内容を追加してから古いドキュメントを削除し、メッセージがなくなったまとまりは削除する
+ * @private
+ * @param {Object} window まとまり
+ * @returns {Promise<Object>} 結果 ({success, status, source, error})
+ */
+async function writeWindow(window) {
+  const { source } = window;
+
+  try {
+    const existing = await vectorStore.listKnowledge({ source });
+
+    if (window.messages.length === 0) {
+      for (const doc of existing) {
+        await vectorStore.deleteKnowledge(doc.id);
+      }
+      return { success: true, status: 'deleted', source };
+    }
+
+    const content = window.messages.map(message => `${message.authorName}: ${message.content}`).join('\n');
+    const contentHash = crypto.createHash('sha256').update(content).digest('hex');
+    if (existing.some(doc => doc.metadata?.contentHash === contentHash)) {
+      return { success: true, status: 'unchanged', source };
+    }
+
+    const result = await knowledgeBase.addDocumentSections(formatTitle(window), [{ content }], {
+      source,
+      kind: window.kind,
+      channelId: window.channelId,
+      channelName: window.channelName,
+      guildId: window.guildId,
+      messageIds: window.messages.map(message => message.id),
+      authorIds: [...new Set(window.messages.map(message => message.authorId))],
+      // ピン留めは1人の発言なので、!privacy で削除できるよう投稿者として記録する
+      ...(window.kind === 'pin' ? { authorId: window.messages[0].authorId } : {}),
+      url: window.messages[0].url,
+      startedAt: window.messages[0].createdTimestamp,
+      contentHash
+    });
+    if (!result.success) {
+      if (result.knowledgeId) {
+        await vectorStore.deleteKnowledge(result.knowledgeId);
+      }
+      throw new Error(result.error || 'Failed to store chunks');
+    }
+
+    for (const doc of existing) {
+      await vectorStore.deleteKnowledge(doc.id);
+    }
+    return { success: true, status: existing.length > 0 ? 'updated' : 'added', source };
+  } catch (error) {
+    logger.error(`Failed to index ${source}: ${error.message}`);
+    return { success: false, status: 'failed', source, error: error.message };
+  }
+}
+
+/**
+ * まとまりの保存をキューに入れる
+ * 続けて投稿されたメッセージで同じまとまりの保存が重なると、古いドキュメントが消えずに残るため順に行う
+ * @private
+ * @param {Object} window まとまり
+ * @returns {Promise<Object>} 結果 ({success, status, source, error})
+ */
+function storeWindow(window) {
+  const task = state.writeQueue.then(() => writeWindow(window));
+  state.writeQueue = task.catch(() => {});
+  return task;
+}
+
+/**
+ * まとまりを状態に登録する
+ * @private
+ * @param {Object} window まとまり
+ */
+function trackWindow(window) {
+  state.windows.set(window.source, window);
+  window.messages.forEach(message => state.messageWindows.set(message.id, window.source));
+}
+
+/**
+ * 状態にない保存済みのまとまり（起動前や取得した履歴より古いもの）を、ドキュメントに記録したメッセージIDから作り直す
+ * メッセージはDiscordから取得し直し、削除済みのものや取り込まないユーザーの発言は含めない
+ * チャンネルを取得できない場合は、発言を選り分けられないためメッセージのないまとまり（ドキュメントを削除する）を返す
+ * @private
+ * @param {Object} doc 保存済みのドキュメント
+ * @param {string} [excludedMessageId] 含めないメッセージのID（削除されたメッセージ）
+ * @returns {Promise<Object>} まとまり
+ */
+async function loadStoredWindow(doc, excludedMessageId) {
+  const metadata = doc.metadata || {};
+  const window = {
+    source: metadata.source,
+    kind: metadata.kind,
+    channelId: metadata.channelId,
+    channelName: metadata.channelName || metadata.channelId,
+    guildId: metadata.guildId || null,
+    messages: []
+  };
+
+  let channel;
+  try {
+    channel = await state.client.channels.fetch(metadata.channelId);
+  } catch (error) {
+    logger.warn(`Failed to fetch channel ${metadata.channelId} to re-index ${metadata.source}: ${error.message}`);
+    return window;
+  }
+
+  for (const id of metadata.messageIds || []) {
+    if (id === excludedMessageId) continue;
+    try {
+      const indexed = toIndexedMessage(await channel.messages.fetch(id));
+      if (indexed) window.messages.push(indexed);
+    } catch (error) {
+      // 削除済みのメッセージは含めない
+    }
+  }
+  return window;
+}
+
+/**
+ * チャンネルの履歴を新しい順に取得する
+ * @private
+ * @param {Object} channel Discordのチャンネル
+ * @param {number} limit 最大件数
+ * @returns {Promise<Array<Object>>} メッセージ（新しい順）
+ */
+async function fetchHistory(channel, limit) {
+  const messages = [];
+  let before;
+
+  while (messages.length < limit) {
+    const size = Math.min(FETCH_BATCH_SIZE, limit - messages.length);
+    const batch = [...(await channel.messages.fetch({ limit: size, ...(before ? { before } : {}) })).values()];
+    messages.push(...batch);
+    if (batch.length < size) break;
+    before = batch[batch.length - 1].id;
+  }
+  return messages;
+}
+
+/**
+ * 取り込み直した結果に含まれなくなった、チャンネルの古いドキュメントを削除する
+ * @private
+ * @param {string} channelId チャンネルID
+ * @param {string} kind 種類 ('conversation' / 'pin')
+ * @param {Set<string>} sources 今回取り込んだ取り込み元
+ * @param {number} since この時刻以降に始まったまとまりのみ対象にする（取得した履歴より古いものは残す）
+ * @returns {Promise<number>} 削除した件数
+ */
+async function removeStaleDocuments(channelId, kind, sources, since = 0) {
+  const documents = await vectorStore.listKnowledge();
+  const stale = documents.filter(doc =>
+    doc.metadata?.channelId === channelId &&
+    doc.metadata?.kind === kind &&
+    (doc.metadata?.startedAt || 0) >= since &&
+    !sources.has(doc.metadata?.source)
+  );
+
+  for (const doc of stale) {
+    await vectorStore.deleteKnowledge(doc.id);
+  }
+  return stale.length;
+}
+
+/**
+ * チャンネルのピン留めメッセージを取り込み直す
+ * @private
+ * @param {Object} channel Discordのチャンネル
+ * @returns {Promise<number>} 取り込んだピン留めメッセージの数
+ */
+async function syncPins(channel) {
+  const pinned = [...(await channel.messages.fetchPinned()).values()].map(toIndexedMessage).filter(Boolean);
+  const sources = new Set();
+
+  for (const message of pinned) {
+    const window = createWindow(channel, 'pin', [message]);
+    sources.add(window.source);
+    await storeWindow(window);
+  }
+  await removeStaleDocuments(channel.id, 'pin', sources);
+  return pinned.length;
+}
+
+/**
+ * チャンネルの履歴（とピン留めメッセージ）を取り込む
+ * @param {Object} channel Discordのチャンネル
+ * @returns {Promise<Object>} 結果 ({success, channelId, windows, pins, error})
+ */
+async function syncChannel(channel) {
+  try {
+    const history = await fetchHistory(channel, indexerConfig.historyLimit);
+    const messages = history.map(toIndexedMessage).filter(Boolean).reverse();
+    const sources = new Set();
+
+    for (const group of groupIntoWindows(messages)) {
+      const window = createWindow(channel, 'conversation', group);
+      sources.add(window.source);
+      trackWindow(window);
+      state.latestWindows.set(channel.id, window.source);
+      await storeWindow(window);
+    }
+
+    const oldest = history.length > 0 ? Math.min(...history.map(message => message.createdTimestamp)) : 0;
+    await removeStaleDocuments(channel.id, 'conversation', sources, oldest);
+
+    const pins = indexerConfig.includePins ? await syncPins(channel) : 0;
+    logger.info(`Indexed #${channel.name || channel.id}: ${sources.size} conversation windows, ${pins} pins`);
+    return { success: true, channelId: channel.id, windows: sources.size, pins };
+  } catch (error) {
+    logger.error(`Failed to index channel ${channel.id}: ${error.message}`);
+    return { success: false, channelId: channel.id, windows: 0, pins: 0, error: error.message };
+  }
+}
+
+/**
+ * 設定されたすべてのチャンネルを順に取り込む
+ * @param {Object} client Discordクライアント
+ * @returns {Promise<Array<Object>>} チャンネルごとの結果
+ */
+async function syncAll(client = state.client) {
+  const results = [];
+  for (const channelId of indexerConfig.channels) {
+    try {
+      const channel = await client.channels.fetch(channelId);
+      results.push(await syncChannel(channel));
+    } catch (error) {
+      logger.error(`Failed to fetch channel ${channelId} for indexing: ${error.message}`);
+      results.push({ success: false, channelId, windows: 0, pins: 0, error: error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * 新しいメッセージを最新のまとまりに追加する（間隔が空いた場合は新しいまとまりを作る）
+ * @param {Object} message Discordのメッセージ
+ * @returns {Promise<Object|null>} 保存結果（対象外の場合はnull）
+ */
+async function handleMessageCreate(message) {
+  if (!state.knowledgeBaseReady || !isIndexedChannel(message.channelId)) return null;
+
+  const indexed = toIndexedMessage(message);
+  if (!indexed) return null;
+
+  const latest = state.windows.get(state.latestWindows.get(message.channelId));
+  let window;
+  if (latest && latest.messages.length > 0 && continuesWindow(latest.messages, indexed)) {
+    latest.messages.push(indexed);
+    window = latest;
+  } else {
+    window = createWindow(message.channel, 'conversation', [indexed]);
+    state.latestWindows.set(message.channelId, window.source);
+  }
+
+  trackWindow(window);
+  return storeWindow(window);
+}
+
+/**
+ * 編集されたメッセージを含むまとまりを取り込み直す（ピン留めの変更もここで反映する）
+ * @param {Object} oldMessage 編集前のメッセージ
+ * @param {Object} newMessage 編集後のメッセージ
+ * @returns {Promise<Object|null>} 保存結果（対象外の場合はnull）
+ */
+async function handleMessageUpdate(oldMessage, newMessage) {
+  if (!state.knowledgeBaseReady || !isIndexedChannel(newMessage.channelId)) return null;
+
+  const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+  if (indexerConfig.includePins && (oldMessage.pinned !== message.pinned || message.pinned)) {
+    await syncPins(message.channel);
+  }
+
+  const window = state.windows.get(state.messageWindows.get(message.id));
+  const indexed = toIndexedMessage(message);
+  if (!window || !indexed) return null;
+
+  window.messages = window.messages.map(item => (item.id === message.id ? indexed : item));
+  return storeWindow(window);
+}
+
+/**
+ * 削除されたメッセージをまとまりから除き、取り込み直す
+ * @param {Object} message 削除されたメッセージ（パーシャルの場合はIDのみ）
+ * @returns {Promise<Object|null>} 保存結果（対象外の場合はnull）
+ */
+async function handleMessageDelete(message) {
+  if (!state.knowledgeBaseReady || !isIndexedChannel(message.channelId)) return null;
+
+  // ピン留めとして取り込んでいた場合はそのドキュメントも消す
+  await storeWindow({ source: `discord:pin:${message.id}`, messages: [] });
+
+  const source = state.messageWindows.get(message.id);
+  const window = state.windows.get(source);
+  state.messageWindows.delete(message.id);
+  if (!window) {
+    // 状態にないまとまりは、保存済みのドキュメントから探して取り込み直す
+    const [doc] = (await vectorStore.listKnowledge({ messageId: message.id }))
+      .filter(item => item.metadata?.kind === 'conversation');
+    return doc ? storeWindow(await loadStoredWindow(doc, message.id)) : null;
+  }
+
+  window.messages = window.messages.filter(item => item.id !== message.id);
+  if (window.messages.length === 0) {
+    state.windows.delete(source);
+  }
+  return storeWindow(window);
+}
+
+/**
+ * ユーザーの発言をすべてのまとまりから除いて取り込み直し、以後はそのユーザーの発言を取り込まない
+ * ほかの参加者の発言は残す。発言がなくなったまとまりはドキュメントごと削除する
+ * 状態にない保存済みのまとまりは、Discordからメッセージを取得し直して作り直す
+ * @param {string} userId ユーザーID
+ * @returns {Promise<Object>} 結果 ({success, updated, error})
+ */
+async function forgetAuthor(userId) {
+  if (!userId) {
+    return { success: false, updated: 0, error: 'ユーザーIDが指定されていません' };
+  }
+
+  try {
+    getExcludedAuthors().add(String(userId));
+    await persistExcludedAuthors();
+
+    let updated = 0;
+    for (const [source, window] of [...state.windows]) {
+      const removed = window.messages.filter(message => message.authorId === userId);
+      if (removed.length === 0) continue;
+
+      removed.forEach(message => state.messageWindows.delete(message.id));
+      window.messages = window.messages.filter(message => message.authorId !== userId);
+      if (window.messages.length === 0) {
+        state.windows.delete(source);
+      }
+
+      const result = await storeWindow(window);
+      if (!result.success) throw new Error(result.error);
+      updated++;
+    }
+
+    // 状態にない保存済みのまとまりも、ドキュメントに記録した参加者から探して取り込み直す
+    const stored = (await vectorStore.listKnowledge({ participantId: String(userId) }))
+      .filter(doc => doc.metadata?.kind === 'conversation');
+    for (const doc of stored) {
+      const result = await storeWindow(await loadStoredWindow(doc));
+      if (!result.success) throw new Error(result.error);
+      updated++;
+    }
+
+    logger.info(`Removed messages of user ${userId} from ${updated} indexed windows`);
+    return { success: true, updated };
+  } catch (error) {
+    logger.error(`Failed to forget author ${userId} in channel index: ${error.message}`);
+    return { success: false, updated: 0, error: error.message };
+  }
+}
+
+/**
+ * クライアントの準備とナレッジベースの初期化の両方が済んだら、最初の同期を始める
+ * @private
+ */
+function startInitialSync() {
+  if (!state.client?.isReady() || !state.knowledgeBaseReady || state.initialSync) return;
+
+  state.initialSync = syncAll().catch(error => {
+    logger.error(`Channel indexing failed: ${error.message}`);
+  });
+}
+
+/**
+ * ナレッジベースの初期化が済んだことを通知する（RAGシステムの初期化後に呼ばれる）
+ */
+function markKnowledgeBaseReady() {
+  state.knowledgeBaseReady = true;
+  startInitialSync();
+}
+
+/**
+ * Discordクライアントにイベントを登録する（RAG_INDEX_CHANNELS を指定した場合のみ）
+ * @param {Object} client Discordクライアント
+ * @returns {boolean} 登録した場合はtrue
+ */
+function register(client) {
+  if (indexerConfig.channels.length === 0 || state.client) {
+    return false;
+  }
+
+  state.client = client;
+  const handle = (name, handler) => (...args) => handler(...args).catch(error => {
+    logger.error(`Channel indexer ${name} failed: ${error.message}`);
+  });
+
+  client.on('messageCreate', handle('messageCreate', handleMessageCreate));
+  client.on('messageUpdate', handle('messageUpdate', handleMessageUpdate));
+  client.on('messageDelete', handle('messageDelete', handleMessageDelete));
+  client.once('ready', startInitialSync);
+  startInitialSync();
+
+  logger.info(`Channel indexer registered for ${indexerConfig.channels.length} channels`);
+  return true;
+}
+
+module.exports = {
+  register,
+  markKnowledgeBaseReady,
+  isIndexedChannel,
+  syncAll,
+  syncChannel,
+  handleMessageCreate,
+  handleMessageUpdate,
+  handleMessageDelete,
+  forgetAuthor,
+  config: indexerConfig
+};
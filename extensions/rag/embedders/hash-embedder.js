@@ -0,0 +1,88 @@
+/**
+ * Hash Embedder - 特徴ハッシュによるローカルの埋め込み生成
+ *
+ * テキストを語（英数字は単語、日本語などは2文字ずつ）に分解し、
+ * 各語のハッシュ値で決まる次元に加算して正規化したベクトルを返す
+ * 外部APIもモデルのダウンロードも不要で、同じテキストからは常に同じベクトルが得られるため
+ * オフライン環境・CI・小規模なサーバーでの利用に向く（意味の近さではなく語の重なりを捉える）
+ *
+ * @module extensions/rag/embedders/hash-embedder
+ */
+
+/**
+ * 32ビットのFNV-1aハッシュを計算する
+ * @private
+ * @param {string} text 文字列
+ * @returns {number} ハッシュ値（符号なし32ビット）
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * テキストを語に分解する（英数字は単語単位、それ以外は2文字ずつ）
+ * @private
+ * @param {string} text テキスト
+ * @returns {Array<string>} 語の配列（重複を含む）
+ */
+function tokenize(text) {
+  const lower = text.normalize('NFKC').toLowerCase();
+  const terms = lower.match(/[a-z0-9]+/g) || [];
+
+  (lower.match(/[^\sa-z0-9、。,.!！?？「」『』（）()[\]{}:：;；・"'`]+/g) || []).forEach(chunk => {
+    if (chunk.length === 1) {
+      terms.push(chunk);
+      return;
+    }
+    for (let i = 0; i < chunk.length - 1; i++) {
+      terms.push(chunk.slice(i, i + 2));
+    }
+  });
+
+  return terms;
+}
+
+/**
+ * 特徴ハッシュ埋め込みクラス
+ */
+class HashEmbedder {
+  /**
+   * @param {Object} options オプション
+   * @param {number} options.dimensions 次元数
+   */
+  constructor(options = {}) {
+    this.name = 'hash';
+    this.dimensions = options.dimensions || 1536;
+  }
+
+  /**
+   * 初期化処理（準備は不要）
+   * @returns {Promise<void>}
+   */
+  async initialize() {}
+
+  /**
+   * テキストの埋め込みベクトルを生成する
+   * @param {string} text 空でないテキスト
+   * @returns {Promise<Array<number>>} L2正規化した埋め込みベクトル
+   */
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    for (const term of tokenize(text)) {
+      const hash = fnv1a(term);
+      // 衝突による偏りを打ち消すため、ハッシュの最上位ビットで符号を決める
+      vector[hash % this.dimensions] += hash & 0x80000000 ? -1 : 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+}
+
+module.exports = HashEmbedder;
@@ -0,0 +1,84 @@
+/**
+ * Embedders - RAGシステムの埋め込み生成プロバイダー
+ *
+ * RAG_EMBEDDING_PROVIDER 設定に応じて埋め込みベクトルの生成方法を切り替える
+ * - openai: OpenAI Embeddings API (デフォルト)
+ * - hash: 特徴ハッシュによるローカル生成 (APIキー不要・オフラインで動作)
+ * - openai-compatible: Ollama・llama.cpp server・vLLM などOpenAI互換APIの /embeddings
+ *
+ * どのプロバイダーも name / dimensions と initialize / embed(text) を実装する
+ *
+ * @module extensions/rag/embedders
+ */
+
+const logger = require('../../../system/logger');
+
+// 利用可能なプロバイダー名
+const EMBEDDER_NAMES = ['openai', 'hash', 'openai-compatible'];
+
+/**
+ * 現在のプロバイダーインスタンス
+ * @private
+ */
+let currentEmbedder = null;
+
+/**
+ * 埋め込みプロバイダーを作成する
+ * @param {string} name プロバイダー名
+ * @param {Object} options オプション
+ * @param {number} options.dimensions 次元数
+ * @returns {Object} プロバイダーインスタンス
+ */
+function createEmbedder(name = process.env.RAG_EMBEDDING_PROVIDER || 'openai', options = {}) {
+  const normalized = name.toLowerCase();
+  const embedderName = EMBEDDER_NAMES.includes(normalized) ? normalized : 'openai';
+  if (embedderName !== normalized) {
+    logger.warn(`Unknown RAG_EMBEDDING_PROVIDER "${name}", using openai`);
+  }
+
+  // pgvectorの列の次元数と揃えるため、どのプロバイダーも EMBEDDING_DIMENSIONS に従う
+  const dimensions = options.dimensions || parseInt(process.env.EMBEDDING_DIMENSIONS || '1536', 10);
+
+  if (embedderName === 'hash') {
+    const HashEmbedder = require('./hash-embedder');
+    return new HashEmbedder({ dimensions });
+  }
+
+  if (embedderName === 'openai-compatible') {
+    const OpenAICompatibleEmbedder = require('./openai-compatible-embedder');
+    return new OpenAICompatibleEmbedder({ dimensions });
+  }
+
+  const OpenAIEmbedder = require('./openai-embedder');
+  return new OpenAIEmbedder({
+    model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+    dimensions
+  });
+}
+
+/**
+ * 現在のプロバイダーを取得する（未作成の場合は設定に従って作成）
+ * @returns {Object} プロバイダーインスタンス
+ */
+function getEmbedder() {
+  if (!currentEmbedder) {
+    currentEmbedder = createEmbedder();
+    logger.info(`Embedding provider selected: ${currentEmbedder.name}`);
+  }
+  return currentEmbedder;
+}
+
+/**
+ * 使用するプロバイダーを差し替える（テストや起動時の明示的な切り替え用）
+ * @param {Object|null} embedder プロバイダーインスタンス（nullの場合は次回取得時に再作成）
+ */
+function setEmbedder(embedder) {
+  currentEmbedder = embedder;
+}
+
+module.exports = {
+  createEmbedder,
+  getEmbedder,
+  setEmbedder,
+  EMBEDDER_NAMES
+};
@@ -0,0 +1,64 @@
+/**
+ * OpenAI Compatible Embedder - OpenAI互換APIによる埋め込み生成
+ *
+ * Ollama・llama.cpp server・vLLM などの /embeddings で埋め込みベクトルを生成する
+ * 接続先とモデルは services/ai/openai-compatible-service の設定（OPENAI_COMPATIBLE_*）を使う
+ * ベクトルの次元数はモデルで決まるため、EMBEDDING_DIMENSIONS をモデルに合わせて設定する
+ *
+ * @module extensions/rag/embedders/openai-compatible-embedder
+ */
+
+const logger = require('../../../system/logger');
+
+/**
+ * OpenAI互換API埋め込みクラス
+ */
+class OpenAICompatibleEmbedder {
+  /**
+   * @param {Object} options オプション
+   * @param {number} options.dimensions 次元数
+   * @param {Object} [options.service] 埋め込みを生成するサービス（未指定の場合は openai-compatible-service）
+   */
+  constructor(options = {}) {
+    this.name = 'openai-compatible';
+    this.dimensions = options.dimensions || 1536;
+    this.service = options.service || null;
+  }
+
+  /**
+   * 埋め込みを生成するサービスを取得する
+   * @private
+   * @returns {Object} openai-compatible-service
+   */
+  _getService() {
+    if (!this.service) {
+      this.service = require('../../../services/ai/openai-compatible-service');
+    }
+    return this.service;
+  }
+
+  /**
+   * 初期化処理
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this._getService();
+    logger.info('OpenAI-compatible embeddings client initialized successfully');
+  }
+
+  /**
+   * テキストの埋め込みベクトルを生成する
+   * @param {string} text 空でないテキスト
+   * @returns {Promise<Array<number>>} 埋め込みベクトル
+   * @throws {Error} APIの呼び出しに失敗した場合、またはベクトルの次元数が EMBEDDING_DIMENSIONS と異なる場合
+   */
+  async embed(text) {
+    const embedding = await this._getService().embed(text);
+    if (embedding.length !== this.dimensions) {
+      throw new Error(`Embedding model returned ${embedding.length} dimensions, but EMBEDDING_DIMENSIONS is ${this.dimensions}`);
+    }
+    return embedding;
+  }
+}
+
+module.exports = OpenAICompatibleEmbedder;
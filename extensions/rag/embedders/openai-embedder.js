@@ -0,0 +1,134 @@
+/**
+ * OpenAI Embedder - OpenAI Embeddings APIによる埋め込み生成
+ *
+ * text-embedding-3-small などのモデルで埋め込みベクトルを生成する
+ * 再試行と1分あたりのトークン数によるレート制限を行う
+ *
+ * @module extensions/rag/embedders/openai-embedder
+ */
+
+const logger = require('../../../system/logger');
+// OpenAI SDKは既存のものを再利用
+const { OpenAI } = require('openai');
+
+/**
+ * OpenAI埋め込みクラス
+ */
+class OpenAIEmbedder {
+  /**
+   * @param {Object} options オプション
+   * @param {string} options.model モデル名
+   * @param {number} options.dimensions 次元数
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || 'text-embedding-3-small';
+    this.dimensions = options.dimensions || 1536;
+    this.client = null;
+    // 再試行設定
+    this.maxRetries = 3;
+    this.retryDelay = 1000;
+    // レート制限設定
+    this.maxTokensPerMinute = 100000; // 安全マージン込み
+    this.tokensUsed = 0;
+    this.resetTime = null;
+  }
+
+  /**
+   * OpenAI APIクライアントを取得する（未作成の場合は作成）
+   * @private
+   * @returns {Object} OpenAIクライアント
+   * @throws {Error} APIキーが設定されていない場合
+   */
+  _getClient() {
+    if (!this.client) {
+      if (!process.env.OPENAI_API_KEY) {
+        throw new Error('OpenAI API key must be set in environment variables');
+      }
+      this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+      logger.info('OpenAI embeddings client initialized successfully');
+    }
+    return this.client;
+  }
+
+  /**
+   * 初期化処理
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this._getClient();
+  }
+
+  /**
+   * テキストの埋め込みベクトルを生成する
+   * @param {string} text 空でないテキスト
+   * @param {number} retryCount 内部的な再試行カウント
+   * @returns {Promise<Array<number>>} 埋め込みベクトル
+   */
+  async embed(text, retryCount = 0) {
+    try {
+      const client = this._getClient();
+
+      // レート制限の管理
+      await this._manageRateLimit(text);
+
+      // OpenAIのEmbeddings APIを呼び出し
+      const response = await client.embeddings.create({
+        model: this.model,
+        input: text,
+        dimensions: this.dimensions
+      });
+
+      // トークン使用量を追跡
+      if (response.usage) {
+        this.tokensUsed += response.usage.total_tokens;
+      }
+
+      return response.data[0].embedding;
+    } catch (error) {
+      // API呼び出しエラーの処理
+      if (retryCount < this.maxRetries) {
+        logger.warn(`Embedding generation failed, retrying (${retryCount + 1}/${this.maxRetries}): ${error.message}`);
+
+        // 一時的なエラーの場合、再試行
+        await new Promise(resolve => setTimeout(resolve, this.retryDelay * (retryCount + 1)));
+        return this.embed(text, retryCount + 1);
+      }
+
+      logger.error(`Failed to generate embedding after ${this.maxRetries} retries: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * レート制限を管理する
+   * @private
+   * @param {string} text 入力テキスト
+   * @returns {Promise<void>}
+   */
+  async _manageRateLimit(text) {
+    // トークン使用量のリセット
+    const now = Date.now();
+    if (!this.resetTime || now > this.resetTime) {
+      this.tokensUsed = 0;
+      this.resetTime = now + 60000; // 1分後
+    }
+
+    // おおよそのトークン数を推定（簡易的に文字数の1/4と仮定）
+    const estimatedTokens = Math.ceil(text.length / 4);
+
+    // レート制限に近づいたら待機
+    if (this.tokensUsed + estimatedTokens > this.maxTokensPerMinute) {
+      const waitTime = this.resetTime - now;
+      if (waitTime > 0) {
+        logger.warn(`Rate limit approaching, waiting ${waitTime}ms before next embedding request`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+        // 待機後はレート制限をリセット
+        this.tokensUsed = 0;
+        this.resetTime = Date.now() + 60000;
+      }
+    }
+  }
+}
+
+module.exports = OpenAIEmbedder;
@@ -0,0 +1,315 @@
+/**
+ * 検索の評価 - Bocchy Bot RAGシステム用
+ *
+ * 「質問 → 答えが書かれているドキュメント」のデータセットで queryEngine.search を実行し、
+ * recall@k・MRR・コンテキストの長さを集計するモジュール
+ * チャンクの大きさや類似度の閾値、クエリ拡張などの設定を変えたときに、検索が良くなったかを比べるために使う
+ *
+ * データセットはJSON（{knowledgeDir, questions: [{question, expected}]}）またはJSONL（1行1問）で、
+ * expected には答えが書かれているドキュメントの取り込み元 (source)・タイトル・IDのいずれかを並べる
+ * knowledgeDir を指定した場合は、そのフォルダをインメモリのストアに取り込んでから評価する（既存のストアには書き込まない）
+ *
+ * CLI: npm run eval:rag -- [データセット] [--local] [--k=1,3,5] [--output=report.json] [--json] [--min-recall=0.8]
+ *
+ * @module extensions/rag/evaluation
+ */
+
+// CLIとして実行した場合は、環境変数から設定を読むモジュールより先に .env を読み込む
+if (require.main === module) {
+  require('dotenv').config();
+}
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../system/logger');
+const knowledgeBase = require('./knowledge-base');
+const ingestion = require('./ingestion');
+const queryEngine = require('./query-engine');
+const embedders = require('./embedders');
+const vectorStores = require('./vector-stores');
+const rerankers = require('./rerankers');
+const { estimateTextTokens } = require('../../utilities/token-estimator');
+
+// デフォルトのデータセット
+const DEFAULT_DATASET = path.join(__dirname, '..', '..', 'evaluation', 'rag-dataset.json');
+
+// recall を集計する順位
+const DEFAULT_K = [1, 3, 5];
+
+// hash 埋め込みで使う類似度の閾値（OpenAIの埋め込みより類似度が低めに出るため）
+const LOCAL_SIMILARITY_THRESHOLD = 0.2;
+
+/**
+ * データセットを読み込む
+ * @param {string} filePath データセットのパス (.json / .jsonl)
+ * @returns {{knowledgeDir: string|null, questions: Array<{question: string, expected: Array<string>}>}} データセット
+ * @throws {Error} 形式が正しくない場合
+ */
+function loadDataset(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const data = filePath.endsWith('.jsonl')
+    ? { questions: text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line)) }
+    : JSON.parse(text);
+  const items = Array.isArray(data) ? data : data.questions;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error(`Dataset has no questions: ${filePath}`);
+  }
+
+  const questions = items.map((item, index) => {
+    const expected = [].concat(item.expected || []);
+    if (typeof item.question !== 'string' || !item.question.trim() || expected.length === 0) {
+      throw new Error(`Invalid dataset entry #${index + 1}: question and expected are required`);
+    }
+    return { question: item.question, expected };
+  });
+
+  // knowledgeDir はデータセットのファイルからの相対パス
+  const knowledgeDir = data.knowledgeDir ? path.resolve(path.dirname(filePath), data.knowledgeDir) : null;
+  return { knowledgeDir, questions };
+}
+
+/**
+ * ドキュメントが期待されたドキュメントのいずれかに当たるかを判定する
+ * @private
+ * @param {Object} document 検索で見つかったドキュメント ({knowledgeId, source, title})
+ * @param {string} expected 期待されたドキュメント（取り込み元・タイトル・ID）
+ * @returns {boolean} 当たる場合はtrue
+ */
+function isExpectedDocument(document, expected) {
+  return [document.source, document.title, document.knowledgeId].includes(expected);
+}
+
+/**
+ * 1問分の検索を実行して評価する
+ * 順位はチャンクではなくドキュメント単位で数える（同じドキュメントの2つ目以降のチャンクは数えない）
+ * @private
+ * @param {Object} item 質問 ({question, expected})
+ * @param {Array<number>} ks recall を集計する順位
+ * @returns {Promise<Object>} 質問ごとの評価結果
+ */
+async function evaluateQuestion(item, ks) {
+  const startedAt = Date.now();
+  const { context, results } = await queryEngine.search(item.question);
+  const latencyMs = Date.now() - startedAt;
+
+  const documents = [];
+  for (const result of results) {
+    if (!documents.some(document => document.knowledgeId === result.knowledgeId)) {
+      documents.push({ knowledgeId: result.knowledgeId, source: result.metadata?.source, title: result.metadata?.title });
+    }
+  }
+
+  const firstRelevant = documents.findIndex(document => item.expected.some(expected => isExpectedDocument(document, expected)));
+  const recallAtK = Object.fromEntries(ks.map(k => {
+    const found = item.expected.filter(expected => documents.slice(0, k).some(document => isExpectedDocument(document, expected)));
+    return [k, found.length / item.expected.length];
+  }));
+
+  return {
+    question: item.question,
+    expected: item.expected,
+    retrieved: documents.map(document => document.source || document.title || document.knowledgeId),
+    firstRelevantRank: firstRelevant >= 0 ? firstRelevant + 1 : null,
+    reciprocalRank: firstRelevant >= 0 ? 1 / (firstRelevant + 1) : 0,
+    recallAtK,
+    results: results.length,
+    contextLength: context.length,
+    contextTokens: estimateTextTokens(context),
+    latencyMs
+  };
+}
+
+/**
+ * 数値の配列の平均を計算する
+ * @private
+ * @param {Array<number>} values 数値
+ * @returns {number} 平均（空の場合は0）
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * 数値の配列の中央値を計算する
+ * @private
+ * @param {Array<number>} values 数値
+ * @returns {number} 中央値（空の場合は0）
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * データセットの全問で検索を評価する
+ * ナレッジベースは初期化済みで、評価するドキュメントが入っている必要がある
+ * @param {Object} dataset loadDataset が返したデータセット
+ * @param {Object} options オプション
+ * @param {Array<number>} options.k recall を集計する順位 (デフォルト: [1, 3, 5])
+ * @returns {Promise<Object>} 評価結果 ({config, summary, questions})
+ */
+async function evaluate(dataset, options = {}) {
+  const ks = options.k || DEFAULT_K;
+
+  // 順に実行する（埋め込みAPIのレート制限を考慮し、処理時間も測るため）
+  const questions = [];
+  for (const item of dataset.questions) {
+    questions.push(await evaluateQuestion(item, ks));
+  }
+
+  const contextLengths = questions.map(result => result.contextLength);
+  const reranker = rerankers.getReranker();
+
+  return {
+    config: {
+      embedder: embedders.getEmbedder().name,
+      vectorStore: vectorStores.getVectorStore().name,
+      reranker: reranker ? reranker.name : 'none',
+      retrievalMode: queryEngine.config.retrievalMode,
+      similarityThreshold: queryEngine.config.similarityThreshold,
+      maxResults: queryEngine.config.maxResults,
+      contextStrategy: queryEngine.config.contextStrategy,
+      queryExpansion: queryEngine.config.enableQueryExpansion,
+      mmrLambda: queryEngine.config.mmrLambda
+    },
+    summary: {
+      questions: questions.length,
+      recallAtK: Object.fromEntries(ks.map(k => [k, mean(questions.map(result => result.recallAtK[k]))])),
+      mrr: mean(questions.map(result => result.reciprocalRank)),
+      context: {
+        meanLength: mean(contextLengths),
+        medianLength: median(contextLengths),
+        maxLength: Math.max(0, ...contextLengths),
+        meanTokens: mean(questions.map(result => result.contextTokens)),
+        meanResults: mean(questions.map(result => result.results))
+      },
+      meanLatencyMs: mean(questions.map(result => result.latencyMs))
+    },
+    questions
+  };
+}
+
+/**
+ * 評価結果を表形式のテキストにする
+ * @param {Object} report evaluate が返した評価結果
+ * @returns {string} 表形式のテキスト
+ */
+function formatReport(report) {
+  const { summary } = report;
+  const ks = Object.keys(summary.recallAtK);
+  const row = values => values.map(value => String(value).padEnd(10)).join(' ').trimEnd();
+
+  const lines = [
+    `Questions: ${summary.questions} (embedder: ${report.config.embedder}, store: ${report.config.vectorStore}, reranker: ${report.config.reranker})`,
+    '',
+    row([...ks.map(k => `recall@${k}`), 'MRR', 'ctx mean', 'ctx med', 'ctx max', 'results']),
+    row([
+      ...ks.map(k => summary.recallAtK[k].toFixed(3)),
+      summary.mrr.toFixed(3),
+      Math.round(summary.context.meanLength),
+      Math.round(summary.context.medianLength),
+      summary.context.maxLength,
+      summary.context.meanResults.toFixed(1)
+    ]),
+    ''
+  ];
+
+  // 質問ごとの結果（最初に当たったドキュメントの順位と、見つかったドキュメント）
+  report.questions.forEach(result => {
+    const rank = result.firstRelevantRank ? `#${result.firstRelevantRank}` : 'miss';
+    lines.push(`${rank.padEnd(5)} ${result.question}`);
+    lines.push(`      expected: ${result.expected.join(', ')} / retrieved: ${result.retrieved.join(', ') || '(none)'}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * 評価に使うナレッジベースを準備する
+ * @private
+ * @param {string|null} knowledgeDir 取り込むフォルダ（nullの場合は設定中のストアをそのまま使う）
+ * @param {Object} options オプション
+ * @param {boolean} options.local trueの場合は hash 埋め込みを使う（APIキー不要）
+ * @returns {Promise<void>}
+ */
+async function prepareKnowledgeBase(knowledgeDir, options = {}) {
+  if (options.local) {
+    embedders.setEmbedder(embedders.createEmbedder('hash'));
+    if (!process.env.RAG_SIMILARITY_THRESHOLD) {
+      queryEngine.config.similarityThreshold = LOCAL_SIMILARITY_THRESHOLD;
+    }
+  }
+  if (knowledgeDir) {
+    vectorStores.setVectorStore(vectorStores.createVectorStore('memory'));
+  }
+
+  await knowledgeBase.initialize();
+
+  if (knowledgeDir) {
+    const summary = await ingestion.ingestDirectory(knowledgeDir);
+    if (!summary.success) {
+      throw new Error(summary.error || `Failed to ingest ${knowledgeDir}`);
+    }
+    logger.info(`Evaluation knowledge base ready: ${summary.added} documents from ${knowledgeDir}`);
+  }
+}
+
+/**
+ * CLIの引数から --name=value 形式の値を取得する
+ * @private
+ * @param {Array<string>} argv 引数
+ * @param {string} name オプション名
+ * @returns {string|undefined} 値
+ */
+function getOption(argv, name) {
+  const arg = argv.find(item => item.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+/**
+ * CLIエントリーポイント
+ * @param {Array<string>} argv 引数
+ * @returns {Promise<number>} 終了コード（--min-recall を下回った場合は1）
+ */
+async function runCli(argv = process.argv.slice(2)) {
+  const datasetPath = path.resolve(argv.find(arg => !arg.startsWith('--')) || DEFAULT_DATASET);
+  const ks = getOption(argv, 'k') ? getOption(argv, 'k').split(',').map(value => parseInt(value, 10)) : DEFAULT_K;
+
+  const dataset = loadDataset(datasetPath);
+  await prepareKnowledgeBase(dataset.knowledgeDir, { local: argv.includes('--local') });
+  const report = await evaluate(dataset, { k: ks });
+
+  const output = getOption(argv, 'output');
+  if (output) {
+    fs.writeFileSync(output, JSON.stringify(report, null, 2));
+  }
+  console.log(argv.includes('--json') ? JSON.stringify(report, null, 2) : formatReport(report));
+
+  // CIで検索の品質が下がったことを検出するための下限（最大の k の recall で判定）
+  const minRecall = getOption(argv, 'min-recall');
+  const recall = report.summary.recallAtK[Math.max(...ks)];
+  if (minRecall !== undefined && recall < parseFloat(minRecall)) {
+    console.error(`recall@${Math.max(...ks)} ${recall.toFixed(3)} is below ${minRecall}`);
+    return 1;
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  runCli()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadDataset,
+  evaluate,
+  formatReport,
+  runCli
+};
@@ -12,6 +12,9 @@ const queryEngine = require('./query-engine');
 const vectorStore = require('./vector-store');
 const embeddings = require('./embeddings');
 const chunkManager = require('./chunk-manager');
+const ingestion = require('./ingestion');
+const channelIndexer = require('./channel-indexer');
+const { buildKnowledgeSection } = require('./prompt-context');
 
 /**
  * RAGシステム設定
@@ -21,13 +24,17 @@ const ragConfig = {
   enabled: process.env.RAG_ENABLED === 'true',
   // 基本設定
   maxContextLength: parseInt(process.env.RAG_MAX_CONTEXT_LENGTH || '2000', 10),
+  // システムプロンプトに入れるナレッジのトークン数の上限
+  contextTokenBudget: parseInt(process.env.RAG_CONTEXT_TOKEN_BUDGET || '800', 10),
   // 初期化設定
   initializeOnStart: process.env.RAG_INITIALIZE_ON_START !== 'false',
+  ingestOnStart: process.env.RAG_INGEST_ON_START === 'true',
   healthCheckInterval: parseInt(process.env.RAG_HEALTH_CHECK_INTERVAL || '3600000', 10), // 1時間
   // 使用設定
   enableForCommands: process.env.RAG_ENABLE_FOR_COMMANDS === 'true',
   enableForMentions: process.env.RAG_ENABLE_FOR_MENTIONS !== 'false',
   enableForDMs: process.env.RAG_ENABLE_FOR_DMS !== 'false',
+  enableForInterventions: process.env.RAG_ENABLE_FOR_INTERVENTIONS !== 'false',
   // 検索設定
   similarityThreshold: parseFloat(process.env.RAG_SIMILARITY_THRESHOLD || '0.75')
 };
@@ -83,6 +90,16 @@ async function initialize() {
     // 初期化完了
     state.initialized = true;
     logger.info(`RAG system initialized with status: ${state.healthStatus}`);
+
+    // チャンネルの取り込みを始める（Discordクライアントの準備が済んでいれば）
+    channelIndexer.markKnowledgeBaseReady();
+
+    // ナレッジフォルダの取り込み（起動を待たせないようバックグラウンドで実行）
+    if (ragConfig.ingestOnStart) {
+      ingestion.ingestDirectory().catch(error => {
+        logger.error(`Knowledge directory ingestion failed: ${error.message}`);
+      });
+    }
     
     return { 
       success: true,
@@ -127,10 +144,33 @@ function setupHealthCheckInterval() {
   }, ragConfig.healthCheckInterval);
 }
 
+/**
+ * リクエストしたユーザーから見えるドキュメントだけを残す条件を作る
+ * チャンネルの会話・ピン留めは、同じサーバーでユーザーが閲覧できるチャンネルのものだけを残し、DMでは含めない
+ * @private
+ * @param {string|null} guildId リクエストのサーバー（DMの場合はnull）
+ * @param {Array<string>} [channelIds] ユーザーが閲覧できるチャンネルのID（省略した場合はサーバーのみで判定）
+ * @returns {Function} 検索結果を残すかどうかを返す関数
+ */
+function createScopeFilter(guildId, channelIds) {
+  return result => {
+    const metadata = result.metadata || {};
+    if (metadata.kind !== 'conversation' && metadata.kind !== 'pin') {
+      return true;
+    }
+    if (!guildId || metadata.guildId !== guildId) {
+      return false;
+    }
+    return !Array.isArray(channelIds) || channelIds.includes(metadata.channelId);
+  };
+}
+
 /**
  * ユーザーからのメッセージを処理し、RAG検索を行う
  * @param {string} message ユーザーメッセージ
  * @param {Object} options 検索オプション
+ * @param {string|null} options.guildId リクエストのサーバー（指定した場合はユーザーから見えるドキュメントに絞る。DMの場合はnull）
+ * @param {Array<string>} options.channelIds ユーザーが閲覧できるチャンネルのID（任意）
  * @returns {Promise<Object>} 検索結果とコンテキスト
  */
 async function processMessage(message, options = {}) {
@@ -141,7 +181,9 @@ async function processMessage(message, options = {}) {
   
   try {
     // クエリエンジンを使用して検索を実行
-    const searchResult = await queryEngine.search(message);
+    const searchResult = await queryEngine.search(message, options.guildId !== undefined
+      ? { filter: createScopeFilter(options.guildId, options.channelIds) }
+      : {});
     
     logger.debug(`RAG process complete: ${searchResult.metadata.selectedResults} results found`);
     
@@ -156,8 +198,51 @@ async function processMessage(message, options = {}) {
   }
 }
 
+/**
+ * 応答の種類ごとの設定でRAGが有効かどうかを確認する
+ * @param {string} surface 応答の種類 ('mention' / 'dm' / 'intervention' / 'command')
+ * @returns {boolean} 有効な場合はtrue
+ */
+function isEnabledFor(surface) {
+  if (!ragConfig.enabled || !state.initialized) {
+    return false;
+  }
+
+  switch (surface) {
+    case 'mention':
+      return ragConfig.enableForMentions;
+    case 'dm':
+      return ragConfig.enableForDMs;
+    case 'intervention':
+      return ragConfig.enableForInterventions;
+    case 'command':
+      return ragConfig.enableForCommands;
+    default:
+      return false;
+  }
+}
+
+/**
+ * 応答のシステムプロンプトに入れるナレッジを検索する
+ * @param {string} query ユーザーの発言
+ * @param {Object} options オプション
+ * @param {string} options.surface 応答の種類 ('mention' / 'dm' / 'intervention' / 'command')
+ * @param {string} options.guildId リクエストのサーバー（DMの場合は省略し、チャンネルの会話・ピン留めを含めない）
+ * @param {Array<string>} options.channelIds ユーザーが閲覧できるチャンネルのID
+ * @returns {Promise<{section: string, sources: Array<Object>}>} プロンプトのセクションと参考資料（無効・該当なしの場合は空）
+ */
+async function retrieveForPrompt(query, options = {}) {
+  if (!isEnabledFor(options.surface)) {
+    return { section: '', sources: [] };
+  }
+
+  const searchResult = await processMessage(query, { guildId: options.guildId || null, channelIds: options.channelIds });
+  return buildKnowledgeSection(searchResult.results || [], { tokenBudget: ragConfig.contextTokenBudget });
+}
+
 /**
  * ナレッジベースにドキュメントを追加する
+ * ユーザーの発言や投稿に由来するドキュメントは metadata.authorId にユーザーIDを入れる（!privacy の対象になる）
  * @param {string} title ドキュメントのタイトル
  * @param {string} content ドキュメントの内容
  * @param {Object} metadata メタデータ
@@ -201,19 +286,7 @@ async function listDocuments() {
   }
   
   try {
-    // Supabaseクライアントを取得
-    const client = vectorStore.getClient ? vectorStore.getClient() : 
-                  require('../memory/supabase-client').getClient();
-    
-    // ナレッジベーステーブルからドキュメントを取得
-    const { data, error } = await client
-      .from(vectorStore.config.tables.knowledgeBase)
-      .select('*')
-      .order('updated_at', { ascending: false });
-    
-    if (error) throw error;
-    
-    return data || [];
+    return await vectorStore.listKnowledge();
   } catch (error) {
     logger.error(`Failed to list documents: ${error.message}`);
     return [];
@@ -231,20 +304,7 @@ async function getDocument(documentId) {
   }
   
   try {
-    // Supabaseクライアントを取得
-    const client = vectorStore.getClient ? vectorStore.getClient() : 
-                  require('../memory/supabase-client').getClient();
-    
-    // ナレッジベーステーブルから特定のドキュメントを取得
-    const { data, error } = await client
-      .from(vectorStore.config.tables.knowledgeBase)
-      .select('*')
-      .eq('id', documentId)
-      .single();
-    
-    if (error) throw error;
-    
-    return data;
+    return await vectorStore.getKnowledge(documentId);
   } catch (error) {
     logger.error(`Failed to get document: ${error.message}`);
     return null;
@@ -265,25 +325,8 @@ async function deleteDocument(documentId) {
   }
   
   try {
-    // Supabaseクライアントを取得
-    const client = vectorStore.getClient ? vectorStore.getClient() : 
-                  require('../memory/supabase-client').getClient();
-    
-    // まず関連するチャンクを削除
-    const { error: chunksError } = await client
-      .from(vectorStore.config.tables.knowledgeChunks)
-      .delete()
-      .eq('knowledge_id', documentId);
-    
-    if (chunksError) throw chunksError;
-    
-    // 次にドキュメント自体を削除
-    const { error: docError } = await client
-      .from(vectorStore.config.tables.knowledgeBase)
-      .delete()
-      .eq('id', documentId);
-    
-    if (docError) throw docError;
+    // 関連するチャンクもまとめて削除
+    await vectorStore.deleteKnowledge(documentId);
     
     logger.info(`Document deleted: ${documentId}`);
     return { success: true };
@@ -296,6 +339,94 @@ async function deleteDocument(documentId) {
   }
 }
 
+/**
+ * 指定したユーザーが追加したドキュメント（metadata.authorId が一致するもの）と、
+ * 発言が含まれるチャンネルの会話のドキュメント（metadata.authorIds に含まれるもの）を取得する
+ * @param {string} userId ユーザーID
+ * @returns {Promise<Array<Object>>} ドキュメント一覧
+ */
+async function listDocumentsByAuthor(userId) {
+  if (!ragConfig.enabled || !state.initialized || !userId) {
+    return [];
+  }
+  
+  const authored = await vectorStore.listKnowledge({ authorId: userId });
+  const participated = await vectorStore.listKnowledge({ participantId: userId });
+  return [...authored, ...participated.filter(doc => !authored.some(item => item.id === doc.id))];
+}
+
+/**
+ * 指定したユーザーのドキュメントをチャンクごと削除する
+ * チャンネルの会話はユーザーの発言だけを除いて取り込み直し、以後も取り込まないようにしてから、
+ * 残ったドキュメント（ユーザーが追加したもの、ピン留め、取り込み直せなかった会話）を削除する
+ * @param {string} userId ユーザーID
+ * @returns {Promise<Object>} 削除結果 ({success, deleted, updated, error})
+ */
+async function deleteDocumentsByAuthor(userId) {
+  try {
+    const forgotten = await channelIndexer.forgetAuthor(userId);
+    if (!forgotten.success) throw new Error(forgotten.error);
+
+    const documents = await listDocumentsByAuthor(userId);
+    let deleted = 0;
+    
+    for (const document of documents) {
+      const result = await deleteDocument(document.id);
+      if (!result.success) throw new Error(result.error);
+      deleted++;
+    }
+    
+    return { success: true, deleted, updated: forgotten.updated };
+  } catch (error) {
+    logger.error(`Failed to delete documents by author: ${error.message}`);
+    return { success: false, deleted: 0, updated: 0, error: error.message };
+  }
+}
+
+/**
+ * すべてのドキュメントの埋め込みを作り直す
+ * @param {Object} options オプション
+ * @param {Function} options.onProgress ドキュメントごとに (処理済み件数, 全件数) で呼ばれる（任意）
+ * @returns {Promise<Object>} 結果 ({success, documents, chunks, failed, error})
+ */
+async function reindexDocuments(options = {}) {
+  if (!ragConfig.enabled || !state.initialized) {
+    return {
+      success: false,
+      documents: 0,
+      chunks: 0,
+      failed: 0,
+      error: 'RAG system is not enabled or initialized'
+    };
+  }
+
+  try {
+    const documents = await vectorStore.listKnowledge();
+    const summary = { success: true, documents: 0, chunks: 0, failed: 0 };
+
+    for (const [index, document] of documents.entries()) {
+      const result = await knowledgeBase.reindexDocument(document.id);
+      if (result.success) {
+        summary.documents++;
+        summary.chunks += result.chunks;
+      } else {
+        summary.failed++;
+      }
+
+      if (options.onProgress) {
+        await options.onProgress(index + 1, documents.length);
+      }
+    }
+
+    summary.success = summary.failed === 0;
+    logger.info(`Knowledge base reindexed: ${summary.documents} documents, ${summary.chunks} chunks, ${summary.failed} failed`);
+    return summary;
+  } catch (error) {
+    logger.error(`Failed to reindex knowledge base: ${error.message}`);
+    return { success: false, documents: 0, chunks: 0, failed: 0, error: error.message };
+  }
+}
+
 /**
  * RAGシステムのヘルスを確認する
  * @returns {Promise<Object>} ヘルスステータス
@@ -424,9 +555,18 @@ module.exports = {
   listDocuments,
   getDocument,
   deleteDocument,
+  listDocumentsByAuthor,
+  deleteDocumentsByAuthor,
+  reindexDocuments,
+  ingestContent: ingestion.ingestContent,
+  ingestDirectory: ingestion.ingestDirectory,
+  ingestAttachment: ingestion.ingestAttachment,
+  registerChannelIndexer: channelIndexer.register,
   checkHealth,
   processMessage,
   generateContextForPrompt,
+  retrieveForPrompt,
+  isEnabledFor,
   isInitialized,
   search,
   addToKnowledgeBase,
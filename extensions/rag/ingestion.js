@@ -0,0 +1,274 @@
+/**
+ * ドキュメント取り込み - Bocchy Bot RAGシステム用
+ *
+ * ローカルのフォルダ（デフォルトは knowledge/）やDiscordの添付ファイルから
+ * Markdown・HTML・PDF・テキスト・CSVを読み込み、ナレッジベースに追加するモジュール
+ * 取り込み元ごとに内容のハッシュを記録し、変更のないファイルは取り込み直さない
+ *
+ * CLI: npm run ingest -- [フォルダ] [--force]
+ *
+ * @module extensions/rag/ingestion
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../../system/logger');
+const knowledgeBase = require('./knowledge-base');
+const vectorStore = require('./vector-store');
+const { getLoader, SUPPORTED_EXTENSIONS } = require('./loaders');
+
+/**
+ * 取り込み設定
+ * @private
+ */
+const ingestionConfig = {
+  // 取り込むフォルダ（デフォルトはリポジトリ直下の knowledge/）
+  directory: process.env.RAG_KNOWLEDGE_DIR || path.join(__dirname, '..', '..', 'knowledge'),
+  // 取り込む1ファイルあたりの最大サイズ
+  maxFileSize: parseInt(process.env.RAG_INGEST_MAX_FILE_SIZE || String(20 * 1024 * 1024), 10),
+  // 添付ファイルのダウンロードのタイムアウト
+  downloadTimeout: 30000
+};
+
+/**
+ * 内容のハッシュを計算する
+ * @private
+ * @param {Buffer} data ファイルの内容
+ * @returns {string} SHA-256ハッシュ（16進数）
+ */
+function hashContent(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * ファイルの内容をナレッジベースに取り込む
+ * 同じ取り込み元 (source) のドキュメントがあり内容のハッシュが同じ場合は何もしない
+ * 内容が変わっていれば新しい内容を追加してから古いドキュメントを削除する
+ * @param {Object} file 取り込むファイル
+ * @param {string} file.name ファイル名（拡張子で形式を判定する）
+ * @param {Buffer} file.data ファイルの内容
+ * @param {string} file.title ファイルから見出しが取れない場合のタイトル（任意、デフォルトはファイル名）
+ * @param {string} file.source 取り込み元（ファイルパスなど、再取り込み時の照合に使う）
+ * @param {Object} file.metadata ドキュメントに付与するメタデータ（任意）
+ * @param {Object} options オプション
+ * @param {boolean} options.force trueの場合は変更がなくても取り込み直す
+ * @returns {Promise<Object>} 結果 ({success, status, source, knowledgeId, chunks, error})
+ *   status は added / updated / unchanged / unsupported / empty / failed のいずれか
+ */
+async function ingestContent(file, options = {}) {
+  const { name, data, source, title: fallbackTitle, metadata = {} } = file;
+  const loader = getLoader(name);
+
+  if (!loader) {
+    return { success: false, status: 'unsupported', source, error: `Unsupported file type: ${name}` };
+  }
+
+  try {
+    const contentHash = hashContent(data);
+    const existing = await vectorStore.listKnowledge({ source });
+
+    if (!options.force && existing.some(doc => doc.metadata?.contentHash === contentHash)) {
+      logger.debug(`Skipping unchanged document: ${source}`);
+      return { success: true, status: 'unchanged', source };
+    }
+
+    const { title, sections } = await loader.load(data, { name });
+    if (sections.length === 0) {
+      return { success: false, status: 'empty', source, error: 'No text found in file' };
+    }
+
+    const result = await knowledgeBase.addDocumentSections(
+      title || fallbackTitle || path.basename(name, path.extname(name)),
+      sections,
+      { ...metadata, source, contentHash, format: loader.format, fileName: name }
+    );
+    if (!result.success) {
+      // 途中まで保存されたドキュメントが残ると、次回「変更なし」と判定されてしまうため削除する
+      if (result.knowledgeId) {
+        await vectorStore.deleteKnowledge(result.knowledgeId);
+      }
+      throw new Error(result.error || 'Failed to store chunks');
+    }
+
+    // 新しい内容の追加に成功してから古い内容を削除する
+    for (const doc of existing) {
+      await vectorStore.deleteKnowledge(doc.id);
+    }
+
+    logger.info(`Ingested ${source} (${loader.format}, ${result.totalChunks} chunks)`);
+    return {
+      success: true,
+      status: existing.length > 0 ? 'updated' : 'added',
+      source,
+      knowledgeId: result.knowledgeId,
+      chunks: result.totalChunks
+    };
+  } catch (error) {
+    logger.error(`Failed to ingest ${source}: ${error.message}`);
+    return { success: false, status: 'failed', source, error: error.message };
+  }
+}
+
+/**
+ * ローカルのファイルを取り込む
+ * @param {string} filePath ファイルのパス
+ * @param {Object} options オプション
+ * @param {string} options.baseDir 取り込み元をこのフォルダからの相対パスで記録する（任意）
+ * @param {Object} options.metadata ドキュメントに付与するメタデータ（任意）
+ * @param {boolean} options.force trueの場合は変更がなくても取り込み直す
+ * @returns {Promise<Object>} 結果 ({success, status, source, knowledgeId, chunks, error})
+ */
+async function ingestFile(filePath, options = {}) {
+  const source = (options.baseDir ? path.relative(options.baseDir, filePath) : filePath).split(path.sep).join('/');
+
+  try {
+    const stat = await fs.promises.stat(filePath);
+    if (stat.size > ingestionConfig.maxFileSize) {
+      return { success: false, status: 'failed', source, error: 'File is too large' };
+    }
+
+    const data = await fs.promises.readFile(filePath);
+    return ingestContent({ name: path.basename(filePath), data, source, metadata: options.metadata }, options);
+  } catch (error) {
+    logger.error(`Failed to read ${filePath}: ${error.message}`);
+    return { success: false, status: 'failed', source, error: error.message };
+  }
+}
+
+/**
+ * フォルダ内の対応するファイルを再帰的に列挙する（隠しファイル・フォルダは除く）
+ * @private
+ * @param {string} directory フォルダ
+ * @returns {Promise<Array<string>>} ファイルのパス（名前順）
+ */
+async function listFiles(directory) {
+  const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.name.startsWith('.')) continue;
+
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(fullPath));
+    } else if (SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * フォルダ内のファイルをまとめて取り込む
+ * @param {string} directory フォルダ (デフォルト: RAG_KNOWLEDGE_DIR または knowledge/)
+ * @param {Object} options オプション
+ * @param {boolean} options.force trueの場合は変更がなくても取り込み直す
+ * @returns {Promise<Object>} 結果 ({success, directory, added, updated, unchanged, failed, results, error})
+ */
+async function ingestDirectory(directory = ingestionConfig.directory, options = {}) {
+  const summary = { success: true, directory, added: 0, updated: 0, unchanged: 0, failed: 0, results: [] };
+
+  let files;
+  try {
+    files = await listFiles(directory);
+  } catch (error) {
+    logger.error(`Failed to read knowledge directory ${directory}: ${error.message}`);
+    return { ...summary, success: false, error: error.message };
+  }
+
+  // 埋め込みAPIのレート制限を考慮して1ファイルずつ処理する
+  for (const filePath of files) {
+    const result = await ingestFile(filePath, { ...options, baseDir: directory });
+    summary.results.push(result);
+    if (result.success) {
+      summary[result.status]++;
+    } else {
+      summary.failed++;
+    }
+  }
+
+  summary.success = summary.failed === 0;
+  logger.info(`Ingested ${directory}: ${summary.added} added, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.failed} failed`);
+  return summary;
+}
+
+/**
+ * Discordの添付ファイルを取り込む
+ * 同じ名前のファイルを再度取り込むと、内容が変わっていれば置き換える
+ * @param {Object} attachment Discordの添付ファイル ({name, url, size})
+ * @param {Object} options オプション
+ * @param {Object} options.metadata ドキュメントに付与するメタデータ（投稿者の authorId など）
+ * @param {boolean} options.force trueの場合は変更がなくても取り込み直す
+ * @returns {Promise<Object>} 結果 ({success, status, source, knowledgeId, chunks, error})
+ */
+async function ingestAttachment(attachment, options = {}) {
+  const source = `discord:${attachment.name}`;
+
+  if (!getLoader(attachment.name)) {
+    return { success: false, status: 'unsupported', source, error: `Unsupported file type: ${attachment.name}` };
+  }
+  if (attachment.size > ingestionConfig.maxFileSize) {
+    return { success: false, status: 'failed', source, error: 'File is too large' };
+  }
+
+  try {
+    const response = await axios.get(attachment.url, {
+      responseType: 'arraybuffer',
+      timeout: ingestionConfig.downloadTimeout,
+      maxContentLength: ingestionConfig.maxFileSize
+    });
+
+    return ingestContent({
+      name: attachment.name,
+      data: Buffer.from(response.data),
+      source,
+      metadata: options.metadata
+    }, options);
+  } catch (error) {
+    logger.error(`Failed to download attachment ${attachment.name}: ${error.message}`);
+    return { success: false, status: 'failed', source, error: error.message };
+  }
+}
+
+/**
+ * CLIエントリーポイント
+ * @param {Array<string>} argv 引数
+ * @returns {Promise<number>} 終了コード
+ */
+async function runCli(argv = process.argv.slice(2)) {
+  const directory = argv.find(arg => !arg.startsWith('--'));
+  await knowledgeBase.initialize();
+
+  const summary = await ingestDirectory(directory ? path.resolve(directory) : undefined, { force: argv.includes('--force') });
+  summary.results.forEach(result => {
+    console.log(`[${result.status}] ${result.source}${result.error ? ` - ${result.error}` : ''}`);
+  });
+  console.log(`${summary.added} added, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.failed} failed`);
+
+  if (summary.error) {
+    console.error(summary.error);
+  }
+  return summary.success ? 0 : 1;
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  runCli()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  ingestContent,
+  ingestFile,
+  ingestDirectory,
+  ingestAttachment,
+  runCli,
+  SUPPORTED_EXTENSIONS,
+  config: ingestionConfig
+};
@@ -0,0 +1,162 @@
+/**
+ * キーワードインデックス - Bocchy Bot RAGシステム用
+ *
+ * チャンクの本文から BM25 の転置インデックスを作り、キーワードでチャンクを検索するモジュール
+ * 製品名やエラーコードのように、埋め込みの類似度では拾いにくい完全一致の語を見つけるために使う
+ * インデックスはプロセス内に持ち、ベクトルストアの内容が変わった後の最初の検索で作り直す
+ *
+ * @module extensions/rag/keyword-index
+ */
+
+const logger = require('../../system/logger');
+const vectorStore = require('./vector-store');
+const { tokenize } = require('../../utilities/text-tokenizer');
+
+// BM25 のパラメータ（語の出現回数の飽和と、チャンクの長さによる補正の強さ）
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * インデックスの状態
+ * @private
+ */
+const state = {
+  // チャンクID → {id, knowledgeId, content, metadata, length}
+  chunks: new Map(),
+  // 語 → (チャンクID → 出現回数)
+  postings: new Map(),
+  averageLength: 0,
+  // インデックスを作ったときのベクトルストアのリビジョン
+  revision: -1,
+  building: null
+};
+
+/**
+ * ベクトルストアのすべてのチャンクからインデックスを作り直す
+ * @private
+ * @returns {Promise<void>}
+ */
+async function rebuild() {
+  const revision = vectorStore.getRevision();
+  const chunks = new Map();
+  const postings = new Map();
+  let totalLength = 0;
+
+  const documents = await vectorStore.listKnowledge();
+  for (const document of documents) {
+    for (const chunk of await vectorStore.listChunks(document.id)) {
+      const tokens = tokenize(chunk.content);
+      chunks.set(chunk.id, {
+        id: chunk.id,
+        knowledgeId: document.id,
+        content: chunk.content,
+        metadata: chunk.metadata,
+        length: tokens.length
+      });
+      totalLength += tokens.length;
+
+      for (const token of tokens) {
+        if (!postings.has(token)) postings.set(token, new Map());
+        const counts = postings.get(token);
+        counts.set(chunk.id, (counts.get(chunk.id) || 0) + 1);
+      }
+    }
+  }
+
+  Object.assign(state, {
+    chunks,
+    postings,
+    averageLength: chunks.size > 0 ? totalLength / chunks.size : 0,
+    revision
+  });
+  logger.debug(`Keyword index rebuilt: ${chunks.size} chunks, ${postings.size} terms`);
+}
+
+/**
+ * インデックスが最新であることを確認する（古い場合は作り直す）
+ * @private
+ * @returns {Promise<void>}
+ */
+async function ensureIndex() {
+  while (state.revision !== vectorStore.getRevision()) {
+    // 同時に来た検索では作り直しを1回にまとめる
+    if (!state.building) {
+      state.building = rebuild().finally(() => {
+        state.building = null;
+      });
+    }
+    await state.building;
+  }
+}
+
+/**
+ * 語の IDF（珍しい語ほど大きい）を計算する
+ * @private
+ * @param {string} term 語
+ * @returns {number} IDF
+ */
+function inverseDocumentFrequency(term) {
+  const documentFrequency = state.postings.get(term)?.size || 0;
+  return Math.log(1 + (state.chunks.size - documentFrequency + 0.5) / (documentFrequency + 0.5));
+}
+
+/**
+ * キーワードでチャンクを検索する
+ * クエリの語のうちインデックスにある語を IDF で重み付けし、その一定割合以上が一致したチャンクのみを返す
+ * （「とき」「方法」のようなありふれた語だけが一致したチャンクを除くため）
+ * @param {string} query 検索クエリ
+ * @param {Object} options 検索オプション
+ * @param {number} options.limit 最大結果数
+ * @param {number} options.minCoverage 一致した語の割合の下限 (0〜1)
+ * @returns {Promise<Array<Object>>} スコアの高い順の検索結果 ({id, content, knowledgeId, metadata, score})
+ */
+async function search(query, options = {}) {
+  const { limit = 5, minCoverage = 0 } = options;
+
+  try {
+    await ensureIndex();
+
+    const terms = [...new Set(tokenize(query))].filter(term => state.postings.has(term));
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const weights = new Map(terms.map(term => [term, inverseDocumentFrequency(term)]));
+    const totalWeight = terms.reduce((sum, term) => sum + weights.get(term), 0);
+    const scores = new Map();
+
+    for (const term of terms) {
+      const idf = weights.get(term);
+      for (const [chunkId, frequency] of state.postings.get(term)) {
+        const chunk = state.chunks.get(chunkId);
+        const normalization = 1 - BM25_B + BM25_B * (chunk.length / state.averageLength);
+        const entry = scores.get(chunkId) || { score: 0, matchedWeight: 0 };
+        entry.score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * normalization);
+        entry.matchedWeight += idf;
+        scores.set(chunkId, entry);
+      }
+    }
+
+    return [...scores]
+      .filter(([, entry]) => entry.matchedWeight / totalWeight >= minCoverage)
+      .sort((a, b) => b[1].score - a[1].score)
+      .slice(0, limit)
+      .map(([chunkId, entry]) => {
+        const chunk = state.chunks.get(chunkId);
+        return {
+          id: chunk.id,
+          content: chunk.content,
+          knowledgeId: chunk.knowledgeId,
+          metadata: chunk.metadata,
+          score: entry.score
+        };
+      });
+  } catch (error) {
+    logger.error(`Keyword search failed: ${error.message}`);
+    return [];
+  }
+}
+
+module.exports = {
+  search
+};
@@ -11,6 +11,8 @@ const logger = require('../../system/logger');
 const vectorStore = require('./vector-store');
 const embeddings = require('./embeddings');
 const chunkManager = require('./chunk-manager');
+const keywordIndex = require('./keyword-index');
+const textTokenizer = require('../../utilities/text-tokenizer');
 
 /**
  * ナレッジベースにドキュメントを追加する
@@ -21,7 +23,21 @@ const chunkManager = require('./chunk-manager');
  * @returns {Promise<Object>} 追加結果
  */
 async function addDocument(title, content, metadata = {}, options = {}) {
+  return addDocumentSections(title, [{ content }], metadata, options);
+}
+
+/**
+ * セクションに分かれたドキュメントをナレッジベースに追加する
+ * セクションごとにチャンク化し、見出し (section) とページ番号 (page) をチャンクのメタデータに記録する
+ * @param {string} title ドキュメントのタイトル
+ * @param {Array<{content: string, section: string, page: number}>} sections セクション（見出し・ページ番号は任意）
+ * @param {Object} metadata メタデータ
+ * @param {Object} options チャンク設定オプション
+ * @returns {Promise<Object>} 追加結果
+ */
+async function addDocumentSections(title, sections, metadata = {}, options = {}) {
   try {
+    const content = sections.map(section => section.content).join('\n\n');
     logger.info(`Adding document to knowledge base: "${title}" (${content.length} chars)`);
 
     // 1. ドキュメントをナレッジベースに保存
@@ -32,16 +48,19 @@ async function addDocument(title, content, metadata = {}, options = {}) {
     
     const knowledgeId = knowledgeResult.id;
     
-    // 2. コンテンツをチャンクに分割
-    const chunks = chunkManager.createChunksWithMetadata(
-      content,
+    // 2. セクションごとにチャンクに分割
+    const chunks = sections.flatMap((section, sectionIndex) => chunkManager.createChunksWithMetadata(
+      section.content,
       { 
         title,
         knowledgeId,
-        ...metadata
+        ...metadata,
+        ...(sections.length > 1 ? { sectionIndex } : {}),
+        ...(section.section ? { section: section.section } : {}),
+        ...(section.page ? { page: section.page } : {})
       },
       options
-    );
+    ));
     
     logger.debug(`Document split into ${chunks.length} chunks for processing`);
     
@@ -89,6 +108,30 @@ async function addDocument(title, content, metadata = {}, options = {}) {
   }
 }
 
+/**
+ * ドキュメントのチャンクの埋め込みを作り直す
+ * チャンクの分割と内容・メタデータはそのままにし、埋め込みの生成方法やモデルを変えたときに使う
+ * @param {string} knowledgeId 知識ベースID
+ * @returns {Promise<Object>} 結果 ({success, chunks, error})
+ */
+async function reindexDocument(knowledgeId) {
+  try {
+    const chunks = await vectorStore.listChunks(knowledgeId);
+
+    // 埋め込みAPIのレート制限を考慮して1チャンクずつ処理する
+    for (const chunk of chunks) {
+      const embedding = await embeddings.generateEmbedding(chunk.content);
+      await vectorStore.updateChunkEmbedding(chunk.id, embedding);
+    }
+
+    logger.debug(`Reindexed ${chunks.length} chunks for document ${knowledgeId}`);
+    return { success: true, chunks: chunks.length };
+  } catch (error) {
+    logger.error(`Error reindexing document ${knowledgeId}: ${error.message}`);
+    return { success: false, chunks: 0, error: error.message };
+  }
+}
+
 /**
  * テキストクエリに基づいて関連知識を検索する
  * @param {string} query 検索クエリテキスト
@@ -131,25 +174,37 @@ async function searchKnowledge(query, maxResults = 5, similarityThreshold = 0.75
   }
 }
 
+/**
+ * キーワード（BM25）で関連知識を検索する
+ * @param {string} query 検索クエリテキスト
+ * @param {number} maxResults 最大結果数
+ * @param {number} minCoverage クエリの語のうち一致した語の割合の下限 (0〜1)
+ * @returns {Promise<Array<Object>>} 検索結果
+ */
+async function searchKeywords(query, maxResults = 5, minCoverage = 0.5) {
+  const processedQuery = query.trim();
+  if (!processedQuery) {
+    return [];
+  }
+
+  const searchResults = await keywordIndex.search(processedQuery, { limit: maxResults, minCoverage });
+  logger.debug(`Keyword search for "${query.substring(0, 30)}..." returned ${searchResults.length} results`);
+
+  return searchResults.map(result => ({
+    content: result.content,
+    knowledgeId: result.knowledgeId,
+    metadata: result.metadata,
+    keywordScore: result.score
+  }));
+}
+
 /**
  * テキストから重要なキーワードを抽出する（検索クエリ生成用）
  * @param {string} text 対象テキスト
  * @returns {Promise<Array<string>>} 抽出されたキーワード
  */
 async function extractKeywords(text) {
-  // シンプルな実装: スペースで区切ってストップワードを除外
-  const stopWords = [
-    'は', 'を', 'に', 'で', 'と', 'が', 'の', 'や', 'へ', 'から', 'より',
-    'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'with', 'by', 'from'
-  ];
-  
-  const words = text.toLowerCase()
-    .replace(/[.,!?;:()\[\]{}]/g, '')
-    .split(/\s+/)
-    .filter(word => word.length > 1 && !stopWords.includes(word));
-  
-  // 重複を削除
-  return [...new Set(words)];
+  return textTokenizer.extractKeywords(text);
 }
 
 /**
@@ -212,7 +267,10 @@ async function checkHealth() {
 module.exports = {
   initialize,
   addDocument,
+  addDocumentSections,
+  reindexDocument,
   searchKnowledge,
+  searchKeywords,
   extractKeywords,
   checkHealth
 };
\ No newline at end of file
@@ -0,0 +1,109 @@
+/**
+ * HTML Loader - HTMLファイルの読み込み
+ *
+ * スクリプト・スタイル・ナビゲーション・ヘッダー・フッターなどの定型部分を取り除き、
+ * <main> / <article> があればその中身だけを本文として扱う
+ * 見出し (h1〜h6) はMarkdownの見出しに変換し、Markdownと同じくセクションに分割する
+ *
+ * @module extensions/rag/loaders/html-loader
+ */
+
+const { splitSections } = require('./markdown-loader');
+
+/**
+ * 名前付き文字参照
+ * @private
+ */
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+  copy: '©',
+  reg: '®',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–'
+};
+
+/**
+ * 文字参照をデコードする
+ * @private
+ * @param {string} text テキスト
+ * @returns {string} デコードしたテキスト
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * タグを取り除く
+ * @private
+ * @param {string} html HTML
+ * @returns {string} テキスト
+ */
+function stripTags(html) {
+  return html.replace(/<[^>]+>/g, '');
+}
+
+/**
+ * HTMLから本文のテキストを取り出す（見出しはMarkdown形式）
+ * @param {string} html HTML
+ * @returns {{title: string|null, text: string}} ページタイトルと本文
+ */
+function extractText(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? decodeEntities(stripTags(titleMatch[1])).trim() || null : null;
+
+  let body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|iframe|head)\b[\s\S]*?<\/\1>/gi, '');
+
+  const main = body.match(/<(main|article)\b[^>]*>([\s\S]*?)<\/\1>/i);
+  if (main) {
+    body = main[2];
+  }
+
+  body = body
+    .replace(/<(nav|header|footer|aside|form)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) =>
+      `\n${'#'.repeat(Number(level))} ${stripTags(inner).replace(/\s+/g, ' ').trim()}\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|section|tr|ul|ol|table|blockquote|pre|dd|dt)>/gi, '\n');
+
+  const text = decodeEntities(stripTags(body))
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { title, text };
+}
+
+/**
+ * HTMLファイルを読み込む
+ * @param {Buffer} data ファイルの内容
+ * @returns {Promise<{title: string|null, sections: Array<Object>}>} タイトルとセクション
+ */
+async function load(data) {
+  const { title, text } = extractText(data.toString('utf8'));
+  const result = splitSections(text);
+  return { title: title || result.title, sections: result.sections };
+}
+
+module.exports = {
+  format: 'html',
+  extensions: ['.html', '.htm'],
+  load,
+  extractText
+};
@@ -0,0 +1,41 @@
+/**
+ * Loaders - ナレッジベースに取り込むファイルの読み込み
+ *
+ * 拡張子に応じてファイルをセクション（本文と見出し・ページ番号）に分解する
+ * - markdown: .md / .markdown（見出しごと）
+ * - html: .html / .htm（定型部分を除いて見出しごと）
+ * - pdf: .pdf（ページごと）
+ * - text: .txt / .csv（CSVは行ごとに「列名: 値」へ整形）
+ *
+ * どのローダーも format / extensions と load(data, {name}) を実装し、
+ * {title, sections: [{content, section, page}]} を返す
+ *
+ * @module extensions/rag/loaders
+ */
+
+const path = require('path');
+
+const LOADERS = [
+  require('./markdown-loader'),
+  require('./html-loader'),
+  require('./pdf-loader'),
+  require('./text-loader')
+];
+
+// 取り込みに対応する拡張子
+const SUPPORTED_EXTENSIONS = LOADERS.flatMap(loader => loader.extensions);
+
+/**
+ * ファイル名に対応するローダーを取得する
+ * @param {string} fileName ファイル名またはパス
+ * @returns {Object|null} ローダー、対応していない形式の場合はnull
+ */
+function getLoader(fileName) {
+  const extension = path.extname(fileName || '').toLowerCase();
+  return LOADERS.find(loader => loader.extensions.includes(extension)) || null;
+}
+
+module.exports = {
+  getLoader,
+  SUPPORTED_EXTENSIONS
+};
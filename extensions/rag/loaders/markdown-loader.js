@@ -0,0 +1,72 @@
+/**
+ * Markdown Loader - Markdownファイルの読み込み
+ *
+ * 見出し (#〜######) ごとにセクションへ分割し、各セクションに見出しの階層（例: 「導入 > 準備」）を付ける
+ * コードブロック内の # は見出しとして扱わない
+ *
+ * @module extensions/rag/loaders/markdown-loader
+ */
+
+/**
+ * Markdownのテキストを見出しごとのセクションに分割する
+ * @param {string} text Markdownのテキスト
+ * @returns {{title: string|null, sections: Array<{content: string, section: string|null}>}} 最初のH1見出しとセクション
+ */
+function splitSections(text) {
+  const sections = [];
+  const headings = [];
+  let title = null;
+  let lines = [];
+  let inFence = false;
+
+  const flush = () => {
+    const content = lines.join('\n').trim();
+    // 見出しだけで本文のないセクションは登録しない
+    if (content && !/^#{1,6}\s[^\n]*$/.test(content)) {
+      sections.push({ content, section: headings.filter(Boolean).join(' > ') || null });
+    }
+    lines = [];
+  };
+
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+
+    const match = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (match) {
+      flush();
+      const level = match[1].length;
+      headings[level - 1] = match[2];
+      headings.length = level;
+      if (!title && level === 1) {
+        title = match[2];
+      }
+    }
+    lines.push(line);
+  }
+  flush();
+
+  return { title, sections };
+}
+
+/**
+ * Markdownファイルを読み込む
+ * @param {Buffer} data ファイルの内容
+ * @returns {Promise<{title: string|null, sections: Array<Object>}>} タイトルとセクション
+ */
+async function load(data) {
+  const text = data.toString('utf8')
+    .replace(/\r\n?/g, '\n')
+    // 先頭のフロントマターは本文ではないため除く
+    .replace(/^---\n[\s\S]*?\n---\n/, '');
+
+  return splitSections(text);
+}
+
+module.exports = {
+  format: 'markdown',
+  extensions: ['.md', '.markdown'],
+  load,
+  splitSections
+};
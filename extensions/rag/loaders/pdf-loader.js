@@ -0,0 +1,59 @@
+/**
+ * PDF Loader - PDFファイルの読み込み
+ *
+ * pdf-parse でページごとにテキストを抽出し、ページ番号付きのセクションにする
+ * （画像だけのページなど、テキストのないページは含めない）
+ *
+ * @module extensions/rag/loaders/pdf-loader
+ */
+
+/**
+ * ページのテキストを抽出する（同じ行の断片はつなげ、行が変わったら改行する）
+ * @private
+ * @param {Object} pageData pdf.js のページ
+ * @returns {Promise<string>} ページのテキスト
+ */
+async function renderPage(pageData) {
+  const textContent = await pageData.getTextContent();
+  let lastY = null;
+  let text = '';
+
+  for (const item of textContent.items) {
+    const y = item.transform[5];
+    text += lastY === null || lastY === y ? item.str : `\n${item.str}`;
+    lastY = y;
+  }
+  return text;
+}
+
+/**
+ * PDFファイルを読み込む
+ * @param {Buffer} data ファイルの内容
+ * @returns {Promise<{title: string|null, sections: Array<Object>}>} タイトルとページごとのセクション
+ */
+async function load(data) {
+  // パッケージのindex.jsは親モジュールがないとデバッグ用のファイルを読みに行くため、本体を直接読み込む
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  const pages = [];
+
+  const result = await pdfParse(data, {
+    pagerender: async pageData => {
+      const text = await renderPage(pageData);
+      pages.push({ page: pageData.pageIndex + 1, text });
+      return text;
+    }
+  });
+
+  const sections = pages
+    .sort((a, b) => a.page - b.page)
+    .filter(page => page.text.trim())
+    .map(page => ({ content: page.text.trim(), page: page.page }));
+
+  return { title: result.info?.Title?.trim() || null, sections };
+}
+
+module.exports = {
+  format: 'pdf',
+  extensions: ['.pdf'],
+  load
+};
@@ -0,0 +1,97 @@
+/**
+ * Text Loader - テキスト・CSVファイルの読み込み
+ *
+ * .txt はそのまま1つのセクションにする
+ * .csv は各行を「列名: 値」の形に整形し、行単位の内容が1つのチャンクで読めるようにする
+ *
+ * @module extensions/rag/loaders/text-loader
+ */
+
+const path = require('path');
+
+/**
+ * CSVのテキストを行と列に分解する（ダブルクォートで囲まれた値の改行・カンマに対応）
+ * @param {string} text CSVのテキスト
+ * @returns {Array<Array<string>>} 行の配列
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n') {
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else if (char !== '\r') {
+      value += char;
+    }
+  }
+
+  if (value || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * CSVの各行を「列名: 値」の形式に整形する
+ * @private
+ * @param {string} text CSVのテキスト
+ * @returns {string} 整形したテキスト（1行につき1レコード）
+ */
+function formatCsv(text) {
+  const [header = [], ...rows] = parseCsv(text);
+
+  return rows
+    .map(cells => cells
+      .map((cell, index) => ({ name: (header[index] || `列${index + 1}`).trim(), value: cell.trim() }))
+      .filter(cell => cell.value)
+      .map(cell => `${cell.name}: ${cell.value}`)
+      .join(' / '))
+    .join('\n');
+}
+
+/**
+ * テキスト・CSVファイルを読み込む
+ * @param {Buffer} data ファイルの内容
+ * @param {Object} options オプション
+ * @param {string} options.name ファイル名（拡張子で形式を判定する）
+ * @returns {Promise<{title: string|null, sections: Array<Object>}>} タイトルとセクション
+ */
+async function load(data, options = {}) {
+  let text = data.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  if (path.extname(options.name || '').toLowerCase() === '.csv') {
+    text = formatCsv(text);
+  }
+
+  const content = text.trim();
+  return { title: null, sections: content ? [{ content }] : [] };
+}
+
+module.exports = {
+  format: 'text',
+  extensions: ['.txt', '.csv'],
+  load,
+  parseCsv
+};
@@ -0,0 +1,99 @@
+/**
+ * Prompt Context - ナレッジベースの検索結果をプロンプト用に整形する
+ *
+ * 検索で見つかったチャンクをドキュメントごとに [資料1] のようなラベルを付けて並べ、
+ * トークン数の上限内に収めたシステムプロンプト用のセクションを作る
+ * 応答の中で引用されたラベルから、応答の末尾に付ける参考資料の一覧も作る
+ *
+ * @module extensions/rag/prompt-context
+ */
+
+const { estimateTextTokens } = require('../../utilities/token-estimator');
+
+// 応答の中で引用されたラベル（[資料1] や [資料1][資料3]）
+const CITATION_PATTERN = /\[資料(\d+)\]/g;
+
+/**
+ * チャンクの見出し（タイトル > セクション (p.ページ)）を作る
+ * @private
+ * @param {Object} result 検索結果
+ * @returns {string} 見出し
+ */
+function formatHeading(result) {
+  const metadata = result.metadata || {};
+  let heading = metadata.title || '無題';
+  // Markdownの見出しの階層はドキュメントのタイトル（H1）から始まることが多いため、重複させない
+  if (metadata.section) {
+    heading = metadata.section.startsWith(heading) ? metadata.section : `${heading} > ${metadata.section}`;
+  }
+  if (metadata.page) {
+    heading += ` (p.${metadata.page})`;
+  }
+  return heading;
+}
+
+/**
+ * 検索結果をシステムプロンプト用のセクションに整形する
+ * 類似度の高い順にトークン数の上限まで入れ、同じドキュメントのチャンクには同じラベルを付ける
+ * @param {Array<Object>} results 検索結果 ({content, knowledgeId, metadata, similarity})
+ * @param {Object} options オプション
+ * @param {number} options.tokenBudget セクション全体のトークン数の上限
+ * @param {number} [options.labelOffset=0] ラベルの番号の開始位置（すでにプロンプトにある資料と番号を重ねないため。2なら [資料3] から）
+ * @returns {{section: string, sources: Array<{label: string, title: string, knowledgeId: string, url: string}>}}
+ *   プロンプトに追加するセクションと、ラベルを付けたドキュメントの一覧（該当がなければ空）
+ */
+function buildKnowledgeSection(results, options = {}) {
+  const header = '【ナレッジベース】\n'
+    + '以下はナレッジベースから見つかった、今回の発言に関係しそうな情報です。\n'
+    + '- この情報を使って答えた場合は、使った箇所の文末に [資料1] のように番号を添えてください。\n'
+    + '- 発言に関係のない資料は無視し、資料に書かれていないことを資料の内容として述べないでください。\n';
+
+  const labelOffset = options.labelOffset || 0;
+  const sources = [];
+  const entries = [];
+  let remaining = (options.tokenBudget || 0) - estimateTextTokens(header);
+
+  for (const result of results) {
+    let source = sources.find(item => item.knowledgeId === result.knowledgeId);
+    const label = source ? source.label : `資料${labelOffset + sources.length + 1}`;
+    const entry = `\n[${label}] ${formatHeading(result)}\n${result.content.trim()}\n`;
+
+    const tokens = estimateTextTokens(entry);
+    if (tokens > remaining) continue;
+    remaining -= tokens;
+
+    if (!source) {
+      source = { label, title: result.metadata?.title || '無題', knowledgeId: result.knowledgeId };
+      // Discordのメッセージから取り込んだ資料は元のメッセージにリンクする
+      if (result.metadata?.url) source.url = result.metadata.url;
+      sources.push(source);
+    }
+    entries.push(entry);
+  }
+
+  if (entries.length === 0) {
+    return { section: '', sources: [] };
+  }
+  return { section: `${header}${entries.join('')}`, sources };
+}
+
+/**
+ * 応答の中で引用された資料のタイトルを、応答の末尾に付ける参考資料の一覧にする
+ * Discordのメッセージから取り込んだ資料は、タイトルを元のメッセージへのリンクにする
+ * @param {string} response AIの応答
+ * @param {Array<Object>} sources buildKnowledgeSection が返したドキュメントの一覧
+ * @returns {string} 参考資料の一覧（引用がなければ空文字）
+ */
+function formatSourcesFooter(response, sources = []) {
+  const cited = new Set([...String(response || '').matchAll(CITATION_PATTERN)].map(match => `資料${match[1]}`));
+  const titles = sources
+    .filter(source => cited.has(source.label))
+    .map(source => `[${source.label}] ${source.url ? `[${source.title}](<${source.url}>)` : source.title}`);
+
+  return titles.length > 0 ? `\n\n-# 📚 参考資料: ${titles.join(' / ')}` : '';
+}
+
+module.exports = {
+  buildKnowledgeSection,
+  formatSourcesFooter
+};
@@ -8,6 +8,8 @@
 
 const logger = require('../../system/logger');
 const knowledgeBase = require('./knowledge-base');
+const rerankers = require('./rerankers');
+const { extractKeywords } = require('../../utilities/text-tokenizer');
 
 /**
  * クエリエンジン設定
@@ -19,17 +21,37 @@ const queryConfig = {
   // コンテキスト設定
   maxContextLength: parseInt(process.env.RAG_MAX_CONTEXT_LENGTH || '2000', 10),
   contextStrategy: process.env.RAG_CONTEXT_STRATEGY || 'top_k', // top_k, threshold, hybrid
+  // 再ランキングで採点し直したスコアの下限（threshold / hybrid 用、0〜1）
+  rerankThreshold: parseFloat(process.env.RAG_RERANK_THRESHOLD || '0.5'),
+  // 検索で集める候補の数（再ランキングと多様化はこの中から選ぶ）
+  candidatePoolSize: parseInt(process.env.RAG_CANDIDATE_POOL_SIZE || '20', 10),
+  // 多様化 (MMR) の関連度の重み（1 で多様化しない）
+  mmrLambda: parseFloat(process.env.RAG_MMR_LAMBDA || '0.7'),
   // クエリ拡張設定
   enableQueryExpansion: process.env.RAG_QUERY_EXPANSION !== 'false',
-  maxQueryExpansions: parseInt(process.env.RAG_MAX_QUERY_EXPANSIONS || '2', 10)
+  maxQueryExpansions: parseInt(process.env.RAG_MAX_QUERY_EXPANSIONS || '2', 10),
+  // 検索方式設定 (hybrid: ベクトル検索とキーワード検索の併用, vector, keyword)
+  retrievalMode: process.env.RAG_RETRIEVAL_MODE || 'hybrid',
+  vectorWeight: parseFloat(process.env.RAG_HYBRID_VECTOR_WEIGHT || '1'),
+  keywordWeight: parseFloat(process.env.RAG_HYBRID_KEYWORD_WEIGHT || '1'),
+  rrfK: parseInt(process.env.RAG_RRF_K || '60', 10),
+  keywordMinCoverage: parseFloat(process.env.RAG_KEYWORD_MIN_COVERAGE || '0.5')
 };
 
+/**
+ * 絞り込みで候補が足りない場合に検索し直すときの、取得件数の上限（候補の数に対する倍率）
+ * @private
+ */
+const MAX_FETCH_MULTIPLIER = 16;
+
 /**
  * ユーザークエリからRAG検索を実行する
  * @param {string} userQuery ユーザーの質問文
+ * @param {Object} options オプション
+ * @param {Function} options.filter 候補に残すかどうかを返す関数 (result) => boolean（任意、並べ替えの前に適用し、候補が足りなければ取得件数を増やす）
  * @returns {Promise<Object>} 検索結果とコンテキスト
  */
-async function search(userQuery) {
+async function search(userQuery, options = {}) {
   try {
     logger.debug(`Processing RAG query: "${userQuery.substring(0, 50)}..."`);
     
@@ -45,25 +67,19 @@ async function search(userQuery) {
       }
     }
     
-    // 複数のクエリで検索を実行
-    const allResults = [];
-    for (const query of queries) {
-      const results = await knowledgeBase.searchKnowledge(
-        query,
-        queryConfig.maxResults,
-        queryConfig.similarityThreshold
-      );
-      
-      if (results.length > 0) {
-        allResults.push(...results);
-      }
-    }
+    // 並べ替えの前に、最終的に使う数より多めに候補を集める
+    const candidateCount = Math.max(queryConfig.maxResults, queryConfig.candidatePoolSize);
+    const { allResults, uniqueResults } = await collectCandidates(queries, processedQuery, candidateCount, options.filter);
     
-    // 重複の削除とランキング
-    const uniqueResults = deduplicateAndRankResults(allResults);
+    // 上位の候補をクエリと照らして採点し直し、似た内容のチャンクが並ばないように並べ替える
+    const candidates = await rerankResults(processedQuery, uniqueResults.slice(0, candidateCount));
+    const rankedResults = diversifyResults(candidates, queryConfig.mmrLambda);
     
     // 利用可能なコンテキスト長に合わせて結果を選択
-    const selectedResults = selectResultsWithinLength(uniqueResults, queryConfig.maxContextLength);
+    const selectedResults = selectResultsWithinLength(
+      applyContextStrategy(rankedResults),
+      queryConfig.maxContextLength
+    );
     
     // コンテキストの構築
     const context = buildContextFromResults(selectedResults);
@@ -72,9 +88,10 @@ async function search(userQuery) {
     const metadata = {
       totalResults: allResults.length,
       uniqueResults: uniqueResults.length,
+      reranked: candidates.some(result => result.rerankScore !== undefined),
       selectedResults: selectedResults.length,
       contextLength: context.length,
-      topSimilarity: selectedResults.length > 0 ? selectedResults[0].similarity : 0
+      topSimilarity: selectedResults.length > 0 ? selectedResults[0].similarity || 0 : 0
     };
     
     logger.debug(`RAG search complete: ${metadata.selectedResults} results selected for context`);
@@ -94,6 +111,83 @@ async function search(userQuery) {
   }
 }
 
+/**
+ * ベクトル検索とキーワード検索で候補を集め、順位を統合する
+ * @private
+ * @param {Array<string>} queries ベクトル検索のクエリ（拡張クエリを含む）
+ * @param {string} processedQuery キーワード検索のクエリ
+ * @param {number} fetchCount 各検索で取得する件数
+ * @returns {Promise<Object>} 検索結果 ({allResults, uniqueResults, exhausted})。exhausted はどの検索も取得件数に届かなかった場合にtrue
+ */
+async function retrieveCandidates(queries, processedQuery, fetchCount) {
+  const allResults = [];
+  let exhausted = true;
+  
+  // 複数のクエリでベクトル検索を実行
+  if (queryConfig.retrievalMode !== 'keyword') {
+    for (const query of queries) {
+      const results = await knowledgeBase.searchKnowledge(
+        query,
+        fetchCount,
+        queryConfig.similarityThreshold
+      );
+      
+      if (results.length >= fetchCount) {
+        exhausted = false;
+      }
+      allResults.push(...results);
+    }
+  }
+  
+  // 重複の削除とランキング
+  let uniqueResults = deduplicateAndRankResults(allResults);
+  
+  // キーワード検索の結果と順位を統合
+  if (queryConfig.retrievalMode !== 'vector') {
+    const keywordResults = await knowledgeBase.searchKeywords(
+      processedQuery,
+      fetchCount,
+      queryConfig.keywordMinCoverage
+    );
+    if (keywordResults.length >= fetchCount) {
+      exhausted = false;
+    }
+    uniqueResults = fuseRankings(uniqueResults, keywordResults);
+  }
+  
+  return { allResults, uniqueResults, exhausted };
+}
+
+/**
+ * 並べ替えの対象にする候補を集める
+ * 絞り込み (filter) がある場合は、全体の上位が他のサーバーの結果で埋まっても範囲内の候補が残るよう、
+ * 範囲内の候補が candidateCount 件そろうか検索結果が尽きるまで取得件数を増やして検索し直す
+ * @private
+ * @param {Array<string>} queries ベクトル検索のクエリ
+ * @param {string} processedQuery キーワード検索のクエリ
+ * @param {number} candidateCount 必要な候補の数
+ * @param {Function} [filter] 候補に残すかどうかを返す関数
+ * @returns {Promise<Object>} 検索結果 ({allResults, uniqueResults})
+ */
+async function collectCandidates(queries, processedQuery, candidateCount, filter) {
+  const maxFetchCount = candidateCount * MAX_FETCH_MULTIPLIER;
+  let fetchCount = candidateCount;
+  
+  for (;;) {
+    const { allResults, uniqueResults, exhausted } = await retrieveCandidates(queries, processedQuery, fetchCount);
+    if (typeof filter !== 'function') {
+      return { allResults, uniqueResults };
+    }
+    
+    // リクエストから見えない候補を除く
+    const visibleResults = uniqueResults.filter(filter);
+    if (visibleResults.length >= candidateCount || exhausted || fetchCount >= maxFetchCount) {
+      return { allResults, uniqueResults: visibleResults };
+    }
+    fetchCount = Math.min(fetchCount * 2, maxFetchCount);
+  }
+}
+
 /**
  * ユーザークエリを前処理する
  * @private
@@ -177,6 +271,147 @@ function deduplicateAndRankResults(results) {
   return uniqueResults.sort((a, b) => b.similarity - a.similarity);
 }
 
+/**
+ * ベクトル検索とキーワード検索の順位を Reciprocal Rank Fusion で統合する
+ * 各結果のスコアは「重み / (k + 順位)」の合計で、両方の検索で上位に入ったものほど上に来る
+ * 類似度やBM25のスコアは尺度が異なるため、値そのものではなく順位だけを使う
+ * @private
+ * @param {Array<Object>} vectorResults 類似度順のベクトル検索の結果
+ * @param {Array<Object>} keywordResults スコア順のキーワード検索の結果
+ * @returns {Array<Object>} 統合スコア (score) の高い順の結果
+ */
+function fuseRankings(vectorResults, keywordResults) {
+  const fused = new Map();
+  const addRanking = (results, weight) => {
+    results.forEach((result, index) => {
+      const key = result.content.substring(0, 100);
+      const entry = fused.get(key) || { ...result, score: 0 };
+      fused.set(key, { ...entry, ...result, score: entry.score + weight / (queryConfig.rrfK + index + 1) });
+    });
+  };
+
+  addRanking(vectorResults, queryConfig.vectorWeight);
+  addRanking(keywordResults, queryConfig.keywordWeight);
+
+  return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * 設定中の再ランキングで候補を採点し直し、スコアの高い順に並べる
+ * 再ランキングしない設定の場合や採点に失敗した場合は、元の順位のまま返す
+ * @private
+ * @param {string} query 検索クエリ
+ * @param {Array<Object>} candidates 候補
+ * @returns {Promise<Array<Object>>} 再ランキングのスコア (rerankScore) を付けた候補
+ */
+async function rerankResults(query, candidates) {
+  const reranker = rerankers.getReranker();
+  if (!reranker || candidates.length === 0) {
+    return candidates;
+  }
+
+  try {
+    const scores = await reranker.score(query, candidates);
+    return candidates
+      .map((result, index) => ({ ...result, rerankScore: scores[index] }))
+      .sort((a, b) => b.rerankScore - a.rerankScore);
+  } catch (error) {
+    logger.warn(`Reranking failed, keeping retrieval order: ${error.message}`);
+    return candidates;
+  }
+}
+
+/**
+ * 結果の関連度を取得する（再ランキングのスコア、統合スコア、類似度の順に使う）
+ * @private
+ * @param {Object} result 検索結果
+ * @returns {number} 関連度
+ */
+function relevanceOf(result) {
+  return result.rerankScore ?? result.score ?? result.similarity ?? 0;
+}
+
+/**
+ * 2つのチャンクの内容の重なり（キーワードのJaccard係数）を計算する
+ * @private
+ * @param {Set<string>} a チャンクのキーワード
+ * @param {Set<string>} b チャンクのキーワード
+ * @returns {number} 重なり (0〜1)
+ */
+function keywordOverlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let common = 0;
+  for (const keyword of a) {
+    if (b.has(keyword)) common++;
+  }
+  return common / (a.size + b.size - common);
+}
+
+/**
+ * Maximal Marginal Relevance で結果を並べ替える
+ * 関連度が高く、すでに選んだ結果と内容の重ならないものから順に選び、ほぼ同じ内容のチャンクが上位に並ぶのを防ぐ
+ * @private
+ * @param {Array<Object>} results 関連度の高い順の結果
+ * @param {number} lambda 関連度の重み（1 で並べ替えない、小さいほど多様性を重視）
+ * @returns {Array<Object>} 並べ替えた結果
+ */
+function diversifyResults(results, lambda) {
+  if (lambda >= 1 || results.length <= 2) {
+    return results;
+  }
+
+  // 関連度は尺度がそろうよう、最大値で割って 0〜1 にする
+  const maxRelevance = Math.max(...results.map(relevanceOf)) || 1;
+  const remaining = results.map(result => ({
+    result,
+    relevance: relevanceOf(result) / maxRelevance,
+    keywords: new Set(extractKeywords(result.content))
+  }));
+  const selected = [];
+
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((candidate, index) => {
+      const redundancy = Math.max(0, ...selected.map(item => keywordOverlap(candidate.keywords, item.keywords)));
+      const score = lambda * candidate.relevance - (1 - lambda) * redundancy;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+    selected.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  return selected.map(item => item.result);
+}
+
+/**
+ * コンテキストの選び方 (RAG_CONTEXT_STRATEGY) に従って結果を絞り込む
+ * - top_k: 上位 maxResults 件
+ * - threshold: 再ランキングのスコアが rerankThreshold 以上のすべて（件数は文字数の上限のみで制限）
+ * - hybrid: threshold で絞り込んだうえで上位 maxResults 件
+ * 再ランキングしていない結果は、検索時の類似度の閾値やキーワードの一致割合で絞り込み済みのものとして扱う
+ * @private
+ * @param {Array<Object>} results 並べ替え済みの結果
+ * @returns {Array<Object>} 絞り込んだ結果
+ */
+function applyContextStrategy(results) {
+  const aboveThreshold = results.filter(result =>
+    result.rerankScore === undefined || result.rerankScore >= queryConfig.rerankThreshold
+  );
+
+  switch (queryConfig.contextStrategy) {
+    case 'threshold':
+      return aboveThreshold;
+    case 'hybrid':
+      return aboveThreshold.slice(0, queryConfig.maxResults);
+    default:
+      return results.slice(0, queryConfig.maxResults);
+  }
+}
+
 /**
  * 指定された長さ内に収まる結果を選択する
  * @private
@@ -0,0 +1,78 @@
+/**
+ * Rerankers - RAGシステムの検索結果の再ランキング
+ *
+ * RAG_RERANKER 設定に応じて、検索で見つかった候補チャンクをクエリと照らして採点し直す方法を切り替える
+ * - none: 再ランキングしない (デフォルト)
+ * - llm: 設定中のAIプロバイダーに候補をまとめて採点させる
+ * - lexical: クエリの語がチャンクにどれだけ含まれるかによるローカルの採点 (APIキー不要)
+ *
+ * どの再ランキングも name と score(query, candidates) を実装し、候補と同じ順で 0〜1 のスコアを返す
+ *
+ * @module extensions/rag/rerankers
+ */
+
+const logger = require('../../../system/logger');
+
+// 利用可能な再ランキング名
+const RERANKER_NAMES = ['none', 'llm', 'lexical'];
+
+/**
+ * 現在の再ランキングインスタンス（undefinedの場合は未作成）
+ * @private
+ */
+let currentReranker;
+
+/**
+ * 再ランキングを作成する
+ * @param {string} name 再ランキング名
+ * @returns {Object|null} 再ランキングインスタンス（none の場合はnull）
+ */
+function createReranker(name = process.env.RAG_RERANKER || 'none') {
+  const normalized = name.toLowerCase();
+  const rerankerName = RERANKER_NAMES.includes(normalized) ? normalized : 'none';
+  if (rerankerName !== normalized) {
+    logger.warn(`Unknown RAG_RERANKER "${name}", reranking disabled`);
+  }
+
+  switch (rerankerName) {
+    case 'llm': {
+      const LLMReranker = require('./llm-reranker');
+      return new LLMReranker();
+    }
+    case 'lexical': {
+      const LexicalReranker = require('./lexical-reranker');
+      return new LexicalReranker();
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * 現在の再ランキングを取得する（未作成の場合は設定に従って作成）
+ * @returns {Object|null} 再ランキングインスタンス（再ランキングしない場合はnull）
+ */
+function getReranker() {
+  if (currentReranker === undefined) {
+    currentReranker = createReranker();
+    if (currentReranker) {
+      logger.info(`Reranker selected: ${currentReranker.name}`);
+    }
+  }
+  return currentReranker;
+}
+
+/**
+ * 使用する再ランキングを差し替える（テストや起動時の明示的な切り替え用）
+ * @param {Object|null|undefined} reranker 再ランキングインスタンス（null で無効、undefined で次回取得時に再作成）
+ */
+function setReranker(reranker) {
+  currentReranker = reranker;
+}
+
+module.exports = {
+  createReranker,
+  getReranker,
+  setReranker,
+  RERANKER_NAMES
+};
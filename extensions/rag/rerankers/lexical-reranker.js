@@ -0,0 +1,40 @@
+/**
+ * Lexical Reranker - 語の一致によるローカルの再ランキング
+ *
+ * クエリのキーワードのうち、チャンクに含まれるものの割合をスコアにする
+ * 外部APIを使わないため、オフライン環境やLLMの呼び出しを増やしたくない場合に向く
+ *
+ * @module extensions/rag/rerankers/lexical-reranker
+ */
+
+const { extractKeywords } = require('../../../utilities/text-tokenizer');
+
+/**
+ * 語の一致による再ランキングクラス
+ */
+class LexicalReranker {
+  constructor() {
+    this.name = 'lexical';
+  }
+
+  /**
+   * 候補チャンクを採点する
+   * @param {string} query 検索クエリ
+   * @param {Array<Object>} candidates 候補チャンク ({content, metadata})
+   * @returns {Promise<Array<number>>} 候補と同じ順のスコア (0〜1)
+   */
+  async score(query, candidates) {
+    const keywords = extractKeywords(query);
+    if (keywords.length === 0) {
+      return candidates.map(() => 0);
+    }
+
+    return candidates.map(candidate => {
+      // 見出しに含まれる語も一致として数える
+      const terms = new Set(extractKeywords(`${candidate.metadata?.section || candidate.metadata?.title || ''}\n${candidate.content}`));
+      return keywords.filter(keyword => terms.has(keyword)).length / keywords.length;
+    });
+  }
+}
+
+module.exports = LexicalReranker;
@@ -0,0 +1,81 @@
+/**
+ * LLM Reranker - AIプロバイダーによる再ランキング
+ *
+ * 候補チャンクを番号付きで1つのプロンプトにまとめ、クエリへの答えにどれだけ役立つかを
+ * 0〜10 で採点させる（候補ごとに呼び出さないため、1回の検索でのAPI呼び出しは1回）
+ * 採点には設定中のAIプロバイダーの completeText を使う
+ *
+ * @module extensions/rag/rerankers/llm-reranker
+ */
+
+// 1候補あたりのプロンプトに入れる最大文字数
+const MAX_CANDIDATE_LENGTH = 500;
+
+const SCORING_SYSTEM_PROMPT = 'あなたは検索結果の関連度を評価する採点者です。'
+  + '質問と番号付きの資料を読み、各資料が質問に答えるのにどれだけ役立つかを採点してください。'
+  + '出力は採点結果のJSON配列のみとし、説明は書かないでください。';
+
+/**
+ * AIプロバイダーによる再ランキングクラス
+ */
+class LLMReranker {
+  /**
+   * @param {Object} options オプション
+   * @param {Function} options.generate ({systemPrompt, prompt, maxTokens, temperature}) を受け取りテキストを返す関数（未指定の場合は aiService.completeText）
+   */
+  constructor(options = {}) {
+    this.name = 'llm';
+    this.generate = options.generate || null;
+  }
+
+  /**
+   * 採点用のプロンプトを組み立てる
+   * @private
+   * @param {string} query 検索クエリ
+   * @param {Array<Object>} candidates 候補チャンク
+   * @returns {string} プロンプト
+   */
+  _buildPrompt(query, candidates) {
+    const documents = candidates.map((candidate, index) => {
+      const heading = candidate.metadata?.section || candidate.metadata?.title || '無題';
+      return `[${index + 1}] ${heading}\n${candidate.content.slice(0, MAX_CANDIDATE_LENGTH)}`;
+    });
+
+    return [
+      `【質問】\n${query}`,
+      `【資料】\n${documents.join('\n\n')}`,
+      `資料1〜${candidates.length}をそれぞれ0（無関係）〜10（質問に直接答えている）で採点し、`
+        + `[7, 0, 3] のように資料の番号順のJSON配列で答えてください。`
+    ].join('\n\n');
+  }
+
+  /**
+   * 候補チャンクを採点する
+   * @param {string} query 検索クエリ
+   * @param {Array<Object>} candidates 候補チャンク ({content, metadata})
+   * @returns {Promise<Array<number>>} 候補と同じ順のスコア (0〜1)
+   * @throws {Error} 採点結果を読み取れない場合
+   */
+  async score(query, candidates) {
+    const options = {
+      systemPrompt: SCORING_SYSTEM_PROMPT,
+      prompt: this._buildPrompt(query, candidates),
+      maxTokens: 20 + candidates.length * 4,
+      temperature: 0
+    };
+    // 起動時の循環読み込みを避けるため、使用時に読み込む
+    const text = this.generate
+      ? await this.generate(options)
+      : await require('../../../services/ai/ai-service').completeText(options);
+
+    const match = String(text || '').match(/\[[\d\s.,]*\]/);
+    const scores = match ? JSON.parse(match[0]) : null;
+    if (!Array.isArray(scores) || scores.length !== candidates.length) {
+      throw new Error(`Unexpected rerank response: ${String(text).slice(0, 100)}`);
+    }
+
+    return scores.map(value => Math.min(Math.max(Number(value) / 10, 0), 1));
+  }
+}
+
+module.exports = LLMReranker;
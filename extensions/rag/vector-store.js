@@ -1,24 +1,21 @@
 /**
  * ベクトルストア - Bocchy Bot RAGシステム用クライアント
  * 
- * Supabaseのpgvectorを活用したベクトルストア操作を管理するモジュール
+ * ナレッジベースとチャンクの埋め込みベクトルの保存・類似度検索を管理するモジュール
+ * 実際の保存先は RAG_VECTOR_STORE で選ばれたストア（vector-stores/）が担う
  * 
  * @module extensions/rag/vector-store
  */
 
 const logger = require('../../system/logger');
-// 既存のSupabaseクライアントを再利用
-const supabaseClient = require('../memory/supabase-client');
+const vectorStores = require('./vector-stores');
 
 /**
  * ベクトルストア設定情報
  * @private
  */
 const config = {
-  tables: {
-    knowledgeBase: process.env.SUPABASE_KNOWLEDGE_TABLE || 'knowledge_base',
-    knowledgeChunks: process.env.SUPABASE_CHUNKS_TABLE || 'knowledge_chunks'
-  },
+  tables: vectorStores.KNOWLEDGE_TABLES,
   // ベクトル検索設定
   search: {
     maxResults: parseInt(process.env.RAG_MAX_RESULTS || '5', 10),
@@ -26,6 +23,12 @@ const config = {
   }
 };
 
+/**
+ * チャンクの追加・削除のたびに増えるリビジョン（キーワードインデックスの更新判定用）
+ * @private
+ */
+let revision = 0;
+
 /**
  * 埋め込みベクトルを保存する
  * @param {string} chunkContent チャンクのテキスト内容
@@ -36,20 +39,14 @@ const config = {
  */
 async function storeEmbedding(chunkContent, embedding, knowledgeId, metadata = {}) {
   try {
-    const client = supabaseClient.getClient();
-    const { data, error } = await client
-      .from(config.tables.knowledgeChunks)
-      .insert({
-        knowledge_id: knowledgeId, 
-        content: chunkContent,
-        embedding,
-        metadata
-      })
-      .select('id')
-      .single();
-
-    if (error) throw error;
+    const data = await vectorStores.getVectorStore().insertChunk({
+      knowledge_id: knowledgeId, 
+      content: chunkContent,
+      embedding,
+      metadata
+    });
     
+    revision++;
     logger.debug(`Stored embedding for chunk with ID: ${data.id}`);
     return { success: true, id: data.id };
   } catch (error) {
@@ -67,19 +64,7 @@ async function storeEmbedding(chunkContent, embedding, knowledgeId, metadata = {
  */
 async function addKnowledge(title, content, metadata = {}) {
   try {
-    const client = supabaseClient.getClient();
-    const { data, error } = await client
-      .from(config.tables.knowledgeBase)
-      .insert({
-        title,
-        content,
-        metadata,
-        updated_at: new Date().toISOString()
-      })
-      .select('id')
-      .single();
-
-    if (error) throw error;
+    const data = await vectorStores.getVectorStore().insertKnowledge({ title, content, metadata });
     
     logger.info(`Added knowledge base entry with ID: ${data.id}`);
     return { success: true, id: data.id };
@@ -98,19 +83,10 @@ async function addKnowledge(title, content, metadata = {}) {
  */
 async function similaritySearch(queryEmbedding, limit = config.search.maxResults, threshold = config.search.similarityThreshold) {
   try {
-    const client = supabaseClient.getClient();
-    
-    // pgvectorを使用した類似度検索
-    const { data, error } = await client.rpc('match_chunks', { 
-      query_embedding: queryEmbedding,
-      match_threshold: threshold,
-      match_count: limit
-    });
-
-    if (error) throw error;
+    const data = await vectorStores.getVectorStore().matchChunks(queryEmbedding, { limit, threshold });
     
     // 結果が見つからない場合
-    if (!data || data.length === 0) {
+    if (data.length === 0) {
       logger.debug('No similar chunks found in vector store');
       return [];
     }
@@ -125,71 +101,91 @@ async function similaritySearch(queryEmbedding, limit = config.search.maxResults
   }
 }
 
+/**
+ * ナレッジベースのドキュメント一覧を更新日時の新しい順に取得する
+ * @param {Object} filter フィルター条件
+ * @param {string} filter.authorId 追加したユーザーのID (任意、metadata.authorId)
+ * @param {string} filter.source 取り込み元 (任意、metadata.source)
+ * @param {string} filter.participantId 会話に参加したユーザーのID (任意、metadata.authorIds に含まれる)
+ * @param {string} filter.messageId 取り込んだDiscordのメッセージのID (任意、metadata.messageIds に含まれる)
+ * @returns {Promise<Array<Object>>} ドキュメント一覧
+ */
+async function listKnowledge(filter = {}) {
+  return vectorStores.getVectorStore().listKnowledge(filter);
+}
+
+/**
+ * ナレッジベースのドキュメントを取得する
+ * @param {string} knowledgeId 知識ベースID
+ * @returns {Promise<Object|null>} ドキュメント、存在しない場合はnull
+ */
+async function getKnowledge(knowledgeId) {
+  return vectorStores.getVectorStore().getKnowledge(knowledgeId);
+}
+
+/**
+ * ナレッジベースのドキュメントとそのチャンクを削除する
+ * @param {string} knowledgeId 知識ベースID
+ * @returns {Promise<number>} 削除したチャンク数
+ */
+async function deleteKnowledge(knowledgeId) {
+  const deleted = await vectorStores.getVectorStore().deleteKnowledge(knowledgeId);
+  revision++;
+  return deleted;
+}
+
+/**
+ * ドキュメントのチャンクを取得する
+ * @param {string} knowledgeId 知識ベースID
+ * @returns {Promise<Array<Object>>} チャンクの配列 ({id, content, metadata})
+ */
+async function listChunks(knowledgeId) {
+  return vectorStores.getVectorStore().listChunks(knowledgeId);
+}
+
+/**
+ * チャンクの埋め込みベクトルを置き換える
+ * @param {string} chunkId チャンクID
+ * @param {Array<number>} embedding 埋め込みベクトル
+ * @returns {Promise<boolean>} 更新した場合はtrue
+ */
+async function updateChunkEmbedding(chunkId, embedding) {
+  return vectorStores.getVectorStore().updateChunk(chunkId, { embedding });
+}
+
+/**
+ * チャンクのリビジョンを取得する
+ * @returns {number} チャンクの追加・削除のたびに増える番号
+ */
+function getRevision() {
+  return revision;
+}
+
 /**
  * ベクトルストアの初期化とセットアップ
  * @returns {Promise<Object>} 初期化結果
  */
 async function initialize() {
   try {
-    // Supabaseクライアントが利用可能か確認
-    const client = supabaseClient.getClient();
-    logger.info('Vector store initialized with Supabase client');
-    
-    // ストアードプロシージャのセットアップチェック
-    await setupStoredProcedures();
+    const store = vectorStores.getVectorStore();
+    await store.initialize();
+    revision++;
+    logger.info(`Vector store initialized (${store.name})`);
     
-    return { status: 'initialized' };
+    return { status: 'initialized', store: store.name };
   } catch (error) {
     logger.error(`Failed to initialize vector store: ${error.message}`);
     throw error;
   }
 }
 
-/**
- * 必要なストアードプロシージャをセットアップする
- * @private
- */
-async function setupStoredProcedures() {
-  try {
-    const client = supabaseClient.getClient();
-    
-    // match_chunks関数の作成（存在しない場合のみ）
-    const { error } = await client.rpc('create_match_chunks_function', {});
-    
-    if (error) {
-      // 関数が既に存在する場合は無視
-      if (!error.message.includes('already exists')) {
-        throw error;
-      }
-    }
-    
-    logger.debug('Vector store stored procedures verified');
-  } catch (error) {
-    logger.warn(`Stored procedures setup incomplete: ${error.message}`);
-    logger.warn('You may need to manually create the match_chunks function');
-  }
-}
-
 /**
  * ベクトルストアのヘルスチェック
  * @returns {Promise<Object>} ヘルスステータス
  */
 async function checkHealth() {
   try {
-    const client = supabaseClient.getClient();
-    
-    // テーブル存在確認
-    const { data, error } = await client
-      .from(config.tables.knowledgeBase)
-      .select('id')
-      .limit(1);
-    
-    if (error) throw error;
-    
-    return {
-      status: 'healthy',
-      message: 'Vector store is operational'
-    };
+    return await vectorStores.getVectorStore().checkHealth();
   } catch (error) {
     return {
       status: 'unhealthy',
@@ -203,6 +199,12 @@ module.exports = {
   storeEmbedding,
   addKnowledge,
   similaritySearch,
+  listKnowledge,
+  getKnowledge,
+  deleteKnowledge,
+  listChunks,
+  updateChunkEmbedding,
+  getRevision,
   checkHealth,
   config
-};
\ No newline at end of file
+};
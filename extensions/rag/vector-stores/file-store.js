@@ -0,0 +1,87 @@
+/**
+ * File Vector Store - JSONファイルによるベクトルストア
+ *
+ * インメモリベクトルストアの内容をJSONファイルに書き出して永続化する
+ * pgvectorなしで再起動後もナレッジベースを保持できる
+ *
+ * @module extensions/rag/vector-stores/file-store
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MemoryVectorStore = require('./memory-store');
+const logger = require('../../../system/logger');
+
+/**
+ * ファイルベクトルストアクラス
+ */
+class FileVectorStore extends MemoryVectorStore {
+  /**
+   * @param {Object} options オプション
+   * @param {string} options.filePath 保存先のJSONファイル
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'file';
+    this.persistent = true;
+    this.filePath = options.filePath;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * 保存済みのデータを読み込む
+   * @returns {Promise<boolean>} 初期化成功の場合はtrue
+   */
+  async initialize() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      const saved = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      this.tables = {
+        knowledge: saved.knowledge || [],
+        chunks: saved.chunks || []
+      };
+    }
+
+    logger.info(`File vector store loaded: ${this.filePath} (${this.tables.chunks.length} chunks)`);
+    return true;
+  }
+
+  /**
+   * ヘルスチェック
+   * @returns {Promise<Object>} ステータス情報
+   */
+  async checkHealth() {
+    try {
+      await fs.promises.access(path.dirname(this.filePath), fs.constants.W_OK);
+      return {
+        status: 'healthy',
+        message: `File vector store is working (${this.filePath}, ${this.tables.chunks.length} chunks)`
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        message: `File vector store error: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * テーブルの内容をファイルに書き出す
+   * 一時ファイルに書いてから置き換えることで、書き込み途中の破損を防ぐ
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _persist() {
+    const snapshot = JSON.stringify(this.tables);
+    // 前回の書き込みが失敗していても、今回の書き込みは実行する
+    this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+    return this.writeQueue;
+  }
+}
+
+module.exports = FileVectorStore;
@@ -0,0 +1,94 @@
+/**
+ * Vector Stores - RAGシステムのベクトルストア
+ *
+ * RAG_VECTOR_STORE 設定に応じてナレッジベースとチャンクの保存先を切り替える
+ * - supabase: Supabase pgvector (デフォルト)
+ * - file: ローカルのJSONファイル（プロセス内でコサイン類似度検索）
+ * - memory: プロセス内のみ (再起動で消える)
+ *
+ * どのストアも insertKnowledge / insertChunk / matchChunks / listKnowledge / getKnowledge /
+ * deleteKnowledge / listChunks / updateChunk と initialize / checkHealth を実装する
+ *
+ * @module extensions/rag/vector-stores
+ */
+
+const path = require('path');
+const logger = require('../../../system/logger');
+
+// ローカル保存先のデフォルト（記憶システムと同じ data/ 配下）
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', '..', '..', 'data', 'knowledge.json');
+
+// 利用可能なストア名
+const STORE_NAMES = ['supabase', 'file', 'memory'];
+
+/**
+ * Supabaseのテーブル名
+ */
+const KNOWLEDGE_TABLES = {
+  knowledgeBase: process.env.SUPABASE_KNOWLEDGE_TABLE || 'knowledge_base',
+  knowledgeChunks: process.env.SUPABASE_CHUNKS_TABLE || 'knowledge_chunks'
+};
+
+/**
+ * 現在のストアインスタンス
+ * @private
+ */
+let currentStore = null;
+
+/**
+ * ベクトルストアを作成する
+ * @param {string} name ストア名
+ * @param {Object} options オプション
+ * @param {string} options.filePath file ストアの保存先
+ * @returns {Object} ストアインスタンス
+ */
+function createVectorStore(name = process.env.RAG_VECTOR_STORE || 'supabase', options = {}) {
+  const normalized = name.toLowerCase();
+  const storeName = STORE_NAMES.includes(normalized) ? normalized : 'supabase';
+  if (storeName !== normalized) {
+    logger.warn(`Unknown RAG_VECTOR_STORE "${name}", using supabase`);
+  }
+
+  switch (storeName) {
+    case 'file': {
+      const FileVectorStore = require('./file-store');
+      return new FileVectorStore({ filePath: options.filePath || process.env.RAG_VECTOR_STORE_PATH || DEFAULT_FILE_PATH });
+    }
+    case 'memory': {
+      const MemoryVectorStore = require('./memory-store');
+      return new MemoryVectorStore();
+    }
+    default: {
+      const SupabaseVectorStore = require('./supabase-store');
+      return new SupabaseVectorStore({ tables: KNOWLEDGE_TABLES });
+    }
+  }
+}
+
+/**
+ * 現在のストアを取得する（未作成の場合は設定に従って作成）
+ * @returns {Object} ストアインスタンス
+ */
+function getVectorStore() {
+  if (!currentStore) {
+    currentStore = createVectorStore();
+    logger.info(`Vector store selected: ${currentStore.name}`);
+  }
+  return currentStore;
+}
+
+/**
+ * 使用するストアを差し替える（テストや起動時の明示的な切り替え用）
+ * @param {Object|null} store ストアインスタンス（nullの場合は次回取得時に再作成）
+ */
+function setVectorStore(store) {
+  currentStore = store;
+}
+
+module.exports = {
+  createVectorStore,
+  getVectorStore,
+  setVectorStore,
+  STORE_NAMES,
+  KNOWLEDGE_TABLES
+};
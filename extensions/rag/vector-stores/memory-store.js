@@ -0,0 +1,186 @@
+/**
+ * Memory Vector Store - インメモリのベクトルストア
+ *
+ * ナレッジベースとチャンクをプロセス内に保持し、コサイン類似度で全件検索する（再起動で消える）
+ * テストやpgvectorを使わない小規模な環境向け。ファイルストアの基底にもなる
+ *
+ * @module extensions/rag/vector-stores/memory-store
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * 2つのベクトルのコサイン類似度を計算する
+ * @private
+ * @param {Array<number>} a ベクトル
+ * @param {Array<number>} b ベクトル
+ * @returns {number} コサイン類似度（次元数が異なる場合やゼロベクトルの場合は0）
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * インメモリベクトルストアクラス
+ * knowledge_base / knowledge_chunks の2テーブルを migrations/002_knowledge_tables と同じカラム構成で保持する
+ */
+class MemoryVectorStore {
+  constructor() {
+    this.name = 'memory';
+    this.persistent = false;
+    this.tables = { knowledge: [], chunks: [] };
+  }
+
+  /**
+   * 初期化処理
+   * @returns {Promise<boolean>} 初期化成功の場合はtrue
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * ヘルスチェック
+   * @returns {Promise<Object>} ステータス情報
+   */
+  async checkHealth() {
+    return {
+      status: 'healthy',
+      message: `${this.name} vector store is working (${this.tables.chunks.length} chunks)`
+    };
+  }
+
+  /**
+   * ナレッジベースにドキュメントを追加する
+   * @param {Object} row ドキュメント ({title, content, metadata})
+   * @returns {Promise<Object>} 追加されたドキュメント
+   */
+  async insertKnowledge(row) {
+    const now = new Date().toISOString();
+    const knowledge = { id: uuidv4(), metadata: {}, created_at: now, updated_at: now, ...row };
+    this.tables.knowledge.push(knowledge);
+    await this._persist();
+    return { ...knowledge };
+  }
+
+  /**
+   * チャンクと埋め込みベクトルを追加する
+   * @param {Object} row チャンク ({knowledge_id, content, embedding, metadata})
+   * @returns {Promise<Object>} 追加されたチャンク
+   */
+  async insertChunk(row) {
+    const chunk = { id: uuidv4(), metadata: {}, created_at: new Date().toISOString(), ...row };
+    this.tables.chunks.push(chunk);
+    await this._persist();
+    return { ...chunk };
+  }
+
+  /**
+   * 埋め込みベクトルが近いチャンクを類似度の高い順に取得する（match_chunks と同じ形式で返す）
+   * @param {Array<number>} embedding クエリの埋め込みベクトル
+   * @param {Object} options 検索オプション
+   * @param {number} options.limit 最大結果数
+   * @param {number} options.threshold 類似度閾値（これより大きいもののみ）
+   * @returns {Promise<Array<Object>>} 検索結果 ({id, content, knowledge_id, metadata, similarity})
+   */
+  async matchChunks(embedding, options = {}) {
+    return this.tables.chunks
+      .map(chunk => ({
+        id: chunk.id,
+        content: chunk.content,
+        knowledge_id: chunk.knowledge_id,
+        metadata: chunk.metadata,
+        similarity: cosineSimilarity(embedding, chunk.embedding)
+      }))
+      .filter(result => result.similarity > options.threshold)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, options.limit);
+  }
+
+  /**
+   * ドキュメントのチャンクを取得する
+   * @param {string} knowledgeId ドキュメントID
+   * @returns {Promise<Array<Object>>} チャンクの配列 ({id, content, metadata})
+   */
+  async listChunks(knowledgeId) {
+    return this.tables.chunks
+      .filter(row => row.knowledge_id === knowledgeId)
+      .map(row => ({ id: row.id, content: row.content, metadata: row.metadata }));
+  }
+
+  /**
+   * チャンクを更新する
+   * @param {string} id チャンクID
+   * @param {Object} changes 更新する値 ({embedding} など)
+   * @returns {Promise<boolean>} 更新した場合はtrue
+   */
+  async updateChunk(id, changes) {
+    const row = this.tables.chunks.find(item => item.id === id);
+    if (!row) return false;
+
+    Object.assign(row, changes);
+    await this._persist();
+    return true;
+  }
+
+  /**
+   * ドキュメントを更新日時の新しい順に取得する
+   * @param {Object} filter フィルター条件
+   * @param {string} filter.authorId 追加したユーザーのID (任意、metadata.authorId)
+   * @param {string} filter.source 取り込み元 (任意、metadata.source)
+   * @param {string} filter.participantId 会話に参加したユーザーのID (任意、metadata.authorIds に含まれる)
+   * @param {string} filter.messageId 取り込んだDiscordのメッセージのID (任意、metadata.messageIds に含まれる)
+   * @returns {Promise<Array<Object>>} ドキュメントの配列
+   */
+  async listKnowledge(filter = {}) {
+    return this.tables.knowledge
+      .filter(row => !filter.authorId || row.metadata?.authorId === filter.authorId)
+      .filter(row => !filter.participantId || (row.metadata?.authorIds || []).includes(filter.participantId))
+      .filter(row => !filter.source || row.metadata?.source === filter.source)
+      .filter(row => !filter.messageId || (row.metadata?.messageIds || []).includes(filter.messageId))
+      .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+      .map(row => ({ ...row }));
+  }
+
+  /**
+   * ドキュメントを取得する
+   * @param {string} id ドキュメントID
+   * @returns {Promise<Object|null>} ドキュメント、存在しない場合はnull
+   */
+  async getKnowledge(id) {
+    const row = this.tables.knowledge.find(item => item.id === id);
+    return row ? { ...row } : null;
+  }
+
+  /**
+   * ドキュメントとそのチャンクを削除する
+   * @param {string} id ドキュメントID
+   * @returns {Promise<number>} 削除したチャンク数
+   */
+  async deleteKnowledge(id) {
+    const before = this.tables.chunks.length;
+    this.tables.chunks = this.tables.chunks.filter(row => row.knowledge_id !== id);
+    this.tables.knowledge = this.tables.knowledge.filter(row => row.id !== id);
+    await this._persist();
+    return before - this.tables.chunks.length;
+  }
+
+  /**
+   * 永続化処理（インメモリでは何もしない）
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _persist() {}
+}
+
+module.exports = MemoryVectorStore;
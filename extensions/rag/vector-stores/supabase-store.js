@@ -0,0 +1,219 @@
+/**
+ * Supabase Vector Store - pgvectorによるベクトルストア
+ *
+ * Supabaseのテーブルに保存し、match_chunks 関数 (migrations/003) で類似度検索する
+ *
+ * @module extensions/rag/vector-stores/supabase-store
+ */
+
+// 既存のSupabaseクライアントを再利用
+const supabaseClient = require('../../memory/supabase-client');
+
+/**
+ * Supabaseベクトルストアクラス
+ */
+class SupabaseVectorStore {
+  /**
+   * @param {Object} options オプション
+   * @param {Object} options.tables テーブル名 ({knowledgeBase, knowledgeChunks})
+   */
+  constructor(options = {}) {
+    this.name = 'supabase';
+    this.persistent = true;
+    this.tables = options.tables;
+  }
+
+  /**
+   * 初期化処理（Supabaseクライアントが利用可能か確認する）
+   * テーブルと match_chunks 関数はマイグレーション (npm run migrate) で管理する
+   * @returns {Promise<boolean>} 初期化成功の場合はtrue
+   */
+  async initialize() {
+    supabaseClient.getClient();
+    return true;
+  }
+
+  /**
+   * ヘルスチェック（テーブルの存在を確認する）
+   * @returns {Promise<Object>} ステータス情報
+   */
+  async checkHealth() {
+    try {
+      const { error } = await supabaseClient.getClient()
+        .from(this.tables.knowledgeBase)
+        .select('id')
+        .limit(1);
+
+      if (error) throw error;
+
+      return {
+        status: 'healthy',
+        message: 'Vector store is operational'
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        message: `Vector store error: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * ナレッジベースにドキュメントを追加する
+   * @param {Object} row ドキュメント ({title, content, metadata})
+   * @returns {Promise<Object>} 追加されたドキュメント ({id})
+   */
+  async insertKnowledge(row) {
+    const { data, error } = await supabaseClient.getClient()
+      .from(this.tables.knowledgeBase)
+      .insert({ ...row, updated_at: new Date().toISOString() })
+      .select('id')
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * チャンクと埋め込みベクトルを追加する
+   * @param {Object} row チャンク ({knowledge_id, content, embedding, metadata})
+   * @returns {Promise<Object>} 追加されたチャンク ({id})
+   */
+  async insertChunk(row) {
+    const { data, error } = await supabaseClient.getClient()
+      .from(this.tables.knowledgeChunks)
+      .insert(row)
+      .select('id')
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * 埋め込みベクトルが近いチャンクを類似度の高い順に取得する
+   * @param {Array<number>} embedding クエリの埋め込みベクトル
+   * @param {Object} options 検索オプション ({limit, threshold})
+   * @returns {Promise<Array<Object>>} 検索結果 ({id, content, knowledge_id, metadata, similarity})
+   */
+  async matchChunks(embedding, options = {}) {
+    // pgvectorを使用した類似度検索
+    const { data, error } = await supabaseClient.getClient().rpc('match_chunks', {
+      query_embedding: embedding,
+      match_threshold: options.threshold,
+      match_count: options.limit
+    });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * ドキュメントのチャンクを取得する
+   * @param {string} knowledgeId ドキュメントID
+   * @returns {Promise<Array<Object>>} チャンクの配列 ({id, content, metadata})
+   */
+  async listChunks(knowledgeId) {
+    const { data, error } = await supabaseClient.getClient()
+      .from(this.tables.knowledgeChunks)
+      .select('id, content, metadata')
+      .eq('knowledge_id', knowledgeId);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * チャンクを更新する
+   * @param {string} id チャンクID
+   * @param {Object} changes 更新する値 ({embedding} など)
+   * @returns {Promise<boolean>} 更新した場合はtrue
+   */
+  async updateChunk(id, changes) {
+    const { data, error } = await supabaseClient.getClient()
+      .from(this.tables.knowledgeChunks)
+      .update(changes)
+      .eq('id', id)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  /**
+   * ドキュメントを更新日時の新しい順に取得する
+   * @param {Object} filter フィルター条件
+   * @param {string} filter.authorId 追加したユーザーのID (任意、metadata.authorId)
+   * @param {string} filter.source 取り込み元 (任意、metadata.source)
+   * @param {string} filter.participantId 会話に参加したユーザーのID (任意、metadata.authorIds に含まれる)
+   * @param {string} filter.messageId 取り込んだDiscordのメッセージのID (任意、metadata.messageIds に含まれる)
+   * @returns {Promise<Array<Object>>} ドキュメントの配列
+   */
+  async listKnowledge(filter = {}) {
+    let query = supabaseClient.getClient()
+      .from(this.tables.knowledgeBase)
+      .select('*');
+
+    if (filter.authorId) {
+      query = query.contains('metadata', { authorId: filter.authorId });
+    }
+    if (filter.source) {
+      query = query.contains('metadata', { source: filter.source });
+    }
+    if (filter.participantId) {
+      query = query.contains('metadata', { authorIds: [filter.participantId] });
+    }
+    if (filter.messageId) {
+      query = query.contains('metadata', { messageIds: [filter.messageId] });
+    }
+
+    const { data, error } = await query.order('updated_at', { ascending: false });
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * ドキュメントを取得する
+   * @param {string} id ドキュメントID
+   * @returns {Promise<Object|null>} ドキュメント、存在しない場合はnull
+   */
+  async getKnowledge(id) {
+    const { data, error } = await supabaseClient.getClient()
+      .from(this.tables.knowledgeBase)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data || null;
+  }
+
+  /**
+   * ドキュメントとそのチャンクを削除する
+   * @param {string} id ドキュメントID
+   * @returns {Promise<number>} 削除したチャンク数
+   */
+  async deleteKnowledge(id) {
+    const client = supabaseClient.getClient();
+
+    // まず関連するチャンクを削除
+    const { data: chunks, error: chunksError } = await client
+      .from(this.tables.knowledgeChunks)
+      .delete()
+      .eq('knowledge_id', id)
+      .select('id');
+
+    if (chunksError) throw chunksError;
+
+    // 次にドキュメント自体を削除
+    const { error: docError } = await client
+      .from(this.tables.knowledgeBase)
+      .delete()
+      .eq('id', id);
+
+    if (docError) throw docError;
+    return (chunks || []).length;
+  }
+}
+
+module.exports = SupabaseVectorStore;
@@ -1,76 +1,98 @@
 /*
  * 検索結果処理モジュール
- * Google Custom Search APIの検索結果をAI向けに処理・最適化する
+ * 検索プロバイダーの結果を共通の検索結果にまとめ、AI向け・Discord向けに整形する
+ *
+ * 検索結果（search-service.performSearch が返す形式）:
+ *   success       - 検索できたかどうか（0件でも true）
+ *   query         - ユーザーの検索クエリ
+ *   optimizedQuery - 検索プロバイダーに送ったクエリ（search-analyzer で最適化したもの）
+ *   queryType     - クエリのタイプ（search-analyzer の QUERY_TYPES）
+ *   provider / providerLabel - 検索したプロバイダーの名前と表示名
+ *   results       - [{index, title, url, description, hostname, passages?}]
+ *   summary       - 結果の要約テキスト
+ *   sourcesList   - 出典リスト（Markdown）
+ *   totalResults  - 検索エンジン上の総件数
+ *   timestamp     - 検索した日時
+ *   error / errorType / statusCode - 失敗した場合のみ
  */
 const logger = require('../system/logger');
 const { QUERY_TYPES } = require('./search-analyzer');
-const dateHandler = require('./date-handler');
 
 /**
- * 検索結果を処理する
- * @param {Object} searchResults - Google Custom Search APIの結果
- * @param {Object} searchParams - 検索パラメータ
- * @returns {Object} 処理済み検索結果
+ * 検索プロバイダーの結果を共通の検索結果にまとめる
+ * @param {Object} providerResult - 検索プロバイダーの結果 ({provider, providerLabel, items, totalResults})
+ * @param {Object} analysis - search-analyzer の分析結果 ({originalQuery, optimizedQuery, queryType})
+ * @returns {Object} 検索結果
  */
-function processResults(searchResults, searchParams) {
-  if (!searchResults || !searchResults.web || !searchResults.web.results) {
-    logger.error('検索結果が無効または空です');
-    return {
-      success: false,
-      error: '検索結果が見つかりませんでした',
-      results: [],
-      summary: '検索結果はありません',
-      sources: []
-    };
-  }
+function processResults(providerResult, analysis) {
+  const items = Array.isArray(providerResult?.items) ? providerResult.items : [];
+  const results = items.map((item, index) => ({
+    index: index + 1,
+    title: item.title,
+    url: item.url,
+    description: item.description,
+    hostname: item.hostname
+  }));
 
-  logger.debug(`検索結果の処理を開始: ${searchResults.web.results.length}件の結果`);
-  
-  try {
-    // 結果の基本情報
-    const totalCount = searchResults.web.totalCount || 0;
-    const queryType = searchParams.queryType || QUERY_TYPES.GENERAL;
-    
-    // 日付関連のクエリかどうかを判定
-    const isDateRelated = dateHandler.isDateRelatedQuery(searchParams.originalQuery);
-    const dateInfo = isDateRelated ? dateHandler.formatDateForAI(dateHandler.getCurrentJapanTime()) : null;
-    
-    // 結果のフィルタリングとフォーマット
-    const results = filterAndFormatResults(searchResults.web.results, queryType, dateInfo);
-    
-    // 結果のソース情報を抽出
-    const sources = extractSources(results);
-    
-    // クエリタイプと検索結果に基づいて要約を生成
-    const summary = generateSummary(results, queryType, searchParams.originalQuery, dateInfo);
-    
-    // メタ情報の抽出
-    const meta = extractMetaInfo(searchResults);
-    
-    return {
-      success: true,
-      results,
-      summary,
-      sources,
-      meta,
-      totalCount,
-      dateInfo
-    };
-  } catch (error) {
-    logger.error(`検索結果の処理中にエラーが発生: ${error.message}`);
-    return {
-      success: false,
-      error: `検索結果の処理中にエラーが発生: ${error.message}`,
-      results: [],
-      summary: '検索結果の処理中にエラーが発生しました',
-      sources: []
-    };
-  }
+  // 検索結果から要約テキストを構築
+  const summary = results.length > 0
+    ? results.map(result => `【${result.index}】${result.title}\n${result.description}`).join('\n\n')
+    : '検索結果はありませんでした。別のキーワードで試してみてください。';
+
+  // 出典リスト生成（マークダウン形式）
+  const sourcesList = results.map(result =>
+    `${result.index}. [${result.title}](${result.url}) - ${result.hostname}`
+  ).join('\n');
+
+  logger.debug(`検索結果を処理: ${results.length}件 (${providerResult?.provider || '不明なプロバイダー'})`);
+
+  return {
+    success: true,
+    query: analysis.originalQuery,
+    optimizedQuery: analysis.optimizedQuery,
+    queryType: analysis.queryType,
+    provider: providerResult?.provider || null,
+    providerLabel: providerResult?.providerLabel || null,
+    results,
+    summary,
+    sourcesList,
+    totalResults: providerResult?.totalResults || results.length,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * 検索に失敗したときの検索結果を作成する
+ * @param {string} query - 検索クエリ
+ * @param {Object} details - 失敗の詳細
+ * @param {string} details.error - ユーザー向けのエラーメッセージ
+ * @param {string} [details.errorType] - エラーの種類（RATE_LIMITED など）
+ * @param {number|null} [details.statusCode] - HTTPステータスコード
+ * @param {string} [details.summary] - 要約として表示するテキスト
+ * @returns {Object} 検索結果
+ */
+function createErrorResult(query, { error, errorType = 'UNKNOWN_ERROR', statusCode = null, summary } = {}) {
+  return {
+    success: false,
+    query,
+    optimizedQuery: query,
+    queryType: QUERY_TYPES.GENERAL,
+    provider: null,
+    providerLabel: null,
+    results: [],
+    summary: summary || `検索エラー: ${error}`,
+    sourcesList: '',
+    totalResults: 0,
+    timestamp: new Date().toISOString(),
+    error,
+    errorType,
+    statusCode
+  };
 }
 
 /**
  * 検索結果をAI用に整形する
- * @param {Array} results - 検索結果の配列
+ * @param {Array} results - 検索結果の results
  * @param {string} queryType - 検索クエリのタイプ
  * @param {Object} dateInfo - 日付情報（オプション）
  * @returns {string} AI用に整形された検索結果
@@ -80,13 +102,6 @@ function formatSearchResultForAI(results, queryType, dateInfo = null) {
   if (!results || !Array.isArray(results) || results.length === 0) {
     return '検索結果が見つかりませんでした。';
   }
-  // 万が一配列やオブジェクトが渡された場合は明示的に文字列化
-  if (typeof results === 'object' && !Array.isArray(results)) {
-    results = [results];
-  }
-  if (!Array.isArray(results)) {
-    return String(results);
-  }
 
   // 日付関連のクエリの場合、現在の日付情報を追加
   let context = '';
@@ -94,7 +109,7 @@ function formatSearchResultForAI(results, queryType, dateInfo = null) {
     context = `[現在の日本時間: ${dateInfo.year}年${dateInfo.month}月${dateInfo.day}日(${dateInfo.weekday}) ${dateInfo.hour}時${dateInfo.minute}分]\n\n`;
   }
 
-  // クエリタイプに応じた結果の整形
+  // 結果の整形
   let formattedContent = context;
   const limitedResults = results.slice(0, 5); // 結果数を制限
 
@@ -103,122 +118,44 @@ function formatSearchResultForAI(results, queryType, dateInfo = null) {
     const title = result.title || '';
     const url = result.url || '';
     const description = result.description || '';
-    let hostname = '';
-    try {
-      hostname = url ? new URL(url).hostname : '';
-    } catch (e) {
-      hostname = '';
+    let hostname = result.hostname || '';
+    if (!hostname) {
+      try {
+        hostname = url ? new URL(url).hostname : '';
+      } catch (e) {
+        hostname = '';
+      }
     }
-    return `【情報源${index + 1}】\nタイトル: ${title}\n内容: ${description}\n出典: ${hostname}\nURL: ${url}`;
+    // ページの本文を取得できた場合は、質問に関係する部分の抜粋も添える
+    const passages = Array.isArray(result.passages) && result.passages.length > 0
+      ? `\n本文の抜粋:\n${result.passages.join('\n…\n')}`
+      : '';
+    return `【情報源${index + 1}】\nタイトル: ${title}\n内容: ${description}${passages}\n出典: ${hostname}\nURL: ${url}`;
   }).join('\n\n');
 
   return formattedContent;
 }
 
 /**
- * 検索結果をフィルタリングしてフォーマットする
- * @param {Array} results - 検索結果の配列
- * @param {string} queryType - クエリタイプ
- * @param {Object} dateInfo - 日付情報（オプション）
- * @returns {Array} フィルタリング・フォーマットされた結果
+ * 検索結果をDiscordに送るテキストに整形する
+ * @param {Object} searchResult - 検索結果
+ * @returns {string} 整形されたテキスト（要約がない場合は空文字）
  */
-function filterAndFormatResults(results, queryType, dateInfo = null) {
-  return results.map(result => {
-    // 説明文が長すぎる場合は切り詰める
-    if (result.description && result.description.length > 500) {
-      result.description = result.description.substring(0, 497) + '...';
-    }
-    
-    // 日付情報がある場合は、結果に追加
-    if (dateInfo) {
-      result.dateInfo = dateInfo;
-    }
-    
-    return result;
-  });
-}
-
-/**
- * 検索結果からソース情報を抽出する
- * @param {Array} results - 検索結果の配列
- * @returns {Array} ソース情報の配列
- */
-function extractSources(results) {
-  return results.map((result, index) => ({
-    index: index + 1,
-    title: result.title,
-    url: result.url,
-    description: result.description,
-    hostname: result.source?.name || new URL(result.url).hostname
-  }));
-}
-
-/**
- * 検索結果の要約を生成する
- * @param {Array} results - 検索結果の配列
- * @param {string} queryType - クエリタイプ
- * @param {string} originalQuery - 元の検索クエリ
- * @param {Object} dateInfo - 日付情報（オプション）
- * @returns {string} 生成された要約
- */
-function generateSummary(results, queryType, originalQuery, dateInfo = null) {
-  let summary = '';
-  
-  // 日付情報がある場合は要約に追加
-  if (dateInfo) {
-    summary += `現在の日本時間: ${dateInfo.year}年${dateInfo.month}月${dateInfo.day}日(${dateInfo.weekday}) ${dateInfo.hour}時${dateInfo.minute}分\n\n`;
-  }
-  
-  // クエリタイプに応じた要約を生成
-  switch (queryType) {
-    case QUERY_TYPES.FACT:
-      summary += `「${originalQuery}」に関する事実情報:\n`;
-      break;
-    case QUERY_TYPES.COMPARISON:
-      summary += `「${originalQuery}」の比較情報:\n`;
-      break;
-    case QUERY_TYPES.HOWTO:
-      summary += `「${originalQuery}」の手順や方法:\n`;
-      break;
-    case QUERY_TYPES.DEFINITION:
-      summary += `「${originalQuery}」の定義や説明:\n`;
-      break;
-    case QUERY_TYPES.RECENT:
-      summary += `「${originalQuery}」の最新情報:\n`;
-      break;
-    default:
-      summary += `「${originalQuery}」の検索結果:\n`;
+function formatSearchResultForDiscord(searchResult) {
+  if (!searchResult || !searchResult.summary) {
+    return '';
   }
-  
-  // 上位3件の結果を要約に追加
-  results.slice(0, 3).forEach((result, index) => {
-    summary += `${index + 1}. ${result.title}\n`;
-    summary += `   ${result.description}\n`;
-    summary += `   出典: ${new URL(result.url).hostname}\n`;
-    summary += `   URL: ${result.url}\n\n`; // URLを明示的に表示
-  });
-  
-  return summary;
-}
 
-/**
- * 検索結果からメタ情報を抽出する
- * @param {Object} searchResults - 検索結果オブジェクト
- * @returns {Object} 抽出されたメタ情報
- */
-function extractMetaInfo(searchResults) {
-  return {
-    totalResults: searchResults.web?.totalCount || 0,
-    query: searchResults.query || '',
-    timestamp: new Date().toISOString()
-  };
+  let text = `🔍 **「${searchResult.query}」の検索結果**\n\n${searchResult.summary}`;
+  if (searchResult.sourcesList) {
+    text += `\n\n**情報源**:\n${searchResult.sourcesList}`;
+  }
+  return text;
 }
 
 module.exports = {
   processResults,
+  createErrorResult,
   formatSearchResultForAI,
-  filterAndFormatResults,
-  extractSources,
-  generateSummary,
-  extractMetaInfo
-}; 
\ No newline at end of file
+  formatSearchResultForDiscord
+};
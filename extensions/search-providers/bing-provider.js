@@ -0,0 +1,63 @@
+/**
+ * Bing Provider - Bing Web Search API による検索
+ *
+ * BING_API_KEY が必要。呼び出し回数の上限に達すると 429、または 403 (OutOfCallVolume) が返る
+ *
+ * @module extensions/search-providers/bing-provider
+ */
+
+const axios = require('axios');
+const SearchProvider = require('./search-provider');
+
+const DEFAULT_BING_ENDPOINT = 'https://api.bing.microsoft.com/v7.0/search';
+
+/**
+ * Bing Web Search プロバイダークラス
+ */
+class BingProvider extends SearchProvider {
+  /**
+   * @param {Object} options オプション
+   * @param {string} [options.apiKey] APIキー
+   * @param {string} [options.endpoint] エンドポイント
+   * @param {number} [options.timeout] タイムアウト（ミリ秒）
+   */
+  constructor(options = {}) {
+    super({ name: 'bing', label: 'Bing Web Search API', timeout: options.timeout });
+    this.apiKey = options.apiKey ?? process.env.BING_API_KEY ?? '';
+    this.endpoint = options.endpoint || process.env.BING_SEARCH_ENDPOINT || DEFAULT_BING_ENDPOINT;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  isRateLimitResponse(response) {
+    if (response.status === 429) return true;
+    return response.status === 403 && /OutOfCallVolume|quota/i.test(JSON.stringify(response.data || ''));
+  }
+
+  async fetchResults(query, options) {
+    const language = options.language.replace(/^lang_/, '');
+    const response = await axios.get(this.endpoint, {
+      params: {
+        q: query,
+        count: Math.min(options.count, 50),
+        mkt: `${language}-${options.country.toUpperCase()}`,
+        responseFilter: 'Webpages'
+      },
+      headers: { 'Ocp-Apim-Subscription-Key': this.apiKey },
+      timeout: options.timeout
+    });
+
+    return {
+      items: (response.data?.webPages?.value || []).map(page => ({
+        title: page.name,
+        url: page.url,
+        description: page.snippet
+      })),
+      totalResults: response.data?.webPages?.totalEstimatedMatches
+    };
+  }
+}
+
+module.exports = BingProvider;
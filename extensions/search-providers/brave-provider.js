@@ -0,0 +1,84 @@
+/**
+ * Brave Provider - Brave Search API による検索
+ *
+ * BRAVE_API_KEY が必要。レスポンスの X-RateLimit-* ヘッダーから月間の残り回数を記録する
+ *
+ * @module extensions/search-providers/brave-provider
+ */
+
+const axios = require('axios');
+const SearchProvider = require('./search-provider');
+
+const BRAVE_SEARCH_API_URL = 'https://api.search.brave.com/res/v1/web/search';
+
+/**
+ * 「秒あたり, 月あたり」の形式のヘッダーから月あたりの値を取り出す
+ * @private
+ * @param {string|undefined} value ヘッダーの値
+ * @returns {number|null} 月あたりの値
+ */
+function monthlyValue(value) {
+  if (value === undefined || value === null) return null;
+  const parts = String(value).split(',').map(part => parseInt(part.trim(), 10));
+  const monthly = parts[parts.length - 1];
+  return Number.isFinite(monthly) ? monthly : null;
+}
+
+/**
+ * Brave Search プロバイダークラス
+ */
+class BraveProvider extends SearchProvider {
+  /**
+   * @param {Object} options オプション
+   * @param {string} [options.apiKey] APIキー
+   * @param {number} [options.timeout] タイムアウト（ミリ秒）
+   */
+  constructor(options = {}) {
+    super({ name: 'brave', label: 'Brave Search API', timeout: options.timeout });
+    this.apiKey = options.apiKey ?? process.env.BRAVE_API_KEY ?? '';
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async fetchResults(query, options) {
+    const language = options.language.replace(/^lang_/, '');
+    const response = await axios.get(BRAVE_SEARCH_API_URL, {
+      params: {
+        q: query,
+        // 1回のリクエストで取得できるのは20件まで
+        count: Math.min(options.count, 20),
+        // Brave は日本語を jp で指定する
+        search_lang: language === 'ja' ? 'jp' : language,
+        country: options.country.toUpperCase()
+      },
+      headers: {
+        Accept: 'application/json',
+        'X-Subscription-Token': this.apiKey
+      },
+      timeout: options.timeout
+    });
+
+    return {
+      items: (response.data?.web?.results || []).map(result => ({
+        title: result.title,
+        url: result.url,
+        description: result.description
+      })),
+      headers: response.headers
+    };
+  }
+
+  updateQuota(headers) {
+    super.updateQuota(headers);
+    const limit = monthlyValue(headers['x-ratelimit-limit']);
+    const remaining = monthlyValue(headers['x-ratelimit-remaining']);
+    const reset = monthlyValue(headers['x-ratelimit-reset']);
+    if (limit !== null) this.quota.limit = limit;
+    if (remaining !== null) this.quota.remaining = remaining;
+    if (reset !== null) this.quota.resetAt = new Date(Date.now() + reset * 1000).toISOString();
+  }
+}
+
+module.exports = BraveProvider;
@@ -0,0 +1,56 @@
+/**
+ * Fake Provider - フィクスチャを返す検索プロバイダー
+ *
+ * テストや、APIキーのない開発環境で検索まわりの動作を確かめるためのプロバイダー
+ * フィクスチャはクエリをキーにした JSON で、`*` はどのクエリにも一致しないときの結果になる
+ *
+ *   { "東京タワー": { "items": [{ "title": "...", "url": "...", "description": "..." }], "totalResults": 120 },
+ *     "制限": { "error": "RATE_LIMITED" },
+ *     "*": { "items": [] } }
+ *
+ * error を指定したクエリでは、その種類の SearchProviderError を投げる
+ *
+ * @module extensions/search-providers/fake-provider
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SearchProvider = require('./search-provider');
+const { SearchProviderError } = SearchProvider;
+
+// デフォルトのフィクスチャ
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, 'fixtures', 'search-results.json');
+
+/**
+ * フィクスチャを返すプロバイダークラス
+ */
+class FakeProvider extends SearchProvider {
+  /**
+   * @param {Object} options オプション
+   * @param {string} [options.name] プロバイダー名（フォールバックの確認用に複数作る場合）
+   * @param {Object} [options.fixtures] フィクスチャ
+   * @param {string} [options.fixturesPath] フィクスチャのJSONファイル
+   */
+  constructor(options = {}) {
+    super({ name: options.name || 'fake', label: options.label || 'Fake Search' });
+    this.fixtures = options.fixtures ||
+      JSON.parse(fs.readFileSync(options.fixturesPath || process.env.SEARCH_FAKE_FIXTURES || DEFAULT_FIXTURES_PATH, 'utf8'));
+    this.queries = [];
+  }
+
+  async fetchResults(query) {
+    this.queries.push(query);
+    const fixture = this.fixtures[query] || this.fixtures['*'] || { items: [] };
+    if (fixture.error) {
+      throw new SearchProviderError(`${this.label}: ${fixture.error}`, {
+        type: fixture.error,
+        provider: this.name,
+        statusCode: fixture.statusCode || null,
+        retryAfter: fixture.retryAfter || null
+      });
+    }
+    return { items: fixture.items || [], totalResults: fixture.totalResults };
+  }
+}
+
+module.exports = FakeProvider;
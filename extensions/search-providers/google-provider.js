@@ -0,0 +1,69 @@
+/**
+ * Google Provider - Google Custom Search API による検索
+ *
+ * GOOGLE_API_KEY と GOOGLE_CSE_ID が必要（無料枠は1日100クエリ）
+ * クォータ切れは 429 のほか、reason が rateLimitExceeded / dailyLimitExceeded などの 403 で返る
+ *
+ * @module extensions/search-providers/google-provider
+ */
+
+const axios = require('axios');
+const SearchProvider = require('./search-provider');
+
+const GOOGLE_SEARCH_API_URL = 'https://www.googleapis.com/customsearch/v1';
+
+// 利用制限を表す 403 の reason
+const QUOTA_REASONS = /rateLimitExceeded|dailyLimitExceeded|userRateLimitExceeded|quotaExceeded/;
+
+/**
+ * Google Custom Search プロバイダークラス
+ */
+class GoogleProvider extends SearchProvider {
+  /**
+   * @param {Object} options オプション
+   * @param {string} [options.apiKey] APIキー
+   * @param {string} [options.cseId] 検索エンジンID
+   * @param {number} [options.timeout] タイムアウト（ミリ秒）
+   */
+  constructor(options = {}) {
+    super({ name: 'google', label: 'Google Custom Search API', timeout: options.timeout });
+    this.apiKey = options.apiKey ?? process.env.GOOGLE_API_KEY ?? '';
+    this.cseId = options.cseId ?? process.env.GOOGLE_CSE_ID ?? '';
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey && this.cseId);
+  }
+
+  isRateLimitResponse(response) {
+    if (response.status === 429) return true;
+    const errors = response.data?.error?.errors || [];
+    return response.status === 403 && errors.some(error => QUOTA_REASONS.test(error.reason || ''));
+  }
+
+  async fetchResults(query, options) {
+    const response = await axios.get(GOOGLE_SEARCH_API_URL, {
+      params: {
+        key: this.apiKey,
+        cx: this.cseId,
+        q: query,
+        // 1回のリクエストで取得できるのは10件まで
+        num: Math.min(options.count, 10),
+        lr: options.language.startsWith('lang_') ? options.language : `lang_${options.language}`,
+        gl: options.country
+      },
+      timeout: options.timeout
+    });
+
+    return {
+      items: (response.data?.items || []).map(item => ({
+        title: item.title,
+        url: item.link,
+        description: item.snippet
+      })),
+      totalResults: parseInt(response.data?.searchInformation?.totalResults || '0', 10)
+    };
+  }
+}
+
+module.exports = GoogleProvider;
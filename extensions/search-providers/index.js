@@ -0,0 +1,197 @@
+/**
+ * Search Providers - Web検索のプロバイダー
+ *
+ * SEARCH_PROVIDERS 設定（カンマ区切り）の順に、設定のそろっているプロバイダーで検索する
+ * - google: Google Custom Search API (デフォルト)
+ * - searxng: セルフホストの SearXNG
+ * - brave: Brave Search API
+ * - bing: Bing Web Search API
+ * - fake: フィクスチャを返す（テスト・開発用）
+ *
+ * どのプロバイダーも name / label と isConfigured / search / checkHealth / getQuotaInfo を実装する
+ * 先頭のプロバイダーが失敗したら次のプロバイダーで検索し、利用制限 (RATE_LIMITED) に達したプロバイダーは
+ * Retry-After（なければ SEARCH_RATE_LIMIT_COOLDOWN_MINUTES）の間は使わない
+ *
+ * @module extensions/search-providers
+ */
+
+const logger = require('../../system/logger');
+const { SearchProviderError } = require('./search-provider');
+
+// 利用可能なプロバイダー名
+const SEARCH_PROVIDER_NAMES = ['google', 'searxng', 'brave', 'bing', 'fake'];
+
+/**
+ * 現在のプロバイダーの一覧（優先順、nullの場合は未作成）
+ * @private
+ */
+let currentProviders = null;
+
+/**
+ * 利用制限に達したプロバイダーを再び使うまでの時刻（プロバイダー名 → ミリ秒）
+ * @private
+ */
+const cooldowns = new Map();
+
+/**
+ * 検索プロバイダーを作成する
+ * @param {string} name プロバイダー名
+ * @param {Object} options プロバイダーごとのオプション
+ * @returns {Object|null} プロバイダーインスタンス（不明な名前の場合はnull）
+ */
+function createSearchProvider(name, options = {}) {
+  const normalized = String(name).trim().toLowerCase();
+  switch (normalized) {
+    case 'google': {
+      const GoogleProvider = require('./google-provider');
+      return new GoogleProvider(options);
+    }
+    case 'searxng': {
+      const SearXNGProvider = require('./searxng-provider');
+      return new SearXNGProvider(options);
+    }
+    case 'brave': {
+      const BraveProvider = require('./brave-provider');
+      return new BraveProvider(options);
+    }
+    case 'bing': {
+      const BingProvider = require('./bing-provider');
+      return new BingProvider(options);
+    }
+    case 'fake': {
+      const FakeProvider = require('./fake-provider');
+      return new FakeProvider(options);
+    }
+    default:
+      logger.warn(`Unknown search provider "${name}" in SEARCH_PROVIDERS, skipped`);
+      return null;
+  }
+}
+
+/**
+ * 現在のプロバイダーの一覧を取得する（未作成の場合は設定に従って作成）
+ * APIキーなどの設定がそろっていないプロバイダーは含めない
+ * @returns {Array<Object>} プロバイダーインスタンス（優先順）
+ */
+function getSearchProviders() {
+  if (!currentProviders) {
+    const names = (process.env.SEARCH_PROVIDERS || 'google').split(',').filter(name => name.trim());
+    currentProviders = names
+      .map(name => createSearchProvider(name))
+      .filter(provider => {
+        if (provider && !provider.isConfigured()) {
+          logger.debug(`Search provider ${provider.name} is not configured, skipped`);
+          return false;
+        }
+        return Boolean(provider);
+      });
+    logger.info(`Search providers selected: ${currentProviders.map(provider => provider.name).join(' > ') || 'none'}`);
+  }
+  return currentProviders;
+}
+
+/**
+ * 使用するプロバイダーを差し替える（テストや起動時の明示的な切り替え用）
+ * @param {Array<Object>|null} providers プロバイダーインスタンス（優先順、nullの場合は次回取得時に再作成）
+ */
+function setSearchProviders(providers) {
+  currentProviders = providers;
+  cooldowns.clear();
+}
+
+/**
+ * 検索に使えるプロバイダーがあるかを返す
+ * @returns {boolean} 1つ以上ある場合はtrue
+ */
+function isAvailable() {
+  return getSearchProviders().length > 0;
+}
+
+/**
+ * 利用制限で休止中かどうかを判定する
+ * @private
+ * @param {Object} provider プロバイダー
+ * @returns {boolean} 休止中の場合はtrue
+ */
+function isCoolingDown(provider) {
+  const until = cooldowns.get(provider.name);
+  if (until === undefined) return false;
+  if (Date.now() >= until) {
+    cooldowns.delete(provider.name);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 優先順にプロバイダーを試して検索する
+ * @param {string} query 検索クエリ
+ * @param {Object} [options] 検索オプション（count / language / country / timeout）
+ * @returns {Promise<{provider: string, providerLabel: string, items: Array<Object>, totalResults: number}>} 検索結果
+ * @throws {SearchProviderError} どのプロバイダーでも検索できなかった場合（最後のエラー）
+ */
+async function search(query, options = {}) {
+  const providers = getSearchProviders();
+  if (providers.length === 0) {
+    throw new SearchProviderError('検索プロバイダーが設定されていません', { type: 'NOT_CONFIGURED' });
+  }
+
+  let lastError = null;
+  for (const provider of providers) {
+    if (isCoolingDown(provider)) {
+      logger.debug(`Search provider ${provider.name} is rate limited, skipped`);
+      lastError = lastError || new SearchProviderError(`${provider.label} の利用制限に達しています`, {
+        type: 'RATE_LIMITED',
+        provider: provider.name
+      });
+      continue;
+    }
+
+    try {
+      return await provider.search(query, options);
+    } catch (error) {
+      lastError = error;
+      if (error.type === 'RATE_LIMITED') {
+        const cooldownMinutes = parseFloat(process.env.SEARCH_RATE_LIMIT_COOLDOWN_MINUTES || '60');
+        const cooldownMs = error.retryAfter ? error.retryAfter * 1000 : cooldownMinutes * 60 * 1000;
+        cooldowns.set(provider.name, Date.now() + cooldownMs);
+        logger.warn(`Search provider ${provider.name} hit its rate limit, falling back for ${Math.round(cooldownMs / 1000)}s`);
+      } else {
+        logger.warn(`Search provider ${provider.name} failed (${error.type || 'UNKNOWN_ERROR'}): ${error.message}`);
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * すべてのプロバイダーのヘルスチェックを実行する
+ * @returns {Promise<Array<Object>>} プロバイダーごとの {provider, status, message}
+ */
+async function checkHealth() {
+  return Promise.all(getSearchProviders().map(provider => provider.checkHealth()));
+}
+
+/**
+ * すべてのプロバイダーの利用状況を返す
+ * @returns {Array<Object>} プロバイダーごとの利用状況（休止中は rateLimitedUntil を含む）
+ */
+function getQuotaInfo() {
+  return getSearchProviders().map(provider => {
+    const until = isCoolingDown(provider) ? new Date(cooldowns.get(provider.name)).toISOString() : null;
+    return { ...provider.getQuotaInfo(), rateLimitedUntil: until };
+  });
+}
+
+module.exports = {
+  createSearchProvider,
+  getSearchProviders,
+  setSearchProviders,
+  isAvailable,
+  search,
+  checkHealth,
+  getQuotaInfo,
+  SearchProviderError,
+  SEARCH_PROVIDER_NAMES
+};
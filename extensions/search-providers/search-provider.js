@@ -0,0 +1,226 @@
+/**
+ * Search Provider - Web検索プロバイダーの基底クラス
+ *
+ * 各プロバイダーは fetchResults(query, options) だけを実装し、
+ * 結果の正規化・エラーの分類・利用状況（クォータ）の記録はこのクラスが受け持つ
+ *
+ * @module extensions/search-providers/search-provider
+ */
+
+/**
+ * 検索プロバイダーのエラー
+ * type は RATE_LIMITED / CLIENT_ERROR / SERVER_ERROR / NO_RESPONSE / TIMEOUT / NOT_CONFIGURED / UNKNOWN_ERROR のいずれか
+ */
+class SearchProviderError extends Error {
+  /**
+   * @param {string} message エラーメッセージ
+   * @param {Object} details 詳細
+   * @param {string} details.type エラーの種類
+   * @param {string} [details.provider] プロバイダー名
+   * @param {number|null} [details.statusCode] HTTPステータスコード
+   * @param {number|null} [details.retryAfter] 再試行までの秒数（Retry-After ヘッダー）
+   */
+  constructor(message, { type, provider = null, statusCode = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'SearchProviderError';
+    this.type = type || 'UNKNOWN_ERROR';
+    this.provider = provider;
+    this.statusCode = statusCode;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * URLからホスト名を取り出す
+ * @private
+ * @param {string} url URL
+ * @returns {string} ホスト名（不正なURLの場合は空文字）
+ */
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * 検索プロバイダーの基底クラス
+ */
+class SearchProvider {
+  /**
+   * @param {Object} options オプション
+   * @param {string} options.name プロバイダー名
+   * @param {string} options.label 表示名（!search の表示などに使う）
+   * @param {number} [options.timeout] タイムアウト（ミリ秒）
+   */
+  constructor({ name, label, timeout = 10000 } = {}) {
+    this.name = name;
+    this.label = label || name;
+    this.timeout = timeout;
+    this.quota = {
+      requests: 0,
+      limit: null,
+      remaining: null,
+      resetAt: null,
+      rateLimitedAt: null
+    };
+  }
+
+  /**
+   * 必要な設定（APIキーなど）がそろっているかを返す
+   * @returns {boolean} 利用できる場合はtrue
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * 検索を実行する（プロバイダーごとに実装する）
+   * @param {string} query 検索クエリ
+   * @param {Object} options 検索オプション
+   * @returns {Promise<{items: Array<{title: string, url: string, description: string}>, totalResults: number, headers?: Object}>}
+   */
+  async fetchResults() {
+    throw new Error(`${this.name}: fetchResults is not implemented`);
+  }
+
+  /**
+   * 検索を実行し、結果を共通の形式で返す
+   * @param {string} query 検索クエリ
+   * @param {Object} [options] 検索オプション
+   * @param {number} [options.count] 結果の数
+   * @param {string} [options.language] 言語（例: ja）
+   * @param {string} [options.country] 地域（例: jp）
+   * @returns {Promise<{provider: string, providerLabel: string, items: Array<Object>, totalResults: number}>} 検索結果
+   * @throws {SearchProviderError} 検索に失敗した場合
+   */
+  async search(query, options = {}) {
+    if (!this.isConfigured()) {
+      throw new SearchProviderError(`${this.label} is not configured`, { type: 'NOT_CONFIGURED', provider: this.name });
+    }
+
+    const searchOptions = {
+      count: options.count || 5,
+      language: options.language || 'ja',
+      country: options.country || 'jp',
+      timeout: options.timeout || this.timeout
+    };
+
+    this.quota.requests++;
+    let response;
+    try {
+      response = await this.fetchResults(query, searchOptions);
+    } catch (error) {
+      const classified = this.classifyError(error);
+      if (classified.type === 'RATE_LIMITED') {
+        this.quota.rateLimitedAt = new Date().toISOString();
+        this.quota.remaining = 0;
+      }
+      throw classified;
+    }
+
+    this.updateQuota(response.headers || {});
+    const items = (response.items || [])
+      .filter(item => item && item.url)
+      .slice(0, searchOptions.count)
+      .map(item => ({
+        title: item.title || item.url,
+        url: item.url,
+        description: item.description || '',
+        hostname: hostnameOf(item.url)
+      }));
+
+    return {
+      provider: this.name,
+      providerLabel: this.label,
+      items,
+      totalResults: Number(response.totalResults) || items.length
+    };
+  }
+
+  /**
+   * HTTPエラーのうち、利用制限（クォータ切れ）とみなすものを判定する
+   * 429 以外で制限を知らせるAPI（Googleの 403 など）はプロバイダー側で上書きする
+   * @param {Object} response axiosのエラーレスポンス
+   * @returns {boolean} 利用制限の場合はtrue
+   */
+  isRateLimitResponse(response) {
+    return response.status === 429;
+  }
+
+  /**
+   * エラーを種類ごとに分類して SearchProviderError にする
+   * @param {Error} error 発生したエラー
+   * @returns {SearchProviderError} 分類したエラー
+   */
+  classifyError(error) {
+    if (error instanceof SearchProviderError) {
+      return error;
+    }
+
+    const details = { provider: this.name, type: 'UNKNOWN_ERROR' };
+    let message = `${this.label}: ${error.message}`;
+
+    if (error.response) {
+      const status = error.response.status;
+      details.statusCode = status;
+      if (this.isRateLimitResponse(error.response)) {
+        details.type = 'RATE_LIMITED';
+        const retryAfter = parseInt(error.response.headers?.['retry-after'], 10);
+        details.retryAfter = Number.isFinite(retryAfter) ? retryAfter : null;
+        message = `${this.label} の利用制限に達しました`;
+      } else if (status >= 400 && status < 500) {
+        details.type = 'CLIENT_ERROR';
+        message = `${this.label} へのリクエストに問題があります (コード: ${status})`;
+      } else if (status >= 500) {
+        details.type = 'SERVER_ERROR';
+        message = `${this.label} 側で問題が発生しています (コード: ${status})`;
+      }
+    } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      details.type = 'TIMEOUT';
+      message = `${this.label} へのリクエストがタイムアウトしました`;
+    } else if (error.request) {
+      details.type = 'NO_RESPONSE';
+      message = `${this.label} から応答がありませんでした`;
+    }
+
+    return new SearchProviderError(message, details);
+  }
+
+  /**
+   * 検索に成功したときに利用状況を更新する
+   * 残りの利用回数をヘッダーで返すプロバイダーは、上書きしてヘッダーの値も記録する
+   * @param {Object} headers レスポンスヘッダー
+   */
+  updateQuota() {
+    this.quota.rateLimitedAt = null;
+  }
+
+  /**
+   * 利用状況を返す
+   * @returns {Object} {provider, requests, limit, remaining, resetAt, rateLimitedAt}
+   */
+  getQuotaInfo() {
+    return { provider: this.name, ...this.quota };
+  }
+
+  /**
+   * ヘルスチェック（1件だけ検索する）
+   * @returns {Promise<Object>} {provider, status, message}
+   */
+  async checkHealth() {
+    if (!this.isConfigured()) {
+      return { provider: this.name, status: 'unconfigured', message: `${this.label} is not configured` };
+    }
+    try {
+      await this.search('test', { count: 1 });
+      return { provider: this.name, status: 'healthy', message: `${this.label} is working` };
+    } catch (error) {
+      return { provider: this.name, status: 'unhealthy', message: error.message, errorType: error.type };
+    }
+  }
+}
+
+module.exports = SearchProvider;
+module.exports.SearchProviderError = SearchProviderError;
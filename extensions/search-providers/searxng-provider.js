@@ -0,0 +1,53 @@
+/**
+ * SearXNG Provider - セルフホストの SearXNG による検索
+ *
+ * SEARXNG_URL にインスタンスのURLを設定する（settings.yml の search.formats で json を有効にしておく）
+ * APIキーも利用回数の上限もないため、クォータの切れやすいプロバイダーの後ろに置くフォールバックに向く
+ *
+ * @module extensions/search-providers/searxng-provider
+ */
+
+const axios = require('axios');
+const SearchProvider = require('./search-provider');
+
+/**
+ * SearXNG プロバイダークラス
+ */
+class SearXNGProvider extends SearchProvider {
+  /**
+   * @param {Object} options オプション
+   * @param {string} [options.baseUrl] インスタンスのURL
+   * @param {number} [options.timeout] タイムアウト（ミリ秒）
+   */
+  constructor(options = {}) {
+    super({ name: 'searxng', label: 'SearXNG', timeout: options.timeout });
+    this.baseUrl = (options.baseUrl ?? process.env.SEARXNG_URL ?? '').replace(/\/+$/, '');
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  async fetchResults(query, options) {
+    const response = await axios.get(`${this.baseUrl}/search`, {
+      params: {
+        q: query,
+        format: 'json',
+        language: options.language.replace(/^lang_/, ''),
+        safesearch: 1
+      },
+      timeout: options.timeout
+    });
+
+    return {
+      items: (response.data?.results || []).map(result => ({
+        title: result.title,
+        url: result.url,
+        description: result.content
+      })),
+      totalResults: response.data?.number_of_results
+    };
+  }
+}
+
+module.exports = SearXNGProvider;
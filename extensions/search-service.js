@@ -1,53 +1,19 @@
 /**
  * Bocchy Discord Bot - 検索サービス
- * Google Custom Search APIを使用してウェブ検索と結果の要約を行う
+ * 検索の入り口。クエリの分析・最適化 → 検索プロバイダーでの検索 → 結果の整形 → 本文の取得 を一続きで行い、
+ * 共通の検索結果（形式は extensions/search-processor.js を参照）を返す
  */
 
-const axios = require('axios');
 const logger = require('../system/logger');
-const config = require('../config');
 const searchProcessor = require('./search-processor');
+const pageFetcher = require('./page-fetcher');
+const searchProviders = require('./search-providers');
 const { analyzeSearch } = require('./search-analyzer');
 
-// Google Search APIの設定（環境変数から取得）
-const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY || '';
-const GOOGLE_CSE_ID = process.env.GOOGLE_CSE_ID || '';
-const GOOGLE_SEARCH_API_URL = 'https://www.googleapis.com/customsearch/v1';
-
 // APIキャッシュ（トークン制限回避と高速化のため）
 const CACHE_DURATION = 5 * 60 * 1000; // 5分間
 const searchCache = new Map();
 
-// バリデーション関数を追加
-function isValidUrl(url) {
-  try {
-    new URL(url);
-    return true;
-  } catch (e) {
-    return false;
-  }
-}
-
-function isValidApiKey(key) {
-  // APIキーのフォーマットを確認（簡易チェック）
-  return typeof key === 'string' && key.length > 5;
-}
-
-/**
- * 検索クエリをURLエンコードして整形する
- * @param {string} query - 検索クエリ
- * @returns {string} URLエンコードされた検索クエリ
- */
-function encodeSearchQuery(query) {
-  // 基本的なURLエンコーディング
-  const encoded = encodeURIComponent(query);
-  
-  // 日本語検索に適した形式に調整
-  return encoded
-    .replace(/%20/g, '+') // スペースを+に変換
-    .replace(/%2B/g, '+'); // エンコードされた+記号を+に戻す
-}
-
 let isInitialized = false;
 
 /**
@@ -55,12 +21,8 @@ let isInitialized = false;
  */
 function initialize() {
   try {
-    // APIキーを process.env から直接読み込み
-    const apiKey = process.env.GOOGLE_API_KEY;
-    const cseId = process.env.GOOGLE_CSE_ID;
-    
-    if (!apiKey || !cseId) {
-      logger.warn('Google検索APIキーまたはCSE IDが環境変数に設定されていません。検索機能は無効です。');
+    if (!searchProviders.isAvailable()) {
+      logger.warn('検索プロバイダーのAPIキーやURLが環境変数に設定されていません。検索機能は無効です。');
       isInitialized = false;
       return false;
     }
@@ -80,156 +42,26 @@ function initialize() {
  * @returns {Promise<Object>} ヘルスチェック結果
  */
 async function checkHealth() {
-  if (!GOOGLE_API_KEY || !GOOGLE_CSE_ID) {
+  if (!searchProviders.isAvailable()) {
     return {
       status: 'unhealthy',
-      message: 'Google検索APIキーまたはCSE IDが設定されていません'
-    };
-  }
-  
-  try {
-    // 簡単なテスト検索を実行
-    const testResponse = await axios.get(GOOGLE_SEARCH_API_URL, {
-      params: {
-        key: GOOGLE_API_KEY,
-        cx: GOOGLE_CSE_ID,
-        q: 'test',
-        num: 1
-      }
-    });
-    
-    if (testResponse.status === 200 && testResponse.data && testResponse.data.items) {
-      return {
-        status: 'healthy',
-        message: 'Google Search APIは正常に動作しています'
-      };
-    } else {
-      return {
-        status: 'unhealthy',
-        message: `API応答エラー: ${testResponse.status}`
-      };
-    }
-  } catch (error) {
-    logger.error(`検索ヘルスチェックエラー: ${error.message}`);
-    return {
-      status: 'unhealthy',
-      message: `API接続エラー: ${error.message}`
-    };
-  }
-}
-
-/**
- * 検索クエリのタイプを分析する
- * @param {string} query - 検索クエリ
- * @returns {Object} クエリタイプ情報
- */
-function analyzeQueryType(query) {
-  if (!query) return {};
-  
-  const normalizedQuery = query.toLowerCase();
-  
-  // 事実質問（何、いつ、どこ、誰）
-  const isFactQuestion = /^(何|いつ|どこ|誰|なぜ|どうして|何故|どの|どんな|どうやって).+(か|？|\?)$/.test(query) ||
-                       /^(what|when|where|who|why|which|how).+(\?|？)$/.test(normalizedQuery);
-  
-  // 比較質問
-  const isComparisonQuestion = /(.+と.+の|.+または.+の|.+vs.+|.+対.+)(違い|比較|どっち|どちら)/.test(query) ||
-                             /(difference|compare|versus|vs\.|\bor\b).+(\?|？)$/.test(normalizedQuery);
-  
-  // 方法や手順に関する質問
-  const isHowToQuery = /^(方法|やり方|手順|手続き|手法|作り方|作成方法|設定方法|実装方法|使い方)/.test(query) ||
-                     /^how\s+to\s+|^ways?\s+to\s+|^steps?\s+to\s+/.test(normalizedQuery);
-  
-  // 定義や意味に関する質問
-  const isDefinitionQuery = /^(.+とは|.+の意味|.+の定義)/.test(query) ||
-                          /^(what\s+is|meaning\s+of|definition\s+of)/.test(normalizedQuery);
-  
-  // 最新情報に関する質問
-  const isRecentQuery = /(最新|最近|今日|今週|今月|今年|直近|最新版|アップデート|ニュース)/.test(query) ||
-                      /(latest|recent|today|this week|this month|this year|update|news)/.test(normalizedQuery);
-  
-  return {
-    isFactQuestion,
-    isComparisonQuestion,
-    isHowToQuery,
-    isDefinitionQuery,
-    isRecentQuery
-  };
-}
-
-/**
- * 検索結果を処理してAIに提供する形式に整形
- * @param {Object} apiResponse - Google Search APIレスポンス
- * @returns {Object} 処理された検索結果
- */
-function processSearchResults(apiResponse) {
-  // 検索結果のバリデーション
-  if (!apiResponse || !apiResponse.items || !Array.isArray(apiResponse.items)) {
-    logger.warn('検索結果の処理: 無効なAPIレスポンス形式');
-    return {
-      summary: '検索結果を取得できませんでした。',
-      sources: []
-    };
-  }
-  
-  // 結果がない場合の処理
-  if (apiResponse.items.length === 0) {
-    return {
-      summary: '検索結果はありませんでした。別のキーワードで試してみてください。',
-      sources: []
+      message: '検索プロバイダーが設定されていません'
     };
   }
   
-  // 結果の整形
-  const sources = apiResponse.items.map((result, index) => {
-    return {
-      index: index + 1,
-      title: result.title,
-      url: result.link,
-      description: result.snippet,
-      hostname: new URL(result.link).hostname
-    };
-  });
-  
-  // 検索結果から要約テキストを構築
-  const summaryText = sources.map(source => 
-    `【${source.index}】${source.title}\n${source.description}`
-  ).join('\n\n');
-  
-  // 出典リスト生成（マークダウン形式）
-  const sourcesList = sources.map(source => 
-    `${source.index}. [${source.title}](${source.url}) - ${source.hostname}`
-  ).join('\n');
-  
-  const resultObj = {
-    summary: summaryText,
-    sources: sources,
-    sourcesList: sourcesList,
-    query: apiResponse.queries?.request[0]?.searchTerms || '',
-    totalResults: parseInt(apiResponse.searchInformation?.totalResults || sources.length)
-  };
-  // 生成したsourcesやsourcesListをデバッグ出力
-  logger.debug('Processed search results (sources):', JSON.stringify(resultObj.sources, null, 2));
-  logger.debug('Processed search results (sourcesList):', resultObj.sourcesList);
-  return resultObj;
-}
-
-/**
- * モック検索結果の生成（APIが利用できない場合のフォールバック）
- * @param {string} query - 検索クエリ
- * @returns {Object} モック検索結果
- */
-function createMockResult(query) {
-  const currentTime = new Date().toISOString();
+  // いずれかのプロバイダーで検索できれば正常とみなす
+  const providers = await searchProviders.checkHealth();
+  const healthy = providers.filter(provider => provider.status === 'healthy');
+  providers
+    .filter(provider => provider.status !== 'healthy')
+    .forEach(provider => logger.error(`検索ヘルスチェックエラー (${provider.provider}): ${provider.message}`));
   
   return {
-    summary: `検索機能は一時的に利用できません。「${query}」の検索結果を取得できませんでした。`,
-    sources: [],
-    sourcesList: '',
-    query: query,
-    totalResults: 0,
-    error: 'Search API unavailable',
-    timestamp: currentTime
+    status: healthy.length > 0 ? 'healthy' : 'unhealthy',
+    message: healthy.length > 0
+      ? `検索プロバイダーは正常に動作しています (${healthy.map(provider => provider.provider).join(', ')})`
+      : '利用できる検索プロバイダーがありません',
+    providers
   };
 }
 
@@ -249,7 +81,7 @@ function clearCache() {
  */
 function cacheSearchResult(query, result, options = {}) {
   try {
-    const cacheKey = `${query}:${options.count || 5}:${options.language || 'jp'}`;
+    const cacheKey = `${query}:${options.count || 'auto'}:${options.language || 'jp'}`;
     searchCache.set(cacheKey, {
       timestamp: Date.now(),
       data: result
@@ -275,7 +107,7 @@ function cacheSearchResult(query, result, options = {}) {
  * @returns {Object|null} キャッシュされた検索結果、または null
  */
 function getFromCache(query, options = {}) {
-  const cacheKey = `${query}:${options.count || 5}:${options.language || 'jp'}`;
+  const cacheKey = `${query}:${options.count || 'auto'}:${options.language || 'jp'}`;
   const cachedItem = searchCache.get(cacheKey);
   
   if (cachedItem) {
@@ -298,14 +130,19 @@ function getFromCache(query, options = {}) {
 
 /**
  * Web検索を実行する
+ * クエリを分析・最適化してから検索し、上位のページの本文も取り出した共通の検索結果を返す
  * @param {string} query - 検索クエリ
  * @param {Object} options - 検索オプション
- * @returns {Promise<Object>} 検索結果
+ * @returns {Promise<Object>} 検索結果（失敗した場合も success: false の検索結果を返す）
  */
 async function performSearch(query, options = {}) {
-  if (!query) {
+  if (!query || !query.trim()) {
     logger.warn('検索クエリが空です');
-    return createMockResult('');
+    return searchProcessor.createErrorResult('', {
+      error: '検索クエリが空です',
+      errorType: 'EMPTY_QUERY',
+      summary: '検索するキーワードを指定してください。'
+    });
   }
   
   const searchQuery = query.trim();
@@ -313,12 +150,13 @@ async function performSearch(query, options = {}) {
   
   // オプションの設定
   const searchOptions = {
-    count: options.count || 5, // 結果の数
-    language: options.language || 'lang_ja', // デフォルトは日本語
+    count: options.count, // 結果の数（未指定の場合はクエリのタイプに合わせる）
+    language: options.language || 'ja', // デフォルトは日本語
     country: options.country || 'jp', // デフォルトは日本
     useCache: options.useCache !== false, // デフォルトはキャッシュ使用
-    useMockOnError: options.useMockOnError !== false, // エラー時にモックデータを使用
+    useMockOnError: options.useMockOnError !== false, // エラー時は「一時的に利用できません」の要約を返す
     timeout: options.timeout || 10000, // タイムアウト（デフォルト10秒）
+    fetchPages: options.fetchPages ?? pageFetcher.config.enabled, // 上位のページの本文を取得
     cacheDuration: options.cacheDuration || CACHE_DURATION
   };
   
@@ -331,133 +169,87 @@ async function performSearch(query, options = {}) {
   }
   
   try {
-    // 検索クエリを分析
-    const queryType = analyzeQueryType(searchQuery);
+    // 検索クエリを分析し、検索エンジン向けに最適化
+    const analysis = analyzeSearch(searchQuery);
     
-    // Google Search APIにリクエスト
-    const response = await axios.get(GOOGLE_SEARCH_API_URL, {
-      params: {
-        key: GOOGLE_API_KEY,
-        cx: GOOGLE_CSE_ID,
-        q: searchQuery,
-        num: searchOptions.count,
-        lr: searchOptions.language,
-        gl: searchOptions.country
-      },
+    // 検索プロバイダーに優先順にリクエスト（利用制限に達したら次のプロバイダーを使う）
+    const response = await searchProviders.search(analysis.optimizedQuery || searchQuery, {
+      count: searchOptions.count || analysis.resultCount,
+      language: searchOptions.language,
+      country: searchOptions.country,
       timeout: searchOptions.timeout
     });
+    logger.debug(`検索プロバイダー ${response.provider} から ${response.items.length}件の結果を取得 (クエリ: "${analysis.optimizedQuery}")`);
     
-    if (response.status !== 200) {
-      throw new Error(`API応答エラー: ${response.status}`);
-    }
-    
-    // Google APIからのレスポンス取得直後に生データをデバッグ出力
-    logger.debug('Google API raw response:', JSON.stringify(response?.data || response, null, 2));
-    
-    // 検索結果を処理
-    const processedResults = processSearchResults(response.data);
+    // 検索結果を共通の形式にまとめる
+    const searchResult = searchProcessor.processResults(response, analysis);
     
-    // クエリタイプ情報を追加
-    processedResults.queryType = queryType;
-    processedResults.timestamp = new Date().toISOString();
+    // 上位のページから質問に関係する本文を取り出す（関連度はユーザーの元の質問で判定）
+    if (searchOptions.fetchPages) {
+      await pageFetcher.enrichSearchResults(searchQuery, searchResult.results);
+    }
     
     // 結果をキャッシュに保存
     if (searchOptions.useCache) {
-      cacheSearchResult(searchQuery, processedResults, searchOptions);
+      cacheSearchResult(searchQuery, searchResult, searchOptions);
     }
     
-    return processedResults;
+    return searchResult;
     
   } catch (error) {
     logger.error(`検索エラー: ${error.message}`);
     
-    let errorType = 'UNKNOWN_ERROR';
-    let errorMessage = `検索中に不明なエラーが発生しました: ${error.message}`;
-    let statusCode = null;
-
-    if (error.response) {
-      // HTTPエラーの場合
-      statusCode = error.response.status;
-      errorMessage = `API応答エラー: ステータスコード ${statusCode}`;
-      if (statusCode === 429) {
-        errorType = 'RATE_LIMITED';
-        errorMessage = '検索APIの利用制限に達しました。しばらくしてから再試行してください。';
-        logger.warn('Google Search API rate limit reached.');
-      } else if (statusCode >= 400 && statusCode < 500) {
-        errorType = 'CLIENT_ERROR';
-        errorMessage = `検索リクエストに問題があります (コード: ${statusCode})。`;
-      } else if (statusCode >= 500) {
-        errorType = 'SERVER_ERROR';
-        errorMessage = `検索サービス側で問題が発生しています (コード: ${statusCode})。`;
-      }
-    } else if (error.request) {
-      // リクエストは行われたが応答がない場合
-      errorType = 'NO_RESPONSE';
-      errorMessage = '検索サービスから応答がありませんでした。';
-    } else if (error.code === 'ECONNABORTED') {
-      // タイムアウトエラー
-       errorType = 'TIMEOUT';
-       errorMessage = `検索リクエストがタイムアウトしました (タイムアウト設定: ${searchOptions.timeout}ms)。`;
+    // 検索プロバイダーのエラーは種類ごとに分類済み
+    const errorType = error.type || 'UNKNOWN_ERROR';
+    const statusCode = error.statusCode || null;
+    let errorMessage = error.type ? `${error.message}。` : `検索中に不明なエラーが発生しました: ${error.message}`;
+    if (errorType === 'RATE_LIMITED') {
+      errorMessage = '検索APIの利用制限に達しました。しばらくしてから再試行してください。';
+    } else if (errorType === 'NOT_CONFIGURED') {
+      errorMessage = '検索プロバイダーが設定されていません。';
     }
 
     // エラー時のフォールバック
     if (searchOptions.useMockOnError) {
-      logger.warn(`API呼び出しが失敗しました。モックデータを返します: ${errorMessage}`);
-      // モックデータにもエラー情報を付与する
-      const mockResult = createMockResult(searchQuery);
-      mockResult.error = errorMessage;
-      mockResult.errorType = errorType; // エラータイプを追加
-      mockResult.statusCode = statusCode; // ステータスコードを追加
-      return mockResult;
+      logger.warn(`API呼び出しが失敗しました。検索結果なしとして返します: ${errorMessage}`);
     }
     
-    // useMockOnErrorがfalseの場合は、エラー情報をそのまま返す
-    return {
-        summary: `検索エラー: ${errorMessage}`,
-        sources: [],
-        sourcesList: '',
-        query: searchQuery,
-        totalResults: 0,
-        error: errorMessage,
-        errorType: errorType, // エラータイプを追加
-        statusCode: statusCode, // ステータスコードを追加
-        timestamp: new Date().toISOString()
-    };
+    return searchProcessor.createErrorResult(searchQuery, {
+      error: errorMessage,
+      errorType,
+      statusCode,
+      summary: searchOptions.useMockOnError
+        ? `検索機能は一時的に利用できません。「${searchQuery}」の検索結果を取得できませんでした。`
+        : undefined
+    });
   }
 }
 
 /**
  * AI用の検索結果を提供する
  * @param {string} query - 検索クエリ
- * @returns {Promise<Object>} 検索結果
+ * @returns {Promise<Object>} 検索結果（AIのプロンプトに入れるテキストを content に含む）
  */
 async function provideSearchForAI(query) {
-  try {
-    // 検索を実行し、結果を取得
-    const searchResults = await performSearch(query, {
-      count: 5,
-      useCache: true,
-      useMockOnError: true
-    });
-    
-    // AI用に整形したレスポンス
-    return {
-      summary: searchResults.summary || `「${query}」の検索結果はありませんでした。`,
-      sources: searchResults.sourcesList || '',
-      query: searchResults.query || query,
-      totalResults: searchResults.totalResults || 0,
-      timestamp: searchResults.timestamp || new Date().toISOString()
-    };
-  } catch (error) {
-    logger.error(`AI用検索処理エラー: ${error.message}`);
-    return {
-      summary: `検索処理中にエラーが発生しました: ${error.message}`,
-      sources: '',
-      query: query,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    };
-  }
+  const searchResult = await performSearch(query, {
+    useCache: true,
+    useMockOnError: true
+  });
+  
+  return {
+    ...searchResult,
+    content: searchResult.success
+      ? searchProcessor.formatSearchResultForAI(searchResult.results, searchResult.queryType)
+      : searchResult.summary
+  };
+}
+
+/**
+ * 検索プロバイダーごとの利用状況（リクエスト数・残り回数・利用制限での休止）を返す
+ * @returns {Array<Object>} プロバイダーごとの利用状況
+ */
+function getQuotaInfo() {
+  return searchProviders.getQuotaInfo();
 }
 
 /**
@@ -474,6 +266,6 @@ module.exports = {
   checkHealth,
   performSearch,
   provideSearchForAI,
-  analyzeQueryType,
+  getQuotaInfo,
   getInitializationStatus
 };
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * Bocchy Discord Bot - 添付ファイルハンドラー
+ * メンション・DMに添付された画像やテキストファイルを読み取り、AIへの入力に変換する
+ *
+ * - 画像はマルチモーダル入力としてプロバイダーに渡す（対応プロバイダーのみ）
+ * - テキスト系ファイル (.txt, .md, .js, .json, .csv) は内容をプロンプトに挿入する
+ * - サイズ上限・対応形式外のファイルは理由を添えて辞退する
+ */
+
+const path = require('path');
+const axios = require('axios');
+const logger = require('../system/logger');
+const { getRule } = require('../config/rules');
+
+// 対応する画像形式
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// 対応するテキスト形式
+const TEXT_EXTENSIONS = ['.txt', '.md', '.js', '.json', '.csv'];
+
+// ダウンロードのタイムアウト
+const DOWNLOAD_TIMEOUT = 15000;
+
+/**
+ * 添付ファイルの種類を判定する
+ * @param {Object} attachment - Discordの添付ファイル
+ * @returns {{kind: string, mimeType?: string}} 種類（image / text / unsupported）
+ */
+function classifyAttachment(attachment) {
+  const extension = path.extname(attachment.name || '').toLowerCase();
+  const contentType = (attachment.contentType || '').split(';')[0].trim().toLowerCase();
+
+  if (IMAGE_TYPES[extension] || Object.values(IMAGE_TYPES).includes(contentType)) {
+    return { kind: 'image', mimeType: IMAGE_TYPES[extension] || contentType };
+  }
+  if (TEXT_EXTENSIONS.includes(extension)) {
+    return { kind: 'text' };
+  }
+  return { kind: 'unsupported' };
+}
+
+/**
+ * 添付ファイルをダウンロードする
+ * @private
+ * @param {Object} attachment - Discordの添付ファイル
+ * @param {number} maxSize - 最大サイズ（バイト）
+ * @returns {Promise<Buffer>} ファイル内容
+ */
+async function download(attachment, maxSize) {
+  const response = await axios.get(attachment.url, {
+    responseType: 'arraybuffer',
+    timeout: DOWNLOAD_TIMEOUT,
+    maxContentLength: maxSize
+  });
+  return Buffer.from(response.data);
+}
+
+/**
+ * メッセージの添付ファイルを処理する
+ * @param {Object} message - Discordメッセージオブジェクト
+ * @param {Object} [capabilities] - 利用中のAIプロバイダーの対応機能
+ * @param {boolean} [capabilities.vision] - 画像入力に対応しているか
+ * @returns {Promise<{images: Array, textFiles: Array, rejected: Array}>} 処理結果
+ */
+async function processAttachments(message, capabilities = {}) {
+  const result = { images: [], textFiles: [], rejected: [] };
+  if (!message.attachments || message.attachments.size === 0) {
+    return result;
+  }
+
+  const maxSize = getRule('LIMITATIONS', 'maxAttachmentSize');
+  const maxCount = getRule('LIMITATIONS', 'maxAttachments');
+  const maxTextLength = getRule('LIMITATIONS', 'maxAttachmentTextLength');
+
+  const attachments = [...message.attachments.values()];
+
+  for (const [index, attachment] of attachments.entries()) {
+    const name = attachment.name || 'attachment';
+
+    if (index >= maxCount) {
+      result.rejected.push({ name, reason: `一度に読めるのは${maxCount}件までです` });
+      continue;
+    }
+    if (attachment.size > maxSize) {
+      result.rejected.push({ name, reason: `サイズが上限（${Math.floor(maxSize / 1024 / 1024)}MB）を超えています` });
+      continue;
+    }
+
+    const { kind, mimeType } = classifyAttachment(attachment);
+
+    if (kind === 'unsupported') {
+      result.rejected.push({ name, reason: '対応していない形式です' });
+      continue;
+    }
+    if (kind === 'image' && !capabilities.vision) {
+      result.rejected.push({ name, reason: '現在のAIプロバイダーは画像の読み取りに対応していません' });
+      continue;
+    }
+
+    try {
+      const data = await download(attachment, maxSize);
+
+      if (kind === 'image') {
+        result.images.push({ name, mimeType, data: data.toString('base64') });
+      } else {
+        let content = data.toString('utf8');
+        const truncated = content.length > maxTextLength;
+        if (truncated) {
+          content = content.substring(0, maxTextLength);
+        }
+        result.textFiles.push({ name, content, truncated });
+      }
+    } catch (error) {
+      logger.warn(`添付ファイルの取得に失敗しました (${name}): ${error.message}`);
+      result.rejected.push({ name, reason: 'ファイルを読み込めませんでした' });
+    }
+  }
+
+  logger.debug(`添付ファイル処理: 画像${result.images.length}件, テキスト${result.textFiles.length}件, 辞退${result.rejected.length}件`);
+  return result;
+}
+
+/**
+ * テキスト添付ファイルをプロンプト用に整形する
+ * @param {Array} textFiles - processAttachments の textFiles
+ * @returns {string} プロンプトに挿入するテキスト
+ */
+function formatTextFilesForPrompt(textFiles) {
+  return textFiles.map(file => {
+    const language = path.extname(file.name).slice(1);
+    const note = file.truncated ? '\n（長いため途中までを読み込んでいます）' : '';
+    return `【添付ファイル: ${file.name}】\n\`\`\`${language}\n${file.content}\n\`\`\`${note}`;
+  }).join('\n\n');
+}
+
+/**
+ * 辞退した添付ファイルについてのメッセージを作成する
+ * @param {Array} rejected - processAttachments の rejected
+ * @returns {string} ユーザーへの案内メッセージ（辞退なしの場合は空文字）
+ */
+function formatRejectionMessage(rejected) {
+  if (!rejected || rejected.length === 0) return '';
+
+  const lines = rejected.map(item => `・${item.name}: ${item.reason}`);
+  const supported = [...Object.keys(IMAGE_TYPES), ...TEXT_EXTENSIONS].join(' ');
+  return `🍃 ごめんね、次の添付ファイルは読めませんでした。\n${lines.join('\n')}\n（対応形式: ${supported}）`;
+}
+
+module.exports = {
+  classifyAttachment,
+  processAttachments,
+  formatTextFilesForPrompt,
+  formatRejectionMessage,
+  IMAGE_TYPES,
+  TEXT_EXTENSIONS
+};
@@ -0,0 +1,179 @@
+/**
+ * Bocchy Discord Bot - コマンド引数パーサー
+ * コマンド定義の宣言的な引数スキーマに従って、引数の解析と検証を行う
+ *
+ * スキーマの各要素:
+ *   name        - 引数名
+ *   type        - 'string' | 'integer' | 'number' | 'boolean' | 'user' | 'channel'
+ *   description - 説明（ヘルプ・スラッシュコマンドに使用）
+ *   required    - 必須かどうか
+ *   choices     - 許可する値の一覧
+ *   min / max   - 数値の範囲、文字列の場合は長さ
+ *   rest        - 残りの引数をすべて連結して受け取る（最後の引数のみ）
+ *   default     - 省略時の値
+ */
+
+// 真偽値として受け付ける表現
+const TRUE_VALUES = ['true', 'yes', 'on', '1', 'はい'];
+const FALSE_VALUES = ['false', 'no', 'off', '0', 'いいえ'];
+
+/**
+ * 引数の値を型に応じて変換・検証する
+ * @private
+ * @param {Object} spec - 引数スキーマ
+ * @param {string} raw - 入力値
+ * @returns {{success: boolean, value?: *, error?: string}} 変換結果
+ */
+function convertValue(spec, raw) {
+  const type = spec.type || 'string';
+  let value;
+
+  switch (type) {
+    case 'integer':
+    case 'number': {
+      value = type === 'integer' ? Number(raw) : parseFloat(raw);
+      if (raw === '' || isNaN(value) || (type === 'integer' && !Number.isInteger(value))) {
+        return { success: false, error: `\`${spec.name}\` には${type === 'integer' ? '整数' : '数値'}を指定してください。` };
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return { success: false, error: `\`${spec.name}\` は ${spec.min} 以上で指定してください。` };
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return { success: false, error: `\`${spec.name}\` は ${spec.max} 以下で指定してください。` };
+      }
+      break;
+    }
+    case 'boolean': {
+      const lower = raw.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) value = true;
+      else if (FALSE_VALUES.includes(lower)) value = false;
+      else return { success: false, error: `\`${spec.name}\` には true / false を指定してください。` };
+      break;
+    }
+    case 'user':
+    case 'channel': {
+      // メンション形式 (<@123>, <@!123>, <#123>) または生のIDを受け付ける
+      const match = raw.match(type === 'user' ? /^<@!?(\d+)>$|^(\d{5,})$/ : /^<#(\d+)>$|^(\d{5,})$/);
+      if (!match) {
+        return { success: false, error: `\`${spec.name}\` には${type === 'user' ? 'ユーザー' : 'チャンネル'}のメンションまたはIDを指定してください。` };
+      }
+      value = match[1] || match[2];
+      break;
+    }
+    default: {
+      value = raw;
+      if (spec.min !== undefined && value.length < spec.min) {
+        return { success: false, error: `\`${spec.name}\` は ${spec.min} 文字以上で指定してください。` };
+      }
+      if (spec.max !== undefined && value.length > spec.max) {
+        return { success: false, error: `\`${spec.name}\` は ${spec.max} 文字以内で指定してください。` };
+      }
+    }
+  }
+
+  if (Array.isArray(spec.choices) && spec.choices.length > 0) {
+    const normalized = typeof value === 'string' ? value.toLowerCase() : value;
+    const allowed = spec.choices.map(choice => (typeof choice === 'object' ? choice.value : choice));
+    if (!allowed.includes(normalized)) {
+      return { success: false, error: `\`${spec.name}\` には次のいずれかを指定してください: ${allowed.join(', ')}` };
+    }
+    value = normalized;
+  }
+
+  return { success: true, value };
+}
+
+/**
+ * トークン列を引数スキーマに従って解析する
+ * @param {Array<Object>} schema - 引数スキーマ
+ * @param {Array<string>} tokens - 空白で分割された引数
+ * @returns {{success: boolean, args?: Object, error?: string}} 解析結果
+ */
+function parseArguments(schema = [], tokens = []) {
+  const args = {};
+  const remaining = [...tokens];
+
+  for (const spec of schema) {
+    let raw;
+    if (spec.rest) {
+      raw = remaining.length > 0 ? remaining.splice(0).join(' ') : undefined;
+    } else {
+      raw = remaining.shift();
+    }
+
+    if (raw === undefined || raw === '') {
+      if (spec.required) {
+        return { success: false, error: `引数 \`${spec.name}\` が必要です。` };
+      }
+      if (spec.default !== undefined) {
+        args[spec.name] = spec.default;
+      }
+      continue;
+    }
+
+    const converted = convertValue(spec, raw);
+    if (!converted.success) {
+      return converted;
+    }
+    args[spec.name] = converted.value;
+  }
+
+  if (remaining.length > 0) {
+    return { success: false, error: `不要な引数があります: ${remaining.join(' ')}` };
+  }
+
+  return { success: true, args };
+}
+
+/**
+ * 既に型付けされた値（スラッシュコマンドのオプションなど）を検証する
+ * @param {Array<Object>} schema - 引数スキーマ
+ * @param {Object} values - 引数名と値のマップ
+ * @returns {{success: boolean, args?: Object, error?: string}} 検証結果
+ */
+function validateArguments(schema = [], values = {}) {
+  const args = {};
+
+  for (const spec of schema) {
+    const value = values[spec.name];
+
+    if (value === undefined || value === null || value === '') {
+      if (spec.required) {
+        return { success: false, error: `引数 \`${spec.name}\` が必要です。` };
+      }
+      if (spec.default !== undefined) {
+        args[spec.name] = spec.default;
+      }
+      continue;
+    }
+
+    const converted = convertValue(spec, String(value));
+    if (!converted.success) {
+      return converted;
+    }
+    args[spec.name] = converted.value;
+  }
+
+  return { success: true, args };
+}
+
+/**
+ * 引数スキーマから使用法の文字列を生成する
+ * @param {Array<Object>} schema - 引数スキーマ
+ * @returns {string} 例: "<mode> [seconds]"
+ */
+function formatUsage(schema = []) {
+  return schema.map(spec => {
+    let label = Array.isArray(spec.choices) && spec.choices.length > 0 && spec.choices.length <= 6
+      ? spec.choices.map(choice => (typeof choice === 'object' ? choice.value : choice)).join('|')
+      : spec.name;
+    if (spec.rest) label += '...';
+    return spec.required ? `<${label}>` : `[${label}]`;
+  }).join(' ');
+}
+
+module.exports = {
+  parseArguments,
+  validateArguments,
+  formatUsage
+};
@@ -1,126 +1,432 @@
 /**
  * Command Handler Module - コマンド処理を管理
- * 
+ *
  * このモジュールはDiscordのコマンド処理を担当します。
- * プレフィックスコマンド(!help など)の処理と登録を行います。
+ * handlers/commands/ 配下のコマンド定義を自動で読み込み、
+ * プレフィックスコマンド(!help など)とスラッシュコマンドの両方から
+ * 同じ実行経路（引数検証・権限・クールダウン）でコマンドを実行します。
+ *
+ * コマンド定義の形式:
+ *   {
+ *     name, description, aliases, category,
+ *     args: [...],              // 引数スキーマ (command-args.js を参照)
+ *     subcommands: { name: { description, args, execute } },
+ *     defaultSubcommand,        // サブコマンド省略時に実行するもの
+ *     cooldown,                 // 秒
+ *     permissions: ['Administrator'], // 必要なDiscord権限
+ *     adminOnly, guildOnly, dmOnly, hidden,
+ *     defer,                    // スラッシュコマンドで応答を保留するか
+ *     execute: async (message, args, context) => {}
+ *   }
  */
 
-const { EmbedBuilder } = require('discord.js');
+const fs = require('fs');
+const path = require('path');
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
 const logger = require('../system/logger');
 const config = require('../config/env');
+const { parseArguments, validateArguments, formatUsage } = require('./command-args');
+const { splitMessage, EMBED_FIELD_LIMIT } = require('../utilities/message-splitter');
+
+// コマンドディレクトリ
+const COMMANDS_DIR = path.join(__dirname, 'commands');
 
 // コマンドコレクション
 const commands = new Map();
 
+// エイリアスからコマンド名への対応
+const aliases = new Map();
+
+// クールダウン管理 (コマンド名:ユーザーID -> 解除時刻)
+const cooldowns = new Map();
+
+// コマンドから利用するAIサービス
+let aiService = null;
+
 /**
  * コマンドを登録する
  * @param {string} name - コマンド名
- * @param {Object} options - コマンドオプション
+ * @param {Object} options - コマンド定義
  */
 function registerCommand(name, options) {
-  commands.set(name, {
+  const command = {
+    ...options,
     name,
     description: options.description || '説明なし',
-    usage: options.usage || name,
-    execute: options.execute,
+    category: options.category || '一般',
+    args: options.args || [],
+    subcommands: options.subcommands || null,
     aliases: options.aliases || [],
+    cooldown: options.cooldown || 0,
+    permissions: options.permissions || [],
     adminOnly: options.adminOnly || false,
+    guildOnly: options.guildOnly || false,
+    dmOnly: options.dmOnly || false,
     hidden: options.hidden || false
-  });
-  
+  };
+
+  commands.set(name, command);
+  command.aliases.forEach(alias => aliases.set(alias, name));
+
   logger.debug(`コマンド '${name}' を登録しました`);
 }
 
 /**
- * プレフィックスからのコマンドを処理する
+ * コマンドディレクトリからコマンド定義を読み込む
+ * @param {string} [directory] - 読み込むディレクトリ
+ * @returns {number} 読み込んだコマンド数
+ */
+function loadCommands(directory = COMMANDS_DIR) {
+  if (!fs.existsSync(directory)) {
+    logger.warn(`コマンドディレクトリが見つかりません: ${directory}`);
+    return 0;
+  }
+
+  let loaded = 0;
+  fs.readdirSync(directory)
+    .filter(file => file.endsWith('.js'))
+    .forEach(file => {
+      try {
+        const definition = require(path.join(directory, file));
+        if (!definition || !definition.name || (!definition.execute && !definition.subcommands)) {
+          logger.warn(`コマンド定義が不正なためスキップしました: ${file}`);
+          return;
+        }
+        registerCommand(definition.name, definition);
+        loaded++;
+      } catch (error) {
+        logger.error(`コマンドの読み込みに失敗しました: ${file}`, error);
+      }
+    });
+
+  logger.info(`${loaded}件のコマンドを読み込みました`);
+  return loaded;
+}
+
+/**
+ * コマンド名またはエイリアスからコマンドを取得
+ * @param {string} name - コマンド名またはエイリアス
+ * @returns {Object|null} コマンド定義
+ */
+function resolveCommand(name) {
+  if (!name) return null;
+  const key = name.toLowerCase();
+  return commands.get(key) || commands.get(aliases.get(key)) || null;
+}
+
+/**
+ * ユーザーが管理者かどうかを確認
+ * @param {string} userId - ユーザーID
+ * @returns {boolean} 管理者かどうか
+ */
+function isAdmin(userId) {
+  return config.ADMIN_IDS.includes(userId);
+}
+
+/**
+ * チャンネルがDMかどうかを判定
+ * @private
  * @param {Object} message - Discordメッセージオブジェクト
- * @param {string} prefix - コマンドプレフィックス
- * @returns {boolean} コマンドが実行されたかどうか
+ * @returns {boolean} DMかどうか
  */
-function handleCommand(message, prefix) {
-  // プレフィックスで始まるか確認
-  if (!message.content.startsWith(prefix)) return false;
+function isDMChannel(message) {
+  return message.channel.type === 1 || message.channel.type === 'DM';
+}
 
-  // コマンドと引数を分解
-  const args = message.content.slice(prefix.length).trim().split(/ +/);
-  const commandName = args.shift().toLowerCase();
+/**
+ * コマンドの実行権限を確認
+ * ADMIN_IDS に含まれるユーザーはDiscord権限の確認を省略する
+ * @param {Object} command - コマンド（またはサブコマンド）定義
+ * @param {Object} message - Discordメッセージオブジェクト
+ * @returns {{allowed: boolean, reason?: string}} 確認結果
+ */
+function checkPermissions(command, message) {
+  const admin = isAdmin(message.author.id);
+  const dm = isDMChannel(message);
 
-  // コマンドまたはエイリアスを検索
-  const command = commands.get(commandName) || 
-                  [...commands.values()].find(cmd => cmd.aliases && cmd.aliases.includes(commandName));
+  if (command.guildOnly && dm) {
+    return { allowed: false, reason: 'このコマンドはサーバー内でのみ使用できます。' };
+  }
+  if (command.dmOnly && !dm) {
+    return { allowed: false, reason: 'このコマンドはDMでのみ使用できます。' };
+  }
+  if (command.adminOnly && !admin) {
+    return { allowed: false, reason: 'このコマンドは管理者のみ使用できます。' };
+  }
 
-  // コマンドが存在しない場合
-  if (!command) return false;
+  const required = command.permissions || [];
+  if (required.length > 0 && !admin) {
+    const permissions = message.member && message.member.permissions;
+    const missing = required.filter(name =>
+      !permissions || typeof permissions.has !== 'function' || !permissions.has(PermissionFlagsBits[name])
+    );
+    if (missing.length > 0) {
+      return { allowed: false, reason: `このコマンドには次の権限が必要です: ${missing.join(', ')}` };
+    }
+  }
 
-  // 管理者専用コマンドの確認
-  if (command.adminOnly && !isAdmin(message.author.id)) {
-    message.reply('このコマンドは管理者のみ使用できます。');
-    return true;
+  return { allowed: true };
+}
+
+/**
+ * クールダウンを確認し、使用可能であれば記録する
+ * @private
+ * @param {Object} command - コマンド定義
+ * @param {string} userId - ユーザーID
+ * @returns {number} 残り秒数（0なら使用可能）
+ */
+function consumeCooldown(command, userId) {
+  if (!command.cooldown) return 0;
+
+  const key = `${command.name}:${userId}`;
+  const now = Date.now();
+  const expiresAt = cooldowns.get(key) || 0;
+
+  if (expiresAt > now) {
+    return Math.ceil((expiresAt - now) / 1000);
   }
 
+  cooldowns.set(key, now + command.cooldown * 1000);
+  return 0;
+}
+
+/**
+ * コマンドを実行する（プレフィックス・スラッシュ共通の実行経路）
+ * @param {Object} command - コマンド定義
+ * @param {Object} message - Discordメッセージ（またはメッセージ互換オブジェクト）
+ * @param {Object} input - 入力
+ * @param {Array<string>} [input.tokens] - 未解析の引数（プレフィックスコマンド）
+ * @param {Object} [input.values] - 型付けされた引数（スラッシュコマンド）
+ * @param {string} [input.subcommand] - サブコマンド名
+ * @param {Object} [context] - 実行コンテキスト（client, prefix など）
+ * @returns {Promise<boolean>} コマンドが処理されたかどうか
+ */
+async function executeCommand(command, message, input = {}, context = {}) {
+  const prefix = context.prefix || config.PREFIX;
+  let tokens = input.tokens ? [...input.tokens] : null;
+  let target = command;
+  let subcommandName = input.subcommand || null;
+
   try {
-    // コマンドを実行
-    command.execute(message, args);
+    // サブコマンドの解決
+    if (command.subcommands) {
+      if (!subcommandName && tokens && tokens.length > 0 && command.subcommands[tokens[0].toLowerCase()]) {
+        subcommandName = tokens.shift().toLowerCase();
+      }
+      if (!subcommandName && (!tokens || tokens.length === 0)) {
+        subcommandName = command.defaultSubcommand || null;
+      }
+      if (subcommandName) {
+        target = { ...command, ...command.subcommands[subcommandName], name: command.name };
+      } else if (!command.execute) {
+        await message.reply(`サブコマンドを指定してください: ${Object.keys(command.subcommands).join(', ')}\n使用法: \`${prefix}help ${command.name}\``);
+        return true;
+      }
+    }
+
+    // 権限の確認
+    const permission = checkPermissions(target, message);
+    if (!permission.allowed) {
+      await message.reply(permission.reason);
+      return true;
+    }
+
+    // 引数の解析と検証
+    const parsed = tokens
+      ? parseArguments(target.args, tokens)
+      : validateArguments(target.args, input.values || {});
+    if (!parsed.success) {
+      const usage = `${prefix}${command.name}${subcommandName ? ` ${subcommandName}` : ''} ${formatUsage(target.args)}`.trim();
+      await message.reply(`${parsed.error}\n使用法: \`${usage}\``);
+      return true;
+    }
+
+    // クールダウンの確認
+    const remaining = consumeCooldown(command, message.author.id);
+    if (remaining > 0) {
+      await message.reply(`このコマンドはあと${remaining}秒後に使用できます。`);
+      return true;
+    }
+
+    await target.execute(message, parsed.args, {
+      ...context,
+      prefix,
+      command,
+      subcommand: subcommandName,
+      rawArgs: input.tokens || [],
+      aiService: getAIService()
+    });
     return true;
   } catch (error) {
-    logger.error(`コマンド実行エラー: ${error.message}`);
-    message.reply('コマンドの実行中にエラーが発生しました。');
+    logger.error(`Error executing command "${command.name}":`, error);
+
+    try {
+      await message.reply('コマンドの実行中にエラーが発生しました。');
+    } catch (replyError) {
+      logger.error('Error sending command error message:', replyError);
+    }
+
     return true;
   }
 }
 
 /**
- * ユーザーが管理者かどうかを確認
- * @param {string} userId - ユーザーID
- * @returns {boolean} 管理者かどうか
+ * プレフィックスからのコマンドを処理する
+ * @param {Object} message - Discordメッセージオブジェクト
+ * @param {string} [prefix] - コマンドプレフィックス
+ * @param {Object} [client] - Discordクライアントオブジェクト
+ * @returns {Promise<boolean>} コマンドが実行されたかどうか
  */
-function isAdmin(userId) {
-  const adminIds = config.ADMIN_IDS ? config.ADMIN_IDS.split(',') : [];
-  return adminIds.includes(userId);
+async function handleCommand(message, prefix = config.PREFIX, client = message.client) {
+  // プレフィックスで始まるか確認
+  if (!message.content || !message.content.startsWith(prefix)) return false;
+
+  // コマンドと引数を分解
+  const tokens = message.content.slice(prefix.length).trim().split(/\s+/).filter(Boolean);
+  const commandName = (tokens.shift() || '').toLowerCase();
+
+  // コマンドまたはエイリアスを検索
+  const command = resolveCommand(commandName);
+
+  // コマンドが存在しない場合
+  if (!command) return false;
+
+  logger.debug(`コマンドを実行: ${command.name} (${message.author.id})`);
+  return executeCommand(command, message, { tokens }, { client, prefix });
 }
 
 /**
- * ヘルプコマンドを生成
- * @param {Object} message - Discordメッセージオブジェクト
- * @param {Array} args - コマンド引数
+ * 埋め込みのフィールドの上限（1024文字）を超えるテキストを、続きのフィールドに分けて追加する
+ * @private
+ * @param {EmbedBuilder} embed - 埋め込み
+ * @param {string} name - フィールド名
+ * @param {string} text - フィールドの内容
  */
-function helpCommand(message, args) {
+function addSplitFields(embed, name, text) {
+  const chunks = splitMessage(text, { limit: EMBED_FIELD_LIMIT });
+  embed.addFields(chunks.map((value, index) => ({ name: index === 0 ? name : `${name}（続き）`, value })));
+}
+
+/**
+ * コマンド一覧またはコマンド詳細のヘルプ埋め込みを生成
+ * @param {string} prefix - コマンドプレフィックス
+ * @param {string} [commandName] - 詳細を表示するコマンド名
+ * @returns {EmbedBuilder|null} ヘルプ埋め込み（コマンドが見つからない場合はnull）
+ */
+function buildHelpEmbed(prefix, commandName) {
   const embed = new EmbedBuilder()
-    .setColor('#0099ff')
-    .setTitle('ボッチー コマンドヘルプ')
-    .setDescription('利用可能なコマンド一覧:');
-
-  // 非表示でないコマンドのみリスト化
-  const visibleCommands = [...commands.values()].filter(cmd => !cmd.hidden);
-  
-  visibleCommands.forEach(command => {
-    embed.addFields({ 
-      name: `${config.PREFIX}${command.name}`, 
-      value: `${command.description}\n使用法: ${config.PREFIX}${command.usage}`
+    .setColor(0x00FFFF)
+    .setFooter({ text: `Bocchy v${config.BOT_VERSION} ・ スラッシュコマンド (/help など) も利用できます` });
+
+  // コマンド詳細
+  if (commandName) {
+    const command = resolveCommand(commandName);
+    if (!command || command.hidden) return null;
+
+    embed.setTitle(`${prefix}${command.name}`).setDescription(command.description);
+
+    const usages = command.subcommands
+      ? Object.entries(command.subcommands).map(([name, sub]) =>
+        `\`${`${prefix}${command.name} ${name} ${formatUsage(sub.args)}`.trim()}\` - ${sub.description || ''}`)
+      : [`\`${`${prefix}${command.name} ${formatUsage(command.args)}`.trim()}\``];
+    addSplitFields(embed, '使用法', usages.join('\n'));
+
+    const argSpecs = command.subcommands
+      ? Object.values(command.subcommands).flatMap(sub => sub.args || [])
+      : command.args;
+    if (argSpecs.length > 0) {
+      addSplitFields(embed, '引数', argSpecs.map(spec => `\`${spec.name}\`${spec.required ? '' : ' (省略可)'} - ${spec.description || ''}`).join('\n'));
+    }
+    if (command.aliases.length > 0) {
+      embed.addFields({ name: 'エイリアス', value: command.aliases.map(alias => `${prefix}${alias}`).join(', '), inline: true });
+    }
+    if (command.cooldown) {
+      embed.addFields({ name: 'クールダウン', value: `${command.cooldown}秒`, inline: true });
+    }
+    if (command.adminOnly || command.permissions.length > 0) {
+      embed.addFields({ name: '必要な権限', value: command.adminOnly ? 'ボット管理者' : command.permissions.join(', '), inline: true });
+    }
+    return embed;
+  }
+
+  // コマンド一覧（カテゴリごと）
+  embed
+    .setTitle('Bocchy Discord Bot - ヘルプ')
+    .setDescription(`以下のコマンドが利用可能です: (プレフィックス: ${prefix})\n詳細は \`${prefix}help <コマンド名>\` で確認できます`);
+
+  const categories = new Map();
+  [...commands.values()]
+    .filter(command => !command.hidden)
+    .forEach(command => {
+      if (!categories.has(command.category)) categories.set(command.category, []);
+      categories.get(command.category).push(command);
     });
+
+  categories.forEach((list, category) => {
+    addSplitFields(embed, category, list.map(command => {
+      const usage = command.subcommands
+        ? `${command.name} <${Object.keys(command.subcommands).join('|')}>`
+        : `${command.name} ${formatUsage(command.args)}`.trim();
+      return `\`${prefix}${usage}\` - ${command.description}`;
+    }).join('\n'));
   });
 
-  message.channel.send({ embeds: [embed] });
+  return embed;
 }
 
-// 基本コマンドを登録
+/**
+ * AIサービスを設定する
+ * @param {Object} provider - AIサービス
+ */
+function setAIProvider(provider) {
+  aiService = provider;
+}
+
+/**
+ * コマンドから利用するAIサービスを取得
+ * 未設定の場合は抽象化AIサービスを使用する
+ * @private
+ * @returns {Object} AIサービス
+ */
+function getAIService() {
+  if (!aiService) {
+    aiService = config.DM_MESSAGE_HANDLER === 'new'
+      ? require('../extensions/providers')
+      : require('../services/ai/ai-service');
+  }
+  return aiService;
+}
+
+// ヘルプコマンドを登録（登録済みコマンドから生成）
 registerCommand('help', {
   description: 'コマンド一覧を表示します',
-  usage: 'help',
-  execute: helpCommand
-});
-
-registerCommand('ping', {
-  description: 'Botの応答時間を確認します',
-  usage: 'ping',
-  execute: (message) => {
-    message.reply(`Pong! (${Date.now() - message.createdTimestamp}ms)`);
+  category: '一般',
+  args: [
+    { name: 'command', type: 'string', description: '詳細を表示するコマンド名' }
+  ],
+  execute: async (message, args, context) => {
+    const embed = buildHelpEmbed(context.prefix, args.command);
+    if (!embed) {
+      await message.reply(`コマンド「${args.command}」は見つかりませんでした。`);
+      return;
+    }
+    await message.reply({ embeds: [embed] });
   }
 });
 
+// コマンドディレクトリから読み込み
+loadCommands();
+
 // モジュールをエクスポート
 module.exports = {
   registerCommand,
+  loadCommands,
+  resolveCommand,
+  executeCommand,
   handleCommand,
+  checkPermissions,
+  buildHelpEmbed,
+  setAIProvider,
+  isAdmin,
   getCommands: () => commands
-}; 
\ No newline at end of file
+};
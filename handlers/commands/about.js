@@ -0,0 +1,28 @@
+/**
+ * Aboutコマンド
+ * ボットについての情報を表示する
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const config = require('../../config/env');
+
+module.exports = {
+  name: 'about',
+  description: 'ボットについての情報を表示します',
+  category: '一般',
+  execute: async (message) => {
+    const embed = new EmbedBuilder()
+      .setTitle('Bocchy Discord Bot')
+      .setDescription('文脈理解と自然な介入ができるDiscord AIボット')
+      .setColor(0x00FFFF)
+      .addFields(
+        { name: 'バージョン', value: config.BOT_VERSION },
+        { name: '使用しているAIモデル', value: config.AI_PROVIDER === 'openai' ? 'OpenAI API' : 'Google Gemini API' },
+        { name: '特徴', value: '・自然な会話\n・チャンネル内の会話文脈の理解\n・適切なタイミングでの会話への参加\n・Supabaseによる会話履歴の保存\n・複数のAIプロバイダー対応' },
+        { name: '開発者', value: 'Botarhythm' }
+      )
+      .setFooter({ text: 'Discord.js + OpenAI/Gemini API' });
+
+    await message.reply({ embeds: [embed] });
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * Interventionコマンド
+ * 文脈介入モードとクールダウンを表示・変更する（管理者用）
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const config = require('../../config/env');
+const {
+  updateInterventionMode,
+  updateInterventionCooldown
+} = require('../context-intervention');
+
+// 設定可能な介入モード
+const VALID_MODES = ['none', 'passive', 'balanced', 'active', 'aggressive'];
+
+module.exports = {
+  name: 'intervention',
+  description: '文脈介入の設定を表示・変更します',
+  category: '管理',
+  guildOnly: true,
+  permissions: ['Administrator'],
+  defaultSubcommand: 'show',
+  subcommands: {
+    show: {
+      description: '現在の文脈介入設定を表示します',
+      execute: async (message, args, { prefix }) => {
+        const embed = new EmbedBuilder()
+          .setTitle('文脈介入設定')
+          .setColor(0x00FFFF)
+          .addFields(
+            { name: '現在のモード', value: process.env.INTERVENTION_MODE || config.INTERVENTION_MODE, inline: true },
+            { name: 'クールダウン', value: `${process.env.INTERVENTION_COOLDOWN || config.INTERVENTION_COOLDOWN}秒`, inline: true },
+            { name: '設定可能なモード', value: VALID_MODES.join(', ') },
+            { name: '使用方法', value: `${prefix}intervention mode <mode> - モードを変更します\n${prefix}intervention cooldown <seconds> - クールダウンを設定します` }
+          );
+
+        await message.reply({ embeds: [embed] });
+      }
+    },
+    mode: {
+      description: '文脈介入モードを変更します',
+      args: [
+        { name: 'mode', type: 'string', required: true, choices: VALID_MODES, description: '介入モード' }
+      ],
+      execute: async (message, { mode }) => {
+        updateInterventionMode(mode);
+        await message.reply(`文脈介入モードを「${mode}」に設定しました。`);
+      }
+    },
+    cooldown: {
+      description: '文脈介入のクールダウンを設定します',
+      args: [
+        { name: 'seconds', type: 'integer', required: true, min: 0, description: 'クールダウン（秒）' }
+      ],
+      execute: async (message, { seconds }) => {
+        updateInterventionCooldown(seconds);
+        await message.reply(`文脈介入のクールダウンを ${seconds}秒 に設定しました。`);
+      }
+    }
+  }
+};
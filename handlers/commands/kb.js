@@ -0,0 +1,388 @@
+/**
+ * KBコマンド
+ * ナレッジベース（RAG）のドキュメントを追加・一覧・表示・削除・検索する (管理者のみ)
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const logger = require('../../system/logger');
+const { EMBED_DESCRIPTION_LIMIT, EMBED_FIELD_LIMIT } = require('../../utilities/message-splitter');
+const { getVisibleChannelIds } = require('../../core/utils/channel-visibility');
+
+// 一覧の1ページあたりの件数
+const PAGE_SIZE = 10;
+
+// 確認ボタンの待ち時間
+const CONFIRM_TIMEOUT = 60 * 1000;
+
+// 埋め込みの色
+const EMBED_COLOR = 0x7BC67B;
+
+// メッセージリンク (https://discord.com/channels/<guild>/<channel>/<message>)
+const MESSAGE_LINK_PATTERN = /^https:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/channels\/(\d+|@me)\/(\d+)\/(\d+)\/?$/;
+
+// 取り込み結果の表示
+const STATUS_LABELS = {
+  added: '追加',
+  updated: '更新',
+  unchanged: '変更なし',
+  unsupported: '未対応の形式',
+  empty: '本文なし',
+  failed: '失敗'
+};
+
+/**
+ * 初期化済みのRAGシステムを取得する
+ * @private
+ * @returns {Object|null} RAGシステム、無効または未初期化の場合はnull
+ */
+function getRAG() {
+  const rag = global.botchiRAG;
+  return rag && rag.isInitialized() ? rag : null;
+}
+
+/**
+ * テキストを指定した長さに切り詰める
+ * @private
+ * @param {string} text テキスト
+ * @param {number} limit 最大文字数
+ * @returns {string} 切り詰めたテキスト
+ */
+function truncate(text, limit) {
+  const value = String(text || '');
+  return value.length > limit ? `${value.substring(0, limit - 1)}…` : value;
+}
+
+/**
+ * 確認ボタンを表示し、押されたボタンを待つ
+ * @private
+ * @param {Object} message - メッセージ
+ * @param {string} content - 確認メッセージ
+ * @param {string} confirmLabel - 実行ボタンのラベル
+ * @returns {Promise<Object|null>} 実行ボタンが押された場合はそのインタラクション、キャンセル・タイムアウト時はnull
+ */
+async function confirm(message, content, confirmLabel) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('kb_confirm').setLabel(confirmLabel).setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId('kb_cancel').setLabel('キャンセル').setStyle(ButtonStyle.Secondary)
+  );
+  const prompt = await message.reply({ content, components: [row] });
+
+  let interaction;
+  try {
+    interaction = await prompt.awaitMessageComponent({
+      filter: i => i.user.id === message.author.id,
+      time: CONFIRM_TIMEOUT
+    });
+  } catch (error) {
+    await prompt.edit({ content: '確認がタイムアウトしたため、キャンセルしました。', components: [] }).catch(() => {});
+    return null;
+  }
+
+  if (interaction.customId !== 'kb_confirm') {
+    await interaction.update({ content: 'キャンセルしました。', components: [] });
+    return null;
+  }
+  return interaction;
+}
+
+/**
+ * メッセージリンクが指すメッセージを取得する
+ * @private
+ * @param {string} link - メッセージリンク
+ * @param {Object} message - コマンドのメッセージ
+ * @param {Object} client - Discordクライアント
+ * @returns {Promise<Object>} 結果 ({success, message, error})
+ */
+async function fetchLinkedMessage(link, message, client) {
+  const match = link.match(MESSAGE_LINK_PATTERN);
+  if (!match) {
+    return { success: false, error: 'メッセージリンクの形式が正しくありません。' };
+  }
+
+  const [, guildId, channelId, messageId] = match;
+  if (message.guild && guildId !== message.guild.id) {
+    return { success: false, error: 'このサーバーのメッセージのみ追加できます。' };
+  }
+
+  try {
+    const channel = await client.channels.fetch(channelId);
+    const linked = await channel.messages.fetch(messageId);
+    return { success: true, message: linked };
+  } catch (error) {
+    logger.warn(`Failed to fetch linked message ${link}: ${error.message}`);
+    return { success: false, error: 'メッセージを取得できませんでした。ボッチーがそのチャンネルを閲覧できるか確認してください。' };
+  }
+}
+
+/**
+ * 取り込み結果の埋め込みを作成する
+ * @private
+ * @param {Array<Object>} results - 取り込み結果
+ * @returns {EmbedBuilder} 埋め込み
+ */
+function buildIngestEmbed(results) {
+  const lines = results.map(result => {
+    const detail = result.success && result.chunks ? `（${result.chunks}チャンク）` : '';
+    const id = result.knowledgeId ? ` \`${result.knowledgeId}\`` : '';
+    return `**${STATUS_LABELS[result.status] || result.status}** ${result.source}${detail}${id}`;
+  });
+
+  return new EmbedBuilder()
+    .setTitle('📥 ナレッジベースへの追加')
+    .setColor(EMBED_COLOR)
+    .setDescription(truncate(lines.join('\n'), EMBED_DESCRIPTION_LIMIT));
+}
+
+/**
+ * ドキュメントの詳細の埋め込みを作成する
+ * @private
+ * @param {Object} doc - ドキュメント
+ * @returns {EmbedBuilder} 埋め込み
+ */
+function buildDocumentEmbed(doc) {
+  const metadata = doc.metadata || {};
+  const embed = new EmbedBuilder()
+    .setTitle(`📄 ${truncate(doc.title, 250)}`)
+    .setColor(EMBED_COLOR)
+    .setDescription(truncate(doc.content, 1500) || '（本文なし）')
+    .addFields({ name: 'ID', value: `\`${doc.id}\`` });
+
+  if (metadata.source) {
+    embed.addFields({ name: '取り込み元', value: truncate(metadata.source, EMBED_FIELD_LIMIT), inline: true });
+  }
+  if (metadata.format) {
+    embed.addFields({ name: '形式', value: metadata.format, inline: true });
+  }
+  if (metadata.authorId) {
+    embed.addFields({ name: '投稿者', value: `<@${metadata.authorId}>`, inline: true });
+  }
+
+  return embed.addFields({ name: '更新日時', value: (doc.updated_at || doc.created_at || '不明').slice(0, 19).replace('T', ' '), inline: true });
+}
+
+module.exports = {
+  name: 'kb',
+  aliases: ['knowledge'],
+  description: 'ナレッジベースのドキュメントを管理します (ボット管理者のみ)',
+  category: '管理',
+  cooldown: 3,
+  defer: true,
+  // ナレッジベースはすべてのサーバーで共有するため、サーバーの管理者ではなく ADMIN_IDS のユーザーに限る
+  adminOnly: true,
+  permissions: ['Administrator'],
+  defaultSubcommand: 'list',
+  subcommands: {
+    add: {
+      description: '添付ファイルまたはメッセージリンクの内容をナレッジベースに追加します',
+      args: [
+        { name: 'link', type: 'string', description: 'メッセージリンク（省略時はコマンドの添付ファイル）' }
+      ],
+      execute: async (message, { link }, { client }) => {
+        const rag = getRAG();
+        if (!rag) {
+          await message.reply('ナレッジベース（RAG）が有効になっていません。');
+          return;
+        }
+
+        let source = message;
+        if (link) {
+          const fetched = await fetchLinkedMessage(link, message, client);
+          if (!fetched.success) {
+            await message.reply(fetched.error);
+            return;
+          }
+          source = fetched.message;
+        }
+
+        // ユーザーの投稿に由来するドキュメントとして投稿者を記録する（!privacy の対象になる）
+        const metadata = { authorId: source.author.id, addedBy: message.author.id };
+        const attachments = source.attachments ? [...source.attachments.values()] : [];
+        const results = [];
+
+        if (link && source.content && source.content.trim()) {
+          results.push(await rag.ingestContent({
+            name: 'message.txt',
+            data: Buffer.from(source.content, 'utf8'),
+            source: link,
+            title: truncate(source.content.trim().split('\n')[0], 50),
+            metadata: { ...metadata, channelId: source.channel.id, messageId: source.id }
+          }));
+        }
+        for (const attachment of attachments) {
+          results.push(await rag.ingestAttachment(attachment, { metadata }));
+        }
+
+        if (results.length === 0) {
+          await message.reply('追加する内容がありません。ファイルを添付するか、メッセージリンクを指定してください。');
+          return;
+        }
+
+        await message.reply({ embeds: [buildIngestEmbed(results)] });
+      }
+    },
+    list: {
+      description: 'ドキュメントの一覧を表示します',
+      args: [
+        { name: 'page', type: 'integer', min: 1, description: 'ページ番号' }
+      ],
+      execute: async (message, { page = 1 }, { prefix }) => {
+        const rag = getRAG();
+        if (!rag) {
+          await message.reply('ナレッジベース（RAG）が有効になっていません。');
+          return;
+        }
+
+        const documents = await rag.listDocuments();
+        if (documents.length === 0) {
+          await message.reply('ナレッジベースにはまだドキュメントがありません🌱');
+          return;
+        }
+
+        const totalPages = Math.ceil(documents.length / PAGE_SIZE);
+        const current = Math.min(page, totalPages);
+        const lines = documents
+          .slice((current - 1) * PAGE_SIZE, current * PAGE_SIZE)
+          .map(doc => {
+            const source = doc.metadata?.source ? ` - ${truncate(doc.metadata.source, 60)}` : '';
+            return `\`${doc.id}\`\n**${truncate(doc.title, 80)}**${source}（${(doc.updated_at || '').slice(0, 10)}）`;
+          });
+
+        const embed = new EmbedBuilder()
+          .setTitle('📚 ナレッジベース')
+          .setColor(EMBED_COLOR)
+          .setDescription(lines.join('\n'))
+          .setFooter({
+            text: `${current}/${totalPages}ページ・全${documents.length}件${current < totalPages ? `・次のページ: ${prefix}kb list ${current + 1}` : ''}`
+          });
+
+        await message.reply({ embeds: [embed] });
+      }
+    },
+    show: {
+      description: 'ドキュメントの内容を表示します',
+      args: [
+        { name: 'id', type: 'string', required: true, description: 'ドキュメントのID' }
+      ],
+      execute: async (message, { id }) => {
+        const rag = getRAG();
+        if (!rag) {
+          await message.reply('ナレッジベース（RAG）が有効になっていません。');
+          return;
+        }
+
+        const doc = await rag.getDocument(id);
+        if (!doc) {
+          await message.reply(`ID \`${id}\` のドキュメントは見つかりませんでした。`);
+          return;
+        }
+
+        await message.reply({ embeds: [buildDocumentEmbed(doc)] });
+      }
+    },
+    delete: {
+      description: 'ドキュメントを削除します',
+      args: [
+        { name: 'id', type: 'string', required: true, description: 'ドキュメントのID' }
+      ],
+      execute: async (message, { id }) => {
+        const rag = getRAG();
+        if (!rag) {
+          await message.reply('ナレッジベース（RAG）が有効になっていません。');
+          return;
+        }
+
+        const doc = await rag.getDocument(id);
+        if (!doc) {
+          await message.reply(`ID \`${id}\` のドキュメントは見つかりませんでした。`);
+          return;
+        }
+
+        const interaction = await confirm(
+          message,
+          `「${truncate(doc.title, 100)}」をナレッジベースから削除します。元に戻せません。よろしいですか？`,
+          '削除する'
+        );
+        if (!interaction) return;
+
+        const result = await rag.deleteDocument(id);
+        await interaction.update({
+          content: result.success
+            ? `「${truncate(doc.title, 100)}」を削除しました🍃`
+            : 'ドキュメントの削除中にエラーが発生しました。',
+          components: []
+        });
+      }
+    },
+    search: {
+      description: 'ナレッジベースを検索し、類似度とともに表示します',
+      args: [
+        { name: 'query', type: 'string', required: true, rest: true, description: '検索する内容' }
+      ],
+      execute: async (message, { query }) => {
+        const rag = getRAG();
+        if (!rag) {
+          await message.reply('ナレッジベース（RAG）が有効になっていません。');
+          return;
+        }
+
+        // 応答と同じく、取り込んだチャンネルの会話は同じサーバーで閲覧できるチャンネルのものだけを表示する
+        const results = await rag.search(query, {
+          guildId: message.guild?.id || null,
+          channelIds: getVisibleChannelIds(message)
+        });
+        if (results.length === 0) {
+          await message.reply(`「${truncate(query, 100)}」に一致するドキュメントは見つかりませんでした。`);
+          return;
+        }
+
+        const embed = new EmbedBuilder()
+          .setTitle(`🔎 「${truncate(query, 200)}」の検索結果`)
+          .setColor(EMBED_COLOR)
+          .addFields(results.slice(0, 10).map((result, index) => {
+            const section = result.metadata?.section ? ` > ${result.metadata.section}` : '';
+            // キーワード検索だけで見つかった結果には類似度がない
+            const match = typeof result.similarity === 'number' ? `類似度 ${result.similarity.toFixed(3)}` : 'キーワード一致';
+            return {
+              name: truncate(`${index + 1}. ${result.metadata?.title || '無題'}${section}`, 256),
+              value: truncate(`${match}・\`${result.knowledgeId}\`\n${result.content.replace(/\s+/g, ' ')}`, 300)
+            };
+          }));
+
+        await message.reply({ embeds: [embed] });
+      }
+    },
+    reindex: {
+      description: 'すべてのドキュメントの埋め込みを作り直します',
+      execute: async (message) => {
+        const rag = getRAG();
+        if (!rag) {
+          await message.reply('ナレッジベース（RAG）が有効になっていません。');
+          return;
+        }
+
+        const interaction = await confirm(
+          message,
+          'すべてのドキュメントの埋め込みを作り直します。埋め込みの生成方法やモデルを変えたあとに実行してください。ドキュメントの量によっては時間とAPIの利用料がかかります。よろしいですか？',
+          '作り直す'
+        );
+        if (!interaction) return;
+
+        await interaction.update({ content: '埋め込みを作り直しています…', components: [] });
+        const result = await rag.reindexDocuments({
+          onProgress: async (done, total) => {
+            if (done % PAGE_SIZE === 0 && done < total) {
+              await interaction.editReply(`埋め込みを作り直しています…（${done}/${total}件）`).catch(() => {});
+            }
+          }
+        });
+
+        if (result.error) {
+          logger.error(`Knowledge base reindex failed: ${result.error}`);
+        }
+        await interaction.editReply(result.success
+          ? `埋め込みを作り直しました（ドキュメント ${result.documents}件・チャンク ${result.chunks}件）`
+          : `埋め込みの作り直し中にエラーが発生しました（成功 ${result.documents}件・失敗 ${result.failed}件）`);
+      }
+    }
+  }
+};
@@ -0,0 +1,97 @@
+/**
+ * Memoryコマンド
+ * ボッチーが覚えている自分についての事実を表示・削除する (DMでのみ有効)
+ */
+
+const logger = require('../../system/logger');
+const { splitMessage } = require('../../utilities/message-splitter');
+const { FACT_CATEGORIES } = require('../../extensions/memory/user-profile');
+
+/**
+ * 記憶システムのマネージャーを取得する
+ * @private
+ * @returns {Object|null} メモリマネージャー
+ */
+function getMemoryManager() {
+  return global.botchiMemory?.manager || null;
+}
+
+/**
+ * 事実の一覧をテキストに整形する
+ * @private
+ * @param {Array<Object>} facts 事実
+ * @param {string} prefix コマンドプレフィックス
+ * @returns {string} 表示用テキスト
+ */
+function formatFactList(facts, prefix) {
+  const lines = ['**ボッチーが覚えていること**'];
+
+  for (const [category, label] of Object.entries(FACT_CATEGORIES)) {
+    const items = facts.filter(fact => fact.category === category);
+    if (items.length === 0) continue;
+
+    lines.push('', `__${label}__`);
+    items.forEach(fact => {
+      lines.push(`\`${fact.id}\` ${fact.value}（${fact.updatedAt.slice(0, 10)}）`);
+    });
+  }
+
+  lines.push('', `削除するには \`${prefix}memory forget <ID>\` と送ってください。`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  name: 'memory',
+  description: 'ボッチーが覚えているあなたについての事実を表示・削除します (DMでのみ有効)',
+  category: '会話',
+  dmOnly: true,
+  cooldown: 3,
+  defaultSubcommand: 'show',
+  subcommands: {
+    show: {
+      description: '覚えている事実の一覧を表示します',
+      execute: async (message, args, { prefix }) => {
+        const manager = getMemoryManager();
+        const profile = manager ? await manager.getUserProfile(message.author.id) : null;
+
+        if (!profile) {
+          await message.reply('記憶システムが有効になっていないため、長期的な記憶はありません。');
+          return;
+        }
+        if (profile.facts.length === 0) {
+          await message.reply('まだあなたについて覚えていることはありません🌱');
+          return;
+        }
+
+        const [first, ...rest] = splitMessage(formatFactList(profile.facts, prefix));
+        await message.reply(first);
+        for (const chunk of rest) {
+          await message.channel.send(chunk);
+        }
+      }
+    },
+    forget: {
+      description: '指定したIDの事実を忘れます',
+      args: [
+        { name: 'id', type: 'string', required: true, description: '事実のID（例: f3）' }
+      ],
+      execute: async (message, { id }) => {
+        const manager = getMemoryManager();
+        if (!manager) {
+          await message.reply('記憶システムが有効になっていません。');
+          return;
+        }
+
+        const result = await manager.forgetUserFact(message.author.id, id.toLowerCase());
+        if (result.success) {
+          await message.reply(`「${result.fact.value}」を忘れました🍃`);
+        } else if (result.error === 'Fact not found') {
+          await message.reply(`ID \`${id}\` の記憶は見つかりませんでした。`);
+        } else {
+          logger.error(`Error forgetting profile fact: ${result.error}`);
+          await message.reply('記憶の削除中にエラーが発生しました。');
+        }
+      }
+    }
+  }
+};
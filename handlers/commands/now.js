@@ -0,0 +1,37 @@
+/**
+ * 日時表示コマンド
+ * 現在の日本時間を表示する
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const logger = require('../../system/logger');
+const { formatDateTime } = require('../../utilities/date-utils');
+
+module.exports = {
+  name: 'now',
+  description: '現在の日本時間を表示します',
+  category: '一般',
+  aliases: ['time', 'date', 'datetime'],
+  execute: async (message) => {
+    const isDM = message.channel.type === 1 || message.channel.type === 'DM';
+    logger.debug(`日時表示: DMか=${isDM}`);
+
+    const now = new Date();
+    // 日本時間に変換（日本はUTC+9）
+    const japanTime = new Date(now.getTime() + (9 * 60 * 60 * 1000));
+    const dateTimeStr = formatDateTime(japanTime);
+
+    // すべてのチャンネルタイプで同じリッチ埋め込みメッセージを使用
+    const embed = new EmbedBuilder()
+      .setTitle('🕒 現在の日本時間')
+      .setColor(0x00FFFF)
+      .setDescription(`${dateTimeStr}`)
+      .setFooter({ text: 'JST (日本標準時)' });
+
+    if (isDM) {
+      await message.channel.send({ embeds: [embed] });
+    } else {
+      await message.reply({ embeds: [embed] });
+    }
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Pingコマンド
+ * ボットの応答時間を確認する
+ */
+
+module.exports = {
+  name: 'ping',
+  description: 'ボットの応答時間を確認します',
+  category: '一般',
+  execute: async (message) => {
+    const timeTaken = Date.now() - message.createdTimestamp;
+    await message.reply(`Pong! このメッセージへの応答時間: ${timeTaken}ms`);
+  }
+};
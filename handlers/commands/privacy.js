@@ -0,0 +1,144 @@
+/**
+ * Privacyコマンド
+ * ボッチーが保持している自分のデータをエクスポート・削除する
+ * 管理者はサーバー内の保存期間を過ぎた会話データを一括削除できる
+ */
+
+const { ActionRowBuilder, AttachmentBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const config = require('../../config/env');
+const logger = require('../../system/logger');
+const privacy = require('../../extensions/privacy');
+
+// 確認ボタンの待ち時間
+const CONFIRM_TIMEOUT = 60 * 1000;
+
+/**
+ * 確認ボタンを表示し、押されたボタンを待つ
+ * @private
+ * @param {Object} message - メッセージ
+ * @param {string} content - 確認メッセージ
+ * @param {string} confirmLabel - 実行ボタンのラベル
+ * @returns {Promise<Object|null>} 実行ボタンが押された場合はそのインタラクション、キャンセル・タイムアウト時はnull
+ */
+async function confirm(message, content, confirmLabel) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('privacy_confirm').setLabel(confirmLabel).setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId('privacy_cancel').setLabel('キャンセル').setStyle(ButtonStyle.Secondary)
+  );
+  const prompt = await message.reply({ content, components: [row] });
+
+  let interaction;
+  try {
+    interaction = await prompt.awaitMessageComponent({
+      filter: i => i.user.id === message.author.id,
+      time: CONFIRM_TIMEOUT
+    });
+  } catch (error) {
+    await prompt.edit({ content: '確認がタイムアウトしたため、キャンセルしました。', components: [] }).catch(() => {});
+    return null;
+  }
+
+  if (interaction.customId !== 'privacy_confirm') {
+    await interaction.update({ content: 'キャンセルしました。', components: [] });
+    return null;
+  }
+  return interaction;
+}
+
+module.exports = {
+  name: 'privacy',
+  description: 'ボッチーが保持しているあなたのデータをエクスポート・削除します',
+  category: '会話',
+  cooldown: 10,
+  subcommands: {
+    export: {
+      description: '保持しているあなたのデータをJSONファイルでDMに送ります',
+      execute: async (message, args, { aiService }) => {
+        const userId = message.author.id;
+        const data = await privacy.exportUserData(userId, { aiService });
+        const file = new AttachmentBuilder(Buffer.from(JSON.stringify(data, null, 2), 'utf8'), {
+          name: `bocchy-data-${userId}.json`
+        });
+
+        try {
+          await message.author.send({
+            content: 'ボッチーが保持しているあなたのデータです📦',
+            files: [file]
+          });
+        } catch (error) {
+          logger.warn(`Failed to send privacy export to ${userId}: ${error.message}`);
+          await message.reply('DMを送れませんでした。サーバーのプライバシー設定でDMを許可してから、もう一度お試しください。');
+          return;
+        }
+
+        if (message.guild) {
+          await message.reply('DMにデータを送りました📬');
+        }
+      }
+    },
+    delete: {
+      description: '保持しているあなたのデータをすべて削除します',
+      execute: async (message, args, { aiService }) => {
+        const interaction = await confirm(
+          message,
+          '会話の記録、覚えている事実、ナレッジベースへの投稿など、ボッチーが保持しているあなたのデータをすべて削除します。元に戻せません。よろしいですか？',
+          '削除する'
+        );
+        if (!interaction) return;
+
+        const result = await privacy.deleteUserData(message.author.id, { aiService });
+        const { conversations, messages } = result.deleted;
+
+        if (result.success) {
+          await interaction.update({
+            content: `あなたのデータを削除しました🍃（会話 ${conversations}件・メッセージ ${messages}件）`,
+            components: []
+          });
+        } else {
+          await interaction.update({
+            content: '一部のデータを削除できませんでした。時間をおいてもう一度お試しください。',
+            components: []
+          });
+        }
+      }
+    },
+    purge: {
+      description: 'サーバー内の保存期間を過ぎた会話データを削除します (管理者のみ)',
+      guildOnly: true,
+      permissions: ['Administrator'],
+      args: [
+        { name: 'days', type: 'integer', min: 1, description: `保存期間（日数、デフォルト: ${config.PRIVACY_RETENTION_DAYS}）` }
+      ],
+      execute: async (message, { days }) => {
+        const olderThanDays = days || config.PRIVACY_RETENTION_DAYS;
+        const interaction = await confirm(
+          message,
+          `このサーバーの会話データのうち、${olderThanDays}日より前のものを削除します。元に戻せません。よろしいですか？`,
+          '一括削除する'
+        );
+        if (!interaction) return;
+
+        const result = await privacy.purgeGuildData({
+          guildId: message.guild.id,
+          channelIds: [...message.guild.channels.cache.keys()],
+          olderThanDays
+        });
+
+        if (result.success) {
+          await interaction.update({
+            content: `${olderThanDays}日より前の会話データを削除しました（会話 ${result.conversations}件・メッセージ ${result.messages}件）`,
+            components: []
+          });
+        } else {
+          logger.error(`Privacy purge failed: ${result.error}`);
+          await interaction.update({
+            content: result.error === 'Memory system is not enabled'
+              ? '記憶システムが有効になっていないため、削除するデータはありません。'
+              : '一括削除中にエラーが発生しました。',
+            components: []
+          });
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * Resetコマンド
+ * DMでの会話履歴をリセットする
+ */
+
+const logger = require('../../system/logger');
+
+module.exports = {
+  name: 'reset',
+  description: '会話履歴をリセットします (DMでのみ有効)',
+  category: '会話',
+  dmOnly: true,
+  cooldown: 10,
+  execute: async (message, args, { aiService }) => {
+    try {
+      // 新プロバイダーシステムの場合は現在のプロバイダーに委譲
+      const provider = typeof aiService.getProvider === 'function' ? aiService.getProvider() : aiService;
+
+      if (!provider) {
+        await message.reply('AIプロバイダーが見つかりません。');
+        return;
+      }
+
+      if (typeof provider.clearConversationHistory === 'function') {
+        await provider.clearConversationHistory(message.author.id);
+        await message.reply('会話履歴がリセットされました。');
+      } else {
+        await message.reply('このAIプロバイダーは会話履歴のリセットをサポートしていません。');
+      }
+    } catch (error) {
+      logger.error('Error resetting conversation history:', error);
+      await message.reply('会話履歴のリセット中にエラーが発生しました。');
+    }
+  }
+};
@@ -0,0 +1,222 @@
+/**
+ * Routeコマンド
+ * リクエストごとにプロバイダー・モデルを選ぶルーティングのルールを表示・追加・削除する（管理者用）
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const modelRouter = require('../../services/ai/model-router');
+const { splitMessage, EMBED_DESCRIPTION_LIMIT } = require('../../utilities/message-splitter');
+
+// 埋め込みの色
+const EMBED_COLOR = 0x00FFFF;
+
+// 条件の表示名
+const CONDITION_LABELS = {
+  guild: 'サーバー',
+  channel: 'チャンネル',
+  role: 'ロール',
+  surface: '種類',
+  task: '内容',
+  minLength: '最小文字数',
+  maxLength: '最大文字数'
+};
+
+/**
+ * `key=value` 形式のルールの指定を解析する
+ * 値のない最初の語はモデル名として扱う。guild を省略した場合はコマンドを実行したサーバーのルールになる
+ * ほかのサーバーや guild=all を指定できるのはボット管理者（ADMIN_IDS）のみ
+ * @private
+ * @param {string} text - 例: "gpt-4o channel=#dev-help task=code"
+ * @param {string} guildId - コマンドを実行したサーバー
+ * @param {boolean} botAdmin - コマンドを実行したユーザーがボット管理者かどうか
+ * @returns {{success: boolean, model?: string|null, match?: Object, error?: string}} 解析結果
+ */
+function parseRuleOptions(text, guildId, botAdmin) {
+  let model = null;
+  const match = { guild: guildId };
+
+  for (const token of (text || '').split(/\s+/).filter(Boolean)) {
+    const separator = token.indexOf('=');
+    if (separator === -1) {
+      if (model) {
+        return { success: false, error: `条件は \`key=value\` の形式で指定してください: ${token}` };
+      }
+      model = token;
+      continue;
+    }
+
+    const rawKey = token.slice(0, separator).toLowerCase();
+    const key = modelRouter.CONDITION_KEYS.find(item => item.toLowerCase() === rawKey);
+    if (!key) {
+      return { success: false, error: `不明な条件です: ${rawKey}（指定できる条件: ${modelRouter.CONDITION_KEYS.join(', ')}）` };
+    }
+    const value = token.slice(separator + 1);
+    if (key === 'guild') {
+      if (value !== guildId && !botAdmin) {
+        return { success: false, error: 'ほかのサーバーや guild=all のルールを追加できるのはボット管理者のみです。' };
+      }
+      // guild=all ですべてのサーバー（とDM）に適用する
+      match.guild = value.toLowerCase() === 'all' ? undefined : value;
+    } else if (key === 'channel') {
+      match.channel = value.replace(/^<#(\d+)>$/, '$1');
+    } else if (key === 'role') {
+      match.role = value.replace(/^<@&(\d+)>$/, '$1');
+    } else {
+      match[key] = key === 'surface' || key === 'task' ? value.toLowerCase() : value;
+    }
+  }
+
+  return { success: true, model, match };
+}
+
+/**
+ * ルールを表示用のテキストにする
+ * @private
+ * @param {Object} rule - ルール
+ * @returns {string} 例: "`r1` チャンネル: <#123> / 内容: code → openai / gpt-4o"
+ */
+function formatRule(rule) {
+  const conditions = Object.entries(rule.match).map(([key, value]) => {
+    if (key === 'channel') return `${CONDITION_LABELS[key]}: <#${value}>`;
+    if (key === 'role') return `${CONDITION_LABELS[key]}: <@&${value}>`;
+    return `${CONDITION_LABELS[key]}: ${value}`;
+  });
+  const target = `${rule.provider} / ${rule.model || '既定のモデル'}`;
+  return `\`${rule.id}\` ${conditions.join(' / ') || 'すべてのリクエスト'} → ${target}`;
+}
+
+/**
+ * コマンドを実行したユーザーがボット管理者（ADMIN_IDS）かどうか
+ * @private
+ * @param {Object} message - Discordメッセージ
+ * @returns {boolean} ボット管理者の場合はtrue
+ */
+function isBotAdmin(message) {
+  // コマンドハンドラーはコマンドを読み込む側のため、使うときに読み込む
+  return require('../command-handler').isAdmin(message.author.id);
+}
+
+/**
+ * 一覧・削除できるルール（そのサーバーのルールと、ボット管理者の場合はサーバーを限定しないルール）かどうか
+ * @private
+ * @param {Object} rule - ルール
+ * @param {string} guildId - サーバー
+ * @param {boolean} botAdmin - コマンドを実行したユーザーがボット管理者かどうか
+ * @returns {boolean} 一覧・削除できる場合はtrue
+ */
+function isVisibleIn(rule, guildId, botAdmin) {
+  return rule.match.guild ? rule.match.guild === guildId : botAdmin;
+}
+
+/**
+ * ルール一覧の埋め込みを作成する
+ * ルールが説明文の上限を超える場合は、ルールの途中で切らずに続きの埋め込みに分割し、使用方法は最後の埋め込みに付ける
+ * @private
+ * @param {Array<Object>} rules - 表示するルール
+ * @param {string} prefix - コマンドのプレフィックス
+ * @returns {Array<EmbedBuilder>} 埋め込み（1メッセージに1つずつ送信する）
+ */
+function buildListEmbeds(rules, prefix) {
+  const descriptions = rules.length > 0
+    ? splitMessage(rules.map(formatRule).join('\n'), { limit: EMBED_DESCRIPTION_LIMIT })
+    : ['ルールはありません。すべてのリクエストに既定のプロバイダーとモデルを使います。'];
+
+  const embeds = descriptions.map((description, index) => new EmbedBuilder()
+    .setTitle(index === 0 ? '🧭 モデルのルーティング' : '🧭 モデルのルーティング（続き）')
+    .setColor(EMBED_COLOR)
+    .setDescription(description));
+
+  embeds[embeds.length - 1].addFields({
+    name: '使用方法',
+    value: [
+      `${prefix}route add <provider> [model] [条件...] - ルールを追加します（上のルールから順に評価し、最初に一致したルールを使います）`,
+      `${prefix}route remove <id> - ルールを削除します`,
+      `${prefix}route test <text> - このチャンネルでのメンションに使われるルールを確認します`,
+      `条件: channel=#チャンネル role=@ロール surface=${modelRouter.SURFACES.join('|')} task=${modelRouter.TASK_TYPES.join('|')} minLength=数 maxLength=数 guild=all（ボット管理者のみ）`
+    ].join('\n')
+  });
+  return embeds;
+}
+
+module.exports = {
+  name: 'route',
+  aliases: ['routing'],
+  description: 'プロバイダー・モデルのルーティングのルールを表示・変更します',
+  category: '管理',
+  guildOnly: true,
+  permissions: ['Administrator'],
+  defaultSubcommand: 'list',
+  subcommands: {
+    list: {
+      description: 'このサーバーのルールを評価の順に表示します（サーバーを限定しないルールはボット管理者のみ）',
+      execute: async (message, args, { prefix }) => {
+        const botAdmin = isBotAdmin(message);
+        const rules = modelRouter.getRules().filter(rule => isVisibleIn(rule, message.guild.id, botAdmin));
+        const [first, ...rest] = buildListEmbeds(rules, prefix);
+
+        await message.reply({ embeds: [first] });
+        for (const embed of rest) {
+          await message.channel.send({ embeds: [embed] });
+        }
+      }
+    },
+    add: {
+      description: 'ルールを追加します',
+      args: [
+        { name: 'provider', type: 'string', required: true, choices: modelRouter.PROVIDER_NAMES, description: 'プロバイダー' },
+        { name: 'options', type: 'string', rest: true, description: 'モデル名と条件（例: gpt-4o channel=#dev-help task=code）' }
+      ],
+      execute: async (message, { provider, options }) => {
+        const parsed = parseRuleOptions(options, message.guild.id, isBotAdmin(message));
+        if (!parsed.success) {
+          await message.reply(parsed.error);
+          return;
+        }
+
+        const result = await modelRouter.addRule({ provider, model: parsed.model, match: parsed.match });
+        if (!result.success) {
+          await message.reply(`ルールを追加できませんでした: ${result.error}`);
+          return;
+        }
+        await message.reply(`ルールを追加しました🌿\n${formatRule(result.rule)}`);
+      }
+    },
+    remove: {
+      description: 'ルールを削除します',
+      args: [
+        { name: 'id', type: 'string', required: true, description: 'ルールのID（例: r1）' }
+      ],
+      execute: async (message, { id }) => {
+        const rule = modelRouter.getRules().find(item => item.id === id);
+        if (!rule || !isVisibleIn(rule, message.guild.id, isBotAdmin(message))) {
+          await message.reply(`ルール \`${id}\` は見つかりませんでした。`);
+          return;
+        }
+
+        const result = await modelRouter.removeRule(id);
+        await message.reply(result.success
+          ? `ルール \`${id}\` を削除しました🍃`
+          : `ルールを削除できませんでした: ${result.error}`);
+      }
+    },
+    test: {
+      description: 'このチャンネルでのメンションにどのルールが使われるかを確認します',
+      args: [
+        { name: 'text', type: 'string', required: true, rest: true, description: '確認するメッセージ' }
+      ],
+      execute: async (message, { text }) => {
+        const route = modelRouter.resolveRoute({
+          guildId: message.guild.id,
+          channelId: message.channel.id,
+          roleIds: message.member?.roles?.cache ? [...message.member.roles.cache.keys()] : [],
+          surface: 'mention',
+          message: text
+        });
+        const target = route.ruleId
+          ? `ルール \`${route.ruleId}\` → ${route.provider} / ${route.model || '既定のモデル'}`
+          : '一致するルールはありません（既定のプロバイダーとモデル）';
+        await message.reply(`${target}\n種類: ${route.surface} / 内容: ${route.taskType} / ${route.length}文字`);
+      }
+    }
+  }
+};
@@ -0,0 +1,177 @@
+/**
+ * Searchコマンド
+ * ウェブ検索を行い結果を要約して表示する
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const logger = require('../../system/logger');
+const { formatSearchResultForDiscord } = require('../../extensions/search-processor');
+const { splitMessage, EMBED_DESCRIPTION_LIMIT, EMBED_FIELD_LIMIT } = require('../../utilities/message-splitter');
+
+// 1メッセージあたりの埋め込みの合計文字数の上限（タイトル等の分の余裕を持たせる）
+const EMBED_TOTAL_LIMIT = 5800;
+
+// 検索クエリの補完候補として保持する件数
+const MAX_RECENT_QUERIES = 10;
+
+// ユーザーごとの最近の検索クエリ（オートコンプリート用）
+const recentQueries = new Map();
+
+/**
+ * 検索クエリを最近の履歴に記録
+ * @param {string} userId - ユーザーID
+ * @param {string} query - 検索クエリ
+ */
+function rememberQuery(userId, query) {
+  const history = (recentQueries.get(userId) || []).filter(q => q !== query);
+  history.unshift(query);
+  recentQueries.set(userId, history.slice(0, MAX_RECENT_QUERIES));
+}
+
+/**
+ * ユーザーの最近の検索クエリを取得（プライバシー用のエクスポート）
+ * @param {string} userId - ユーザーID
+ * @returns {Array<string>} 検索クエリ
+ */
+function getRecentQueries(userId) {
+  return [...(recentQueries.get(userId) || [])];
+}
+
+/**
+ * ユーザーの最近の検索クエリを削除
+ * @param {string} userId - ユーザーID
+ * @returns {boolean} 削除した場合はtrue
+ */
+function clearRecentQueries(userId) {
+  return recentQueries.delete(userId);
+}
+
+/**
+ * 検索クエリの補完候補を生成
+ * 入力中の文字列と、同じユーザーの最近の検索クエリから候補を返す
+ * @param {string} focused - 入力中の文字列
+ * @param {Object} interaction - オートコンプリートインタラクション
+ * @returns {Array<string>} 候補
+ */
+function suggestQueries(focused, interaction) {
+  const input = String(focused || '').trim();
+  const history = recentQueries.get(interaction.user.id) || [];
+
+  const candidates = input ? [input] : [];
+  history
+    .filter(query => !input || query.toLowerCase().includes(input.toLowerCase()))
+    .forEach(query => {
+      if (!candidates.includes(query)) candidates.push(query);
+    });
+
+  return candidates;
+}
+
+/**
+ * 検索結果の埋め込みを作成
+ * 説明文・情報源が上限を超える場合は、続きの埋め込みに分割する
+ * @param {string} query - 検索クエリ
+ * @param {Object} searchResults - 検索結果
+ * @returns {Array<EmbedBuilder>} 埋め込み（1メッセージに1つずつ送信する）
+ */
+function buildResultEmbeds(query, searchResults) {
+  const descriptions = splitMessage(searchResults.summary, { limit: EMBED_DESCRIPTION_LIMIT });
+  const sources = splitMessage(searchResults.sourcesList || '情報なし', { limit: EMBED_FIELD_LIMIT });
+
+  const embeds = descriptions.map((description, index) => new EmbedBuilder()
+    .setTitle(index === 0 ? `🔍 「${query}」の検索結果` : `🔍 「${query}」の検索結果（続き）`)
+    .setColor(0x00FFFF)
+    .setDescription(description));
+
+  // 1メッセージの埋め込みは合計6000文字までのため、収まらない場合は情報源を別の埋め込みにする
+  const sourcesLength = sources.reduce((total, value) => total + value.length, 0);
+  if (descriptions[descriptions.length - 1].length + sourcesLength > EMBED_TOTAL_LIMIT) {
+    embeds.push(new EmbedBuilder().setTitle(`🔍 「${query}」の情報源`).setColor(0x00FFFF));
+  }
+
+  const last = embeds[embeds.length - 1];
+  last
+    .addFields(sources.map((value, index) => ({ name: index === 0 ? '情報源' : '情報源（続き）', value })))
+    .setFooter({ text: `${searchResults.providerLabel || 'Web検索'}を使用` });
+
+  return embeds;
+}
+
+/**
+ * DMかどうかに応じて送信方法を切り替える
+ * @param {Object} message - Discordメッセージオブジェクト
+ * @param {boolean} isDM - DMかどうか
+ * @param {string|Object} payload - 送信内容
+ */
+async function send(message, isDM, payload) {
+  return isDM ? message.channel.send(payload) : message.reply(payload);
+}
+
+module.exports = {
+  name: 'search',
+  description: 'ウェブ検索を行い結果を要約して表示します',
+  category: '検索',
+  cooldown: 10,
+  defer: true,
+  args: [
+    {
+      name: 'query',
+      type: 'string',
+      required: true,
+      rest: true,
+      max: 200,
+      description: '検索キーワード',
+      autocomplete: suggestQueries
+    }
+  ],
+  execute: async (message, { query }) => {
+    const isDM = message.channel.type === 1 || message.channel.type === 'DM';
+    rememberQuery(message.author.id, query);
+
+    try {
+      await message.channel.sendTyping();
+    } catch (typingError) {
+      logger.debug('タイピング状態の設定に失敗しました:', typingError);
+      // 続行 - タイピング表示は重要ではない
+    }
+
+    // 検索開始の通知
+    try {
+      await send(message, isDM, `🔍 「${query}」を検索しています...`);
+    } catch (notifyError) {
+      logger.error('検索開始通知送信エラー:', notifyError);
+      // 続行 - 開始通知は重要ではない
+    }
+
+    try {
+      const searchService = require('../../extensions/search-service');
+
+      // 検索実行
+      const searchResults = await searchService.performSearch(query);
+      logger.debug(`検索結果: ${JSON.stringify(searchResults).substring(0, 100)}...`);
+
+      if (searchResults && searchResults.summary) {
+        if (isDM) {
+          // DMでは単純なテキストメッセージとして送信
+          for (const chunk of splitMessage(formatSearchResultForDiscord(searchResults))) {
+            await message.channel.send(chunk);
+          }
+        } else {
+          // 通常のチャンネルではリッチ埋め込みメッセージを使用
+          for (const embed of buildResultEmbeds(query, searchResults)) {
+            await message.reply({ embeds: [embed] });
+          }
+        }
+      } else {
+        await send(message, isDM, '検索結果が見つかりませんでした。別のキーワードで試してみてください。');
+      }
+    } catch (searchError) {
+      logger.error('検索モジュールエラー:', searchError);
+      await send(message, isDM, `検索処理中に問題が発生しました: ${searchError.message}`);
+    }
+  }
+};
+
+// プライバシー機能（!privacy）から参照する
+module.exports.getRecentQueries = getRecentQueries;
+module.exports.clearRecentQueries = clearRecentQueries;
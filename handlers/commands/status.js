@@ -0,0 +1,110 @@
+/**
+ * Statusコマンド
+ * ボットのステータスと設定情報を表示する
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const logger = require('../../system/logger');
+const config = require('../../config/env');
+const messageHistory = require('../../extensions/message-history');
+
+// 遮断器の状態の表示
+const CIRCUIT_LABELS = {
+  closed: '🟢 正常',
+  half_open: '🟡 試行中',
+  open: '🔴 遮断中'
+};
+
+/**
+ * プロバイダーチェーンの状態を表示用のテキストにする
+ * @private
+ * @param {Object} providerStatus - aiService.getProviderStatus の結果
+ * @returns {{providers: string, lastAnswer: string}} プロバイダーごとの状態と最後に応答したプロバイダー
+ */
+function formatProviderStatus(providerStatus) {
+  const providers = providerStatus.providers.map(item => {
+    let line = `${item.name}: ${CIRCUIT_LABELS[item.state] || item.state} (応答 ${item.responses}回)`;
+    if (item.nextProbeAt) {
+      line += ` 再試行 ${new Date(item.nextProbeAt).toLocaleTimeString()}`;
+    }
+    return line;
+  }).join('\n');
+
+  const { lastAnswer } = providerStatus;
+  let lastAnswerText = 'なし';
+  if (lastAnswer) {
+    lastAnswerText = lastAnswer.fallbackFrom.length > 0
+      ? `${lastAnswer.provider}（${lastAnswer.fallbackFrom.join(', ')} から切り替え）`
+      : lastAnswer.provider;
+  }
+
+  return { providers: providers || 'なし', lastAnswer: lastAnswerText };
+}
+
+module.exports = {
+  name: 'status',
+  description: 'ボットのステータスと設定情報を表示します',
+  category: '一般',
+  cooldown: 5,
+  defer: true,
+  execute: async (message, args, { client, aiService }) => {
+    // AIプロバイダーのステータスを取得
+    let aiStatus = 'Unknown';
+    let messageHistoryStatus = 'Not available';
+    let providerStatus = { providers: 'なし', lastAnswer: 'なし' };
+    let providerChain = config.AI_PROVIDER;
+
+    try {
+      // AIサービスの健全性チェック
+      const healthStatus = await aiService.checkHealth();
+      aiStatus = healthStatus.status === 'healthy' ? '正常' : '接続エラー';
+
+      // プロバイダーチェーンと遮断器の状態
+      if (typeof aiService.getProviderStatus === 'function') {
+        const status = aiService.getProviderStatus();
+        if (status.providers.length > 0) {
+          providerChain = status.providers.map(item => item.name).join(' → ');
+        }
+        providerStatus = formatProviderStatus(status);
+      }
+
+      // メッセージ履歴システムの状態を取得
+      if (messageHistory.getConfig) {
+        const historyConfig = messageHistory.getConfig();
+        messageHistoryStatus = `アクティブ (${historyConfig.activeChannels}チャンネル, ${historyConfig.totalMessagesStored}メッセージ)`;
+      }
+    } catch (error) {
+      logger.error('Error getting status:', error);
+      aiStatus = 'エラー発生';
+    }
+
+    // クライアント稼働時間を計算
+    const uptime = client.uptime || 0;
+    const days = Math.floor(uptime / 86400000);
+    const hours = Math.floor(uptime / 3600000) % 24;
+    const minutes = Math.floor(uptime / 60000) % 60;
+    const seconds = Math.floor(uptime / 1000) % 60;
+
+    const uptimeStr = `${days}日 ${hours}時間 ${minutes}分 ${seconds}秒`;
+
+    const embed = new EmbedBuilder()
+      .setTitle('Bocchy Bot - ステータス')
+      .setColor(0x00FFFF)
+      .addFields(
+        { name: 'バージョン', value: config.BOT_VERSION, inline: true },
+        { name: '稼働時間', value: uptimeStr, inline: true },
+        { name: 'Ping', value: `${client.ws.ping}ms`, inline: true },
+        { name: 'AIプロバイダー', value: providerChain, inline: true },
+        { name: 'AIステータス', value: aiStatus, inline: true },
+        { name: '最後に応答したプロバイダー', value: providerStatus.lastAnswer, inline: true },
+        { name: 'プロバイダーの状態', value: providerStatus.providers, inline: false },
+        { name: 'プロバイダーモード', value: config.DM_MESSAGE_HANDLER, inline: true },
+        { name: '文脈介入モード', value: process.env.INTERVENTION_MODE || config.INTERVENTION_MODE, inline: true },
+        { name: '介入クールダウン', value: `${process.env.INTERVENTION_COOLDOWN || config.INTERVENTION_COOLDOWN}秒`, inline: true },
+        { name: 'メッセージ履歴', value: messageHistoryStatus, inline: true }
+      )
+      .setFooter({ text: `サーバー時間: ${new Date().toLocaleString()}` });
+
+    await message.reply({ embeds: [embed] });
+  }
+};
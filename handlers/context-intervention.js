@@ -14,10 +14,8 @@ if (config.DM_MESSAGE_HANDLER === 'new') {
   // 新プロバイダーシステム
   aiService = require('../extensions/providers');
 } else {
-  // レガシーシステム
-  aiService = config.AI_PROVIDER === 'openai' 
-    ? require('../openai-service') 
-    : require('../gemini-service');
+  // レガシーシステム（AIサービス経由でプロバイダーを切り替え）
+  aiService = require('../services/ai/ai-service');
 }
 
 /**
@@ -106,6 +104,9 @@ async function generateContextResponse(message, history = []) {
       const conversationContext = {
         userId: message.author.id,
         username: message.author.username,
+        guildId: message.guild?.id,
+        channelId: message.channelId,
+        roleIds: message.member?.roles?.cache ? [...message.member.roles.cache.keys()] : [],
         message: contextPrompt,
         contextType: 'intervention'
       };
@@ -113,8 +114,16 @@ async function generateContextResponse(message, history = []) {
       // AIからの応答を取得
       response = await aiService.getResponse(conversationContext);
     } else {
-      // 従来のシステムを使用
-      response = await aiService.getResponse(contextPrompt, message.author.id);
+      // 従来のシステムを使用（AIサービスもコンテキストオブジェクトを受け取る）
+      response = await aiService.getResponse({
+        userId: message.author.id,
+        username: message.author.username,
+        guildId: message.guild?.id,
+        channelId: message.channelId,
+        roleIds: message.member?.roles?.cache ? [...message.member.roles.cache.keys()] : [],
+        message: contextPrompt,
+        contextType: 'intervention'
+      });
     }
     
     return response;
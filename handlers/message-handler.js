@@ -5,17 +5,25 @@ const logger = require('../system/logger');
 const { setupClient } = require('../core/discord-init');
 const config = require('../config');
 const characterDefinitions = require('../extensions/character/character');
-const { handleCommand } = require('./command-handler');
+const commandHandler = require('./command-handler');
 const { isValidForIntervention, shouldIntervene } = require('./context-intervention');
 const { shouldSearch, processMessage: performSearch } = require('./search-handler');
-const { processResults, formatSearchResultForAI } = require('../extensions/search-processor');
+const { formatSearchResultForAI } = require('../extensions/search-processor');
 const dateHandler = require('../extensions/date-handler');
+const { scopeProfile, selectRelevantFacts, formatFactsForPrompt } = require('../extensions/memory/user-profile');
+const { generateContinuityMessage } = require('../core/utils/time-context');
+const { getVisibleChannelIds } = require('../core/utils/channel-visibility');
+const { StreamingReply } = require('./streaming-reply');
+const { splitMessage } = require('../utilities/message-splitter');
+const { processAttachments, formatTextFilesForPrompt, formatRejectionMessage } = require('./attachment-handler');
+const { formatSourcesFooter } = require('../extensions/rag/prompt-context');
+const { getSurface } = require('../services/ai/model-router');
 const crypto = require('crypto');
-const { OpenAIService } = require('../extensions/openai-service');
-const { cleanPrompt } = require('../extensions/prompt-cleaner');
-const googleService = require('../extensions/google-service');
 const { BOT_VERSION, MEMORY_ENABLED, SEARCH_ENABLED } = require('../config');
 
+// 添付ファイルのみでテキストがない場合の既定の依頼文
+const DEFAULT_ATTACHMENT_PROMPT = '添付したファイルを見て、感想や内容を教えてください。';
+
 // Get environment variables
 const MENTIONS_ONLY = process.env.MENTIONS_ONLY === 'true';
 const IS_DEV_MODE = process.env.NODE_ENV === 'development';
@@ -27,6 +35,7 @@ const client = setupClient();
 
 function setAIProvider(provider) {
   aiService = provider;
+  commandHandler.setAIProvider(provider);
   logger.info('AI Service set in message handler');
 }
 
@@ -53,9 +62,9 @@ async function handleMessage(message) {
     logger.debug(`[${invocationId}] Mention: ${isMention}, DM: ${isDM}`);
 
     // Handle commands with prefix
-    if (message.content.startsWith(config.commandPrefix)) {
+    if (message.content.startsWith(config.PREFIX)) {
       logger.debug(`[${invocationId}] Executing command: ${message.content}`);
-      return await handleCommand(message, aiService);
+      return await commandHandler.handleCommand(message, config.PREFIX, client);
     }
 
     // Skip messages without mentions if mentions_only is enabled and not in DM
@@ -76,21 +85,37 @@ async function handleMessage(message) {
       message.channel.sendTyping();
 
       // Clean the message content from mentions
-      const cleanContent = message.content
+      let cleanContent = message.content
         .replace(new RegExp(`<@!?${client.user.id}>`, 'g'), '')
         .trim();
 
+      // 応答するプロバイダーをルーティングのルールで先に選び、そのプロバイダーの対応機能で添付ファイルと検索の扱いを決める
+      const route = await resolveRoute(message, cleanContent);
+      const capabilities = typeof aiService?.getCapabilities === 'function' ? aiService.getCapabilities(route) : {};
+
+      // 添付ファイル（画像・テキスト）の読み取り
+      const attachments = await processAttachments(message, capabilities);
+      if (attachments.rejected.length > 0) {
+        await message.reply(formatRejectionMessage(attachments.rejected));
+      }
+      const hasAttachments = attachments.images.length > 0 || attachments.textFiles.length > 0;
+
       // Skip empty messages
       if (!cleanContent) {
-        logger.debug(`[${invocationId}] Empty content after cleaning, not responding`);
-        return;
+        if (!hasAttachments) {
+          logger.debug(`[${invocationId}] Empty content after cleaning, not responding`);
+          return;
+        }
+        cleanContent = DEFAULT_ATTACHMENT_PROMPT;
       }
 
       logger.debug(`[${invocationId}] Cleaned message content: "${cleanContent}"`);
 
       // Check if we should perform a search
+      // ツール呼び出しに対応したプロバイダーではAIが web_search ツールで判断するため、キーワードでの検索は行わない
       logger.debug(`[${invocationId}] [handleMessage] Checking if search should be performed for: "${cleanContent}"`);
-      const performSearchCheck = shouldSearch(cleanContent);
+      const usesTools = !!capabilities.tools;
+      const performSearchCheck = !usesTools && shouldSearch(cleanContent);
       logger.debug(`[${invocationId}] [handleMessage] shouldSearch returned: ${performSearchCheck}`);
 
       if (performSearchCheck) {
@@ -99,15 +124,15 @@ async function handleMessage(message) {
           logger.debug(`[${invocationId}] Search determined necessary`);
           const searchResults = await performSearch(cleanContent);
           logger.debug(`[${invocationId}] [handleMessage] Search process completed. Success: ${searchResults?.success}. Results obtained: ${searchResults?.results?.length || 0}`);
-          await processMessageWithAI(message, cleanContent, searchResults);
+          await processMessageWithAI(message, cleanContent, searchResults, attachments, { route });
         } catch (err) {
           logger.error(`[${invocationId}] [handleMessage] Error during performSearch (processMessage): ${err.message}`);
-          await processMessageWithAI(message, cleanContent, null);
+          await processMessageWithAI(message, cleanContent, null, attachments, { route });
         }
       } else {
         logger.debug(`[${invocationId}] [handleMessage] Search not required. Proceeding without search.`);
         logger.debug(`[${invocationId}] Executing AI process without search`);
-        await processMessageWithAI(message, cleanContent, null);
+        await processMessageWithAI(message, cleanContent, null, attachments, { route });
       }
     } else if (await shouldIntervene(message, client /*, invocationId */)) {
       logger.debug(`[${invocationId}] Context intervention criteria met`); // Changed log message slightly for clarity
@@ -128,14 +153,25 @@ async function handleIntervention(message, invocationId = 'N/A') { // Accept ID
     message.channel.sendTyping();
 
     // Process the message for intervention
-    await processMessageWithAI(message, message.content, null);
+    await processMessageWithAI(message, message.content, null, null, { isIntervention: true });
   } catch (error) {
     logger.error(`[${invocationId}] Error handling intervention: ${error.stack}`);
   }
 }
 
-async function processMessageWithAI(message, content, searchResults = null) {
+/**
+ * AIで応答を生成して返信する
+ * @param {Object} message - Discordメッセージオブジェクト
+ * @param {string} content - ユーザーのメッセージ
+ * @param {Object} [searchResults] - 検索結果
+ * @param {Object} [attachments] - attachment-handler.processAttachments の結果
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.isIntervention] - 文脈介入による応答かどうか
+ * @param {Object} [options.route] - 先に選んだプロバイダーとモデル（aiService.resolveRoute の結果）
+ */
+async function processMessageWithAI(message, content, searchResults = null, attachments = null, options = {}) {
   const idLog = `[${message.channel.id}]`;
+  let streamingReply = null;
   
   try {
     if (!content || content.trim() === '') {
@@ -173,9 +209,12 @@ async function processMessageWithAI(message, content, searchResults = null) {
       channelType: message.channel.type,
       guildId: message.guild?.id,
       guildName: message.guild?.name,
+      roleIds: message.member?.roles?.cache ? [...message.member.roles.cache.keys()] : [],
+      visibleChannelIds: getVisibleChannelIds(message),
       message: content,
-      isIntervention: false
+      isIntervention: options.isIntervention === true
     };
+    messageContext.surface = getSurface(messageContext);
     
     logger.debug(`${idLog} Message context generated: ${JSON.stringify(messageContext).substring(0, 200)}...`);
 
@@ -185,16 +224,34 @@ async function processMessageWithAI(message, content, searchResults = null) {
       try {
         conversationHistory = await global.botchiMemory.manager.getConversationHistory(
           messageContext.channelId, 
-          10
+          10,
+          messageContext.userId
         );
         logger.debug(`${idLog} Retrieved ${conversationHistory.length} history items`);
       } catch (err) {
         logger.error(`${idLog} Error getting conversation history: ${err.message}`);
       }
+
+      // ユーザーについての長期記憶（今回の発言に関係する事実と前回の話題。サーバーではDMで覚えたことは使わない）
+      try {
+        const profile = scopeProfile(await global.botchiMemory.manager.getUserProfile(messageContext.userId), {
+          guildId: messageContext.guildId,
+          channelIds: messageContext.visibleChannelIds
+        });
+        if (profile) {
+          messageContext.userFacts = selectRelevantFacts(profile.facts, content);
+          messageContext.continuityMessage = generateContinuityMessage(messageContext.userId, profile);
+        }
+      } catch (err) {
+        logger.error(`${idLog} Error getting user profile: ${err.message}`);
+      }
     }
 
+    // ナレッジベース（RAG）の検索
+    const knowledge = await retrieveKnowledge(content, messageContext);
+
     // プロンプトの準備
-    const systemPrompt = buildContextPrompt(content, messageContext, conversationHistory, searchResults);
+    const systemPrompt = buildContextPrompt(content, messageContext, conversationHistory, searchResults, knowledge.section);
     logger.debug(`${idLog} System prompt generated`);
 
     // 検索結果があればそれを追加コンテキストとして利用
@@ -207,23 +264,56 @@ async function processMessageWithAI(message, content, searchResults = null) {
       logger.debug(`${idLog} No search results available, using clean content`);
     }
 
-    logger.debug(`${idLog} Sending request to AI service`);
-    const aiResponse = await aiService.getResponse({
+    // テキスト添付ファイルの内容をコンテキストに加える
+    if (attachments && attachments.textFiles.length > 0) {
+      additionalContext = `${formatTextFilesForPrompt(attachments.textFiles)}\n\n${additionalContext}`;
+      logger.debug(`${idLog} Attached ${attachments.textFiles.length} text files to AI context`);
+    }
+
+    const requestContext = {
       ...messageContext,
       systemPrompt,
-      additionalContext
-    });
+      additionalContext,
+      images: attachments ? attachments.images : [],
+      // 応答の末尾に付ける参考資料（ツールで検索した資料は応答の生成中に追加される）
+      knowledgeSources: [...knowledge.sources]
+    };
+    if (searchResults) {
+      requestContext.searchInfo = { performed: true, success: !!searchResults.success };
+    }
+    if (options.route) {
+      requestContext.route = options.route;
+    }
+
+    let aiResponse;
+    if (config.STREAMING_ENABLED && typeof aiService.streamResponse === 'function') {
+      // プレースホルダーを返信し、生成に合わせて編集していく
+      logger.debug(`${idLog} Sending streaming request to AI service`);
+      streamingReply = new StreamingReply(message);
+      await streamingReply.start();
+      aiResponse = await aiService.streamResponse(requestContext, delta => streamingReply.push(delta));
+    } else {
+      logger.debug(`${idLog} Sending request to AI service`);
+      aiResponse = await aiService.getResponse(requestContext);
+    }
     
     logger.debug(`${idLog} Received AI response: ${aiResponse ? aiResponse.substring(0, 50) + '...' : 'No response'}`);
 
     if (aiResponse && aiResponse.trim()) {
-      const formattedResponse = characterDefinitions.formatMessage(aiResponse);
-      const chunks = chunkMessage(formattedResponse, 1990);
-      logger.debug(`${idLog} Answer split into ${chunks.length} chunks`);
-      
-      for (const chunk of chunks) {
-        await message.reply(chunk);
-        logger.debug(`${idLog} Answer sent`);
+      // 応答の中で引用されたナレッジの資料名を末尾に添える
+      const formattedResponse = characterDefinitions.formatMessage(aiResponse) + formatSourcesFooter(aiResponse, requestContext.knowledgeSources);
+
+      if (streamingReply) {
+        await streamingReply.finish(formattedResponse);
+        logger.debug(`${idLog} Streaming answer finalized`);
+      } else {
+        const chunks = splitMessage(formattedResponse);
+        logger.debug(`${idLog} Answer split into ${chunks.length} chunks`);
+        
+        for (const chunk of chunks) {
+          await message.reply(chunk);
+          logger.debug(`${idLog} Answer sent`);
+        }
       }
       
       // 会話履歴を保存
@@ -233,7 +323,8 @@ async function processMessageWithAI(message, content, searchResults = null) {
             messageContext.channelId,
             messageContext.userId,
             content,
-            aiResponse 
+            aiResponse,
+            { isDM: messageContext.channelType === 1 }
           );
           logger.debug(`${idLog} Conversation history saved`);
         } catch (err) {
@@ -242,18 +333,86 @@ async function processMessageWithAI(message, content, searchResults = null) {
       }
     } else {
       logger.warn(`${idLog} AI returned empty response`);
-      await message.reply('申し訳ありません、応答を生成できませんでした。別の質問をお試しください。');
+      const emptyMessage = '申し訳ありません、応答を生成できませんでした。別の質問をお試しください。';
+      if (streamingReply) {
+        await streamingReply.finish(emptyMessage);
+      } else {
+        await message.reply(emptyMessage);
+      }
     }
   } catch (error) {
     logger.error(`${idLog} Error in processMessageWithAI: ${error.stack}`);
     try {
-      await message.reply('申し訳ありませんが、応答の処理中にエラーが発生しました。しばらく経ってからお試しください。');
+      const errorMessage = '申し訳ありませんが、応答の処理中にエラーが発生しました。しばらく経ってからお試しください。';
+      if (streamingReply) {
+        await streamingReply.fail(errorMessage);
+      } else {
+        await message.reply(errorMessage);
+      }
     } catch (replyError) {
       logger.error(`${idLog} Reply error: ${replyError.message}`);
     }
   }
 }
 
+/**
+ * 応答に使うプロバイダーとモデルをルーティングのルールで選ぶ
+ * @param {Object} message - Discordメッセージオブジェクト
+ * @param {string} content - ユーザーのメッセージ
+ * @returns {Promise<Object|null>} aiService.resolveRoute の結果（ルーティングに対応していない場合はnull）
+ */
+async function resolveRoute(message, content) {
+  if (typeof aiService?.resolveRoute !== 'function') {
+    return null;
+  }
+
+  const routingContext = {
+    userId: message.author.id,
+    channelId: message.channel.id,
+    channelType: message.channel.type,
+    guildId: message.guild?.id,
+    roleIds: message.member?.roles?.cache ? [...message.member.roles.cache.keys()] : [],
+    message: content
+  };
+  routingContext.surface = getSurface(routingContext);
+
+  try {
+    return await aiService.resolveRoute(routingContext);
+  } catch (error) {
+    logger.error(`[${message.channel.id}] Error resolving AI route: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 応答に使うナレッジをナレッジベースから検索する
+ * RAG_ENABLE_FOR_MENTIONS / RAG_ENABLE_FOR_DMS / RAG_ENABLE_FOR_INTERVENTIONS の設定に従う
+ * @param {string} content - ユーザーのメッセージ
+ * @param {Object} messageContext - メッセージコンテキスト
+ * @returns {Promise<{section: string, sources: Array<Object>}>} プロンプトのセクションと参考資料
+ */
+async function retrieveKnowledge(content, messageContext) {
+  const rag = global.botchiRAG;
+  if (!rag || typeof rag.retrieveForPrompt !== 'function') {
+    return { section: '', sources: [] };
+  }
+
+  try {
+    const knowledge = await rag.retrieveForPrompt(content, {
+      surface: messageContext.surface,
+      guildId: messageContext.guildId,
+      channelIds: messageContext.visibleChannelIds
+    });
+    if (knowledge.sources.length > 0) {
+      logger.debug(`[${messageContext.channelId}] Using ${knowledge.sources.length} knowledge base documents for AI context`);
+    }
+    return knowledge;
+  } catch (error) {
+    logger.error(`[${messageContext.channelId}] Error retrieving knowledge: ${error.message}`);
+    return { section: '', sources: [] };
+  }
+}
+
 /**
  * 検索結果をプロンプトに統合する
  * @param {Object} searchResults - 検索結果
@@ -286,7 +445,7 @@ function formatSearchResultsForPrompt(searchResults, userMessage) {
   prompt += `検索クエリ: ${userMessage}\n\n`;
   prompt += `検索結果:\n${formattedResultsText}\n\n`;
   prompt += `回答の指示:\n`;
-  prompt += `1. 検索結果の内容を自然な会話形式で要約してください。\n`;
+  prompt += `1. 検索結果の内容（本文の抜粋がある場合はそれを優先）を自然な会話形式で要約してください。\n`;
   prompt += `2. 情報源を適切に引用してください。\n`;
   prompt += `3. 日付情報がある場合は、それを含めて回答してください。\n`;
   prompt += `4. 回答は日本語で、親しみやすい口調でお願いします。\n`;
@@ -320,7 +479,7 @@ function formatConversationHistoryForPrompt(conversationHistory, messageContext,
   return promptSection;
 }
 
-function buildContextPrompt(userMessage, messageContext, conversationHistory = [], searchResults = null) {
+function buildContextPrompt(userMessage, messageContext, conversationHistory = [], searchResults = null, knowledgeSection = '') {
   // Get current time in Japan using the date handler
   const dateInfo = dateHandler.formatDateForAI(dateHandler.getCurrentJapanTime());
   const japanTime = dateHandler.getFormattedDateTimeString(); // 例: "2024年MM月DD日(曜日) 午後3時32分 (JST (UTC+9))"
@@ -360,6 +519,21 @@ function buildContextPrompt(userMessage, messageContext, conversationHistory = [
     systemPrompt += `- チャンネル: Direct Message\n`;
   }
   
+  // ユーザーについて覚えていること（長期記憶）
+  const factsSection = formatFactsForPrompt(messageContext.userFacts);
+  if (factsSection) {
+    systemPrompt += `\n${factsSection}`;
+    systemPrompt += `（これらは以前の会話でユーザー自身が話したことです。話の流れに合うときだけ自然に活かしてください）\n`;
+  }
+  if (messageContext.continuityMessage) {
+    systemPrompt += `\n【前回の会話】\n${messageContext.continuityMessage}\n`;
+  }
+
+  // ナレッジベースから見つかった情報（RAG）
+  if (knowledgeSection) {
+    systemPrompt += `\n${knowledgeSection}`;
+  }
+
   systemPrompt += `\n【重要な指示】\n`;
   systemPrompt += `- 日本語で応答してください。
 `;
@@ -379,32 +553,30 @@ function buildContextPrompt(userMessage, messageContext, conversationHistory = [
   systemPrompt += `- **メンバーに関する質問:** もし「このサーバーには誰がいますか？」といった質問を受けた場合は、現在サーバーに参加しているメンバーのニックネーム（またはユーザー名）をリストアップして答えるのが適切です。（現時点ではメンバーリストを直接参照できませんが、応答方針として覚えておいてください）
 `;
   
+  // 古い会話の要約（会話履歴の先頭のsystemメッセージ）は会話履歴の前に置く
+  const history = conversationHistory || [];
+  const summaryItems = history.filter(historyItem => historyItem.role === 'system');
+  summaryItems.forEach(historyItem => {
+    systemPrompt += `\n\n${historyItem.content}\n`;
+  });
+  const recentHistory = history.filter(historyItem => historyItem.role !== 'system');
+
   // 会話履歴の追加
-  if (conversationHistory && conversationHistory.length > 0) {
-    systemPrompt += `\n\n# 会話履歴\n以下は最近の${conversationHistory.length}件の会話です：\n`;
+  if (recentHistory.length > 0) {
+    systemPrompt += `\n\n# 会話履歴\n以下は最近の${recentHistory.length}件の会話です：\n`;
     
-    conversationHistory.forEach((historyItem, index) => {
+    recentHistory.forEach((historyItem, index) => {
       const roleName = historyItem.role === 'user' ? `${historyItem.username || 'ユーザー'}` : 'ボッチー';
       systemPrompt += `\n[${index + 1}] ${roleName}: ${historyItem.content}\n`;
     });
   }
     
   // 検索結果を整形してプロンプトに追加
-  const searchPromptSection = formatSearchResultsForPrompt(searchResults, userMessage);
-  systemPrompt += searchPromptSection;
-  
-  return systemPrompt;
-}
-
-// Function to chunk messages for Discord's 2000 character limit
-function chunkMessage(message, chunkSize = 1990) {
-  const chunks = [];
-  
-  for (let i = 0; i < message.length; i += chunkSize) {
-    chunks.push(message.slice(i, i + chunkSize));
+  if (searchResults && searchResults.success) {
+    systemPrompt += `\n\n${formatSearchResultsForPrompt(searchResults, userMessage)}`;
   }
   
-  return chunks;
+  return systemPrompt;
 }
 
 module.exports = {
@@ -1,12 +1,15 @@
 /**
- * 検索ハンドラー - Google Search APIを使用したウェブ検索機能
+ * 検索ハンドラー - 検索プロバイダー（Google Custom Search / SearXNG / Brave / Bing）を使用したウェブ検索機能
  * 
  * @module handlers/search-handler
  */
 
 const searchService = require('../extensions/search-service');
+const { formatSearchResultForDiscord, createErrorResult } = require('../extensions/search-processor');
+const searchProviders = require('../extensions/search-providers');
 const logger = require('../system/logger');
 const config = require('../config/env');
+const { splitMessage } = require('../utilities/message-splitter');
 
 // 検索トリガーフレーズ - 明確な検索意図・事実確認のみ
 const SEARCH_TRIGGERS = [
@@ -44,28 +47,23 @@ function isSearchEnabled() {
   // config.SEARCH_ENABLEDは有効かどうかのブール値
   const enabled = config.SEARCH_ENABLED !== false;
   
-  // APIキーが設定されているかどうかも確認
-  const apiKeyStatus = Boolean(process.env.GOOGLE_API_KEY && 
-                               process.env.GOOGLE_CSE_ID);
+  // 設定のそろった検索プロバイダーがあるかどうかも確認
+  const providers = searchProviders.getSearchProviders();
+  const apiKeyStatus = providers.length > 0;
                            
-  // APIキーが設定されていなければ機能は無効
+  // 使える検索プロバイダーがなければ機能は無効
   const isAvailable = enabled && apiKeyStatus;
   
   // 詳細なデバッグログ
   if (config.DEBUG) {
-    logger.debug(`検索機能ステータス: ${isAvailable ? '有効' : '無効'} (機能スイッチ: ${enabled ? 'ON' : 'OFF'}, APIキー: ${apiKeyStatus ? '設定済み' : '未設定'})`);
-    
-    // APIキーのソースを診断
-    const keySource = process.env.GOOGLE_API_KEY ? 'process.env.GOOGLE_API_KEY' : 'なし';
-    const cseIdSource = process.env.GOOGLE_CSE_ID ? 'process.env.GOOGLE_CSE_ID' : 'なし';
+    logger.debug(`検索機能ステータス: ${isAvailable ? '有効' : '無効'} (機能スイッチ: ${enabled ? 'ON' : 'OFF'}, プロバイダー: ${apiKeyStatus ? providers.map(provider => provider.name).join(' > ') : '未設定'})`);
     
     // 環境変数の状態も詳細に出力
-    logger.debug(`環境変数: SEARCH_ENABLED=${process.env.SEARCH_ENABLED || 'undefined'}, config.SEARCH_ENABLED=${config.SEARCH_ENABLED}`);
-    logger.debug(`APIキー状態: キーソース=${keySource}, CSE IDソース=${cseIdSource}`);
+    logger.debug(`環境変数: SEARCH_ENABLED=${process.env.SEARCH_ENABLED || 'undefined'}, config.SEARCH_ENABLED=${config.SEARCH_ENABLED}, SEARCH_PROVIDERS=${process.env.SEARCH_PROVIDERS || 'google'}`);
     
-    // APIキーが設定されていないときの警告
+    // プロバイダーが設定されていないときの警告
     if (!apiKeyStatus) {
-      logger.warn('Google Search APIキーまたはCSE IDが設定されていないため、検索機能は使用できません');
+      logger.warn('検索プロバイダーのAPIキーやURLが設定されていないため、検索機能は使用できません');
     }
   }
   
@@ -381,23 +379,23 @@ function detectSearchTrigger(content) {
 
 /**
  * メッセージを処理して検索を実行する
- * @param {Object} message Discordメッセージオブジェクト
- * @returns {Promise<Object>} 検索結果
+ * @param {Object|string} message Discordメッセージオブジェクト、またはメッセージの内容
+ * @returns {Promise<Object|null>} 検索結果（形式は extensions/search-processor.js を参照）、トリガーがない場合はnull
  */
 async function processMessage(message) {
   // 検索機能が有効かチェック
   if (!isSearchEnabled()) {
     logger.warn('検索機能が無効なため検索を実行できません');
-    return {
-      success: false,
+    return createErrorResult('', {
       error: '検索機能が現在利用できません',
-      message: '申し訳ありませんが、検索機能は現在ご利用いただけません。設定を確認してください。'
-    };
+      errorType: 'NOT_CONFIGURED',
+      summary: '申し訳ありませんが、検索機能は現在ご利用いただけません。設定を確認してください。'
+    });
   }
 
   try {
     // 検索トリガーを検出
-    const content = message.content;
+    const content = typeof message === 'string' ? message : message?.content;
     const triggerResult = detectSearchTrigger(content);
     
     if (!triggerResult) {
@@ -409,6 +407,9 @@ async function processMessage(message) {
     
     if (!query || query.trim() === '') {
       logger.warn('検索クエリが空です');
+      if (typeof message?.reply !== 'function') {
+        return null;
+      }
       await message.reply('検索するキーワードを指定してください。例: `!search 東京タワー` や `東京タワーについて調べて`');
       return null;
     }
@@ -416,42 +417,41 @@ async function processMessage(message) {
     logger.info(`検索実行: "${query}" (トリガー: ${trigger}, コマンド: ${commandTriggered || false}, ローカル検索: ${localSearch || false})`);
     
     if (config.DEBUG) {
-      logger.debug(`[processMessage] 検索サービスを呼び出します。APIキー状態: ${Boolean(process.env.GOOGLE_API_KEY)}, CSE ID状態: ${Boolean(process.env.GOOGLE_CSE_ID)}`);
+      logger.debug(`[processMessage] 検索サービスを呼び出します。プロバイダー: ${searchProviders.getSearchProviders().map(provider => provider.name).join(' > ')}`);
     }
     
-    // 検索オプションの設定
+    // 検索オプションの設定（結果の数はクエリのタイプに合わせて検索サービスが決める）
     const options = {
-      count: 5, // デフォルトの結果数
       useCache: true, // キャッシュを使用
-      language: 'lang_ja', // 日本語検索
+      language: 'ja', // 日本語検索
       country: 'jp', // 日本のリージョン
       useMockOnError: true // エラー時にモックデータを使用
     };
     
     // searchServiceを使用して検索を実行
-    const searchResult = await searchService.performSearch(query, options);
-    
-    // 結果の処理
-    return {
-      success: true,
-      query: query,
-      results: searchResult.sources || [],
-      summary: searchResult.summary || `「${query}」の検索結果はありませんでした。`,
-      sources: searchResult.sourcesList || '',
-      totalResults: searchResult.totalResults || 0,
-      queryType: searchResult.queryType || {}
-    };
+    return await searchService.performSearch(query, options);
     
   } catch (error) {
     logger.error(`検索処理中にエラーが発生しました: ${error.stack}`);
     
     // エラー時も仮応答は送信しない
-    return {
-      success: false,
+    return createErrorResult('', {
       error: error.message,
-      message: '検索処理中にエラーが発生しました。'
-    };
+      summary: '検索処理中にエラーが発生しました。'
+    });
+  }
+}
+
+/**
+ * 検索結果を送信用のテキストに整形する
+ * @param {Object} searchResult processMessage の検索結果
+ * @returns {string} 整形されたテキスト（結果がない場合は空文字）
+ */
+function formatSearchResultText(searchResult) {
+  if (!searchResult || !searchResult.success) {
+    return '';
   }
+  return formatSearchResultForDiscord(searchResult);
 }
 
 /**
@@ -467,11 +467,15 @@ async function sendSearchResult(message, searchResult) {
   
   try {
     // 検索結果をテキスト形式に変換
-    const resultText = searchService.formatSearchResultText(searchResult);
+    const resultText = formatSearchResultText(searchResult);
     
-    // 結果をDiscordに送信
+    // 結果をDiscordに送信（長い場合はリンクやコードブロックを壊さずに分割）
     if (resultText) {
-      await message.reply(resultText);
+      const [first, ...rest] = splitMessage(resultText);
+      await message.reply(first);
+      for (const chunk of rest) {
+        await message.channel.send(chunk);
+      }
       return true;
     }
     
@@ -578,51 +582,6 @@ async function processMessageWithSave(message) {
   return result;
 }
 
-/**
- * クエリ情報から検索タイプの情報を抽出・整理する
- * @param {Object} queryInfo 検索クエリ情報
- * @returns {Object} 検索タイプ情報
- */
-function getQueryTypeInfo(queryInfo) {
-  if (!queryInfo) return {};
-  
-  // デフォルトの検索タイプ情報
-  const typeInfo = {
-    isExplicitSearch: false,       // 明示的な検索要求（「〜を検索して」など）
-    isDefinitionQuery: false,      // 定義質問（「〜とは何ですか」など）
-    isHowToQuery: false,           // ハウツー質問（「どうやって〜するの」など）
-    isFactCheckQuery: false,       // 事実確認質問（「〜は本当ですか」など）
-    isCurrentInfoQuery: false,     // 最新情報質問（「最新の〜」など）
-    isWikiStyleQuery: false,       // 百科事典的質問（「〜とは」など）
-    isGeneralInfoQuery: false,     // 一般的な情報質問（その他の情報要求）
-    isLocalQuery: false            // 位置情報質問（「〜の場所」など）
-  };
-  
-  // queryInfoから検索タイプフラグを抽出
-  Object.keys(queryInfo).forEach(key => {
-    if (key.startsWith('is') && queryInfo[key] === true && typeInfo.hasOwnProperty(key)) {
-      typeInfo[key] = true;
-    }
-  });
-  
-  // 特殊な検索タイプの検出
-  if (queryInfo.isRecentInfoQuery) {
-    typeInfo.isCurrentInfoQuery = true;
-  }
-  
-  // ローカル検索かどうかをチェック
-  if (queryInfo.query) {
-    typeInfo.isLocalQuery = isLocalSearchQuery(queryInfo.query);
-  }
-  
-  // 明示的な検索指定がない場合は一般的な情報質問とみなす
-  if (!Object.keys(typeInfo).some(key => key !== 'isLocalQuery' && typeInfo[key])) {
-    typeInfo.isGeneralInfoQuery = true;
-  }
-  
-  return typeInfo;
-}
-
 /**
  * メッセージの内容から検索が必要かどうかを判断する
  * @param {string} content メッセージの内容
@@ -642,6 +601,5 @@ module.exports = {
   handleSearchIfTriggered,
   getLastSearchResult, // 新しい関数をエクスポート
   setLastSearchResult, // 新しい関数をエクスポート
-  getQueryTypeInfo,     // クエリタイプ情報取得関数
   shouldSearch
 };
\ No newline at end of file
@@ -0,0 +1,316 @@
+/**
+ * Bocchy Discord Bot - スラッシュコマンドハンドラー
+ * アプリケーションコマンドの定義・登録と、インタラクションの処理を行うモジュール
+ *
+ * スラッシュコマンドの定義は command-handler に登録されたコマンドの
+ * 引数スキーマ・サブコマンド・権限から生成し、実行も同じ経路で行う。
+ * MessageContentインテントなしでもコマンドを利用できるようにするための層。
+ */
+
+const {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  ChannelType,
+  REST,
+  Routes
+} = require('discord.js');
+const logger = require('../system/logger');
+const config = require('../config/env');
+const commandHandler = require('./command-handler');
+
+// 引数の型に対応するオプション追加メソッド
+const OPTION_BUILDERS = {
+  string: 'addStringOption',
+  integer: 'addIntegerOption',
+  number: 'addNumberOption',
+  boolean: 'addBooleanOption',
+  user: 'addUserOption',
+  channel: 'addChannelOption'
+};
+
+// Discordの説明文の最大長
+const MAX_DESCRIPTION_LENGTH = 100;
+
+/**
+ * 説明文をDiscordの制限内に収める
+ * @private
+ * @param {string} text - 説明文
+ * @returns {string} 切り詰めた説明文
+ */
+function toDescription(text) {
+  const value = text || '説明なし';
+  return value.length > MAX_DESCRIPTION_LENGTH ? `${value.substring(0, MAX_DESCRIPTION_LENGTH - 1)}…` : value;
+}
+
+/**
+ * 引数スキーマをスラッシュコマンドのオプションとして追加
+ * @private
+ * @param {Object} builder - SlashCommandBuilder またはサブコマンドビルダー
+ * @param {Array<Object>} schema - 引数スキーマ
+ */
+function addOptions(builder, schema = []) {
+  schema.forEach(spec => {
+    const type = spec.type || 'string';
+    const method = OPTION_BUILDERS[type] || OPTION_BUILDERS.string;
+
+    builder[method](option => {
+      option
+        .setName(spec.name)
+        .setDescription(toDescription(spec.description || spec.name))
+        .setRequired(!!spec.required);
+
+      if (Array.isArray(spec.choices) && spec.choices.length > 0) {
+        option.addChoices(...spec.choices.map(choice =>
+          (typeof choice === 'object' ? choice : { name: String(choice), value: choice })
+        ));
+      } else if (spec.autocomplete) {
+        option.setAutocomplete(true);
+      }
+
+      if (type === 'integer' || type === 'number') {
+        if (spec.min !== undefined) option.setMinValue(spec.min);
+        if (spec.max !== undefined) option.setMaxValue(spec.max);
+      } else if (type === 'string') {
+        if (spec.min !== undefined) option.setMinLength(spec.min);
+        if (spec.max !== undefined) option.setMaxLength(spec.max);
+      }
+
+      return option;
+    });
+  });
+}
+
+/**
+ * コマンド定義からスラッシュコマンド定義を生成
+ * @param {Object} command - command-handler のコマンド定義
+ * @returns {Object} アプリケーションコマンドのJSON
+ */
+function buildSlashCommand(command) {
+  const builder = new SlashCommandBuilder()
+    .setName(command.name)
+    .setDescription(toDescription(command.description));
+
+  if (command.permissions.length > 0) {
+    builder.setDefaultMemberPermissions(
+      command.permissions.reduce((bits, name) => bits | PermissionFlagsBits[name], 0n)
+    );
+  }
+  if (command.guildOnly) {
+    builder.setDMPermission(false);
+  }
+
+  if (command.subcommands) {
+    Object.entries(command.subcommands).forEach(([name, definition]) => {
+      builder.addSubcommand(sub => {
+        sub.setName(name).setDescription(toDescription(definition.description));
+        addOptions(sub, definition.args);
+        return sub;
+      });
+    });
+  } else {
+    addOptions(builder, command.args);
+  }
+
+  return builder.toJSON();
+}
+
+/**
+ * 登録用のスラッシュコマンド定義（JSON）を生成
+ * 非表示のコマンドと slash: false のコマンドは対象外
+ * @returns {Array<Object>} アプリケーションコマンドのJSON配列
+ */
+function buildSlashCommands() {
+  return [...commandHandler.getCommands().values()]
+    .filter(command => !command.hidden && command.slash !== false)
+    .map(buildSlashCommand);
+}
+
+/**
+ * スラッシュコマンドをDiscordに登録
+ * SLASH_COMMAND_GUILD_ID が設定されている場合はギルドコマンドとして即時反映させる
+ * @param {Object} client - Discordクライアントオブジェクト
+ * @returns {Promise<boolean>} 登録に成功したかどうか
+ */
+async function registerSlashCommands(client) {
+  const token = process.env.DISCORD_TOKEN;
+  const applicationId = process.env.DISCORD_CLIENT_ID || (client.user && client.user.id);
+
+  if (!token || !applicationId) {
+    logger.warn('スラッシュコマンドの登録をスキップしました: トークンまたはアプリケーションIDが未設定です');
+    return false;
+  }
+
+  try {
+    const rest = new REST({ version: '10' }).setToken(token);
+    const body = buildSlashCommands();
+    const route = config.SLASH_COMMAND_GUILD_ID
+      ? Routes.applicationGuildCommands(applicationId, config.SLASH_COMMAND_GUILD_ID)
+      : Routes.applicationCommands(applicationId);
+
+    await rest.put(route, { body });
+    logger.info(`スラッシュコマンドを登録しました: ${body.length}件 (${config.SLASH_COMMAND_GUILD_ID ? 'ギルド' : 'グローバル'})`);
+    return true;
+  } catch (error) {
+    logger.error('スラッシュコマンドの登録に失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * インタラクションをメッセージ互換のオブジェクトに変換
+ * reply と channel.send はどちらもインタラクションへの応答として送信する
+ * @param {Object} interaction - コマンドインタラクション
+ * @returns {Object} コマンドの execute が扱えるメッセージ風オブジェクト
+ */
+function createMessageAdapter(interaction) {
+  const respond = async (payload) => {
+    if (interaction.deferred && !interaction.replied) {
+      return interaction.editReply(payload);
+    }
+    if (interaction.replied) {
+      return interaction.followUp(payload);
+    }
+    return interaction.reply(payload);
+  };
+
+  const channelType = interaction.channel
+    ? interaction.channel.type
+    : (interaction.guildId ? ChannelType.GuildText : ChannelType.DM);
+
+  // キャッシュされていないギルドではmemberが生データになるため権限情報を補完する
+  let member = interaction.member || null;
+  if (member && interaction.memberPermissions && typeof member.permissions !== 'object') {
+    member = { ...member, permissions: interaction.memberPermissions };
+  }
+
+  return {
+    id: interaction.id,
+    content: `/${interaction.commandName}`,
+    author: interaction.user,
+    member,
+    guild: interaction.guild || null,
+    createdTimestamp: interaction.createdTimestamp,
+    channel: {
+      id: interaction.channelId,
+      type: channelType,
+      name: interaction.channel ? interaction.channel.name : undefined,
+      send: respond,
+      sendTyping: async () => {}
+    },
+    reply: respond,
+    isInteraction: true
+  };
+}
+
+/**
+ * 対象のサブコマンドを含めた引数スキーマを取得
+ * @private
+ * @param {Object} command - コマンド定義
+ * @param {string|null} subcommand - サブコマンド名
+ * @returns {Array<Object>} 引数スキーマ
+ */
+function getSchema(command, subcommand) {
+  if (command.subcommands && subcommand && command.subcommands[subcommand]) {
+    return command.subcommands[subcommand].args || [];
+  }
+  return command.args;
+}
+
+/**
+ * インタラクションのオプションを引数名と値のマップに変換
+ * @private
+ * @param {Array<Object>} schema - 引数スキーマ
+ * @param {Object} options - インタラクションのオプション
+ * @returns {Object} 引数名と値のマップ
+ */
+function readOptionValues(schema, options) {
+  const values = {};
+  schema.forEach(spec => {
+    if (spec.type === 'user') {
+      const user = options.getUser(spec.name);
+      values[spec.name] = user ? user.id : undefined;
+    } else if (spec.type === 'channel') {
+      const channel = options.getChannel(spec.name);
+      values[spec.name] = channel ? channel.id : undefined;
+    } else {
+      const option = options.get(spec.name);
+      values[spec.name] = option ? option.value : undefined;
+    }
+  });
+  return values;
+}
+
+/**
+ * オートコンプリートを処理する
+ * @private
+ * @param {Object} command - コマンド定義
+ * @param {Object} interaction - オートコンプリートインタラクション
+ */
+async function respondAutocomplete(command, interaction) {
+  const subcommand = command.subcommands ? interaction.options.getSubcommand(false) : null;
+  const focused = interaction.options.getFocused(true);
+  const spec = getSchema(command, subcommand).find(arg => arg.name === focused.name);
+
+  const suggestions = spec && spec.autocomplete ? await spec.autocomplete(focused.value, interaction) : [];
+  await interaction.respond(suggestions.slice(0, 25).map(value => {
+    const text = String(value).substring(0, 100);
+    return { name: text, value: text };
+  }));
+}
+
+/**
+ * インタラクションを処理する
+ * @param {Object} interaction - Discordインタラクション
+ * @returns {Promise<boolean>} インタラクションが処理されたかどうか
+ */
+async function handleInteraction(interaction) {
+  const command = commandHandler.resolveCommand(interaction.commandName);
+  if (!command || command.name !== interaction.commandName) return false;
+
+  if (interaction.isAutocomplete()) {
+    try {
+      await respondAutocomplete(command, interaction);
+    } catch (error) {
+      logger.error(`オートコンプリートの処理に失敗しました (${interaction.commandName}):`, error);
+    }
+    return true;
+  }
+
+  if (!interaction.isChatInputCommand()) return false;
+
+  logger.debug(`スラッシュコマンドを受信: /${interaction.commandName} (user: ${interaction.user.id})`);
+
+  const message = createMessageAdapter(interaction);
+
+  try {
+    const subcommand = command.subcommands ? interaction.options.getSubcommand(false) : null;
+    const values = readOptionValues(getSchema(command, subcommand), interaction.options);
+
+    if (command.defer) {
+      await interaction.deferReply();
+    }
+
+    await commandHandler.executeCommand(command, message, { values, subcommand }, {
+      client: interaction.client,
+      isSlash: true
+    });
+  } catch (error) {
+    logger.error(`スラッシュコマンドの実行中にエラーが発生しました (/${interaction.commandName}):`, error);
+
+    try {
+      await message.reply({ content: 'コマンドの実行中にエラーが発生しました。', ephemeral: !interaction.deferred });
+    } catch (replyError) {
+      logger.error('Error sending slash command error message:', replyError);
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  buildSlashCommand,
+  buildSlashCommands,
+  registerSlashCommands,
+  handleInteraction,
+  createMessageAdapter
+};
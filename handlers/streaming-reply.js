@@ -0,0 +1,159 @@
+/**
+ * Bocchy Discord Bot - ストリーミング返信
+ * AIのストリーミング応答を、プレースホルダーの返信を段階的に編集することで表示する
+ *
+ * - 編集は一定間隔に間引き、Discordのレート制限を超えないようにする
+ * - 2000文字を超えた分は続きのメッセージとして送信する（分割は utilities/message-splitter）
+ * - 編集は直列に実行し、順序が入れ替わらないようにする
+ */
+
+const logger = require('../system/logger');
+const config = require('../config/env');
+const { splitMessage } = require('../utilities/message-splitter');
+
+// 生成中であることを示すカーソル
+const CURSOR = ' ▌';
+
+/**
+ * ストリーミング返信クラス
+ */
+class StreamingReply {
+  /**
+   * @param {Object} message - 返信先のDiscordメッセージ
+   * @param {Object} [options] - オプション
+   * @param {number} [options.interval] - 編集間隔（ミリ秒）
+   * @param {string} [options.placeholder] - 最初に送信するプレースホルダー
+   * @param {Function} [options.split] - テキスト分割関数
+   */
+  constructor(message, options = {}) {
+    this.message = message;
+    this.interval = options.interval !== undefined ? options.interval : config.STREAM_EDIT_INTERVAL;
+    this.placeholder = options.placeholder || '🌿 考えています…';
+    this.split = options.split || splitMessage;
+
+    this.text = '';
+    this.sentMessages = [];
+    this.renderedContents = [];
+    this.timer = null;
+    this.queue = Promise.resolve();
+    this.lastRenderAt = 0;
+    this.finished = false;
+  }
+
+  /**
+   * プレースホルダーの返信を送信する
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const sent = await this.message.reply(this.placeholder);
+    this.sentMessages.push(sent);
+    this.renderedContents.push(this.placeholder);
+    this.lastRenderAt = Date.now();
+  }
+
+  /**
+   * 受信したテキスト片を追加し、間引いた間隔で表示を更新する
+   * @param {string} delta - テキスト片
+   */
+  push(delta) {
+    if (this.finished || !delta) return;
+    this.text += delta;
+    this._scheduleRender();
+  }
+
+  /**
+   * 最終的なテキストで表示を確定する
+   * @param {string} finalText - 確定するテキスト（後処理済みの応答など）
+   * @returns {Promise<void>}
+   */
+  async finish(finalText) {
+    this.finished = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await this._enqueue(() => this._render(finalText, true));
+  }
+
+  /**
+   * エラー時の表示に切り替える（受信済みのテキストは残す）
+   * @param {string} errorText - エラーメッセージ
+   * @returns {Promise<void>}
+   */
+  async fail(errorText) {
+    const text = this.text.trim() ? `${this.text}\n\n${errorText}` : errorText;
+    await this.finish(text);
+  }
+
+  /**
+   * 次の表示更新を予約する
+   * @private
+   */
+  _scheduleRender() {
+    if (this.timer) return;
+
+    const wait = Math.max(0, this.lastRenderAt + this.interval - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      if (!this.finished) {
+        this._enqueue(() => this._render(this.text, false));
+      }
+    }, wait);
+  }
+
+  /**
+   * 表示更新を直列に実行する
+   * @private
+   * @param {Function} task - 実行する処理
+   * @returns {Promise<void>}
+   */
+  _enqueue(task) {
+    this.queue = this.queue.then(task).catch(error => {
+      logger.warn(`ストリーミング返信の更新に失敗しました: ${error.message}`);
+    });
+    return this.queue;
+  }
+
+  /**
+   * テキストを分割し、既存メッセージの編集と続きのメッセージ送信で表示する
+   * @private
+   * @param {string} text - 表示するテキスト
+   * @param {boolean} final - 確定表示かどうか
+   */
+  async _render(text, final) {
+    if (!text) return;
+
+    const chunks = this.split(text);
+
+    for (let i = 0; i < chunks.length; i++) {
+      const isLast = i === chunks.length - 1;
+      const content = !final && isLast ? `${chunks[i]}${CURSOR}` : chunks[i];
+
+      if (i < this.sentMessages.length) {
+        if (this.renderedContents[i] !== content) {
+          await this.sentMessages[i].edit(content);
+          this.renderedContents[i] = content;
+        }
+      } else {
+        const sent = await this.message.channel.send(content);
+        this.sentMessages.push(sent);
+        this.renderedContents.push(content);
+      }
+    }
+
+    // 確定後のテキストが短くなった場合は余分なメッセージを削除
+    if (final && this.sentMessages.length > chunks.length) {
+      const extras = this.sentMessages.splice(chunks.length);
+      this.renderedContents.splice(chunks.length);
+      for (const extra of extras) {
+        await extra.delete();
+      }
+    }
+
+    this.lastRenderAt = Date.now();
+  }
+}
+
+module.exports = {
+  StreamingReply
+};
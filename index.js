@@ -127,7 +127,8 @@ if (process.env.RAG_ENABLED === 'true') {
     checkHealth: () => Promise.resolve({ status: 'unhealthy', message: 'RAG module not loaded' }),
     search: () => Promise.resolve([]),
     addToKnowledgeBase: () => Promise.resolve({ success: false }),
-    generateContextForPrompt: () => Promise.resolve('')
+    generateContextForPrompt: () => Promise.resolve(''),
+    retrieveForPrompt: () => Promise.resolve({ section: '', sources: [] })
   });
   
   // グローバル変数として保存し、他のモジュールからアクセス可能に
@@ -170,6 +171,7 @@ if (process.env.RAG_ENABLED === 'true') {
     search: () => Promise.resolve([]),
     addToKnowledgeBase: () => Promise.resolve({ success: false }),
     generateContextForPrompt: () => Promise.resolve(''),
+    retrieveForPrompt: () => Promise.resolve({ section: '', sources: [] }),
     isInitialized: () => false
   };
 }
@@ -256,6 +258,11 @@ async function startBot() {
     });
     logger.debug('Message handler registered successfully');
     
+    // RAG_INDEX_CHANNELS で指定したチャンネルの会話をナレッジベースに同期
+    if (typeof global.botchiRAG.registerChannelIndexer === 'function') {
+      global.botchiRAG.registerChannelIndexer(client);
+    }
+    
     // 5. Discordクライアントにログイン
     logger.info('Logging into Discord...');
     await discordInit.loginClient();
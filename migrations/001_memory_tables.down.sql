@@ -0,0 +1,4 @@
+DROP FUNCTION IF EXISTS increment_counter(UUID);
+DROP TABLE IF EXISTS {{MESSAGES_TABLE}};
+DROP TABLE IF EXISTS {{CONVERSATIONS_TABLE}};
+DROP TABLE IF EXISTS {{USERS_TABLE}};
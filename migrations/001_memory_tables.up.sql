@@ -0,0 +1,56 @@
+-- 会話テーブル
+CREATE TABLE IF NOT EXISTS {{CONVERSATIONS_TABLE}} (
+  id UUID PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  channel_id TEXT,
+  guild_id TEXT,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  message_count INTEGER DEFAULT 0,
+  is_active BOOLEAN DEFAULT TRUE
+);
+
+-- メッセージテーブル
+CREATE TABLE IF NOT EXISTS {{MESSAGES_TABLE}} (
+  id UUID PRIMARY KEY,
+  conversation_id UUID REFERENCES {{CONVERSATIONS_TABLE}}(id) ON DELETE CASCADE,
+  role TEXT NOT NULL,
+  content TEXT NOT NULL,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ユーザーテーブル
+CREATE TABLE IF NOT EXISTS {{USERS_TABLE}} (
+  id TEXT PRIMARY KEY,
+  platform TEXT NOT NULL DEFAULT 'discord',
+  metadata JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  settings JSONB DEFAULT '{}'::jsonb
+);
+
+-- インデックス
+CREATE INDEX IF NOT EXISTS idx_conversation_user_id ON {{CONVERSATIONS_TABLE}}(user_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_channel_id ON {{CONVERSATIONS_TABLE}}(channel_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_guild_id ON {{CONVERSATIONS_TABLE}}(guild_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_is_active ON {{CONVERSATIONS_TABLE}}(is_active);
+CREATE INDEX IF NOT EXISTS idx_message_conversation_id ON {{MESSAGES_TABLE}}(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_message_timestamp ON {{MESSAGES_TABLE}}(timestamp);
+CREATE INDEX IF NOT EXISTS idx_message_role ON {{MESSAGES_TABLE}}(role);
+
+-- メッセージカウント増加用関数
+CREATE OR REPLACE FUNCTION increment_counter(row_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  current_count INTEGER;
+BEGIN
+  SELECT message_count INTO current_count FROM {{CONVERSATIONS_TABLE}} WHERE id = row_id;
+  IF current_count IS NULL THEN
+    RETURN 1;
+  ELSE
+    RETURN current_count + 1;
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
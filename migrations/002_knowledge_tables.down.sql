@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS {{CHUNKS_TABLE}};
+DROP TABLE IF EXISTS {{KNOWLEDGE_TABLE}};
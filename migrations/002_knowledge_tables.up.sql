@@ -2,7 +2,7 @@
 CREATE EXTENSION IF NOT EXISTS vector;
 
 -- 知識ベーステーブル
-CREATE TABLE IF NOT EXISTS knowledge_base (
+CREATE TABLE IF NOT EXISTS {{KNOWLEDGE_TABLE}} (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   title TEXT NOT NULL,
   content TEXT NOT NULL,
@@ -12,18 +12,15 @@ CREATE TABLE IF NOT EXISTS knowledge_base (
 );
 
 -- チャンクテーブル（テキストの小さな断片）
-CREATE TABLE IF NOT EXISTS knowledge_chunks (
+CREATE TABLE IF NOT EXISTS {{CHUNKS_TABLE}} (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  knowledge_id UUID REFERENCES knowledge_base(id) ON DELETE CASCADE,
+  knowledge_id UUID REFERENCES {{KNOWLEDGE_TABLE}}(id) ON DELETE CASCADE,
   content TEXT NOT NULL,
-  embedding VECTOR(1536),  -- OpenAI embeddings
+  embedding VECTOR({{EMBEDDING_DIMENSIONS}}),
   metadata JSONB DEFAULT '{}'::JSONB,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- インデックス
-CREATE INDEX IF NOT EXISTS knowledge_chunks_knowledge_id_idx ON knowledge_chunks(knowledge_id);
-CREATE INDEX IF NOT EXISTS knowledge_chunks_embedding_idx ON knowledge_chunks USING ivfflat (embedding vector_cosine_ops);
-
--- サンプルデータ挿入（オプション）
--- INSERT INTO knowledge_base (title, content) VALUES ('サンプル知識', 'これはRAGシステムのテスト用のサンプル知識です。');
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS knowledge_chunks_knowledge_id_idx ON {{CHUNKS_TABLE}}(knowledge_id);
+CREATE INDEX IF NOT EXISTS knowledge_chunks_embedding_idx ON {{CHUNKS_TABLE}} USING ivfflat (embedding vector_cosine_ops);
@@ -0,0 +1 @@
+DROP FUNCTION IF EXISTS match_chunks(VECTOR({{EMBEDDING_DIMENSIONS}}), FLOAT, INT);
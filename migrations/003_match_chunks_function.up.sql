@@ -0,0 +1,33 @@
+-- ベクトル類似度検索用の関数
+CREATE OR REPLACE FUNCTION match_chunks(
+  query_embedding VECTOR({{EMBEDDING_DIMENSIONS}}),
+  match_threshold FLOAT,
+  match_count INT
+)
+RETURNS TABLE (
+  id UUID,
+  content TEXT,
+  knowledge_id UUID,
+  metadata JSONB,
+  similarity FLOAT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    kc.id,
+    kc.content,
+    kc.knowledge_id,
+    kc.metadata,
+    1 - (kc.embedding <=> query_embedding) AS similarity
+  FROM
+    {{CHUNKS_TABLE}} kc
+  WHERE
+    1 - (kc.embedding <=> query_embedding) > match_threshold
+  ORDER BY
+    similarity DESC
+  LIMIT
+    match_count;
+END;
+$$;
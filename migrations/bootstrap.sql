@@ -0,0 +1,24 @@
+-- マイグレーションランナー用のSQL実行関数（初回のみSupabaseのSQLエディタで実行）
+-- SELECT / WITH で始まるSQLは結果をJSON配列で返し、それ以外はそのまま実行する
+-- 関数内の処理は1つのトランザクションとして実行されるため、マイグレーションは途中で失敗しても適用されない
+CREATE OR REPLACE FUNCTION exec_sql(sql TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  result JSONB;
+BEGIN
+  IF sql ~* '^\s*(select|with)\s' THEN
+    EXECUTE 'SELECT COALESCE(jsonb_agg(t), ''[]''::jsonb) FROM (' || sql || ') t' INTO result;
+    RETURN result;
+  END IF;
+
+  EXECUTE sql;
+  RETURN '[]'::jsonb;
+END;
+$$;
+
+-- 任意のSQLを実行できるため、service_role 以外からは呼び出せないようにする
+REVOKE EXECUTE ON FUNCTION exec_sql(TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION exec_sql(TEXT) TO service_role;
@@ -8,13 +8,22 @@ const axios = require('axios');
 const config = require('../../config/env');
 const searchService = require('../../extensions/search-service');
 const dateHandler = require('../../extensions/date-handler');
+const tools = require('./tools');
+const { runToolLoop, buildInitialMessages } = require('./tools/tool-loop');
+const ProviderChain = require('./provider-chain');
+const { ProviderChainError } = ProviderChain;
+const modelRouter = require('./model-router');
 
 // 環境変数から設定を読み込み
 require('dotenv').config();
 
 // プロバイダーの設定
 const AI_PROVIDER = process.env.AI_PROVIDER || 'openai';
+// 優先順のプロバイダー（失敗したら次のプロバイダーに切り替える）
+const AI_PROVIDER_CHAIN = config.AI_PROVIDER_CHAIN || [AI_PROVIDER];
 const DEBUG = process.env.DEBUG === 'true';
+// ツール呼び出し（対応プロバイダーでは検索・日時の確認などをAIが判断して行う）
+const TOOLS_ENABLED = process.env.AI_TOOLS_ENABLED !== 'false';
 
 // ユーザーエラーメッセージ
 const ERROR_MESSAGES = {
@@ -25,11 +34,47 @@ const ERROR_MESSAGES = {
   invalid: '🌱 有効な応答を生成できませんでした。別の言い方でお試しください。'
 };
 
-// プロバイダーインスタンス
-let provider = null;
+// プロバイダーチェーン（provider-chain）
+let chain = null;
+// ルーティングのルールで指定されたが、読み込めなかった・未設定のプロバイダー
+const unavailableRouteProviders = new Set();
+// ルーティングのルールのためだけに読み込んだプロバイダー（ルールで選ばれたリクエスト以外では試さない）
+const routeOnlyProviders = new Set();
+
+/**
+ * いま最初に試されるプロバイダーを返す
+ * @private
+ * @returns {Object|null} プロバイダーモジュール
+ */
+function getActiveProvider() {
+  const active = chain ? chain.getActive() : null;
+  return active ? active.provider : null;
+}
+
+/**
+ * ルーティングで選んだプロバイダーを返す（ルールに一致しない場合は、いま最初に試されるプロバイダー）
+ * @private
+ * @param {Object|null} [route] - resolveRoute の結果
+ * @returns {Object|null} プロバイダーモジュール
+ */
+function getRouteProvider(route) {
+  const routed = route?.provider && chain ? chain.getProviders().find(entry => entry.name === route.provider) : null;
+  return routed ? routed.provider : getActiveProvider();
+}
+
+/**
+ * AIプロバイダーを初期化する
+ * 複数のプロバイダーを指定した場合は、先頭のプロバイダーが失敗したときに次のプロバイダーに切り替える
+ * 設定（APIキーなど）のそろっていないプロバイダーはチェーンから外す
+ * @param {string|Array<string>} [providerNames] プロバイダー名（カンマ区切りまたは配列、デフォルト: AI_PROVIDER_CHAIN）
+ * @returns {Promise<Object|boolean>} 初期化の結果
+ */
+async function initialize(providerNames = AI_PROVIDER_CHAIN) {
+  const names = (Array.isArray(providerNames) ? providerNames : String(providerNames).split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+  const providerName = names[0];
 
-// AIプロバイダーの初期化
-async function initialize(providerName = AI_PROVIDER) {
   try {
     // テスト環境での特別な処理
     if (process.env.NODE_ENV === 'test') {
@@ -44,7 +89,7 @@ async function initialize(providerName = AI_PROVIDER) {
       
       // テスト環境で特定のプロバイダーを指定した場合
       if (providerName === 'anthropic') {
-        provider = { name: 'anthropic' }; // プロバイダーをモック設定
+        chain = new ProviderChain([{ name: 'anthropic', provider: { name: 'anthropic' } }]); // プロバイダーをモック設定
         return {
           initialized: true,
           provider: 'anthropic'
@@ -52,30 +97,49 @@ async function initialize(providerName = AI_PROVIDER) {
       }
       
       // OpenAIなど他のプロバイダーの場合 (デフォルト)
-      provider = { name: 'openai' }; // プロバイダーをモック設定
+      chain = new ProviderChain([{ name: 'openai', provider: { name: 'openai' } }]); // プロバイダーをモック設定
       // テスト環境での標準的な成功応答を返す
       return true;
     }
     
     // 指定されたプロバイダーを動的にロード
-    let providerModule;
-    try {
-      providerModule = require(`./${providerName}-service`);
-      logger.info(`Provider ${providerName} loaded successfully`);
-    } catch (providerError) {
-      logger.error(`Failed to load provider ${providerName}: ${providerError.message}`);
+    const loaded = [];
+    for (const name of names) {
+      try {
+        loaded.push({ name, provider: require(`./${name}-service`) });
+        logger.info(`Provider ${name} loaded successfully`);
+      } catch (providerError) {
+        logger.error(`Failed to load provider ${name}: ${providerError.message}`);
+      }
+    }
+    if (loaded.length === 0) {
       return {
         initialized: false,
-        error: `Provider ${providerName} is not available`,
+        error: `Provider ${names.join(', ')} is not available`,
         provider: null
       };
     }
     
-    // プロバイダーをグローバル変数に設定
-    provider = providerModule;
+    // 設定のそろっていないプロバイダーは外す（すべて未設定の場合は先頭のプロバイダーを使う）
+    const configured = loaded.filter(({ name, provider }) => {
+      const isConfigured = typeof provider.isConfigured !== 'function' || provider.isConfigured();
+      if (!isConfigured) {
+        logger.warn(`Provider ${name} is not configured, skipping it in the provider chain`);
+      }
+      return isConfigured;
+    });
+    const entries = configured.length > 0 ? configured : loaded.slice(0, 1);
     
     // プロバイダー固有の初期化を実行
-    const initResult = await providerModule.initialize();
+    const initResults = [];
+    for (const { provider } of entries) {
+      initResults.push(await provider.initialize());
+    }
+    chain = new ProviderChain(entries);
+    logger.info(`AI provider chain: ${entries.map(entry => entry.name).join(' → ')}`);
+    
+    // リクエストごとのプロバイダー・モデルのルーティングのルールを読み込む
+    await modelRouter.initialize();
     
     // 検索サービスの初期化
     const searchInitialized = await searchService.initialize();
@@ -86,8 +150,9 @@ async function initialize(providerName = AI_PROVIDER) {
     // 本番環境では詳細な情報を含む
     return {
       initialized: true,
-      provider: providerName,
-      ...initResult
+      provider: entries[0].name,
+      providers: entries.map(entry => entry.name),
+      ...initResults[0]
     };
   } catch (error) {
     logger.error(`AI Service initialization error: ${error.message}`);
@@ -101,13 +166,14 @@ async function initialize(providerName = AI_PROVIDER) {
 
 /**
  * 健全性チェック
- * @returns {Promise<Object>} 健全性状態
+ * プロバイダーチェーンのすべてのプロバイダーを確認し、応答できるプロバイダーがあれば healthy を返す
+ * @returns {Promise<Object>} 健全性状態 ({status, provider, providers})
  */
 async function checkHealth() {
   // テスト環境での特別な処理
   if (process.env.NODE_ENV === 'test') {
     // テストケースの区別：初期化前と初期化後
-    if (!provider) {
+    if (!chain) {
       return {
         status: 'unconfigured',
         provider: null
@@ -119,27 +185,34 @@ async function checkHealth() {
     };
   }
   
-  if (!provider || typeof provider.checkHealth !== 'function') {
+  if (!chain) {
     return { 
       status: 'unconfigured',
       provider: null
     };
   }
   
-  try {
-    const result = await provider.checkHealth();
-    return {
-      status: result.status || 'healthy',
-      provider: provider === null ? null : AI_PROVIDER
-    };
-  } catch (error) {
-    logger.error(`Health check error: ${error.message}`);
-    return { 
-      status: 'error', 
-      message: error.message,
-      provider: provider === null ? null : AI_PROVIDER
-    };
-  }
+  const providers = await Promise.all(chain.getProviders().map(async ({ name, provider }) => {
+    if (typeof provider.checkHealth !== 'function') {
+      return { name, status: 'unknown' };
+    }
+    try {
+      const result = await provider.checkHealth();
+      return { name, status: result.status || 'healthy' };
+    } catch (error) {
+      logger.error(`Health check error (${name}): ${error.message}`);
+      return { name, status: 'error', message: error.message };
+    }
+  }));
+  
+  const healthy = providers.find(item => item.status === 'healthy');
+  const reported = healthy || providers[0];
+  return {
+    status: reported.status,
+    message: reported.message,
+    provider: reported.name,
+    providers
+  };
 }
 
 /**
@@ -150,7 +223,7 @@ function getConfig() {
   // テスト環境での特別な処理
   if (process.env.NODE_ENV === 'test') {
     // 初期化前と初期化後の区別
-    if (!provider) {
+    if (!chain) {
       return {
         activeProvider: null,
         isInitialized: false,
@@ -167,24 +240,34 @@ function getConfig() {
     }
   }
   
+  const active = chain ? chain.getActive() : null;
   return {
-    activeProvider: provider ? AI_PROVIDER : null,
-    isInitialized: !!provider,
-    providerConfig: provider ? provider.getConfig() : null,
-    availableProviders: ['openai', 'anthropic'],
+    activeProvider: active ? active.name : null,
+    providerChain: chain ? chain.getProviders().map(item => item.name).filter(name => !routeOnlyProviders.has(name)) : [],
+    isInitialized: !!chain,
+    providerConfig: active && typeof active.provider.getConfig === 'function' ? active.provider.getConfig() : null,
+    availableProviders: ['openai', 'anthropic', 'gemini', 'openai-compatible'],
     model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
     endpoint: process.env.OPENAI_ENDPOINT || 'https://api.openai.com/v1/chat/completions',
     searchEnabled: searchService.getInitializationStatus()
   };
 }
 
+/**
+ * プロバイダーチェーンの状態を取得（!status 用）
+ * @returns {{providers: Array<Object>, lastAnswer: Object|null}} プロバイダーごとの遮断器の状態・応答回数と、最後に応答したプロバイダー
+ */
+function getProviderStatus() {
+  return chain ? chain.getStatus() : { providers: [], lastAnswer: null };
+}
+
 /**
  * 検索を実行してAIに送信する
  * @param {string} query - 検索クエリ
- * @returns {Promise<Object>} 処理された検索結果 または エラー情報
+ * @returns {Promise<Object>} {success, content, sourcesList, results, error}
  */
 async function performSearch(query) {
-  if (!searchService.isInitialized()) {
+  if (!searchService.getInitializationStatus()) {
     logger.warn('検索サービスが初期化されていないため、検索を実行できませんでした。');
     return {
       success: false,
@@ -193,73 +276,26 @@ async function performSearch(query) {
     };
   }
   
-  try {
-    logger.debug(`検索実行: "${query}"`);
-    const searchResponse = await searchService.performSearchNew(query);
-    
-    // レスポンス自体のチェック
-    if (!searchResponse) {
-        logger.error('searchService.performSearchNew returned undefined or null');
-        return {
-          success: false,
-          error: 'SEARCH_FAILED',
-          content: '検索処理中に予期せぬエラーが発生しました。'
-        };
-    }
-    
-    logger.debug(`[performSearch] Received search response: success=${searchResponse.success}, results_count=${searchResponse.results?.length}, error=${searchResponse.error}`);
-    
-    // 検索が成功した場合
-    if (searchResponse.success && Array.isArray(searchResponse.results)) {
-      // 結果をAI向けに整形
-      let formattedContent = '検索結果が見つかりませんでした。';
-      let sourcesList = '';
-      
-      if (searchResponse.results.length > 0) {
-          // content の整形: title と description を連結
-          formattedContent = searchResponse.results.map((result, index) => 
-              `【${index + 1}】${result.title}\n${result.description}`
-          ).join('\n\n');
-          
-          // sourcesList の整形: title, url, hostname をリスト化
-          sourcesList = searchResponse.results.map((result, index) => {
-              const hostname = result.url ? new URL(result.url).hostname : '(URLなし)';
-              return `${index + 1}. [${result.title}](${result.url || '#'}) - ${hostname}`;
-          }).join('\n');
-          
-          logger.debug('[performSearch] Formatted search results for AI.');
-      } else {
-          logger.debug('[performSearch] Search was successful but returned 0 results.');
-      }
-      
-      return {
-        success: true,
-        content: formattedContent,
-        sourcesList: sourcesList
-      };
-    } 
-    // 検索が失敗した場合
-    else {
-        logger.warn(`検索失敗: ${searchResponse.error || '不明なエラー'}. Message: ${searchResponse.message || ''}`);
-        const isRateLimited = searchResponse.error && searchResponse.error.includes('RATE_LIMITED');
-        
-        return {
-          success: false,
-          error: isRateLimited ? 'RATE_LIMITED' : (searchResponse.error || 'SEARCH_FAILED'),
-          content: isRateLimited ? '検索APIの利用制限に達しました。しばらく時間を置いてからお試しください。⏳' : (searchResponse.message || '検索結果の取得に失敗しました。')
-        };
-    }
-
-  } catch (error) {
-    logger.error(`検索中の予期せぬエラー: ${error.message}`, error);
-    const isRateLimited = error.message && (error.message.includes('429') || error.message.includes('RATE_LIMITED'));
-    
+  logger.debug(`検索実行: "${query}"`);
+  const searchResult = await searchService.provideSearchForAI(query);
+  logger.debug(`[performSearch] Received search result: success=${searchResult.success}, results_count=${searchResult.results.length}, error=${searchResult.error}`);
+  
+  if (searchResult.success) {
     return {
-      success: false,
-      error: isRateLimited ? 'RATE_LIMITED' : 'UNEXPECTED_SEARCH_ERROR',
-      content: isRateLimited ? '検索APIの利用制限に達しました。しばらく時間を置いてからお試しください。⏳' : '検索処理中に予期せぬエラーが発生しました。'
+      success: true,
+      content: searchResult.content,
+      sourcesList: searchResult.sourcesList,
+      results: searchResult.results
     };
   }
+  
+  logger.warn(`検索失敗: ${searchResult.error || '不明なエラー'} (${searchResult.errorType})`);
+  const isRateLimited = searchResult.errorType === 'RATE_LIMITED';
+  return {
+    success: false,
+    error: isRateLimited ? 'RATE_LIMITED' : (searchResult.errorType || 'SEARCH_FAILED'),
+    content: isRateLimited ? '検索APIの利用制限に達しました。しばらく時間を置いてからお試しください。⏳' : (searchResult.error || '検索結果の取得に失敗しました。')
+  };
 }
 
 /**
@@ -274,23 +310,15 @@ async function getResponseWithSearch(context) {
   let searchErrorType = null;
 
   try {
-    // 検索を実行 (provideSearchForAIを使うように修正)
+    // 検索を実行（検索結果は extensions/search-processor.js の共通の形式）
     const searchResult = await searchService.provideSearchForAI(message);
-    searchSuccess = searchResult && !searchResult.error; // エラーがない場合に成功とみなす
-    searchErrorType = searchResult?.errorType || null;
+    searchSuccess = searchResult.success;
+    searchErrorType = searchResult.errorType || null;
     
     if (searchSuccess) {
-      // 検索成功: 結果を「箇条書き＋URL」形式で整形
-      if (Array.isArray(searchResult.results) && searchResult.results.length > 0) {
-        // 件数分、タイトル・要約・URLを列挙
-        const formattedList = searchResult.results.map((item, idx) => {
-          const title = item.title || '';
-          const snippet = item.description || item.snippet || '';
-          const url = item.url || item.link || '';
-          return `${idx + 1}. ${title}\n${snippet}\n出典: ${url}`;
-        }).join('\n\n');
-        searchContext = `以下は「${searchResult.query || message}」に関するWeb検索結果です。\n\n${formattedList}\n\n上記の検索結果を最優先の情報源として、必ず日本語で簡潔に要約・引用し、出典URLも明示してください。検索結果にない情報は推測せず、知識ベースで補足する場合は必ずその旨を明記してください。`;
-        logger.debug('検索結果をAIコンテキスト（箇条書き＋URL形式）に追加しました。');
+      if (searchResult.results.length > 0) {
+        searchContext = `以下は「${searchResult.query || message}」に関するWeb検索結果です。\n\n${searchResult.content}\n\n上記の検索結果を最優先の情報源として、必ず日本語で簡潔に要約・引用し、出典URLも明示してください。検索結果にない情報は推測せず、知識ベースで補足する場合は必ずその旨を明記してください。`;
+        logger.debug('検索結果をAIコンテキストに追加しました。');
       } else {
         searchContext = `「${searchResult.query || message}」についてWeb検索を行いましたが、関連性の高い情報は見つかりませんでした。検索結果には頼らず、あなたの知識に基づいて回答してください。`;
         logger.debug('検索結果が空のため、その旨をAIコンテキストに追加しました。');
@@ -324,8 +352,8 @@ async function getResponseWithSearch(context) {
     logger.debug(`AI応答生成を呼び出します (検索成功: ${searchSuccess}, エラータイプ: ${searchErrorType})`);
     const aiAnswer = await getResponse(enhancedContext); // getResponseに処理を委譲
     // 検索成功時は必ずリスト形式でURLを付与
-    if (searchSuccess && searchResult.sources) {
-      return `${aiAnswer}\n\n---\n参考URL:\n${searchResult.sources}`;
+    if (searchSuccess && searchResult.sourcesList) {
+      return `${aiAnswer}\n\n---\n参考URL:\n${searchResult.sourcesList}`;
     }
     return aiAnswer;
 
@@ -384,6 +412,7 @@ function isDateTimeQuestion(message) {
 
 /**
  * 会話履歴をクリア
+ * プロバイダーチェーンのすべてのプロバイダーのキャッシュから削除する
  * @param {string} userId - ユーザーID
  * @returns {boolean} 成功したかどうか
  */
@@ -391,56 +420,411 @@ function clearConversationHistory(userId) {
   // テスト環境では初期化状態に応じた結果を返す
   if (process.env.NODE_ENV === 'test') {
     // 初期化前と初期化後を区別
-    if (!provider) {
+    if (!chain) {
       return false;
     }
     // 初期化後は成功を返す
     return true;
   }
   
-  if (!provider || typeof provider.clearConversationHistory !== 'function') {
+  const providers = chain ? chain.getProviders().filter(({ provider }) => typeof provider.clearConversationHistory === 'function') : [];
+  if (providers.length === 0) {
     logger.error('Provider not initialized or clearConversationHistory method unavailable');
     return false;
   }
   
+  let cleared = false;
+  for (const { name, provider } of providers) {
+    try {
+      cleared = !!provider.clearConversationHistory(userId) || cleared;
+    } catch (error) {
+      logger.error(`Error clearing conversation history (${name}): ${error.message}`);
+    }
+  }
+  return cleared;
+}
+
+/**
+ * プロバイダーがキャッシュしている会話履歴を取得（プライバシー用のエクスポート）
+ * @param {string} userId - ユーザーID
+ * @returns {Array|null} メッセージ配列、キャッシュがない場合はnull
+ */
+function getCachedConversation(userId) {
+  const providers = chain ? chain.getProviders() : [];
+  for (const { provider } of providers) {
+    const cached = typeof provider.getCachedConversation === 'function' ? provider.getCachedConversation(userId) : null;
+    if (cached) {
+      return cached;
+    }
+  }
+  return null;
+}
+
+/**
+ * プロバイダーでツール呼び出しを使うか
+ * @private
+ * @param {Object|null} target - プロバイダーモジュール
+ * @returns {boolean} ツール呼び出しを使う場合はtrue
+ */
+function providerSupportsTools(target) {
+  return !!(TOOLS_ENABLED && target && target.CAPABILITIES?.tools && typeof target.completeWithTools === 'function');
+}
+
+/**
+ * ツールを使って応答を生成する
+ * @private
+ * @param {Object} target - プロバイダーモジュール
+ * @param {Object} context - リクエストコンテキスト
+ * @param {Function} [onDelta] - テキスト片を受け取るコールバック（指定した場合は各回の応答をストリーミングで取得する）
+ * @returns {Promise<string|null>} AI応答（使えるツールがない・応答が空の場合はnull）
+ *   ツールが返した参考資料は context.knowledgeSources（呼び出し元の参考資料の一覧）に追加する
+ */
+async function getResponseWithTools(target, context, onDelta) {
+  const availableTools = tools.getAvailableTools(context);
+  if (availableTools.length === 0) {
+    return null;
+  }
+
+  const result = await runToolLoop({
+    complete: options => target.completeWithTools({ ...options, model: context.model }),
+    systemPrompt: context.systemPrompt,
+    messages: buildInitialMessages(context),
+    tools: availableTools,
+    context,
+    onDelta
+  });
+  if (result.toolCalls.length > 0) {
+    logger.info(`Tools used for response: ${result.toolCalls.map(call => call.name).join(', ')} (${result.steps} steps)`);
+  }
+  if (!result.text.trim()) {
+    return null;
+  }
+  if (result.sources.length > 0 && Array.isArray(context.knowledgeSources)) {
+    context.knowledgeSources.push(...result.sources);
+  }
+  return result.text;
+}
+
+/**
+ * 1つのプロバイダーで応答を生成する
+ * ツール呼び出しに対応したプロバイダーでは、AIが必要に応じてツールを使って応答する
+ * ツールを使った応答に失敗した場合は、同じプロバイダーのツールなしの応答にフォールバックする
+ * @private
+ * @param {Object} target - プロバイダーモジュール
+ * @param {Object} context - リクエストコンテキスト
+ * @returns {Promise<string>} AI応答
+ * @throws {Error} プロバイダーの呼び出しに失敗した場合
+ */
+async function respondWith(target, context) {
+  if (providerSupportsTools(target)) {
+    try {
+      const response = await getResponseWithTools(target, context);
+      if (response) {
+        return response;
+      }
+    } catch (error) {
+      logger.warn(`Tool-calling response failed, falling back to plain response: ${error.message}`);
+    }
+  }
+  return target.getResponse(context);
+}
+
+/**
+ * ルーティングのルールで指定されたプロバイダーをチェーンに加える
+ * チェーンにないプロバイダーは読み込んで初期化し、チェーンの末尾に追加する
+ * 追加したプロバイダーはルーティングのためだけのものとし、ほかのリクエストの切り替え先にはしない
+ * @private
+ * @param {string} name - プロバイダー名
+ * @returns {Promise<boolean>} チェーンで使える場合はtrue
+ */
+async function ensureRouteProvider(name) {
+  if (chain.has(name)) {
+    return true;
+  }
+  if (unavailableRouteProviders.has(name)) {
+    return false;
+  }
+
   try {
-    return !!provider.clearConversationHistory(userId);
+    const provider = require(`./${name}-service`);
+    if (typeof provider.isConfigured === 'function' && !provider.isConfigured()) {
+      throw new Error('provider is not configured');
+    }
+    await provider.initialize();
+    chain.addProvider(name, provider);
+    routeOnlyProviders.add(name);
+    logger.info(`Provider ${name} added to the provider chain for routing rules only`);
+    return true;
   } catch (error) {
-    logger.error(`Error clearing conversation history: ${error.message}`);
+    unavailableRouteProviders.add(name);
+    logger.warn(`Routing rules refer to provider ${name}, but it is unavailable: ${error.message}`);
     return false;
   }
 }
 
+/**
+ * リクエストに使うプロバイダーとモデルをルーティングのルールで選び、ログに残す
+ * @private
+ * @param {Object} context - リクエストコンテキスト
+ * @returns {Promise<Object>} model-router の resolveRoute の結果（使えないプロバイダーの場合は provider・model が null）
+ */
+async function routeRequest(context) {
+  const route = modelRouter.resolveRoute(context);
+  const details = `surface=${route.surface}, task=${route.taskType}, length=${route.length}`;
+
+  if (!route.ruleId) {
+    logger.info(`AI route for user ${context.userId || 'unknown'}: default provider chain (${details})`);
+    return route;
+  }
+  if (!(await ensureRouteProvider(route.provider))) {
+    logger.info(`AI route for user ${context.userId || 'unknown'}: rule ${route.ruleId} skipped, default provider chain (${details})`);
+    return { ...route, provider: null, model: null };
+  }
+
+  logger.info(`AI route for user ${context.userId || 'unknown'}: ${route.provider}/${route.model || 'default'} by rule ${route.ruleId} (${details})`);
+  return route;
+}
+
+/**
+ * リクエストに使うプロバイダーとモデルをルーティングのルールで選ぶ
+ * 結果をリクエストコンテキストの route に入れて getResponse / streamResponse に渡すと、選び直さずにそのルートで応答する
+ * 添付ファイルや検索の扱いを、応答するプロバイダーの対応機能（getCapabilities(route)）に合わせて決めるために使う
+ * @param {Object} context - リクエストコンテキスト ({guildId, channelId, roleIds, surface, message, ...})
+ * @returns {Promise<Object|null>} model-router の resolveRoute の結果（未初期化の場合はnull）
+ */
+async function resolveRoute(context) {
+  if (!chain) {
+    return null;
+  }
+  return routeRequest(context);
+}
+
+/**
+ * ルーティングで選んだモデルをコンテキストに加える（選ばれたプロバイダー以外にはモデルを渡さない）
+ * @private
+ * @param {Object} context - リクエストコンテキスト
+ * @param {Object} route - routeRequest の結果
+ * @param {string} providerName - 応答するプロバイダー
+ * @returns {Object} リクエストコンテキスト
+ */
+function withRoutedModel(context, route, providerName) {
+  return route.model && providerName === route.provider ? { ...context, model: route.model } : context;
+}
+
+/**
+ * リクエストで試すプロバイダーを選ぶ、chain.run の filter を作る
+ * - ルーティングのためだけに読み込んだプロバイダーは、そのプロバイダーが選ばれたリクエストでのみ試す
+ * - 画像が添付されている場合は、画像を読めるプロバイダー
+ * - route を渡された場合にそのプロバイダーがツールを使うときは、ツール呼び出しに対応したプロバイダー
+ *   （呼び出し元は getCapabilities(route) でツールを使う前提にして、キーワードでの検索を省いているため）
+ * @private
+ * @param {Object} context - リクエストコンテキスト
+ * @param {Object} route - routeRequest の結果
+ * @returns {Function} filter
+ */
+function createProviderFilter(context, route) {
+  const needsVision = Array.isArray(context.images) && context.images.length > 0;
+  const needsTools = !!context.route && supportsTools(context.route);
+  return (target, name) => (!routeOnlyProviders.has(name) || name === route.provider) &&
+    (!needsVision || !!target.CAPABILITIES?.vision) &&
+    (!needsTools || providerSupportsTools(target));
+}
+
+/**
+ * どのプロバイダーが応答したかをログに残す
+ * @private
+ * @param {Object} context - リクエストコンテキスト
+ * @param {string} providerName - 応答したプロバイダー
+ * @param {Array<string>} fallbackFrom - 失敗して切り替えたプロバイダー
+ */
+function logAnswer(context, providerName, fallbackFrom) {
+  const failover = fallbackFrom.length > 0 ? ` (failover from ${fallbackFrom.join(', ')})` : '';
+  logger.info(`AI response for user ${context.userId || 'unknown'} answered by ${providerName}${failover}`);
+}
+
 /**
  * AI応答を取得するコア関数
- * @param {Object} context - リクエストコンテキスト（検索情報を含む可能性あり）
- * @returns {Promise<string>} AI応答 または エラーメッセージ
+ * ルーティングのルール（model-router）に一致した場合はそのプロバイダー・モデルを最初に試す
+ * プロバイダーチェーンの順に試し、失敗したプロバイダーは次のプロバイダーに切り替える
+ * 画像の添付やツールを使う前提のリクエストは、それに対応したプロバイダーにだけ切り替える
+ * @param {Object} context - リクエストコンテキスト（検索情報を含む可能性あり。resolveRoute の結果を route に入れた場合はそのルートを使う）
+ * @returns {Promise<string>} AI応答 または エラーメッセージ（すべてのプロバイダーで失敗した場合は ERROR_MESSAGES.unavailable）
  */
 async function getResponse(context) {
   try {
-    // プロバイダーが初期化されているか確認（テスト環境ではスキップ）
-    if (!provider && process.env.NODE_ENV !== 'test') {
-      throw new Error('AI Providerが初期化されていません。先にinitialize()を呼び出してください。');
-    }
-    
     // テスト用の固定レスポンス
     if (process.env.NODE_ENV === 'test') {
       const isAnthropicTest = AI_PROVIDER === 'anthropic' || context.contextType === 'direct_message';
       return isAnthropicTest ? 'Anthropic test response' : 'OpenAI test response';
     }
     
-    // プロバイダー固有のgetResponse関数を呼び出す
-    return await provider.getResponse(context);
+    // プロバイダーが初期化されているか確認
+    if (!chain) {
+      throw new Error('AI Providerが初期化されていません。先にinitialize()を呼び出してください。');
+    }
+    
+    const route = context.route || await routeRequest(context);
+    const { result, provider: providerName, fallbackFrom } = await chain.run(
+      (target, name) => respondWith(target, withRoutedModel(context, route, name)),
+      { prefer: route.provider, filter: createProviderFilter(context, route) }
+    );
+    logAnswer(context, providerName, fallbackFrom);
+    return result;
   } catch (error) {
+    if (error instanceof ProviderChainError) {
+      logger.error(`No AI provider could answer: ${error.message}`);
+      return ERROR_MESSAGES.unavailable;
+    }
     logger.error(`Error getting AI response: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * ストリーミングでAI応答を取得する
+ * プロバイダーがストリーミングに対応していない場合や、最初のテキスト片を受け取る前に
+ * 失敗した場合は getResponse と同じ方法で応答し、応答全文を1つのテキスト片として渡す
+ * ツール呼び出しに対応したプロバイダーでは、ツールを呼び出している間はその結果を待ち、最後の応答をストリーミングで渡す
+ * テキスト片を送り始めた後に失敗した場合は、ほかのプロバイダーに切り替えずにエラーをスローする
+ * @param {Object} context - リクエストコンテキスト（getResponseと同じ形式）
+ * @param {Function} onDelta - 生成されたテキスト片を受け取るコールバック
+ * @returns {Promise<string>} AI応答全文
+ */
+async function streamResponse(context, onDelta) {
+  // テスト環境や未初期化の場合は通常の応答を一括で渡す
+  if (process.env.NODE_ENV === 'test' || !chain) {
+    const response = await getResponse(context);
+    onDelta(response);
+    return response;
+  }
+
+  try {
+    const route = context.route || await routeRequest(context);
+    const { result, provider: providerName, fallbackFrom } = await chain.run(async (target, name) => {
+      const routedContext = withRoutedModel(context, route, name);
+      let received = false;
+      const forward = (delta) => {
+        received = true;
+        onDelta(delta);
+      };
+
+      // ツールを使う場合は、ツール呼び出しを受け取りながら各回の応答をストリーミングする
+      if (providerSupportsTools(target)) {
+        try {
+          const response = await getResponseWithTools(target, routedContext, forward);
+          if (response) {
+            // ストリーミングに対応していないプロバイダーは応答全文を1つのテキスト片として渡す
+            if (!received) onDelta(response);
+            return response;
+          }
+        } catch (error) {
+          if (received) {
+            logger.error(`Error during streaming AI response: ${error.message}`);
+            error.noFailover = true;
+            throw error;
+          }
+          logger.warn(`Tool-calling response failed, falling back to plain response: ${error.message}`);
+        }
+      }
+
+      // 非対応プロバイダーは通常の応答を一括で渡す
+      if (typeof target.streamResponse !== 'function') {
+        const response = await target.getResponse(routedContext);
+        onDelta(response);
+        return response;
+      }
+
+      try {
+        return await target.streamResponse(routedContext, forward);
+      } catch (error) {
+        if (received) {
+          logger.error(`Error during streaming AI response: ${error.message}`);
+          error.noFailover = true;
+          throw error;
+        }
+
+        logger.warn(`Streaming failed before first token, falling back to getResponse: ${error.message}`);
+        const response = await target.getResponse(routedContext);
+        onDelta(response);
+        return response;
+      }
+    }, { prefer: route.provider, filter: createProviderFilter(context, route) });
+    logAnswer(context, providerName, fallbackFrom);
+    return result;
+  } catch (error) {
+    if (error instanceof ProviderChainError) {
+      logger.error(`No AI provider could answer: ${error.message}`);
+      onDelta(ERROR_MESSAGES.unavailable);
+      return ERROR_MESSAGES.unavailable;
+    }
+    throw error;
+  }
+}
+
+/**
+ * キャラクター設定や会話履歴を使わずにテキストを生成する
+ * 会話の要約など、ボッチーとしての応答ではない内部処理で使用する
+ * completeText に対応したプロバイダーをチェーンの順に試す
+ * @param {Object} options - 生成オプション ({systemPrompt, prompt, maxTokens, temperature})
+ * @returns {Promise<string>} 生成されたテキスト
+ * @throws {Error} プロバイダーが未初期化・completeText に対応していない場合、またはすべてのプロバイダーで失敗した場合
+ */
+async function completeText(options) {
+  // ルーティングのためだけに読み込んだプロバイダーは使わない
+  const supportsCompleteText = (target, name) => typeof target.completeText === 'function' && !routeOnlyProviders.has(name);
+  if (!chain || !chain.getProviders().some(({ name, provider }) => supportsCompleteText(provider, name))) {
+    throw new Error('Current AI provider does not support completeText');
+  }
+  const { result } = await chain.run(target => target.completeText(options), { filter: supportsCompleteText });
+  return result;
+}
+
+/**
+ * 現在のプロバイダー（route を指定した場合はルーティングで選んだプロバイダー）がストリーミングに対応しているか
+ * @param {Object|null} [route] - resolveRoute の結果
+ * @returns {boolean} ストリーミング対応かどうか
+ */
+function supportsStreaming(route) {
+  const active = getRouteProvider(route);
+  return !!(active && typeof active.streamResponse === 'function' && active.CAPABILITIES?.streaming !== false);
+}
+
+/**
+ * 現在のプロバイダー（route を指定した場合はルーティングで選んだプロバイダー）でツール呼び出しを使うか
+ * 使わない場合は、検索などをキーワードで判定する従来の方法になる
+ * @param {Object|null} [route] - resolveRoute の結果
+ * @returns {boolean} ツール呼び出しを使う場合はtrue
+ */
+function supportsTools(route) {
+  return providerSupportsTools(getRouteProvider(route));
+}
+
+/**
+ * 現在のプロバイダー（route を指定した場合はルーティングで選んだプロバイダー）の対応機能を取得
+ * @param {Object|null} [route] - resolveRoute の結果
+ * @returns {{vision: boolean, streaming: boolean, tools: boolean}} 対応機能
+ */
+function getCapabilities(route) {
+  const active = getRouteProvider(route);
+  const capabilities = (active && active.CAPABILITIES) || {};
+  return {
+    vision: !!capabilities.vision,
+    streaming: supportsStreaming(route),
+    tools: supportsTools(route)
+  };
+}
+
 // モジュールをエクスポート
 module.exports = {
   initialize,
   getResponse,
+  streamResponse,
+  completeText,
+  resolveRoute,
+  supportsStreaming,
+  supportsTools,
+  getCapabilities,
+  getProviderStatus,
   getResponseWithSearch,
   performSearch,
   isSearchQuery,
@@ -448,11 +832,14 @@ module.exports = {
   getConfig,
   checkHealth,
   clearConversationHistory,
+  getCachedConversation,
   ERROR_MESSAGES,
   // テスト用の内部状態リセット関数
   _resetForTest: function() {
     if (process.env.NODE_ENV === 'test') {
-      provider = null;
+      chain = null;
+      unavailableRouteProviders.clear();
+      routeOnlyProviders.clear();
     }
   }
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 // Anthropic AI統合サービス - Bocchy用カスタマイズ版
 const axios = require('axios');
+const { readServerSentEvents } = require('./stream-utils');
 
 // 環境変数から設定を読み込む
 const API_KEY = process.env.ANTHROPIC_API_KEY;
@@ -16,6 +17,13 @@ const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000;
 const REQUEST_TIMEOUT = 60000;
 const MIN_ACCEPTABLE_LENGTH = 5;
+// プロバイダーの対応機能
+const CAPABILITIES = {
+  vision: true,
+  streaming: true,
+  tools: true
+};
+
 const HEALTH_STATUS = {
   status: 'unknown',
   lastCheck: null,
@@ -113,39 +121,45 @@ async function initialize() {
   }
 }
 
+/**
+ * テスト環境でのモック応答を返す
+ * @private
+ * @param {string} message - ユーザーメッセージ
+ * @returns {string} モック応答
+ */
+function getTestResponse(message) {
+  // テストフラグによる強制動作
+  if (noApiKeyTest || !API_KEY) {
+    return '🌿 API設定に問題があるようです。少し待ってみてください。';
+  }
+  
+  if (message === 'こんにちは') {
+    return '森の奥からこんにちは';
+  }
+  if (retryTest) {
+    return 'リトライ後の応答';
+  }
+  if (serverErrorTest) {
+    return 'サーバーエラー後の応答';
+  }
+  if (retryLimitTest) {
+    return '🌿 少し混みあっているみたい。また後で話そうか。';
+  }
+  if (emptyResponseTest) {
+    return '🌿 言葉が見つからないようです。もう一度、お話しませんか？';
+  }
+  
+  // デフォルトの応答
+  return '森の奥からのテスト応答';
+}
+
 /**
  * Anthropic APIを使用してメッセージに応答（リトライ機能付き）
  */
-async function getAIResponse(userId, message, username, isDM = false, additionalContext = null) {
+async function getAIResponse(userId, message, username, isDM = false, additionalContext = null, images = []) {
   // テスト環境ではモック応答を使用
   if (process.env.NODE_ENV === 'test') {
-    // テスト用変数から現在のテスト環境を取得
-    const isMockTest = process.env.MOCK_TEST === 'true';
-    const testMessage = message === 'test';
-    
-    // テストフラグによる強制動作
-    if (noApiKeyTest || !API_KEY) {
-      return '🌿 API設定に問題があるようです。少し待ってみてください。';
-    }
-    
-    if (message === 'こんにちは') {
-      return '森の奥からこんにちは';
-    }
-    if (retryTest) {
-      return 'リトライ後の応答';
-    }
-    if (serverErrorTest) {
-      return 'サーバーエラー後の応答';
-    }
-    if (retryLimitTest) {
-      return '🌿 少し混みあっているみたい。また後で話そうか。';
-    }
-    if (emptyResponseTest) {
-      return '🌿 言葉が見つからないようです。もう一度、お話しませんか？';
-    }
-    
-    // デフォルトの応答
-    return '森の奥からのテスト応答';
+    return getTestResponse(message);
   }
 
   if (!API_KEY) {
@@ -153,47 +167,59 @@ async function getAIResponse(userId, message, username, isDM = false, additional
     return '🌿 API設定に問題があるようです。少し待ってみてください。';
   }
 
+  try {
+    return await requestWithRetries(() => processAIRequest(userId, message, username, isDM, additionalContext, images));
+  } catch (error) {
+    console.error('Anthropic通信失敗:', error);
+    return formatErrorResponse(error);
+  }
+}
+
+/**
+ * APIリクエストを実行し、一時的なエラーの場合はリトライする
+ * @private
+ * @param {Function} request - APIリクエストを行う関数
+ * @returns {Promise<string>} AIからの応答
+ * @throws {Error} リトライしても失敗した場合
+ */
+async function requestWithRetries(request) {
   let retries = 0;
-  let response = null;
-  
-  while (retries <= MAX_RETRIES) {
+  while (true) {
     try {
       if (retries > 0) {
         await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * Math.pow(2, retries - 1)));
       }
-      response = await processAIRequest(userId, message, username, isDM, additionalContext);
-      return response; // 成功したら即座に返す
+      return await request();
     } catch (error) {
-      const isRetryableError = isErrorRetryable(error);
       retries++;
-      if (!isRetryableError || retries > MAX_RETRIES) {
-        console.error('Anthropic通信失敗:', error);
+      if (!isErrorRetryable(error) || retries > MAX_RETRIES) {
         updateHealthStatus(false);
-        return formatErrorResponse(error);
+        throw error;
       }
     }
   }
-  
-  // リトライ上限に達した場合のフォールバック
-  return '🌿 応答の取得に問題が発生しました。後でもう一度お試しください。';
 }
 
 /**
  * 新インターフェース用のレスポンス取得メソッド
+ * getAIResponse と異なり、APIの呼び出しに失敗した場合はエラーをスローする
+ * （ユーザー向けのエラーメッセージやほかのプロバイダーへの切り替えは ai-service が行う）
  * @param {Object} context - 会話コンテキスト
  * @returns {Promise<string>} AIからの応答
+ * @throws {Error} APIキーが未設定、またはAPIの呼び出しに失敗した場合
  */
 async function getResponse(context) {
   try {
-    const { userId, username = 'User', message, contextType = 'unknown', additionalContext } = context;
+    const { userId, username = 'User', message, contextType = 'unknown', additionalContext, images = [], model, systemPrompt } = context;
+    if (process.env.NODE_ENV === 'test') {
+      return getTestResponse(message);
+    }
+    if (!API_KEY) {
+      throw new Error('Anthropic API Key が設定されていません');
+    }
+
     const isDM = contextType === 'direct_message';
-    const response = await getAIResponse(
-      userId,
-      message,
-      username,
-      isDM,
-      additionalContext
-    );
+    const response = await requestWithRetries(() => processAIRequest(userId, message, username, isDM, additionalContext, images, model, systemPrompt));
     if (response === undefined || response === null) {
       return '（応答が見つかりませんでした）';
     }
@@ -224,10 +250,15 @@ function formatErrorResponse(error) {
   }
 }
 
-async function processAIRequest(userId, message, username, isDM = false, additionalContext = null) {
-  const startTime = Date.now();
-
-  const userConversation = getConversationHistory(userId);
+/**
+ * 会話履歴を含めたリクエスト用のmessages配列を組み立てる
+ * @param {Object} userConversation - ユーザーの会話履歴
+ * @param {string} message - ユーザーメッセージ
+ * @param {string} additionalContext - 追加のコンテキスト
+ * @param {Array<Object>} images - 添付画像（base64）
+ * @returns {Array<Object>} messages配列
+ */
+function buildRequestMessages(userConversation, message, additionalContext = null, images = []) {
   let messages = [];
   
   // システムプロンプトを追加
@@ -264,41 +295,96 @@ async function processAIRequest(userId, message, username, isDM = false, additio
     messages.push({ role: 'system', content: additionalContext });
   }
   
-  // 新しいユーザーメッセージを追加
+  // 新しいユーザーメッセージを追加（画像がある場合は画像ブロックを先頭に置く）
   messages.push({
     role: 'user',
-    content: message
+    content: images.length > 0
+      ? [
+        ...images.map(image => ({
+          type: 'image',
+          source: { type: 'base64', media_type: image.mimeType, data: image.data }
+        })),
+        { type: 'text', text: message }
+      ]
+      : message
   });
 
+  return messages;
+}
+
+/**
+ * 応答を会話履歴に記録する
+ * @param {Object} userConversation - ユーザーの会話履歴
+ * @param {Array<Object>} messages - 送信したmessages配列
+ * @param {string} responseText - 検証済みの応答
+ */
+function recordConversation(userConversation, messages, responseText) {
+  // 画像データは履歴に残さず、テキストのみを保持する
+  userConversation.messages = messages.map(msg => (Array.isArray(msg.content)
+    ? {
+      ...msg,
+      content: msg.content.map(block => (block.type === 'image' ? '[画像]' : block.text)).join('\n')
+    }
+    : msg));
+  userConversation.messages.push({
+    role: 'assistant',
+    content: responseText
+  });
+  
+  userConversation.lastUpdated = Date.now();
+  userConversation.messageCount++;
+  userConversation.lastSuccessful = Date.now();
+}
+
+/**
+ * APIリクエスト用のヘッダーを取得
+ * @returns {Object} ヘッダー
+ */
+function getApiHeaders() {
+  return {
+    'Content-Type': 'application/json',
+    'x-api-key': API_KEY,
+    'anthropic-version': API_VERSION
+  };
+}
+
+/**
+ * Anthropic APIで応答を生成し、会話履歴に記録する
+ * @private
+ * @param {string} userId - ユーザーID
+ * @param {string} message - ユーザーメッセージ
+ * @param {string} username - ユーザー名
+ * @param {boolean} isDM - DMかどうか
+ * @param {string} additionalContext - 追加のコンテキスト
+ * @param {Array<Object>} images - 添付画像（base64）
+ * @param {string} model - モデル名
+ * @param {string} [systemPrompt] - メッセージハンドラーが組み立てたシステムプロンプト（キャラクター設定・記憶・ナレッジ）
+ * @returns {Promise<string>} AIからの応答
+ */
+async function processAIRequest(userId, message, username, isDM = false, additionalContext = null, images = [], model = API_MODEL, systemPrompt = null) {
+  const startTime = Date.now();
+
+  const userConversation = getConversationHistory(userId);
+  const messages = buildRequestMessages(userConversation, message, additionalContext, images);
+
   const requestData = {
-    model: API_MODEL,
+    model: model || API_MODEL,
     messages: messages,
     max_tokens: 1000,
     temperature: 0.7
   };
+  if (systemPrompt) requestData.system = systemPrompt;
 
   const response = await axios.post(API_ENDPOINT, requestData, {
     timeout: REQUEST_TIMEOUT,
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': API_KEY,
-      'anthropic-version': API_VERSION
-    }
+    headers: getApiHeaders()
   });
 
   const responseText = extractResponseText(response);
   const validatedResponse = validateResponse(responseText);
 
   // 応答を会話履歴に追加
-  userConversation.messages = messages;
-  userConversation.messages.push({
-    role: 'assistant',
-    content: validatedResponse
-  });
-  
-  userConversation.lastUpdated = Date.now();
-  userConversation.messageCount++;
-  userConversation.lastSuccessful = Date.now();
+  recordConversation(userConversation, messages, validatedResponse);
 
   updateHealthStatus(true);
 
@@ -306,6 +392,229 @@ async function processAIRequest(userId, message, username, isDM = false, additio
   return validatedResponse;
 }
 
+/**
+ * ストリーミングで応答を取得する
+ * 生成されたテキスト片を逐次コールバックに渡し、最後に応答全文を返す
+ * @param {Object} context - 会話コンテキスト（getResponseと同じ形式）
+ * @param {Function} onDelta - テキスト片を受け取るコールバック
+ * @returns {Promise<string>} AIからの応答全文
+ */
+async function streamResponse(context, onDelta) {
+  const { userId, message, additionalContext, images = [] } = context;
+  const startTime = Date.now();
+
+  if (!API_KEY) {
+    throw new Error('Anthropic API Key が設定されていません');
+  }
+
+  const userConversation = getConversationHistory(userId);
+  const messages = buildRequestMessages(userConversation, message, additionalContext, images);
+
+  const requestData = {
+    model: context.model || API_MODEL,
+    messages: messages,
+    max_tokens: 1000,
+    temperature: 0.7,
+    stream: true
+  };
+  if (context.systemPrompt) requestData.system = context.systemPrompt;
+
+  try {
+    const response = await axios.post(API_ENDPOINT, requestData, {
+      timeout: REQUEST_TIMEOUT,
+      headers: getApiHeaders(),
+      responseType: 'stream'
+    });
+
+    let fullText = '';
+    await readServerSentEvents(response.data, (event) => {
+      if (event.type === 'content_block_delta' && event.delta?.text) {
+        fullText += event.delta.text;
+        onDelta(event.delta.text);
+      } else if (event.type === 'error') {
+        throw new Error(event.error?.message || 'Anthropic stream error');
+      }
+    });
+
+    const validatedResponse = validateResponse(fullText);
+    recordConversation(userConversation, messages, validatedResponse);
+    updateHealthStatus(true);
+
+    console.log(`[Bocchy-Anthropic] ストリーミング応答完了 in ${Date.now() - startTime}ms`);
+    return validatedResponse;
+  } catch (error) {
+    updateHealthStatus(false);
+    console.error(`Anthropic streamResponse呼び出しエラー: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * キャラクター設定や会話履歴を使わずにテキストを生成する
+ * 要約などの内部処理用
+ * @param {Object} options - 生成オプション
+ * @param {string} options.systemPrompt - システムプロンプト (任意)
+ * @param {string} options.prompt - 入力テキスト
+ * @param {number} options.maxTokens - 最大出力トークン数 (デフォルト: 1000)
+ * @param {number} options.temperature - 温度 (デフォルト: 0.3)
+ * @returns {Promise<string>} 生成されたテキスト
+ */
+async function completeText({ systemPrompt, prompt, maxTokens = 1000, temperature = 0.3 }) {
+  if (!API_KEY) {
+    throw new Error('Anthropic API Key が設定されていません');
+  }
+
+  const requestData = {
+    model: API_MODEL,
+    messages: [{ role: 'user', content: prompt }],
+    max_tokens: maxTokens,
+    temperature
+  };
+  if (systemPrompt) requestData.system = systemPrompt;
+
+  const response = await axios.post(API_ENDPOINT, requestData, {
+    timeout: REQUEST_TIMEOUT,
+    headers: getApiHeaders()
+  });
+
+  const text = response?.data?.content?.[0]?.text;
+  if (!text || !text.trim()) {
+    throw new Error('Anthropic completeText returned an empty response');
+  }
+  return text.trim();
+}
+
+/**
+ * 共通の形式の messages を Anthropic の messages 配列に変換する
+ * 続けて返すツールの結果は1つの user メッセージにまとめる
+ * @private
+ * @param {Array<Object>} messages - 共通の形式の messages（services/ai/tools/tool-loop.js を参照）
+ * @returns {Array<Object>} messages配列
+ */
+function toAnthropicToolMessages(messages) {
+  const converted = [];
+  for (const msg of messages) {
+    if (msg.role === 'tool') {
+      const block = { type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content, is_error: Boolean(msg.isError) };
+      const last = converted[converted.length - 1];
+      if (last && last.role === 'user' && Array.isArray(last.content) && last.content.every(item => item.type === 'tool_result')) {
+        last.content.push(block);
+      } else {
+        converted.push({ role: 'user', content: [block] });
+      }
+    } else if (msg.role === 'assistant') {
+      const content = msg.content ? [{ type: 'text', text: msg.content }] : [];
+      (msg.toolCalls || []).forEach(call => {
+        content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} });
+      });
+      converted.push({ role: 'assistant', content });
+    } else {
+      const images = msg.images || [];
+      converted.push({
+        role: 'user',
+        content: images.length > 0
+          ? [
+            ...images.map(image => ({
+              type: 'image',
+              source: { type: 'base64', media_type: image.mimeType, data: image.data }
+            })),
+            { type: 'text', text: msg.content }
+          ]
+          : msg.content
+      });
+    }
+  }
+  return converted;
+}
+
+/**
+ * ストリーミングの応答を読み取り、ストリーミングしない応答の content と同じブロックの配列にする
+ * テキスト片は逐次コールバックに渡し、tool_use の入力はJSONの断片をつなげて解析する
+ * @private
+ * @param {Stream} stream - レスポンスストリーム
+ * @param {Function} onDelta - テキスト片を受け取るコールバック
+ * @returns {Promise<Array<Object>>} content ブロック
+ */
+async function readStreamedBlocks(stream, onDelta) {
+  const blocks = [];
+  const inputs = [];
+
+  await readServerSentEvents(stream, (event) => {
+    if (event.type === 'content_block_start') {
+      blocks[event.index] = { ...event.content_block };
+      inputs[event.index] = '';
+    } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+      inputs[event.index] += event.delta.partial_json || '';
+    } else if (event.type === 'content_block_delta' && event.delta?.text) {
+      const block = blocks[event.index] || (blocks[event.index] = { type: 'text', text: '' });
+      block.text = (block.text || '') + event.delta.text;
+      onDelta(event.delta.text);
+    } else if (event.type === 'error') {
+      throw new Error(event.error?.message || 'Anthropic stream error');
+    }
+  });
+
+  return blocks.map((block, index) => {
+    if (block.type !== 'tool_use' || !inputs[index]) {
+      return block;
+    }
+    try {
+      return { ...block, input: JSON.parse(inputs[index]) };
+    } catch (error) {
+      console.warn(`Anthropic tool input could not be parsed: ${inputs[index]}`);
+      return { ...block, input: {} };
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * ツールを宣言して1回分の応答を取得する（ツールを呼び出すループは services/ai/tools/tool-loop.js が行う）
+ * @param {Object} options - オプション
+ * @param {string} options.systemPrompt - システムプロンプト (任意)
+ * @param {Array<Object>} options.messages - 共通の形式の messages
+ * @param {Array<Object>} options.tools - ツールの宣言 ({name, description, parameters})
+ * @param {string} options.toolChoice - 'auto' または 'none' (デフォルト: 'auto')
+ * @param {string} options.model - モデル名 (デフォルト: ANTHROPIC_MODEL)
+ * @param {Function} options.onDelta - 指定した場合はストリーミングで取得し、テキスト片を逐次渡す (任意)
+ * @returns {Promise<{text: string, toolCalls: Array<{id: string, name: string, arguments: Object}>}>} 応答とツール呼び出し
+ */
+async function completeWithTools({ systemPrompt, messages, tools = [], toolChoice = 'auto', model = API_MODEL, onDelta }) {
+  if (!API_KEY) {
+    throw new Error('Anthropic API Key が設定されていません');
+  }
+
+  const requestData = {
+    model,
+    system: systemPrompt || BOCCHY_CHARACTER_PROMPT,
+    messages: toAnthropicToolMessages(messages),
+    max_tokens: 1000,
+    temperature: 0.7
+  };
+  if (tools.length > 0) {
+    requestData.tools = tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters }));
+    requestData.tool_choice = { type: toolChoice };
+  }
+  if (onDelta) {
+    requestData.stream = true;
+  }
+
+  const response = await axios.post(API_ENDPOINT, requestData, {
+    timeout: REQUEST_TIMEOUT,
+    headers: getApiHeaders(),
+    ...(onDelta ? { responseType: 'stream' } : {})
+  });
+
+  const blocks = onDelta ? await readStreamedBlocks(response.data, onDelta) : response?.data?.content || [];
+  updateHealthStatus(true);
+
+  return {
+    text: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+    toolCalls: blocks
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }))
+  };
+}
+
 function extractResponseText(response) {
   return response?.data?.content?.[0]?.text || '（応答が見つかりませんでした）';
 }
@@ -337,6 +646,16 @@ function getConversationHistory(userId) {
   return conv;
 }
 
+/**
+ * キャッシュ上の会話履歴を取得する（履歴がなくても新規作成しない）
+ * @param {string} userId - ユーザーID
+ * @returns {Array|null} メッセージ配列、キャッシュがない場合はnull
+ */
+function getCachedConversation(userId) {
+  const cached = conversationCache.get(userId);
+  return cached ? JSON.parse(JSON.stringify(cached.messages)) : null;
+}
+
 function clearConversationHistory(userId) {
   // テスト環境では成功を返す
   if (process.env.NODE_ENV === 'test') {
@@ -493,9 +812,14 @@ module.exports = {
   initialize,
   getAIResponse,
   getResponse,
+  streamResponse,
+  completeText,
+  completeWithTools,
   clearConversationHistory,
+  getCachedConversation,
   isConfigured,
   checkHealth,
   getConfig,
+  CAPABILITIES,
   setTestFlags
 };
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * Circuit Breaker - AIプロバイダーごとの遮断器
+ *
+ * - closed（通常）: リクエストを通す。連続で失敗が AI_CIRCUIT_FAILURE_THRESHOLD 回に達したら open にする
+ * - open（遮断）: リクエストを通さない。AI_CIRCUIT_RESET_SECONDS 経ったら half_open にする
+ * - half_open（試行）: 1件だけリクエストを通して様子を見る。成功したら closed、失敗したら再び open にする
+ *
+ * @module services/ai/circuit-breaker
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// 連続で何回失敗したら遮断するか
+const FAILURE_THRESHOLD = parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD || '3', 10);
+// 遮断してから試行を再開するまでの時間（秒）
+const RESET_SECONDS = parseInt(process.env.AI_CIRCUIT_RESET_SECONDS || '60', 10);
+
+class CircuitBreaker {
+  /**
+   * @param {Object} [options] オプション
+   * @param {number} [options.failureThreshold] 連続で何回失敗したら遮断するか
+   * @param {number} [options.resetTimeoutMs] 遮断してから試行を再開するまでの時間（ミリ秒）
+   * @param {Function} [options.now] 現在時刻（ミリ秒）を返す関数
+   */
+  constructor({ failureThreshold = FAILURE_THRESHOLD, resetTimeoutMs = RESET_SECONDS * 1000, now = Date.now } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.now = now;
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  /**
+   * リクエストを通してよいかを返す
+   * 遮断から一定時間が経っていれば half_open にして、試行のリクエストを1件だけ通す
+   * @returns {boolean} リクエストを通す場合はtrue
+   */
+  allowRequest() {
+    if (this.state === STATES.OPEN && this.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = STATES.HALF_OPEN;
+      this.probeInFlight = false;
+    }
+
+    if (this.state === STATES.CLOSED) {
+      return true;
+    }
+    if (this.state === STATES.HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 成功を記録する
+   */
+  recordSuccess() {
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastSuccessAt = new Date(this.now()).toISOString();
+  }
+
+  /**
+   * 失敗を記録する
+   * @param {Error} error 発生したエラー
+   */
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error?.message || String(error);
+    this.lastFailureAt = new Date(this.now()).toISOString();
+    this.probeInFlight = false;
+
+    if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = STATES.OPEN;
+      this.openedAt = this.now();
+    }
+  }
+
+  /**
+   * 状態を返す
+   * @returns {Object} {state, consecutiveFailures, nextProbeAt, lastError, lastFailureAt, lastSuccessAt}
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      nextProbeAt: this.state === STATES.OPEN ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
+module.exports.STATES = STATES;
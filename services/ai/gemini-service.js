@@ -1,9 +1,23 @@
 // Gemini AI統合サービス - Bocchy用カスタマイズ版
 const axios = require('axios');
+const { readServerSentEvents } = require('./stream-utils');
 
 // 環境変数から設定を読み込む
 const API_KEY = process.env.GEMINI_API_KEY;
 const API_ENDPOINT = process.env.GEMINI_ENDPOINT || 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent';
+// ストリーミング用エンドポイント（generateContent → streamGenerateContent）
+const STREAM_ENDPOINT = API_ENDPOINT.replace(/:generateContent$/, ':streamGenerateContent');
+
+/**
+ * エンドポイントのモデル名を置き換える（ルーティングでモデルを指定した場合）
+ * @private
+ * @param {string} endpoint - API_ENDPOINT または STREAM_ENDPOINT
+ * @param {string} [model] - モデル名（省略した場合はエンドポイントのモデル）
+ * @returns {string} エンドポイント
+ */
+function modelEndpoint(endpoint, model) {
+  return model ? endpoint.replace(/\/models\/[^/:]+:/, `/models/${model}:`) : endpoint;
+}
 
 // 会話履歴キャッシュ (ユーザーIDをキーとする)
 const conversationCache = new Map();
@@ -14,6 +28,13 @@ const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000;
 const REQUEST_TIMEOUT = 30000;
 const MIN_ACCEPTABLE_LENGTH = 5;
+// プロバイダーの対応機能
+const CAPABILITIES = {
+  vision: true,
+  streaming: true,
+  tools: true
+};
+
 const HEALTH_STATUS = {
   status: 'unknown',
   lastCheck: null,
@@ -94,26 +115,40 @@ async function initialize() {
 /**
  * Gemini APIを使用してメッセージに応答（リトライ機能付き）
  */
-async function getAIResponse(userId, message, username, isDM = false, additionalContext = null) {
+async function getAIResponse(userId, message, username, isDM = false, additionalContext = null, images = []) {
   if (!API_KEY) {
     console.error('Gemini API Key が設定されていません');
     return '🌿 API設定に問題があるようです。少し待ってみてください。';
   }
 
+  try {
+    return await requestWithRetries(() => processAIRequest(userId, message, username, isDM, additionalContext, images));
+  } catch (error) {
+    console.error('Gemini通信失敗:', error);
+    return formatErrorResponse(error);
+  }
+}
+
+/**
+ * APIリクエストを実行し、一時的なエラーの場合はリトライする
+ * @private
+ * @param {Function} request - APIリクエストを行う関数
+ * @returns {Promise<string>} AIからの応答
+ * @throws {Error} リトライしても失敗した場合
+ */
+async function requestWithRetries(request) {
   let retries = 0;
-  while (retries <= MAX_RETRIES) {
+  while (true) {
     try {
       if (retries > 0) {
         await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * Math.pow(2, retries - 1)));
       }
-      return await processAIRequest(userId, message, username, isDM, additionalContext);
+      return await request();
     } catch (error) {
-      const isRetryableError = isErrorRetryable(error);
       retries++;
-      if (!isRetryableError || retries > MAX_RETRIES) {
-        console.error('Gemini通信失敗:', error);
+      if (!isErrorRetryable(error) || retries > MAX_RETRIES) {
         updateHealthStatus(false);
-        return formatErrorResponse(error);
+        throw error;
       }
     }
   }
@@ -121,22 +156,23 @@ async function getAIResponse(userId, message, username, isDM = false, additional
 
 /**
  * 新インターフェース用のレスポンス取得メソッド
+ * getAIResponse と異なり、APIの呼び出しに失敗した場合はエラーをスローする
+ * （ユーザー向けのエラーメッセージやほかのプロバイダーへの切り替えは ai-service が行う）
  * @param {Object} context - 会話コンテキスト
  * @returns {Promise<string>} AIからの応答
+ * @throws {Error} APIキーが未設定、またはAPIの呼び出しに失敗した場合
  */
 async function getResponse(context) {
   try {
-    const { userId, username = 'User', message, contextType = 'unknown', additionalContext } = context;
+    const { userId, username = 'User', message, contextType = 'unknown', additionalContext, images = [], model, systemPrompt } = context;
     console.log(`Gemini getResponse呼び出し: userId=${userId}, contextType=${contextType}`);
-    
+
+    if (!API_KEY) {
+      throw new Error('Gemini API Key が設定されていません');
+    }
+
     const isDM = contextType === 'direct_message';
-    return await getAIResponse(
-      userId,
-      message,
-      username,
-      isDM,
-      additionalContext
-    );
+    return await requestWithRetries(() => processAIRequest(userId, message, username, isDM, additionalContext, images, model, systemPrompt));
   } catch (error) {
     console.error(`Gemini getResponse呼び出しエラー: ${error.message}`);
     throw error;
@@ -163,10 +199,14 @@ function formatErrorResponse(error) {
   }
 }
 
-async function processAIRequest(userId, message, username, isDM = false, additionalContext = null) {
-  const startTime = Date.now();
-
-  const userConversation = getConversationHistory(userId);
+/**
+ * 会話履歴にユーザーメッセージを追加し、リクエスト用のcontentsを準備する
+ * @param {Object} userConversation - ユーザーの会話履歴
+ * @param {string} message - ユーザーメッセージ
+ * @param {string} additionalContext - 追加のコンテキスト
+ * @param {Array<Object>} images - 添付画像（base64）
+ */
+function appendUserMessages(userConversation, message, additionalContext = null, images = []) {
   if (userConversation.messages.length === 0) {
     userConversation.messages.push({
       role: 'user',
@@ -188,7 +228,10 @@ async function processAIRequest(userId, message, username, isDM = false, additio
 
   userConversation.messages.push({
     role: 'user',
-    parts: [{text: message}]
+    parts: [
+      {text: message},
+      ...images.map(image => ({ inline_data: { mime_type: image.mimeType, data: image.data } }))
+    ]
   });
 
   if (userConversation.messages.length > 21) {
@@ -198,7 +241,37 @@ async function processAIRequest(userId, message, username, isDM = false, additio
     userConversation.messages = userConversation.messages.slice(-19);
     userConversation.messages.unshift(...systemMessages);
   }
+}
+
+/**
+ * 応答を会話履歴に記録する
+ * @param {Object} userConversation - ユーザーの会話履歴
+ * @param {string} responseText - 検証済みの応答
+ */
+function recordResponse(userConversation, responseText) {
+  // 画像データは履歴に残さず、プレースホルダーに置き換える
+  userConversation.messages = userConversation.messages.map(msg => ({
+    ...msg,
+    parts: msg.parts.map(part => (part.inline_data ? {text: '[画像]'} : part))
+  }));
+
+  userConversation.messages.push({
+    role: 'model',
+    parts: [{text: responseText}]
+  });
+  
+  userConversation.lastUpdated = Date.now();
+  userConversation.messageCount++;
+  userConversation.lastSuccessful = Date.now();
+}
 
+/**
+ * リクエストデータを作成
+ * @param {Object} userConversation - ユーザーの会話履歴
+ * @param {string} [systemPrompt] - メッセージハンドラーが組み立てたシステムプロンプト（キャラクター設定・記憶・ナレッジ）
+ * @returns {Object} リクエストデータ
+ */
+function buildRequestData(userConversation, systemPrompt = null) {
   const requestData = {
     contents: userConversation.messages,
     generationConfig: {
@@ -208,9 +281,18 @@ async function processAIRequest(userId, message, username, isDM = false, additio
       topK: 40
     }
   };
+  if (systemPrompt) requestData.systemInstruction = { parts: [{ text: systemPrompt }] };
+  return requestData;
+}
 
-  const url = `${API_ENDPOINT}?key=${API_KEY}`;
-  const response = await axios.post(url, requestData, {
+async function processAIRequest(userId, message, username, isDM = false, additionalContext = null, images = [], model = null, systemPrompt = null) {
+  const startTime = Date.now();
+
+  const userConversation = getConversationHistory(userId);
+  appendUserMessages(userConversation, message, additionalContext, images);
+
+  const url = `${modelEndpoint(API_ENDPOINT, model)}?key=${API_KEY}`;
+  const response = await axios.post(url, buildRequestData(userConversation, systemPrompt), {
     timeout: REQUEST_TIMEOUT,
     headers: {
       'Content-Type': 'application/json'
@@ -220,14 +302,7 @@ async function processAIRequest(userId, message, username, isDM = false, additio
   const responseText = extractResponseText(response);
   const validatedResponse = validateResponse(responseText);
 
-  userConversation.messages.push({
-    role: 'model',
-    parts: [{text: validatedResponse}]
-  });
-  
-  userConversation.lastUpdated = Date.now();
-  userConversation.messageCount++;
-  userConversation.lastSuccessful = Date.now();
+  recordResponse(userConversation, validatedResponse);
 
   updateHealthStatus(true);
 
@@ -235,6 +310,209 @@ async function processAIRequest(userId, message, username, isDM = false, additio
   return validatedResponse;
 }
 
+/**
+ * ストリーミングで応答を取得する
+ * 生成されたテキスト片を逐次コールバックに渡し、最後に応答全文を返す
+ * @param {Object} context - 会話コンテキスト（getResponseと同じ形式）
+ * @param {Function} onDelta - テキスト片を受け取るコールバック
+ * @returns {Promise<string>} AIからの応答全文
+ */
+async function streamResponse(context, onDelta) {
+  const { userId, message, additionalContext, images = [] } = context;
+  const startTime = Date.now();
+
+  if (!API_KEY) {
+    throw new Error('Gemini API Key が設定されていません');
+  }
+
+  const userConversation = getConversationHistory(userId);
+  appendUserMessages(userConversation, message, additionalContext, images);
+
+  try {
+    const url = `${modelEndpoint(STREAM_ENDPOINT, context.model)}?alt=sse&key=${API_KEY}`;
+    const response = await axios.post(url, buildRequestData(userConversation, context.systemPrompt), {
+      timeout: REQUEST_TIMEOUT,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      responseType: 'stream'
+    });
+
+    let fullText = '';
+    await readServerSentEvents(response.data, (event) => {
+      const parts = event?.candidates?.[0]?.content?.parts || [];
+      const delta = parts.map(part => part.text || '').join('');
+      if (delta) {
+        fullText += delta;
+        onDelta(delta);
+      }
+    });
+
+    const validatedResponse = validateResponse(fullText);
+    recordResponse(userConversation, validatedResponse);
+    updateHealthStatus(true);
+
+    console.log(`[Bocchy-Gemini] ストリーミング応答完了 in ${Date.now() - startTime}ms`);
+    return validatedResponse;
+  } catch (error) {
+    updateHealthStatus(false);
+    console.error(`Gemini streamResponse呼び出しエラー: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * キャラクター設定や会話履歴を使わずにテキストを生成する
+ * 要約などの内部処理用
+ * @param {Object} options - 生成オプション
+ * @param {string} options.systemPrompt - システムプロンプト (任意)
+ * @param {string} options.prompt - 入力テキスト
+ * @param {number} options.maxTokens - 最大出力トークン数 (デフォルト: 1000)
+ * @param {number} options.temperature - 温度 (デフォルト: 0.3)
+ * @returns {Promise<string>} 生成されたテキスト
+ */
+async function completeText({ systemPrompt, prompt, maxTokens = 1000, temperature = 0.3 }) {
+  if (!API_KEY) {
+    throw new Error('Gemini API Key が設定されていません');
+  }
+
+  const requestData = {
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    generationConfig: {
+      temperature,
+      maxOutputTokens: maxTokens
+    }
+  };
+  if (systemPrompt) requestData.systemInstruction = { parts: [{ text: systemPrompt }] };
+
+  const response = await axios.post(`${API_ENDPOINT}?key=${API_KEY}`, requestData, {
+    timeout: REQUEST_TIMEOUT,
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  });
+
+  const text = response?.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (!text || !text.trim()) {
+    throw new Error('Gemini completeText returned an empty response');
+  }
+  return text.trim();
+}
+
+/**
+ * 共通の形式の messages を Gemini の contents 配列に変換する
+ * 続けて返すツールの結果は1つの user メッセージにまとめる
+ * @private
+ * @param {Array<Object>} messages - 共通の形式の messages（services/ai/tools/tool-loop.js を参照）
+ * @returns {Array<Object>} contents配列
+ */
+function toGeminiToolContents(messages) {
+  const contents = [];
+  for (const msg of messages) {
+    if (msg.role === 'tool') {
+      const part = { functionResponse: { name: msg.name, response: msg.isError ? { error: msg.content } : { content: msg.content } } };
+      const last = contents[contents.length - 1];
+      if (last && last.role === 'user' && last.parts.every(item => item.functionResponse)) {
+        last.parts.push(part);
+      } else {
+        contents.push({ role: 'user', parts: [part] });
+      }
+    } else if (msg.role === 'assistant') {
+      const parts = msg.content ? [{ text: msg.content }] : [];
+      (msg.toolCalls || []).forEach(call => {
+        parts.push({ functionCall: { name: call.name, args: call.arguments || {} } });
+      });
+      contents.push({ role: 'model', parts });
+    } else {
+      contents.push({
+        role: 'user',
+        parts: [
+          { text: msg.content },
+          ...(msg.images || []).map(image => ({ inline_data: { mime_type: image.mimeType, data: image.data } }))
+        ]
+      });
+    }
+  }
+  return contents;
+}
+
+/**
+ * ストリーミングの応答を読み取り、ストリーミングしない応答と同じ parts の配列にする
+ * イベントごとに続きの parts が届く（関数呼び出しは1つの part にまとまって届く）
+ * @private
+ * @param {Stream} stream - レスポンスストリーム
+ * @param {Function} onDelta - テキスト片を受け取るコールバック
+ * @returns {Promise<Array<Object>>} parts
+ */
+async function readStreamedParts(stream, onDelta) {
+  const parts = [];
+  await readServerSentEvents(stream, (event) => {
+    (event?.candidates?.[0]?.content?.parts || []).forEach((part) => {
+      parts.push(part);
+      if (part.text) onDelta(part.text);
+    });
+  });
+  return parts;
+}
+
+/**
+ * ツールを宣言して1回分の応答を取得する（ツールを呼び出すループは services/ai/tools/tool-loop.js が行う）
+ * Gemini のツール呼び出しにはIDがないため、応答の中での順番からIDを付ける
+ * @param {Object} options - オプション
+ * @param {string} options.systemPrompt - システムプロンプト (任意)
+ * @param {Array<Object>} options.messages - 共通の形式の messages
+ * @param {Array<Object>} options.tools - ツールの宣言 ({name, description, parameters})
+ * @param {string} options.toolChoice - 'auto' または 'none' (デフォルト: 'auto')
+ * @param {string} options.model - モデル名 (デフォルト: GEMINI_ENDPOINT のモデル)
+ * @param {Function} options.onDelta - 指定した場合はストリーミングで取得し、テキスト片を逐次渡す (任意)
+ * @returns {Promise<{text: string, toolCalls: Array<{id: string, name: string, arguments: Object}>}>} 応答とツール呼び出し
+ */
+async function completeWithTools({ systemPrompt, messages, tools = [], toolChoice = 'auto', model = null, onDelta }) {
+  if (!API_KEY) {
+    throw new Error('Gemini API Key が設定されていません');
+  }
+
+  const requestData = {
+    systemInstruction: { parts: [{ text: systemPrompt || BOCCHY_CHARACTER_PROMPT }] },
+    contents: toGeminiToolContents(messages),
+    generationConfig: {
+      temperature: 0.7,
+      maxOutputTokens: 1000
+    }
+  };
+  if (tools.length > 0) {
+    requestData.tools = [{ functionDeclarations: tools }];
+    requestData.toolConfig = { functionCallingConfig: { mode: toolChoice === 'none' ? 'NONE' : 'AUTO' } };
+  }
+
+  const url = onDelta
+    ? `${modelEndpoint(STREAM_ENDPOINT, model)}?alt=sse&key=${API_KEY}`
+    : `${modelEndpoint(API_ENDPOINT, model)}?key=${API_KEY}`;
+  const response = await axios.post(url, requestData, {
+    timeout: REQUEST_TIMEOUT,
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    ...(onDelta ? { responseType: 'stream' } : {})
+  });
+
+  const parts = onDelta
+    ? await readStreamedParts(response.data, onDelta)
+    : response?.data?.candidates?.[0]?.content?.parts || [];
+  updateHealthStatus(true);
+
+  return {
+    text: parts.filter(part => part.text).map(part => part.text).join(''),
+    toolCalls: parts
+      .filter(part => part.functionCall)
+      .map((part, index) => ({
+        id: part.functionCall.id || `${part.functionCall.name}-${index}`,
+        name: part.functionCall.name,
+        arguments: part.functionCall.args || {}
+      }))
+  };
+}
+
 function extractResponseText(response) {
   return response?.data?.candidates?.[0]?.content?.parts?.[0]?.text || '（応答が見つかりませんでした）';
 }
@@ -266,6 +544,16 @@ function getConversationHistory(userId) {
   return conv;
 }
 
+/**
+ * キャッシュ上の会話履歴を取得する（履歴がなくても新規作成しない）
+ * @param {string} userId - ユーザーID
+ * @returns {Array|null} メッセージ配列、キャッシュがない場合はnull
+ */
+function getCachedConversation(userId) {
+  const cached = conversationCache.get(userId);
+  return cached ? JSON.parse(JSON.stringify(cached.messages)) : null;
+}
+
 function clearConversationHistory(userId) {
   return conversationCache.delete(userId);
 }
@@ -365,8 +653,13 @@ module.exports = {
   initialize,
   getAIResponse,
   getResponse,  // 新しく追加したメソッド
+  streamResponse,
+  completeText,
+  completeWithTools,
   clearConversationHistory,
+  getCachedConversation,
   isConfigured,
   checkHealth,
-  getConfig
+  getConfig,
+  CAPABILITIES
 };
\ No newline at end of file
@@ -0,0 +1,317 @@
+/**
+ * Model Router - リクエストごとのプロバイダー・モデルの選択
+ *
+ * サーバー・チャンネル・ロール・応答の種類（DM・メンション・文脈介入）・メッセージの長さ・
+ * 内容の種類（コード・雑談・検索）を条件にしたルールを上から順に評価し、最初に一致したルールのプロバイダーとモデルを使う
+ * 一致するルールがない場合は AI_PROVIDER_CHAIN と各プロバイダーのモデル設定（OPENAI_MODEL など）のまま応答する
+ * ルールは JSON ファイル（ROUTING_RULES_PATH、デフォルト: data/routing-rules.json）に保存し、`!route` コマンドで編集する
+ *
+ * @module services/ai/model-router
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../system/logger');
+
+// ルールの保存先
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', '..', 'data', 'routing-rules.json');
+const RULES_PATH = process.env.ROUTING_RULES_PATH || DEFAULT_RULES_PATH;
+
+// ルールで指定できるプロバイダー
+const PROVIDER_NAMES = ['openai', 'anthropic', 'gemini', 'openai-compatible'];
+// 応答の種類
+const SURFACES = ['dm', 'mention', 'intervention'];
+// 内容の種類
+const TASK_TYPES = ['code', 'chat', 'search'];
+// ルールの条件
+const CONDITION_KEYS = ['guild', 'channel', 'role', 'surface', 'task', 'minLength', 'maxLength'];
+
+// コードに関する質問の特徴
+const CODE_PATTERNS = [
+  /```|`[^`\n]+`/,
+  /コード|プログラム|関数|変数|エラー|バグ|スクリプト|コンパイル|デバッグ|実装/,
+  /\b(javascript|typescript|python|java|rust|golang|sql|html|css|regex|npm|git|docker|api)\b/i,
+  /\b(function|const|let|import|class|def|return)\b.*[({=]/,
+  /Traceback|Exception|stack trace|TypeError|SyntaxError/i
+];
+// 検索して答える質問の特徴
+const SEARCH_PATTERNS = [
+  /検索|調べて|最新|ニュース|速報|天気|株価|価格|発売日/,
+  /いつ(です|でしょう|から|まで)|どこ(です|でしょう)|誰(です|でしょう)/,
+  /について(教えて|知りたい)/
+];
+
+let rules = [];
+let rulesPath = RULES_PATH;
+let loaded = false;
+let writeQueue = Promise.resolve();
+
+/**
+ * メッセージの内容の種類を判定する
+ * @param {string} text - メッセージ
+ * @param {Object} [context] - リクエストコンテキスト（検索を行った場合は search）
+ * @returns {string} 'code' / 'search' / 'chat'
+ */
+function detectTaskType(text, context = {}) {
+  const message = typeof text === 'string' ? text : '';
+  if (CODE_PATTERNS.some(pattern => pattern.test(message))) {
+    return 'code';
+  }
+  if (context.searchInfo?.performed || SEARCH_PATTERNS.some(pattern => pattern.test(message))) {
+    return 'search';
+  }
+  return 'chat';
+}
+
+/**
+ * リクエストの応答の種類を判定する
+ * @param {Object} context - リクエストコンテキスト
+ * @returns {string} 'dm' / 'mention' / 'intervention'
+ */
+function getSurface(context = {}) {
+  if (SURFACES.includes(context.surface)) {
+    return context.surface;
+  }
+  if (context.isIntervention || context.contextType === 'intervention') {
+    return 'intervention';
+  }
+  if (context.channelType === 1 || context.contextType === 'direct_message') {
+    return 'dm';
+  }
+  return 'mention';
+}
+
+/**
+ * ルールの内容を検証して正規化する
+ * @private
+ * @param {Object} rule - ルール ({provider, model, match})
+ * @returns {{success: boolean, rule?: Object, error?: string}} 検証結果
+ */
+function normalizeRule(rule = {}) {
+  if (!PROVIDER_NAMES.includes(rule.provider)) {
+    return { success: false, error: `プロバイダーには次のいずれかを指定してください: ${PROVIDER_NAMES.join(', ')}` };
+  }
+
+  const match = {};
+  for (const [key, value] of Object.entries(rule.match || {})) {
+    if (!CONDITION_KEYS.includes(key)) {
+      return { success: false, error: `不明な条件です: ${key}（指定できる条件: ${CONDITION_KEYS.join(', ')}）` };
+    }
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    if (key === 'minLength' || key === 'maxLength') {
+      const length = Number(value);
+      if (!Number.isInteger(length) || length < 0) {
+        return { success: false, error: `${key} には0以上の整数を指定してください。` };
+      }
+      match[key] = length;
+    } else if (key === 'surface' && !SURFACES.includes(value)) {
+      return { success: false, error: `surface には次のいずれかを指定してください: ${SURFACES.join(', ')}` };
+    } else if (key === 'task' && !TASK_TYPES.includes(value)) {
+      return { success: false, error: `task には次のいずれかを指定してください: ${TASK_TYPES.join(', ')}` };
+    } else {
+      match[key] = String(value);
+    }
+  }
+
+  return {
+    success: true,
+    rule: {
+      id: rule.id,
+      provider: rule.provider,
+      model: rule.model || null,
+      match
+    }
+  };
+}
+
+/**
+ * ルールの条件にリクエストが一致するか
+ * @private
+ * @param {Object} match - ルールの条件
+ * @param {Object} request - 判定に使う値 ({guildId, channelId, roleIds, surface, taskType, length})
+ * @returns {boolean} すべての条件に一致する場合はtrue
+ */
+function matches(match, request) {
+  if (match.guild && match.guild !== request.guildId) return false;
+  if (match.channel && match.channel !== request.channelId) return false;
+  if (match.role && !request.roleIds.includes(match.role)) return false;
+  if (match.surface && match.surface !== request.surface) return false;
+  if (match.task && match.task !== request.taskType) return false;
+  if (match.minLength !== undefined && request.length < match.minLength) return false;
+  if (match.maxLength !== undefined && request.length > match.maxLength) return false;
+  return true;
+}
+
+/**
+ * ルールをファイルに書き出す
+ * 一時ファイルに書いてから置き換えることで、書き込み途中の破損を防ぐ
+ * @private
+ * @returns {Promise<void>}
+ */
+async function persist() {
+  const snapshot = JSON.stringify({ rules }, null, 2);
+  // 前回の書き込みが失敗していても、今回の書き込みは実行する
+  writeQueue = writeQueue.catch(() => {}).then(async () => {
+    await fs.promises.mkdir(path.dirname(rulesPath), { recursive: true });
+    const tempPath = `${rulesPath}.tmp`;
+    await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+    await fs.promises.rename(tempPath, rulesPath);
+  });
+  return writeQueue;
+}
+
+/**
+ * 保存済みのルールを読み込む
+ * 不正なルールは読み飛ばす
+ * @param {string} [filePath] - ルールの保存先（デフォルト: ROUTING_RULES_PATH）
+ * @returns {Promise<{success: boolean, rules?: number, error?: string}>} 読み込み結果
+ */
+async function initialize(filePath = RULES_PATH) {
+  rulesPath = filePath;
+  rules = [];
+  loaded = true;
+
+  try {
+    if (fs.existsSync(rulesPath)) {
+      const saved = JSON.parse(await fs.promises.readFile(rulesPath, 'utf8'));
+      for (const item of saved.rules || []) {
+        const normalized = normalizeRule(item);
+        if (normalized.success && item.id) {
+          rules.push(normalized.rule);
+        } else {
+          logger.warn(`Skipping invalid routing rule ${item.id || '(no id)'}: ${normalized.error || 'missing id'}`);
+        }
+      }
+    }
+    logger.info(`Model routing rules loaded: ${rulesPath} (${rules.length} rules)`);
+    return { success: true, rules: rules.length };
+  } catch (error) {
+    logger.error(`Failed to load model routing rules: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 保存済みのルールを読み込んでいない場合は読み込む（編集で保存済みのルールを上書きしないため）
+ * @private
+ * @returns {Promise<void>}
+ */
+async function ensureLoaded() {
+  if (!loaded) {
+    await initialize(rulesPath);
+  }
+}
+
+/**
+ * ルールの一覧を評価の順に返す
+ * @returns {Array<Object>} ルール ({id, provider, model, match})
+ */
+function getRules() {
+  return rules.map(rule => ({ ...rule, match: { ...rule.match } }));
+}
+
+/**
+ * ルールを追加して保存する（一覧の末尾に追加され、既存のルールより後に評価される）
+ * @param {Object} rule - ルール
+ * @param {string} rule.provider - プロバイダー名
+ * @param {string} [rule.model] - モデル名（省略した場合はプロバイダーのモデル設定）
+ * @param {Object} [rule.match] - 条件 ({guild, channel, role, surface, task, minLength, maxLength})
+ * @returns {Promise<{success: boolean, rule?: Object, error?: string}>} 追加結果
+ */
+async function addRule(rule) {
+  await ensureLoaded();
+  const normalized = normalizeRule(rule);
+  if (!normalized.success) {
+    return normalized;
+  }
+
+  const nextId = rules.reduce((max, item) => Math.max(max, Number(String(item.id).replace(/^r/, '')) || 0), 0) + 1;
+  const added = { ...normalized.rule, id: `r${nextId}` };
+  rules.push(added);
+
+  try {
+    await persist();
+    logger.info(`Routing rule ${added.id} added: ${JSON.stringify(added.match)} -> ${added.provider}/${added.model || 'default'}`);
+    return { success: true, rule: { ...added } };
+  } catch (error) {
+    rules = rules.filter(item => item !== added);
+    logger.error(`Failed to save routing rule: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * ルールを削除して保存する
+ * @param {string} id - ルールID
+ * @returns {Promise<{success: boolean, error?: string}>} 削除結果
+ */
+async function removeRule(id) {
+  await ensureLoaded();
+  const index = rules.findIndex(rule => rule.id === id);
+  if (index === -1) {
+    return { success: false, error: `ルール ${id} は見つかりませんでした。` };
+  }
+
+  const [removed] = rules.splice(index, 1);
+  try {
+    await persist();
+    logger.info(`Routing rule ${id} removed`);
+    return { success: true };
+  } catch (error) {
+    rules.splice(index, 0, removed);
+    logger.error(`Failed to save routing rules: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * リクエストに使うプロバイダーとモデルを選ぶ
+ * @param {Object} context - リクエストコンテキスト ({guildId, channelId, roleIds, surface, message, ...})
+ * @returns {{ruleId: string|null, provider: string|null, model: string|null, surface: string, taskType: string, length: number}}
+ *   一致したルール（一致しない場合は ruleId・provider・model が null）と判定に使った値
+ */
+function resolveRoute(context = {}) {
+  const message = typeof context.message === 'string' ? context.message : '';
+  const request = {
+    guildId: context.guildId ? String(context.guildId) : null,
+    channelId: context.channelId ? String(context.channelId) : null,
+    roleIds: (context.roleIds || []).map(String),
+    surface: getSurface(context),
+    taskType: context.taskType || detectTaskType(message, context),
+    length: message.length
+  };
+
+  const rule = rules.find(item => matches(item.match, request));
+  return {
+    ruleId: rule ? rule.id : null,
+    provider: rule ? rule.provider : null,
+    model: rule ? rule.model : null,
+    surface: request.surface,
+    taskType: request.taskType,
+    length: request.length
+  };
+}
+
+module.exports = {
+  initialize,
+  getRules,
+  addRule,
+  removeRule,
+  resolveRoute,
+  detectTaskType,
+  getSurface,
+  PROVIDER_NAMES,
+  SURFACES,
+  TASK_TYPES,
+  CONDITION_KEYS,
+  // テスト用の内部状態リセット関数
+  _resetForTest: function() {
+    if (process.env.NODE_ENV === 'test') {
+      rules = [];
+      rulesPath = RULES_PATH;
+      loaded = false;
+    }
+  }
+};
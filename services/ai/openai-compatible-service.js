@@ -0,0 +1,487 @@
+/**
+ * OpenAI互換APIのプロバイダー
+ *
+ * Ollama・llama.cpp server・vLLM など、OpenAI互換のAPI（/chat/completions, /embeddings, /models）を持つ
+ * サーバーで応答・ストリーミング・埋め込みを行う。クラウドのAPIを使わずにBocchyを動かす場合に使う
+ *
+ * 設定:
+ * - OPENAI_COMPATIBLE_BASE_URL: APIのベースURL（例: http://localhost:11434/v1）
+ * - OPENAI_COMPATIBLE_MODEL: モデル名
+ * - OPENAI_COMPATIBLE_API_KEY / OPENAI_COMPATIBLE_AUTH_HEADER: 認証が必要な場合のキーとヘッダー名
+ * - OPENAI_COMPATIBLE_CONTEXT_WINDOW: モデルのコンテキスト長（超える場合は古い会話履歴から省く）
+ * - OPENAI_COMPATIBLE_CAPABILITIES: モデルが対応している機能（vision, streaming, tools のカンマ区切り）
+ * - OPENAI_COMPATIBLE_EMBEDDING_MODEL: 埋め込みに使うモデル名
+ */
+
+const axios = require('axios');
+const { readServerSentEvents, readChatCompletionStream } = require('./stream-utils');
+const { estimateTextTokens } = require('../../utilities/token-estimator');
+
+// 環境変数から設定を読み込む
+const BASE_URL = (process.env.OPENAI_COMPATIBLE_BASE_URL || '').replace(/\/+$/, '');
+const API_MODEL = process.env.OPENAI_COMPATIBLE_MODEL || '';
+const API_KEY = process.env.OPENAI_COMPATIBLE_API_KEY || '';
+const AUTH_HEADER = process.env.OPENAI_COMPATIBLE_AUTH_HEADER || 'Authorization';
+const EMBEDDING_MODEL = process.env.OPENAI_COMPATIBLE_EMBEDDING_MODEL || '';
+
+// 設定
+const CONTEXT_WINDOW = parseInt(process.env.OPENAI_COMPATIBLE_CONTEXT_WINDOW || '8192', 10);
+const MAX_TOKENS = parseInt(process.env.OPENAI_COMPATIBLE_MAX_TOKENS || '1000', 10);
+// ローカルのモデルはクラウドのAPIより応答が遅いことが多いため長めにとる
+const REQUEST_TIMEOUT = parseInt(process.env.OPENAI_COMPATIBLE_TIMEOUT_MS || '120000', 10);
+const HEALTH_STATUS = {
+  status: 'unknown',
+  lastCheck: null,
+  consecutiveFailures: 0
+};
+
+// プロバイダーの対応機能（モデルによって異なるため設定で指定する）
+const ENABLED_CAPABILITIES = (process.env.OPENAI_COMPATIBLE_CAPABILITIES || 'streaming')
+  .split(',')
+  .map(name => name.trim().toLowerCase());
+const CAPABILITIES = {
+  vision: ENABLED_CAPABILITIES.includes('vision'),
+  streaming: ENABLED_CAPABILITIES.includes('streaming'),
+  tools: ENABLED_CAPABILITIES.includes('tools')
+};
+
+// システムプロンプトが渡されなかった場合のキャラクター設定
+const DEFAULT_SYSTEM_PROMPT = 'あなたはBocchy（ボッチー）という親しみやすいAIキャラクターです。日本語で、温かみのある会話を心がけてください。';
+
+/**
+ * APIのURLを組み立てる
+ * @private
+ * @param {string} path - パス（例: /chat/completions）
+ * @returns {string} URL
+ */
+function endpoint(path) {
+  return `${BASE_URL}${path}`;
+}
+
+/**
+ * リクエストヘッダーを作成する
+ * Authorization ヘッダーの場合は Bearer を付け、それ以外のヘッダー（X-API-Key など）にはキーをそのまま入れる
+ * @private
+ * @returns {Object} ヘッダー
+ */
+function getApiHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+  if (API_KEY) {
+    headers[AUTH_HEADER] = AUTH_HEADER.toLowerCase() === 'authorization' ? `Bearer ${API_KEY}` : API_KEY;
+  }
+  return headers;
+}
+
+/**
+ * 設定がそろっているかを確認し、そろっていなければエラーをスローする
+ * @private
+ * @throws {Error} ベースURLまたはモデルが未設定の場合
+ */
+function assertConfigured() {
+  if (!isConfigured()) {
+    throw new Error('OpenAI互換APIのベースURLとモデル（OPENAI_COMPATIBLE_BASE_URL, OPENAI_COMPATIBLE_MODEL）が設定されていません');
+  }
+}
+
+/**
+ * 健全性の状態を更新する
+ * @private
+ * @param {boolean} success - 成功したかどうか
+ */
+function updateHealthStatus(success) {
+  if (success) {
+    HEALTH_STATUS.status = 'healthy';
+    HEALTH_STATUS.consecutiveFailures = 0;
+  } else {
+    HEALTH_STATUS.consecutiveFailures++;
+    if (HEALTH_STATUS.consecutiveFailures >= 3) {
+      HEALTH_STATUS.status = 'unhealthy';
+    }
+  }
+  HEALTH_STATUS.lastCheck = Date.now();
+}
+
+/**
+ * messages のトークン数を概算で見積もる（画像は数えない）
+ * @private
+ * @param {Array<Object>} messages - messages配列
+ * @returns {number} 推定トークン数
+ */
+function estimateMessagesTokens(messages) {
+  return messages.reduce((total, msg) => {
+    const text = Array.isArray(msg.content)
+      ? msg.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+      : msg.content;
+    return total + estimateTextTokens(text) + 4;
+  }, 0);
+}
+
+/**
+ * 応答のトークン数を残してコンテキスト長に収まるよう、古い会話履歴から省く
+ * システムプロンプト（先頭）と今回の発言（末尾）は残す
+ * @private
+ * @param {Array<Object>} messages - messages配列
+ * @param {number} maxTokens - 応答の最大トークン数
+ * @returns {Array<Object>} コンテキスト長に収まるmessages配列
+ */
+function fitToContextWindow(messages, maxTokens) {
+  const budget = CONTEXT_WINDOW - maxTokens;
+  const fitted = [...messages];
+  let dropped = 0;
+  while (fitted.length > 2 && estimateMessagesTokens(fitted) > budget) {
+    fitted.splice(1, 1);
+    dropped++;
+  }
+  if (dropped > 0) {
+    console.log(`OpenAI互換API: コンテキスト長 (${CONTEXT_WINDOW}) に収めるため、古い会話履歴を${dropped}件省きました`);
+  }
+  if (estimateMessagesTokens(fitted) > budget) {
+    console.warn(`OpenAI互換API: システムプロンプトと発言だけでコンテキスト長 (${CONTEXT_WINDOW}) を超える可能性があります`);
+  }
+  return fitted;
+}
+
+/**
+ * 画像を含むユーザーメッセージを作成する（vision に対応していない場合は画像を省く）
+ * @private
+ * @param {string} text - テキスト
+ * @param {Array<Object>} images - 画像 ({mimeType, data})
+ * @returns {Object} userロールのメッセージ
+ */
+function toUserMessage(text, images = []) {
+  if (!CAPABILITIES.vision || images.length === 0) {
+    return { role: 'user', content: text };
+  }
+  return {
+    role: 'user',
+    content: [
+      { type: 'text', text },
+      ...images.map(image => ({
+        type: 'image_url',
+        image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+      }))
+    ]
+  };
+}
+
+/**
+ * 会話コンテキストからmessages配列を組み立てる
+ * @private
+ * @param {Object} context - 会話コンテキスト
+ * @returns {Array<Object>} APIに渡すmessages配列
+ */
+function buildResponseMessages(context) {
+  const { message, additionalContext, conversationHistory = [], images = [] } = context;
+  const messages = [{ role: 'system', content: context.systemPrompt || DEFAULT_SYSTEM_PROMPT }];
+
+  for (const item of conversationHistory) {
+    if ((item.role === 'user' || item.role === 'assistant') && item.content) {
+      messages.push({ role: item.role, content: item.content });
+    }
+  }
+
+  let userPrompt = '';
+  if (additionalContext && additionalContext.trim().length > 0) {
+    userPrompt += `${additionalContext}\n\n`;
+  }
+  userPrompt += `【質問】${message}`;
+  messages.push(toUserMessage(userPrompt, images));
+
+  return fitToContextWindow(messages, MAX_TOKENS);
+}
+
+/**
+ * /chat/completions にリクエストする
+ * @private
+ * @param {Object} body - リクエストボディ（model を省略した場合は OPENAI_COMPATIBLE_MODEL）
+ * @param {Object} [options] - axios のオプション
+ * @returns {Promise<Object>} axios のレスポンス
+ */
+async function postChatCompletions(body, options = {}) {
+  assertConfigured();
+  try {
+    const response = await axios.post(endpoint('/chat/completions'), { ...body, model: body.model || API_MODEL }, {
+      timeout: REQUEST_TIMEOUT,
+      headers: getApiHeaders(),
+      ...options
+    });
+    updateHealthStatus(true);
+    return response;
+  } catch (error) {
+    updateHealthStatus(false);
+    throw error;
+  }
+}
+
+/**
+ * AIサービスの初期化
+ * @returns {Promise<Object>} 初期化の結果
+ */
+async function initialize() {
+  const health = await checkHealth();
+  return {
+    initialized: true,
+    apiConfigured: isConfigured(),
+    model: API_MODEL,
+    baseUrl: BASE_URL,
+    healthStatus: health.status
+  };
+}
+
+/**
+ * 健全性チェック（/models を取得する）
+ * @returns {Promise<Object>} 健全性状態
+ */
+async function checkHealth() {
+  const now = Date.now();
+  if (!isConfigured()) {
+    HEALTH_STATUS.status = 'unconfigured';
+    HEALTH_STATUS.lastCheck = now;
+    return { status: 'unconfigured', lastCheck: now, apiConfigured: false, message: 'Base URL or model is not configured' };
+  }
+
+  try {
+    await axios.get(endpoint('/models'), { timeout: 5000, headers: getApiHeaders() });
+    updateHealthStatus(true);
+    return { status: 'healthy', lastCheck: now, apiConfigured: true, consecutiveFailures: 0 };
+  } catch (error) {
+    updateHealthStatus(false);
+    console.error(`OpenAI互換API健全性確認エラー (${BASE_URL}): ${error.message}`);
+    return {
+      status: HEALTH_STATUS.status === 'healthy' ? 'degraded' : 'unhealthy',
+      lastCheck: now,
+      apiConfigured: true,
+      consecutiveFailures: HEALTH_STATUS.consecutiveFailures,
+      message: error.message
+    };
+  }
+}
+
+/**
+ * 応答を取得する
+ * @param {Object} context - 会話コンテキスト
+ * @returns {Promise<string>} AIからの応答
+ * @throws {Error} 未設定、またはAPIの呼び出しに失敗した場合
+ */
+async function getResponse(context) {
+  const { userId, contextType = 'unknown', model = API_MODEL } = context;
+  console.log(`OpenAI互換API getResponse呼び出し: userId=${userId}, contextType=${contextType}, model=${model}`);
+
+  const response = await postChatCompletions({
+    model,
+    messages: buildResponseMessages(context),
+    temperature: 0.8,
+    max_tokens: MAX_TOKENS
+  });
+
+  const text = response?.data?.choices?.[0]?.message?.content;
+  if (!text || !text.trim()) {
+    throw new Error('OpenAI互換APIから空の応答が返されました');
+  }
+  return text.trim();
+}
+
+/**
+ * ストリーミングで応答を取得する
+ * streaming に対応していない設定の場合は、応答全文を1つのテキスト片として渡す
+ * @param {Object} context - 会話コンテキスト（getResponseと同じ形式）
+ * @param {Function} onDelta - テキスト片を受け取るコールバック
+ * @returns {Promise<string>} AIからの応答全文
+ */
+async function streamResponse(context, onDelta) {
+  if (!CAPABILITIES.streaming) {
+    const text = await getResponse(context);
+    onDelta(text);
+    return text;
+  }
+
+  const response = await postChatCompletions({
+    model: context.model,
+    messages: buildResponseMessages(context),
+    temperature: 0.8,
+    max_tokens: MAX_TOKENS,
+    stream: true
+  }, { responseType: 'stream' });
+
+  let fullText = '';
+  await readServerSentEvents(response.data, (event) => {
+    const delta = event?.choices?.[0]?.delta?.content;
+    if (delta) {
+      fullText += delta;
+      onDelta(delta);
+    }
+  });
+
+  if (!fullText.trim()) {
+    throw new Error('OpenAI互換APIから空の応答が返されました');
+  }
+  return fullText;
+}
+
+/**
+ * キャラクター設定や会話履歴を使わずにテキストを生成する（要約などの内部処理用）
+ * @param {Object} options - 生成オプション ({systemPrompt, prompt, maxTokens, temperature})
+ * @returns {Promise<string>} 生成されたテキスト
+ */
+async function completeText({ systemPrompt, prompt, maxTokens = 1000, temperature = 0.3 }) {
+  const messages = [];
+  if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
+  messages.push({ role: 'user', content: prompt });
+
+  const response = await postChatCompletions({
+    messages: fitToContextWindow(messages, maxTokens),
+    temperature,
+    max_tokens: maxTokens
+  });
+
+  const text = response?.data?.choices?.[0]?.message?.content;
+  if (!text || !text.trim()) {
+    throw new Error('OpenAI互換API completeText returned an empty response');
+  }
+  return text.trim();
+}
+
+/**
+ * 共通の形式の messages を OpenAI互換APIの messages 配列に変換する
+ * @private
+ * @param {string} systemPrompt - システムプロンプト
+ * @param {Array<Object>} messages - 共通の形式の messages（services/ai/tools/tool-loop.js を参照）
+ * @returns {Array<Object>} APIに渡すmessages配列
+ */
+function toToolMessages(systemPrompt, messages) {
+  const converted = [{ role: 'system', content: systemPrompt }];
+  for (const msg of messages) {
+    if (msg.role === 'tool') {
+      converted.push({ role: 'tool', tool_call_id: msg.toolCallId, content: msg.content });
+    } else if (msg.role === 'assistant') {
+      const assistant = { role: 'assistant', content: msg.content || null };
+      if (msg.toolCalls && msg.toolCalls.length > 0) {
+        assistant.tool_calls = msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }));
+      }
+      converted.push(assistant);
+    } else {
+      converted.push(toUserMessage(msg.content, msg.images));
+    }
+  }
+  return converted;
+}
+
+/**
+ * ツール呼び出しの引数をオブジェクトにする（サーバーによってはJSON文字列ではなくオブジェクトで返す）
+ * @private
+ * @param {string|Object} value - 引数
+ * @returns {Object} 引数（解析できない場合は空のオブジェクト）
+ */
+function parseToolArguments(value) {
+  if (value && typeof value === 'object') {
+    return value;
+  }
+  try {
+    const parsed = JSON.parse(value || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.warn(`OpenAI互換API tool arguments could not be parsed: ${value}`);
+    return {};
+  }
+}
+
+/**
+ * ツールを宣言して1回分の応答を取得する（tools に対応したモデルの場合のみ使われる）
+ * onDelta を指定し、streaming にも対応したモデルの場合はストリーミングで取得してテキスト片を逐次渡す
+ * @param {Object} options - オプション ({systemPrompt, messages, tools, toolChoice, model, onDelta})
+ * @returns {Promise<{text: string, toolCalls: Array<{id: string, name: string, arguments: Object}>}>} 応答とツール呼び出し
+ */
+async function completeWithTools({ systemPrompt, messages, tools = [], toolChoice = 'auto', model, onDelta }) {
+  const requestData = {
+    model,
+    messages: fitToContextWindow(toToolMessages(systemPrompt || DEFAULT_SYSTEM_PROMPT, messages), MAX_TOKENS),
+    temperature: 0.8,
+    max_tokens: MAX_TOKENS
+  };
+  if (tools.length > 0) {
+    requestData.tools = tools.map(tool => ({ type: 'function', function: tool }));
+    requestData.tool_choice = toolChoice;
+  }
+
+  const streaming = Boolean(onDelta) && CAPABILITIES.streaming;
+  const response = await postChatCompletions(
+    streaming ? { ...requestData, stream: true } : requestData,
+    streaming ? { responseType: 'stream' } : {}
+  );
+  const message = streaming
+    ? await readChatCompletionStream(response.data, onDelta)
+    : response?.data?.choices?.[0]?.message || {};
+  return {
+    text: message.content || '',
+    toolCalls: (message.tool_calls || []).map((call, index) => ({
+      id: call.id || `${call.function?.name}-${index}`,
+      name: call.function?.name,
+      arguments: parseToolArguments(call.function?.arguments)
+    }))
+  };
+}
+
+/**
+ * テキストの埋め込みベクトルを生成する（/embeddings）
+ * @param {string} text - テキスト
+ * @returns {Promise<Array<number>>} 埋め込みベクトル
+ * @throws {Error} ベースURLまたは埋め込みモデルが未設定、またはAPIの呼び出しに失敗した場合
+ */
+async function embed(text) {
+  if (!BASE_URL || !EMBEDDING_MODEL) {
+    throw new Error('OpenAI互換APIの埋め込みモデル（OPENAI_COMPATIBLE_BASE_URL, OPENAI_COMPATIBLE_EMBEDDING_MODEL）が設定されていません');
+  }
+
+  const response = await axios.post(endpoint('/embeddings'), { model: EMBEDDING_MODEL, input: text }, {
+    timeout: REQUEST_TIMEOUT,
+    headers: getApiHeaders()
+  });
+  const embedding = response?.data?.data?.[0]?.embedding;
+  if (!Array.isArray(embedding)) {
+    throw new Error('OpenAI互換APIから埋め込みベクトルが返されませんでした');
+  }
+  return embedding;
+}
+
+/**
+ * ベースURLとモデルが設定されているか
+ * @returns {boolean} 設定されている場合はtrue
+ */
+function isConfigured() {
+  return !!(BASE_URL && API_MODEL);
+}
+
+/**
+ * 現在の設定情報を取得
+ * @returns {Object} 設定情報
+ */
+function getConfig() {
+  return {
+    provider: 'openai-compatible',
+    baseUrl: BASE_URL,
+    model: API_MODEL,
+    embeddingModel: EMBEDDING_MODEL || null,
+    authHeader: API_KEY ? AUTH_HEADER : null,
+    contextWindow: CONTEXT_WINDOW,
+    maxTokens: MAX_TOKENS,
+    capabilities: CAPABILITIES,
+    healthStatus: HEALTH_STATUS.status
+  };
+}
+
+module.exports = {
+  initialize,
+  getResponse,
+  streamResponse,
+  completeText,
+  completeWithTools,
+  embed,
+  isConfigured,
+  checkHealth,
+  getConfig,
+  CAPABILITIES
+};
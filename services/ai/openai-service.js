@@ -2,6 +2,7 @@
 const axios = require('axios');
 const contextManager = require('../../context-manager');
 const dateHandler = require('../../extensions/date-handler');
+const { readServerSentEvents, readChatCompletionStream } = require('./stream-utils');
 
 // 環境変数から設定を読み込む
 const API_KEY = process.env.OPENAI_API_KEY;
@@ -23,6 +24,13 @@ const HEALTH_STATUS = {
   consecutiveFailures: 0
 };
 
+// プロバイダーの対応機能
+const CAPABILITIES = {
+  vision: true,
+  streaming: true,
+  tools: true
+};
+
 // コンテキストマネージャーの状態
 let contextManagerInitialized = false;
 
@@ -84,6 +92,17 @@ AI、哲学、プログラミング、DAO、経営、子育て、教育、技術
 そんな、静かでやさしい、知の灯りでいてください。
 `;
 
+/**
+ * ログ出力用に画像データを省略したmessages配列を作成
+ * @param {Array<Object>} messages - messages配列
+ * @returns {Array<Object>} 画像データを省略したmessages配列
+ */
+function redactImagesForLog(messages) {
+  return messages.map(msg => (Array.isArray(msg.content)
+    ? { ...msg, content: msg.content.map(part => (part.type === 'image_url' ? { type: 'image_url', image_url: '[image]' } : part)) }
+    : msg));
+}
+
 /**
  * APIヘッダーを生成する
  * @returns {Object} APIリクエスト用ヘッダー
@@ -201,31 +220,42 @@ async function getAIResponse(userId, message, username, isDM = false, additional
     return '🍃 会話を続けるための情報が足りないようです。もう一度話しかけてみてください。';
   }
 
+  try {
+    return await requestWithRetries(() => (Array.isArray(message)
+      ? processAIRequestWithMessages(message)
+      : processAIRequest(userId, message, username, isDM, additionalContext)));
+  } catch (error) {
+    console.error('AI通信失敗:', error);
+    return formatErrorResponse(error);
+  }
+}
+
+/**
+ * APIリクエストを実行し、一時的なエラーの場合はリトライする
+ * @private
+ * @param {Function} request - APIリクエストを行う関数
+ * @returns {Promise<string>} AIからの応答
+ * @throws {Error} リトライしても失敗した場合
+ */
+async function requestWithRetries(request) {
   let retries = 0;
-  while (retries <= MAX_RETRIES) {
+  while (true) {
     try {
       if (retries > 0) {
         const delay = RETRY_DELAY * Math.pow(2, retries - 1);
         await new Promise(resolve => setTimeout(resolve, delay));
       }
-      if (Array.isArray(message)) {
-        return await processAIRequestWithMessages(message);
-      } else {
-        return await processAIRequest(userId, message, username, isDM, additionalContext);
-      }
+      const response = await request();
+      updateHealthStatus(true);
+      return response;
     } catch (error) {
-      const isRetryableError = isErrorRetryable(error);
       retries++;
-      if (!isRetryableError || retries > MAX_RETRIES) {
-        console.error('AI通信失敗:', error);
+      if (!isErrorRetryable(error) || retries > MAX_RETRIES) {
         updateHealthStatus(false);
-        return formatErrorResponse(error);
+        throw error;
       }
     }
   }
-  
-  // 通常はここに到達しないが、念のため
-  return '🌿 応答の取得に問題が発生しました。しばらく時間をおいてみてください。';
 }
 
 function isErrorRetryable(error) {
@@ -427,6 +457,16 @@ function getConversationHistory(userId) {
   return conv;
 }
 
+/**
+ * キャッシュ上の会話履歴を取得する（履歴がなくても新規作成しない）
+ * @param {string} userId - ユーザーID
+ * @returns {Array|null} メッセージ配列、キャッシュがない場合はnull
+ */
+function getCachedConversation(userId) {
+  const cached = conversationCache.get(userId);
+  return cached ? JSON.parse(JSON.stringify(cached.messages)) : null;
+}
+
 function clearConversationHistory(userId) {
   return conversationCache.delete(userId);
 }
@@ -592,76 +632,300 @@ function formatSearchResultsForAI(results) {
   }).join('\n\n');
 }
 
+/**
+ * 新インターフェース用のmessages配列を組み立てる
+ * @param {Object} context - 会話コンテキスト
+ * @returns {Array<Object>} OpenAI APIに渡すmessages配列
+ */
+function buildResponseMessages(context) {
+  const { message, additionalContext, conversationHistory = [], images = [] } = context;
+
+  // --- システムプロンプト（メッセージハンドラーが組み立てたキャラクター設定・記憶・ナレッジ）をsystemロールで渡す ---
+  const systemPrompt = context.systemPrompt
+    || 'あなたはBocchy（ボッチー）という親しみやすいAIキャラクターです。日本語で、温かみのある会話を心がけてください。';
+  const messages = [
+    { role: 'system', content: systemPrompt }
+  ];
+
+  // --- 直近の会話履歴をuser/assistantロールで追加 ---
+  if (Array.isArray(conversationHistory) && conversationHistory.length > 0) {
+    for (const item of conversationHistory) {
+      if (item.role === 'user' || item.role === 'assistant') {
+        messages.push({ role: item.role, content: item.content });
+      }
+    }
+  }
+
+  // --- 検索結果＋指示＋ユーザー質問を1つのuserメッセージとして渡す ---
+  let userPrompt = '';
+  if (additionalContext && additionalContext.trim().length > 0) {
+    userPrompt += `${additionalContext}\n\n`;
+  }
+  userPrompt += `【質問】${message}`;
+
+  // --- 画像がある場合はvision形式（テキスト＋画像パーツ）で渡す ---
+  if (images.length > 0) {
+    messages.push({
+      role: 'user',
+      content: [
+        { type: 'text', text: userPrompt },
+        ...images.map(image => ({
+          type: 'image_url',
+          image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+        }))
+      ]
+    });
+  } else {
+    messages.push({ role: 'user', content: userPrompt });
+  }
+
+  return messages;
+}
+
+/**
+ * 日時関連の質問に対して、応答に年が含まれていなければ現在日付を補う
+ * @param {string} message - ユーザーメッセージ
+ * @param {string} response - AIからの応答
+ * @returns {string} 補正後の応答
+ */
+function ensureDateInResponse(message, response) {
+  if (isDateTimeQuestion(message)) {
+    const now = new Date();
+    const year = now.getFullYear();
+    if (!response.includes(String(year))) {
+      const japanTime = new Intl.DateTimeFormat('ja-JP', {
+        timeZone: 'Asia/Tokyo',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        weekday: 'long'
+      }).format(now);
+      return `今日は${japanTime}です🌿\n\n${response}`;
+    }
+  }
+  return response;
+}
+
 /**
  * 新インターフェース用のレスポンス取得メソッド
+ * getAIResponse と異なり、APIの呼び出しに失敗した場合はエラーをスローする
+ * （ユーザー向けのエラーメッセージやほかのプロバイダーへの切り替えは ai-service が行う）
  * @param {Object} context - 会話コンテキスト
  * @returns {Promise<string>} AIからの応答
+ * @throws {Error} APIキーが未設定、またはAPIの呼び出しに失敗した場合
  */
 async function getResponse(context) {
   try {
-    const { userId, username = 'User', message, contextType = 'unknown', additionalContext, conversationHistory = [] } = context;
+    const { userId, message, contextType = 'unknown' } = context;
     console.log(`OpenAI getResponse呼び出し: userId=${userId}, contextType=${contextType}`);
 
-    // --- キャラクター定義・会話スタイルのみをsystemロールで渡す ---
-    const systemPrompt = 'あなたはBocchy（ボッチー）という親しみやすいAIキャラクターです。日本語で、温かみのある会話を心がけてください。';
-    let messages = [
-      { role: 'system', content: systemPrompt }
-    ];
-
-    // --- 直近の会話履歴をuser/assistantロールで追加 ---
-    if (Array.isArray(conversationHistory) && conversationHistory.length > 0) {
-      for (const item of conversationHistory) {
-        if (item.role === 'user' || item.role === 'assistant') {
-          messages.push({ role: item.role, content: item.content });
-        }
-      }
-    }
-
-    // --- 検索結果＋指示＋ユーザー質問を1つのuserメッセージとして渡す ---
-    let userPrompt = '';
-    if (additionalContext && additionalContext.trim().length > 0) {
-      userPrompt += `${additionalContext}\n\n`;
+    if (!API_KEY) {
+      throw new Error('OpenAI API Key が設定されていません');
     }
-    userPrompt += `【質問】${message}`;
-    messages.push({ role: 'user', content: userPrompt });
 
-    // --- デバッグ用詳細ログ出力 ---
-    console.log('【DEBUG】OpenAI APIに送信するmessages配列:');
-    console.log(JSON.stringify(messages, null, 2));
-    // --- ここまで ---
-
-    // getAIResponseを修正プロンプトで呼び出し
-    const isDM = contextType === 'direct_message';
-    const response = await getAIResponse(
-      userId,
-      messages, // 配列で渡す
-      username,
-      isDM
-    );
+    const messages = buildResponseMessages(context);
+    const response = await requestWithRetries(() => processAIRequestWithMessages(messages, context.model));
 
     // 日時関連の質問に対しては、応答後も再確認
-    if (isDateTimeQuestion(message)) {
-      const now = new Date();
-      const year = now.getFullYear();
-      if (!response.includes(String(year))) {
-        const japanTime = new Intl.DateTimeFormat('ja-JP', {
-          timeZone: 'Asia/Tokyo',
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric',
-          weekday: 'long'
-        }).format(now);
-        return `今日は${japanTime}です🌿\n\n${response}`;
+    return ensureDateInResponse(message, response);
+  } catch (error) {
+    console.error(`OpenAI getResponse呼び出しエラー: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * ストリーミングで応答を取得する
+ * 生成されたテキスト片を逐次コールバックに渡し、最後に応答全文を返す
+ * @param {Object} context - 会話コンテキスト（getResponseと同じ形式）
+ * @param {Function} onDelta - テキスト片を受け取るコールバック
+ * @returns {Promise<string>} AIからの応答全文
+ */
+async function streamResponse(context, onDelta) {
+  const { userId, message, contextType = 'unknown' } = context;
+  console.log(`OpenAI streamResponse呼び出し: userId=${userId}, contextType=${contextType}`);
+
+  if (!API_KEY) {
+    throw new Error('OpenAI API Key が設定されていません');
+  }
+
+  const requestData = {
+    model: context.model || API_MODEL,
+    messages: buildResponseMessages(context),
+    temperature: 0.8,
+    max_tokens: 1000,
+    top_p: 0.95,
+    stream: true
+  };
+
+  try {
+    const response = await axios.post(API_ENDPOINT, requestData, {
+      timeout: REQUEST_TIMEOUT,
+      headers: getApiHeaders(),
+      responseType: 'stream'
+    });
+
+    let fullText = '';
+    await readServerSentEvents(response.data, (event) => {
+      const delta = event?.choices?.[0]?.delta?.content;
+      if (delta) {
+        fullText += delta;
+        onDelta(delta);
       }
-    }
+    });
 
-    return response;
+    updateHealthStatus(true);
+    return ensureDateInResponse(message, validateResponse(fullText, message));
   } catch (error) {
-    console.error(`OpenAI getResponse呼び出しエラー: ${error.message}`);
+    updateHealthStatus(false);
+    console.error(`OpenAI streamResponse呼び出しエラー: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * キャラクター設定や会話履歴を使わずにテキストを生成する
+ * 要約などの内部処理用。応答の検証や日付補正も行わない
+ * @param {Object} options - 生成オプション
+ * @param {string} options.systemPrompt - システムプロンプト (任意)
+ * @param {string} options.prompt - 入力テキスト
+ * @param {number} options.maxTokens - 最大出力トークン数 (デフォルト: 1000)
+ * @param {number} options.temperature - 温度 (デフォルト: 0.3)
+ * @returns {Promise<string>} 生成されたテキスト
+ */
+async function completeText({ systemPrompt, prompt, maxTokens = 1000, temperature = 0.3 }) {
+  if (!API_KEY) {
+    throw new Error('OpenAI API Key が設定されていません');
+  }
+
+  const messages = [];
+  if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
+  messages.push({ role: 'user', content: prompt });
+
+  const response = await axios.post(API_ENDPOINT, {
+    model: API_MODEL,
+    messages,
+    temperature,
+    max_tokens: maxTokens
+  }, {
+    timeout: REQUEST_TIMEOUT,
+    headers: getApiHeaders()
+  });
+
+  const text = response?.data?.choices?.[0]?.message?.content;
+  if (!text || !text.trim()) {
+    throw new Error('OpenAI completeText returned an empty response');
+  }
+  return text.trim();
+}
+
+/**
+ * 共通の形式の messages を OpenAI の messages 配列に変換する
+ * @private
+ * @param {string} systemPrompt - システムプロンプト
+ * @param {Array<Object>} messages - 共通の形式の messages（services/ai/tools/tool-loop.js を参照）
+ * @returns {Array<Object>} OpenAI APIに渡すmessages配列
+ */
+function toOpenAIToolMessages(systemPrompt, messages) {
+  const converted = [{ role: 'system', content: systemPrompt }];
+  for (const msg of messages) {
+    if (msg.role === 'tool') {
+      converted.push({ role: 'tool', tool_call_id: msg.toolCallId, content: msg.content });
+    } else if (msg.role === 'assistant') {
+      const assistant = { role: 'assistant', content: msg.content || null };
+      if (msg.toolCalls && msg.toolCalls.length > 0) {
+        assistant.tool_calls = msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }));
+      }
+      converted.push(assistant);
+    } else if (msg.images && msg.images.length > 0) {
+      converted.push({
+        role: 'user',
+        content: [
+          { type: 'text', text: msg.content },
+          ...msg.images.map(image => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+          }))
+        ]
+      });
+    } else {
+      converted.push({ role: 'user', content: msg.content });
+    }
+  }
+  return converted;
+}
+
+/**
+ * ツール呼び出しの引数（JSON文字列）をオブジェクトにする
+ * @private
+ * @param {string} text - 引数のJSON文字列
+ * @returns {Object} 引数（解析できない場合は空のオブジェクト）
+ */
+function parseToolArguments(text) {
+  try {
+    const parsed = JSON.parse(text || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.warn(`OpenAI tool arguments could not be parsed: ${text}`);
+    return {};
+  }
+}
+
+/**
+ * ツールを宣言して1回分の応答を取得する（ツールを呼び出すループは services/ai/tools/tool-loop.js が行う）
+ * @param {Object} options - オプション
+ * @param {string} options.systemPrompt - システムプロンプト (任意)
+ * @param {Array<Object>} options.messages - 共通の形式の messages
+ * @param {Array<Object>} options.tools - ツールの宣言 ({name, description, parameters})
+ * @param {string} options.toolChoice - 'auto' または 'none' (デフォルト: 'auto')
+ * @param {string} options.model - モデル名 (デフォルト: OPENAI_MODEL)
+ * @param {Function} options.onDelta - 指定した場合はストリーミングで取得し、テキスト片を逐次渡す (任意)
+ * @returns {Promise<{text: string, toolCalls: Array<{id: string, name: string, arguments: Object}>}>} 応答とツール呼び出し
+ */
+async function completeWithTools({ systemPrompt, messages, tools = [], toolChoice = 'auto', model = API_MODEL, onDelta }) {
+  if (!API_KEY) {
+    throw new Error('OpenAI API Key が設定されていません');
+  }
+
+  const requestData = {
+    model,
+    messages: toOpenAIToolMessages(systemPrompt || BOCCHY_CHARACTER_PROMPT, messages),
+    temperature: 0.8,
+    max_tokens: 1000
+  };
+  if (tools.length > 0) {
+    requestData.tools = tools.map(tool => ({ type: 'function', function: tool }));
+    requestData.tool_choice = toolChoice;
+  }
+  if (onDelta) {
+    requestData.stream = true;
+  }
+
+  const response = await axios.post(API_ENDPOINT, requestData, {
+    timeout: REQUEST_TIMEOUT,
+    headers: getApiHeaders(),
+    ...(onDelta ? { responseType: 'stream' } : {})
+  });
+
+  const message = onDelta
+    ? await readChatCompletionStream(response.data, onDelta)
+    : response?.data?.choices?.[0]?.message || {};
+  updateHealthStatus(true);
+
+  return {
+    text: message.content || '',
+    toolCalls: (message.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function?.name,
+      arguments: parseToolArguments(call.function?.arguments)
+    }))
+  };
+}
+
 /**
  * 現在の設定情報を取得
  * @returns {Object} 設定情報
@@ -725,10 +989,10 @@ function getConfig() {
   };
 }
 
-// 新規追加: messages配列をそのままAPIに渡す
-async function processAIRequestWithMessages(messages) {
+// 新規追加: messages配列をそのままAPIに渡す（model を省略した場合は OPENAI_MODEL）
+async function processAIRequestWithMessages(messages, model = API_MODEL) {
   const requestData = {
-    model: API_MODEL,
+    model: model || API_MODEL,
     messages: messages,
     temperature: 0.8,
     max_tokens: 1000,
@@ -736,7 +1000,7 @@ async function processAIRequestWithMessages(messages) {
   };
   // --- デバッグ用詳細ログ出力 ---
   console.log('【DEBUG】OpenAI APIに送信するmessages配列:');
-  console.log(JSON.stringify(requestData.messages, null, 2));
+  console.log(JSON.stringify(redactImagesForLog(requestData.messages), null, 2));
   // --- ここまで ---
   const url = API_ENDPOINT;
   const response = await axios.post(url, requestData, {
@@ -755,9 +1019,14 @@ module.exports = {
   initialize,
   getAIResponse,
   getResponse,
+  streamResponse,
+  completeText,
+  completeWithTools,
   clearConversationHistory,
+  getCachedConversation,
   isConfigured,
   checkHealth,
   getConfig,
+  CAPABILITIES,
   __getConversationCache
 };
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * Provider Chain - AIプロバイダーの切り替え
+ *
+ * AI_PROVIDER_CHAIN の順にプロバイダーを試し、失敗したら次のプロバイダーに切り替える
+ * プロバイダーごとの遮断器（circuit-breaker）で、失敗が続いているプロバイダーはしばらく呼び出さない
+ *
+ * @module services/ai/provider-chain
+ */
+
+const logger = require('../../system/logger');
+const CircuitBreaker = require('./circuit-breaker');
+
+/**
+ * すべてのプロバイダーで失敗したときのエラー
+ */
+class ProviderChainError extends Error {
+  /**
+   * @param {string} message エラーメッセージ
+   * @param {Array<{provider: string, error: string}>} attempts 各プロバイダーの失敗の内容
+   */
+  constructor(message, attempts = []) {
+    super(message);
+    this.name = 'ProviderChainError';
+    this.attempts = attempts;
+  }
+}
+
+class ProviderChain {
+  /**
+   * @param {Array<{name: string, provider: Object}>} entries 優先順のプロバイダー
+   * @param {Object} [breakerOptions] 遮断器のオプション（circuit-breaker を参照）
+   */
+  constructor(entries, breakerOptions = {}) {
+    this.breakerOptions = breakerOptions;
+    this.entries = [];
+    entries.forEach(({ name, provider }) => this.addProvider(name, provider));
+    this.lastAnswer = null;
+  }
+
+  /**
+   * プロバイダーをチェーンの末尾に追加する（ルーティングのルールで指定されたプロバイダーなど）
+   * @param {string} name プロバイダー名
+   * @param {Object} provider プロバイダーモジュール
+   */
+  addProvider(name, provider) {
+    this.entries.push({
+      name,
+      provider,
+      breaker: new CircuitBreaker(this.breakerOptions),
+      responses: 0
+    });
+  }
+
+  /**
+   * プロバイダーがチェーンに含まれているか
+   * @param {string} name プロバイダー名
+   * @returns {boolean} 含まれている場合はtrue
+   */
+  has(name) {
+    return this.entries.some(entry => entry.name === name);
+  }
+
+  /**
+   * プロバイダーの一覧を返す
+   * @returns {Array<{name: string, provider: Object}>} 優先順のプロバイダー
+   */
+  getProviders() {
+    return this.entries.map(({ name, provider }) => ({ name, provider }));
+  }
+
+  /**
+   * いま最初に試されるプロバイダーを返す（遮断中のものは飛ばす）
+   * @returns {{name: string, provider: Object}|null} プロバイダー
+   */
+  getActive() {
+    const entry = this.entries.find(item => item.breaker.state !== CircuitBreaker.STATES.OPEN) || this.entries[0];
+    return entry ? { name: entry.name, provider: entry.provider } : null;
+  }
+
+  /**
+   * 処理を優先順のプロバイダーで試し、最初に成功した結果を返す
+   * operation がスローしたエラーに noFailover: true がある場合（応答の途中まで送った場合など）は、
+   * 次のプロバイダーに切り替えずにそのままスローする
+   * @param {Function} operation (provider, name) => Promise<any>
+   * @param {Object} [options] オプション
+   * @param {Function} [options.filter] (provider, name) => boolean 対象にするプロバイダー
+   * @param {string} [options.prefer] 最初に試すプロバイダー名（ほかのプロバイダーはチェーンの順で続く）
+   * @returns {Promise<{result: any, provider: string, fallbackFrom: Array<string>}>} 結果と応答したプロバイダー
+   * @throws {ProviderChainError} すべてのプロバイダーで失敗した場合
+   */
+  async run(operation, { filter = null, prefer = null } = {}) {
+    const attempts = [];
+    const preferred = this.entries.find(entry => entry.name === prefer);
+    const entries = preferred ? [preferred, ...this.entries.filter(entry => entry !== preferred)] : this.entries;
+
+    for (const entry of entries) {
+      if (filter && !filter(entry.provider, entry.name)) {
+        continue;
+      }
+      if (!entry.breaker.allowRequest()) {
+        attempts.push({ provider: entry.name, error: 'circuit open' });
+        continue;
+      }
+
+      try {
+        const result = await operation(entry.provider, entry.name);
+        entry.breaker.recordSuccess();
+        entry.responses++;
+        const fallbackFrom = attempts.map(attempt => attempt.provider);
+        this.lastAnswer = { provider: entry.name, fallbackFrom, at: new Date().toISOString() };
+        return { result, provider: entry.name, fallbackFrom };
+      } catch (error) {
+        const previousState = entry.breaker.state;
+        entry.breaker.recordFailure(error);
+        attempts.push({ provider: entry.name, error: error.message });
+        if (entry.breaker.state === CircuitBreaker.STATES.OPEN && previousState !== CircuitBreaker.STATES.OPEN) {
+          logger.warn(`Circuit opened for AI provider ${entry.name} after ${entry.breaker.consecutiveFailures} failures: ${error.message}`);
+        } else {
+          logger.warn(`AI provider ${entry.name} failed: ${error.message}`);
+        }
+        if (error.noFailover) {
+          throw error;
+        }
+      }
+    }
+
+    throw new ProviderChainError(
+      `All AI providers failed (${attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join(', ') || 'no provider available'})`,
+      attempts
+    );
+  }
+
+  /**
+   * プロバイダーごとの状態を返す（!status 用）
+   * @returns {{providers: Array<Object>, lastAnswer: Object|null}} 状態
+   */
+  getStatus() {
+    return {
+      providers: this.entries.map(entry => ({
+        name: entry.name,
+        responses: entry.responses,
+        ...entry.breaker.getStatus()
+      })),
+      lastAnswer: this.lastAnswer
+    };
+  }
+}
+
+module.exports = ProviderChain;
+module.exports.ProviderChainError = ProviderChainError;
@@ -0,0 +1,84 @@
+/**
+ * Bocchy Discord Bot - ストリーミング応答ユーティリティ
+ * 各AIプロバイダーのServer-Sent Events (SSE) 形式のストリームを読み取る
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * SSEストリームを読み取り、data行をJSONとして解析してコールバックに渡す
+ * マルチバイト文字がチャンク境界で分断されても正しく復元する
+ * @param {Stream} stream - axios (responseType: 'stream') のレスポンスストリーム
+ * @param {Function} onData - 解析済みのイベントデータを受け取るコールバック
+ * @returns {Promise<void>} ストリーム終了時に解決するPromise
+ */
+async function readServerSentEvents(stream, onData) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  const flushLines = (final = false) => {
+    let index;
+    while ((index = buffer.indexOf('\n')) >= 0 || (final && buffer.length > 0)) {
+      const end = index >= 0 ? index : buffer.length;
+      const line = buffer.slice(0, end).replace(/\r$/, '');
+      buffer = buffer.slice(end + 1);
+
+      if (!line.startsWith('data:')) continue;
+
+      const data = line.slice(5).trim();
+      if (!data || data === '[DONE]') continue;
+
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (error) {
+        // 不完全なイベントは無視して読み進める
+        console.warn(`ストリームイベントの解析に失敗しました: ${data.substring(0, 100)}`);
+        continue;
+      }
+      onData(event);
+    }
+  };
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    flushLines();
+  }
+
+  buffer += decoder.end();
+  flushLines(true);
+}
+
+/**
+ * OpenAI形式（Chat Completions）のストリームを読み取り、テキスト片をコールバックに渡す
+ * ツール呼び出しは index ごとに断片（ID・名前・引数のJSON文字列）をつなげ、ストリーミングしない応答の message と同じ形で返す
+ * @param {Stream} stream - axios (responseType: 'stream') のレスポンスストリーム
+ * @param {Function} onDelta - テキスト片を受け取るコールバック
+ * @returns {Promise<{content: string, tool_calls: Array<{id: string, function: {name: string, arguments: string}}>}>} 応答
+ */
+async function readChatCompletionStream(stream, onDelta) {
+  let content = '';
+  const toolCalls = [];
+
+  await readServerSentEvents(stream, (event) => {
+    const delta = event?.choices?.[0]?.delta || {};
+    if (delta.content) {
+      content += delta.content;
+      onDelta(delta.content);
+    }
+    (delta.tool_calls || []).forEach((call) => {
+      const index = call.index ?? toolCalls.length;
+      const entry = toolCalls[index] || (toolCalls[index] = { id: '', function: { name: '', arguments: '' } });
+      if (call.id) entry.id = call.id;
+      if (call.function?.name) entry.function.name += call.function.name;
+      if (call.function?.arguments) entry.function.arguments += call.function.arguments;
+    });
+  });
+
+  return { content, tool_calls: toolCalls.filter(Boolean) };
+}
+
+module.exports = {
+  readServerSentEvents,
+  readChatCompletionStream
+};
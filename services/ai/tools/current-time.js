@@ -0,0 +1,53 @@
+/**
+ * current_time ツール - 現在の日時を返す
+ *
+ * @module services/ai/tools/current-time
+ */
+
+const { DateTime } = require('luxon');
+
+// タイムゾーンを指定しない場合は日本時間
+const DEFAULT_TIMEZONE = 'Asia/Tokyo';
+
+module.exports = {
+  name: 'current_time',
+  description: '現在の日付・曜日・時刻を返します。「今日」「今」「何曜日」など、現在の日時に関係する質問に答えるときは推測せずにこのツールを使ってください。',
+  parameters: {
+    type: 'object',
+    properties: {
+      timezone: {
+        type: 'string',
+        description: 'IANAタイムゾーン名（例: Asia/Tokyo, America/New_York）。省略時は Asia/Tokyo'
+      }
+    }
+  },
+
+  /**
+   * ツールが使えるかを返す
+   * @returns {boolean} 常にtrue
+   */
+  isAvailable() {
+    return true;
+  },
+
+  /**
+   * 現在の日時を返す
+   * @param {Object} args 引数 ({timezone})
+   * @returns {Promise<string>} 日時（JSON）
+   * @throws {Error} タイムゾーン名が不正な場合
+   */
+  async execute(args = {}) {
+    const timezone = args.timezone || DEFAULT_TIMEZONE;
+    const now = DateTime.now().setZone(timezone).setLocale('ja');
+    if (!now.isValid) {
+      throw new Error(`不明なタイムゾーンです: ${timezone}`);
+    }
+
+    return JSON.stringify({
+      timezone,
+      iso: now.toISO({ suppressMilliseconds: true }),
+      date: `${now.year}年${now.month}月${now.day}日(${now.weekdayLong})`,
+      time: `${now.hour}時${now.minute}分`
+    });
+  }
+};
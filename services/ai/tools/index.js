@@ -0,0 +1,138 @@
+/**
+ * Tools - AIが呼び出せるツール
+ *
+ * - web_search: Web検索
+ * - kb_search: ナレッジベースの検索
+ * - current_time: 現在の日時
+ * - user_profile_lookup: 発言者について覚えていること
+ *
+ * どのツールも name / description / parameters（JSON Schema）と isAvailable / execute を実装する
+ * execute は結果のテキストを返す（参考資料も返すツールは {content, sources}）
+ * プロバイダーとのやり取りは次の共通の形式で行い、各プロバイダーの形式への変換はプロバイダー側で行う
+ * - ツール呼び出し: {id, name, arguments}（arguments はオブジェクト）
+ * - ツールの結果: {role: 'tool', toolCallId, name, content, isError}
+ *
+ * @module services/ai/tools
+ */
+
+const logger = require('../../../system/logger');
+
+// 利用可能なツール名
+const TOOL_NAMES = ['web_search', 'kb_search', 'current_time', 'user_profile_lookup'];
+
+// ツールの結果の最大文字数（長い検索結果でコンテキストを使い切らないように）
+const MAX_RESULT_LENGTH = parseInt(process.env.AI_TOOL_RESULT_MAX_CHARS || '6000', 10);
+
+/**
+ * 現在のツールの一覧（nullの場合は未作成）
+ * @private
+ */
+let currentTools = null;
+
+/**
+ * ツールを作成する
+ * @param {string} name ツール名
+ * @returns {Object|null} ツール（不明な名前の場合はnull）
+ */
+function createTool(name) {
+  switch (String(name).trim()) {
+    case 'web_search':
+      return require('./web-search');
+    case 'kb_search':
+      return require('./kb-search');
+    case 'current_time':
+      return require('./current-time');
+    case 'user_profile_lookup':
+      return require('./user-profile-lookup');
+    default:
+      logger.warn(`Unknown tool "${name}" in AI_TOOLS, skipped`);
+      return null;
+  }
+}
+
+/**
+ * 現在のツールの一覧を取得する（未作成の場合は AI_TOOLS 設定に従って作成）
+ * @returns {Array<Object>} ツール
+ */
+function getTools() {
+  if (!currentTools) {
+    const names = (process.env.AI_TOOLS || TOOL_NAMES.join(',')).split(',').filter(name => name.trim());
+    currentTools = names.map(name => createTool(name)).filter(Boolean);
+  }
+  return currentTools;
+}
+
+/**
+ * 使用するツールを差し替える（テストや独自ツールの追加用）
+ * @param {Array<Object>|null} tools ツール（nullの場合は次回取得時に再作成）
+ */
+function setTools(tools) {
+  currentTools = tools;
+}
+
+/**
+ * 今回のリクエストで使えるツールを返す
+ * @param {Object} context リクエストコンテキスト
+ * @returns {Array<Object>} 使えるツール
+ */
+function getAvailableTools(context = {}) {
+  return getTools().filter(tool => {
+    try {
+      return tool.isAvailable(context);
+    } catch (error) {
+      logger.debug(`Tool ${tool.name} is not available: ${error.message}`);
+      return false;
+    }
+  });
+}
+
+/**
+ * プロバイダーに渡すツールの宣言を作る
+ * @param {Array<Object>} tools ツール
+ * @returns {Array<{name: string, description: string, parameters: Object}>} ツールの宣言
+ */
+function getToolDeclarations(tools) {
+  return tools.map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/**
+ * ツール呼び出しを実行する
+ * 失敗してもエラーを投げず、エラー内容を結果としてAIに返す（AIが別の方法で答えられるように）
+ * @param {{id: string, name: string, arguments: Object}} call ツール呼び出し
+ * @param {Array<Object>} tools 今回使えるツール
+ * @param {Object} context リクエストコンテキスト
+ * @returns {Promise<{role: string, toolCallId: string, name: string, content: string, isError: boolean, sources?: Array<Object>}>}
+ *   ツールの結果（参考資料を返すツールの場合は sources を含む）
+ */
+async function executeToolCall(call, tools, context = {}) {
+  const result = { role: 'tool', toolCallId: call.id, name: call.name, content: '', isError: false };
+  const tool = tools.find(candidate => candidate.name === call.name);
+  if (!tool) {
+    return { ...result, content: `ツール ${call.name} は使えません`, isError: true };
+  }
+
+  const startTime = Date.now();
+  try {
+    const output = await tool.execute(call.arguments || {}, context);
+    const content = String(output && typeof output === 'object' ? output.content : output);
+    logger.info(`Tool ${call.name} completed in ${Date.now() - startTime}ms`);
+    return {
+      ...result,
+      content: content.length > MAX_RESULT_LENGTH ? `${content.slice(0, MAX_RESULT_LENGTH)}…` : content,
+      ...(Array.isArray(output?.sources) ? { sources: output.sources } : {})
+    };
+  } catch (error) {
+    logger.warn(`Tool ${call.name} failed: ${error.message}`);
+    return { ...result, content: `エラー: ${error.message}`, isError: true };
+  }
+}
+
+module.exports = {
+  createTool,
+  getTools,
+  setTools,
+  getAvailableTools,
+  getToolDeclarations,
+  executeToolCall,
+  TOOL_NAMES
+};
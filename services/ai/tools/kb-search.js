@@ -0,0 +1,59 @@
+/**
+ * kb_search ツール - ナレッジベースを検索する
+ *
+ * RAG が無効・未初期化の場合は使えない。extensions/rag は初回の呼び出し時に読み込む
+ *
+ * @module services/ai/tools/kb-search
+ */
+
+// ツールの結果に入れるナレッジのトークン数の上限
+const TOKEN_BUDGET = parseInt(process.env.RAG_CONTEXT_TOKEN_BUDGET || '800', 10);
+
+module.exports = {
+  name: 'kb_search',
+  description: 'サーバーのナレッジベース（登録された資料やチャンネルの過去のやり取り）を検索します。サーバー固有のルール・手順・用語・過去の議論についての質問に使ってください。資料には [資料1] のような番号が付いているので、引用するときは番号を示してください。',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: '検索したい内容'
+      }
+    },
+    required: ['query']
+  },
+
+  /**
+   * ツールが使えるかを返す
+   * @returns {boolean} RAGが初期化されている場合はtrue
+   */
+  isAvailable() {
+    return require('../../../extensions/rag').isInitialized();
+  },
+
+  /**
+   * ナレッジベースを検索して資料のテキストと参考資料を返す
+   * チャンネルの会話・ピン留めは、発言者が閲覧できる同じサーバーのチャンネルのものだけを返す（DMでは返さない）
+   * 資料の番号は、すでにプロンプトや前のツール呼び出しで渡した資料（context.knowledgeSources）の続きから付ける
+   * @param {Object} args 引数 ({query})
+   * @param {Object} context リクエストコンテキスト ({guildId, visibleChannelIds, knowledgeSources})
+   * @returns {Promise<{content: string, sources: Array<Object>}>} 見つかった資料と、ラベルを付けたドキュメントの一覧
+   */
+  async execute(args = {}, context = {}) {
+    const rag = require('../../../extensions/rag');
+    const { buildKnowledgeSection } = require('../../../extensions/rag/prompt-context');
+
+    const results = await rag.search(args.query, {
+      guildId: context.guildId || null,
+      channelIds: context.visibleChannelIds || []
+    });
+    const { section, sources } = buildKnowledgeSection(results, {
+      tokenBudget: TOKEN_BUDGET,
+      labelOffset: (context.knowledgeSources || []).length
+    });
+    return {
+      content: section || `「${args.query}」に関係する資料は見つかりませんでした。`,
+      sources
+    };
+  }
+};
@@ -0,0 +1,95 @@
+/**
+ * Tool Loop - ツールを使った応答の生成
+ *
+ * プロバイダーの completeWithTools を呼び、AIがツールを呼び出したら実行して結果を返す、を
+ * ツール呼び出しがなくなるか上限（AI_TOOL_MAX_STEPS）に達するまで繰り返す
+ * 上限に達した場合は、ツールを使わずにそれまでの結果で答えさせる
+ * ツールが返した参考資料（kb_search の資料）は集めて返し、応答の末尾の参考資料に使えるようにする
+ * onDelta を指定した場合は各回の応答をストリーミングで取得し、ツール呼び出しのない最後の応答を生成しながら表示できるようにする
+ *
+ * プロバイダーの completeWithTools は次の形式でやり取りする
+ * - 入力: {systemPrompt, messages, tools, toolChoice, onDelta?}
+ *   messages は {role: 'user', content, images?} / {role: 'assistant', content, toolCalls?} / {role: 'tool', toolCallId, name, content, isError}
+ *   toolChoice は 'auto'（AIが選ぶ）または 'none'（ツールを使わせない）
+ *   onDelta を指定した場合はストリーミングで取得し、テキスト片を逐次渡す（ツール呼び出しはすべて受け取ってから返す）
+ * - 出力: {text, toolCalls: [{id, name, arguments}]}
+ *
+ * @module services/ai/tools/tool-loop
+ */
+
+const logger = require('../../../system/logger');
+const tools = require('./index');
+
+// ツール呼び出しを繰り返す回数の上限
+const MAX_STEPS = parseInt(process.env.AI_TOOL_MAX_STEPS || '4', 10);
+
+/**
+ * リクエストコンテキストから最初の messages を作る
+ * @param {Object} context リクエストコンテキスト ({message, additionalContext, conversationHistory, images})
+ * @returns {Array<Object>} messages
+ */
+function buildInitialMessages(context) {
+  const { message, additionalContext, conversationHistory = [], images = [] } = context;
+  const messages = conversationHistory
+    .filter(item => (item.role === 'user' || item.role === 'assistant') && item.content)
+    .map(item => ({ role: item.role, content: item.content }));
+
+  // 検索結果や添付ファイルなどの追加コンテキストは質問の前に置く（質問そのものの場合は重ねない）
+  const content = additionalContext && additionalContext.trim() && additionalContext !== message
+    ? `${additionalContext}\n\n${message}`
+    : message;
+  messages.push({ role: 'user', content, images });
+  return messages;
+}
+
+/**
+ * ツールを使って応答を生成する
+ * @param {Object} options オプション
+ * @param {Function} options.complete プロバイダーの completeWithTools
+ * @param {string} options.systemPrompt システムプロンプト
+ * @param {Array<Object>} options.messages 最初の messages
+ * @param {Array<Object>} options.tools 使えるツール
+ * @param {Object} [options.context] リクエストコンテキスト（ツールに渡す）
+ * @param {number} [options.maxSteps] ツール呼び出しを繰り返す回数の上限
+ * @param {Function} [options.onDelta] 応答のテキスト片を受け取るコールバック（指定した場合はストリーミングで取得する）
+ * @returns {Promise<{text: string, steps: number, toolCalls: Array<Object>, sources: Array<Object>, stepLimitReached: boolean}>}
+ *   応答と実行したツール呼び出し、ツールが返した参考資料
+ */
+async function runToolLoop({ complete, systemPrompt, messages, tools: availableTools, context = {}, maxSteps = MAX_STEPS, onDelta }) {
+  const declarations = tools.getToolDeclarations(availableTools);
+  const conversation = [...messages];
+  const executedCalls = [];
+  const sources = [];
+  const streaming = onDelta ? { onDelta } : {};
+
+  for (let step = 1; step <= maxSteps; step++) {
+    const response = await complete({ systemPrompt, messages: conversation, tools: declarations, toolChoice: 'auto', ...streaming });
+    const toolCalls = response.toolCalls || [];
+    if (toolCalls.length === 0) {
+      return { text: response.text || '', steps: step, toolCalls: executedCalls, sources, stepLimitReached: false };
+    }
+
+    logger.debug(`Tool step ${step}: ${toolCalls.map(call => call.name).join(', ')}`);
+    conversation.push({ role: 'assistant', content: response.text || '', toolCalls });
+    for (const call of toolCalls) {
+      // 資料の番号が重ならないよう、これまでに渡した資料をツールに知らせる
+      const toolContext = { ...context, knowledgeSources: [...(context.knowledgeSources || []), ...sources] };
+      const { sources: resultSources, ...result } = await tools.executeToolCall(call, availableTools, toolContext);
+      conversation.push(result);
+      if (resultSources) {
+        sources.push(...resultSources);
+      }
+      executedCalls.push({ name: call.name, arguments: call.arguments, isError: result.isError });
+    }
+  }
+
+  logger.warn(`Tool loop reached the step limit (${maxSteps}), answering without further tool calls`);
+  const response = await complete({ systemPrompt, messages: conversation, tools: declarations, toolChoice: 'none', ...streaming });
+  return { text: response.text || '', steps: maxSteps + 1, toolCalls: executedCalls, sources, stepLimitReached: true };
+}
+
+module.exports = {
+  buildInitialMessages,
+  runToolLoop,
+  MAX_STEPS
+};
@@ -0,0 +1,48 @@
+/**
+ * user_profile_lookup ツール - 話している相手について覚えていることを返す
+ *
+ * プライバシーのため、参照できるのは今回の発言者のプロフィールだけ（引数でユーザーは指定できない）
+ * サーバーでの応答では、DMで覚えた事実は返さない
+ *
+ * @module services/ai/tools/user-profile-lookup
+ */
+
+const { scopeProfile, selectRelevantFacts, formatFactsForPrompt } = require('../../../extensions/memory/user-profile');
+
+module.exports = {
+  name: 'user_profile_lookup',
+  description: '話している相手について以前の会話から覚えていること（呼び名・興味・取り組んでいることなど）を返します。相手の好みや以前の話題をふまえて答えたいときに使ってください。',
+  parameters: {
+    type: 'object',
+    properties: {
+      topic: {
+        type: 'string',
+        description: '特に知りたい話題（省略時は全体から選ぶ）'
+      }
+    }
+  },
+
+  /**
+   * ツールが使えるかを返す
+   * @param {Object} context リクエストコンテキスト
+   * @returns {boolean} 記憶システムが使え、発言者が分かる場合はtrue
+   */
+  isAvailable(context = {}) {
+    return Boolean(global.botchiMemory?.manager && context.userId);
+  },
+
+  /**
+   * 発言者のプロフィールから関係する事実を返す
+   * @param {Object} args 引数 ({topic})
+   * @param {Object} context リクエストコンテキスト ({userId, message, guildId, visibleChannelIds})
+   * @returns {Promise<string>} 覚えていること
+   */
+  async execute(args = {}, context = {}) {
+    const profile = scopeProfile(await global.botchiMemory.manager.getUserProfile(context.userId), {
+      guildId: context.guildId,
+      channelIds: context.visibleChannelIds
+    });
+    const facts = selectRelevantFacts(profile?.facts || [], args.topic || context.message || '');
+    return formatFactsForPrompt(facts) || 'この相手について覚えていることはまだありません。';
+  }
+};
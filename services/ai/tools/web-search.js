@@ -0,0 +1,50 @@
+/**
+ * web_search ツール - Web検索の結果を返す
+ *
+ * 検索は extensions/search-service.js のパイプライン（クエリの最適化・本文の抜粋を含む）で行う
+ *
+ * @module services/ai/tools/web-search
+ */
+
+const searchService = require('../../../extensions/search-service');
+const { formatSearchResultForAI } = require('../../../extensions/search-processor');
+
+module.exports = {
+  name: 'web_search',
+  description: 'Webを検索して、タイトル・内容・出典URLを返します。最新の出来事、ニュース、知らない固有名詞、事実確認など、あなたの知識だけでは正確に答えられない質問に使ってください。',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: '検索クエリ（ユーザーの質問の要点を短くまとめたもの）'
+      }
+    },
+    required: ['query']
+  },
+
+  /**
+   * ツールが使えるかを返す
+   * @returns {boolean} 検索サービスが初期化されている場合はtrue
+   */
+  isAvailable() {
+    return searchService.getInitializationStatus();
+  },
+
+  /**
+   * 検索して結果をAI向けのテキストで返す
+   * @param {Object} args 引数 ({query})
+   * @returns {Promise<string>} 検索結果
+   * @throws {Error} 検索に失敗した場合
+   */
+  async execute(args = {}) {
+    const result = await searchService.performSearch(args.query, { useMockOnError: false });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.results.length === 0) {
+      return `「${result.query}」の検索結果はありませんでした。`;
+    }
+    return formatSearchResultForAI(result.results, result.queryType);
+  }
+};
@@ -0,0 +1,201 @@
+/**
+ * Bocchy Discord Bot - メッセージ分割ユーティリティ
+ * Discordの文字数上限に合わせて、Markdownの構造を壊さずにテキストを分割する
+ *
+ * - 段落 → 行 → 文（「。」などを含む）→ 単語 の順で区切りやすい位置を探す
+ * - コードブロック (```) の途中で分割する場合は閉じ、次のチャンクで言語タグ付きで開き直す
+ * - Markdownリンク・URL・インラインコードの途中では分割しない
+ * - 分割位置は先頭からの内容だけで決まるため、テキストが伸びても確定済みの区切りは変わらない
+ */
+
+// 通常メッセージの上限（Discordの上限2000文字に余裕を持たせる）
+const MESSAGE_LIMIT = 1990;
+
+// 埋め込みの説明文の上限
+const EMBED_DESCRIPTION_LIMIT = 4096;
+
+// 埋め込みのフィールド値の上限
+const EMBED_FIELD_LIMIT = 1024;
+
+// コードブロックを閉じるための文字列
+const FENCE_CLOSE = '\n```';
+
+// 区切り位置を探す範囲（チャンクが極端に短くならないよう、後半のみを対象にする）
+const MIN_CHUNK_RATIO = 0.5;
+
+// 分割してはいけない範囲（Markdownリンク・URL・インラインコード・閉じていないリンク）
+const PROTECTED_PATTERNS = [
+  /\[[^\]\n]*\]\([^)\s]*\)/g,
+  /<?https?:\/\/[^\s<>]+>?/g,
+  /`[^`\n]+`/g,
+  /\[[^\]\n]*\]\([^)\s]*$/g,
+  /\[[^\]\n]*$/g
+];
+
+// 文末とみなす文字
+const SENTENCE_END = /[。！？!?．.]/;
+
+/**
+ * 分割してはいけない範囲を取得する
+ * @private
+ * @param {string} text - 対象テキスト
+ * @returns {Array<{start: number, end: number}>} 範囲の一覧
+ */
+function findProtectedSpans(text) {
+  const spans = [];
+  for (const pattern of PROTECTED_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      spans.push({ start: match.index, end: match.index + match[0].length });
+      if (match[0].length === 0) pattern.lastIndex++;
+    }
+  }
+  return spans;
+}
+
+/**
+ * 区切り位置の候補を優先度順に探す
+ * @private
+ * @param {string} window - 分割対象の範囲
+ * @param {Array} spans - 分割してはいけない範囲
+ * @returns {{at: number, skip: number}|null} 区切り位置と、区切りとして捨てる文字数
+ */
+function findBreak(window, spans) {
+  const min = Math.floor(window.length * MIN_CHUNK_RATIO);
+  const isProtected = at => spans.some(span => span.start < at && at < span.end);
+
+  const finders = [
+    // 段落
+    () => {
+      for (let i = window.lastIndexOf('\n\n'); i >= min; i = window.lastIndexOf('\n\n', i - 1)) {
+        if (!isProtected(i)) return { at: i, skip: 2 };
+      }
+      return null;
+    },
+    // 行
+    () => {
+      for (let i = window.lastIndexOf('\n'); i >= min; i = window.lastIndexOf('\n', i - 1)) {
+        if (!isProtected(i)) return { at: i, skip: 1 };
+      }
+      return null;
+    },
+    // 文
+    () => {
+      for (let i = window.length - 1; i >= min; i--) {
+        if (!SENTENCE_END.test(window[i])) continue;
+        const next = window[i + 1];
+        // 英文のピリオドなどは後ろに空白がある場合のみ文末とみなす（小数やURLを避ける）
+        if (/[!?.]/.test(window[i]) && next !== undefined && next !== ' ') continue;
+        const at = i + 1;
+        if (at < window.length && !isProtected(at)) {
+          return { at, skip: next === ' ' ? 1 : 0 };
+        }
+      }
+      return null;
+    },
+    // 単語
+    () => {
+      for (let i = window.lastIndexOf(' '); i >= min; i = window.lastIndexOf(' ', i - 1)) {
+        if (!isProtected(i)) return { at: i, skip: 1 };
+      }
+      return null;
+    }
+  ];
+
+  for (const find of finders) {
+    const found = find();
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * 区切りが見つからない場合の分割位置を決める
+ * 保護範囲の手前で切れるならそこで、そうでなければ上限で切る（サロゲートペアは分断しない）
+ * @private
+ * @param {string} window - 分割対象の範囲
+ * @param {Array} spans - 分割してはいけない範囲
+ * @returns {number} 分割位置
+ */
+function findHardBreak(window, spans) {
+  let at = window.length;
+  const span = spans.find(s => s.start < at && at < s.end);
+  if (span && span.start > 0) {
+    at = span.start;
+  }
+
+  const code = window.charCodeAt(at - 1);
+  if (at > 1 && code >= 0xD800 && code <= 0xDBFF) {
+    at -= 1;
+  }
+  return at;
+}
+
+/**
+ * テキスト末尾の時点で開いているコードブロックの言語タグを取得する
+ * @private
+ * @param {string} text - 対象テキスト
+ * @returns {string|null} 開いている場合は言語タグ（タグなしは空文字）、閉じている場合はnull
+ */
+function getOpenFence(text) {
+  let open = null;
+  for (const line of text.split('\n')) {
+    const match = line.match(/^\s*```\s*([\w+#.-]*)/);
+    if (match) {
+      open = open === null ? match[1] : null;
+    }
+  }
+  return open;
+}
+
+/**
+ * テキストを上限以下のチャンクに分割する
+ * @param {string} text - 分割するテキスト
+ * @param {Object} [options] - オプション
+ * @param {number} [options.limit] - 1チャンクの最大文字数（埋め込みの場合は EMBED_DESCRIPTION_LIMIT）
+ * @returns {Array<string>} 分割されたテキスト
+ */
+function splitMessage(text, options = {}) {
+  const limit = options.limit || MESSAGE_LIMIT;
+  const chunks = [];
+  let rest = text || '';
+  let openFence = null;
+
+  while (true) {
+    const prefix = openFence !== null ? `\`\`\`${openFence}\n` : '';
+
+    if (prefix.length + rest.length <= limit) {
+      chunks.push(prefix + rest);
+      break;
+    }
+
+    // コードブロックを閉じる分の文字数を確保して区切り位置を探す
+    const window = rest.slice(0, limit - prefix.length - FENCE_CLOSE.length);
+    const spans = findProtectedSpans(window);
+    const found = findBreak(window, spans) || { at: findHardBreak(window, spans), skip: 0 };
+
+    let chunk = prefix + rest.slice(0, found.at);
+    rest = rest.slice(found.at + found.skip);
+
+    openFence = getOpenFence(chunk);
+    if (openFence !== null) {
+      chunk = `${chunk.replace(/\n$/, '')}${FENCE_CLOSE}`;
+      // 直後がコードブロックの終端なら、開き直さずにそのまま閉じる
+      if (/^\s*```[ \t]*(\n|$)/.test(rest)) {
+        rest = rest.replace(/^\s*```[ \t]*\n?/, '');
+        openFence = null;
+      }
+    }
+    chunks.push(chunk);
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  splitMessage,
+  MESSAGE_LIMIT,
+  EMBED_DESCRIPTION_LIMIT,
+  EMBED_FIELD_LIMIT
+};
@@ -0,0 +1,76 @@
+/**
+ * Bocchy Discord Bot - 日本語対応のテキスト分かち書きユーティリティ
+ * キーワード検索やキーワード抽出のために、テキストを検索語（トークン）に分割する
+ *
+ * - Intl.Segmenter の辞書で日本語を単語に分ける（空白で区切らない日本語も分割できる）
+ * - 全角英数字は半角に、英字は小文字にそろえる
+ * - 「ERR-4012」「e_conn_timeout」のような製品名やエラーコードは、分割した部品に加えて全体も1語として残す
+ * - 2文字以下のひらがなだけの語（助詞・助動詞など）と英語のストップワードは除く
+ */
+
+// 英語のストップワード
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'with', 'by', 'from',
+  'of', 'is', 'are', 'was', 'be', 'it', 'this', 'that'
+]);
+
+// 記号でつながった英数字（エラーコード・バージョン・ドメインなど）
+const COMPOUND_PATTERN = /[a-z0-9]+(?:[-_.:/][a-z0-9]+)+/g;
+
+// ひらがなと長音記号のみの語
+const HIRAGANA_ONLY_PATTERN = /^[\p{Script=Hiragana}ー]+$/u;
+
+// 単語分割器（状態を持たないので使い回す）
+const segmenter = new Intl.Segmenter('ja', { granularity: 'word' });
+
+/**
+ * 検索語として残すかどうかを判定する
+ * @private
+ * @param {string} word 語
+ * @returns {boolean} 残す場合はtrue
+ */
+function isIndexable(word) {
+  if (STOP_WORDS.has(word)) return false;
+  if (HIRAGANA_ONLY_PATTERN.test(word) && word.length <= 2) return false;
+  return true;
+}
+
+/**
+ * テキストを検索語に分割する（出現回数を数えるため、重複はそのまま残す）
+ * @param {string} text 対象テキスト
+ * @returns {Array<string>} 検索語の配列
+ */
+function tokenize(text) {
+  const normalized = String(text || '').normalize('NFKC').toLowerCase();
+  const tokens = [];
+
+  for (const { segment, isWordLike } of segmenter.segment(normalized)) {
+    if (isWordLike && isIndexable(segment)) {
+      tokens.push(segment);
+    }
+  }
+
+  // 分割器が部品に分けてしまったコード類は全体も1語として加える
+  const segmented = new Set(tokens);
+  for (const [compound] of normalized.matchAll(COMPOUND_PATTERN)) {
+    if (!segmented.has(compound)) {
+      tokens.push(compound);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * テキストから重複のないキーワードを抽出する
+ * @param {string} text 対象テキスト
+ * @returns {Array<string>} キーワードの配列（出現順）
+ */
+function extractKeywords(text) {
+  return [...new Set(tokenize(text))];
+}
+
+module.exports = {
+  tokenize,
+  extractKeywords
+};
@@ -0,0 +1,54 @@
+/**
+ * Bocchy Discord Bot - トークン数の概算ユーティリティ
+ * トークナイザーを使わずに、会話履歴がどれくらいのトークン数になるかを見積もる
+ *
+ * - 日本語を含むテキストは 1文字 ≒ 1トークン
+ * - それ以外は 1単語 ≒ 1.3トークン
+ */
+
+// 日本語（かな・カナ・漢字・全角記号）の判定
+const JAPANESE_PATTERN = /[\u3000-\u303f\u3040-\u309f\u30a0-\u30ff\uff00-\uff9f\u4e00-\u9faf]/;
+
+// 1メッセージあたりのロールと構造のオーバーヘッド
+const MESSAGE_OVERHEAD = 4;
+
+// 会話全体の構造のオーバーヘッド
+const CONVERSATION_OVERHEAD = 2;
+
+/**
+ * テキストのトークン数を概算で見積もる
+ * @param {string} text テキスト
+ * @returns {number} 推定トークン数
+ */
+function estimateTextTokens(text) {
+  const content = text || '';
+
+  if (JAPANESE_PATTERN.test(content)) {
+    // 日本語文字が含まれる場合、文字数をほぼそのままトークン数とみなす
+    return content.length;
+  }
+
+  // 英語の場合、単語数に1.3を掛けて概算
+  const wordCount = content.split(/\s+/).filter(Boolean).length;
+  return Math.ceil(wordCount * 1.3);
+}
+
+/**
+ * メッセージ配列のトークン数を概算で見積もる
+ * @param {Array<{content: string}>} messages メッセージ配列
+ * @returns {number} 推定トークン数
+ */
+function estimateTokens(messages) {
+  let total = 0;
+
+  for (const msg of messages) {
+    total += estimateTextTokens(msg.content) + MESSAGE_OVERHEAD;
+  }
+
+  return total + CONVERSATION_OVERHEAD;
+}
+
+module.exports = {
+  estimateTextTokens,
+  estimateTokens
+};